@@ -13,6 +13,7 @@ const redis = require('../src/models/redis')
 const apiKeyService = require('../src/services/apiKeyService')
 const claudeAccountService = require('../src/services/claudeAccountService')
 const bedrockAccountService = require('../src/services/bedrockAccountService')
+const captureService = require('../src/services/captureService')
 
 const program = new Command()
 
@@ -1525,6 +1526,218 @@ async function deleteHiddenApiKey() {
   }
 }
 
+// 🎥 请求抓包与重放
+program
+  .command('captures')
+  .description('请求抓包管理（开启/关闭抓包、查看记录、重放到账户或 Mock 上游）')
+  .action(async () => {
+    await initialize()
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: '请选择操作:',
+        choices: [
+          { name: '📋 查看抓包记录', value: 'list' },
+          { name: '🔁 重放抓包记录', value: 'replay' },
+          { name: '🎯 查看抓包目标', value: 'targets' },
+          { name: '➕ 开启抓包', value: 'enable' },
+          { name: '➖ 关闭抓包', value: 'disable' }
+        ]
+      }
+    ])
+
+    switch (action) {
+      case 'list':
+        await listCaptures()
+        break
+      case 'replay':
+        await replayCapture()
+        break
+      case 'targets':
+        await listCaptureTargets()
+        break
+      case 'enable':
+        await enableCapture()
+        break
+      case 'disable':
+        await disableCapture()
+        break
+    }
+
+    await redis.disconnect()
+  })
+
+async function listCaptures() {
+  const spinner = ora('正在获取抓包记录...').start()
+
+  try {
+    const captures = await captureService.list({ limit: 50 })
+    spinner.succeed(`找到 ${captures.length} 条抓包记录`)
+
+    if (captures.length === 0) {
+      console.log(styles.warning('没有抓包记录'))
+      return
+    }
+
+    const tableData = [['ID', '时间', 'API Key', '账户', '请求', '状态', '耗时']]
+    captures.forEach((capture) => {
+      tableData.push([
+        capture.id,
+        new Date(capture.createdAt).toLocaleString(),
+        capture.apiKeyName || capture.apiKeyId,
+        capture.accountId ? `${capture.accountType || '-'}:${capture.accountId}` : '-',
+        `${capture.method} ${capture.path}`,
+        capture.status,
+        `${capture.durationMs}ms`
+      ])
+    })
+
+    console.log(table(tableData))
+  } catch (error) {
+    spinner.fail('获取抓包记录失败')
+    console.error(styles.error(error.message))
+  }
+}
+
+async function replayCapture() {
+  try {
+    const captures = await captureService.list({ limit: 50 })
+    if (captures.length === 0) {
+      console.log(styles.warning('没有可重放的抓包记录'))
+      return
+    }
+
+    const { captureId, target } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'captureId',
+        message: '选择要重放的抓包记录:',
+        choices: captures.map((capture) => ({
+          name: `${new Date(capture.createdAt).toLocaleString()} ${capture.method} ${capture.path} (${capture.status})`,
+          value: capture.id
+        }))
+      },
+      {
+        type: 'list',
+        name: 'target',
+        message: '重放目标:',
+        choices: [
+          { name: '🧪 本地 Mock 上游', value: 'mock' },
+          { name: '👤 指定账户', value: 'account' }
+        ]
+      }
+    ])
+
+    const options = { target }
+    if (target === 'mock') {
+      const { url } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'url',
+          message: 'Mock 上游地址:',
+          default: 'http://127.0.0.1:8080/v1/messages'
+        }
+      ])
+      options.url = url
+    } else {
+      Object.assign(
+        options,
+        await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'accountType',
+            message: '账户类型:',
+            choices: captureService.getReplayAccountTypes()
+          },
+          {
+            type: 'input',
+            name: 'accountId',
+            message: '账户 ID:',
+            validate: (input) => input.trim() !== '' || '账户 ID 不能为空'
+          }
+        ])
+      )
+    }
+
+    const spinner = ora('正在重放...').start()
+    const result = await captureService.replay(captureId, options)
+    spinner.succeed(`重放完成: HTTP ${result.status} (${result.durationMs}ms)`)
+
+    const { comparison } = result
+    console.log(
+      `状态码: ${result.status}（抓包时 ${comparison.capturedStatus}）${
+        comparison.statusMatches ? styles.success(' ✓ 一致') : styles.warning(' ✗ 不一致')
+      }`
+    )
+    console.log(
+      `响应体: ${comparison.bodyMatches ? styles.success('与抓包一致') : styles.warning('与抓包不同')}`
+    )
+    console.log(styles.dim('\n响应内容:'))
+    console.log(
+      typeof result.body === 'string' ? result.body : JSON.stringify(result.body, null, 2)
+    )
+  } catch (error) {
+    console.error(styles.error(`重放失败: ${error.message}`))
+  }
+}
+
+async function listCaptureTargets() {
+  const targets = await captureService.listTargets()
+  if (targets.length === 0) {
+    console.log(styles.warning('没有开启抓包的 API Key 或账户'))
+    return
+  }
+
+  const tableData = [['类型', 'ID']]
+  targets.forEach((target) => tableData.push([target.type, target.id]))
+  console.log(table(tableData))
+}
+
+async function enableCapture() {
+  const { type, id } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'type',
+      message: '抓包对象类型:',
+      choices: [
+        { name: 'API Key', value: 'apiKey' },
+        { name: '账户', value: 'account' }
+      ]
+    },
+    {
+      type: 'input',
+      name: 'id',
+      message: 'ID:',
+      validate: (input) => input.trim() !== '' || 'ID 不能为空'
+    }
+  ])
+
+  await captureService.addTarget(type, id.trim())
+  console.log(styles.success(`\n✅ 已为 ${type} ${id.trim()} 开启抓包`))
+}
+
+async function disableCapture() {
+  const targets = await captureService.listTargets()
+  if (targets.length === 0) {
+    console.log(styles.warning('没有开启抓包的 API Key 或账户'))
+    return
+  }
+
+  const { target } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'target',
+      message: '选择要关闭抓包的对象:',
+      choices: targets.map((item) => ({ name: `${item.type}: ${item.id}`, value: item }))
+    }
+  ])
+
+  await captureService.removeTarget(target.type, target.id)
+  console.log(styles.success(`\n✅ 已关闭 ${target.type} ${target.id} 的抓包`))
+}
+
 // 程序信息
 program.name('claude-relay-cli').description('Claude Relay Service 命令行管理工具').version('1.0.0')
 
@@ -1539,5 +1752,6 @@ if (!process.argv.slice(2).length) {
   console.log('  claude-relay-cli keys          - API Key 管理（查看/修改过期时间/续期/删除）')
   console.log('  claude-relay-cli bedrock       - Bedrock 账户管理（创建/查看/编辑/测试/删除）')
   console.log('  claude-relay-cli status        - 查看系统状态')
+  console.log('  claude-relay-cli captures      - 请求抓包管理（查看/重放/开启/关闭）')
   console.log('\n使用 --help 查看详细帮助信息')
 }
@@ -15,7 +15,35 @@ const config = {
     jwtSecret: process.env.JWT_SECRET || 'CHANGE-THIS-JWT-SECRET-IN-PRODUCTION',
     adminSessionTimeout: parseInt(process.env.ADMIN_SESSION_TIMEOUT) || 86400000, // 24小时
     apiKeyPrefix: process.env.API_KEY_PREFIX || 'cr_',
-    encryptionKey: process.env.ENCRYPTION_KEY || 'CHANGE-THIS-32-CHARACTER-KEY-NOW'
+    encryptionKey: process.env.ENCRYPTION_KEY || 'CHANGE-THIS-32-CHARACTER-KEY-NOW',
+    // 🔒 IP访问控制（支持单个地址、CIDR 网段和 IPv6 前缀；管理后台可在线追加规则）
+    ipWhitelist: {
+      enabled: process.env.IP_WHITELIST_ENABLED === 'true',
+      allowedIps: (process.env.IP_WHITELIST_ALLOWED_IPS || '')
+        .split(',')
+        .map((ip) => ip.trim())
+        .filter(Boolean),
+      // 黑名单始终生效，优先级高于白名单
+      deniedIps: (process.env.IP_DENYLIST || '')
+        .split(',')
+        .map((ip) => ip.trim())
+        .filter(Boolean)
+    }
+  },
+
+  // 🔐 凭证保险库（账户凭证信封加密：每条密文使用独立数据密钥，数据密钥由带版本号的主密钥包装）
+  credentialVault: {
+    // 主密钥提供者：env / file / local-kms（本地 KMS 模拟）
+    provider: process.env.CREDENTIAL_KEY_PROVIDER || 'env',
+    // env：版本:密钥，逗号分隔；未配置版本 1 时以 ENCRYPTION_KEY 作为版本 1
+    keys: process.env.CREDENTIAL_KEYS || '',
+    // env：用于加密的主密钥版本，默认使用最大版本
+    activeVersion: process.env.CREDENTIAL_ACTIVE_KEY_VERSION || '',
+    // file：密钥文件 { "activeVersion": "2", "keys": { "1": "...", "2": "..." } }
+    keyFile:
+      process.env.CREDENTIAL_KEY_FILE || path.join(__dirname, '..', 'data', 'credential-keys.json'),
+    // local-kms：密钥环目录，首次启动自动生成随机主密钥
+    kmsDir: process.env.CREDENTIAL_KMS_DIR || path.join(__dirname, '..', 'data', 'kms')
   },
 
   // 📊 Redis配置
@@ -47,6 +75,9 @@ const config = {
     betaHeader:
       process.env.CLAUDE_BETA_HEADER ||
       'claude-code-20250219,oauth-2025-04-20,interleaved-thinking-2025-05-14,fine-grained-tool-streaming-2025-05-14',
+    // OpenAI 兼容接口（/openai/claude）完整兼容模式：透传自定义系统提示词，支持 response_format、
+    // reasoning_effort、n、stream_options.include_usage 和 parallel_tool_calls
+    openaiParityMode: process.env.CLAUDE_OPENAI_PARITY_MODE === 'true',
     overloadHandling: {
       enabled: (() => {
         const minutes = parseInt(process.env.CLAUDE_OVERLOAD_HANDLING_MINUTES) || 0
@@ -180,13 +211,42 @@ const config = {
     }
   },
 
+  // 🔑 OpenID Connect 单点登录配置（授权码 + PKCE）
+  oidc: {
+    enabled: process.env.OIDC_ENABLED === 'true',
+    issuer: process.env.OIDC_ISSUER || '',
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    scopes: process.env.OIDC_SCOPES || 'openid profile email groups',
+    providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+    // 回调地址为 <redirectBaseUrl>/oidc/callback，启用 SSO 时必须配置
+    redirectBaseUrl: process.env.OIDC_REDIRECT_BASE_URL || '',
+    adminLoginEnabled: process.env.OIDC_ADMIN_LOGIN_ENABLED === 'true',
+    userLoginEnabled: process.env.OIDC_USER_LOGIN_ENABLED !== 'false',
+    httpTimeout: parseInt(process.env.OIDC_HTTP_TIMEOUT) || 10000,
+    userMapping: {
+      username: process.env.OIDC_CLAIM_USERNAME || 'preferred_username',
+      displayName: process.env.OIDC_CLAIM_DISPLAY_NAME || 'name',
+      email: process.env.OIDC_CLAIM_EMAIL || 'email',
+      firstName: process.env.OIDC_CLAIM_FIRST_NAME || 'given_name',
+      lastName: process.env.OIDC_CLAIM_LAST_NAME || 'family_name',
+      groups: process.env.OIDC_CLAIM_GROUPS || 'groups'
+    },
+    // 组到角色的映射（组:角色，逗号分隔，第一个匹配生效）
+    userRoleMapping: process.env.OIDC_USER_ROLE_MAPPING || '',
+    adminRoleMapping: process.env.OIDC_ADMIN_ROLE_MAPPING || '',
+    userAllowedGroups: process.env.OIDC_USER_ALLOWED_GROUPS || ''
+  },
+
   // 👥 用户管理配置
   userManagement: {
     enabled: process.env.USER_MANAGEMENT_ENABLED === 'true',
     defaultUserRole: process.env.DEFAULT_USER_ROLE || 'user',
     userSessionTimeout: parseInt(process.env.USER_SESSION_TIMEOUT) || 86400000, // 24小时
     maxApiKeysPerUser: parseInt(process.env.MAX_API_KEYS_PER_USER) || 1,
-    allowUserDeleteApiKeys: process.env.ALLOW_USER_DELETE_API_KEYS === 'true' // 默认不允许用户删除自己的API Keys
+    allowUserDeleteApiKeys: process.env.ALLOW_USER_DELETE_API_KEYS === 'true', // 默认不允许用户删除自己的API Keys
+    allowUserApiKeyRequests: process.env.ALLOW_USER_API_KEY_REQUESTS !== 'false', // 用户提交 Key 申请，由管理员审批后创建
+    maxApiKeysPerTeam: parseInt(process.env.MAX_API_KEYS_PER_TEAM) || 20 // 团队管理员可创建的团队共享 Key 上限
   },
 
   // 📢 Webhook通知配置
@@ -199,6 +259,128 @@ const config = {
     retries: parseInt(process.env.WEBHOOK_RETRIES) || 3 // 重试3次
   },
 
+  // 📈 Prometheus/OpenMetrics 指标端点配置（/metrics/prometheus，/metrics 仍返回 JSON）
+  metrics: {
+    enabled: process.env.METRICS_ENABLED === 'true', // 默认关闭
+    token: process.env.METRICS_TOKEN || '' // 设置后抓取需携带 Authorization: Bearer <token>
+  },
+
+  // 📦 Message Batches API 配置（/v1/messages/batches）
+  messageBatches: {
+    enabled: process.env.MESSAGE_BATCHES_ENABLED !== 'false', // 默认启用
+    workerIntervalMs: parseInt(process.env.MESSAGE_BATCHES_WORKER_INTERVAL_MS) || 5000, // worker 轮询间隔
+    concurrency: parseInt(process.env.MESSAGE_BATCHES_CONCURRENCY) || 2, // 单个批次内并行转发的请求数
+    maxRequests: parseInt(process.env.MESSAGE_BATCHES_MAX_REQUESTS) || 10000, // 单个批次最大请求数
+    expireHours: 24, // 批次创建后超过该时长仍未处理的请求标记为 expired
+    retentionDays: 29 // 结果保留天数
+  },
+
+  // 🔐 两步验证（TOTP）配置
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Claude Relay Service', // 验证器 App 中显示的发行方
+    // 强制启用两步验证的角色，逗号分隔：admin（管理员及 LDAP 管理员用户）、user
+    enforcedRoles: (process.env.TWO_FACTOR_ENFORCED_ROLES || '')
+      .split(',')
+      .map((role) => role.trim())
+      .filter(Boolean),
+    window: 1, // 允许前后各 1 个时间步（30 秒）的时钟偏差
+    challengeTtlSeconds: 300, // 密码校验通过后完成第二步的时限
+    maxAttempts: 5 // 单次登录挑战允许的验证码错误次数
+  },
+
+  // 📋 管理操作审计日志配置
+  auditLog: {
+    enabled: process.env.AUDIT_LOG_ENABLED !== 'false', // 默认启用
+    retentionDays: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 180 // 审计记录保留天数
+  },
+
+  // 🗄️ 响应缓存配置（需在 API Key 上单独开启，仅缓存 temperature 为 0 的请求）
+  responseCache: {
+    enabled: process.env.RESPONSE_CACHE_ENABLED !== 'false', // 全局开关，默认启用
+    defaultTtlSeconds: parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS) || 3600, // Key 未指定时的缓存时长
+    maxTtlSeconds: 7 * 24 * 3600, // Key 可设置的最长缓存时长
+    maxEntryBytes: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRY_BYTES) || 1024 * 1024, // 单条响应上限，超出不缓存
+    maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 5000 // 缓存条目上限，超出时淘汰最早写入的条目
+  },
+
+  // 🎥 请求抓包配置（需在管理后台为 API Key 或账户单独开启抓包）
+  capture: {
+    enabled: process.env.CAPTURE_ENABLED !== 'false', // 全局开关，默认启用
+    ttlSeconds: parseInt(process.env.CAPTURE_TTL_SECONDS) || 24 * 3600, // 抓包记录保留时长
+    maxBodyBytes: parseInt(process.env.CAPTURE_MAX_BODY_BYTES) || 256 * 1024, // 单个请求/响应体上限，超出部分截断
+    maxEntries: parseInt(process.env.CAPTURE_MAX_ENTRIES) || 500 // 抓包记录上限，超出时淘汰最早的记录
+  },
+
+  // 🔀 Claude 格式请求（/v1/messages）转发到 Gemini / OpenAI-Responses 账户
+  messagesBackend: {
+    // 按模型映射，逗号分隔的 模型=后端:目标模型，模型支持 * 结尾的前缀匹配，
+    // 如 claude-3-5-haiku*=gemini:gemini-2.5-flash,claude-opus-4*=openai-responses:gpt-5
+    // API Key 上单独设置的后端优先于此映射
+    modelMappings: (process.env.MESSAGES_BACKEND_MODEL_MAPPINGS || '')
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => {
+        const [pattern, target = ''] = item.split('=')
+        const [backend, ...model] = target.split(':')
+        return { pattern: pattern.trim(), backend: backend.trim(), model: model.join(':').trim() }
+      }),
+    defaultGeminiModel: process.env.MESSAGES_BACKEND_GEMINI_MODEL || 'gemini-2.5-pro', // 未指定目标模型时使用
+    defaultResponsesModel: process.env.MESSAGES_BACKEND_RESPONSES_MODEL || 'gpt-5'
+  },
+
+  // 🔁 流式故障转移：上游在输出任何内容块之前断开或失败时，透明切换到另一个可调度账户重试
+  streamFailover: {
+    enabled: process.env.STREAM_FAILOVER_ENABLED !== 'false',
+    maxAttempts: parseInt(process.env.STREAM_FAILOVER_MAX_ATTEMPTS) || 3, // 包含首次请求
+    maxPreambleBytes: 64 * 1024 // 前导事件缓冲上限，超出后直接提交给客户端
+  },
+
+  // 🏁 对冲请求：首字节超过阈值后向另一个账户并发请求，先返回者胜出（需在 API Key 上单独开启）
+  hedging: {
+    enabled: process.env.HEDGING_ENABLED !== 'false', // 全局开关，关闭后忽略 API Key 设置
+    defaultThresholdMs: parseInt(process.env.HEDGING_THRESHOLD_MS) || 3000, // API Key 未设置阈值时使用
+    minThresholdMs: 200 // 阈值下限，避免过于激进地放大上游请求
+  },
+
+  // 🩺 账户健康度统计（用于分组的 weighted 调度策略）
+  accountHealth: {
+    windowMinutes: parseInt(process.env.ACCOUNT_HEALTH_WINDOW_MINUTES) || 15, // 错误率统计的滚动窗口
+    ttfbSampleSize: 100, // 每个账户保留的最近 TTFB 样本数
+    minSamples: 5, // 样本不足时不降权
+    targetTtfbMs: parseInt(process.env.ACCOUNT_HEALTH_TARGET_TTFB_MS) || 3000, // TTFB 不超过该值时不因延迟降权
+    minWeight: 0.05 // 权重下限，保证降权账户仍有少量流量
+  },
+
+  // 🔌 通用账户熔断器（按账户 + 错误类别计数，适用于所有账户类型）
+  circuitBreaker: {
+    enabled: process.env.CIRCUIT_BREAKER_ENABLED !== 'false',
+    halfOpenProbeSeconds: parseInt(process.env.CIRCUIT_BREAKER_PROBE_SECONDS) || 30, // 半开状态下两次探测请求的最小间隔
+    classes: {
+      // threshold: 窗口内失败次数达到该值时熔断；windowSeconds: 计数窗口；openSeconds: 熔断持续时间
+      server_error: {
+        threshold: parseInt(process.env.CIRCUIT_BREAKER_5XX_THRESHOLD) || 5,
+        windowSeconds: 60,
+        openSeconds: parseInt(process.env.CIRCUIT_BREAKER_5XX_OPEN_SECONDS) || 120
+      },
+      overload: {
+        threshold: parseInt(process.env.CIRCUIT_BREAKER_529_THRESHOLD) || 5,
+        windowSeconds: 60,
+        openSeconds: parseInt(process.env.CIRCUIT_BREAKER_529_OPEN_SECONDS) || 60
+      },
+      timeout: {
+        threshold: parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT_THRESHOLD) || 3,
+        windowSeconds: 120,
+        openSeconds: parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT_OPEN_SECONDS) || 120
+      },
+      unauthorized: {
+        threshold: parseInt(process.env.CIRCUIT_BREAKER_401_THRESHOLD) || 3,
+        windowSeconds: 300,
+        openSeconds: parseInt(process.env.CIRCUIT_BREAKER_401_OPEN_SECONDS) || 600
+      }
+    }
+  },
+
   // 🛠️ 开发配置
   development: {
     debug: process.env.DEBUG === 'true',
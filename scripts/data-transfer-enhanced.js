@@ -9,6 +9,7 @@ const fs = require('fs').promises
 const crypto = require('crypto')
 const redis = require('../src/models/redis')
 const logger = require('../src/utils/logger')
+const { credentialVault } = require('../src/utils/credentialVault')
 const readline = require('readline')
 const config = require('../config/config')
 
@@ -36,23 +37,18 @@ async function askConfirmation(question) {
   })
 }
 
-// Claude 账户解密函数
-function decryptClaudeData(encryptedData) {
+// 与账户服务使用相同的凭证保险库命名空间（兼容旧格式密文）
+const claudeCipher = credentialVault.createCipher('claude', { salt: 'salt' })
+const geminiCipher = credentialVault.createCipher('gemini', { salt: 'gemini-account-salt' })
+
+function decryptWithCipher(cipher, encryptedData) {
   if (!encryptedData || !config.security.encryptionKey) {
     return encryptedData
   }
 
   try {
     if (encryptedData.includes(':')) {
-      const parts = encryptedData.split(':')
-      const key = crypto.scryptSync(config.security.encryptionKey, 'salt', 32)
-      const iv = Buffer.from(parts[0], 'hex')
-      const encrypted = parts[1]
-
-      const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv)
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8')
-      decrypted += decipher.final('utf8')
-      return decrypted
+      return cipher.decrypt(encryptedData)
     }
     return encryptedData
   } catch (error) {
@@ -61,29 +57,14 @@ function decryptClaudeData(encryptedData) {
   }
 }
 
+// Claude 账户解密函数
+function decryptClaudeData(encryptedData) {
+  return decryptWithCipher(claudeCipher, encryptedData)
+}
+
 // Gemini 账户解密函数
 function decryptGeminiData(encryptedData) {
-  if (!encryptedData || !config.security.encryptionKey) {
-    return encryptedData
-  }
-
-  try {
-    if (encryptedData.includes(':')) {
-      const parts = encryptedData.split(':')
-      const key = crypto.scryptSync(config.security.encryptionKey, 'gemini-account-salt', 32)
-      const iv = Buffer.from(parts[0], 'hex')
-      const encrypted = parts[1]
-
-      const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv)
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8')
-      decrypted += decipher.final('utf8')
-      return decrypted
-    }
-    return encryptedData
-  } catch (error) {
-    logger.warn(`⚠️  Failed to decrypt data: ${error.message}`)
-    return encryptedData
-  }
+  return decryptWithCipher(geminiCipher, encryptedData)
 }
 
 // API Key 哈希函数（与apiKeyService保持一致）
@@ -113,35 +94,19 @@ function isPlaintextApiKey(apiKey) {
   return true
 }
 
-// 数据加密函数（用于导入）
+// 数据加密函数（用于导入，使用当前主密钥版本）
 function encryptClaudeData(data) {
   if (!data || !config.security.encryptionKey) {
     return data
   }
-
-  const key = crypto.scryptSync(config.security.encryptionKey, 'salt', 32)
-  const iv = crypto.randomBytes(16)
-
-  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv)
-  let encrypted = cipher.update(data, 'utf8', 'hex')
-  encrypted += cipher.final('hex')
-
-  return `${iv.toString('hex')}:${encrypted}`
+  return claudeCipher.encrypt(data)
 }
 
 function encryptGeminiData(data) {
   if (!data || !config.security.encryptionKey) {
     return data
   }
-
-  const key = crypto.scryptSync(config.security.encryptionKey, 'gemini-account-salt', 32)
-  const iv = crypto.randomBytes(16)
-
-  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv)
-  let encrypted = cipher.update(data, 'utf8', 'hex')
-  encrypted += cipher.final('hex')
-
-  return `${iv.toString('hex')}:${encrypted}`
+  return geminiCipher.encrypt(data)
 }
 
 // 导出使用统计数据
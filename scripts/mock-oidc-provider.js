@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * 本地 OpenID Connect 模拟 IdP
+ *
+ * 用于在没有真实 IdP 的环境下测试单点登录，支持授权码 + PKCE、JWKS、UserInfo。
+ * 登录页可以填写任意用户名和组，签发的 ID Token 使用启动时生成的 RSA 密钥签名。
+ *
+ * 使用方法:
+ * node scripts/mock-oidc-provider.js
+ *
+ * 环境变量:
+ *   MOCK_OIDC_PORT           - 监听端口（默认 9400）
+ *   MOCK_OIDC_CLIENT_ID      - 客户端 ID（默认 claude-relay）
+ *   MOCK_OIDC_CLIENT_SECRET  - 客户端密钥（默认不校验，公共客户端）
+ *
+ * 服务端对应配置:
+ *   OIDC_ENABLED=true
+ *   OIDC_ISSUER=http://127.0.0.1:9400
+ *   OIDC_CLIENT_ID=claude-relay
+ *   OIDC_ADMIN_LOGIN_ENABLED=true
+ *   OIDC_ADMIN_ROLE_MAPPING=platform-ops:super_admin,support:viewer
+ */
+
+const crypto = require('crypto')
+const express = require('express')
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  )
+
+const base64Url = (value) => Buffer.from(value).toString('base64url')
+
+function buildClaims(username, groups) {
+  return {
+    sub: `mock-${username}`,
+    preferred_username: username,
+    name: username.charAt(0).toUpperCase() + username.slice(1),
+    email: `${username}@example.com`,
+    given_name: username,
+    family_name: 'Example',
+    groups
+  }
+}
+
+/**
+ * 创建模拟 IdP
+ * @param {Object} options - { clientId, clientSecret, autoLogin: { username, groups }, tokenClaims }
+ * @returns {{app: Object, listen: Function, keys: Object}}
+ */
+function createMockOidcProvider(options = {}) {
+  const clientId = options.clientId || 'claude-relay'
+  const clientSecret = options.clientSecret || ''
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const jwk = {
+    ...publicKey.export({ format: 'jwk' }),
+    kid: 'mock-key-1',
+    alg: 'RS256',
+    use: 'sig'
+  }
+
+  const codes = new Map()
+  const accessTokens = new Map()
+  let issuer = options.issuer || ''
+
+  const app = express()
+  app.use(express.urlencoded({ extended: false }))
+
+  const signIdToken = (claims) => {
+    const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: jwk.kid }))
+    const payload = base64Url(JSON.stringify(claims))
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey)
+    return `${header}.${payload}.${signature.toString('base64url')}`
+  }
+
+  const issueCode = (params, username, groups) => {
+    const code = crypto.randomBytes(16).toString('hex')
+    codes.set(code, {
+      redirectUri: params.redirect_uri,
+      codeChallenge: params.code_challenge,
+      nonce: params.nonce,
+      claims: buildClaims(username, groups)
+    })
+    const url = new URL(params.redirect_uri)
+    url.searchParams.set('code', code)
+    url.searchParams.set('state', params.state)
+    return url.toString()
+  }
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+    })
+  })
+
+  app.get('/jwks', (req, res) => res.json({ keys: [jwk] }))
+
+  app.get('/authorize', (req, res) => {
+    const params = req.query
+    if (params.client_id !== clientId || params.response_type !== 'code') {
+      return res.status(400).send('invalid_request')
+    }
+    if (params.code_challenge_method !== 'S256' || !params.code_challenge) {
+      return res.status(400).send('PKCE (S256) is required')
+    }
+
+    if (options.autoLogin) {
+      const { username, groups = [] } = options.autoLogin
+      return res.redirect(302, issueCode(params, username, groups))
+    }
+
+    const hidden = Object.entries(params)
+      .map(
+        ([key, value]) =>
+          `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`
+      )
+      .join('')
+    return res.send(`<!doctype html><html><body style="font-family:sans-serif;max-width:360px;margin:60px auto">
+<h2>Mock OIDC Provider</h2>
+<form method="post" action="/authorize">${hidden}
+<p><label>Username<br><input name="username" value="alice" required></label></p>
+<p><label>Groups (comma separated)<br><input name="groups" value="platform-ops,relay-admins"></label></p>
+<button type="submit">Sign in</button>
+</form></body></html>`)
+  })
+
+  app.post('/authorize', (req, res) => {
+    const groups = String(req.body.groups || '')
+      .split(',')
+      .map((group) => group.trim())
+      .filter(Boolean)
+    return res.redirect(302, issueCode(req.body, String(req.body.username || 'alice'), groups))
+  })
+
+  app.post('/token', (req, res) => {
+    const basic = req.headers.authorization?.match(/^Basic (.+)$/)
+    const [basicId, basicSecret] = basic
+      ? Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent)
+      : []
+    const requestClientId = basicId || req.body.client_id
+    const requestSecret = basicSecret || req.body.client_secret || ''
+    if (requestClientId !== clientId || (clientSecret && requestSecret !== clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' })
+    }
+
+    const entry = codes.get(req.body.code)
+    codes.delete(req.body.code)
+    if (!entry || req.body.grant_type !== 'authorization_code') {
+      return res.status(400).json({ error: 'invalid_grant' })
+    }
+    const challenge = crypto
+      .createHash('sha256')
+      .update(String(req.body.code_verifier || ''))
+      .digest('base64url')
+    if (entry.redirectUri !== req.body.redirect_uri || challenge !== entry.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' })
+    }
+
+    const now = Math.floor(Date.now() / 1000)
+    const accessToken = crypto.randomBytes(16).toString('hex')
+    accessTokens.set(accessToken, entry.claims)
+    return res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: signIdToken({
+        iss: issuer,
+        aud: clientId,
+        iat: now,
+        exp: now + 300,
+        nonce: entry.nonce,
+        ...entry.claims,
+        ...(options.tokenClaims || {})
+      })
+    })
+  })
+
+  app.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get(req.headers.authorization?.replace(/^Bearer\s+/i, ''))
+    return claims ? res.json(claims) : res.status(401).json({ error: 'invalid_token' })
+  })
+
+  const listen = (port = 0) =>
+    new Promise((resolve) => {
+      const server = app.listen(port, '127.0.0.1', () => {
+        issuer = issuer || `http://127.0.0.1:${server.address().port}`
+        resolve({ server, issuer })
+      })
+    })
+
+  return { app, listen, keys: { privateKey, jwk } }
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT) || 9400
+  createMockOidcProvider({
+    clientId: process.env.MOCK_OIDC_CLIENT_ID,
+    clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET
+  })
+    .listen(port)
+    .then(({ issuer }) => {
+      console.log(`🔑 Mock OIDC provider listening at ${issuer}`)
+      console.log(`   OIDC_ISSUER=${issuer}`)
+    })
+}
+
+module.exports = { createMockOidcProvider }
@@ -12,34 +12,20 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') })
 
 const redis = require('../src/models/redis')
 const geminiAccountService = require('../src/services/geminiAccountService')
-const crypto = require('crypto')
+const { credentialVault } = require('../src/utils/credentialVault')
 const config = require('../config/config')
 
 // 加密相关常量（与 geminiAccountService 保持一致）
-const ALGORITHM = 'aes-256-cbc'
 const ENCRYPTION_SALT = 'gemini-account-salt' // 注意：是 'gemini-account-salt' 不是其他值！
+const cipher = credentialVault.createCipher('gemini', { salt: ENCRYPTION_SALT })
 
-// 生成加密密钥
-function generateEncryptionKey() {
-  return crypto.scryptSync(config.security.encryptionKey, ENCRYPTION_SALT, 32)
-}
-
-// 解密函数（用于调试）
+// 解密函数（用于调试，支持信封密文与旧格式密文）
 function debugDecrypt(text) {
   if (!text) {
     return { success: false, error: 'Empty text' }
   }
   try {
-    const key = generateEncryptionKey()
-    const ivHex = text.substring(0, 32)
-    const encryptedHex = text.substring(33)
-
-    const iv = Buffer.from(ivHex, 'hex')
-    const encryptedText = Buffer.from(encryptedHex, 'hex')
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv)
-    let decrypted = decipher.update(encryptedText)
-    decrypted = Buffer.concat([decrypted, decipher.final()])
-    return { success: true, value: decrypted.toString() }
+    return { success: true, value: cipher.decrypt(text) }
   } catch (error) {
     return { success: false, error: error.message }
   }
@@ -11,9 +11,11 @@ const logger = require('./utils/logger')
 const redis = require('./models/redis')
 const pricingService = require('./services/pricingService')
 const cacheMonitor = require('./utils/cacheMonitor')
+const oidcService = require('./services/oidcService')
 
 // Import routes
 const apiRoutes = require('./routes/api')
+const messageBatchRoutes = require('./routes/messageBatchRoutes')
 const unifiedRoutes = require('./routes/unified')
 const adminRoutes = require('./routes/admin')
 const webRoutes = require('./routes/web')
@@ -27,6 +29,8 @@ const droidRoutes = require('./routes/droidRoutes')
 const userRoutes = require('./routes/userRoutes')
 const azureOpenaiRoutes = require('./routes/azureOpenaiRoutes')
 const webhookRoutes = require('./routes/webhook')
+const oidcRoutes = require('./routes/oidc')
+const metricsRoutes = require('./routes/metrics')
 
 // Import middleware
 const {
@@ -53,6 +57,9 @@ class Application {
       await redis.connect()
       logger.success('✅ Redis connected successfully')
 
+      // 🔑 校验单点登录配置（启用时必须显式配置回调地址）
+      oidcService.validateConfiguration()
+
       // 💰 初始化价格服务
       logger.info('🔄 Initializing pricing service...')
       await pricingService.initialize()
@@ -266,12 +273,15 @@ class Application {
 
       // 🛣️ 路由
       this.app.use('/api', apiRoutes)
+      this.app.use('/api', messageBatchRoutes) // Message Batches API（/v1/messages/batches）
       this.app.use('/api', unifiedRoutes) // 统一智能路由（支持 /v1/chat/completions 等）
       this.app.use('/claude', apiRoutes) // /claude 路由别名，与 /api 功能相同
+      this.app.use('/claude', messageBatchRoutes)
       this.app.use('/admin', adminRoutes)
       this.app.use('/users', userRoutes)
       // 使用 web 路由（包含 auth 和页面重定向）
       this.app.use('/web', webRoutes)
+      this.app.use('/oidc', oidcRoutes) // OpenID Connect 单点登录（管理后台与用户门户共用）
       this.app.use('/apiStats', apiStatsRoutes)
       // Gemini 路由：同时支持标准格式和原有格式
       this.app.use('/gemini', standardGeminiRoutes) // 标准 Gemini API 格式路由
@@ -294,6 +304,7 @@ class Application {
       this.app.get('/debug/my-ip', async (req, res) => {
         try {
           const ipHelper = require('./utils/ipHelper')
+          const ipAccessService = require('./services/ipAccessService')
 
           // 获取原始IP
           const originalIP =
@@ -311,18 +322,12 @@ class Application {
             serverPublicIP = await ipHelper.getServerPublicIP()
           }
 
-          // 白名单检查
-          const whitelist = config.security?.ipWhitelist?.allowedIps || []
-          const enabled = config.security?.ipWhitelist?.enabled || false
-
-          const isWhitelisted = enabled
-            ? whitelist.some((allowedIp) => {
-                if (resolvedIP === allowedIp) return true
-                const ipv4Match = resolvedIP.match(/::ffff:(.+)/)
-                if (ipv4Match && ipv4Match[1] === allowedIp) return true
-                return false
-              })
-            : true // 如果未启用白名单，认为所有IP都通过
+          // 白名单/黑名单检查（与 ipWhitelist 中间件使用相同的规则）
+          const rules = await ipAccessService.getEffectiveRules()
+          const accessResult = await ipAccessService.checkGlobalAccess(
+            ipAccessService.getCandidateIps(req, resolvedIP)
+          )
+          const isWhitelisted = accessResult.allowed
 
           res.json({
             // 最终使用的IP
@@ -347,8 +352,9 @@ class Application {
             },
             // 白名单配置
             whitelist: {
-              enabled: enabled,
-              allowedIps: whitelist
+              enabled: rules.allowlistEnabled,
+              allowedIps: rules.allowlist,
+              deniedIps: rules.denylist
             }
           })
         } catch (error) {
@@ -442,6 +448,9 @@ class Application {
         }
       })
 
+      // 📈 Prometheus/OpenMetrics 指标端点（/metrics/prometheus，需通过 METRICS_ENABLED 开启）
+      this.app.use('/metrics', metricsRoutes)
+
       // 🚫 404 处理
       this.app.use('*', (req, res) => {
         res.status(404).json({
@@ -554,6 +563,11 @@ class Application {
         logger.info(`⚙️  Admin API: http://${config.server.host}:${config.server.port}/admin`)
         logger.info(`🏥 Health check: http://${config.server.host}:${config.server.port}/health`)
         logger.info(`📊 Metrics: http://${config.server.host}:${config.server.port}/metrics`)
+        if (config.metrics?.enabled) {
+          logger.info(
+            `📈 Prometheus metrics: http://${config.server.host}:${config.server.port}/metrics/prometheus`
+          )
+        }
       })
 
       const serverTimeout = 600000 // 默认10分钟
@@ -712,6 +726,10 @@ class Application {
     const error403CircuitBreakerService = require('./services/error403CircuitBreakerService')
     error403CircuitBreakerService.startAutoRecoveryTask()
     logger.info('🔥 403 Circuit Breaker auto-recovery task started')
+
+    // 📦 启动 Message Batches 后台 worker
+    const messageBatchService = require('./services/messageBatchService')
+    messageBatchService.startWorker()
   }
 
   setupGracefulShutdown() {
@@ -758,6 +776,14 @@ class Application {
             logger.error('❌ Error stopping user message queue service:', error)
           }
 
+          // 停止 Message Batches worker（未完成的批次会在重启后从断点继续）
+          try {
+            const messageBatchService = require('./services/messageBatchService')
+            messageBatchService.stopWorker()
+          } catch (error) {
+            logger.error('❌ Error stopping message batch worker:', error)
+          }
+
           // 停止费用排序索引服务
           try {
             const costRankService = require('./services/costRankService')
@@ -12,6 +12,7 @@ const { sendGeminiRequest, getAvailableModels } = require('../services/geminiRel
 const crypto = require('crypto')
 const sessionHelper = require('../utils/sessionHelper')
 const unifiedGeminiScheduler = require('../services/unifiedGeminiScheduler')
+const circuitBreakerService = require('../services/circuitBreakerService')
 const apiKeyService = require('../services/apiKeyService')
 const { updateRateLimitCounters } = require('../utils/rateLimitHelper')
 const { parseSSELine } = require('../utils/sseParser')
@@ -454,7 +455,9 @@ async function handleMessages(req, res) {
       }
 
       try {
-        const apiResponse = await axios(axiosConfig)
+        const apiResponse = await circuitBreakerService.track(accountId, accountType, () =>
+          axios(axiosConfig)
+        )
         if (stream) {
           geminiResponse = apiResponse.data
         } else {
@@ -492,7 +495,8 @@ async function handleMessages(req, res) {
               0,
               0,
               model,
-              accountId
+              accountId,
+              accountType
             )
           }
         }
@@ -509,19 +513,21 @@ async function handleMessages(req, res) {
       // 智能处理项目ID：优先使用配置的 projectId，降级到临时 tempProjectId
       const effectiveProjectId = account.projectId || account.tempProjectId || null
 
-      geminiResponse = await sendGeminiRequest({
-        messages,
-        model,
-        temperature,
-        maxTokens: max_tokens,
-        stream,
-        accessToken: account.accessToken,
-        proxy: account.proxy,
-        apiKeyId: apiKeyData.id,
-        signal: abortController.signal,
-        projectId: effectiveProjectId,
-        accountId: account.id
-      })
+      geminiResponse = await circuitBreakerService.track(accountId, accountType, () =>
+        sendGeminiRequest({
+          messages,
+          model,
+          temperature,
+          maxTokens: max_tokens,
+          stream,
+          accessToken: account.accessToken,
+          proxy: account.proxy,
+          apiKeyId: apiKeyData.id,
+          signal: abortController.signal,
+          projectId: effectiveProjectId,
+          accountId: account.id
+        })
+      )
     }
 
     if (stream) {
@@ -579,7 +585,8 @@ async function handleMessages(req, res) {
                 0,
                 0,
                 model,
-                accountId
+                accountId,
+                accountType
               )
               .then(() => {
                 logger.info(
@@ -1410,13 +1417,15 @@ async function handleGenerateContent(req, res) {
           : '从loadCodeAssist获取'
     })
 
-    const response = await geminiAccountService.generateContent(
-      client,
-      { model, request: actualRequestData },
-      user_prompt_id,
-      effectiveProjectId,
-      req.apiKey?.id,
-      proxyConfig
+    const response = await circuitBreakerService.track(accountId, accountType, () =>
+      geminiAccountService.generateContent(
+        client,
+        { model, request: actualRequestData },
+        user_prompt_id,
+        effectiveProjectId,
+        req.apiKey?.id,
+        proxyConfig
+      )
     )
 
     // 记录使用统计
@@ -1430,7 +1439,8 @@ async function handleGenerateContent(req, res) {
           0,
           0,
           model,
-          account.id
+          account.id,
+          accountType
         )
         logger.info(
           `📊 Recorded Gemini usage - Input: ${usage.promptTokenCount}, Output: ${usage.candidatesTokenCount}, Total: ${usage.totalTokenCount}`
@@ -1622,14 +1632,16 @@ async function handleStreamGenerateContent(req, res) {
           : '从loadCodeAssist获取'
     })
 
-    const streamResponse = await geminiAccountService.generateContentStream(
-      client,
-      { model, request: actualRequestData },
-      user_prompt_id,
-      effectiveProjectId,
-      req.apiKey?.id,
-      abortController.signal,
-      proxyConfig
+    const streamResponse = await circuitBreakerService.track(accountId, accountType, () =>
+      geminiAccountService.generateContentStream(
+        client,
+        { model, request: actualRequestData },
+        user_prompt_id,
+        effectiveProjectId,
+        req.apiKey?.id,
+        abortController.signal,
+        proxyConfig
+      )
     )
 
     // 设置 SSE 响应头
@@ -1727,7 +1739,8 @@ async function handleStreamGenerateContent(req, res) {
             0,
             0,
             model,
-            account.id
+            account.id,
+            accountType
           ),
           applyRateLimitTracking(
             req,
@@ -1965,7 +1978,9 @@ async function handleStandardGenerateContent(req, res) {
       }
 
       try {
-        const apiResponse = await axios(axiosConfig)
+        const apiResponse = await circuitBreakerService.track(accountId, accountType, () =>
+          axios(axiosConfig)
+        )
         response = { response: apiResponse.data }
       } catch (error) {
         logger.error('Gemini API request failed:', {
@@ -2024,13 +2039,15 @@ async function handleStandardGenerateContent(req, res) {
 
       const userPromptId = `${crypto.randomUUID()}########0`
 
-      response = await geminiAccountService.generateContent(
-        client,
-        { model, request: actualRequestData },
-        userPromptId,
-        effectiveProjectId,
-        req.apiKey?.id,
-        proxyConfig
+      response = await circuitBreakerService.track(accountId, accountType, () =>
+        geminiAccountService.generateContent(
+          client,
+          { model, request: actualRequestData },
+          userPromptId,
+          effectiveProjectId,
+          req.apiKey?.id,
+          proxyConfig
+        )
       )
     }
 
@@ -2045,7 +2062,8 @@ async function handleStandardGenerateContent(req, res) {
           0,
           0,
           model,
-          accountId
+          accountId,
+          accountType
         )
         logger.info(
           `📊 Recorded Gemini usage - Input: ${usage.promptTokenCount}, Output: ${usage.candidatesTokenCount}, Total: ${usage.totalTokenCount}`
@@ -2247,7 +2265,9 @@ async function handleStandardStreamGenerateContent(req, res) {
       }
 
       try {
-        const apiResponse = await axios(axiosConfig)
+        const apiResponse = await circuitBreakerService.track(accountId, accountType, () =>
+          axios(axiosConfig)
+        )
         streamResponse = apiResponse.data
       } catch (error) {
         logger.error('Gemini API stream request failed:', {
@@ -2306,14 +2326,16 @@ async function handleStandardStreamGenerateContent(req, res) {
 
       const userPromptId = `${crypto.randomUUID()}########0`
 
-      streamResponse = await geminiAccountService.generateContentStream(
-        client,
-        { model, request: actualRequestData },
-        userPromptId,
-        effectiveProjectId,
-        req.apiKey?.id,
-        abortController.signal,
-        proxyConfig
+      streamResponse = await circuitBreakerService.track(accountId, accountType, () =>
+        geminiAccountService.generateContentStream(
+          client,
+          { model, request: actualRequestData },
+          userPromptId,
+          effectiveProjectId,
+          req.apiKey?.id,
+          abortController.signal,
+          proxyConfig
+        )
       )
     }
 
@@ -2454,7 +2476,8 @@ async function handleStandardStreamGenerateContent(req, res) {
             0,
             0,
             model,
-            accountId
+            accountId,
+            accountType
           )
           .then(() => {
             logger.info(
@@ -0,0 +1,108 @@
+const auditLogService = require('../services/auditLogService')
+const logger = require('../utils/logger')
+const ipHelper = require('../utils/ipHelper')
+
+// HTTP 方法 -> 默认审计动作
+const METHOD_ACTIONS = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+}
+
+// 未显式指定时依次尝试的路由参数名
+const DEFAULT_ID_PARAMS = ['keyId', 'accountId', 'groupId', 'id']
+
+function getRouteIds(req, options) {
+  if (options.resourceId) {
+    return [options.resourceId]
+  }
+  const paramNames = options.idParam ? [options.idParam] : DEFAULT_ID_PARAMS
+  for (const name of paramNames) {
+    if (req.params?.[name]) {
+      return [req.params[name]]
+    }
+  }
+  return []
+}
+
+// 创建类操作从响应体中提取新资源 ID（data 可以是单个对象或数组）
+function getCreatedIds(body) {
+  const data = body?.data
+  const items = Array.isArray(data) ? data : [data]
+  return items.map((item) => item?.id).filter(Boolean)
+}
+
+/**
+ * 管理操作审计中间件
+ * 在处理器执行前读取资源快照，响应成功后再次读取并写入字段级差异
+ * @param {string} resourceType - 资源类型（见 auditLogService.getResourceTypes()）
+ * @param {Object} options - 可选配置
+ * @param {string} options.action - 审计动作，默认根据 HTTP 方法推断
+ * @param {string} options.idParam - 资源 ID 所在的路由参数名
+ * @param {string} options.resourceId - 固定资源 ID（单例配置使用）
+ * @param {Function} options.resolveIds - 自定义解析受影响的资源 ID 列表（批量操作使用）
+ * @returns {Function} Express 中间件
+ */
+function auditAdminChange(resourceType, options = {}) {
+  return async (req, res, next) => {
+    if (!auditLogService.isEnabled()) {
+      return next()
+    }
+
+    const action = options.action || METHOD_ACTIONS[req.method] || 'update'
+    const snapshots = new Map()
+
+    try {
+      const ids = options.resolveIds
+        ? (await options.resolveIds(req)) || []
+        : getRouteIds(req, options)
+      for (const id of ids) {
+        snapshots.set(String(id), await auditLogService.loadResource(resourceType, id))
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to snapshot ${resourceType} before admin change:`, error)
+    }
+
+    let responseBody = null
+    const originalJson = res.json.bind(res)
+    res.json = (body) => {
+      responseBody = body
+      return originalJson(body)
+    }
+
+    res.on('finish', async () => {
+      if (res.statusCode < 200 || res.statusCode >= 300 || responseBody?.success === false) {
+        return
+      }
+
+      try {
+        const ids = snapshots.size > 0 ? [...snapshots.keys()] : getCreatedIds(responseBody)
+        const actor = req.admin?.username || 'unknown'
+        const ip = await ipHelper.resolveClientIP(req)
+        const route = `${req.method} ${req.baseUrl}${req.route?.path || ''}`
+
+        for (const id of ids) {
+          await auditLogService.record({
+            action,
+            resourceType,
+            resourceId: id,
+            before: snapshots.get(id) || null,
+            after: await auditLogService.loadResource(resourceType, id),
+            actor,
+            ip,
+            route
+          })
+        }
+      } catch (error) {
+        logger.error(`❌ Failed to write audit log for ${resourceType}:`, error)
+      }
+    })
+
+    return next()
+  }
+}
+
+module.exports = {
+  auditAdminChange
+}
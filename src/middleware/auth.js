@@ -8,6 +8,18 @@ const redis = require('../models/redis')
 const ClientValidator = require('../validators/clientValidator')
 const ClaudeCodeValidator = require('../validators/clients/claudeCodeValidator')
 const claudeRelayConfigService = require('../services/claudeRelayConfigService')
+const metricsService = require('../services/metricsService')
+const twoFactorService = require('../services/twoFactorService')
+const ipAccessService = require('../services/ipAccessService')
+const costBudgetService = require('../services/costBudgetService')
+const pricingService = require('../services/pricingService')
+const teamService = require('../services/teamService')
+const captureService = require('../services/captureService')
+const adminIdentityService = require('../services/adminIdentityService')
+const { resolveRequiredScope, hasScope } = require('../utils/adminPermissions')
+const { resolveDowngradedModel } = require('../utils/modelDowngradeHelper')
+const { resolveBudgetDowngradeModel } = require('../utils/costBudgetHelper')
+const ipHelper = require('../utils/ipHelper')
 
 const FALLBACK_CONCURRENCY_CONFIG = {
   leaseSeconds: 300,
@@ -128,6 +140,21 @@ function isTokenCountRequest(req) {
   return false
 }
 
+// 📉 改写请求模型（降级），在响应头中标明实际使用的模型，并记录原始模型供用量统计使用
+const rewriteRequestModel = (req, res, targetModel, reason) => {
+  const requestedModel = req.modelDowngrade?.requestedModel || req.body.model
+  req.body.model = targetModel
+  req.modelDowngrade = { requestedModel, model: targetModel, reason }
+  res.setHeader('X-Requested-Model', requestedModel)
+  res.setHeader('X-Actual-Model', targetModel)
+}
+
+// 是否为 Claude 消息请求（/api/v1/messages 或 /claude/v1/messages，不含 count_tokens 与 batches）
+const isClaudeMessagesRequest = (req) => {
+  const path = (req.originalUrl || req.path || '').split('?')[0].toLowerCase()
+  return path === '/api/v1/messages' || path === '/claude/v1/messages'
+}
+
 // 🔑 API Key验证中间件（优化版）
 const authenticateApiKey = async (req, res, next) => {
   const startTime = Date.now()
@@ -170,6 +197,23 @@ const authenticateApiKey = async (req, res, next) => {
       })
     }
 
+    // 🌐 检查 API Key 的来源网段限制（对所有端点生效，包括 token count）
+    if (validation.keyData.allowedNetworks?.length > 0) {
+      const resolvedIP = await ipHelper.resolveClientIP(req)
+      const candidateIps = ipAccessService.getCandidateIps(req, resolvedIP)
+
+      if (!ipAccessService.isKeyAccessAllowed(validation.keyData.allowedNetworks, candidateIps)) {
+        logger.security(
+          `🚫 Network restriction failed for key: ${validation.keyData.id} (${validation.keyData.name}) from ${candidateIps.join(', ')}`
+        )
+        return res.status(403).json({
+          error: 'Network not allowed',
+          message: 'This API key cannot be used from your network',
+          clientIp: resolvedIP
+        })
+      }
+    }
+
     const skipKeyRestrictions = isTokenCountRequest(req)
 
     // 🔢 Token Count 专用限流
@@ -684,6 +728,54 @@ const authenticateApiKey = async (req, res, next) => {
       )
     }
 
+    // 周期预算状态（供模型降级规则与预算检查共用）
+    const { costBudget } = validation.keyData
+    const budgetStatus = costBudget
+      ? await costBudgetService.getBudgetStatus(validation.keyData.id, costBudget)
+      : null
+    // 团队共享 Key 同时受团队周期预算约束
+    const teamBudgetStatus = validation.keyData.teamId
+      ? await teamService.getBudgetStatus(validation.keyData.teamId)
+      : null
+
+    // 模型降级策略：费用或用量接近限制时按规则改写请求模型（需在 Opus 周费用检查之前执行）
+    const { modelDowngradeRules } = validation.keyData
+    if (modelDowngradeRules?.length > 0 && typeof req.body?.model === 'string') {
+      const rateLimitInfo = req.rateLimitInfo || {}
+      const downgrade = resolveDowngradedModel(modelDowngradeRules, req.body.model, {
+        dailyCost: {
+          current: validation.keyData.dailyCost,
+          limit: validation.keyData.dailyCostLimit
+        },
+        totalCost: {
+          current: validation.keyData.totalCost,
+          limit: validation.keyData.totalCostLimit
+        },
+        weeklyOpusCost: {
+          current: validation.keyData.weeklyOpusCost,
+          limit: validation.keyData.weeklyOpusCostLimit
+        },
+        costBudget: budgetStatus
+          ? { current: budgetStatus.spent, limit: budgetStatus.amount }
+          : null,
+        windowCost: { current: rateLimitInfo.currentCost, limit: rateLimitInfo.rateLimitCost },
+        windowRequests: {
+          current: rateLimitInfo.currentRequests,
+          limit: rateLimitInfo.rateLimitRequests
+        }
+      })
+
+      if (downgrade) {
+        const reason = downgrade.steps.map((step) => `${step.metric}>=${step.threshold}%`).join(',')
+        logger.api(
+          `📉 Model downgraded for key: ${validation.keyData.id} (${
+            validation.keyData.name
+          }), ${[req.body.model, ...downgrade.steps.map((step) => step.to)].join(' -> ')} (${reason})`
+        )
+        rewriteRequestModel(req, res, downgrade.model, reason)
+      }
+    }
+
     // 检查 Opus 周费用限制（仅对 Opus 模型生效）
     const weeklyOpusCostLimit = validation.keyData.weeklyOpusCostLimit || 0
     if (weeklyOpusCostLimit > 0) {
@@ -728,6 +820,64 @@ const authenticateApiKey = async (req, res, next) => {
       }
     }
 
+    // 检查周期预算（按月或自定义周期重置），超出后按配置拦截、降级模型或仅提示；
+    // 团队共享 Key 先检查自身预算，再检查团队预算
+    const budgetChecks = [
+      { status: budgetStatus, label: 'Cost budget', scope: '周期预算', reason: 'costBudget' },
+      {
+        status: teamBudgetStatus,
+        label: 'Team cost budget',
+        scope: '团队周期预算',
+        reason: 'teamCostBudget'
+      }
+    ].filter((check) => check.status)
+
+    for (const { status, label, scope, reason } of budgetChecks) {
+      const budgetSummary = `$${status.spent.toFixed(2)}/$${status.amount}`
+
+      if (status.exceeded) {
+        // 降级只改写 Claude 消息请求，且仅当请求模型与降级模型同系列时生效；
+        // 其他路由或无法降级的模型按拦截处理，避免超出预算后继续按原模型计费
+        const requestedModel = req.body?.model
+        const downgradeModel =
+          status.action === 'downgrade' && isClaudeMessagesRequest(req)
+            ? resolveBudgetDowngradeModel(requestedModel, status.downgradeModel, (model) =>
+                pricingService.getModelPricing(model)
+              )
+            : null
+
+        if (status.action === 'block' || (status.action === 'downgrade' && !downgradeModel)) {
+          logger.security(
+            `💰 ${label} exceeded for key: ${validation.keyData.id} (${
+              validation.keyData.name
+            }), cost: ${budgetSummary}`
+          )
+
+          return res.status(429).json({
+            error: `${label} exceeded`,
+            message: `已达到${scope} ($${status.amount})，将于 ${status.resetAt} 重置`,
+            currentCost: status.spent,
+            costLimit: status.amount,
+            resetAt: status.resetAt
+          })
+        }
+
+        if (downgradeModel && downgradeModel !== requestedModel) {
+          rewriteRequestModel(req, res, downgradeModel, `${reason}>=100%`)
+          logger.api(
+            `💰 ${label} exceeded for key: ${validation.keyData.id} (${
+              validation.keyData.name
+            }), downgrading ${requestedModel} -> ${downgradeModel}`
+          )
+        }
+
+        res.setHeader(
+          'X-Budget-Warning',
+          `${label} exceeded (${budgetSummary}), resets at ${status.resetAt}`
+        )
+      }
+    }
+
     // 将验证信息添加到请求对象（只包含必要信息）
     req.apiKey = {
       id: validation.keyData.id,
@@ -748,10 +898,21 @@ const authenticateApiKey = async (req, res, next) => {
       restrictedModels: validation.keyData.restrictedModels,
       enableClientRestriction: validation.keyData.enableClientRestriction,
       allowedClients: validation.keyData.allowedClients,
+      fallbackChain: validation.keyData.fallbackChain, // 跨平台降级链
       dailyCostLimit: validation.keyData.dailyCostLimit,
       dailyCost: validation.keyData.dailyCost,
       totalCostLimit: validation.keyData.totalCostLimit,
       totalCost: validation.keyData.totalCost,
+      costBudget: validation.keyData.costBudget, // 周期预算
+      teamId: validation.keyData.teamId, // 所属团队
+      modelDowngrade: req.modelDowngrade || null, // 本次请求的模型降级信息
+      enableResponseCache: validation.keyData.enableResponseCache, // 响应缓存
+      responseCacheTtl: validation.keyData.responseCacheTtl,
+      enableHedging: validation.keyData.enableHedging, // 对冲请求
+      hedgeThresholdMs: validation.keyData.hedgeThresholdMs,
+      messagesBackend: validation.keyData.messagesBackend, // /v1/messages 转发后端
+      messagesBackendModel: validation.keyData.messagesBackendModel,
+      modelRoutingRules: validation.keyData.modelRoutingRules, // 模型路由覆盖规则
       usage: validation.keyData.usage
     }
     req.usage = validation.keyData.usage
@@ -763,7 +924,8 @@ const authenticateApiKey = async (req, res, next) => {
     )
     logger.api(`   User-Agent: "${userAgent}"`)
 
-    return next()
+    // 🎥 开启抓包的 Key / 账户在抓包会话中继续处理
+    return captureService.runWithCapture(req, res, next)
   } catch (error) {
     const authDuration = Date.now() - startTime
     logger.error(`❌ Authentication middleware error (${authDuration}ms):`, {
@@ -781,6 +943,26 @@ const authenticateApiKey = async (req, res, next) => {
   }
 }
 
+// 🛡️ 按路由权限表检查当前管理员的权限，无权限时返回 403
+const checkAdminScope = (req, res) => {
+  const path = req.originalUrl.split('?')[0]
+  const requiredScope = resolveRequiredScope(req.method, path)
+  if (hasScope(req.admin.scopes, requiredScope)) {
+    return true
+  }
+
+  logger.security(
+    `🚫 Admin ${req.admin.username} (role: ${req.admin.role}) denied ${req.method} ${path}, requires ${requiredScope || '*'}`
+  )
+  res.status(403).json({
+    error: 'Insufficient permissions',
+    message: requiredScope
+      ? `This action requires the ${requiredScope} permission`
+      : 'This action requires super admin privileges'
+  })
+  return false
+}
+
 // 🛡️ 管理员验证中间件（优化版）
 const authenticateAdmin = async (req, res, next) => {
   const startTime = Date.now()
@@ -842,6 +1024,35 @@ const authenticateAdmin = async (req, res, next) => {
       })
     }
 
+    // 启用两步验证前签发、未完成两步验证的会话不再有效
+    const twoFactorSubject = twoFactorService.adminSubject(
+      adminSession.username,
+      adminSession.adminId
+    )
+    if (!(await twoFactorService.isSessionAllowed(twoFactorSubject, adminSession))) {
+      logger.security(
+        `🔒 Admin session without two-factor verification for ${adminSession.username} from ${req.ip || 'unknown'}`
+      )
+      await redis.deleteSession(token)
+      return res.status(401).json({
+        error: 'Two-factor authentication required',
+        message: 'Please sign in again with two-factor authentication'
+      })
+    }
+
+    // 每次请求重新读取角色，管理员被删除或禁用后会话立即失效
+    const resolvedAdmin = await adminIdentityService.resolveSessionAdmin(adminSession)
+    if (!resolvedAdmin) {
+      logger.security(
+        `🔒 Session of removed or disabled admin ${adminSession.username} from ${req.ip || 'unknown'}`
+      )
+      await redis.deleteSession(token)
+      return res.status(401).json({
+        error: 'Admin account disabled',
+        message: 'This admin account has been disabled or removed'
+      })
+    }
+
     // 更新最后活动时间（异步，不阻塞请求）
     redis
       .setSession(
@@ -858,8 +1069,10 @@ const authenticateAdmin = async (req, res, next) => {
 
     // 设置管理员信息（只包含必要信息）
     req.admin = {
-      id: adminSession.adminId || 'admin',
-      username: adminSession.username,
+      id: resolvedAdmin.id,
+      username: resolvedAdmin.username,
+      role: resolvedAdmin.role,
+      scopes: resolvedAdmin.scopes,
       sessionId: token,
       loginTime: adminSession.loginTime
     }
@@ -867,7 +1080,7 @@ const authenticateAdmin = async (req, res, next) => {
     const authDuration = Date.now() - startTime
     logger.security(`🔐 Admin authenticated: ${adminSession.username} in ${authDuration}ms`)
 
-    return next()
+    return checkAdminScope(req, res) ? next() : undefined
   } catch (error) {
     const authDuration = Date.now() - startTime
     logger.error(`❌ Admin authentication error (${authDuration}ms):`, {
@@ -990,10 +1203,21 @@ const authenticateUserOrAdmin = async (req, res, next) => {
     if (adminToken) {
       try {
         const adminSession = await redis.getSession(adminToken)
-        if (adminSession && Object.keys(adminSession).length > 0) {
+        const resolvedAdmin =
+          adminSession &&
+          Object.keys(adminSession).length > 0 &&
+          (await twoFactorService.isSessionAllowed(
+            twoFactorService.adminSubject(adminSession.username, adminSession.adminId),
+            adminSession
+          ))
+            ? await adminIdentityService.resolveSessionAdmin(adminSession)
+            : null
+        if (resolvedAdmin) {
           req.admin = {
-            id: adminSession.adminId || 'admin',
-            username: adminSession.username,
+            id: resolvedAdmin.id,
+            username: resolvedAdmin.username,
+            role: resolvedAdmin.role,
+            scopes: resolvedAdmin.scopes,
             sessionId: adminToken,
             loginTime: adminSession.loginTime
           }
@@ -1095,7 +1319,7 @@ const requireRole = (allowedRoles) => (req, res, next) => {
 // 🔒 管理员权限检查中间件
 const requireAdmin = (req, res, next) => {
   if (req.admin) {
-    return next()
+    return checkAdminScope(req, res) ? next() : undefined
   }
 
   // 检查是否是admin角色的用户
@@ -1222,6 +1446,13 @@ const requestLogger = (req, res, next) => {
       logger.api(
         `📱 [${requestId}] Request from ${req.apiKey.name} (${req.apiKey.id}) | ${duration}ms`
       )
+
+      // 📈 记录转发请求指标（仅统计经过 API Key 认证的转发请求）
+      metricsService.recordRelayRequest(
+        metricsService.resolvePlatformFromPath(req.originalUrl),
+        res.statusCode,
+        duration
+      )
     }
 
     // 慢请求警告
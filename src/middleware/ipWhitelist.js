@@ -1,14 +1,22 @@
-const config = require('../../config/config')
 const logger = require('../utils/logger')
 const ipHelper = require('../utils/ipHelper')
+const ipAccessService = require('../services/ipAccessService')
+
+const DENY_MESSAGES = {
+  denylisted: 'Access denied. Your IP address is blocked.',
+  allowlist_empty: 'Access denied. IP address not whitelisted.',
+  not_allowlisted: 'Access denied. Your IP address is not whitelisted.'
+}
 
 /**
- * IP白名单中间件
- * 只允许配置的IP地址访问服务
+ * IP白名单/黑名单中间件
+ * 规则来自 config 与 Redis（管理后台可在线修改），支持单个地址、CIDR 网段与 IPv6 前缀
  */
 async function ipWhitelistMiddleware(req, res, next) {
-  // 如果未启用IP白名单，直接通过
-  if (!config.security?.ipWhitelist?.enabled) {
+  const rules = await ipAccessService.getEffectiveRules()
+
+  // 未启用白名单且没有黑名单，直接通过
+  if (!rules.allowlistEnabled && rules.denyNetworks.length === 0) {
     return next()
   }
 
@@ -17,49 +25,27 @@ async function ipWhitelistMiddleware(req, res, next) {
   // - 检测内网IP并自动替换为服务器公网IP
   // - 支持 X-Forwarded-For 等代理头部
   const clientIp = await ipHelper.resolveClientIP(req)
+  const candidateIps = ipAccessService.getCandidateIps(req, clientIp)
 
-  // 获取白名单列表
-  const whitelist = config.security.ipWhitelist.allowedIps || []
-
-  // 如果白名单为空，记录警告并拒绝所有访问
-  if (whitelist.length === 0) {
-    logger.warn(`🚫 IP Whitelist enabled but no IPs configured. Blocking request from ${clientIp}`)
-    return res.status(403).json({
-      error: 'Forbidden',
-      message: 'Access denied. IP address not whitelisted.',
-      clientIp
-    })
-  }
-
-  // 检查IP是否在白名单中
-  const isAllowed = whitelist.some((allowedIp) => {
-    // 精确匹配
-    if (clientIp === allowedIp) {
-      return true
-    }
-
-    // 处理IPv6映射的IPv4地址 (::ffff:xxx.xxx.xxx.xxx)
-    const ipv4Match = clientIp.match(/::ffff:(.+)/)
-    if (ipv4Match && ipv4Match[1] === allowedIp) {
-      return true
-    }
-
-    return false
-  })
-
-  if (isAllowed) {
-    logger.debug(`✅ IP Whitelist: Allowed request from ${clientIp}`)
+  const result = await ipAccessService.checkGlobalAccess(candidateIps)
+  if (result.allowed) {
+    logger.debug(`✅ IP Whitelist: Allowed request from ${candidateIps.join(', ')}`)
     return next()
   }
 
-  // IP不在白名单中，拒绝访问
-  logger.warn(
-    `🚫 IP Whitelist: Blocked request from ${clientIp} - not in whitelist [${whitelist.join(', ')}]`
-  )
+  if (result.reason === 'allowlist_empty') {
+    logger.warn(`🚫 IP Whitelist enabled but no IPs configured. Blocking request from ${clientIp}`)
+  } else if (result.reason === 'denylisted') {
+    logger.security(`🚫 IP Denylist: Blocked request from ${candidateIps.join(', ')}`)
+  } else {
+    logger.warn(
+      `🚫 IP Whitelist: Blocked request from ${candidateIps.join(', ')} - not in whitelist [${rules.allowlist.join(', ')}]`
+    )
+  }
 
   return res.status(403).json({
     error: 'Forbidden',
-    message: 'Access denied. Your IP address is not whitelisted.',
+    message: DENY_MESSAGES[result.reason],
     clientIp
   })
 }
@@ -0,0 +1,128 @@
+const logger = require('../utils/logger')
+const responseCacheService = require('../services/responseCacheService')
+const apiKeyService = require('../services/apiKeyService')
+
+// 回放时需要还原的响应头
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  Connection: 'keep-alive',
+  'X-Accel-Buffering': 'no'
+}
+
+/**
+ * 命中时回放缓存的响应（JSON 或录制的 SSE 流），并记录一次零费用的使用
+ */
+function replayCachedResponse(req, res, entry) {
+  if (entry.stream) {
+    res.writeHead(200, { ...SSE_HEADERS, 'X-Cache': 'HIT' })
+  } else {
+    res.writeHead(200, {
+      'Content-Type': entry.contentType || 'application/json',
+      'X-Cache': 'HIT'
+    })
+  }
+  res.end(entry.body)
+
+  apiKeyService
+    .recordCacheHit(req.apiKey.id, entry.model || req.body.model)
+    .catch((error) => logger.error('❌ Failed to record cache hit usage:', error))
+}
+
+/**
+ * 未命中时录制写出的响应，请求成功完成后写入缓存
+ */
+function recordResponse(req, res, cacheKey) {
+  const { maxEntryBytes } = responseCacheService.getSettings()
+  const chunks = []
+  let size = 0
+  let overflow = false
+
+  const capture = (chunk, encoding) => {
+    if (overflow || chunk === undefined || chunk === null || typeof chunk === 'function') {
+      return
+    }
+    const buffer = Buffer.isBuffer(chunk)
+      ? chunk
+      : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8')
+    size += buffer.length
+    if (size > maxEntryBytes) {
+      // 超出单条上限后不再录制，释放已录制的数据
+      overflow = true
+      chunks.length = 0
+      return
+    }
+    chunks.push(buffer)
+  }
+
+  const originalWrite = res.write
+  const originalEnd = res.end
+  res.write = function (chunk, encoding, ...rest) {
+    capture(chunk, encoding)
+    return originalWrite.call(this, chunk, encoding, ...rest)
+  }
+  res.end = function (chunk, encoding, ...rest) {
+    capture(chunk, encoding)
+    return originalEnd.call(this, chunk, encoding, ...rest)
+  }
+
+  res.setHeader('X-Cache', 'MISS')
+
+  res.once('finish', () => {
+    if (overflow || res.statusCode !== 200 || chunks.length === 0) {
+      return
+    }
+    const body = Buffer.concat(chunks).toString('utf8')
+    const stream = req.body.stream === true
+    // 流中途出现错误事件时不缓存
+    if (stream && /event:\s*error/.test(body)) {
+      return
+    }
+
+    responseCacheService
+      .set(
+        cacheKey,
+        {
+          contentType: res.getHeader('content-type') || null,
+          stream,
+          model: req.body.model,
+          body
+        },
+        responseCacheService.getTtl(req.apiKey)
+      )
+      .catch((error) => logger.error('❌ Failed to store cached response:', error))
+  })
+}
+
+/**
+ * 响应缓存中间件（需放在 authenticateApiKey 之后）
+ * 仅对开启了响应缓存的 API Key、且 temperature 为 0 的请求生效
+ */
+async function responseCacheMiddleware(req, res, next) {
+  if (!responseCacheService.isCacheable(req.apiKey, req.body)) {
+    return next()
+  }
+
+  let cacheKey
+  try {
+    cacheKey = responseCacheService.buildCacheKey(req.apiKey.id, req.body)
+    const entry = await responseCacheService.get(cacheKey)
+    if (entry) {
+      await responseCacheService.recordLookup('hits')
+      logger.api(`🗄️ Response cache hit for key: ${req.apiKey.id}, model: ${req.body.model}`)
+      return replayCachedResponse(req, res, entry)
+    }
+    await responseCacheService.recordLookup('misses')
+  } catch (error) {
+    // 缓存不可用时直接转发上游
+    logger.error('❌ Response cache lookup failed:', error)
+    return next()
+  }
+
+  recordResponse(req, res, cacheKey)
+  return next()
+}
+
+module.exports = {
+  responseCacheMiddleware
+}
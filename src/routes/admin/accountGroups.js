@@ -5,22 +5,30 @@ const claudeConsoleAccountService = require('../../services/claudeConsoleAccount
 const geminiAccountService = require('../../services/geminiAccountService')
 const openaiAccountService = require('../../services/openaiAccountService')
 const droidAccountService = require('../../services/droidAccountService')
+const requestTransformService = require('../../services/requestTransformService')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const logger = require('../../utils/logger')
 
 const router = express.Router()
 
+// 📋 审计：记录分组的增删改
+const auditGroupChange = auditAdminChange('account_group')
+
 // 👥 账户分组管理
 
 // 创建账户分组
-router.post('/', authenticateAdmin, async (req, res) => {
+router.post('/', authenticateAdmin, auditGroupChange, async (req, res) => {
   try {
-    const { name, platform, description } = req.body
+    const { name, platform, description, fallbackChain, schedulingStrategy, teamId } = req.body
 
     const group = await accountGroupService.createGroup({
       name,
       platform,
-      description
+      description,
+      fallbackChain,
+      schedulingStrategy,
+      teamId
     })
 
     return res.json({ success: true, data: group })
@@ -60,7 +68,7 @@ router.get('/:groupId', authenticateAdmin, async (req, res) => {
 })
 
 // 更新分组
-router.put('/:groupId', authenticateAdmin, async (req, res) => {
+router.put('/:groupId', authenticateAdmin, auditGroupChange, async (req, res) => {
   try {
     const { groupId } = req.params
     const updates = req.body
@@ -74,10 +82,12 @@ router.put('/:groupId', authenticateAdmin, async (req, res) => {
 })
 
 // 删除分组
-router.delete('/:groupId', authenticateAdmin, async (req, res) => {
+router.delete('/:groupId', authenticateAdmin, auditGroupChange, async (req, res) => {
   try {
     const { groupId } = req.params
     await accountGroupService.deleteGroup(groupId)
+    // 清理分组上配置的请求转换规则
+    await requestTransformService.setRules('group', groupId, [], req.admin?.username || 'admin')
     return res.json({ success: true, message: '分组删除成功' })
   } catch (error) {
     logger.error('❌ Failed to delete account group:', error)
@@ -0,0 +1,129 @@
+/**
+ * Admin Routes - 管理员账号
+ * 管理员账号的增删改与内置角色列表，只有拥有 admins:manage 权限的管理员可以访问
+ */
+
+const express = require('express')
+const config = require('../../../config/config')
+const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
+const adminIdentityService = require('../../services/adminIdentityService')
+const { ADMIN_SCOPES } = require('../../utils/adminPermissions')
+const logger = require('../../utils/logger')
+
+const router = express.Router()
+
+// 📋 审计：创建时路由中还没有用户名，从请求体中读取
+const auditIdentityChange = auditAdminChange('admin_identity', {
+  resolveIds: (req) => [req.params.username || req.body?.username?.trim()].filter(Boolean)
+})
+
+// 服务层冲突返回 409，管理员不存在返回 404，其余校验错误返回 400
+function sendServiceError(res, error, fallbackMessage) {
+  if (error.statusCode === 409) {
+    return res.status(409).json({ error: 'Conflict', message: error.message })
+  }
+  if (error.statusCode === 404) {
+    return res.status(404).json({ error: 'Admin not found', message: error.message })
+  }
+  return res.status(400).json({ error: fallbackMessage, message: error.message })
+}
+
+/**
+ * GET /admin/admin-identities
+ * 管理员列表，附带内置角色与权限说明
+ */
+router.get('/admin-identities', authenticateAdmin, async (req, res) => {
+  try {
+    const identities = await adminIdentityService.listIdentities()
+    return res.json({
+      success: true,
+      data: identities,
+      roles: adminIdentityService.getRoles(),
+      scopes: ADMIN_SCOPES
+    })
+  } catch (error) {
+    logger.error('❌ Failed to get admin identities:', error)
+    return res.status(500).json({ error: 'Failed to get admin identities', message: error.message })
+  }
+})
+
+/**
+ * POST /admin/admin-identities
+ * 创建管理员
+ */
+router.post('/admin-identities', authenticateAdmin, auditIdentityChange, async (req, res) => {
+  try {
+    const { username, password, role, displayName } = req.body
+    const identity = await adminIdentityService.createIdentity(
+      { username, password, role, displayName },
+      req.admin?.username || 'admin'
+    )
+    return res.json({ success: true, data: identity })
+  } catch (error) {
+    logger.error('❌ Failed to create admin identity:', error)
+    return sendServiceError(res, error, 'Failed to create admin identity')
+  }
+})
+
+/**
+ * PUT /admin/admin-identities/:username
+ * 修改角色、显示名、启用状态、重置密码，或通过 oidcSubject 关联 / 解除 IdP 身份
+ */
+router.put(
+  '/admin-identities/:username',
+  authenticateAdmin,
+  auditIdentityChange,
+  async (req, res) => {
+    try {
+      if (req.params.username === req.admin?.username && req.body.isActive === false) {
+        return res.status(400).json({
+          error: 'Failed to update admin identity',
+          message: '不能禁用当前登录的管理员'
+        })
+      }
+
+      const { role, displayName, isActive, password, oidcSubject } = req.body
+      const identity = await adminIdentityService.updateIdentity(req.params.username, {
+        role,
+        displayName,
+        isActive,
+        password,
+        oidcIssuer: config.oidc?.issuer,
+        oidcSubject
+      })
+      return res.json({ success: true, data: identity })
+    } catch (error) {
+      logger.error('❌ Failed to update admin identity:', error)
+      return sendServiceError(res, error, 'Failed to update admin identity')
+    }
+  }
+)
+
+/**
+ * DELETE /admin/admin-identities/:username
+ * 删除管理员，其会话在下次请求时失效
+ */
+router.delete(
+  '/admin-identities/:username',
+  authenticateAdmin,
+  auditIdentityChange,
+  async (req, res) => {
+    try {
+      if (req.params.username === req.admin?.username) {
+        return res.status(400).json({
+          error: 'Failed to delete admin identity',
+          message: '不能删除当前登录的管理员'
+        })
+      }
+
+      await adminIdentityService.deleteIdentity(req.params.username)
+      return res.json({ success: true, message: 'Admin identity deleted' })
+    } catch (error) {
+      logger.error('❌ Failed to delete admin identity:', error)
+      return sendServiceError(res, error, 'Failed to delete admin identity')
+    }
+  }
+)
+
+module.exports = router
@@ -0,0 +1,94 @@
+/**
+ * Admin Routes - API Key 申请审批
+ * 用户提交的 Key 申请队列，管理员可按申请内容批准、调整限额与账户绑定后批准，或拒绝
+ */
+
+const express = require('express')
+const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
+const apiKeyRequestService = require('../../services/apiKeyRequestService')
+const logger = require('../../utils/logger')
+
+const router = express.Router()
+
+// 📋 审计：审批改变申请状态，批准时创建的 Key 记录在申请的 apiKeyId 中
+const auditRequestReview = auditAdminChange('api_key_request', {
+  idParam: 'requestId',
+  action: 'update'
+})
+
+// 服务层 404 / 409（已处理、正在被其他管理员处理、申请人已禁用）原样返回，其余校验错误返回 400
+function sendServiceError(res, error, fallbackMessage) {
+  if (error.statusCode === 404) {
+    return res.status(404).json({ error: 'Request not found', message: error.message })
+  }
+  if (error.statusCode === 409) {
+    return res.status(409).json({ error: 'Conflict', message: error.message })
+  }
+  return res.status(400).json({ error: fallbackMessage, message: error.message })
+}
+
+/**
+ * GET /admin/api-key-requests
+ * 申请列表，可按 status 过滤（pending / approved / rejected / cancelled）
+ */
+router.get('/api-key-requests', authenticateAdmin, async (req, res) => {
+  try {
+    const [data, pendingCount] = await Promise.all([
+      apiKeyRequestService.listRequests({ status: req.query.status }),
+      apiKeyRequestService.getPendingCount()
+    ])
+    return res.json({ success: true, data, pendingCount })
+  } catch (error) {
+    logger.error('❌ Failed to get API key requests:', error)
+    return res.status(500).json({ error: 'Failed to get API key requests', message: error.message })
+  }
+})
+
+/**
+ * POST /admin/api-key-requests/:requestId/approve
+ * 批准申请：请求体中的字段覆盖申请内容（名称、限额、模型限制、账户绑定），reviewNote 为审批备注
+ */
+router.post(
+  '/api-key-requests/:requestId/approve',
+  authenticateAdmin,
+  auditRequestReview,
+  async (req, res) => {
+    try {
+      const result = await apiKeyRequestService.approveRequest(
+        req.params.requestId,
+        req.body || {},
+        req.admin?.username || 'admin'
+      )
+      return res.json({ success: true, data: result.request, apiKey: result.apiKey })
+    } catch (error) {
+      logger.error('❌ Failed to approve API key request:', error)
+      return sendServiceError(res, error, 'Failed to approve API key request')
+    }
+  }
+)
+
+/**
+ * POST /admin/api-key-requests/:requestId/reject
+ * 拒绝申请
+ */
+router.post(
+  '/api-key-requests/:requestId/reject',
+  authenticateAdmin,
+  auditRequestReview,
+  async (req, res) => {
+    try {
+      const request = await apiKeyRequestService.rejectRequest(
+        req.params.requestId,
+        req.body?.reviewNote,
+        req.admin?.username || 'admin'
+      )
+      return res.json({ success: true, data: request })
+    } catch (error) {
+      logger.error('❌ Failed to reject API key request:', error)
+      return sendServiceError(res, error, 'Failed to reject API key request')
+    }
+  }
+)
+
+module.exports = router
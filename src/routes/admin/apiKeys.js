@@ -2,9 +2,31 @@ const express = require('express')
 const apiKeyService = require('../../services/apiKeyService')
 const redis = require('../../models/redis')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const logger = require('../../utils/logger')
 const CostCalculator = require('../../utils/costCalculator')
 const config = require('../../../config/config')
+const { normalizeFallbackChain } = require('../../utils/fallbackChainHelper')
+const { normalizeCostBudget } = require('../../utils/costBudgetHelper')
+const { normalizeModelDowngradeRules } = require('../../utils/modelDowngradeHelper')
+const { normalizeNetworkList } = require('../../utils/ipNetworkHelper')
+const messagesBackendRelayService = require('../../services/messagesBackendRelayService')
+const accountGroupService = require('../../services/accountGroupService')
+const teamService = require('../../services/teamService')
+const { normalizeModelRoutingRules } = require('../../utils/modelRoutingHelper')
+
+// 📋 审计：批量操作从请求体 keyIds 解析受影响的 Key，清空回收站前解析所有已删除的 Key
+const auditKeyChange = auditAdminChange('api_key')
+const auditKeyRestore = auditAdminChange('api_key', { action: 'restore' })
+const auditKeyBatchChange = auditAdminChange('api_key', {
+  resolveIds: (req) => (Array.isArray(req.body?.keyIds) ? req.body.keyIds : [])
+})
+const auditKeyPurge = auditAdminChange('api_key', {
+  resolveIds: async () => {
+    const allKeys = await apiKeyService.getAllApiKeys(true)
+    return allKeys.filter((key) => key.isDeleted === 'true').map((key) => key.id)
+  }
+})
 
 const router = express.Router()
 
@@ -1211,7 +1233,7 @@ router.post('/api-keys/batch-last-usage', authenticateAdmin, async (req, res) =>
 })
 
 // 创建新的API Key
-router.post('/api-keys', authenticateAdmin, async (req, res) => {
+router.post('/api-keys', authenticateAdmin, auditKeyChange, async (req, res) => {
   try {
     const {
       name,
@@ -1233,14 +1255,26 @@ router.post('/api-keys', authenticateAdmin, async (req, res) => {
       restrictedModels,
       enableClientRestriction,
       allowedClients,
+      allowedNetworks, // 新增：允许的来源网段
+      fallbackChain, // 新增：跨平台降级链
+      modelDowngradeRules, // 新增：模型降级规则
+      enableResponseCache, // 新增：响应缓存开关
+      responseCacheTtl, // 新增：响应缓存时长（秒）
+      enableHedging, // 新增：对冲请求开关
+      hedgeThresholdMs, // 新增：对冲触发阈值（毫秒）
+      messagesBackend, // 新增：/v1/messages 转发后端
+      messagesBackendModel, // 新增：转发目标模型
+      modelRoutingRules, // 新增：模型路由覆盖规则
       dailyCostLimit,
       totalCostLimit,
       weeklyOpusCostLimit,
+      costBudget, // 新增：周期预算
       tags,
       activationDays, // 新增：激活后有效天数
       activationUnit, // 新增：激活时间单位 (hours/days)
       expirationMode, // 新增：过期模式
-      icon // 新增：图标
+      icon, // 新增：图标
+      teamId // 新增：所属团队
     } = req.body
 
     // 输入验证
@@ -1300,6 +1334,56 @@ router.post('/api-keys', authenticateAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Restricted models must be an array' })
     }
 
+    // 验证响应缓存字段
+    if (enableResponseCache !== undefined && typeof enableResponseCache !== 'boolean') {
+      return res.status(400).json({ error: 'Enable response cache must be a boolean' })
+    }
+
+    if (
+      responseCacheTtl !== undefined &&
+      responseCacheTtl !== null &&
+      responseCacheTtl !== '' &&
+      (!Number.isInteger(Number(responseCacheTtl)) || Number(responseCacheTtl) < 0)
+    ) {
+      return res.status(400).json({ error: 'Response cache TTL must be a non-negative integer' })
+    }
+
+    // 验证对冲请求字段
+    if (enableHedging !== undefined && typeof enableHedging !== 'boolean') {
+      return res.status(400).json({ error: 'Enable hedging must be a boolean' })
+    }
+
+    if (
+      hedgeThresholdMs !== undefined &&
+      hedgeThresholdMs !== null &&
+      hedgeThresholdMs !== '' &&
+      (!Number.isInteger(Number(hedgeThresholdMs)) || Number(hedgeThresholdMs) < 0)
+    ) {
+      return res.status(400).json({ error: 'Hedge threshold must be a non-negative integer' })
+    }
+
+    // 验证 /v1/messages 转发后端
+    if (
+      messagesBackend !== undefined &&
+      messagesBackend !== null &&
+      messagesBackend !== '' &&
+      !messagesBackendRelayService.getBackends().includes(messagesBackend)
+    ) {
+      return res.status(400).json({
+        error: `Messages backend must be one of: ${messagesBackendRelayService.getBackends().join(', ')}`
+      })
+    }
+
+    if (
+      messagesBackendModel !== undefined &&
+      messagesBackendModel !== null &&
+      (typeof messagesBackendModel !== 'string' || messagesBackendModel.length > 100)
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'Messages backend model must be a string of at most 100 characters' })
+    }
+
     // 验证客户端限制字段
     if (enableClientRestriction !== undefined && typeof enableClientRestriction !== 'boolean') {
       return res.status(400).json({ error: 'Enable client restriction must be a boolean' })
@@ -1318,6 +1402,40 @@ router.post('/api-keys', authenticateAdmin, async (req, res) => {
       return res.status(400).json({ error: 'All tags must be non-empty strings' })
     }
 
+    // 验证降级链字段
+    let normalizedFallbackChain = []
+    try {
+      normalizedFallbackChain = normalizeFallbackChain(fallbackChain)
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message })
+    }
+
+    // 验证来源网段字段
+    let normalizedAllowedNetworks = []
+    try {
+      normalizedAllowedNetworks = normalizeNetworkList(allowedNetworks, 'allowedNetworks')
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message })
+    }
+
+    // 验证周期预算字段
+    let normalizedCostBudget = null
+    try {
+      normalizedCostBudget = normalizeCostBudget(costBudget)
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message })
+    }
+
+    // 验证模型降级规则与模型路由覆盖规则
+    let normalizedModelDowngradeRules = []
+    let normalizedModelRoutingRules = []
+    try {
+      normalizedModelDowngradeRules = normalizeModelDowngradeRules(modelDowngradeRules)
+      normalizedModelRoutingRules = normalizeModelRoutingRules(modelRoutingRules)
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message })
+    }
+
     if (
       totalCostLimit !== undefined &&
       totalCostLimit !== null &&
@@ -1373,6 +1491,19 @@ router.post('/api-keys', authenticateAdmin, async (req, res) => {
       })
     }
 
+    // 验证所属团队与分组绑定（团队专属分组只能由该团队的 Key 绑定）
+    if (teamId && !(await teamService.getTeam(teamId))) {
+      return res.status(400).json({ error: 'Team not found' })
+    }
+    try {
+      await accountGroupService.validateKeyGroupBindings(
+        { claudeAccountId, geminiAccountId, openaiAccountId, droidAccountId },
+        teamId
+      )
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message })
+    }
+
     const newKey = await apiKeyService.generateApiKey({
       name,
       description,
@@ -1393,14 +1524,26 @@ router.post('/api-keys', authenticateAdmin, async (req, res) => {
       restrictedModels,
       enableClientRestriction,
       allowedClients,
+      allowedNetworks: normalizedAllowedNetworks,
+      fallbackChain: normalizedFallbackChain,
+      modelDowngradeRules: normalizedModelDowngradeRules,
+      enableResponseCache,
+      responseCacheTtl,
+      enableHedging,
+      hedgeThresholdMs,
+      messagesBackend,
+      messagesBackendModel,
+      modelRoutingRules: normalizedModelRoutingRules,
       dailyCostLimit,
       totalCostLimit,
       weeklyOpusCostLimit,
+      costBudget: normalizedCostBudget,
       tags,
       activationDays,
       activationUnit,
       expirationMode,
-      icon
+      icon,
+      teamId
     })
 
     logger.success(`🔑 Admin created new API key: ${name}`)
@@ -1412,7 +1555,7 @@ router.post('/api-keys', authenticateAdmin, async (req, res) => {
 })
 
 // 批量创建API Keys
-router.post('/api-keys/batch', authenticateAdmin, async (req, res) => {
+router.post('/api-keys/batch', authenticateAdmin, auditKeyChange, async (req, res) => {
   try {
     const {
       baseName,
@@ -1435,9 +1578,19 @@ router.post('/api-keys/batch', authenticateAdmin, async (req, res) => {
       restrictedModels,
       enableClientRestriction,
       allowedClients,
+      allowedNetworks,
+      modelDowngradeRules,
+      enableResponseCache,
+      responseCacheTtl,
+      enableHedging,
+      hedgeThresholdMs,
+      messagesBackend,
+      messagesBackendModel,
+      modelRoutingRules,
       dailyCostLimit,
       totalCostLimit,
       weeklyOpusCostLimit,
+      costBudget,
       tags,
       activationDays,
       activationUnit,
@@ -1471,6 +1624,25 @@ router.post('/api-keys/batch', authenticateAdmin, async (req, res) => {
       })
     }
 
+    let normalizedAllowedNetworks = []
+    let normalizedCostBudget = null
+    let normalizedModelDowngradeRules = []
+    let normalizedModelRoutingRules = []
+    try {
+      normalizedAllowedNetworks = normalizeNetworkList(allowedNetworks, 'allowedNetworks')
+      normalizedCostBudget = normalizeCostBudget(costBudget)
+      normalizedModelDowngradeRules = normalizeModelDowngradeRules(modelDowngradeRules)
+      normalizedModelRoutingRules = normalizeModelRoutingRules(modelRoutingRules)
+      await accountGroupService.validateKeyGroupBindings({
+        claudeAccountId,
+        geminiAccountId,
+        openaiAccountId,
+        droidAccountId
+      })
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message })
+    }
+
     // 生成批量API Keys
     const createdKeys = []
     const errors = []
@@ -1498,9 +1670,19 @@ router.post('/api-keys/batch', authenticateAdmin, async (req, res) => {
           restrictedModels,
           enableClientRestriction,
           allowedClients,
+          allowedNetworks: normalizedAllowedNetworks,
+          modelDowngradeRules: normalizedModelDowngradeRules,
+          enableResponseCache,
+          responseCacheTtl,
+          enableHedging,
+          hedgeThresholdMs,
+          messagesBackend,
+          messagesBackendModel,
+          modelRoutingRules: normalizedModelRoutingRules,
           dailyCostLimit,
           totalCostLimit,
           weeklyOpusCostLimit,
+          costBudget: normalizedCostBudget,
           tags,
           activationDays,
           activationUnit,
@@ -1553,7 +1735,7 @@ router.post('/api-keys/batch', authenticateAdmin, async (req, res) => {
 })
 
 // 批量编辑API Keys
-router.put('/api-keys/batch', authenticateAdmin, async (req, res) => {
+router.put('/api-keys/batch', authenticateAdmin, auditKeyBatchChange, async (req, res) => {
   try {
     const { keyIds, updates } = req.body
 
@@ -1580,6 +1762,27 @@ router.put('/api-keys/batch', authenticateAdmin, async (req, res) => {
       })
     }
 
+    let batchAllowedNetworks
+    let batchCostBudget
+    let batchModelDowngradeRules
+    let batchModelRoutingRules
+    try {
+      if (updates.allowedNetworks !== undefined) {
+        batchAllowedNetworks = normalizeNetworkList(updates.allowedNetworks, 'allowedNetworks')
+      }
+      if (updates.costBudget !== undefined) {
+        batchCostBudget = normalizeCostBudget(updates.costBudget)
+      }
+      if (updates.modelDowngradeRules !== undefined) {
+        batchModelDowngradeRules = normalizeModelDowngradeRules(updates.modelDowngradeRules)
+      }
+      if (updates.modelRoutingRules !== undefined) {
+        batchModelRoutingRules = normalizeModelRoutingRules(updates.modelRoutingRules)
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message })
+    }
+
     logger.info(
       `🔄 Admin batch editing ${keyIds.length} API keys with updates: ${JSON.stringify(updates)}`
     )
@@ -1648,6 +1851,39 @@ router.put('/api-keys/batch', authenticateAdmin, async (req, res) => {
         if (updates.enabled !== undefined) {
           finalUpdates.enabled = updates.enabled
         }
+        if (batchAllowedNetworks !== undefined) {
+          finalUpdates.allowedNetworks = batchAllowedNetworks
+        }
+        if (batchCostBudget !== undefined) {
+          finalUpdates.costBudget = batchCostBudget
+        }
+        if (batchModelDowngradeRules !== undefined) {
+          finalUpdates.modelDowngradeRules = batchModelDowngradeRules
+        }
+        if (typeof updates.enableResponseCache === 'boolean') {
+          finalUpdates.enableResponseCache = updates.enableResponseCache
+        }
+        if (updates.responseCacheTtl !== undefined && updates.responseCacheTtl !== '') {
+          finalUpdates.responseCacheTtl = Math.max(0, parseInt(updates.responseCacheTtl) || 0)
+        }
+        if (typeof updates.enableHedging === 'boolean') {
+          finalUpdates.enableHedging = updates.enableHedging
+        }
+        if (updates.hedgeThresholdMs !== undefined && updates.hedgeThresholdMs !== '') {
+          finalUpdates.hedgeThresholdMs = Math.max(0, parseInt(updates.hedgeThresholdMs) || 0)
+        }
+        if (
+          updates.messagesBackend === '' ||
+          messagesBackendRelayService.getBackends().includes(updates.messagesBackend)
+        ) {
+          finalUpdates.messagesBackend = updates.messagesBackend
+        }
+        if (typeof updates.messagesBackendModel === 'string') {
+          finalUpdates.messagesBackendModel = updates.messagesBackendModel.trim().slice(0, 100)
+        }
+        if (batchModelRoutingRules !== undefined) {
+          finalUpdates.modelRoutingRules = batchModelRoutingRules
+        }
 
         // 处理账户绑定
         if (updates.claudeAccountId !== undefined) {
@@ -1701,6 +1937,12 @@ router.put('/api-keys/batch', authenticateAdmin, async (req, res) => {
           }
         }
 
+        // 团队专属分组只能由该团队的 Key 绑定
+        await accountGroupService.validateKeyGroupBindings(
+          { ...currentKey, ...finalUpdates },
+          currentKey.teamId
+        )
+
         // 执行更新
         await apiKeyService.updateApiKey(keyId, finalUpdates)
         results.successCount++
@@ -1738,7 +1980,7 @@ router.put('/api-keys/batch', authenticateAdmin, async (req, res) => {
 })
 
 // 更新API Key
-router.put('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
+router.put('/api-keys/:keyId', authenticateAdmin, auditKeyChange, async (req, res) => {
   try {
     const { keyId } = req.params
     const {
@@ -1760,12 +2002,24 @@ router.put('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
       restrictedModels,
       enableClientRestriction,
       allowedClients,
+      allowedNetworks, // 新增：允许的来源网段
+      fallbackChain, // 新增：跨平台降级链
+      modelDowngradeRules, // 新增：模型降级规则
+      enableResponseCache, // 新增：响应缓存开关
+      responseCacheTtl, // 新增：响应缓存时长（秒）
+      enableHedging, // 新增：对冲请求开关
+      hedgeThresholdMs, // 新增：对冲触发阈值（毫秒）
+      messagesBackend, // 新增：/v1/messages 转发后端
+      messagesBackendModel, // 新增：转发目标模型
+      modelRoutingRules, // 新增：模型路由覆盖规则
       expiresAt,
       dailyCostLimit,
       totalCostLimit,
       weeklyOpusCostLimit,
+      costBudget, // 新增：周期预算
       tags,
-      ownerId // 新增：所有者ID字段
+      ownerId, // 新增：所有者ID字段
+      teamId // 新增：所属团队
     } = req.body
 
     // 只允许更新指定字段
@@ -1891,6 +2145,109 @@ router.put('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
       updates.allowedClients = allowedClients
     }
 
+    if (fallbackChain !== undefined) {
+      try {
+        updates.fallbackChain = normalizeFallbackChain(fallbackChain)
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message })
+      }
+    }
+
+    if (allowedNetworks !== undefined) {
+      try {
+        updates.allowedNetworks = normalizeNetworkList(allowedNetworks, 'allowedNetworks')
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message })
+      }
+    }
+
+    if (costBudget !== undefined) {
+      try {
+        updates.costBudget = normalizeCostBudget(costBudget)
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message })
+      }
+    }
+
+    if (modelDowngradeRules !== undefined) {
+      try {
+        updates.modelDowngradeRules = normalizeModelDowngradeRules(modelDowngradeRules)
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message })
+      }
+    }
+
+    // 处理响应缓存字段
+    if (enableResponseCache !== undefined) {
+      if (typeof enableResponseCache !== 'boolean') {
+        return res.status(400).json({ error: 'Enable response cache must be a boolean' })
+      }
+      updates.enableResponseCache = enableResponseCache
+    }
+
+    if (responseCacheTtl !== undefined && responseCacheTtl !== null && responseCacheTtl !== '') {
+      const ttl = Number(responseCacheTtl)
+      if (!Number.isInteger(ttl) || ttl < 0) {
+        return res.status(400).json({ error: 'Response cache TTL must be a non-negative integer' })
+      }
+      updates.responseCacheTtl = ttl
+    }
+
+    // 处理对冲请求字段
+    if (enableHedging !== undefined) {
+      if (typeof enableHedging !== 'boolean') {
+        return res.status(400).json({ error: 'Enable hedging must be a boolean' })
+      }
+      updates.enableHedging = enableHedging
+    }
+
+    if (hedgeThresholdMs !== undefined && hedgeThresholdMs !== null && hedgeThresholdMs !== '') {
+      const threshold = Number(hedgeThresholdMs)
+      if (!Number.isInteger(threshold) || threshold < 0) {
+        return res.status(400).json({ error: 'Hedge threshold must be a non-negative integer' })
+      }
+      updates.hedgeThresholdMs = threshold
+    }
+
+    // 处理 /v1/messages 转发后端
+    if (
+      messagesBackend !== undefined &&
+      messagesBackend !== null &&
+      messagesBackend !== '' &&
+      !messagesBackendRelayService.getBackends().includes(messagesBackend)
+    ) {
+      return res.status(400).json({
+        error: `Messages backend must be one of: ${messagesBackendRelayService.getBackends().join(', ')}`
+      })
+    }
+
+    if (
+      messagesBackendModel !== undefined &&
+      messagesBackendModel !== null &&
+      (typeof messagesBackendModel !== 'string' || messagesBackendModel.length > 100)
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'Messages backend model must be a string of at most 100 characters' })
+    }
+
+    if (messagesBackend !== undefined && messagesBackend !== null) {
+      updates.messagesBackend = messagesBackend
+    }
+
+    if (messagesBackendModel !== undefined && messagesBackendModel !== null) {
+      updates.messagesBackendModel = messagesBackendModel.trim()
+    }
+
+    // 处理模型路由覆盖规则
+    if (modelRoutingRules !== undefined) {
+      try {
+        updates.modelRoutingRules = normalizeModelRoutingRules(modelRoutingRules)
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message })
+      }
+    }
+
     // 处理过期时间字段
     if (expiresAt !== undefined) {
       if (expiresAt === null) {
@@ -1999,6 +2356,28 @@ router.put('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
       }
     }
 
+    // 处理所属团队变更
+    if (teamId !== undefined) {
+      if (teamId && !(await teamService.getTeam(teamId))) {
+        return res.status(400).json({ error: 'Team not found' })
+      }
+      updates.teamId = teamId || ''
+    }
+
+    // 团队专属分组只能由该团队的 Key 绑定
+    const existingKey = await apiKeyService.getApiKeyById(keyId)
+    if (!existingKey) {
+      return res.status(404).json({ error: 'API key not found' })
+    }
+    try {
+      await accountGroupService.validateKeyGroupBindings(
+        { ...existingKey, ...updates },
+        updates.teamId !== undefined ? updates.teamId : existingKey.teamId
+      )
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message })
+    }
+
     await apiKeyService.updateApiKey(keyId, updates)
 
     logger.success(`📝 Admin updated API key: ${keyId}`)
@@ -2010,7 +2389,7 @@ router.put('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
 })
 
 // 修改API Key过期时间（包括手动激活功能）
-router.patch('/api-keys/:keyId/expiration', authenticateAdmin, async (req, res) => {
+router.patch('/api-keys/:keyId/expiration', authenticateAdmin, auditKeyChange, async (req, res) => {
   try {
     const { keyId } = req.params
     const { expiresAt, activateNow } = req.body
@@ -2091,7 +2470,7 @@ router.patch('/api-keys/:keyId/expiration', authenticateAdmin, async (req, res)
 })
 
 // 批量删除API Keys（必须在 :keyId 路由之前定义）
-router.delete('/api-keys/batch', authenticateAdmin, async (req, res) => {
+router.delete('/api-keys/batch', authenticateAdmin, auditKeyBatchChange, async (req, res) => {
   try {
     const { keyIds } = req.body
 
@@ -2193,7 +2572,7 @@ router.delete('/api-keys/batch', authenticateAdmin, async (req, res) => {
 })
 
 // 删除单个API Key（必须在批量删除路由之后定义）
-router.delete('/api-keys/:keyId', authenticateAdmin, async (req, res) => {
+router.delete('/api-keys/:keyId', authenticateAdmin, auditKeyChange, async (req, res) => {
   try {
     const { keyId } = req.params
 
@@ -2234,7 +2613,7 @@ router.get('/api-keys/deleted', authenticateAdmin, async (req, res) => {
 })
 
 // 🔄 恢复已删除的API Key
-router.post('/api-keys/:keyId/restore', authenticateAdmin, async (req, res) => {
+router.post('/api-keys/:keyId/restore', authenticateAdmin, auditKeyRestore, async (req, res) => {
   try {
     const { keyId } = req.params
     const adminUsername = req.session?.admin?.username || 'unknown'
@@ -2280,7 +2659,7 @@ router.post('/api-keys/:keyId/restore', authenticateAdmin, async (req, res) => {
 })
 
 // 🗑️ 彻底删除API Key（物理删除）
-router.delete('/api-keys/:keyId/permanent', authenticateAdmin, async (req, res) => {
+router.delete('/api-keys/:keyId/permanent', authenticateAdmin, auditKeyChange, async (req, res) => {
   try {
     const { keyId } = req.params
     const adminUsername = req.session?.admin?.username || 'unknown'
@@ -2319,7 +2698,7 @@ router.delete('/api-keys/:keyId/permanent', authenticateAdmin, async (req, res)
 })
 
 // 🧹 清空所有已删除的API Keys
-router.delete('/api-keys/deleted/clear-all', authenticateAdmin, async (req, res) => {
+router.delete('/api-keys/deleted/clear-all', authenticateAdmin, auditKeyPurge, async (req, res) => {
   try {
     const adminUsername = req.session?.admin?.username || 'unknown'
 
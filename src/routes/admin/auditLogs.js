@@ -0,0 +1,96 @@
+/**
+ * Admin Routes - 管理操作审计日志
+ * 浏览和筛选 API Key、账户、分组及转发配置的变更历史
+ */
+
+const express = require('express')
+const { authenticateAdmin } = require('../../middleware/auth')
+const auditLogService = require('../../services/auditLogService')
+const logger = require('../../utils/logger')
+
+const router = express.Router()
+
+const parseTime = (value) => {
+  if (!value) {
+    return null
+  }
+  const time = new Date(value).getTime()
+  return Number.isNaN(time) ? null : time
+}
+
+/**
+ * GET /admin/audit-logs
+ * 查询参数：resourceType、resourceId、actor、action、field、startDate、endDate、page、pageSize
+ */
+router.get('/audit-logs', authenticateAdmin, async (req, res) => {
+  try {
+    const { resourceType, resourceId, actor, action, field, startDate, endDate } = req.query
+
+    if (resourceType && !auditLogService.isSupportedResourceType(resourceType)) {
+      return res.status(400).json({
+        error: 'Invalid resourceType',
+        message: `resourceType must be one of: ${auditLogService.getResourceTypes().join(', ')}`
+      })
+    }
+    if (action && !auditLogService.getActions().includes(action)) {
+      return res.status(400).json({
+        error: 'Invalid action',
+        message: `action must be one of: ${auditLogService.getActions().join(', ')}`
+      })
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 50, 1), 200)
+
+    const { entries, total } = await auditLogService.query({
+      resourceType,
+      resourceId,
+      actor,
+      action,
+      field,
+      startTime: parseTime(startDate),
+      endTime: parseTime(endDate),
+      offset: (page - 1) * pageSize,
+      limit: pageSize
+    })
+
+    return res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          pageSize,
+          totalRecords: total,
+          totalPages: Math.max(Math.ceil(total / pageSize), 1)
+        },
+        availableFilters: {
+          resourceTypes: auditLogService.getResourceTypes(),
+          actions: auditLogService.getActions()
+        }
+      }
+    })
+  } catch (error) {
+    logger.error('❌ Failed to query audit logs:', error)
+    return res.status(500).json({ error: 'Failed to query audit logs', message: error.message })
+  }
+})
+
+/**
+ * GET /admin/audit-logs/:entryId
+ * 获取单条审计记录
+ */
+router.get('/audit-logs/:entryId', authenticateAdmin, async (req, res) => {
+  try {
+    const entry = await auditLogService.getEntry(req.params.entryId)
+    if (!entry) {
+      return res.status(404).json({ error: 'Audit log not found' })
+    }
+    return res.json({ success: true, data: entry })
+  } catch (error) {
+    logger.error('❌ Failed to get audit log entry:', error)
+    return res.status(500).json({ error: 'Failed to get audit log entry', message: error.message })
+  }
+})
+
+module.exports = router
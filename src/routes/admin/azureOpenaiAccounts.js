@@ -4,13 +4,18 @@ const accountGroupService = require('../../services/accountGroupService')
 const apiKeyService = require('../../services/apiKeyService')
 const redis = require('../../models/redis')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const logger = require('../../utils/logger')
 const webhookNotifier = require('../../utils/webhookNotifier')
 const axios = require('axios')
 const { formatAccountExpiry, mapExpiryField } = require('./utils')
+const circuitBreakerService = require('../../services/circuitBreakerService')
 
 const router = express.Router()
 
+// 📋 审计：记录增删改及启用/调度状态切换
+const auditAccountChange = auditAdminChange('azure_openai_account')
+
 // 获取所有 Azure OpenAI 账户
 router.get('/azure-openai-accounts', authenticateAdmin, async (req, res) => {
   try {
@@ -90,7 +95,7 @@ router.get('/azure-openai-accounts', authenticateAdmin, async (req, res) => {
 
     res.json({
       success: true,
-      data: accountsWithStats
+      data: await circuitBreakerService.attachStatuses(accountsWithStats)
     })
   } catch (error) {
     logger.error('Failed to fetch Azure OpenAI accounts:', error)
@@ -103,7 +108,7 @@ router.get('/azure-openai-accounts', authenticateAdmin, async (req, res) => {
 })
 
 // 创建 Azure OpenAI 账户
-router.post('/azure-openai-accounts', authenticateAdmin, async (req, res) => {
+router.post('/azure-openai-accounts', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const {
       name,
@@ -225,98 +230,114 @@ router.post('/azure-openai-accounts', authenticateAdmin, async (req, res) => {
 })
 
 // 更新 Azure OpenAI 账户
-router.put('/azure-openai-accounts/:id', authenticateAdmin, async (req, res) => {
-  try {
-    const { id } = req.params
-    const updates = req.body
+router.put(
+  '/azure-openai-accounts/:id',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { id } = req.params
+      const updates = req.body
 
-    // ✅ 【新增】映射字段名:前端的 expiresAt -> 后端的 subscriptionExpiresAt
-    const mappedUpdates = mapExpiryField(updates, 'Azure OpenAI', id)
+      // ✅ 【新增】映射字段名:前端的 expiresAt -> 后端的 subscriptionExpiresAt
+      const mappedUpdates = mapExpiryField(updates, 'Azure OpenAI', id)
 
-    const account = await azureOpenaiAccountService.updateAccount(id, mappedUpdates)
+      const account = await azureOpenaiAccountService.updateAccount(id, mappedUpdates)
 
-    res.json({
-      success: true,
-      data: account,
-      message: 'Azure OpenAI account updated successfully'
-    })
-  } catch (error) {
-    logger.error('Failed to update Azure OpenAI account:', error)
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update account',
-      error: error.message
-    })
+      res.json({
+        success: true,
+        data: account,
+        message: 'Azure OpenAI account updated successfully'
+      })
+    } catch (error) {
+      logger.error('Failed to update Azure OpenAI account:', error)
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update account',
+        error: error.message
+      })
+    }
   }
-})
+)
 
 // 删除 Azure OpenAI 账户
-router.delete('/azure-openai-accounts/:id', authenticateAdmin, async (req, res) => {
-  try {
-    const { id } = req.params
+router.delete(
+  '/azure-openai-accounts/:id',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { id } = req.params
 
-    // 自动解绑所有绑定的 API Keys
-    const unboundCount = await apiKeyService.unbindAccountFromAllKeys(id, 'azure_openai')
+      // 自动解绑所有绑定的 API Keys
+      const unboundCount = await apiKeyService.unbindAccountFromAllKeys(id, 'azure_openai')
 
-    await azureOpenaiAccountService.deleteAccount(id)
+      await azureOpenaiAccountService.deleteAccount(id)
 
-    let message = 'Azure OpenAI账号已成功删除'
-    if (unboundCount > 0) {
-      message += `,${unboundCount} 个 API Key 已切换为共享池模式`
-    }
+      let message = 'Azure OpenAI账号已成功删除'
+      if (unboundCount > 0) {
+        message += `,${unboundCount} 个 API Key 已切换为共享池模式`
+      }
 
-    logger.success(`🗑️ Admin deleted Azure OpenAI account: ${id}, unbound ${unboundCount} keys`)
+      logger.success(`🗑️ Admin deleted Azure OpenAI account: ${id}, unbound ${unboundCount} keys`)
 
-    res.json({
-      success: true,
-      message,
-      unboundKeys: unboundCount
-    })
-  } catch (error) {
-    logger.error('Failed to delete Azure OpenAI account:', error)
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete account',
-      error: error.message
-    })
+      res.json({
+        success: true,
+        message,
+        unboundKeys: unboundCount
+      })
+    } catch (error) {
+      logger.error('Failed to delete Azure OpenAI account:', error)
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete account',
+        error: error.message
+      })
+    }
   }
-})
+)
 
 // 切换 Azure OpenAI 账户状态
-router.put('/azure-openai-accounts/:id/toggle', authenticateAdmin, async (req, res) => {
-  try {
-    const { id } = req.params
+router.put(
+  '/azure-openai-accounts/:id/toggle',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { id } = req.params
+
+      const account = await azureOpenaiAccountService.getAccount(id)
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        })
+      }
+
+      const newStatus = account.isActive === 'true' ? 'false' : 'true'
+      await azureOpenaiAccountService.updateAccount(id, { isActive: newStatus })
 
-    const account = await azureOpenaiAccountService.getAccount(id)
-    if (!account) {
-      return res.status(404).json({
+      res.json({
+        success: true,
+        message: `Account ${newStatus === 'true' ? 'activated' : 'deactivated'} successfully`,
+        isActive: newStatus === 'true'
+      })
+    } catch (error) {
+      logger.error('Failed to toggle Azure OpenAI account status:', error)
+      res.status(500).json({
         success: false,
-        message: 'Account not found'
+        message: 'Failed to toggle account status',
+        error: error.message
       })
     }
-
-    const newStatus = account.isActive === 'true' ? 'false' : 'true'
-    await azureOpenaiAccountService.updateAccount(id, { isActive: newStatus })
-
-    res.json({
-      success: true,
-      message: `Account ${newStatus === 'true' ? 'activated' : 'deactivated'} successfully`,
-      isActive: newStatus === 'true'
-    })
-  } catch (error) {
-    logger.error('Failed to toggle Azure OpenAI account status:', error)
-    res.status(500).json({
-      success: false,
-      message: 'Failed to toggle account status',
-      error: error.message
-    })
   }
-})
+)
 
 // 切换 Azure OpenAI 账户调度状态
 router.put(
   '/azure-openai-accounts/:accountId/toggle-schedulable',
   authenticateAdmin,
+  auditAccountChange,
   async (req, res) => {
     try {
       const { accountId } = req.params
@@ -5,14 +5,21 @@
 
 const express = require('express')
 const router = express.Router()
+
 const bedrockAccountService = require('../../services/bedrockAccountService')
 const apiKeyService = require('../../services/apiKeyService')
 const accountGroupService = require('../../services/accountGroupService')
 const redis = require('../../models/redis')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const logger = require('../../utils/logger')
 const webhookNotifier = require('../../utils/webhookNotifier')
 const { formatAccountExpiry, mapExpiryField } = require('./utils')
+const circuitBreakerService = require('../../services/circuitBreakerService')
+const { ROLE_CREDENTIAL_TYPES, normalizeBedrockOptions } = require('../../utils/bedrockHelper')
+
+// 📋 审计：记录增删改及启用/调度状态切换
+const auditAccountChange = auditAdminChange('bedrock_account')
 
 // ☁️ Bedrock 账户管理
 
@@ -107,7 +114,10 @@ router.get('/', authenticateAdmin, async (req, res) => {
       })
     )
 
-    return res.json({ success: true, data: accountsWithStats })
+    return res.json({
+      success: true,
+      data: await circuitBreakerService.attachStatuses(accountsWithStats)
+    })
   } catch (error) {
     logger.error('❌ Failed to get Bedrock accounts:', error)
     return res.status(500).json({ error: 'Failed to get Bedrock accounts', message: error.message })
@@ -115,7 +125,7 @@ router.get('/', authenticateAdmin, async (req, res) => {
 })
 
 // 创建新的Bedrock账户
-router.post('/', authenticateAdmin, async (req, res) => {
+router.post('/', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const {
       name,
@@ -125,7 +135,10 @@ router.post('/', authenticateAdmin, async (req, res) => {
       defaultModel,
       priority,
       accountType,
-      credentialType
+      credentialType,
+      roleConfig,
+      modelProfiles,
+      fallbackRegions
     } = req.body
 
     if (!name) {
@@ -144,11 +157,16 @@ router.post('/', authenticateAdmin, async (req, res) => {
         .json({ error: 'Invalid account type. Must be "shared" or "dedicated"' })
     }
 
-    // 验证credentialType的有效性
-    if (credentialType && !['default', 'access_key', 'bearer_token'].includes(credentialType)) {
-      return res.status(400).json({
-        error: 'Invalid credential type. Must be "default", "access_key", or "bearer_token"'
-      })
+    // 验证凭证类型、IAM 角色、推理配置文件与备用区域
+    try {
+      normalizeBedrockOptions({ credentialType, roleConfig, modelProfiles, fallbackRegions })
+      if (ROLE_CREDENTIAL_TYPES.includes(credentialType) && !roleConfig) {
+        throw new Error(`roleConfig is required for credentialType ${credentialType}`)
+      }
+    } catch (validationError) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid Bedrock configuration', message: validationError.message })
     }
 
     const result = await bedrockAccountService.createAccount({
@@ -159,7 +177,10 @@ router.post('/', authenticateAdmin, async (req, res) => {
       defaultModel,
       priority: priority || 50,
       accountType: accountType || 'shared',
-      credentialType: credentialType || 'default'
+      credentialType: credentialType || 'default',
+      roleConfig,
+      modelProfiles,
+      fallbackRegions
     })
 
     if (!result.success) {
@@ -180,7 +201,7 @@ router.post('/', authenticateAdmin, async (req, res) => {
 })
 
 // 更新Bedrock账户
-router.put('/:accountId', authenticateAdmin, async (req, res) => {
+router.put('/:accountId', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { accountId } = req.params
     const updates = req.body
@@ -203,14 +224,18 @@ router.put('/:accountId', authenticateAdmin, async (req, res) => {
         .json({ error: 'Invalid account type. Must be "shared" or "dedicated"' })
     }
 
-    // 验证credentialType的有效性
-    if (
-      mappedUpdates.credentialType &&
-      !['default', 'access_key', 'bearer_token'].includes(mappedUpdates.credentialType)
-    ) {
-      return res.status(400).json({
-        error: 'Invalid credential type. Must be "default", "access_key", or "bearer_token"'
+    // 验证凭证类型、IAM 角色、推理配置文件与备用区域
+    try {
+      normalizeBedrockOptions({
+        credentialType: mappedUpdates.credentialType,
+        roleConfig: mappedUpdates.roleConfig,
+        modelProfiles: mappedUpdates.modelProfiles,
+        fallbackRegions: mappedUpdates.fallbackRegions
       })
+    } catch (validationError) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid Bedrock configuration', message: validationError.message })
     }
 
     const result = await bedrockAccountService.updateAccount(accountId, mappedUpdates)
@@ -232,7 +257,7 @@ router.put('/:accountId', authenticateAdmin, async (req, res) => {
 })
 
 // 删除Bedrock账户
-router.delete('/:accountId', authenticateAdmin, async (req, res) => {
+router.delete('/:accountId', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { accountId } = req.params
 
@@ -267,7 +292,7 @@ router.delete('/:accountId', authenticateAdmin, async (req, res) => {
 })
 
 // 切换Bedrock账户状态
-router.put('/:accountId/toggle', authenticateAdmin, async (req, res) => {
+router.put('/:accountId/toggle', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { accountId } = req.params
 
@@ -302,52 +327,57 @@ router.put('/:accountId/toggle', authenticateAdmin, async (req, res) => {
 })
 
 // 切换Bedrock账户调度状态
-router.put('/:accountId/toggle-schedulable', authenticateAdmin, async (req, res) => {
-  try {
-    const { accountId } = req.params
+router.put(
+  '/:accountId/toggle-schedulable',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { accountId } = req.params
+
+      const accountResult = await bedrockAccountService.getAccount(accountId)
+      if (!accountResult.success) {
+        return res.status(404).json({ error: 'Account not found' })
+      }
 
-    const accountResult = await bedrockAccountService.getAccount(accountId)
-    if (!accountResult.success) {
-      return res.status(404).json({ error: 'Account not found' })
-    }
+      const newSchedulable = !accountResult.data.schedulable
+      const updateResult = await bedrockAccountService.updateAccount(accountId, {
+        schedulable: newSchedulable
+      })
 
-    const newSchedulable = !accountResult.data.schedulable
-    const updateResult = await bedrockAccountService.updateAccount(accountId, {
-      schedulable: newSchedulable
-    })
+      if (!updateResult.success) {
+        return res
+          .status(500)
+          .json({ error: 'Failed to toggle schedulable status', message: updateResult.error })
+      }
 
-    if (!updateResult.success) {
+      // 如果账号被禁用，发送webhook通知
+      if (!newSchedulable) {
+        await webhookNotifier.sendAccountAnomalyNotification({
+          accountId: accountResult.data.id,
+          accountName: accountResult.data.name || 'Bedrock Account',
+          platform: 'bedrock',
+          status: 'disabled',
+          errorCode: 'BEDROCK_MANUALLY_DISABLED',
+          reason: '账号已被管理员手动禁用调度',
+          timestamp: new Date().toISOString()
+        })
+      }
+
+      logger.success(
+        `🔄 Admin toggled Bedrock account schedulable status: ${accountId} -> ${
+          newSchedulable ? 'schedulable' : 'not schedulable'
+        }`
+      )
+      return res.json({ success: true, schedulable: newSchedulable })
+    } catch (error) {
+      logger.error('❌ Failed to toggle Bedrock account schedulable status:', error)
       return res
         .status(500)
-        .json({ error: 'Failed to toggle schedulable status', message: updateResult.error })
+        .json({ error: 'Failed to toggle schedulable status', message: error.message })
     }
-
-    // 如果账号被禁用，发送webhook通知
-    if (!newSchedulable) {
-      await webhookNotifier.sendAccountAnomalyNotification({
-        accountId: accountResult.data.id,
-        accountName: accountResult.data.name || 'Bedrock Account',
-        platform: 'bedrock',
-        status: 'disabled',
-        errorCode: 'BEDROCK_MANUALLY_DISABLED',
-        reason: '账号已被管理员手动禁用调度',
-        timestamp: new Date().toISOString()
-      })
-    }
-
-    logger.success(
-      `🔄 Admin toggled Bedrock account schedulable status: ${accountId} -> ${
-        newSchedulable ? 'schedulable' : 'not schedulable'
-      }`
-    )
-    return res.json({ success: true, schedulable: newSchedulable })
-  } catch (error) {
-    logger.error('❌ Failed to toggle Bedrock account schedulable status:', error)
-    return res
-      .status(500)
-      .json({ error: 'Failed to toggle schedulable status', message: error.message })
   }
-})
+)
 
 // 测试Bedrock账户连接
 router.post('/:accountId/test', authenticateAdmin, async (req, res) => {
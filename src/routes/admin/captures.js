@@ -0,0 +1,136 @@
+/**
+ * Admin Routes - 请求抓包与重放
+ * 为 API Key 或账户开启抓包、浏览抓包记录，并将抓到的上游请求重放到指定账户或本地 Mock 上游
+ */
+
+const express = require('express')
+const { authenticateAdmin } = require('../../middleware/auth')
+const captureService = require('../../services/captureService')
+const logger = require('../../utils/logger')
+
+const router = express.Router()
+
+/**
+ * GET /admin/captures/targets
+ * 列出已开启抓包的 API Key 与账户
+ */
+router.get('/captures/targets', authenticateAdmin, async (req, res) => {
+  try {
+    const targets = await captureService.listTargets()
+    return res.json({ success: true, data: targets })
+  } catch (error) {
+    logger.error('❌ Failed to list capture targets:', error)
+    return res.status(500).json({ error: 'Failed to list capture targets', message: error.message })
+  }
+})
+
+/**
+ * POST /admin/captures/targets
+ * 请求体：{ type: 'apiKey' | 'account', id }
+ */
+router.post('/captures/targets', authenticateAdmin, async (req, res) => {
+  try {
+    const { type, id } = req.body || {}
+    if (!captureService.getTargetTypes().includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid type',
+        message: `type must be one of: ${captureService.getTargetTypes().join(', ')}`
+      })
+    }
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({ error: 'Invalid id', message: 'id must be a non-empty string' })
+    }
+
+    await captureService.addTarget(type, id.trim())
+    return res.json({ success: true, data: { type, id: id.trim() } })
+  } catch (error) {
+    logger.error('❌ Failed to enable capture:', error)
+    return res.status(500).json({ error: 'Failed to enable capture', message: error.message })
+  }
+})
+
+/**
+ * DELETE /admin/captures/targets/:type/:id
+ * 关闭抓包（已保存的抓包记录保留至过期）
+ */
+router.delete('/captures/targets/:type/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const removed = await captureService.removeTarget(req.params.type, req.params.id)
+    if (!removed) {
+      return res.status(404).json({ error: 'Capture target not found' })
+    }
+    return res.json({ success: true })
+  } catch (error) {
+    logger.error('❌ Failed to disable capture:', error)
+    return res.status(500).json({ error: 'Failed to disable capture', message: error.message })
+  }
+})
+
+/**
+ * GET /admin/captures
+ * 查询参数：apiKeyId、accountId、limit
+ */
+router.get('/captures', authenticateAdmin, async (req, res) => {
+  try {
+    const { apiKeyId, accountId } = req.query
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500)
+    const captures = await captureService.list({ apiKeyId, accountId, limit })
+    return res.json({ success: true, data: captures })
+  } catch (error) {
+    logger.error('❌ Failed to list captures:', error)
+    return res.status(500).json({ error: 'Failed to list captures', message: error.message })
+  }
+})
+
+/**
+ * GET /admin/captures/:captureId
+ * 获取完整的抓包记录（客户端请求、上游请求/响应、客户端响应）
+ */
+router.get('/captures/:captureId', authenticateAdmin, async (req, res) => {
+  try {
+    const capture = await captureService.get(req.params.captureId)
+    if (!capture) {
+      return res.status(404).json({ error: 'Capture not found' })
+    }
+    return res.json({ success: true, data: capture })
+  } catch (error) {
+    logger.error('❌ Failed to get capture:', error)
+    return res.status(500).json({ error: 'Failed to get capture', message: error.message })
+  }
+})
+
+/**
+ * DELETE /admin/captures/:captureId
+ */
+router.delete('/captures/:captureId', authenticateAdmin, async (req, res) => {
+  try {
+    const deleted = await captureService.delete(req.params.captureId)
+    if (!deleted) {
+      return res.status(404).json({ error: 'Capture not found' })
+    }
+    return res.json({ success: true })
+  } catch (error) {
+    logger.error('❌ Failed to delete capture:', error)
+    return res.status(500).json({ error: 'Failed to delete capture', message: error.message })
+  }
+})
+
+/**
+ * POST /admin/captures/:captureId/replay
+ * 请求体：{ target: 'mock', url } 或 { target: 'account', accountId, accountType }，
+ * 可选 exchangeIndex 指定重放第几个上游请求（默认最后一个）
+ */
+router.post('/captures/:captureId/replay', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await captureService.replay(req.params.captureId, req.body || {})
+    return res.json({ success: true, data: result })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+    logger.error('❌ Failed to replay capture:', error)
+    return res.status(502).json({ error: 'Failed to replay capture', message: error.message })
+  }
+})
+
+module.exports = router
@@ -4,12 +4,18 @@ const accountGroupService = require('../../services/accountGroupService')
 const apiKeyService = require('../../services/apiKeyService')
 const redis = require('../../models/redis')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const logger = require('../../utils/logger')
 const webhookNotifier = require('../../utils/webhookNotifier')
 const { formatAccountExpiry, mapExpiryField } = require('./utils')
+const circuitBreakerService = require('../../services/circuitBreakerService')
+const streamFailoverService = require('../../services/streamFailoverService')
 
 const router = express.Router()
 
+// 📋 审计：记录增删改及启用/调度状态切换
+const auditAccountChange = auditAdminChange('ccr_account')
+
 // 🔧 CCR 账户管理
 
 // 获取所有CCR账户
@@ -49,6 +55,7 @@ router.get('/', authenticateAdmin, async (req, res) => {
         try {
           const usageStats = await redis.getAccountUsageStats(account.id)
           const groupInfos = await accountGroupService.getAccountGroups(account.id)
+          const failoverStats = await streamFailoverService.getAccountStats(account.id)
 
           const formattedAccount = formatAccountExpiry(account)
           return {
@@ -56,6 +63,7 @@ router.get('/', authenticateAdmin, async (req, res) => {
             // 转换schedulable为布尔值
             schedulable: account.schedulable === 'true' || account.schedulable === true,
             groupInfos,
+            failoverStats,
             usage: {
               daily: usageStats.daily,
               total: usageStats.total,
@@ -100,7 +108,10 @@ router.get('/', authenticateAdmin, async (req, res) => {
       })
     )
 
-    return res.json({ success: true, data: accountsWithStats })
+    return res.json({
+      success: true,
+      data: await circuitBreakerService.attachStatuses(accountsWithStats)
+    })
   } catch (error) {
     logger.error('❌ Failed to get CCR accounts:', error)
     return res.status(500).json({ error: 'Failed to get CCR accounts', message: error.message })
@@ -108,7 +119,7 @@ router.get('/', authenticateAdmin, async (req, res) => {
 })
 
 // 创建新的CCR账户
-router.post('/', authenticateAdmin, async (req, res) => {
+router.post('/', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const {
       name,
@@ -178,7 +189,7 @@ router.post('/', authenticateAdmin, async (req, res) => {
 })
 
 // 更新CCR账户
-router.put('/:accountId', authenticateAdmin, async (req, res) => {
+router.put('/:accountId', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { accountId } = req.params
     const updates = req.body
@@ -253,7 +264,7 @@ router.put('/:accountId', authenticateAdmin, async (req, res) => {
 })
 
 // 删除CCR账户
-router.delete('/:accountId', authenticateAdmin, async (req, res) => {
+router.delete('/:accountId', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { accountId } = req.params
 
@@ -290,7 +301,7 @@ router.delete('/:accountId', authenticateAdmin, async (req, res) => {
 })
 
 // 切换CCR账户状态
-router.put('/:accountId/toggle', authenticateAdmin, async (req, res) => {
+router.put('/:accountId/toggle', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { accountId } = req.params
 
@@ -315,44 +326,49 @@ router.put('/:accountId/toggle', authenticateAdmin, async (req, res) => {
 })
 
 // 切换CCR账户调度状态
-router.put('/:accountId/toggle-schedulable', authenticateAdmin, async (req, res) => {
-  try {
-    const { accountId } = req.params
+router.put(
+  '/:accountId/toggle-schedulable',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { accountId } = req.params
+
+      const account = await ccrAccountService.getAccount(accountId)
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' })
+      }
 
-    const account = await ccrAccountService.getAccount(accountId)
-    if (!account) {
-      return res.status(404).json({ error: 'Account not found' })
-    }
+      const newSchedulable = !account.schedulable
+      await ccrAccountService.updateAccount(accountId, { schedulable: newSchedulable })
+
+      // 如果账号被禁用，发送webhook通知
+      if (!newSchedulable) {
+        await webhookNotifier.sendAccountAnomalyNotification({
+          accountId: account.id,
+          accountName: account.name || 'CCR Account',
+          platform: 'ccr',
+          status: 'disabled',
+          errorCode: 'CCR_MANUALLY_DISABLED',
+          reason: '账号已被管理员手动禁用调度',
+          timestamp: new Date().toISOString()
+        })
+      }
 
-    const newSchedulable = !account.schedulable
-    await ccrAccountService.updateAccount(accountId, { schedulable: newSchedulable })
-
-    // 如果账号被禁用，发送webhook通知
-    if (!newSchedulable) {
-      await webhookNotifier.sendAccountAnomalyNotification({
-        accountId: account.id,
-        accountName: account.name || 'CCR Account',
-        platform: 'ccr',
-        status: 'disabled',
-        errorCode: 'CCR_MANUALLY_DISABLED',
-        reason: '账号已被管理员手动禁用调度',
-        timestamp: new Date().toISOString()
-      })
+      logger.success(
+        `🔄 Admin toggled CCR account schedulable status: ${accountId} -> ${
+          newSchedulable ? 'schedulable' : 'not schedulable'
+        }`
+      )
+      return res.json({ success: true, schedulable: newSchedulable })
+    } catch (error) {
+      logger.error('❌ Failed to toggle CCR account schedulable status:', error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to toggle schedulable status', message: error.message })
     }
-
-    logger.success(
-      `🔄 Admin toggled CCR account schedulable status: ${accountId} -> ${
-        newSchedulable ? 'schedulable' : 'not schedulable'
-      }`
-    )
-    return res.json({ success: true, schedulable: newSchedulable })
-  } catch (error) {
-    logger.error('❌ Failed to toggle CCR account schedulable status:', error)
-    return res
-      .status(500)
-      .json({ error: 'Failed to toggle schedulable status', message: error.message })
   }
-})
+)
 
 // 获取CCR账户的使用统计
 router.get('/:accountId/usage', authenticateAdmin, async (req, res) => {
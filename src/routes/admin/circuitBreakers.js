@@ -0,0 +1,80 @@
+/**
+ * Admin Routes - 通用账户熔断器
+ * 查看各账户按错误类别（5xx / 529 / 超时 / 401）的熔断状态，并支持手动重置
+ */
+
+const express = require('express')
+const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
+const circuitBreakerService = require('../../services/circuitBreakerService')
+const { ERROR_CLASSES } = require('../../utils/circuitBreakerHelper')
+const logger = require('../../utils/logger')
+
+const router = express.Router()
+
+/**
+ * GET /admin/circuit-breakers
+ * 列出所有处于打开或半开状态的熔断器
+ */
+router.get('/circuit-breakers', authenticateAdmin, async (req, res) => {
+  try {
+    const breakers = await circuitBreakerService.listBreakers()
+    const settings = circuitBreakerService.getSettings()
+    return res.json({ success: true, data: { breakers, settings } })
+  } catch (error) {
+    logger.error('❌ Failed to list circuit breakers:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to list circuit breakers', message: error.message })
+  }
+})
+
+/**
+ * GET /admin/circuit-breakers/:accountId
+ * 获取单个账户的熔断状态（包含各错误类别在窗口内的失败次数）
+ */
+router.get('/circuit-breakers/:accountId', authenticateAdmin, async (req, res) => {
+  try {
+    const status = await circuitBreakerService.getStatus(req.params.accountId)
+    return res.json({ success: true, data: status })
+  } catch (error) {
+    logger.error(`❌ Failed to get circuit breaker for ${req.params.accountId}:`, error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to get circuit breaker status', message: error.message })
+  }
+})
+
+/**
+ * POST /admin/circuit-breakers/:accountId/reset
+ * 手动关闭账户熔断器（可通过 errorClass 只重置某个错误类别）
+ */
+router.post(
+  '/circuit-breakers/:accountId/reset',
+  authenticateAdmin,
+  auditAdminChange('circuit_breaker', { action: 'update' }),
+  async (req, res) => {
+    try {
+      const { errorClass } = req.body || {}
+      if (errorClass && !ERROR_CLASSES.includes(errorClass)) {
+        return res.status(400).json({
+          error: 'Invalid error class',
+          message: `errorClass must be one of: ${ERROR_CLASSES.join(', ')}`
+        })
+      }
+
+      const status = await circuitBreakerService.reset(req.params.accountId, errorClass || null)
+      logger.info(
+        `🔌 Admin ${req.admin?.username || 'admin'} reset circuit breaker for account ${req.params.accountId}${errorClass ? ` (${errorClass})` : ''}`
+      )
+      return res.json({ success: true, data: status })
+    } catch (error) {
+      logger.error(`❌ Failed to reset circuit breaker for ${req.params.accountId}:`, error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to reset circuit breaker', message: error.message })
+    }
+  }
+)
+
+module.exports = router
@@ -9,14 +9,22 @@ const router = express.Router()
 const claudeAccountService = require('../../services/claudeAccountService')
 const claudeRelayService = require('../../services/claudeRelayService')
 const accountGroupService = require('../../services/accountGroupService')
+const hedgedRequestService = require('../../services/hedgedRequestService')
+const streamFailoverService = require('../../services/streamFailoverService')
+const accountHealthService = require('../../services/accountHealthService')
 const apiKeyService = require('../../services/apiKeyService')
 const redis = require('../../models/redis')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const logger = require('../../utils/logger')
 const oauthHelper = require('../../utils/oauthHelper')
 const CostCalculator = require('../../utils/costCalculator')
 const webhookNotifier = require('../../utils/webhookNotifier')
 const { formatAccountExpiry, mapExpiryField } = require('./utils')
+const circuitBreakerService = require('../../services/circuitBreakerService')
+
+// 📋 审计：记录增删改及启用/调度状态切换
+const auditAccountChange = auditAdminChange('claude_account')
 
 // 生成OAuth授权URL
 router.post('/claude-accounts/generate-auth-url', authenticateAdmin, async (req, res) => {
@@ -394,6 +402,9 @@ router.get('/claude-accounts', authenticateAdmin, async (req, res) => {
         try {
           const usageStats = await redis.getAccountUsageStats(account.id, 'openai')
           const groupInfos = await accountGroupService.getAccountGroups(account.id)
+          const hedgeStats = await hedgedRequestService.getAccountStats(account.id)
+          const failoverStats = await streamFailoverService.getAccountStats(account.id)
+          const healthStats = await accountHealthService.getAccountHealth(account.id)
 
           // 获取会话窗口使用统计（仅对有活跃窗口的账户）
           let sessionWindowUsage = null
@@ -441,6 +452,9 @@ router.get('/claude-accounts', authenticateAdmin, async (req, res) => {
             // 转换schedulable为布尔值
             schedulable: account.schedulable === 'true' || account.schedulable === true,
             groupInfos,
+            hedgeStats,
+            failoverStats,
+            healthStats,
             usage: {
               daily: usageStats.daily,
               total: usageStats.total,
@@ -485,7 +499,10 @@ router.get('/claude-accounts', authenticateAdmin, async (req, res) => {
       })
     )
 
-    return res.json({ success: true, data: accountsWithStats })
+    return res.json({
+      success: true,
+      data: await circuitBreakerService.attachStatuses(accountsWithStats)
+    })
   } catch (error) {
     logger.error('❌ Failed to get Claude accounts:', error)
     return res.status(500).json({ error: 'Failed to get Claude accounts', message: error.message })
@@ -563,7 +580,7 @@ router.get('/claude-accounts/usage', authenticateAdmin, async (req, res) => {
 })
 
 // 创建新的Claude账户
-router.post('/claude-accounts', authenticateAdmin, async (req, res) => {
+router.post('/claude-accounts', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const {
       name,
@@ -654,125 +671,139 @@ router.post('/claude-accounts', authenticateAdmin, async (req, res) => {
 })
 
 // 更新Claude账户
-router.put('/claude-accounts/:accountId', authenticateAdmin, async (req, res) => {
-  try {
-    const { accountId } = req.params
-    const updates = req.body
-
-    // ✅ 【修改】映射字段名：前端的 expiresAt -> 后端的 subscriptionExpiresAt（提前到参数验证之前）
-    const mappedUpdates = mapExpiryField(updates, 'Claude', accountId)
+router.put(
+  '/claude-accounts/:accountId',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { accountId } = req.params
+      const updates = req.body
 
-    // 验证priority的有效性
-    if (
-      mappedUpdates.priority !== undefined &&
-      (typeof mappedUpdates.priority !== 'number' ||
-        mappedUpdates.priority < 1 ||
-        mappedUpdates.priority > 100)
-    ) {
-      return res.status(400).json({ error: 'Priority must be a number between 1 and 100' })
-    }
+      // ✅ 【修改】映射字段名：前端的 expiresAt -> 后端的 subscriptionExpiresAt（提前到参数验证之前）
+      const mappedUpdates = mapExpiryField(updates, 'Claude', accountId)
 
-    // 验证accountType的有效性
-    if (
-      mappedUpdates.accountType &&
-      !['shared', 'dedicated', 'group'].includes(mappedUpdates.accountType)
-    ) {
-      return res
-        .status(400)
-        .json({ error: 'Invalid account type. Must be "shared", "dedicated" or "group"' })
-    }
+      // 验证priority的有效性
+      if (
+        mappedUpdates.priority !== undefined &&
+        (typeof mappedUpdates.priority !== 'number' ||
+          mappedUpdates.priority < 1 ||
+          mappedUpdates.priority > 100)
+      ) {
+        return res.status(400).json({ error: 'Priority must be a number between 1 and 100' })
+      }
 
-    // 如果更新为分组类型，验证groupId或groupIds
-    if (
-      mappedUpdates.accountType === 'group' &&
-      !mappedUpdates.groupId &&
-      (!mappedUpdates.groupIds || mappedUpdates.groupIds.length === 0)
-    ) {
-      return res
-        .status(400)
-        .json({ error: 'Group ID or Group IDs are required for group type accounts' })
-    }
+      // 验证accountType的有效性
+      if (
+        mappedUpdates.accountType &&
+        !['shared', 'dedicated', 'group'].includes(mappedUpdates.accountType)
+      ) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid account type. Must be "shared", "dedicated" or "group"' })
+      }
 
-    // 获取账户当前信息以处理分组变更
-    const currentAccount = await claudeAccountService.getAccount(accountId)
-    if (!currentAccount) {
-      return res.status(404).json({ error: 'Account not found' })
-    }
+      // 如果更新为分组类型，验证groupId或groupIds
+      if (
+        mappedUpdates.accountType === 'group' &&
+        !mappedUpdates.groupId &&
+        (!mappedUpdates.groupIds || mappedUpdates.groupIds.length === 0)
+      ) {
+        return res
+          .status(400)
+          .json({ error: 'Group ID or Group IDs are required for group type accounts' })
+      }
 
-    // 处理分组的变更
-    if (mappedUpdates.accountType !== undefined) {
-      // 如果之前是分组类型，需要从所有分组中移除
-      if (currentAccount.accountType === 'group') {
-        await accountGroupService.removeAccountFromAllGroups(accountId)
+      // 获取账户当前信息以处理分组变更
+      const currentAccount = await claudeAccountService.getAccount(accountId)
+      if (!currentAccount) {
+        return res.status(404).json({ error: 'Account not found' })
       }
 
-      // 如果新类型是分组，添加到新分组
-      if (mappedUpdates.accountType === 'group') {
-        // 处理多分组/单分组的兼容性
-        if (Object.prototype.hasOwnProperty.call(mappedUpdates, 'groupIds')) {
-          if (mappedUpdates.groupIds && mappedUpdates.groupIds.length > 0) {
-            // 使用多分组设置
-            await accountGroupService.setAccountGroups(accountId, mappedUpdates.groupIds, 'claude')
-          } else {
-            // groupIds 为空数组，从所有分组中移除
-            await accountGroupService.removeAccountFromAllGroups(accountId)
+      // 处理分组的变更
+      if (mappedUpdates.accountType !== undefined) {
+        // 如果之前是分组类型，需要从所有分组中移除
+        if (currentAccount.accountType === 'group') {
+          await accountGroupService.removeAccountFromAllGroups(accountId)
+        }
+
+        // 如果新类型是分组，添加到新分组
+        if (mappedUpdates.accountType === 'group') {
+          // 处理多分组/单分组的兼容性
+          if (Object.prototype.hasOwnProperty.call(mappedUpdates, 'groupIds')) {
+            if (mappedUpdates.groupIds && mappedUpdates.groupIds.length > 0) {
+              // 使用多分组设置
+              await accountGroupService.setAccountGroups(
+                accountId,
+                mappedUpdates.groupIds,
+                'claude'
+              )
+            } else {
+              // groupIds 为空数组，从所有分组中移除
+              await accountGroupService.removeAccountFromAllGroups(accountId)
+            }
+          } else if (mappedUpdates.groupId) {
+            // 兼容单分组模式
+            await accountGroupService.addAccountToGroup(accountId, mappedUpdates.groupId, 'claude')
           }
-        } else if (mappedUpdates.groupId) {
-          // 兼容单分组模式
-          await accountGroupService.addAccountToGroup(accountId, mappedUpdates.groupId, 'claude')
         }
       }
-    }
 
-    await claudeAccountService.updateAccount(accountId, mappedUpdates)
+      await claudeAccountService.updateAccount(accountId, mappedUpdates)
 
-    logger.success(`📝 Admin updated Claude account: ${accountId}`)
-    return res.json({ success: true, message: 'Claude account updated successfully' })
-  } catch (error) {
-    logger.error('❌ Failed to update Claude account:', error)
-    return res
-      .status(500)
-      .json({ error: 'Failed to update Claude account', message: error.message })
+      logger.success(`📝 Admin updated Claude account: ${accountId}`)
+      return res.json({ success: true, message: 'Claude account updated successfully' })
+    } catch (error) {
+      logger.error('❌ Failed to update Claude account:', error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to update Claude account', message: error.message })
+    }
   }
-})
+)
 
 // 删除Claude账户
-router.delete('/claude-accounts/:accountId', authenticateAdmin, async (req, res) => {
-  try {
-    const { accountId } = req.params
+router.delete(
+  '/claude-accounts/:accountId',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { accountId } = req.params
 
-    // 自动解绑所有绑定的 API Keys
-    const unboundCount = await apiKeyService.unbindAccountFromAllKeys(accountId, 'claude')
+      // 自动解绑所有绑定的 API Keys
+      const unboundCount = await apiKeyService.unbindAccountFromAllKeys(accountId, 'claude')
 
-    // 获取账户信息以检查是否在分组中
-    const account = await claudeAccountService.getAccount(accountId)
-    if (account && account.accountType === 'group') {
-      const groups = await accountGroupService.getAccountGroups(accountId)
-      for (const group of groups) {
-        await accountGroupService.removeAccountFromGroup(accountId, group.id)
+      // 获取账户信息以检查是否在分组中
+      const account = await claudeAccountService.getAccount(accountId)
+      if (account && account.accountType === 'group') {
+        const groups = await accountGroupService.getAccountGroups(accountId)
+        for (const group of groups) {
+          await accountGroupService.removeAccountFromGroup(accountId, group.id)
+        }
       }
-    }
 
-    await claudeAccountService.deleteAccount(accountId)
+      await claudeAccountService.deleteAccount(accountId)
 
-    let message = 'Claude账号已成功删除'
-    if (unboundCount > 0) {
-      message += `，${unboundCount} 个 API Key 已切换为共享池模式`
-    }
+      let message = 'Claude账号已成功删除'
+      if (unboundCount > 0) {
+        message += `，${unboundCount} 个 API Key 已切换为共享池模式`
+      }
 
-    logger.success(`🗑️ Admin deleted Claude account: ${accountId}, unbound ${unboundCount} keys`)
-    return res.json({
-      success: true,
-      message,
-      unboundKeys: unboundCount
-    })
-  } catch (error) {
-    logger.error('❌ Failed to delete Claude account:', error)
-    return res
-      .status(500)
-      .json({ error: 'Failed to delete Claude account', message: error.message })
+      logger.success(`🗑️ Admin deleted Claude account: ${accountId}, unbound ${unboundCount} keys`)
+      return res.json({
+        success: true,
+        message,
+        unboundKeys: unboundCount
+      })
+    } catch (error) {
+      logger.error('❌ Failed to delete Claude account:', error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to delete Claude account', message: error.message })
+    }
   }
-})
+)
 
 // 更新单个Claude账户的Profile信息
 router.post('/claude-accounts/:accountId/update-profile', authenticateAdmin, async (req, res) => {
@@ -848,6 +879,7 @@ router.post('/claude-accounts/:accountId/reset-status', authenticateAdmin, async
 router.put(
   '/claude-accounts/:accountId/toggle-schedulable',
   authenticateAdmin,
+  auditAccountChange,
   async (req, res) => {
     try {
       const { accountId } = req.params
@@ -9,12 +9,20 @@ const router = express.Router()
 const claudeConsoleAccountService = require('../../services/claudeConsoleAccountService')
 const claudeConsoleRelayService = require('../../services/claudeConsoleRelayService')
 const accountGroupService = require('../../services/accountGroupService')
+const hedgedRequestService = require('../../services/hedgedRequestService')
+const streamFailoverService = require('../../services/streamFailoverService')
+const accountHealthService = require('../../services/accountHealthService')
 const apiKeyService = require('../../services/apiKeyService')
 const redis = require('../../models/redis')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const logger = require('../../utils/logger')
 const webhookNotifier = require('../../utils/webhookNotifier')
 const { formatAccountExpiry, mapExpiryField } = require('./utils')
+const circuitBreakerService = require('../../services/circuitBreakerService')
+
+// 📋 审计：记录增删改及启用/调度状态切换
+const auditAccountChange = auditAdminChange('claude_console_account')
 
 // 获取所有Claude Console账户
 router.get('/claude-console-accounts', authenticateAdmin, async (req, res) => {
@@ -53,6 +61,9 @@ router.get('/claude-console-accounts', authenticateAdmin, async (req, res) => {
         try {
           const usageStats = await redis.getAccountUsageStats(account.id, 'openai')
           const groupInfos = await accountGroupService.getAccountGroups(account.id)
+          const hedgeStats = await hedgedRequestService.getAccountStats(account.id)
+          const failoverStats = await streamFailoverService.getAccountStats(account.id)
+          const healthStats = await accountHealthService.getAccountHealth(account.id)
 
           const formattedAccount = formatAccountExpiry(account)
           return {
@@ -60,6 +71,9 @@ router.get('/claude-console-accounts', authenticateAdmin, async (req, res) => {
             // 转换schedulable为布尔值
             schedulable: account.schedulable === 'true' || account.schedulable === true,
             groupInfos,
+            hedgeStats,
+            failoverStats,
+            healthStats,
             usage: {
               daily: usageStats.daily,
               total: usageStats.total,
@@ -105,7 +119,10 @@ router.get('/claude-console-accounts', authenticateAdmin, async (req, res) => {
       })
     )
 
-    return res.json({ success: true, data: accountsWithStats })
+    return res.json({
+      success: true,
+      data: await circuitBreakerService.attachStatuses(accountsWithStats)
+    })
   } catch (error) {
     logger.error('❌ Failed to get Claude Console accounts:', error)
     return res
@@ -115,7 +132,7 @@ router.get('/claude-console-accounts', authenticateAdmin, async (req, res) => {
 })
 
 // 创建新的Claude Console账户
-router.post('/claude-console-accounts', authenticateAdmin, async (req, res) => {
+router.post('/claude-console-accounts', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const {
       name,
@@ -206,173 +223,195 @@ router.post('/claude-console-accounts', authenticateAdmin, async (req, res) => {
 })
 
 // 更新Claude Console账户
-router.put('/claude-console-accounts/:accountId', authenticateAdmin, async (req, res) => {
-  try {
-    const { accountId } = req.params
-    const updates = req.body
+router.put(
+  '/claude-console-accounts/:accountId',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { accountId } = req.params
+      const updates = req.body
 
-    // ✅ 【新增】映射字段名：前端的 expiresAt -> 后端的 subscriptionExpiresAt
-    const mappedUpdates = mapExpiryField(updates, 'Claude Console', accountId)
+      // ✅ 【新增】映射字段名：前端的 expiresAt -> 后端的 subscriptionExpiresAt
+      const mappedUpdates = mapExpiryField(updates, 'Claude Console', accountId)
 
-    // 验证priority的有效性（1-100）
-    if (
-      mappedUpdates.priority !== undefined &&
-      (mappedUpdates.priority < 1 || mappedUpdates.priority > 100)
-    ) {
-      return res.status(400).json({ error: 'Priority must be between 1 and 100' })
-    }
+      // 验证priority的有效性（1-100）
+      if (
+        mappedUpdates.priority !== undefined &&
+        (mappedUpdates.priority < 1 || mappedUpdates.priority > 100)
+      ) {
+        return res.status(400).json({ error: 'Priority must be between 1 and 100' })
+      }
 
-    // 验证maxConcurrentTasks的有效性（非负整数）
-    if (
-      mappedUpdates.maxConcurrentTasks !== undefined &&
-      mappedUpdates.maxConcurrentTasks !== null
-    ) {
-      const concurrent = Number(mappedUpdates.maxConcurrentTasks)
-      if (!Number.isInteger(concurrent) || concurrent < 0) {
-        return res.status(400).json({ error: 'maxConcurrentTasks must be a non-negative integer' })
+      // 验证maxConcurrentTasks的有效性（非负整数）
+      if (
+        mappedUpdates.maxConcurrentTasks !== undefined &&
+        mappedUpdates.maxConcurrentTasks !== null
+      ) {
+        const concurrent = Number(mappedUpdates.maxConcurrentTasks)
+        if (!Number.isInteger(concurrent) || concurrent < 0) {
+          return res
+            .status(400)
+            .json({ error: 'maxConcurrentTasks must be a non-negative integer' })
+        }
+        // 转换为数字类型
+        mappedUpdates.maxConcurrentTasks = concurrent
       }
-      // 转换为数字类型
-      mappedUpdates.maxConcurrentTasks = concurrent
-    }
 
-    // 验证accountType的有效性
-    if (
-      mappedUpdates.accountType &&
-      !['shared', 'dedicated', 'group'].includes(mappedUpdates.accountType)
-    ) {
-      return res
-        .status(400)
-        .json({ error: 'Invalid account type. Must be "shared", "dedicated" or "group"' })
-    }
+      // 验证accountType的有效性
+      if (
+        mappedUpdates.accountType &&
+        !['shared', 'dedicated', 'group'].includes(mappedUpdates.accountType)
+      ) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid account type. Must be "shared", "dedicated" or "group"' })
+      }
 
-    // 如果更新为分组类型，验证groupId
-    if (mappedUpdates.accountType === 'group' && !mappedUpdates.groupId) {
-      return res.status(400).json({ error: 'Group ID is required for group type accounts' })
-    }
+      // 如果更新为分组类型，验证groupId
+      if (mappedUpdates.accountType === 'group' && !mappedUpdates.groupId) {
+        return res.status(400).json({ error: 'Group ID is required for group type accounts' })
+      }
 
-    // 获取账户当前信息以处理分组变更
-    const currentAccount = await claudeConsoleAccountService.getAccount(accountId)
-    if (!currentAccount) {
-      return res.status(404).json({ error: 'Account not found' })
-    }
+      // 获取账户当前信息以处理分组变更
+      const currentAccount = await claudeConsoleAccountService.getAccount(accountId)
+      if (!currentAccount) {
+        return res.status(404).json({ error: 'Account not found' })
+      }
 
-    // 规范化上游错误自动防护开关
-    if (mappedUpdates.disableAutoProtection !== undefined) {
-      mappedUpdates.disableAutoProtection =
-        mappedUpdates.disableAutoProtection === true ||
-        mappedUpdates.disableAutoProtection === 'true'
-    }
+      // 规范化上游错误自动防护开关
+      if (mappedUpdates.disableAutoProtection !== undefined) {
+        mappedUpdates.disableAutoProtection =
+          mappedUpdates.disableAutoProtection === true ||
+          mappedUpdates.disableAutoProtection === 'true'
+      }
 
-    // 处理分组的变更
-    if (mappedUpdates.accountType !== undefined) {
-      // 如果之前是分组类型，需要从所有分组中移除
-      if (currentAccount.accountType === 'group') {
-        const oldGroups = await accountGroupService.getAccountGroups(accountId)
-        for (const oldGroup of oldGroups) {
-          await accountGroupService.removeAccountFromGroup(accountId, oldGroup.id)
+      // 处理分组的变更
+      if (mappedUpdates.accountType !== undefined) {
+        // 如果之前是分组类型，需要从所有分组中移除
+        if (currentAccount.accountType === 'group') {
+          const oldGroups = await accountGroupService.getAccountGroups(accountId)
+          for (const oldGroup of oldGroups) {
+            await accountGroupService.removeAccountFromGroup(accountId, oldGroup.id)
+          }
         }
-      }
-      // 如果新类型是分组，处理多分组支持
-      if (mappedUpdates.accountType === 'group') {
-        if (Object.prototype.hasOwnProperty.call(mappedUpdates, 'groupIds')) {
-          // 如果明确提供了 groupIds 参数（包括空数组）
-          if (mappedUpdates.groupIds && mappedUpdates.groupIds.length > 0) {
-            // 设置新的多分组
-            await accountGroupService.setAccountGroups(accountId, mappedUpdates.groupIds, 'claude')
-          } else {
-            // groupIds 为空数组，从所有分组中移除
-            await accountGroupService.removeAccountFromAllGroups(accountId)
+        // 如果新类型是分组，处理多分组支持
+        if (mappedUpdates.accountType === 'group') {
+          if (Object.prototype.hasOwnProperty.call(mappedUpdates, 'groupIds')) {
+            // 如果明确提供了 groupIds 参数（包括空数组）
+            if (mappedUpdates.groupIds && mappedUpdates.groupIds.length > 0) {
+              // 设置新的多分组
+              await accountGroupService.setAccountGroups(
+                accountId,
+                mappedUpdates.groupIds,
+                'claude'
+              )
+            } else {
+              // groupIds 为空数组，从所有分组中移除
+              await accountGroupService.removeAccountFromAllGroups(accountId)
+            }
+          } else if (mappedUpdates.groupId) {
+            // 向后兼容：仅当没有 groupIds 但有 groupId 时使用单分组逻辑
+            await accountGroupService.addAccountToGroup(accountId, mappedUpdates.groupId, 'claude')
           }
-        } else if (mappedUpdates.groupId) {
-          // 向后兼容：仅当没有 groupIds 但有 groupId 时使用单分组逻辑
-          await accountGroupService.addAccountToGroup(accountId, mappedUpdates.groupId, 'claude')
         }
       }
-    }
 
-    await claudeConsoleAccountService.updateAccount(accountId, mappedUpdates)
+      await claudeConsoleAccountService.updateAccount(accountId, mappedUpdates)
 
-    logger.success(`📝 Admin updated Claude Console account: ${accountId}`)
-    return res.json({ success: true, message: 'Claude Console account updated successfully' })
-  } catch (error) {
-    logger.error('❌ Failed to update Claude Console account:', error)
-    return res
-      .status(500)
-      .json({ error: 'Failed to update Claude Console account', message: error.message })
+      logger.success(`📝 Admin updated Claude Console account: ${accountId}`)
+      return res.json({ success: true, message: 'Claude Console account updated successfully' })
+    } catch (error) {
+      logger.error('❌ Failed to update Claude Console account:', error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to update Claude Console account', message: error.message })
+    }
   }
-})
+)
 
 // 删除Claude Console账户
-router.delete('/claude-console-accounts/:accountId', authenticateAdmin, async (req, res) => {
-  try {
-    const { accountId } = req.params
+router.delete(
+  '/claude-console-accounts/:accountId',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { accountId } = req.params
 
-    // 自动解绑所有绑定的 API Keys
-    const unboundCount = await apiKeyService.unbindAccountFromAllKeys(accountId, 'claude-console')
+      // 自动解绑所有绑定的 API Keys
+      const unboundCount = await apiKeyService.unbindAccountFromAllKeys(accountId, 'claude-console')
 
-    // 获取账户信息以检查是否在分组中
-    const account = await claudeConsoleAccountService.getAccount(accountId)
-    if (account && account.accountType === 'group') {
-      const groups = await accountGroupService.getAccountGroups(accountId)
-      for (const group of groups) {
-        await accountGroupService.removeAccountFromGroup(accountId, group.id)
+      // 获取账户信息以检查是否在分组中
+      const account = await claudeConsoleAccountService.getAccount(accountId)
+      if (account && account.accountType === 'group') {
+        const groups = await accountGroupService.getAccountGroups(accountId)
+        for (const group of groups) {
+          await accountGroupService.removeAccountFromGroup(accountId, group.id)
+        }
       }
-    }
 
-    await claudeConsoleAccountService.deleteAccount(accountId)
+      await claudeConsoleAccountService.deleteAccount(accountId)
 
-    let message = 'Claude Console账号已成功删除'
-    if (unboundCount > 0) {
-      message += `，${unboundCount} 个 API Key 已切换为共享池模式`
-    }
+      let message = 'Claude Console账号已成功删除'
+      if (unboundCount > 0) {
+        message += `，${unboundCount} 个 API Key 已切换为共享池模式`
+      }
 
-    logger.success(
-      `🗑️ Admin deleted Claude Console account: ${accountId}, unbound ${unboundCount} keys`
-    )
-    return res.json({
-      success: true,
-      message,
-      unboundKeys: unboundCount
-    })
-  } catch (error) {
-    logger.error('❌ Failed to delete Claude Console account:', error)
-    return res
-      .status(500)
-      .json({ error: 'Failed to delete Claude Console account', message: error.message })
+      logger.success(
+        `🗑️ Admin deleted Claude Console account: ${accountId}, unbound ${unboundCount} keys`
+      )
+      return res.json({
+        success: true,
+        message,
+        unboundKeys: unboundCount
+      })
+    } catch (error) {
+      logger.error('❌ Failed to delete Claude Console account:', error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to delete Claude Console account', message: error.message })
+    }
   }
-})
+)
 
 // 切换Claude Console账户状态
-router.put('/claude-console-accounts/:accountId/toggle', authenticateAdmin, async (req, res) => {
-  try {
-    const { accountId } = req.params
+router.put(
+  '/claude-console-accounts/:accountId/toggle',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { accountId } = req.params
 
-    const account = await claudeConsoleAccountService.getAccount(accountId)
-    if (!account) {
-      return res.status(404).json({ error: 'Account not found' })
-    }
+      const account = await claudeConsoleAccountService.getAccount(accountId)
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' })
+      }
 
-    const newStatus = !account.isActive
-    await claudeConsoleAccountService.updateAccount(accountId, { isActive: newStatus })
+      const newStatus = !account.isActive
+      await claudeConsoleAccountService.updateAccount(accountId, { isActive: newStatus })
 
-    logger.success(
-      `🔄 Admin toggled Claude Console account status: ${accountId} -> ${
-        newStatus ? 'active' : 'inactive'
-      }`
-    )
-    return res.json({ success: true, isActive: newStatus })
-  } catch (error) {
-    logger.error('❌ Failed to toggle Claude Console account status:', error)
-    return res
-      .status(500)
-      .json({ error: 'Failed to toggle account status', message: error.message })
+      logger.success(
+        `🔄 Admin toggled Claude Console account status: ${accountId} -> ${
+          newStatus ? 'active' : 'inactive'
+        }`
+      )
+      return res.json({ success: true, isActive: newStatus })
+    } catch (error) {
+      logger.error('❌ Failed to toggle Claude Console account status:', error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to toggle account status', message: error.message })
+    }
   }
-})
+)
 
 // 切换Claude Console账户调度状态
 router.put(
   '/claude-console-accounts/:accountId/toggle-schedulable',
   authenticateAdmin,
+  auditAccountChange,
   async (req, res) => {
     try {
       const { accountId } = req.params
@@ -5,11 +5,15 @@
 
 const express = require('express')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const claudeRelayConfigService = require('../../services/claudeRelayConfigService')
 const logger = require('../../utils/logger')
 
 const router = express.Router()
 
+// 📋 审计：转发配置为全局单例
+const auditRelayConfigChange = auditAdminChange('claude_relay_config', { resourceId: 'global' })
+
 /**
  * GET /admin/claude-relay-config
  * 获取 Claude 转发配置
@@ -34,7 +38,7 @@ router.get('/claude-relay-config', authenticateAdmin, async (req, res) => {
  * PUT /admin/claude-relay-config
  * 更新 Claude 转发配置
  */
-router.put('/claude-relay-config', authenticateAdmin, async (req, res) => {
+router.put('/claude-relay-config', authenticateAdmin, auditRelayConfigChange, async (req, res) => {
   try {
     const {
       claudeCodeOnlyEnabled,
@@ -0,0 +1,158 @@
+/**
+ * Admin Routes - 凭证保险库
+ * 查看主密钥提供者与版本、生成 / 启用新主密钥版本，并在线将所有账户凭证重新加密到当前版本
+ */
+
+const express = require('express')
+const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
+const credentialRotationService = require('../../services/credentialRotationService')
+const { credentialVault } = require('../../utils/credentialVault')
+const logger = require('../../utils/logger')
+
+const router = express.Router()
+
+// 📋 审计：主密钥变更与重新加密任务分别记录
+const auditKeyChange = auditAdminChange('credential_vault', { resourceId: 'keys' })
+const auditRotation = auditAdminChange('credential_vault', {
+  resourceId: 'rotation',
+  action: 'update'
+})
+
+/**
+ * GET /admin/credential-vault
+ * 主密钥信息、已注册的凭证存储、本进程解密失败统计和最近一次重新加密任务
+ */
+router.get('/credential-vault', authenticateAdmin, async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: {
+        ...credentialVault.getKeyInfo(),
+        stores: credentialRotationService.getStores().map((store) => store.name),
+        decryptionFailures: credentialVault.getFailureStats(),
+        lastRotation: await credentialRotationService.getLastReport()
+      }
+    })
+  } catch (error) {
+    logger.error('❌ Failed to get credential vault status:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to get credential vault status', message: error.message })
+  }
+})
+
+/**
+ * GET /admin/credential-vault/inventory
+ * 统计各账户类型的密文使用的主密钥版本（不解密），用于判断旧版本主密钥是否可以下线
+ */
+router.get('/credential-vault/inventory', authenticateAdmin, async (req, res) => {
+  try {
+    const inventory = await credentialRotationService.getInventory()
+    return res.json({ success: true, data: inventory })
+  } catch (error) {
+    logger.error('❌ Failed to get credential inventory:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to get credential inventory', message: error.message })
+  }
+})
+
+/**
+ * POST /admin/credential-vault/keys
+ * 生成新的主密钥版本（file / local-kms 提供者），默认立即启用
+ */
+router.post('/credential-vault/keys', authenticateAdmin, auditKeyChange, async (req, res) => {
+  try {
+    const provider = credentialVault.getProvider()
+    if (!provider.canManageVersions()) {
+      return res.status(400).json({
+        error: 'Unsupported key provider',
+        message: `Key provider "${provider.type}" is managed through configuration, add a new version to CREDENTIAL_KEYS and restart instead`
+      })
+    }
+
+    const version = provider.createVersion({ activate: req.body?.activate !== false })
+    const data = await credentialRotationService.saveKeyState(req.admin?.username || 'admin')
+
+    logger.success(`Credential key version ${version} created by ${data.updatedBy}`)
+    return res.json({ success: true, data: { ...data, createdVersion: version } })
+  } catch (error) {
+    logger.error('❌ Failed to create credential key version:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to create credential key version', message: error.message })
+  }
+})
+
+/**
+ * POST /admin/credential-vault/keys/:version/activate
+ * 切换用于加密的主密钥版本（file / local-kms 提供者）
+ */
+router.post(
+  '/credential-vault/keys/:version/activate',
+  authenticateAdmin,
+  auditKeyChange,
+  async (req, res) => {
+    try {
+      const provider = credentialVault.getProvider()
+      if (!provider.canManageVersions()) {
+        return res.status(400).json({
+          error: 'Unsupported key provider',
+          message: `Key provider "${provider.type}" is managed through configuration, set CREDENTIAL_ACTIVE_KEY_VERSION and restart instead`
+        })
+      }
+      if (!provider.listVersions().includes(req.params.version)) {
+        return res.status(404).json({ error: 'Key version not found' })
+      }
+
+      provider.activateVersion(req.params.version)
+      const data = await credentialRotationService.saveKeyState(req.admin?.username || 'admin')
+
+      logger.success(`Credential key version ${req.params.version} activated by ${data.updatedBy}`)
+      return res.json({ success: true, data })
+    } catch (error) {
+      logger.error('❌ Failed to activate credential key version:', error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to activate credential key version', message: error.message })
+    }
+  }
+)
+
+/**
+ * POST /admin/credential-vault/reload
+ * 重新加载主密钥（外部修改密钥文件后使用）
+ */
+router.post('/credential-vault/reload', authenticateAdmin, async (req, res) => {
+  try {
+    credentialVault.getProvider().reload()
+    return res.json({ success: true, data: credentialVault.getKeyInfo() })
+  } catch (error) {
+    logger.error('❌ Failed to reload credential keys:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to reload credential keys', message: error.message })
+  }
+})
+
+/**
+ * POST /admin/credential-vault/rotate
+ * 在后台将所有账户凭证重新加密到当前主密钥版本，通过 GET /admin/credential-vault 查看进度
+ */
+router.post('/credential-vault/rotate', authenticateAdmin, auditRotation, async (req, res) => {
+  try {
+    const report = await credentialRotationService.startRotation(req.admin?.username || 'admin')
+    return res.json({ success: true, data: report })
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ error: 'Rotation in progress', message: error.message })
+    }
+    logger.error('❌ Failed to start credential re-encryption:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to start credential re-encryption', message: error.message })
+  }
+})
+
+module.exports = router
@@ -13,6 +13,7 @@ const { authenticateAdmin } = require('../../middleware/auth')
 const logger = require('../../utils/logger')
 const CostCalculator = require('../../utils/costCalculator')
 const pricingService = require('../../services/pricingService')
+const responseCacheService = require('../../services/responseCacheService')
 const config = require('../../../config/config')
 
 const router = express.Router()
@@ -35,7 +36,8 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
       droidAccounts,
       todayStats,
       systemAverages,
-      realtimeMetrics
+      realtimeMetrics,
+      responseCacheStats
     ] = await Promise.all([
       redis.getSystemStats(),
       apiKeyService.getAllApiKeys(),
@@ -49,7 +51,8 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
       droidAccountService.getAllAccounts(),
       redis.getTodayStats(),
       redis.getSystemAverages(),
-      redis.getRealtimeSystemMetrics()
+      redis.getRealtimeSystemMetrics(),
+      responseCacheService.getStats()
     ])
 
     // 过滤掉隐身 API Keys
@@ -462,6 +465,7 @@ router.get('/dashboard', authenticateAdmin, async (req, res) => {
         windowMinutes: realtimeMetrics.windowMinutes,
         isHistorical: realtimeMetrics.windowMinutes === 0 // 标识是否使用了历史数据
       },
+      responseCache: responseCacheStats,
       systemHealth: {
         redisConnected: redis.isConnected,
         claudeAccountsHealthy: normalClaudeAccounts + normalClaudeConsoleAccounts > 0,
@@ -4,6 +4,7 @@ const droidAccountService = require('../../services/droidAccountService')
 const accountGroupService = require('../../services/accountGroupService')
 const redis = require('../../models/redis')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const logger = require('../../utils/logger')
 const {
   startDeviceAuthorization,
@@ -12,9 +13,13 @@ const {
 } = require('../../utils/workosOAuthHelper')
 const webhookNotifier = require('../../utils/webhookNotifier')
 const { formatAccountExpiry, mapExpiryField } = require('./utils')
+const circuitBreakerService = require('../../services/circuitBreakerService')
 
 const router = express.Router()
 
+// 📋 审计：记录增删改及启用/调度状态切换
+const auditAccountChange = auditAdminChange('droid_account')
+
 // ==================== Droid 账户管理 API ====================
 
 // 生成 Droid 设备码授权信息
@@ -206,7 +211,10 @@ router.get('/droid-accounts', authenticateAdmin, async (req, res) => {
       })
     )
 
-    return res.json({ success: true, data: accountsWithStats })
+    return res.json({
+      success: true,
+      data: await circuitBreakerService.attachStatuses(accountsWithStats)
+    })
   } catch (error) {
     logger.error('Failed to get Droid accounts:', error)
     return res.status(500).json({ error: 'Failed to get Droid accounts', message: error.message })
@@ -214,7 +222,7 @@ router.get('/droid-accounts', authenticateAdmin, async (req, res) => {
 })
 
 // 创建 Droid 账户
-router.post('/droid-accounts', authenticateAdmin, async (req, res) => {
+router.post('/droid-accounts', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { accountType: rawAccountType = 'shared', groupId, groupIds } = req.body
 
@@ -272,7 +280,7 @@ router.post('/droid-accounts', authenticateAdmin, async (req, res) => {
 })
 
 // 更新 Droid 账户
-router.put('/droid-accounts/:id', authenticateAdmin, async (req, res) => {
+router.put('/droid-accounts/:id', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { id } = req.params
     const updates = { ...req.body }
@@ -353,51 +361,58 @@ router.put('/droid-accounts/:id', authenticateAdmin, async (req, res) => {
 })
 
 // 切换 Droid 账户调度状态
-router.put('/droid-accounts/:id/toggle-schedulable', authenticateAdmin, async (req, res) => {
-  try {
-    const { id } = req.params
+router.put(
+  '/droid-accounts/:id/toggle-schedulable',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { id } = req.params
 
-    const account = await droidAccountService.getAccount(id)
-    if (!account) {
-      return res.status(404).json({ error: 'Droid account not found' })
-    }
+      const account = await droidAccountService.getAccount(id)
+      if (!account) {
+        return res.status(404).json({ error: 'Droid account not found' })
+      }
 
-    const currentSchedulable = account.schedulable === true || account.schedulable === 'true'
-    const newSchedulable = !currentSchedulable
-
-    await droidAccountService.updateAccount(id, { schedulable: newSchedulable ? 'true' : 'false' })
-
-    const updatedAccount = await droidAccountService.getAccount(id)
-    const actualSchedulable = updatedAccount
-      ? updatedAccount.schedulable === true || updatedAccount.schedulable === 'true'
-      : newSchedulable
-
-    if (!actualSchedulable) {
-      await webhookNotifier.sendAccountAnomalyNotification({
-        accountId: account.id,
-        accountName: account.name || 'Droid Account',
-        platform: 'droid',
-        status: 'disabled',
-        errorCode: 'DROID_MANUALLY_DISABLED',
-        reason: '账号已被管理员手动禁用调度',
-        timestamp: new Date().toISOString()
+      const currentSchedulable = account.schedulable === true || account.schedulable === 'true'
+      const newSchedulable = !currentSchedulable
+
+      await droidAccountService.updateAccount(id, {
+        schedulable: newSchedulable ? 'true' : 'false'
       })
-    }
 
-    logger.success(
-      `🔄 Admin toggled Droid account schedulable status: ${id} -> ${
-        actualSchedulable ? 'schedulable' : 'not schedulable'
-      }`
-    )
+      const updatedAccount = await droidAccountService.getAccount(id)
+      const actualSchedulable = updatedAccount
+        ? updatedAccount.schedulable === true || updatedAccount.schedulable === 'true'
+        : newSchedulable
+
+      if (!actualSchedulable) {
+        await webhookNotifier.sendAccountAnomalyNotification({
+          accountId: account.id,
+          accountName: account.name || 'Droid Account',
+          platform: 'droid',
+          status: 'disabled',
+          errorCode: 'DROID_MANUALLY_DISABLED',
+          reason: '账号已被管理员手动禁用调度',
+          timestamp: new Date().toISOString()
+        })
+      }
 
-    return res.json({ success: true, schedulable: actualSchedulable })
-  } catch (error) {
-    logger.error('❌ Failed to toggle Droid account schedulable status:', error)
-    return res
-      .status(500)
-      .json({ error: 'Failed to toggle schedulable status', message: error.message })
+      logger.success(
+        `🔄 Admin toggled Droid account schedulable status: ${id} -> ${
+          actualSchedulable ? 'schedulable' : 'not schedulable'
+        }`
+      )
+
+      return res.json({ success: true, schedulable: actualSchedulable })
+    } catch (error) {
+      logger.error('❌ Failed to toggle Droid account schedulable status:', error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to toggle schedulable status', message: error.message })
+    }
   }
-})
+)
 
 // 获取单个 Droid 账户详细信息
 router.get('/droid-accounts/:id', authenticateAdmin, async (req, res) => {
@@ -504,7 +519,7 @@ router.get('/droid-accounts/:id', authenticateAdmin, async (req, res) => {
 })
 
 // 删除 Droid 账户
-router.delete('/droid-accounts/:id', authenticateAdmin, async (req, res) => {
+router.delete('/droid-accounts/:id', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { id } = req.params
     await droidAccountService.deleteAccount(id)
@@ -4,12 +4,17 @@ const accountGroupService = require('../../services/accountGroupService')
 const apiKeyService = require('../../services/apiKeyService')
 const redis = require('../../models/redis')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const logger = require('../../utils/logger')
 const webhookNotifier = require('../../utils/webhookNotifier')
 const { formatAccountExpiry, mapExpiryField } = require('./utils')
+const circuitBreakerService = require('../../services/circuitBreakerService')
 
 const router = express.Router()
 
+// 📋 审计：记录增删改及启用/调度状态切换
+const auditAccountChange = auditAdminChange('gemini_account')
+
 // 🤖 Gemini OAuth 账户管理
 
 // 生成 Gemini OAuth 授权 URL
@@ -221,7 +226,10 @@ router.get('/', authenticateAdmin, async (req, res) => {
       })
     )
 
-    return res.json({ success: true, data: accountsWithStats })
+    return res.json({
+      success: true,
+      data: await circuitBreakerService.attachStatuses(accountsWithStats)
+    })
   } catch (error) {
     logger.error('❌ Failed to get Gemini accounts:', error)
     return res.status(500).json({ error: 'Failed to get accounts', message: error.message })
@@ -229,7 +237,7 @@ router.get('/', authenticateAdmin, async (req, res) => {
 })
 
 // 创建新的 Gemini 账户
-router.post('/', authenticateAdmin, async (req, res) => {
+router.post('/', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const accountData = req.body
 
@@ -283,7 +291,7 @@ router.post('/', authenticateAdmin, async (req, res) => {
 })
 
 // 更新 Gemini 账户
-router.put('/:accountId', authenticateAdmin, async (req, res) => {
+router.put('/:accountId', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { accountId } = req.params
     const updates = req.body
@@ -351,7 +359,7 @@ router.put('/:accountId', authenticateAdmin, async (req, res) => {
 })
 
 // 删除 Gemini 账户
-router.delete('/:accountId', authenticateAdmin, async (req, res) => {
+router.delete('/:accountId', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { accountId } = req.params
 
@@ -402,52 +410,57 @@ router.post('/:accountId/refresh', authenticateAdmin, async (req, res) => {
 })
 
 // 切换 Gemini 账户调度状态
-router.put('/:accountId/toggle-schedulable', authenticateAdmin, async (req, res) => {
-  try {
-    const { accountId } = req.params
-
-    const account = await geminiAccountService.getAccount(accountId)
-    if (!account) {
-      return res.status(404).json({ error: 'Account not found' })
-    }
+router.put(
+  '/:accountId/toggle-schedulable',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { accountId } = req.params
+
+      const account = await geminiAccountService.getAccount(accountId)
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' })
+      }
 
-    // 现在 account.schedulable 已经是布尔值了，直接取反即可
-    const newSchedulable = !account.schedulable
-
-    await geminiAccountService.updateAccount(accountId, { schedulable: String(newSchedulable) })
-
-    // 验证更新是否成功，重新获取账户信息
-    const updatedAccount = await geminiAccountService.getAccount(accountId)
-    const actualSchedulable = updatedAccount ? updatedAccount.schedulable : newSchedulable
-
-    // 如果账号被禁用，发送webhook通知
-    if (!actualSchedulable) {
-      await webhookNotifier.sendAccountAnomalyNotification({
-        accountId: account.id,
-        accountName: account.accountName || 'Gemini Account',
-        platform: 'gemini',
-        status: 'disabled',
-        errorCode: 'GEMINI_MANUALLY_DISABLED',
-        reason: '账号已被管理员手动禁用调度',
-        timestamp: new Date().toISOString()
-      })
-    }
+      // 现在 account.schedulable 已经是布尔值了，直接取反即可
+      const newSchedulable = !account.schedulable
+
+      await geminiAccountService.updateAccount(accountId, { schedulable: String(newSchedulable) })
+
+      // 验证更新是否成功，重新获取账户信息
+      const updatedAccount = await geminiAccountService.getAccount(accountId)
+      const actualSchedulable = updatedAccount ? updatedAccount.schedulable : newSchedulable
+
+      // 如果账号被禁用，发送webhook通知
+      if (!actualSchedulable) {
+        await webhookNotifier.sendAccountAnomalyNotification({
+          accountId: account.id,
+          accountName: account.accountName || 'Gemini Account',
+          platform: 'gemini',
+          status: 'disabled',
+          errorCode: 'GEMINI_MANUALLY_DISABLED',
+          reason: '账号已被管理员手动禁用调度',
+          timestamp: new Date().toISOString()
+        })
+      }
 
-    logger.success(
-      `🔄 Admin toggled Gemini account schedulable status: ${accountId} -> ${
-        actualSchedulable ? 'schedulable' : 'not schedulable'
-      }`
-    )
+      logger.success(
+        `🔄 Admin toggled Gemini account schedulable status: ${accountId} -> ${
+          actualSchedulable ? 'schedulable' : 'not schedulable'
+        }`
+      )
 
-    // 返回实际的数据库值，确保前端状态与后端一致
-    return res.json({ success: true, schedulable: actualSchedulable })
-  } catch (error) {
-    logger.error('❌ Failed to toggle Gemini account schedulable status:', error)
-    return res
-      .status(500)
-      .json({ error: 'Failed to toggle schedulable status', message: error.message })
+      // 返回实际的数据库值，确保前端状态与后端一致
+      return res.json({ success: true, schedulable: actualSchedulable })
+    } catch (error) {
+      logger.error('❌ Failed to toggle Gemini account schedulable status:', error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to toggle schedulable status', message: error.message })
+    }
   }
-})
+)
 
 // 重置 Gemini OAuth 账户限流状态
 router.post('/:id/reset-rate-limit', authenticateAdmin, async (req, res) => {
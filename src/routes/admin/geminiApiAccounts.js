@@ -4,11 +4,16 @@ const apiKeyService = require('../../services/apiKeyService')
 const accountGroupService = require('../../services/accountGroupService')
 const redis = require('../../models/redis')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const logger = require('../../utils/logger')
 const webhookNotifier = require('../../utils/webhookNotifier')
+const circuitBreakerService = require('../../services/circuitBreakerService')
 
 const router = express.Router()
 
+// 📋 审计：记录增删改及启用/调度状态切换
+const auditAccountChange = auditAdminChange('gemini_api_account')
+
 // 获取所有 Gemini-API 账户
 router.get('/gemini-api-accounts', authenticateAdmin, async (req, res) => {
   try {
@@ -80,7 +85,7 @@ router.get('/gemini-api-accounts', authenticateAdmin, async (req, res) => {
       })
     )
 
-    res.json({ success: true, data: accountsWithStats })
+    res.json({ success: true, data: await circuitBreakerService.attachStatuses(accountsWithStats) })
   } catch (error) {
     logger.error('Failed to get Gemini-API accounts:', error)
     res.status(500).json({ success: false, message: error.message })
@@ -88,7 +93,7 @@ router.get('/gemini-api-accounts', authenticateAdmin, async (req, res) => {
 })
 
 // 创建 Gemini-API 账户
-router.post('/gemini-api-accounts', authenticateAdmin, async (req, res) => {
+router.post('/gemini-api-accounts', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { accountType, groupId, groupIds } = req.body
 
@@ -162,7 +167,7 @@ router.get('/gemini-api-accounts/:id', authenticateAdmin, async (req, res) => {
 })
 
 // 更新 Gemini-API 账户
-router.put('/gemini-api-accounts/:id', authenticateAdmin, async (req, res) => {
+router.put('/gemini-api-accounts/:id', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { id } = req.params
     const updates = req.body
@@ -248,113 +253,128 @@ router.put('/gemini-api-accounts/:id', authenticateAdmin, async (req, res) => {
 })
 
 // 删除 Gemini-API 账户
-router.delete('/gemini-api-accounts/:id', authenticateAdmin, async (req, res) => {
-  try {
-    const { id } = req.params
-
-    const account = await geminiApiAccountService.getAccount(id)
-    if (!account) {
-      return res.status(404).json({
-        success: false,
-        message: 'Account not found'
-      })
-    }
+router.delete(
+  '/gemini-api-accounts/:id',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { id } = req.params
+
+      const account = await geminiApiAccountService.getAccount(id)
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        })
+      }
 
-    // 自动解绑所有绑定的 API Keys（支持 api: 前缀）
-    const unboundCount = await apiKeyService.unbindAccountFromAllKeys(id, 'gemini-api')
+      // 自动解绑所有绑定的 API Keys（支持 api: 前缀）
+      const unboundCount = await apiKeyService.unbindAccountFromAllKeys(id, 'gemini-api')
 
-    // 从所有分组中移除此账户
-    if (account.accountType === 'group') {
-      await accountGroupService.removeAccountFromAllGroups(id)
-      logger.info(`Removed Gemini-API account ${id} from all groups`)
-    }
+      // 从所有分组中移除此账户
+      if (account.accountType === 'group') {
+        await accountGroupService.removeAccountFromAllGroups(id)
+        logger.info(`Removed Gemini-API account ${id} from all groups`)
+      }
 
-    const result = await geminiApiAccountService.deleteAccount(id)
+      const result = await geminiApiAccountService.deleteAccount(id)
 
-    let message = 'Gemini-API账号已成功删除'
-    if (unboundCount > 0) {
-      message += `，${unboundCount} 个 API Key 已切换为共享池模式`
-    }
+      let message = 'Gemini-API账号已成功删除'
+      if (unboundCount > 0) {
+        message += `，${unboundCount} 个 API Key 已切换为共享池模式`
+      }
 
-    logger.success(`✅ ${message}`)
+      logger.success(`✅ ${message}`)
 
-    res.json({
-      success: true,
-      ...result,
-      message,
-      unboundKeys: unboundCount
-    })
-  } catch (error) {
-    logger.error('Failed to delete Gemini-API account:', error)
-    res.status(500).json({
-      success: false,
-      error: error.message
-    })
+      res.json({
+        success: true,
+        ...result,
+        message,
+        unboundKeys: unboundCount
+      })
+    } catch (error) {
+      logger.error('Failed to delete Gemini-API account:', error)
+      res.status(500).json({
+        success: false,
+        error: error.message
+      })
+    }
   }
-})
+)
 
 // 切换 Gemini-API 账户调度状态
-router.put('/gemini-api-accounts/:id/toggle-schedulable', authenticateAdmin, async (req, res) => {
-  try {
-    const { id } = req.params
-
-    const result = await geminiApiAccountService.toggleSchedulable(id)
+router.put(
+  '/gemini-api-accounts/:id/toggle-schedulable',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { id } = req.params
+
+      const result = await geminiApiAccountService.toggleSchedulable(id)
+
+      if (!result.success) {
+        return res.status(400).json(result)
+      }
 
-    if (!result.success) {
-      return res.status(400).json(result)
-    }
+      // 仅在停止调度时发送通知
+      if (!result.schedulable) {
+        await webhookNotifier.sendAccountEvent('account.status_changed', {
+          accountId: id,
+          platform: 'gemini-api',
+          schedulable: result.schedulable,
+          changedBy: 'admin',
+          action: 'stopped_scheduling'
+        })
+      }
 
-    // 仅在停止调度时发送通知
-    if (!result.schedulable) {
-      await webhookNotifier.sendAccountEvent('account.status_changed', {
-        accountId: id,
-        platform: 'gemini-api',
-        schedulable: result.schedulable,
-        changedBy: 'admin',
-        action: 'stopped_scheduling'
+      res.json(result)
+    } catch (error) {
+      logger.error('Failed to toggle Gemini-API account schedulable status:', error)
+      res.status(500).json({
+        success: false,
+        error: error.message
       })
     }
-
-    res.json(result)
-  } catch (error) {
-    logger.error('Failed to toggle Gemini-API account schedulable status:', error)
-    res.status(500).json({
-      success: false,
-      error: error.message
-    })
   }
-})
+)
 
 // 切换 Gemini-API 账户激活状态
-router.put('/gemini-api-accounts/:id/toggle', authenticateAdmin, async (req, res) => {
-  try {
-    const { id } = req.params
+router.put(
+  '/gemini-api-accounts/:id/toggle',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { id } = req.params
+
+      const account = await geminiApiAccountService.getAccount(id)
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        })
+      }
 
-    const account = await geminiApiAccountService.getAccount(id)
-    if (!account) {
-      return res.status(404).json({
+      const newActiveStatus = account.isActive === 'true' ? 'false' : 'true'
+      await geminiApiAccountService.updateAccount(id, {
+        isActive: newActiveStatus
+      })
+
+      res.json({
+        success: true,
+        isActive: newActiveStatus === 'true'
+      })
+    } catch (error) {
+      logger.error('Failed to toggle Gemini-API account status:', error)
+      res.status(500).json({
         success: false,
-        message: 'Account not found'
+        error: error.message
       })
     }
-
-    const newActiveStatus = account.isActive === 'true' ? 'false' : 'true'
-    await geminiApiAccountService.updateAccount(id, {
-      isActive: newActiveStatus
-    })
-
-    res.json({
-      success: true,
-      isActive: newActiveStatus === 'true'
-    })
-  } catch (error) {
-    logger.error('Failed to toggle Gemini-API account status:', error)
-    res.status(500).json({
-      success: false,
-      error: error.message
-    })
   }
-})
+)
 
 // 重置 Gemini-API 账户限流状态
 router.post('/gemini-api-accounts/:id/reset-rate-limit', authenticateAdmin, async (req, res) => {
@@ -8,6 +8,7 @@ const router = express.Router()
 
 // 导入所有子路由
 const apiKeysRoutes = require('./apiKeys')
+const apiKeyRequestsRoutes = require('./apiKeyRequests')
 const accountGroupsRoutes = require('./accountGroups')
 const claudeAccountsRoutes = require('./claudeAccounts')
 const claudeConsoleAccountsRoutes = require('./claudeConsoleAccounts')
@@ -24,10 +25,20 @@ const usageStatsRoutes = require('./usageStats')
 const systemRoutes = require('./system')
 const concurrencyRoutes = require('./concurrency')
 const claudeRelayConfigRoutes = require('./claudeRelayConfig')
+const auditLogsRoutes = require('./auditLogs')
+const ipAccessRoutes = require('./ipAccess')
+const modelRoutingRoutes = require('./modelRouting')
+const capturesRoutes = require('./captures')
+const circuitBreakersRoutes = require('./circuitBreakers')
+const requestTransformsRoutes = require('./requestTransforms')
+const credentialVaultRoutes = require('./credentialVault')
+const teamsRoutes = require('./teams')
+const adminIdentitiesRoutes = require('./adminIdentities')
 
 // 挂载所有子路由
 // 使用完整路径的模块（直接挂载到根路径）
 router.use('/', apiKeysRoutes)
+router.use('/', apiKeyRequestsRoutes)
 router.use('/', claudeAccountsRoutes)
 router.use('/', claudeConsoleAccountsRoutes)
 router.use('/', geminiApiAccountsRoutes)
@@ -39,6 +50,15 @@ router.use('/', usageStatsRoutes)
 router.use('/', systemRoutes)
 router.use('/', concurrencyRoutes)
 router.use('/', claudeRelayConfigRoutes)
+router.use('/', auditLogsRoutes)
+router.use('/', ipAccessRoutes)
+router.use('/', modelRoutingRoutes)
+router.use('/', capturesRoutes)
+router.use('/', circuitBreakersRoutes)
+router.use('/', requestTransformsRoutes)
+router.use('/', credentialVaultRoutes)
+router.use('/', teamsRoutes)
+router.use('/', adminIdentitiesRoutes)
 
 // 使用相对路径的模块（需要指定基础路径前缀）
 router.use('/account-groups', accountGroupsRoutes)
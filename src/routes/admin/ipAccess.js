@@ -0,0 +1,110 @@
+/**
+ * Admin Routes - IP 访问控制
+ * 在线管理全局 IP 白名单 / 黑名单（支持 CIDR 与 IPv6 前缀），修改后无需重启即可生效
+ */
+
+const express = require('express')
+const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
+const ipAccessService = require('../../services/ipAccessService')
+const ipHelper = require('../../utils/ipHelper')
+const { normalizeNetworkList, isIpInNetworks } = require('../../utils/ipNetworkHelper')
+const logger = require('../../utils/logger')
+
+const router = express.Router()
+
+// 📋 审计：IP 访问规则为全局单例
+const auditIpAccessChange = auditAdminChange('ip_access_rules', { resourceId: 'global' })
+
+/**
+ * GET /admin/ip-access
+ * 获取 IP 访问规则（Redis 中保存的规则、config 静态规则以及当前请求的来源地址）
+ */
+router.get('/ip-access', authenticateAdmin, async (req, res) => {
+  try {
+    const [rules, effective, clientIp] = await Promise.all([
+      ipAccessService.getStoredRules(),
+      ipAccessService.getEffectiveRules(),
+      ipHelper.resolveClientIP(req)
+    ])
+
+    return res.json({
+      success: true,
+      data: {
+        rules,
+        staticRules: ipAccessService.getStaticRules(),
+        effective: {
+          allowlistEnabled: effective.allowlistEnabled,
+          allowlist: effective.allowlist,
+          denylist: effective.denylist
+        },
+        clientIps: ipAccessService.getCandidateIps(req, clientIp)
+      }
+    })
+  } catch (error) {
+    logger.error('❌ Failed to get IP access rules:', error)
+    return res.status(500).json({ error: 'Failed to get IP access rules', message: error.message })
+  }
+})
+
+/**
+ * PUT /admin/ip-access
+ * 更新 IP 访问规则
+ * allowlistEnabled 传 null 表示沿用 config 中的开关
+ */
+router.put('/ip-access', authenticateAdmin, auditIpAccessChange, async (req, res) => {
+  try {
+    const { allowlistEnabled, allowlist, denylist } = req.body
+    const updates = {}
+
+    if (allowlistEnabled !== undefined) {
+      if (allowlistEnabled !== null && typeof allowlistEnabled !== 'boolean') {
+        return res.status(400).json({ error: 'allowlistEnabled must be a boolean or null' })
+      }
+      updates.allowlistEnabled = allowlistEnabled
+    }
+
+    try {
+      if (allowlist !== undefined) {
+        updates.allowlist = normalizeNetworkList(allowlist, 'allowlist')
+      }
+      if (denylist !== undefined) {
+        updates.denylist = normalizeNetworkList(denylist, 'denylist')
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: 'Invalid network', message: validationError.message })
+    }
+
+    // 防止管理员把自己锁在门外：新规则必须仍然允许当前请求的来源地址
+    const current = await ipAccessService.getStoredRules()
+    const staticRules = ipAccessService.getStaticRules()
+    const next = { ...current, ...updates }
+    const nextAllowlistEnabled =
+      typeof next.allowlistEnabled === 'boolean' ? next.allowlistEnabled : staticRules.enabled
+    const clientIps = ipAccessService.getCandidateIps(req, await ipHelper.resolveClientIP(req))
+    const matchesAny = (networks) => clientIps.some((ip) => isIpInNetworks(ip, networks))
+
+    if (matchesAny([...staticRules.denylist, ...next.denylist])) {
+      return res.status(400).json({
+        error: 'Self lockout',
+        message: `The denylist would block your current IP (${clientIps.join(', ')})`
+      })
+    }
+    if (nextAllowlistEnabled && !matchesAny([...staticRules.allowlist, ...next.allowlist])) {
+      return res.status(400).json({
+        error: 'Self lockout',
+        message: `The allowlist does not include your current IP (${clientIps.join(', ')})`
+      })
+    }
+
+    const rules = await ipAccessService.updateRules(updates, req.admin?.username || 'admin')
+    return res.json({ success: true, data: { rules } })
+  } catch (error) {
+    logger.error('❌ Failed to update IP access rules:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to update IP access rules', message: error.message })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,99 @@
+/**
+ * Admin Routes - 模型路由表
+ * 在线管理统一 /v1/chat/completions 端点的模型 → 后端路由规则，修改后无需重启即可生效
+ */
+
+const express = require('express')
+const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
+const modelRoutingService = require('../../services/modelRoutingService')
+const redis = require('../../models/redis')
+const {
+  ROUTING_BACKENDS,
+  normalizeModelRoutingRules,
+  parseModelRoutingRules
+} = require('../../utils/modelRoutingHelper')
+const logger = require('../../utils/logger')
+
+const router = express.Router()
+
+// 📋 审计：模型路由表为全局单例
+const auditModelRoutingChange = auditAdminChange('model_routing_rules', { resourceId: 'global' })
+
+/**
+ * GET /admin/model-routing
+ * 获取全局模型路由表
+ */
+router.get('/model-routing', authenticateAdmin, async (req, res) => {
+  try {
+    const table = await modelRoutingService.getRoutingTable()
+    return res.json({
+      success: true,
+      data: {
+        ...table,
+        backends: Object.keys(ROUTING_BACKENDS)
+      }
+    })
+  } catch (error) {
+    logger.error('❌ Failed to get model routing table:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to get model routing table', message: error.message })
+  }
+})
+
+/**
+ * PUT /admin/model-routing
+ * 整体替换全局模型路由表（规则按顺序匹配）
+ */
+router.put('/model-routing', authenticateAdmin, auditModelRoutingChange, async (req, res) => {
+  try {
+    let rules
+    try {
+      rules = normalizeModelRoutingRules(req.body.rules, 'rules')
+    } catch (validationError) {
+      return res.status(400).json({ error: 'Invalid rules', message: validationError.message })
+    }
+
+    const table = await modelRoutingService.updateRoutingTable(
+      rules,
+      req.admin?.username || 'admin'
+    )
+    return res.json({ success: true, data: table })
+  } catch (error) {
+    logger.error('❌ Failed to update model routing table:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to update model routing table', message: error.message })
+  }
+})
+
+/**
+ * POST /admin/model-routing/resolve
+ * 试算某个模型的路由结果（可指定 API Key 以包含其覆盖规则）
+ */
+router.post('/model-routing/resolve', authenticateAdmin, async (req, res) => {
+  try {
+    const { model, apiKeyId } = req.body
+    if (typeof model !== 'string' || !model.trim()) {
+      return res.status(400).json({ error: 'Model is required' })
+    }
+
+    let apiKeyData = {}
+    if (apiKeyId) {
+      const keyData = await redis.getApiKey(apiKeyId)
+      if (!keyData || Object.keys(keyData).length === 0) {
+        return res.status(404).json({ error: 'API key not found' })
+      }
+      apiKeyData = { modelRoutingRules: parseModelRoutingRules(keyData.modelRoutingRules) }
+    }
+
+    const route = await modelRoutingService.resolveRoute(model.trim(), apiKeyData)
+    return res.json({ success: true, data: route })
+  } catch (error) {
+    logger.error('❌ Failed to resolve model route:', error)
+    return res.status(500).json({ error: 'Failed to resolve model route', message: error.message })
+  }
+})
+
+module.exports = router
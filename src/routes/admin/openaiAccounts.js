@@ -11,13 +11,18 @@ const accountGroupService = require('../../services/accountGroupService')
 const apiKeyService = require('../../services/apiKeyService')
 const redis = require('../../models/redis')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const logger = require('../../utils/logger')
 const ProxyHelper = require('../../utils/proxyHelper')
 const webhookNotifier = require('../../utils/webhookNotifier')
 const { formatAccountExpiry, mapExpiryField } = require('./utils')
+const circuitBreakerService = require('../../services/circuitBreakerService')
 
 const router = express.Router()
 
+// 📋 审计：记录增删改及启用/调度状态切换
+const auditAccountChange = auditAdminChange('openai_account')
+
 // OpenAI OAuth 配置
 const OPENAI_CONFIG = {
   BASE_URL: 'https://auth.openai.com',
@@ -304,7 +309,7 @@ router.get('/', authenticateAdmin, async (req, res) => {
 
     return res.json({
       success: true,
-      data: accountsWithStats
+      data: await circuitBreakerService.attachStatuses(accountsWithStats)
     })
   } catch (error) {
     logger.error('获取 OpenAI 账户列表失败:', error)
@@ -317,7 +322,7 @@ router.get('/', authenticateAdmin, async (req, res) => {
 })
 
 // 创建 OpenAI 账户
-router.post('/', authenticateAdmin, async (req, res) => {
+router.post('/', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const {
       name,
@@ -467,7 +472,7 @@ router.post('/', authenticateAdmin, async (req, res) => {
 })
 
 // 更新 OpenAI 账户
-router.put('/:id', authenticateAdmin, async (req, res) => {
+router.put('/:id', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { id } = req.params
     const updates = req.body
@@ -661,7 +666,7 @@ router.put('/:id', authenticateAdmin, async (req, res) => {
 })
 
 // 删除 OpenAI 账户
-router.delete('/:id', authenticateAdmin, async (req, res) => {
+router.delete('/:id', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { id } = req.params
 
@@ -711,7 +716,7 @@ router.delete('/:id', authenticateAdmin, async (req, res) => {
 })
 
 // 切换 OpenAI 账户状态
-router.put('/:id/toggle', authenticateAdmin, async (req, res) => {
+router.put('/:id/toggle', authenticateAdmin, auditAccountChange, async (req, res) => {
   try {
     const { id } = req.params
 
@@ -764,42 +769,47 @@ router.post('/:accountId/reset-status', authenticateAdmin, async (req, res) => {
 })
 
 // 切换 OpenAI 账户调度状态
-router.put('/:accountId/toggle-schedulable', authenticateAdmin, async (req, res) => {
-  try {
-    const { accountId } = req.params
-
-    const result = await openaiAccountService.toggleSchedulable(accountId)
-
-    // 如果账号被禁用，发送webhook通知
-    if (!result.schedulable) {
-      // 获取账号信息
-      const account = await redis.getOpenAiAccount(accountId)
-      if (account) {
-        await webhookNotifier.sendAccountAnomalyNotification({
-          accountId: account.id,
-          accountName: account.name || 'OpenAI Account',
-          platform: 'openai',
-          status: 'disabled',
-          errorCode: 'OPENAI_MANUALLY_DISABLED',
-          reason: '账号已被管理员手动禁用调度',
-          timestamp: new Date().toISOString()
-        })
+router.put(
+  '/:accountId/toggle-schedulable',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { accountId } = req.params
+
+      const result = await openaiAccountService.toggleSchedulable(accountId)
+
+      // 如果账号被禁用，发送webhook通知
+      if (!result.schedulable) {
+        // 获取账号信息
+        const account = await redis.getOpenAiAccount(accountId)
+        if (account) {
+          await webhookNotifier.sendAccountAnomalyNotification({
+            accountId: account.id,
+            accountName: account.name || 'OpenAI Account',
+            platform: 'openai',
+            status: 'disabled',
+            errorCode: 'OPENAI_MANUALLY_DISABLED',
+            reason: '账号已被管理员手动禁用调度',
+            timestamp: new Date().toISOString()
+          })
+        }
       }
-    }
 
-    return res.json({
-      success: result.success,
-      schedulable: result.schedulable,
-      message: result.schedulable ? '已启用调度' : '已禁用调度'
-    })
-  } catch (error) {
-    logger.error('切换 OpenAI 账户调度状态失败:', error)
-    return res.status(500).json({
-      success: false,
-      message: '切换调度状态失败',
-      error: error.message
-    })
+      return res.json({
+        success: result.success,
+        schedulable: result.schedulable,
+        message: result.schedulable ? '已启用调度' : '已禁用调度'
+      })
+    } catch (error) {
+      logger.error('切换 OpenAI 账户调度状态失败:', error)
+      return res.status(500).json({
+        success: false,
+        message: '切换调度状态失败',
+        error: error.message
+      })
+    }
   }
-})
+)
 
 module.exports = router
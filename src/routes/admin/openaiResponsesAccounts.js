@@ -9,12 +9,17 @@ const apiKeyService = require('../../services/apiKeyService')
 const accountGroupService = require('../../services/accountGroupService')
 const redis = require('../../models/redis')
 const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
 const logger = require('../../utils/logger')
 const webhookNotifier = require('../../utils/webhookNotifier')
 const { formatAccountExpiry, mapExpiryField } = require('./utils')
+const circuitBreakerService = require('../../services/circuitBreakerService')
 
 const router = express.Router()
 
+// 📋 审计：记录增删改及启用/调度状态切换
+const auditAccountChange = auditAdminChange('openai_responses_account')
+
 // ==================== OpenAI-Responses 账户管理 API ====================
 
 // 获取所有 OpenAI-Responses 账户
@@ -127,7 +132,7 @@ router.get('/openai-responses-accounts', authenticateAdmin, async (req, res) =>
       })
     )
 
-    res.json({ success: true, data: accountsWithStats })
+    res.json({ success: true, data: await circuitBreakerService.attachStatuses(accountsWithStats) })
   } catch (error) {
     logger.error('Failed to get OpenAI-Responses accounts:', error)
     res.status(500).json({ success: false, message: error.message })
@@ -135,184 +140,204 @@ router.get('/openai-responses-accounts', authenticateAdmin, async (req, res) =>
 })
 
 // 创建 OpenAI-Responses 账户
-router.post('/openai-responses-accounts', authenticateAdmin, async (req, res) => {
-  try {
-    const accountData = req.body
-
-    // 验证分组类型
-    if (
-      accountData.accountType === 'group' &&
-      !accountData.groupId &&
-      (!accountData.groupIds || accountData.groupIds.length === 0)
-    ) {
-      return res.status(400).json({
-        success: false,
-        error: 'Group ID is required for group type accounts'
-      })
-    }
-
-    const account = await openaiResponsesAccountService.createAccount(accountData)
-
-    // 如果是分组类型，处理分组绑定
-    if (accountData.accountType === 'group') {
-      if (accountData.groupIds && accountData.groupIds.length > 0) {
-        // 多分组模式
-        await accountGroupService.setAccountGroups(account.id, accountData.groupIds, 'openai')
-        logger.info(
-          `🏢 Added OpenAI-Responses account ${account.id} to groups: ${accountData.groupIds.join(', ')}`
-        )
-      } else if (accountData.groupId) {
-        // 单分组模式（向后兼容）
-        await accountGroupService.addAccountToGroup(account.id, accountData.groupId, 'openai')
-        logger.info(
-          `🏢 Added OpenAI-Responses account ${account.id} to group: ${accountData.groupId}`
-        )
+router.post(
+  '/openai-responses-accounts',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const accountData = req.body
+
+      // 验证分组类型
+      if (
+        accountData.accountType === 'group' &&
+        !accountData.groupId &&
+        (!accountData.groupIds || accountData.groupIds.length === 0)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: 'Group ID is required for group type accounts'
+        })
       }
-    }
-
-    const formattedAccount = formatAccountExpiry(account)
-    res.json({ success: true, data: formattedAccount })
-  } catch (error) {
-    logger.error('Failed to create OpenAI-Responses account:', error)
-    res.status(500).json({
-      success: false,
-      error: error.message
-    })
-  }
-})
 
-// 更新 OpenAI-Responses 账户
-router.put('/openai-responses-accounts/:id', authenticateAdmin, async (req, res) => {
-  try {
-    const { id } = req.params
-    const updates = req.body
+      const account = await openaiResponsesAccountService.createAccount(accountData)
+
+      // 如果是分组类型，处理分组绑定
+      if (accountData.accountType === 'group') {
+        if (accountData.groupIds && accountData.groupIds.length > 0) {
+          // 多分组模式
+          await accountGroupService.setAccountGroups(account.id, accountData.groupIds, 'openai')
+          logger.info(
+            `🏢 Added OpenAI-Responses account ${account.id} to groups: ${accountData.groupIds.join(', ')}`
+          )
+        } else if (accountData.groupId) {
+          // 单分组模式（向后兼容）
+          await accountGroupService.addAccountToGroup(account.id, accountData.groupId, 'openai')
+          logger.info(
+            `🏢 Added OpenAI-Responses account ${account.id} to group: ${accountData.groupId}`
+          )
+        }
+      }
 
-    // 获取当前账户信息
-    const currentAccount = await openaiResponsesAccountService.getAccount(id)
-    if (!currentAccount) {
-      return res.status(404).json({
+      const formattedAccount = formatAccountExpiry(account)
+      res.json({ success: true, data: formattedAccount })
+    } catch (error) {
+      logger.error('Failed to create OpenAI-Responses account:', error)
+      res.status(500).json({
         success: false,
-        error: 'Account not found'
+        error: error.message
       })
     }
+  }
+)
 
-    // ✅ 【新增】映射字段名：前端的 expiresAt -> 后端的 subscriptionExpiresAt
-    const mappedUpdates = mapExpiryField(updates, 'OpenAI-Responses', id)
+// 更新 OpenAI-Responses 账户
+router.put(
+  '/openai-responses-accounts/:id',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { id } = req.params
+      const updates = req.body
 
-    // 验证priority的有效性（1-100）
-    if (mappedUpdates.priority !== undefined) {
-      const priority = parseInt(mappedUpdates.priority)
-      if (isNaN(priority) || priority < 1 || priority > 100) {
-        return res.status(400).json({
+      // 获取当前账户信息
+      const currentAccount = await openaiResponsesAccountService.getAccount(id)
+      if (!currentAccount) {
+        return res.status(404).json({
           success: false,
-          message: 'Priority must be a number between 1 and 100'
+          error: 'Account not found'
         })
       }
-      mappedUpdates.priority = priority.toString()
-    }
 
-    // 处理分组变更
-    if (mappedUpdates.accountType !== undefined) {
-      // 如果之前是分组类型，需要从所有分组中移除
-      if (currentAccount.accountType === 'group') {
-        const oldGroups = await accountGroupService.getAccountGroups(id)
-        for (const oldGroup of oldGroups) {
-          await accountGroupService.removeAccountFromGroup(id, oldGroup.id)
+      // ✅ 【新增】映射字段名：前端的 expiresAt -> 后端的 subscriptionExpiresAt
+      const mappedUpdates = mapExpiryField(updates, 'OpenAI-Responses', id)
+
+      // 验证priority的有效性（1-100）
+      if (mappedUpdates.priority !== undefined) {
+        const priority = parseInt(mappedUpdates.priority)
+        if (isNaN(priority) || priority < 1 || priority > 100) {
+          return res.status(400).json({
+            success: false,
+            message: 'Priority must be a number between 1 and 100'
+          })
         }
-        logger.info(`📤 Removed OpenAI-Responses account ${id} from all groups`)
+        mappedUpdates.priority = priority.toString()
       }
 
-      // 如果新类型是分组，处理多分组支持
-      if (mappedUpdates.accountType === 'group') {
-        if (Object.prototype.hasOwnProperty.call(mappedUpdates, 'groupIds')) {
-          if (mappedUpdates.groupIds && mappedUpdates.groupIds.length > 0) {
-            // 设置新的多分组
-            await accountGroupService.setAccountGroups(id, mappedUpdates.groupIds, 'openai')
-            logger.info(
-              `📥 Added OpenAI-Responses account ${id} to groups: ${mappedUpdates.groupIds.join(', ')}`
-            )
-          } else {
-            // groupIds 为空数组，从所有分组中移除
-            await accountGroupService.removeAccountFromAllGroups(id)
+      // 处理分组变更
+      if (mappedUpdates.accountType !== undefined) {
+        // 如果之前是分组类型，需要从所有分组中移除
+        if (currentAccount.accountType === 'group') {
+          const oldGroups = await accountGroupService.getAccountGroups(id)
+          for (const oldGroup of oldGroups) {
+            await accountGroupService.removeAccountFromGroup(id, oldGroup.id)
+          }
+          logger.info(`📤 Removed OpenAI-Responses account ${id} from all groups`)
+        }
+
+        // 如果新类型是分组，处理多分组支持
+        if (mappedUpdates.accountType === 'group') {
+          if (Object.prototype.hasOwnProperty.call(mappedUpdates, 'groupIds')) {
+            if (mappedUpdates.groupIds && mappedUpdates.groupIds.length > 0) {
+              // 设置新的多分组
+              await accountGroupService.setAccountGroups(id, mappedUpdates.groupIds, 'openai')
+              logger.info(
+                `📥 Added OpenAI-Responses account ${id} to groups: ${mappedUpdates.groupIds.join(', ')}`
+              )
+            } else {
+              // groupIds 为空数组，从所有分组中移除
+              await accountGroupService.removeAccountFromAllGroups(id)
+              logger.info(
+                `📤 Removed OpenAI-Responses account ${id} from all groups (empty groupIds)`
+              )
+            }
+          } else if (mappedUpdates.groupId) {
+            // 向后兼容：仅当没有 groupIds 但有 groupId 时使用单分组逻辑
+            await accountGroupService.addAccountToGroup(id, mappedUpdates.groupId, 'openai')
             logger.info(
-              `📤 Removed OpenAI-Responses account ${id} from all groups (empty groupIds)`
+              `📥 Added OpenAI-Responses account ${id} to group: ${mappedUpdates.groupId}`
             )
           }
-        } else if (mappedUpdates.groupId) {
-          // 向后兼容：仅当没有 groupIds 但有 groupId 时使用单分组逻辑
-          await accountGroupService.addAccountToGroup(id, mappedUpdates.groupId, 'openai')
-          logger.info(`📥 Added OpenAI-Responses account ${id} to group: ${mappedUpdates.groupId}`)
         }
       }
-    }
 
-    const result = await openaiResponsesAccountService.updateAccount(id, mappedUpdates)
+      const result = await openaiResponsesAccountService.updateAccount(id, mappedUpdates)
 
-    if (!result.success) {
-      return res.status(400).json(result)
-    }
+      if (!result.success) {
+        return res.status(400).json(result)
+      }
 
-    logger.success(`📝 Admin updated OpenAI-Responses account: ${id}`)
-    res.json({ success: true, ...result })
-  } catch (error) {
-    logger.error('Failed to update OpenAI-Responses account:', error)
-    res.status(500).json({
-      success: false,
-      error: error.message
-    })
+      logger.success(`📝 Admin updated OpenAI-Responses account: ${id}`)
+      res.json({ success: true, ...result })
+    } catch (error) {
+      logger.error('Failed to update OpenAI-Responses account:', error)
+      res.status(500).json({
+        success: false,
+        error: error.message
+      })
+    }
   }
-})
+)
 
 // 删除 OpenAI-Responses 账户
-router.delete('/openai-responses-accounts/:id', authenticateAdmin, async (req, res) => {
-  try {
-    const { id } = req.params
+router.delete(
+  '/openai-responses-accounts/:id',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { id } = req.params
 
-    const account = await openaiResponsesAccountService.getAccount(id)
-    if (!account) {
-      return res.status(404).json({
-        success: false,
-        message: 'Account not found'
-      })
-    }
+      const account = await openaiResponsesAccountService.getAccount(id)
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        })
+      }
 
-    // 自动解绑所有绑定的 API Keys
-    const unboundCount = await apiKeyService.unbindAccountFromAllKeys(id, 'openai-responses')
+      // 自动解绑所有绑定的 API Keys
+      const unboundCount = await apiKeyService.unbindAccountFromAllKeys(id, 'openai-responses')
 
-    // 从所有分组中移除此账户
-    if (account.accountType === 'group') {
-      await accountGroupService.removeAccountFromAllGroups(id)
-      logger.info(`Removed OpenAI-Responses account ${id} from all groups`)
-    }
+      // 从所有分组中移除此账户
+      if (account.accountType === 'group') {
+        await accountGroupService.removeAccountFromAllGroups(id)
+        logger.info(`Removed OpenAI-Responses account ${id} from all groups`)
+      }
 
-    const result = await openaiResponsesAccountService.deleteAccount(id)
+      const result = await openaiResponsesAccountService.deleteAccount(id)
 
-    let message = 'OpenAI-Responses账号已成功删除'
-    if (unboundCount > 0) {
-      message += `，${unboundCount} 个 API Key 已切换为共享池模式`
-    }
+      let message = 'OpenAI-Responses账号已成功删除'
+      if (unboundCount > 0) {
+        message += `，${unboundCount} 个 API Key 已切换为共享池模式`
+      }
 
-    logger.success(`🗑️ Admin deleted OpenAI-Responses account: ${id}, unbound ${unboundCount} keys`)
+      logger.success(
+        `🗑️ Admin deleted OpenAI-Responses account: ${id}, unbound ${unboundCount} keys`
+      )
 
-    res.json({
-      success: true,
-      ...result,
-      message,
-      unboundKeys: unboundCount
-    })
-  } catch (error) {
-    logger.error('Failed to delete OpenAI-Responses account:', error)
-    res.status(500).json({
-      success: false,
-      error: error.message
-    })
+      res.json({
+        success: true,
+        ...result,
+        message,
+        unboundKeys: unboundCount
+      })
+    } catch (error) {
+      logger.error('Failed to delete OpenAI-Responses account:', error)
+      res.status(500).json({
+        success: false,
+        error: error.message
+      })
+    }
   }
-})
+)
 
 // 切换 OpenAI-Responses 账户调度状态
 router.put(
   '/openai-responses-accounts/:id/toggle-schedulable',
   authenticateAdmin,
+  auditAccountChange,
   async (req, res) => {
     try {
       const { id } = req.params
@@ -346,35 +371,40 @@ router.put(
 )
 
 // 切换 OpenAI-Responses 账户激活状态
-router.put('/openai-responses-accounts/:id/toggle', authenticateAdmin, async (req, res) => {
-  try {
-    const { id } = req.params
+router.put(
+  '/openai-responses-accounts/:id/toggle',
+  authenticateAdmin,
+  auditAccountChange,
+  async (req, res) => {
+    try {
+      const { id } = req.params
 
-    const account = await openaiResponsesAccountService.getAccount(id)
-    if (!account) {
-      return res.status(404).json({
+      const account = await openaiResponsesAccountService.getAccount(id)
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        })
+      }
+
+      const newActiveStatus = account.isActive === 'true' ? 'false' : 'true'
+      await openaiResponsesAccountService.updateAccount(id, {
+        isActive: newActiveStatus
+      })
+
+      res.json({
+        success: true,
+        isActive: newActiveStatus === 'true'
+      })
+    } catch (error) {
+      logger.error('Failed to toggle OpenAI-Responses account status:', error)
+      res.status(500).json({
         success: false,
-        message: 'Account not found'
+        error: error.message
       })
     }
-
-    const newActiveStatus = account.isActive === 'true' ? 'false' : 'true'
-    await openaiResponsesAccountService.updateAccount(id, {
-      isActive: newActiveStatus
-    })
-
-    res.json({
-      success: true,
-      isActive: newActiveStatus === 'true'
-    })
-  } catch (error) {
-    logger.error('Failed to toggle OpenAI-Responses account status:', error)
-    res.status(500).json({
-      success: false,
-      error: error.message
-    })
   }
-})
+)
 
 // 重置 OpenAI-Responses 账户限流状态
 router.post(
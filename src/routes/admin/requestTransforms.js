@@ -0,0 +1,163 @@
+/**
+ * Admin Routes - 请求转换规则
+ * 在线管理账户 / 分组级的请求转换管道（请求头、请求体字段、系统提示词、模型名），
+ * 并支持用示例请求预览转换结果，修改后无需重启即可生效
+ */
+
+const express = require('express')
+const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
+const requestTransformService = require('../../services/requestTransformService')
+const accountGroupService = require('../../services/accountGroupService')
+const {
+  TRANSFORM_RULE_TYPES,
+  TRANSFORM_SCOPES,
+  REQUEST_FORMATS,
+  normalizeTransformRules,
+  applyTransformRules
+} = require('../../utils/requestTransformHelper')
+const logger = require('../../utils/logger')
+
+const router = express.Router()
+
+// 📋 审计：规则按「作用域:ID」记录
+const auditRequestTransformChange = auditAdminChange('request_transform', {
+  resolveIds: (req) => [`${req.params.scope}:${req.params.id}`]
+})
+
+const validateScope = (req, res, next) => {
+  if (!TRANSFORM_SCOPES.includes(req.params.scope)) {
+    return res.status(400).json({
+      error: 'Invalid scope',
+      message: `scope must be one of: ${TRANSFORM_SCOPES.join(', ')}`
+    })
+  }
+  return next()
+}
+
+/**
+ * POST /admin/request-transforms/preview
+ * 用示例请求预览转换结果
+ * - 传入 rules 时预览草稿规则（编辑界面未保存的规则）
+ * - 只传入 accountId 时预览该账户当前生效的规则（包含所属分组规则）
+ */
+router.post('/request-transforms/preview', authenticateAdmin, async (req, res) => {
+  try {
+    const { rules, accountId, format = 'claude', sample = {} } = req.body || {}
+
+    if (!REQUEST_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `format must be one of: ${REQUEST_FORMATS.join(', ')}`
+      })
+    }
+    if (
+      !sample ||
+      typeof sample !== 'object' ||
+      (sample.headers !== undefined && typeof sample.headers !== 'object') ||
+      (sample.body !== undefined && typeof sample.body !== 'object')
+    ) {
+      return res.status(400).json({
+        error: 'Invalid sample',
+        message: 'sample must be an object with optional headers and body objects'
+      })
+    }
+
+    let previewRules
+    if (rules !== undefined) {
+      try {
+        previewRules = normalizeTransformRules(rules, 'rules')
+      } catch (validationError) {
+        return res.status(400).json({ error: 'Invalid rules', message: validationError.message })
+      }
+    } else if (accountId) {
+      previewRules = await requestTransformService.getRulesForAccount(accountId)
+    } else {
+      return res.status(400).json({ error: 'Either rules or accountId is required' })
+    }
+
+    const result = applyTransformRules(
+      previewRules,
+      {
+        headers: sample.headers || {},
+        body: sample.body || {},
+        ...(typeof sample.model === 'string' ? { model: sample.model } : {})
+      },
+      format
+    )
+    return res.json({ success: true, data: { ...result, rules: previewRules } })
+  } catch (error) {
+    logger.error('❌ Failed to preview request transform rules:', error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to preview request transform rules', message: error.message })
+  }
+})
+
+/**
+ * GET /admin/request-transforms/:scope/:id
+ * 获取账户或分组的转换规则；账户同时返回包含分组规则的生效规则
+ */
+router.get('/request-transforms/:scope/:id', authenticateAdmin, validateScope, async (req, res) => {
+  try {
+    const { scope, id } = req.params
+    const data = await requestTransformService.getRules(scope, id)
+
+    if (scope === 'account') {
+      requestTransformService.clearCache()
+      data.effectiveRules = await requestTransformService.getRulesForAccount(id)
+    }
+
+    return res.json({
+      success: true,
+      data: { ...data, ruleTypes: TRANSFORM_RULE_TYPES, formats: REQUEST_FORMATS }
+    })
+  } catch (error) {
+    logger.error(`❌ Failed to get request transform rules for ${req.params.id}:`, error)
+    return res
+      .status(500)
+      .json({ error: 'Failed to get request transform rules', message: error.message })
+  }
+})
+
+/**
+ * PUT /admin/request-transforms/:scope/:id
+ * 整体替换账户或分组的转换规则（规则按顺序执行，传入空数组即清空）
+ */
+router.put(
+  '/request-transforms/:scope/:id',
+  authenticateAdmin,
+  validateScope,
+  auditRequestTransformChange,
+  async (req, res) => {
+    try {
+      const { scope, id } = req.params
+
+      let rules
+      try {
+        rules = normalizeTransformRules(req.body.rules, 'rules')
+      } catch (validationError) {
+        return res.status(400).json({ error: 'Invalid rules', message: validationError.message })
+      }
+
+      if (scope === 'group' && !(await accountGroupService.getGroup(id))) {
+        return res.status(404).json({ error: 'Group not found' })
+      }
+
+      const data = await requestTransformService.setRules(
+        scope,
+        id,
+        rules,
+        req.admin?.username || 'admin'
+      )
+      return res.json({ success: true, data })
+    } catch (error) {
+      logger.error(`❌ Failed to update request transform rules for ${req.params.id}:`, error)
+      return res
+        .status(500)
+        .json({ error: 'Failed to update request transform rules', message: error.message })
+    }
+  }
+)
+
+module.exports = router
@@ -4,6 +4,7 @@ const path = require('path')
 const axios = require('axios')
 const claudeCodeHeadersService = require('../../services/claudeCodeHeadersService')
 const claudeAccountService = require('../../services/claudeAccountService')
+const oidcService = require('../../services/oidcService')
 const redis = require('../../models/redis')
 const { authenticateAdmin } = require('../../middleware/auth')
 const logger = require('../../utils/logger')
@@ -279,12 +280,13 @@ router.get('/oem-settings', async (req, res) => {
       }
     }
 
-    // 添加 LDAP 启用状态到响应中
+    // 添加 LDAP 与单点登录启用状态到响应中
     return res.json({
       success: true,
       data: {
         ...settings,
-        ldapEnabled: config.ldap && config.ldap.enabled === true
+        ldapEnabled: config.ldap && config.ldap.enabled === true,
+        sso: oidcService.getPublicConfig()
       }
     })
   } catch (error) {
@@ -0,0 +1,182 @@
+/**
+ * Admin Routes - 团队管理
+ * 团队的增删改、成员与团队角色管理，以及团队预算与用量汇总
+ */
+
+const express = require('express')
+const { authenticateAdmin } = require('../../middleware/auth')
+const { auditAdminChange } = require('../../middleware/auditLog')
+const teamService = require('../../services/teamService')
+const apiKeyService = require('../../services/apiKeyService')
+const accountGroupService = require('../../services/accountGroupService')
+const logger = require('../../utils/logger')
+
+const router = express.Router()
+
+// 📋 审计：团队信息与成员分别记录
+const auditTeamChange = auditAdminChange('team', { idParam: 'teamId' })
+const auditMemberChange = auditAdminChange('team_members', {
+  idParam: 'teamId',
+  action: 'update'
+})
+
+// 服务层冲突（名称重复、仍有 Key / 分组、用户已属于其他团队）返回 409，其余校验错误返回 400
+function sendServiceError(res, error, fallbackMessage) {
+  if (error.statusCode === 409) {
+    return res.status(409).json({ error: 'Conflict', message: error.message })
+  }
+  if (error.message === '团队不存在') {
+    return res.status(404).json({ error: 'Team not found', message: error.message })
+  }
+  return res.status(400).json({ error: fallbackMessage, message: error.message })
+}
+
+/**
+ * GET /admin/teams
+ * 团队列表，附带成员数、预算状态和用量汇总
+ */
+router.get('/teams', authenticateAdmin, async (req, res) => {
+  try {
+    const teams = await teamService.getAllTeams()
+    const data = []
+    for (const team of teams) {
+      const [budgetStatus, usage] = await Promise.all([
+        teamService.getBudgetStatus(team),
+        teamService.getUsageSummary(team.id)
+      ])
+      data.push({
+        ...team,
+        budgetStatus,
+        keyCount: usage.keyCount,
+        totalUsage: usage.totalUsage,
+        dailyCost: usage.dailyCost
+      })
+    }
+
+    return res.json({ success: true, data, roles: teamService.getRoles() })
+  } catch (error) {
+    logger.error('❌ Failed to get teams:', error)
+    return res.status(500).json({ error: 'Failed to get teams', message: error.message })
+  }
+})
+
+/**
+ * POST /admin/teams
+ * 创建团队
+ */
+router.post('/teams', authenticateAdmin, auditTeamChange, async (req, res) => {
+  try {
+    const { name, description, costBudget } = req.body
+    const team = await teamService.createTeam(
+      { name, description, costBudget },
+      req.admin?.username || 'admin'
+    )
+    return res.json({ success: true, data: team })
+  } catch (error) {
+    logger.error('❌ Failed to create team:', error)
+    return sendServiceError(res, error, 'Failed to create team')
+  }
+})
+
+/**
+ * GET /admin/teams/:teamId
+ * 团队详情：成员、共享 Key、专属分组、预算状态和用量汇总
+ */
+router.get('/teams/:teamId', authenticateAdmin, async (req, res) => {
+  try {
+    const team = await teamService.getTeam(req.params.teamId)
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' })
+    }
+
+    const [members, apiKeys, groups, budgetStatus, usage] = await Promise.all([
+      teamService.getMembers(team.id),
+      apiKeyService.getTeamApiKeys(team.id),
+      accountGroupService.getTeamGroups(team.id),
+      teamService.getBudgetStatus(team),
+      teamService.getUsageSummary(team.id)
+    ])
+
+    return res.json({
+      success: true,
+      data: { ...team, members, apiKeys, groups, budgetStatus, usage }
+    })
+  } catch (error) {
+    logger.error('❌ Failed to get team:', error)
+    return res.status(500).json({ error: 'Failed to get team', message: error.message })
+  }
+})
+
+/**
+ * PUT /admin/teams/:teamId
+ * 更新团队名称、描述或预算
+ */
+router.put('/teams/:teamId', authenticateAdmin, auditTeamChange, async (req, res) => {
+  try {
+    const { name, description, costBudget } = req.body
+    const team = await teamService.updateTeam(req.params.teamId, { name, description, costBudget })
+    return res.json({ success: true, data: team })
+  } catch (error) {
+    logger.error('❌ Failed to update team:', error)
+    return sendServiceError(res, error, 'Failed to update team')
+  }
+})
+
+/**
+ * DELETE /admin/teams/:teamId
+ * 删除团队（需先删除团队 Key 并解除分组的团队限定）
+ */
+router.delete('/teams/:teamId', authenticateAdmin, auditTeamChange, async (req, res) => {
+  try {
+    await teamService.deleteTeam(req.params.teamId)
+    return res.json({ success: true, message: 'Team deleted successfully' })
+  } catch (error) {
+    logger.error('❌ Failed to delete team:', error)
+    return sendServiceError(res, error, 'Failed to delete team')
+  }
+})
+
+/**
+ * PUT /admin/teams/:teamId/members/:userId
+ * 添加成员或修改成员的团队角色（body: { role: 'member' | 'admin' }）
+ */
+router.put(
+  '/teams/:teamId/members/:userId',
+  authenticateAdmin,
+  auditMemberChange,
+  async (req, res) => {
+    try {
+      const { teamId, userId } = req.params
+      const member = await teamService.setMember(teamId, userId, req.body?.role || 'member')
+      return res.json({ success: true, data: member })
+    } catch (error) {
+      logger.error('❌ Failed to set team member:', error)
+      return sendServiceError(res, error, 'Failed to set team member')
+    }
+  }
+)
+
+/**
+ * DELETE /admin/teams/:teamId/members/:userId
+ * 移除团队成员（团队 Key 不受影响）
+ */
+router.delete(
+  '/teams/:teamId/members/:userId',
+  authenticateAdmin,
+  auditMemberChange,
+  async (req, res) => {
+    try {
+      const { teamId, userId } = req.params
+      const removed = await teamService.removeMember(teamId, userId)
+      if (!removed) {
+        return res.status(404).json({ error: 'Member not found' })
+      }
+      return res.json({ success: true, message: 'Member removed successfully' })
+    } catch (error) {
+      logger.error('❌ Failed to remove team member:', error)
+      return res.status(500).json({ error: 'Failed to remove team member', message: error.message })
+    }
+  }
+)
+
+module.exports = router
@@ -2112,6 +2112,9 @@ router.get('/api-keys/:keyId/usage-records', authenticateAdmin, async (req, res)
       enrichedRecords.push({
         timestamp: record.timestamp,
         model: record.model || 'unknown',
+        requestedModel: record.requestedModel || null, // 被降级时的原始请求模型
+        downgradeReason: record.downgradeReason || null,
+        cacheHit: record.cacheHit === true, // 响应缓存命中（不计费）
         accountId: record.accountId || null,
         accountName: accountInfo?.name || null,
         accountStatus: accountInfo?.status ?? null,
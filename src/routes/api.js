@@ -1,17 +1,21 @@
 const express = require('express')
 const claudeRelayService = require('../services/claudeRelayService')
 const claudeConsoleRelayService = require('../services/claudeConsoleRelayService')
+const hedgedRequestService = require('../services/hedgedRequestService')
+const streamFailoverService = require('../services/streamFailoverService')
 const bedrockRelayService = require('../services/bedrockRelayService')
 const ccrRelayService = require('../services/ccrRelayService')
 const bedrockAccountService = require('../services/bedrockAccountService')
 const unifiedClaudeScheduler = require('../services/unifiedClaudeScheduler')
 const apiKeyService = require('../services/apiKeyService')
 const { authenticateApiKey } = require('../middleware/auth')
+const { responseCacheMiddleware } = require('../middleware/responseCache')
 const logger = require('../utils/logger')
 const { getEffectiveModel, parseVendorPrefixedModel } = require('../utils/modelHelper')
 const sessionHelper = require('../utils/sessionHelper')
 const { updateRateLimitCounters } = require('../utils/rateLimitHelper')
 const claudeRelayConfigService = require('../services/claudeRelayConfigService')
+const messagesBackendRelayService = require('../services/messagesBackendRelayService')
 const { sanitizeUpstreamError } = require('../utils/errorSanitizer')
 const router = express.Router()
 
@@ -38,6 +42,22 @@ function queueRateLimitUpdate(rateLimitInfo, usageSummary, model, context = '')
     })
 }
 
+// 🪂 降级链命中时按步骤配置改写请求模型，并通过响应头告知客户端
+function applyFallbackModel(req, selection) {
+  if (!selection?.fallbackStep) {
+    return
+  }
+  if (selection.fallbackModel && selection.fallbackModel !== req.body.model) {
+    logger.info(
+      `🪂 Fallback chain rewrote model: ${req.body.model} → ${selection.fallbackModel} (${selection.accountType})`
+    )
+    req.body.model = selection.fallbackModel
+  }
+  if (!req.res?.headersSent) {
+    req.res?.setHeader('X-CRS-Fallback-Step', String(selection.fallbackStep))
+  }
+}
+
 /**
  * 判断是否为旧会话（污染的会话）
  * Claude Code 发送的请求特点：
@@ -110,16 +130,24 @@ async function handleMessagesRequest(req, res) {
   try {
     const startTime = Date.now()
 
+    // 🔀 按 Key 设置或模型映射转发到 Gemini / OpenAI-Responses 账户时，校验对应服务的权限
+    const messagesTarget = messagesBackendRelayService.resolveTarget(req.apiKey, req.body?.model)
+    const requiredPermission = messagesTarget
+      ? messagesBackendRelayService.getRequiredPermission(messagesTarget.backend)
+      : 'claude'
+
     // Claude 服务权限校验，阻止未授权的 Key
     if (
       req.apiKey.permissions &&
       req.apiKey.permissions !== 'all' &&
-      req.apiKey.permissions !== 'claude'
+      req.apiKey.permissions !== requiredPermission
     ) {
       return res.status(403).json({
         error: {
           type: 'permission_error',
-          message: '此 API Key 无权访问 Claude 服务'
+          message: messagesTarget
+            ? `此 API Key 无权访问 ${messagesTarget.backend} 服务`
+            : '此 API Key 无权访问 Claude 服务'
         }
       })
     }
@@ -168,6 +196,10 @@ async function handleMessagesRequest(req, res) {
       }
     }
 
+    if (messagesTarget) {
+      return await messagesBackendRelayService.handleRequest(req, res, messagesTarget)
+    }
+
     // 检查是否为流式请求
     const isStream = req.body.stream === true
 
@@ -268,9 +300,11 @@ async function handleMessagesRequest(req, res) {
           req.apiKey,
           sessionHash,
           requestedModel,
-          forcedAccount
+          forcedAccount,
+          { allowFallback: true }
         )
         ;({ accountId, accountType } = selection)
+        applyFallbackModel(req, selection)
       } catch (error) {
         // 处理会话绑定账户不可用的错误
         if (error.code === 'SESSION_BINDING_ACCOUNT_UNAVAILABLE') {
@@ -348,91 +382,127 @@ async function handleMessagesRequest(req, res) {
         }
       }
 
+      // 📊 记录 Claude 官方 / Console / CCR 流式请求的真实 token 使用量（回调在检测到完整 usage 数据时触发）
+      // usageAccountType 为实际处理请求的账户类型，决定使用统计与限流计数记录的平台
+      const recordClaudeStreamUsage = (usageData, usageAccountType) => {
+        const recordedAccountType = ['claude-console', 'ccr'].includes(usageAccountType)
+          ? usageAccountType
+          : 'claude'
+        logger.info(
+          `🎯 Usage callback triggered with complete data (${recordedAccountType}):`,
+          JSON.stringify(usageData, null, 2)
+        )
+
+        if (
+          usageData &&
+          usageData.input_tokens !== undefined &&
+          usageData.output_tokens !== undefined
+        ) {
+          const inputTokens = usageData.input_tokens || 0
+          const outputTokens = usageData.output_tokens || 0
+          // 兼容处理：如果有详细的 cache_creation 对象，使用它；否则使用总的 cache_creation_input_tokens
+          let cacheCreateTokens = usageData.cache_creation_input_tokens || 0
+          let ephemeral5mTokens = 0
+          let ephemeral1hTokens = 0
+
+          if (usageData.cache_creation && typeof usageData.cache_creation === 'object') {
+            ephemeral5mTokens = usageData.cache_creation.ephemeral_5m_input_tokens || 0
+            ephemeral1hTokens = usageData.cache_creation.ephemeral_1h_input_tokens || 0
+            // 总的缓存创建 tokens 是两者之和
+            cacheCreateTokens = ephemeral5mTokens + ephemeral1hTokens
+          }
+
+          const cacheReadTokens = usageData.cache_read_input_tokens || 0
+          const model = usageData.model || 'unknown'
+
+          // 记录真实的token使用量（包含模型信息和所有4种token以及账户ID）
+          const { accountId: usageAccountId } = usageData
+
+          // 构建 usage 对象以传递给 recordUsage
+          const usageObject = {
+            input_tokens: inputTokens,
+            output_tokens: outputTokens,
+            cache_creation_input_tokens: cacheCreateTokens,
+            cache_read_input_tokens: cacheReadTokens
+          }
+
+          // 如果有详细的缓存创建数据，添加到 usage 对象中
+          if (ephemeral5mTokens > 0 || ephemeral1hTokens > 0) {
+            usageObject.cache_creation = {
+              ephemeral_5m_input_tokens: ephemeral5mTokens,
+              ephemeral_1h_input_tokens: ephemeral1hTokens
+            }
+          }
+
+          apiKeyService
+            .recordUsageWithDetails(
+              req.apiKey.id,
+              usageObject,
+              model,
+              usageAccountId,
+              recordedAccountType,
+              req.apiKey.modelDowngrade
+            )
+            .catch((error) => {
+              logger.error('❌ Failed to record stream usage:', error)
+            })
+
+          queueRateLimitUpdate(
+            req.rateLimitInfo,
+            {
+              inputTokens,
+              outputTokens,
+              cacheCreateTokens,
+              cacheReadTokens
+            },
+            model,
+            `${recordedAccountType}-stream`
+          )
+
+          usageDataCaptured = true
+          logger.api(
+            `📊 Stream usage recorded (real, ${recordedAccountType}) - Model: ${model}, Input: ${inputTokens}, Output: ${outputTokens}, Cache Create: ${cacheCreateTokens}, Cache Read: ${cacheReadTokens}, Total: ${inputTokens + outputTokens + cacheCreateTokens + cacheReadTokens} tokens`
+          )
+        } else {
+          logger.warn(
+            '⚠️ Usage callback triggered but data is incomplete:',
+            JSON.stringify(usageData)
+          )
+        }
+      }
+
+      // 🏁 开启对冲的 Key：首字节超时后并发请求另一个账户
+      const hedgeThresholdMs = hedgedRequestService.getThresholdMs(req.apiKey, accountType)
+
       // 根据账号类型选择对应的转发服务并调用
-      if (accountType === 'claude-official') {
+      if (hedgeThresholdMs > 0) {
+        await hedgedRequestService.relayStream({
+          requestBody: req.body,
+          apiKeyData: req.apiKey,
+          clientHeaders: req.headers,
+          res,
+          primary: { accountId, accountType },
+          thresholdMs: hedgeThresholdMs,
+          onUsage: recordClaudeStreamUsage
+        })
+      } else if (streamFailoverService.isEnabled(accountType)) {
+        // 🔁 内容开始输出前上游失败时自动切换到其他账户重试
+        await streamFailoverService.relayStream({
+          requestBody: req.body,
+          apiKeyData: req.apiKey,
+          clientHeaders: req.headers,
+          res,
+          primary: { accountId, accountType },
+          onUsage: recordClaudeStreamUsage
+        })
+      } else if (accountType === 'claude-official') {
         // 官方Claude账号使用原有的转发服务（会自己选择账号）
         await claudeRelayService.relayStreamRequestWithUsageCapture(
           req.body,
           req.apiKey,
           res,
           req.headers,
-          (usageData) => {
-            // 回调函数：当检测到完整usage数据时记录真实token使用量
-            logger.info(
-              '🎯 Usage callback triggered with complete data:',
-              JSON.stringify(usageData, null, 2)
-            )
-
-            if (
-              usageData &&
-              usageData.input_tokens !== undefined &&
-              usageData.output_tokens !== undefined
-            ) {
-              const inputTokens = usageData.input_tokens || 0
-              const outputTokens = usageData.output_tokens || 0
-              // 兼容处理：如果有详细的 cache_creation 对象，使用它；否则使用总的 cache_creation_input_tokens
-              let cacheCreateTokens = usageData.cache_creation_input_tokens || 0
-              let ephemeral5mTokens = 0
-              let ephemeral1hTokens = 0
-
-              if (usageData.cache_creation && typeof usageData.cache_creation === 'object') {
-                ephemeral5mTokens = usageData.cache_creation.ephemeral_5m_input_tokens || 0
-                ephemeral1hTokens = usageData.cache_creation.ephemeral_1h_input_tokens || 0
-                // 总的缓存创建 tokens 是两者之和
-                cacheCreateTokens = ephemeral5mTokens + ephemeral1hTokens
-              }
-
-              const cacheReadTokens = usageData.cache_read_input_tokens || 0
-              const model = usageData.model || 'unknown'
-
-              // 记录真实的token使用量（包含模型信息和所有4种token以及账户ID）
-              const { accountId: usageAccountId } = usageData
-
-              // 构建 usage 对象以传递给 recordUsage
-              const usageObject = {
-                input_tokens: inputTokens,
-                output_tokens: outputTokens,
-                cache_creation_input_tokens: cacheCreateTokens,
-                cache_read_input_tokens: cacheReadTokens
-              }
-
-              // 如果有详细的缓存创建数据，添加到 usage 对象中
-              if (ephemeral5mTokens > 0 || ephemeral1hTokens > 0) {
-                usageObject.cache_creation = {
-                  ephemeral_5m_input_tokens: ephemeral5mTokens,
-                  ephemeral_1h_input_tokens: ephemeral1hTokens
-                }
-              }
-
-              apiKeyService
-                .recordUsageWithDetails(req.apiKey.id, usageObject, model, usageAccountId, 'claude')
-                .catch((error) => {
-                  logger.error('❌ Failed to record stream usage:', error)
-                })
-
-              queueRateLimitUpdate(
-                req.rateLimitInfo,
-                {
-                  inputTokens,
-                  outputTokens,
-                  cacheCreateTokens,
-                  cacheReadTokens
-                },
-                model,
-                'claude-stream'
-              )
-
-              usageDataCaptured = true
-              logger.api(
-                `📊 Stream usage recorded (real) - Model: ${model}, Input: ${inputTokens}, Output: ${outputTokens}, Cache Create: ${cacheCreateTokens}, Cache Read: ${cacheReadTokens}, Total: ${inputTokens + outputTokens + cacheCreateTokens + cacheReadTokens} tokens`
-              )
-            } else {
-              logger.warn(
-                '⚠️ Usage callback triggered but data is incomplete:',
-                JSON.stringify(usageData)
-              )
-            }
-          }
+          (usageData) => recordClaudeStreamUsage(usageData, 'claude-official')
         )
       } else if (accountType === 'claude-console') {
         // Claude Console账号使用Console转发服务（需要传递accountId）
@@ -441,89 +511,7 @@ async function handleMessagesRequest(req, res) {
           req.apiKey,
           res,
           req.headers,
-          (usageData) => {
-            // 回调函数：当检测到完整usage数据时记录真实token使用量
-            logger.info(
-              '🎯 Usage callback triggered with complete data:',
-              JSON.stringify(usageData, null, 2)
-            )
-
-            if (
-              usageData &&
-              usageData.input_tokens !== undefined &&
-              usageData.output_tokens !== undefined
-            ) {
-              const inputTokens = usageData.input_tokens || 0
-              const outputTokens = usageData.output_tokens || 0
-              // 兼容处理：如果有详细的 cache_creation 对象，使用它；否则使用总的 cache_creation_input_tokens
-              let cacheCreateTokens = usageData.cache_creation_input_tokens || 0
-              let ephemeral5mTokens = 0
-              let ephemeral1hTokens = 0
-
-              if (usageData.cache_creation && typeof usageData.cache_creation === 'object') {
-                ephemeral5mTokens = usageData.cache_creation.ephemeral_5m_input_tokens || 0
-                ephemeral1hTokens = usageData.cache_creation.ephemeral_1h_input_tokens || 0
-                // 总的缓存创建 tokens 是两者之和
-                cacheCreateTokens = ephemeral5mTokens + ephemeral1hTokens
-              }
-
-              const cacheReadTokens = usageData.cache_read_input_tokens || 0
-              const model = usageData.model || 'unknown'
-
-              // 记录真实的token使用量（包含模型信息和所有4种token以及账户ID）
-              const usageAccountId = usageData.accountId
-
-              // 构建 usage 对象以传递给 recordUsage
-              const usageObject = {
-                input_tokens: inputTokens,
-                output_tokens: outputTokens,
-                cache_creation_input_tokens: cacheCreateTokens,
-                cache_read_input_tokens: cacheReadTokens
-              }
-
-              // 如果有详细的缓存创建数据，添加到 usage 对象中
-              if (ephemeral5mTokens > 0 || ephemeral1hTokens > 0) {
-                usageObject.cache_creation = {
-                  ephemeral_5m_input_tokens: ephemeral5mTokens,
-                  ephemeral_1h_input_tokens: ephemeral1hTokens
-                }
-              }
-
-              apiKeyService
-                .recordUsageWithDetails(
-                  req.apiKey.id,
-                  usageObject,
-                  model,
-                  usageAccountId,
-                  'claude-console'
-                )
-                .catch((error) => {
-                  logger.error('❌ Failed to record stream usage:', error)
-                })
-
-              queueRateLimitUpdate(
-                req.rateLimitInfo,
-                {
-                  inputTokens,
-                  outputTokens,
-                  cacheCreateTokens,
-                  cacheReadTokens
-                },
-                model,
-                'claude-console-stream'
-              )
-
-              usageDataCaptured = true
-              logger.api(
-                `📊 Stream usage recorded (real) - Model: ${model}, Input: ${inputTokens}, Output: ${outputTokens}, Cache Create: ${cacheCreateTokens}, Cache Read: ${cacheReadTokens}, Total: ${inputTokens + outputTokens + cacheCreateTokens + cacheReadTokens} tokens`
-              )
-            } else {
-              logger.warn(
-                '⚠️ Usage callback triggered but data is incomplete:',
-                JSON.stringify(usageData)
-              )
-            }
-          },
+          (usageData) => recordClaudeStreamUsage(usageData, 'claude-console'),
           accountId
         )
       } else if (accountType === 'bedrock') {
@@ -544,9 +532,21 @@ async function handleMessagesRequest(req, res) {
           if (result.usage) {
             const inputTokens = result.usage.input_tokens || 0
             const outputTokens = result.usage.output_tokens || 0
+            const cacheCreateTokens = result.usage.cache_creation_input_tokens || 0
+            const cacheReadTokens = result.usage.cache_read_input_tokens || 0
 
             apiKeyService
-              .recordUsage(req.apiKey.id, inputTokens, outputTokens, 0, 0, result.model, accountId)
+              .recordUsage(
+                req.apiKey.id,
+                inputTokens,
+                outputTokens,
+                cacheCreateTokens,
+                cacheReadTokens,
+                result.model,
+                accountId,
+                'bedrock',
+                req.apiKey.modelDowngrade
+              )
               .catch((error) => {
                 logger.error('❌ Failed to record Bedrock stream usage:', error)
               })
@@ -556,8 +556,8 @@ async function handleMessagesRequest(req, res) {
               {
                 inputTokens,
                 outputTokens,
-                cacheCreateTokens: 0,
-                cacheReadTokens: 0
+                cacheCreateTokens,
+                cacheReadTokens
               },
               result.model,
               'bedrock-stream'
@@ -565,7 +565,7 @@ async function handleMessagesRequest(req, res) {
 
             usageDataCaptured = true
             logger.api(
-              `📊 Bedrock stream usage recorded - Model: ${result.model}, Input: ${inputTokens}, Output: ${outputTokens}, Total: ${inputTokens + outputTokens} tokens`
+              `📊 Bedrock stream usage recorded - Model: ${result.model}, Input: ${inputTokens}, Output: ${outputTokens}, Cache Create: ${cacheCreateTokens}, Cache Read: ${cacheReadTokens}, Total: ${inputTokens + outputTokens + cacheCreateTokens + cacheReadTokens} tokens`
             )
           }
         } catch (error) {
@@ -582,83 +582,7 @@ async function handleMessagesRequest(req, res) {
           req.apiKey,
           res,
           req.headers,
-          (usageData) => {
-            // 回调函数：当检测到完整usage数据时记录真实token使用量
-            logger.info(
-              '🎯 CCR usage callback triggered with complete data:',
-              JSON.stringify(usageData, null, 2)
-            )
-
-            if (
-              usageData &&
-              usageData.input_tokens !== undefined &&
-              usageData.output_tokens !== undefined
-            ) {
-              const inputTokens = usageData.input_tokens || 0
-              const outputTokens = usageData.output_tokens || 0
-              // 兼容处理：如果有详细的 cache_creation 对象，使用它；否则使用总的 cache_creation_input_tokens
-              let cacheCreateTokens = usageData.cache_creation_input_tokens || 0
-              let ephemeral5mTokens = 0
-              let ephemeral1hTokens = 0
-
-              if (usageData.cache_creation && typeof usageData.cache_creation === 'object') {
-                ephemeral5mTokens = usageData.cache_creation.ephemeral_5m_input_tokens || 0
-                ephemeral1hTokens = usageData.cache_creation.ephemeral_1h_input_tokens || 0
-                // 总的缓存创建 tokens 是两者之和
-                cacheCreateTokens = ephemeral5mTokens + ephemeral1hTokens
-              }
-
-              const cacheReadTokens = usageData.cache_read_input_tokens || 0
-              const model = usageData.model || 'unknown'
-
-              // 记录真实的token使用量（包含模型信息和所有4种token以及账户ID）
-              const usageAccountId = usageData.accountId
-
-              // 构建 usage 对象以传递给 recordUsage
-              const usageObject = {
-                input_tokens: inputTokens,
-                output_tokens: outputTokens,
-                cache_creation_input_tokens: cacheCreateTokens,
-                cache_read_input_tokens: cacheReadTokens
-              }
-
-              // 如果有详细的缓存创建数据，添加到 usage 对象中
-              if (ephemeral5mTokens > 0 || ephemeral1hTokens > 0) {
-                usageObject.cache_creation = {
-                  ephemeral_5m_input_tokens: ephemeral5mTokens,
-                  ephemeral_1h_input_tokens: ephemeral1hTokens
-                }
-              }
-
-              apiKeyService
-                .recordUsageWithDetails(req.apiKey.id, usageObject, model, usageAccountId, 'ccr')
-                .catch((error) => {
-                  logger.error('❌ Failed to record CCR stream usage:', error)
-                })
-
-              queueRateLimitUpdate(
-                req.rateLimitInfo,
-                {
-                  inputTokens,
-                  outputTokens,
-                  cacheCreateTokens,
-                  cacheReadTokens
-                },
-                model,
-                'ccr-stream'
-              )
-
-              usageDataCaptured = true
-              logger.api(
-                `📊 CCR stream usage recorded (real) - Model: ${model}, Input: ${inputTokens}, Output: ${outputTokens}, Cache Create: ${cacheCreateTokens}, Cache Read: ${cacheReadTokens}, Total: ${inputTokens + outputTokens + cacheCreateTokens + cacheReadTokens} tokens`
-              )
-            } else {
-              logger.warn(
-                '⚠️ CCR usage callback triggered but data is incomplete:',
-                JSON.stringify(usageData)
-              )
-            }
-          },
+          (usageData) => recordClaudeStreamUsage(usageData, 'ccr'),
           accountId
         )
       }
@@ -739,9 +663,11 @@ async function handleMessagesRequest(req, res) {
           req.apiKey,
           sessionHash,
           requestedModel,
-          forcedAccountNonStream
+          forcedAccountNonStream,
+          { allowFallback: true }
         )
         ;({ accountId, accountType } = selection)
+        applyFallbackModel(req, selection)
       } catch (error) {
         if (error.code === 'SESSION_BINDING_ACCOUNT_UNAVAILABLE') {
           const errorMessage = await claudeRelayConfigService.getSessionBindingErrorMessage()
@@ -934,7 +860,9 @@ async function handleMessagesRequest(req, res) {
             cacheCreateTokens,
             cacheReadTokens,
             model,
-            responseAccountId
+            responseAccountId,
+            accountType,
+            req.apiKey.modelDowngrade
           )
 
           await queueRateLimitUpdate(
@@ -1089,10 +1017,15 @@ async function handleMessagesRequest(req, res) {
 }
 
 // 🚀 Claude API messages 端点 - /api/v1/messages
-router.post('/v1/messages', authenticateApiKey, handleMessagesRequest)
+router.post('/v1/messages', authenticateApiKey, responseCacheMiddleware, handleMessagesRequest)
 
 // 🚀 Claude API messages 端点 - /claude/v1/messages (别名)
-router.post('/claude/v1/messages', authenticateApiKey, handleMessagesRequest)
+router.post(
+  '/claude/v1/messages',
+  authenticateApiKey,
+  responseCacheMiddleware,
+  handleMessagesRequest
+)
 
 // 📋 模型列表端点 - 支持 Claude, OpenAI, Gemini
 router.get('/v1/models', authenticateApiKey, async (req, res) => {
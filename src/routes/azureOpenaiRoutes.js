@@ -86,7 +86,8 @@ class AtomicUsageReporter {
         cacheCreateTokens,
         cacheReadTokens,
         modelToRecord,
-        accountId
+        accountId,
+        'azure-openai'
       )
 
       // 同步更新 Azure 账户的 lastUsedAt 和累计使用量
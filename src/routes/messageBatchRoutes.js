@@ -0,0 +1,175 @@
+const express = require('express')
+const { authenticateApiKey } = require('../middleware/auth')
+const messageBatchService = require('../services/messageBatchService')
+const logger = require('../utils/logger')
+
+const router = express.Router()
+
+// 📦 Anthropic Message Batches API（/v1/messages/batches）
+
+function sendError(res, status, type, message) {
+  return res.status(status).json({ type: 'error', error: { type, message } })
+}
+
+function getResultsBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/v1/messages/batches`
+}
+
+// 批次功能开关与 Claude 服务权限校验
+function checkBatchAccess(req, res, next) {
+  if (!messageBatchService.getConfig().enabled) {
+    return sendError(res, 404, 'not_found_error', 'Message batches are disabled on this relay')
+  }
+  if (
+    req.apiKey.permissions &&
+    req.apiKey.permissions !== 'all' &&
+    req.apiKey.permissions !== 'claude'
+  ) {
+    return sendError(res, 403, 'permission_error', '此 API Key 无权访问 Claude 服务')
+  }
+  return next()
+}
+
+// 加载批次并校验归属
+async function loadBatch(req, res, next) {
+  try {
+    const batch = await messageBatchService.getBatch(req.params.batchId, req.apiKey.id)
+    if (!batch) {
+      return sendError(res, 404, 'not_found_error', `Batch ${req.params.batchId} not found`)
+    }
+    req.messageBatch = batch
+    return next()
+  } catch (error) {
+    logger.error('❌ Failed to load message batch:', error)
+    return sendError(res, 500, 'api_error', 'Failed to load message batch')
+  }
+}
+
+// 创建批次
+router.post('/v1/messages/batches', authenticateApiKey, checkBatchAccess, async (req, res) => {
+  try {
+    const requests = req.body?.requests
+    const validationError = messageBatchService.validateRequests(requests)
+    if (validationError) {
+      return sendError(res, 400, 'invalid_request_error', validationError)
+    }
+
+    const batch = await messageBatchService.createBatch(req.apiKey, requests)
+    return res.json(messageBatchService.formatBatch(batch, getResultsBaseUrl(req)))
+  } catch (error) {
+    logger.error('❌ Failed to create message batch:', error)
+    return sendError(res, 500, 'api_error', 'Failed to create message batch')
+  }
+})
+
+// 列出批次
+router.get('/v1/messages/batches', authenticateApiKey, checkBatchAccess, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 1000)
+    const { batches, hasMore } = await messageBatchService.listBatches(req.apiKey.id, {
+      limit,
+      beforeId: req.query.before_id || null,
+      afterId: req.query.after_id || null
+    })
+
+    const baseUrl = getResultsBaseUrl(req)
+    const data = batches.map((batch) => messageBatchService.formatBatch(batch, baseUrl))
+    return res.json({
+      data,
+      has_more: hasMore,
+      first_id: data.length > 0 ? data[0].id : null,
+      last_id: data.length > 0 ? data[data.length - 1].id : null
+    })
+  } catch (error) {
+    logger.error('❌ Failed to list message batches:', error)
+    return sendError(res, 500, 'api_error', 'Failed to list message batches')
+  }
+})
+
+// 获取批次详情
+router.get(
+  '/v1/messages/batches/:batchId',
+  authenticateApiKey,
+  checkBatchAccess,
+  loadBatch,
+  (req, res) => res.json(messageBatchService.formatBatch(req.messageBatch, getResultsBaseUrl(req)))
+)
+
+// 取消批次
+router.post(
+  '/v1/messages/batches/:batchId/cancel',
+  authenticateApiKey,
+  checkBatchAccess,
+  loadBatch,
+  async (req, res) => {
+    try {
+      const batch = await messageBatchService.cancelBatch(req.messageBatch)
+      return res.json(messageBatchService.formatBatch(batch, getResultsBaseUrl(req)))
+    } catch (error) {
+      logger.error('❌ Failed to cancel message batch:', error)
+      return sendError(res, 500, 'api_error', 'Failed to cancel message batch')
+    }
+  }
+)
+
+// 下载批次结果（JSONL）
+router.get(
+  '/v1/messages/batches/:batchId/results',
+  authenticateApiKey,
+  checkBatchAccess,
+  loadBatch,
+  async (req, res) => {
+    if (req.messageBatch.processingStatus !== 'ended') {
+      return sendError(
+        res,
+        400,
+        'invalid_request_error',
+        `Batch ${req.messageBatch.id} is still ${req.messageBatch.processingStatus}; results are available once it has ended`
+      )
+    }
+
+    try {
+      res.setHeader('Content-Type', 'application/x-jsonl')
+      await messageBatchService.readResults(req.messageBatch.id, (lines) => {
+        if (lines.length > 0) {
+          res.write(`${lines.join('\n')}\n`)
+        }
+      })
+      return res.end()
+    } catch (error) {
+      logger.error('❌ Failed to stream message batch results:', error)
+      if (!res.headersSent) {
+        return sendError(res, 500, 'api_error', 'Failed to read message batch results')
+      }
+      return res.end()
+    }
+  }
+)
+
+// 删除批次（仅限已结束的批次）
+router.delete(
+  '/v1/messages/batches/:batchId',
+  authenticateApiKey,
+  checkBatchAccess,
+  loadBatch,
+  async (req, res) => {
+    if (req.messageBatch.processingStatus !== 'ended') {
+      return sendError(
+        res,
+        400,
+        'invalid_request_error',
+        'Batches must be ended (or canceled) before they can be deleted'
+      )
+    }
+
+    try {
+      await messageBatchService.deleteBatch(req.messageBatch)
+      return res.json({ id: req.messageBatch.id, type: 'message_batch_deleted' })
+    } catch (error) {
+      logger.error('❌ Failed to delete message batch:', error)
+      return sendError(res, 500, 'api_error', 'Failed to delete message batch')
+    }
+  }
+)
+
+module.exports = router
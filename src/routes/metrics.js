@@ -0,0 +1,43 @@
+/**
+ * Prometheus/OpenMetrics 指标路由
+ * 挂载在 /metrics 下，默认关闭；启用后通过 /metrics/prometheus 供 Prometheus 抓取，
+ * 配置了 METRICS_TOKEN 时需携带 Authorization: Bearer <token>
+ */
+
+const crypto = require('crypto')
+const express = require('express')
+const config = require('../../config/config')
+const metricsService = require('../services/metricsService')
+const logger = require('../utils/logger')
+
+const router = express.Router()
+
+// 常量时间比较，避免通过响应耗时猜测 Token
+function isValidToken(authHeader, token) {
+  const provided = Buffer.from(authHeader || '')
+  const expected = Buffer.from(`Bearer ${token}`)
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected)
+}
+
+// 📈 OpenMetrics 文本格式指标
+router.get('/prometheus', async (req, res) => {
+  const metricsConfig = config.metrics || {}
+  if (!metricsConfig.enabled) {
+    return res.status(404).json({ error: 'Not Found', message: 'Metrics endpoint disabled' })
+  }
+
+  if (metricsConfig.token && !isValidToken(req.headers['authorization'], metricsConfig.token)) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid metrics token' })
+  }
+
+  try {
+    const body = await metricsService.render()
+    res.set('Content-Type', 'application/openmetrics-text; version=1.0.0; charset=utf-8')
+    return res.send(body)
+  } catch (error) {
+    logger.error('❌ Prometheus metrics collection failed:', error)
+    return res.status(500).json({ error: 'Failed to collect metrics' })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,109 @@
+/**
+ * OpenID Connect 单点登录路由
+ * 管理后台与用户门户共用 /oidc/login 和 /oidc/callback，
+ * 登录完成后带一次性交接码跳回对应的前端登录页，由前端调用各自的 exchange 接口换取会话
+ */
+
+const express = require('express')
+const oidcService = require('../services/oidcService')
+const adminIdentityService = require('../services/adminIdentityService')
+const userService = require('../services/userService')
+const logger = require('../utils/logger')
+const { parseCookies } = require('../utils/oidcHelper')
+
+const router = express.Router()
+
+// 前端登录页（admin-spa 挂载在 /admin-next）
+const LOGIN_PAGES = {
+  admin: '/admin-next/login',
+  user: '/admin-next/user-login'
+}
+
+// IdP 回调是顶层 GET 跳转，SameSite=Lax 的 Cookie 会随回调请求发送
+function stateCookieOptions(redirectUri) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: redirectUri.startsWith('https:'),
+    path: '/oidc'
+  }
+}
+
+function redirectToLogin(res, portal, params) {
+  const query = new URLSearchParams(params).toString()
+  return res.redirect(302, `${LOGIN_PAGES[portal] || LOGIN_PAGES.admin}?${query}`)
+}
+
+// 🔑 跳转到 IdP 登录
+router.get('/login', async (req, res) => {
+  const portal = req.query.portal === 'user' ? 'user' : 'admin'
+  try {
+    const redirectUri = oidcService.getRedirectUri()
+    const { authorizationUrl, stateBinding } = await oidcService.createAuthorizationUrl(
+      portal,
+      redirectUri
+    )
+    // state 绑定到发起登录的浏览器，回调时校验
+    res.cookie(oidcService.STATE_COOKIE, stateBinding, {
+      ...stateCookieOptions(redirectUri),
+      maxAge: oidcService.STATE_TTL_SECONDS * 1000
+    })
+    return res.redirect(302, authorizationUrl)
+  } catch (error) {
+    logger.error(`❌ Failed to start OIDC login (${portal}):`, error.message)
+    return redirectToLogin(res, portal, {
+      ssoError: error.message || 'Single sign-on is unavailable'
+    })
+  }
+})
+
+// 🔑 IdP 回调
+router.get('/callback', async (req, res) => {
+  let portal = 'admin'
+  try {
+    const stateBinding = parseCookies(req.headers.cookie)[oidcService.STATE_COOKIE]
+    res.clearCookie(oidcService.STATE_COOKIE, stateCookieOptions(oidcService.getRedirectUri()))
+    const { portal: loginPortal, profile } = await oidcService.completeAuthorization(
+      req.query,
+      stateBinding
+    )
+    portal = loginPortal
+
+    if (portal === 'admin') {
+      // 多因素认证由 IdP 负责，SSO 会话视为已完成两步验证
+      const { username, adminId, ssoRole } = await oidcService.resolveAdminLogin(profile)
+      const sessionId = await adminIdentityService.createSession(username, {
+        adminId,
+        twoFactorVerified: true,
+        ssoRole
+      })
+      const ssoCode = await oidcService.createHandoff({
+        portal,
+        sessionId,
+        username,
+        adminId,
+        ssoRole
+      })
+
+      logger.success(`🔐 Admin SSO login successful: ${username} (${ssoRole || 'linked account'})`)
+      return redirectToLogin(res, portal, { ssoCode })
+    }
+
+    const user = await oidcService.provisionUser(profile)
+    const sessionToken = await userService.createUserSession(user.id, {
+      twoFactorVerified: true,
+      authMethod: 'oidc'
+    })
+    const ssoCode = await oidcService.createHandoff({ portal, userId: user.id, sessionToken })
+
+    logger.info(`✅ User SSO login successful: ${user.username}`)
+    return redirectToLogin(res, portal, { ssoCode })
+  } catch (error) {
+    logger.error('❌ OIDC callback error:', error.message)
+    return redirectToLogin(res, error.portal || portal, {
+      ssoError: error.message || 'Single sign-on failed'
+    })
+  }
+})
+
+module.exports = router
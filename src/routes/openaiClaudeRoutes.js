@@ -16,6 +16,7 @@ const sessionHelper = require('../utils/sessionHelper')
 const { updateRateLimitCounters } = require('../utils/rateLimitHelper')
 const pricingService = require('../services/pricingService')
 const { getEffectiveModel } = require('../utils/modelHelper')
+const config = require('../../config/config')
 
 // 🔧 辅助函数：检查 API Key 权限
 function checkPermissions(apiKeyData, requiredPermission = 'claude') {
@@ -197,8 +198,9 @@ async function handleChatCompletion(req, res, apiKeyData) {
       maxTokens: req.body.max_tokens
     })
 
-    // 转换 OpenAI 请求为 Claude 格式
-    const claudeRequest = openaiToClaude.convertRequest(req.body)
+    // 转换 OpenAI 请求为 Claude 格式（完整兼容模式下参数不合法会抛出 400 错误）
+    const parityMode = config.claude.openaiParityMode === true
+    const claudeRequest = openaiToClaude.convertRequest(req.body, { parityMode })
 
     // 模型限制（黑名单）：命中受限模型则拒绝
     if (apiKeyData.enableModelRestriction && apiKeyData.restrictedModels?.length > 0) {
@@ -296,7 +298,9 @@ async function handleChatCompletion(req, res, apiKeyData) {
                 apiKeyData.id,
                 usage, // 直接传递整个 usage 对象，包含可能的 cache_creation 详细数据
                 model,
-                accountId
+                accountId,
+                null,
+                apiKeyData.modelDowngrade
               )
               .catch((error) => {
                 logger.error('❌ Failed to record usage:', error)
@@ -319,7 +323,11 @@ async function handleChatCompletion(req, res, apiKeyData) {
         (() => {
           // 为每个请求创建独立的会话ID
           const sessionId = `chatcmpl-${Math.random().toString(36).substring(2, 15)}${Math.random().toString(36).substring(2, 15)}`
-          return (chunk) => openaiToClaude.convertStreamChunk(chunk, req.body.model, sessionId)
+          const streamState = openaiToClaude.createStreamState({
+            includeUsage: parityMode && req.body.stream_options?.include_usage === true
+          })
+          return (chunk) =>
+            openaiToClaude.convertStreamChunk(chunk, req.body.model, sessionId, streamState)
         })(),
         {
           betaHeader:
@@ -331,80 +339,86 @@ async function handleChatCompletion(req, res, apiKeyData) {
       logger.info(`📄 Processing OpenAI non-stream request for model: ${req.body.model}`)
 
       // 发送请求到 Claude (使用 OAuth-only beta header，添加 Claude Code 必需的 headers)
-      const claudeResponse = await claudeRelayService.relayRequest(
-        claudeRequest,
-        apiKeyData,
-        req,
-        res,
-        claudeCodeHeaders,
-        { betaHeader: 'oauth-2025-04-20' }
+      // 完整兼容模式下 n > 1 时并发请求 n 次，每次生成一个 choice
+      const choiceCount = parityMode ? openaiToClaude.getChoiceCount(req.body) : 1
+      const claudeResponses = await Promise.all(
+        Array.from({ length: choiceCount }, () =>
+          claudeRelayService.relayRequest(claudeRequest, apiKeyData, req, res, claudeCodeHeaders, {
+            betaHeader: 'oauth-2025-04-20'
+          })
+        )
       )
 
-      // 解析 Claude 响应
-      let claudeData
-      try {
-        claudeData = JSON.parse(claudeResponse.body)
-      } catch (error) {
-        logger.error('❌ Failed to parse Claude response:', error)
-        return res.status(502).json({
-          error: {
-            message: 'Invalid response from Claude API',
-            type: 'api_error',
-            code: 'invalid_response'
-          }
-        })
-      }
+      const openaiResponses = []
+      for (const claudeResponse of claudeResponses) {
+        // 解析 Claude 响应
+        let claudeData
+        try {
+          claudeData = JSON.parse(claudeResponse.body)
+        } catch (error) {
+          logger.error('❌ Failed to parse Claude response:', error)
+          return res.status(502).json({
+            error: {
+              message: 'Invalid response from Claude API',
+              type: 'api_error',
+              code: 'invalid_response'
+            }
+          })
+        }
 
-      // 处理错误响应
-      if (claudeResponse.statusCode >= 400) {
-        return res.status(claudeResponse.statusCode).json({
-          error: {
-            message: claudeData.error?.message || 'Claude API error',
-            type: claudeData.error?.type || 'api_error',
-            code: claudeData.error?.code || 'unknown_error'
-          }
-        })
-      }
+        // 处理错误响应
+        if (claudeResponse.statusCode >= 400) {
+          return res.status(claudeResponse.statusCode).json({
+            error: {
+              message: claudeData.error?.message || 'Claude API error',
+              type: claudeData.error?.type || 'api_error',
+              code: claudeData.error?.code || 'unknown_error'
+            }
+          })
+        }
 
-      // 转换为 OpenAI 格式
-      const openaiResponse = openaiToClaude.convertResponse(claudeData, req.body.model)
-
-      // 记录使用统计
-      if (claudeData.usage) {
-        const { usage } = claudeData
-        const cacheCreateTokens =
-          (usage.cache_creation && typeof usage.cache_creation === 'object'
-            ? (usage.cache_creation.ephemeral_5m_input_tokens || 0) +
-              (usage.cache_creation.ephemeral_1h_input_tokens || 0)
-            : usage.cache_creation_input_tokens || 0) || 0
-        const cacheReadTokens = usage.cache_read_input_tokens || 0
-        // 使用新的 recordUsageWithDetails 方法来支持详细的缓存数据
-        apiKeyService
-          .recordUsageWithDetails(
-            apiKeyData.id,
-            usage, // 直接传递整个 usage 对象，包含可能的 cache_creation 详细数据
+        // 转换为 OpenAI 格式
+        openaiResponses.push(openaiToClaude.convertResponse(claudeData, req.body.model))
+
+        // 记录使用统计
+        if (claudeData.usage) {
+          const { usage } = claudeData
+          const cacheCreateTokens =
+            (usage.cache_creation && typeof usage.cache_creation === 'object'
+              ? (usage.cache_creation.ephemeral_5m_input_tokens || 0) +
+                (usage.cache_creation.ephemeral_1h_input_tokens || 0)
+              : usage.cache_creation_input_tokens || 0) || 0
+          const cacheReadTokens = usage.cache_read_input_tokens || 0
+          // 使用新的 recordUsageWithDetails 方法来支持详细的缓存数据
+          apiKeyService
+            .recordUsageWithDetails(
+              apiKeyData.id,
+              usage, // 直接传递整个 usage 对象，包含可能的 cache_creation 详细数据
+              claudeRequest.model,
+              accountId,
+              null,
+              apiKeyData.modelDowngrade
+            )
+            .catch((error) => {
+              logger.error('❌ Failed to record usage:', error)
+            })
+
+          queueRateLimitUpdate(
+            req.rateLimitInfo,
+            {
+              inputTokens: usage.input_tokens || 0,
+              outputTokens: usage.output_tokens || 0,
+              cacheCreateTokens,
+              cacheReadTokens
+            },
             claudeRequest.model,
-            accountId
+            'openai-claude-non-stream'
           )
-          .catch((error) => {
-            logger.error('❌ Failed to record usage:', error)
-          })
-
-        queueRateLimitUpdate(
-          req.rateLimitInfo,
-          {
-            inputTokens: usage.input_tokens || 0,
-            outputTokens: usage.output_tokens || 0,
-            cacheCreateTokens,
-            cacheReadTokens
-          },
-          claudeRequest.model,
-          'openai-claude-non-stream'
-        )
+        }
       }
 
       // 返回 OpenAI 格式响应
-      res.json(openaiResponse)
+      res.json(openaiToClaude.mergeResponses(openaiResponses))
     }
 
     const duration = Date.now() - startTime
@@ -416,8 +430,8 @@ async function handleChatCompletion(req, res, apiKeyData) {
     res.status(status).json({
       error: {
         message: error.message || 'Internal server error',
-        type: 'server_error',
-        code: 'internal_error'
+        type: status === 400 ? 'invalid_request_error' : 'server_error',
+        code: status === 400 ? 'invalid_request' : 'internal_error'
       }
     })
   } finally {
@@ -8,6 +8,8 @@ const unifiedOpenAIScheduler = require('../services/unifiedOpenAIScheduler')
 const openaiAccountService = require('../services/openaiAccountService')
 const openaiResponsesAccountService = require('../services/openaiResponsesAccountService')
 const openaiResponsesRelayService = require('../services/openaiResponsesRelayService')
+const circuitBreakerService = require('../services/circuitBreakerService')
+const requestTransformService = require('../services/requestTransformService')
 const apiKeyService = require('../services/apiKeyService')
 const crypto = require('crypto')
 const ProxyHelper = require('../utils/proxyHelper')
@@ -352,6 +354,16 @@ const handleResponses = async (req, res) => {
       logger.debug('🌐 No proxy configured for OpenAI request')
     }
 
+    // 应用账户 / 分组配置的请求转换规则
+    const transformed = requestTransformService.applyRules(
+      await requestTransformService.getRulesForAccount(accountId),
+      { headers: axiosConfig.headers, body: req.body },
+      'responses',
+      accountId
+    )
+    axiosConfig.headers = transformed.headers
+    const upstreamBody = transformed.body
+
     const codexEndpoint = isCompactRoute
       ? 'https://chatgpt.com/backend-api/codex/responses/compact'
       : 'https://chatgpt.com/backend-api/codex/responses'
@@ -359,14 +371,18 @@ const handleResponses = async (req, res) => {
     // 根据 stream 参数决定请求类型
     if (isStream) {
       // 流式请求
-      upstream = await axios.post(codexEndpoint, req.body, {
+      upstream = await axios.post(codexEndpoint, upstreamBody, {
         ...axiosConfig,
         responseType: 'stream'
       })
     } else {
       // 非流式请求
-      upstream = await axios.post(codexEndpoint, req.body, axiosConfig)
+      upstream = await axios.post(codexEndpoint, upstreamBody, axiosConfig)
     }
+    circuitBreakerService.recordOutcome(accountId, 'openai', {
+      statusCode: upstream.status,
+      accountName: account?.name
+    })
 
     const codexUsageSnapshot = extractCodexUsageHeaders(upstream.headers)
     if (codexUsageSnapshot) {
@@ -612,7 +628,8 @@ const handleResponses = async (req, res) => {
             0, // OpenAI没有cache_creation_tokens
             cacheReadTokens,
             actualModel,
-            accountId
+            accountId,
+            accountType
           )
 
           logger.info(
@@ -744,7 +761,8 @@ const handleResponses = async (req, res) => {
             0, // OpenAI没有cache_creation_tokens
             cacheReadTokens,
             modelToRecord,
-            accountId
+            accountId,
+            accountType
           )
 
           logger.info(
@@ -813,6 +831,14 @@ const handleResponses = async (req, res) => {
     req.on('aborted', cleanup)
   } catch (error) {
     logger.error('Proxy to ChatGPT codex/responses failed:', error)
+    // 未拿到上游响应（网络错误 / 超时）时计入熔断
+    if (accountId && !upstream) {
+      circuitBreakerService.recordOutcome(accountId, accountType || 'openai', {
+        statusCode: error.response?.status || 0,
+        error,
+        accountName: account?.name
+      })
+    }
     // 优先使用主动设置的 statusCode，然后是上游响应的状态码，最后默认 500
     const status = error.statusCode || error.response?.status || 500
 
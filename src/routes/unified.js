@@ -8,41 +8,27 @@ const {
   handleStreamGenerateContent: geminiHandleStreamGenerateContent
 } = require('../handlers/geminiHandlers')
 const openaiRoutes = require('./openaiRoutes')
+const apiKeyService = require('../services/apiKeyService')
+const embeddingRelayService = require('../services/embeddingRelayService')
+const modelRoutingService = require('../services/modelRoutingService')
+const { detectBuiltinBackend } = require('../utils/modelRoutingHelper')
+const { updateRateLimitCounters } = require('../utils/rateLimitHelper')
 
 const router = express.Router()
 
-// 🔍 根据模型名称检测后端类型
-function detectBackendFromModel(modelName) {
-  if (!modelName) {
-    return 'claude' // 默认 Claude
-  }
-
-  const model = modelName.toLowerCase()
-
-  // Claude 模型
-  if (model.startsWith('claude-')) {
-    return 'claude'
-  }
-
-  // Gemini 模型
-  if (model.startsWith('gemini-')) {
-    return 'gemini'
-  }
-
-  // OpenAI 模型
-  if (model.startsWith('gpt-')) {
-    return 'openai'
-  }
-
-  // 默认使用 Claude
-  return 'claude'
-}
+// 🔍 根据模型名称检测后端类型（内置前缀匹配，未命中路由表时使用）
+const detectBackendFromModel = detectBuiltinBackend
 
 // 🚀 智能后端路由处理器
-async function routeToBackend(req, res, requestedModel) {
-  const backend = detectBackendFromModel(requestedModel)
+async function routeToBackend(req, res, originalModel) {
+  const route = await modelRoutingService.resolveRoute(originalModel, req.apiKey)
+  const { backend } = route
+  const requestedModel = route.model
+  req.body.model = requestedModel
 
-  logger.info(`🔀 Routing request - Model: ${requestedModel}, Backend: ${backend}`)
+  logger.info(
+    `🔀 Routing request - Model: ${originalModel}${requestedModel !== originalModel ? ` → ${requestedModel}` : ''}, Backend: ${backend} (${route.source})`
+  )
 
   // 检查权限
   const permissions = req.apiKey.permissions || 'all'
@@ -197,6 +183,90 @@ router.post('/v1/completions', authenticateApiKey, async (req, res) => {
   }
 })
 
+// 🧮 OpenAI 兼容的 embeddings 端点（Gemini API / OpenAI-Responses / Azure 账户）
+router.post('/v1/embeddings', authenticateApiKey, async (req, res) => {
+  try {
+    const apiKeyData = req.apiKey
+    const { model, input } = req.body || {}
+
+    if (!model || typeof model !== 'string' || input === undefined || input === null) {
+      return res.status(400).json({
+        error: {
+          message: 'model and input are required',
+          type: 'invalid_request_error',
+          code: 'invalid_request'
+        }
+      })
+    }
+
+    // 检查权限：Gemini 向量模型需要 gemini 权限，其余需要 openai 权限
+    const backend = embeddingRelayService.detectProvider(model)
+    const permissions = apiKeyData.permissions || 'all'
+    if (permissions !== 'all' && permissions !== backend) {
+      return res.status(403).json({
+        error: {
+          message: `This API key does not have permission to access ${backend === 'gemini' ? 'Gemini' : 'OpenAI'}`,
+          type: 'permission_denied',
+          code: 'permission_denied'
+        }
+      })
+    }
+
+    // 模型限制（黑名单）
+    if (apiKeyData.enableModelRestriction && apiKeyData.restrictedModels?.includes(model)) {
+      return res.status(403).json({
+        error: {
+          message: `Model ${model} is not allowed for this API key`,
+          type: 'invalid_request_error',
+          code: 'model_not_allowed'
+        }
+      })
+    }
+
+    const { response, accountId, accountType, inputTokens } = await embeddingRelayService.relay(
+      apiKeyData,
+      req.body
+    )
+
+    apiKeyService
+      .recordUsage(
+        apiKeyData.id,
+        inputTokens,
+        0,
+        0,
+        0,
+        model,
+        accountId,
+        accountType,
+        apiKeyData.modelDowngrade
+      )
+      .catch((error) => logger.error('❌ Failed to record embeddings usage:', error))
+
+    if (req.rateLimitInfo) {
+      updateRateLimitCounters(
+        req.rateLimitInfo,
+        { inputTokens, outputTokens: 0, cacheCreateTokens: 0, cacheReadTokens: 0 },
+        model
+      ).catch((error) => logger.error('❌ Failed to update rate limit counters:', error))
+    }
+
+    return res.json(response)
+  } catch (error) {
+    logger.error('❌ OpenAI embeddings error:', error)
+    if (!res.headersSent) {
+      const status = error.status || 500
+      res.status(status).json({
+        error: {
+          message: status === 500 ? 'Internal server error' : error.message,
+          type: error.type || 'server_error',
+          code: status === 400 ? 'invalid_request' : 'embeddings_error'
+        }
+      })
+    }
+  }
+  return undefined
+})
+
 module.exports = router
 module.exports.detectBackendFromModel = detectBackendFromModel
 module.exports.routeToBackend = routeToBackend
@@ -1,6 +1,7 @@
 const express = require('express')
 const router = express.Router()
 const ldapService = require('../services/ldapService')
+const oidcService = require('../services/oidcService')
 const userService = require('../services/userService')
 const apiKeyService = require('../services/apiKeyService')
 const logger = require('../utils/logger')
@@ -8,6 +9,10 @@ const config = require('../../config/config')
 const inputValidator = require('../utils/inputValidator')
 const { RateLimiterRedis } = require('rate-limiter-flexible')
 const redis = require('../models/redis')
+const twoFactorService = require('../services/twoFactorService')
+const teamService = require('../services/teamService')
+const accountGroupService = require('../services/accountGroupService')
+const apiKeyRequestService = require('../services/apiKeyRequestService')
 const { authenticateUser, authenticateUserOrAdmin, requireAdmin } = require('../middleware/auth')
 
 // 🚦 配置登录速率限制
@@ -48,6 +53,78 @@ function initRateLimiters() {
   return { ipRateLimiter, strictIpRateLimiter }
 }
 
+// 登录响应中返回的用户信息
+function formatLoginUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    displayName: user.displayName,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role
+  }
+}
+
+// 用户自助管理时返回的 API Key（移除敏感信息并展开 usage 数据）
+function formatOwnedApiKey(key) {
+  // Flatten usage structure for frontend compatibility
+  let flatUsage = {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalCost: 0
+  }
+
+  if (key.usage && key.usage.total) {
+    flatUsage = {
+      requests: key.usage.total.requests || 0,
+      inputTokens: key.usage.total.inputTokens || 0,
+      outputTokens: key.usage.total.outputTokens || 0,
+      totalCost: key.totalCost || 0
+    }
+  }
+
+  return {
+    id: key.id,
+    name: key.name,
+    description: key.description,
+    tokenLimit: key.tokenLimit,
+    isActive: key.isActive,
+    createdAt: key.createdAt,
+    lastUsedAt: key.lastUsedAt,
+    expiresAt: key.expiresAt,
+    usage: flatUsage,
+    dailyCost: key.dailyCost,
+    dailyCostLimit: key.dailyCostLimit,
+    totalCost: key.totalCost,
+    totalCostLimit: key.totalCostLimit,
+    // 不返回实际的key值，只返回前缀和后几位
+    keyPreview: key.key
+      ? `${key.key.substring(0, 8)}...${key.key.substring(key.key.length - 4)}`
+      : null,
+    // Include deletion fields for deleted keys
+    isDeleted: key.isDeleted,
+    deletedAt: key.deletedAt,
+    deletedBy: key.deletedBy,
+    deletedByType: key.deletedByType
+  }
+}
+
+// 读取两步验证登录挑战对应的用户，挑战无效或用户已禁用时返回 null
+async function loadChallengeUser(challengeToken, step) {
+  const challenge = await twoFactorService.getChallenge(challengeToken, step)
+  if (!challenge) {
+    return null
+  }
+  const user = await userService.getUserById(challenge.subject.id, false)
+  if (!user || !user.isActive) {
+    await twoFactorService.deleteChallenge(challengeToken)
+    return null
+  }
+  return { challenge, user }
+}
+
 // 🔐 用户登录端点
 router.post('/login', async (req, res) => {
   try {
@@ -134,21 +211,31 @@ router.post('/login', async (req, res) => {
       })
     }
 
+    // 需要两步验证：签发登录挑战，完成第二步后再创建会话
+    if (authResult.twoFactorStep) {
+      const challengeToken = await twoFactorService.createChallenge(
+        twoFactorService.userSubject(authResult.user),
+        authResult.twoFactorStep
+      )
+      return res.json({
+        success: false,
+        twoFactorRequired: true,
+        twoFactorStep: authResult.twoFactorStep,
+        challengeToken,
+        message:
+          authResult.twoFactorStep === 'enroll'
+            ? 'Two-factor authentication must be set up before signing in'
+            : 'Two-factor verification code required'
+      })
+    }
+
     // 登录成功
     logger.info(`✅ User login successful: ${validatedUsername} from IP: ${clientIp}`)
 
     res.json({
       success: true,
       message: 'Login successful',
-      user: {
-        id: authResult.user.id,
-        username: authResult.user.username,
-        email: authResult.user.email,
-        displayName: authResult.user.displayName,
-        firstName: authResult.user.firstName,
-        lastName: authResult.user.lastName,
-        role: authResult.user.role
-      },
+      user: formatLoginUser(authResult.user),
       sessionToken: authResult.sessionToken
     })
   } catch (error) {
@@ -160,6 +247,230 @@ router.post('/login', async (req, res) => {
   }
 })
 
+// 🔑 单点登录：用回调签发的一次性交接码换取用户会话
+router.post('/oidc/exchange', async (req, res) => {
+  try {
+    const handoff = await oidcService.consumeHandoff(req.body.code)
+    const user =
+      handoff?.portal === 'user' ? await userService.getUserById(handoff.userId, false) : null
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'Single sign-on code expired or invalid, please sign in again'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: formatLoginUser(user),
+      sessionToken: handoff.sessionToken
+    })
+  } catch (error) {
+    logger.error('❌ User OIDC exchange error:', error)
+    res.status(500).json({
+      error: 'Single sign-on failed',
+      message: 'Internal server error'
+    })
+  }
+})
+
+// 🔐 两步验证：使用验证码或恢复码完成登录
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body
+    const loaded = await loadChallengeUser(challengeToken, 'verify')
+    if (!loaded) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Login challenge expired or invalid, please sign in again'
+      })
+    }
+
+    const method = await twoFactorService.verifyCode(loaded.challenge.subject, code)
+    if (!method) {
+      const stillValid = await twoFactorService.recordChallengeFailure(challengeToken)
+      logger.security(`🔒 Invalid two-factor code for user: ${loaded.user.username}`)
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: stillValid
+          ? 'Invalid verification code'
+          : 'Too many invalid codes, please sign in again'
+      })
+    }
+
+    await twoFactorService.deleteChallenge(challengeToken)
+    const sessionToken = await userService.createUserSession(loaded.user.id, {
+      twoFactorVerified: true
+    })
+
+    logger.info(`✅ User login successful with two-factor (${method}): ${loaded.user.username}`)
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: formatLoginUser(loaded.user),
+      sessionToken
+    })
+  } catch (error) {
+    logger.error('❌ User two-factor verification error:', error)
+    res.status(500).json({
+      error: 'Two-factor verification failed',
+      message: 'Internal server error'
+    })
+  }
+})
+
+// 🔐 两步验证：强制启用时，在登录过程中绑定验证器
+router.post('/login/2fa/enroll/setup', async (req, res) => {
+  try {
+    const loaded = await loadChallengeUser(req.body.challengeToken, 'enroll')
+    if (!loaded) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Login challenge expired or invalid, please sign in again'
+      })
+    }
+
+    const setup = await twoFactorService.beginSetup(loaded.challenge.subject)
+    res.json({ success: true, ...setup })
+  } catch (error) {
+    logger.error('❌ User two-factor enrollment setup error:', error)
+    res.status(500).json({
+      error: 'Two-factor setup failed',
+      message: 'Internal server error'
+    })
+  }
+})
+
+router.post('/login/2fa/enroll/confirm', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body
+    const loaded = await loadChallengeUser(challengeToken, 'enroll')
+    if (!loaded) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Login challenge expired or invalid, please sign in again'
+      })
+    }
+
+    let recoveryCodes
+    try {
+      recoveryCodes = await twoFactorService.confirmSetup(loaded.challenge.subject, code)
+    } catch (error) {
+      await twoFactorService.recordChallengeFailure(challengeToken)
+      return res.status(400).json({ error: 'Invalid code', message: error.message })
+    }
+
+    await twoFactorService.deleteChallenge(challengeToken)
+    const sessionToken = await userService.createUserSession(loaded.user.id, {
+      twoFactorVerified: true
+    })
+
+    logger.info(`✅ User enrolled two-factor and signed in: ${loaded.user.username}`)
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: formatLoginUser(loaded.user),
+      sessionToken,
+      recoveryCodes
+    })
+  } catch (error) {
+    logger.error('❌ User two-factor enrollment error:', error)
+    res.status(500).json({
+      error: 'Two-factor enrollment failed',
+      message: 'Internal server error'
+    })
+  }
+})
+
+// 🔐 两步验证：当前用户的绑定状态
+router.get('/2fa/status', authenticateUser, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(twoFactorService.userSubject(req.user))
+    res.json({ success: true, data: status })
+  } catch (error) {
+    logger.error('❌ Get user two-factor status error:', error)
+    res.status(500).json({
+      error: 'Get two-factor status failed',
+      message: 'Internal server error'
+    })
+  }
+})
+
+// 🔐 两步验证：已登录用户开始绑定
+router.post('/2fa/setup', authenticateUser, async (req, res) => {
+  try {
+    const subject = twoFactorService.userSubject(req.user)
+    if (await twoFactorService.isEnabled(subject)) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      })
+    }
+
+    const setup = await twoFactorService.beginSetup(subject)
+    res.json({ success: true, ...setup })
+  } catch (error) {
+    logger.error('❌ User two-factor setup error:', error)
+    res.status(500).json({
+      error: 'Two-factor setup failed',
+      message: 'Internal server error'
+    })
+  }
+})
+
+// 🔐 两步验证：确认绑定并返回恢复码
+router.post('/2fa/enable', authenticateUser, async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.confirmSetup(
+      twoFactorService.userSubject(req.user),
+      req.body.code
+    )
+
+    // 当前会话已通过验证码校验，标记为已完成两步验证，避免被立即踢出
+    await userService.markSessionTwoFactorVerified(req.user.sessionToken)
+
+    res.json({ success: true, recoveryCodes })
+  } catch (error) {
+    logger.error('❌ User two-factor enable error:', error)
+    res.status(400).json({
+      error: 'Two-factor enable failed',
+      message: error.message
+    })
+  }
+})
+
+// 🔐 两步验证：关闭
+router.post('/2fa/disable', authenticateUser, async (req, res) => {
+  try {
+    await twoFactorService.disable(twoFactorService.userSubject(req.user), req.body.code)
+    res.json({ success: true, message: 'Two-factor authentication disabled' })
+  } catch (error) {
+    logger.error('❌ User two-factor disable error:', error)
+    res.status(400).json({
+      error: 'Two-factor disable failed',
+      message: error.message
+    })
+  }
+})
+
+// 🔐 两步验证：重新生成恢复码
+router.post('/2fa/recovery-codes', authenticateUser, async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(
+      twoFactorService.userSubject(req.user),
+      req.body.code
+    )
+    res.json({ success: true, recoveryCodes })
+  } catch (error) {
+    logger.error('❌ User regenerate recovery codes error:', error)
+    res.status(400).json({
+      error: 'Regenerate recovery codes failed',
+      message: error.message
+    })
+  }
+})
+
 // 🚪 用户登出端点
 router.post('/logout', authenticateUser, async (req, res) => {
   try {
@@ -191,6 +502,8 @@ router.get('/profile', authenticateUser, async (req, res) => {
       })
     }
 
+    const membership = await teamService.getUserMembership(user.id)
+
     res.json({
       success: true,
       user: {
@@ -205,11 +518,15 @@ router.get('/profile', authenticateUser, async (req, res) => {
         createdAt: user.createdAt,
         lastLoginAt: user.lastLoginAt,
         apiKeyCount: user.apiKeyCount,
-        totalUsage: user.totalUsage
+        totalUsage: user.totalUsage,
+        team: membership
+          ? { id: membership.team.id, name: membership.team.name, role: membership.role }
+          : null
       },
       config: {
         maxApiKeysPerUser: config.userManagement.maxApiKeysPerUser,
-        allowUserDeleteApiKeys: config.userManagement.allowUserDeleteApiKeys
+        allowUserDeleteApiKeys: config.userManagement.allowUserDeleteApiKeys,
+        allowUserApiKeyRequests: apiKeyRequestService.isEnabled()
       }
     })
   } catch (error) {
@@ -228,49 +545,7 @@ router.get('/api-keys', authenticateUser, async (req, res) => {
     const apiKeys = await apiKeyService.getUserApiKeys(req.user.id, includeDeleted === 'true')
 
     // 移除敏感信息并格式化usage数据
-    const safeApiKeys = apiKeys.map((key) => {
-      // Flatten usage structure for frontend compatibility
-      let flatUsage = {
-        requests: 0,
-        inputTokens: 0,
-        outputTokens: 0,
-        totalCost: 0
-      }
-
-      if (key.usage && key.usage.total) {
-        flatUsage = {
-          requests: key.usage.total.requests || 0,
-          inputTokens: key.usage.total.inputTokens || 0,
-          outputTokens: key.usage.total.outputTokens || 0,
-          totalCost: key.totalCost || 0
-        }
-      }
-
-      return {
-        id: key.id,
-        name: key.name,
-        description: key.description,
-        tokenLimit: key.tokenLimit,
-        isActive: key.isActive,
-        createdAt: key.createdAt,
-        lastUsedAt: key.lastUsedAt,
-        expiresAt: key.expiresAt,
-        usage: flatUsage,
-        dailyCost: key.dailyCost,
-        dailyCostLimit: key.dailyCostLimit,
-        totalCost: key.totalCost,
-        totalCostLimit: key.totalCostLimit,
-        // 不返回实际的key值，只返回前缀和后几位
-        keyPreview: key.key
-          ? `${key.key.substring(0, 8)}...${key.key.substring(key.key.length - 4)}`
-          : null,
-        // Include deletion fields for deleted keys
-        isDeleted: key.isDeleted,
-        deletedAt: key.deletedAt,
-        deletedBy: key.deletedBy,
-        deletedByType: key.deletedByType
-      }
-    })
+    const safeApiKeys = apiKeys.map(formatOwnedApiKey)
 
     res.json({
       success: true,
@@ -409,6 +684,72 @@ router.delete('/api-keys/:keyId', authenticateUser, async (req, res) => {
   }
 })
 
+// 📝 API Key 申请：服务层的 404 / 409 / 403 原样返回，其余校验错误返回 400
+function sendKeyRequestError(res, error, fallbackMessage) {
+  const errors = { 403: 'Operation not allowed', 404: 'Request not found', 409: 'Conflict' }
+  const status = errors[error.statusCode] ? error.statusCode : 400
+  return res
+    .status(status)
+    .json({ error: errors[status] || fallbackMessage, message: error.message })
+}
+
+// 📝 获取自己的API Key申请
+router.get('/api-key-requests', authenticateUser, async (req, res) => {
+  try {
+    const requests = await apiKeyRequestService.getUserRequests(req.user.id)
+    res.json({ success: true, requests, total: requests.length })
+  } catch (error) {
+    logger.error('❌ Get API key requests error:', error)
+    res.status(500).json({
+      error: 'API key request error',
+      message: 'Failed to retrieve API key requests'
+    })
+  }
+})
+
+// 📝 提交API Key申请（管理员审批后创建）
+router.post('/api-key-requests', authenticateUser, async (req, res) => {
+  try {
+    const request = await apiKeyRequestService.createRequest(req.user, req.body || {})
+    res.status(201).json({
+      success: true,
+      message: 'API key request submitted',
+      request
+    })
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.warn(`⚠️ Invalid API key request from ${req.user.username}: ${error.message}`)
+    }
+    return sendKeyRequestError(res, error, 'Invalid API key request')
+  }
+})
+
+// ↩️ 撤回待审批的API Key申请
+router.delete('/api-key-requests/:requestId', authenticateUser, async (req, res) => {
+  try {
+    const request = await apiKeyRequestService.cancelRequest(req.params.requestId, req.user.id)
+    res.json({ success: true, message: 'API key request cancelled', request })
+  } catch (error) {
+    return sendKeyRequestError(res, error, 'Failed to cancel API key request')
+  }
+})
+
+// 🔑 领取已批准申请生成的API Key（只能领取一次）
+router.post('/api-key-requests/:requestId/claim', authenticateUser, async (req, res) => {
+  try {
+    const apiKey = await apiKeyRequestService.claimApiKey(req.params.requestId, req.user.id)
+    if (!apiKey) {
+      return res.status(410).json({
+        error: 'Key unavailable',
+        message: 'This API key has already been claimed or the claim period has expired'
+      })
+    }
+    res.json({ success: true, key: apiKey })
+  } catch (error) {
+    return sendKeyRequestError(res, error, 'Failed to claim API key')
+  }
+})
+
 // 📊 获取用户使用统计
 router.get('/usage-stats', authenticateUser, async (req, res) => {
   try {
@@ -448,6 +789,378 @@ router.get('/usage-stats', authenticateUser, async (req, res) => {
   }
 })
 
+// === 团队端点 ===
+
+// 团队 Key 可绑定的分组平台 -> Key 字段
+const TEAM_GROUP_FIELDS = {
+  claude: 'claudeAccountId',
+  gemini: 'geminiAccountId',
+  openai: 'openaiAccountId',
+  droid: 'droidAccountId'
+}
+
+// 👥 加载当前用户所属团队
+async function loadTeamMembership(req, res, next) {
+  try {
+    const membership = await teamService.getUserMembership(req.user.id)
+    if (!membership) {
+      return res.status(404).json({
+        error: 'Team not found',
+        message: 'You are not a member of any team'
+      })
+    }
+
+    req.team = membership.team
+    req.teamRole = membership.role
+    return next()
+  } catch (error) {
+    logger.error('❌ Load team membership error:', error)
+    return res.status(500).json({
+      error: 'Team error',
+      message: 'Failed to load team membership'
+    })
+  }
+}
+
+// 🛡️ 团队管理员权限检查
+function requireTeamAdmin(req, res, next) {
+  if (req.teamRole === 'admin') {
+    return next()
+  }
+
+  logger.security(`🚫 Team admin access denied for ${req.user.username} in team ${req.team.name}`)
+  return res.status(403).json({
+    error: 'Team admin access required',
+    message: 'This action requires team administrator privileges'
+  })
+}
+
+// 团队 Key 返回格式：附带权限、创建者和绑定的团队分组
+function formatTeamApiKey(key) {
+  const accountGroups = {}
+  for (const [platform, field] of Object.entries(TEAM_GROUP_FIELDS)) {
+    const value = key[field] || ''
+    accountGroups[platform] = value.startsWith('group:') ? value.substring('group:'.length) : ''
+  }
+
+  return {
+    ...formatOwnedApiKey(key),
+    permissions: key.permissions || 'all',
+    createdBy: key.createdBy,
+    accountGroups
+  }
+}
+
+// 校验团队 Key 的可编辑字段，返回错误信息或 null
+function validateTeamApiKeyInput(body, { requireName }) {
+  const { name, description, dailyCostLimit, totalCostLimit, expiresAt, permissions } = body
+
+  if (requireName || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'API key name is required'
+    }
+    if (name.trim().length > 100) {
+      return 'API key name must be less than 100 characters'
+    }
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+    return 'Description must be a string with less than 500 characters'
+  }
+  for (const [field, value] of Object.entries({ dailyCostLimit, totalCostLimit })) {
+    if (
+      value !== undefined &&
+      value !== null &&
+      value !== '' &&
+      (Number.isNaN(Number(value)) || Number(value) < 0)
+    ) {
+      return `${field} must be a non-negative number`
+    }
+  }
+  if (expiresAt && Number.isNaN(Date.parse(expiresAt))) {
+    return 'expiresAt must be a valid date'
+  }
+  if (
+    permissions !== undefined &&
+    !['claude', 'gemini', 'openai', 'droid', 'all'].includes(permissions)
+  ) {
+    return 'Invalid permissions value. Must be claude, gemini, openai, droid, or all'
+  }
+  return null
+}
+
+// 将请求中的 accountGroups（平台 -> 分组ID）转换为 Key 的绑定字段
+function buildTeamGroupBindings(accountGroups) {
+  const bindings = {}
+  if (!accountGroups || typeof accountGroups !== 'object') {
+    return bindings
+  }
+  for (const [platform, field] of Object.entries(TEAM_GROUP_FIELDS)) {
+    if (accountGroups[platform] !== undefined) {
+      bindings[field] = accountGroups[platform] ? `group:${accountGroups[platform]}` : ''
+    }
+  }
+  return bindings
+}
+
+// 👥 获取当前用户所属团队（成员、预算、用量汇总与团队专属分组）
+router.get('/team', authenticateUser, loadTeamMembership, async (req, res) => {
+  try {
+    const { team } = req
+    const [members, budgetStatus, usage, groups] = await Promise.all([
+      teamService.getMembers(team.id),
+      teamService.getBudgetStatus(team),
+      teamService.getUsageSummary(team.id),
+      accountGroupService.getTeamGroups(team.id)
+    ])
+
+    res.json({
+      success: true,
+      team: {
+        id: team.id,
+        name: team.name,
+        description: team.description,
+        costBudget: team.costBudget
+      },
+      role: req.teamRole,
+      budgetStatus,
+      usage,
+      members,
+      groups: groups.map((group) => ({
+        id: group.id,
+        name: group.name,
+        platform: group.platform,
+        description: group.description
+      })),
+      config: {
+        maxApiKeysPerTeam: config.userManagement.maxApiKeysPerTeam
+      }
+    })
+  } catch (error) {
+    logger.error('❌ Get user team error:', error)
+    res.status(500).json({
+      error: 'Team error',
+      message: 'Failed to retrieve team information'
+    })
+  }
+})
+
+// 🔑 获取团队共享的API Keys（团队成员可查看）
+router.get('/team/api-keys', authenticateUser, loadTeamMembership, async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.getTeamApiKeys(req.team.id)
+    const safeApiKeys = apiKeys.map(formatTeamApiKey)
+
+    res.json({
+      success: true,
+      apiKeys: safeApiKeys,
+      total: safeApiKeys.length
+    })
+  } catch (error) {
+    logger.error('❌ Get team API keys error:', error)
+    res.status(500).json({
+      error: 'API Keys error',
+      message: 'Failed to retrieve team API keys'
+    })
+  }
+})
+
+// 🔑 创建团队共享API Key（团队管理员）
+router.post(
+  '/team/api-keys',
+  authenticateUser,
+  loadTeamMembership,
+  requireTeamAdmin,
+  async (req, res) => {
+    try {
+      const validationError = validateTeamApiKeyInput(req.body, { requireName: true })
+      if (validationError) {
+        return res.status(400).json({ error: 'Invalid input', message: validationError })
+      }
+
+      const teamKeys = await apiKeyService.getTeamApiKeys(req.team.id)
+      if (teamKeys.length >= config.userManagement.maxApiKeysPerTeam) {
+        return res.status(400).json({
+          error: 'API key limit exceeded',
+          message: `A team can only have up to ${config.userManagement.maxApiKeysPerTeam} API keys`
+        })
+      }
+
+      const { name, description, dailyCostLimit, totalCostLimit, expiresAt, permissions } = req.body
+      const bindings = buildTeamGroupBindings(req.body.accountGroups)
+      try {
+        await accountGroupService.validateKeyGroupBindings(bindings, req.team.id, {
+          teamOnly: true
+        })
+      } catch (bindingError) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid account group', message: bindingError.message })
+      }
+
+      // 团队 Key 不归属个人：成员离开团队或被禁用不影响 Key 的使用
+      const newApiKey = await apiKeyService.createApiKey({
+        name: name.trim(),
+        description: description?.trim() || '',
+        expiresAt: expiresAt || null,
+        dailyCostLimit: dailyCostLimit || null,
+        totalCostLimit: totalCostLimit || null,
+        permissions: permissions || 'all',
+        ...bindings,
+        teamId: req.team.id,
+        createdBy: req.user.username
+      })
+
+      logger.info(
+        `🔑 Team admin ${req.user.username} created API key for team ${req.team.name}: ${name}`
+      )
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created successfully',
+        apiKey: {
+          id: newApiKey.id,
+          name: newApiKey.name,
+          description: newApiKey.description,
+          key: newApiKey.apiKey, // 只在创建时返回完整key
+          expiresAt: newApiKey.expiresAt,
+          dailyCostLimit: newApiKey.dailyCostLimit,
+          totalCostLimit: newApiKey.totalCostLimit,
+          createdAt: newApiKey.createdAt
+        }
+      })
+    } catch (error) {
+      logger.error('❌ Create team API key error:', error)
+      res.status(500).json({
+        error: 'API Key creation error',
+        message: 'Failed to create team API key'
+      })
+    }
+  }
+)
+
+// 📝 更新团队共享API Key（团队管理员）
+router.put(
+  '/team/api-keys/:keyId',
+  authenticateUser,
+  loadTeamMembership,
+  requireTeamAdmin,
+  async (req, res) => {
+    try {
+      const { keyId } = req.params
+      const existingKey = await apiKeyService.getApiKeyById(keyId)
+      if (!existingKey || existingKey.teamId !== req.team.id) {
+        return res.status(404).json({
+          error: 'API key not found',
+          message: 'API key not found or it does not belong to your team'
+        })
+      }
+
+      const validationError = validateTeamApiKeyInput(req.body, { requireName: false })
+      if (validationError) {
+        return res.status(400).json({ error: 'Invalid input', message: validationError })
+      }
+      if (req.body.isActive !== undefined && typeof req.body.isActive !== 'boolean') {
+        return res
+          .status(400)
+          .json({ error: 'Invalid input', message: 'isActive must be a boolean' })
+      }
+
+      // 只校验本次修改的绑定，管理员为团队 Key 配置的其他绑定保持不变
+      const updates = buildTeamGroupBindings(req.body.accountGroups)
+      try {
+        await accountGroupService.validateKeyGroupBindings(updates, req.team.id, {
+          teamOnly: true
+        })
+      } catch (bindingError) {
+        return res
+          .status(400)
+          .json({ error: 'Invalid account group', message: bindingError.message })
+      }
+
+      const {
+        name,
+        description,
+        dailyCostLimit,
+        totalCostLimit,
+        expiresAt,
+        permissions,
+        isActive
+      } = req.body
+      if (name !== undefined) {
+        updates.name = name.trim()
+      }
+      if (description !== undefined) {
+        updates.description = description.trim()
+      }
+      if (dailyCostLimit !== undefined) {
+        updates.dailyCostLimit = Number(dailyCostLimit || 0)
+      }
+      if (totalCostLimit !== undefined) {
+        updates.totalCostLimit = Number(totalCostLimit || 0)
+      }
+      if (expiresAt !== undefined) {
+        updates.expiresAt = expiresAt || ''
+      }
+      if (permissions !== undefined) {
+        updates.permissions = permissions
+      }
+      if (isActive !== undefined) {
+        updates.isActive = isActive
+      }
+
+      await apiKeyService.updateApiKey(keyId, updates)
+
+      logger.info(`📝 Team admin ${req.user.username} updated team API key: ${existingKey.name}`)
+
+      res.json({
+        success: true,
+        message: 'API key updated successfully'
+      })
+    } catch (error) {
+      logger.error('❌ Update team API key error:', error)
+      res.status(500).json({
+        error: 'API Key update error',
+        message: 'Failed to update team API key'
+      })
+    }
+  }
+)
+
+// 🗑️ 删除团队共享API Key（团队管理员）
+router.delete(
+  '/team/api-keys/:keyId',
+  authenticateUser,
+  loadTeamMembership,
+  requireTeamAdmin,
+  async (req, res) => {
+    try {
+      const { keyId } = req.params
+      const existingKey = await apiKeyService.getApiKeyById(keyId)
+      if (!existingKey || existingKey.teamId !== req.team.id) {
+        return res.status(404).json({
+          error: 'API key not found',
+          message: 'API key not found or it does not belong to your team'
+        })
+      }
+
+      await apiKeyService.deleteApiKey(keyId, req.user.username, 'user')
+
+      logger.info(`🗑️ Team admin ${req.user.username} deleted team API key: ${existingKey.name}`)
+
+      res.json({
+        success: true,
+        message: 'API key deleted successfully'
+      })
+    } catch (error) {
+      logger.error('❌ Delete team API key error:', error)
+      res.status(500).json({
+        error: 'API Key deletion error',
+        message: 'Failed to delete team API key'
+      })
+    }
+  }
+)
+
 // === 管理员用户管理端点 ===
 
 // 📋 获取用户列表（管理员）
@@ -634,6 +1347,81 @@ router.patch('/:userId/role', authenticateUserOrAdmin, requireAdmin, async (req,
   }
 })
 
+// 🔗 关联用户与 SSO 身份（管理员）
+// 同名的已有账户不会在 SSO 登录时被自动接管，需要管理员按 IdP 中的 subject 显式关联
+router.put('/:userId/oidc-link', authenticateUserOrAdmin, requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params
+    const subject = typeof req.body.subject === 'string' ? req.body.subject.trim() : ''
+    const { issuer } = oidcService.getConfig()
+
+    if (!issuer) {
+      return res.status(400).json({
+        error: 'SSO not configured',
+        message: 'Single sign-on is not configured'
+      })
+    }
+    if (!subject) {
+      return res.status(400).json({
+        error: 'Invalid subject',
+        message: 'subject is required'
+      })
+    }
+
+    const updatedUser = await userService.linkOidcIdentity(userId, issuer, subject)
+
+    const adminUser = req.admin?.username || req.user?.username
+    logger.info(
+      `🔗 Admin ${adminUser} linked user ${updatedUser.username} to SSO subject ${subject}`
+    )
+
+    res.json({
+      success: true,
+      message: 'User linked to single sign-on identity successfully',
+      user: {
+        id: updatedUser.id,
+        username: updatedUser.username,
+        oidcIssuer: updatedUser.oidcIssuer,
+        oidcSubject: updatedUser.oidcSubject,
+        updatedAt: updatedUser.updatedAt
+      }
+    })
+  } catch (error) {
+    logger.error('❌ Link user SSO identity error:', error)
+    const status = error.statusCode || (error.message === 'User not found' ? 404 : 500)
+    res.status(status).json({
+      error: 'Link SSO identity error',
+      message: error.message || 'Failed to link single sign-on identity'
+    })
+  }
+})
+
+// 🔗 解除用户与 SSO 身份的关联（管理员）
+router.delete('/:userId/oidc-link', authenticateUserOrAdmin, requireAdmin, async (req, res) => {
+  try {
+    const updatedUser = await userService.unlinkOidcIdentity(req.params.userId)
+
+    const adminUser = req.admin?.username || req.user?.username
+    logger.info(`🔗 Admin ${adminUser} unlinked SSO identity from user ${updatedUser.username}`)
+
+    res.json({
+      success: true,
+      message: 'Single sign-on identity unlinked successfully',
+      user: {
+        id: updatedUser.id,
+        username: updatedUser.username,
+        updatedAt: updatedUser.updatedAt
+      }
+    })
+  } catch (error) {
+    logger.error('❌ Unlink user SSO identity error:', error)
+    res.status(error.message === 'User not found' ? 404 : 500).json({
+      error: 'Unlink SSO identity error',
+      message: error.message || 'Failed to unlink single sign-on identity'
+    })
+  }
+})
+
 // 🔑 禁用用户的所有API Keys（管理员）
 router.post('/:userId/disable-keys', authenticateUserOrAdmin, requireAdmin, async (req, res) => {
   try {
@@ -1,14 +1,26 @@
 const express = require('express')
 const bcrypt = require('bcryptjs')
-const crypto = require('crypto')
 const path = require('path')
 const fs = require('fs')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
+const twoFactorService = require('../services/twoFactorService')
+const adminIdentityService = require('../services/adminIdentityService')
+const oidcService = require('../services/oidcService')
+const { authenticateAdmin } = require('../middleware/auth')
 
 const router = express.Router()
 
+// 🎫 创建管理员会话
+function createAdminSession(username, twoFactorVerified = false, adminId = 'admin') {
+  return adminIdentityService.createSession(username, { adminId, twoFactorVerified })
+}
+
+function buildLoginResponse(sessionId, username, adminId = 'admin') {
+  return adminIdentityService.buildLoginResponse(sessionId, { username, adminId })
+}
+
 // 🏠 服务静态文件
 router.use('/assets', express.static(path.join(__dirname, '../../web/assets')))
 
@@ -69,11 +81,17 @@ router.post('/auth/login', async (req, res) => {
       }
     }
 
-    // 验证用户名和密码
+    // 验证用户名和密码：先匹配主管理员，再匹配其他管理员账号
     const isValidUsername = adminData.username === username
     const isValidPassword = await bcrypt.compare(password, adminData.passwordHash)
+    let adminId = null
+    if (isValidUsername && isValidPassword) {
+      adminId = 'admin'
+    } else if (await adminIdentityService.verifyCredentials(username, password)) {
+      adminId = adminIdentityService.identityAdminId(username)
+    }
 
-    if (!isValidUsername || !isValidPassword) {
+    if (!adminId) {
       logger.security(`🔒 Failed login attempt for username: ${username}`)
       return res.status(401).json({
         error: 'Invalid credentials',
@@ -81,29 +99,31 @@ router.post('/auth/login', async (req, res) => {
       })
     }
 
-    // 生成会话token
-    const sessionId = crypto.randomBytes(32).toString('hex')
-
-    // 存储会话
-    const sessionData = {
-      username: adminData.username,
-      loginTime: new Date().toISOString(),
-      lastActivity: new Date().toISOString()
+    // 已启用或被强制要求两步验证时，先签发登录挑战，完成第二步后再创建会话
+    const twoFactorSubject = twoFactorService.adminSubject(username, adminId)
+    const twoFactorStep = await twoFactorService.getLoginRequirement(twoFactorSubject)
+    if (twoFactorStep) {
+      const challengeToken = await twoFactorService.createChallenge(twoFactorSubject, twoFactorStep)
+      logger.info(`🔐 Admin password verified, awaiting two-factor ${twoFactorStep}: ${username}`)
+      return res.json({
+        success: false,
+        twoFactorRequired: true,
+        twoFactorStep,
+        challengeToken,
+        message:
+          twoFactorStep === 'enroll'
+            ? 'Two-factor authentication must be set up before signing in'
+            : 'Two-factor verification code required'
+      })
     }
 
-    await redis.setSession(sessionId, sessionData, config.security.adminSessionTimeout)
-
     // 不再更新 Redis 中的最后登录时间，因为 Redis 只是缓存
     // init.json 是唯一真实数据源
+    const sessionId = await createAdminSession(username, false, adminId)
 
     logger.success(`🔐 Admin login successful: ${username}`)
 
-    return res.json({
-      success: true,
-      token: sessionId,
-      expiresIn: config.security.adminSessionTimeout,
-      username: adminData.username // 返回真实用户名
-    })
+    return res.json(await buildLoginResponse(sessionId, username, adminId))
   } catch (error) {
     logger.error('❌ Login error:', error)
     return res.status(500).json({
@@ -113,6 +133,229 @@ router.post('/auth/login', async (req, res) => {
   }
 })
 
+// 🔑 单点登录：用回调签发的一次性交接码换取管理员会话
+router.post('/auth/oidc/exchange', async (req, res) => {
+  try {
+    const handoff = await oidcService.consumeHandoff(req.body.code)
+    if (!handoff || handoff.portal !== 'admin') {
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'Single sign-on code expired or invalid, please sign in again'
+      })
+    }
+
+    return res.json(
+      await adminIdentityService.buildLoginResponse(handoff.sessionId, {
+        username: handoff.username,
+        adminId: handoff.adminId,
+        ssoRole: handoff.ssoRole
+      })
+    )
+  } catch (error) {
+    logger.error('❌ OIDC exchange error:', error)
+    return res.status(500).json({
+      error: 'Single sign-on failed',
+      message: 'Internal server error'
+    })
+  }
+})
+
+// 🔐 两步验证：使用验证码或恢复码完成登录
+router.post('/auth/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body
+    const challenge = await twoFactorService.getChallenge(challengeToken, 'verify')
+    if (!challenge) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Login challenge expired or invalid, please sign in again'
+      })
+    }
+
+    const method = await twoFactorService.verifyCode(challenge.subject, code)
+    if (!method) {
+      const stillValid = await twoFactorService.recordChallengeFailure(challengeToken)
+      logger.security(`🔒 Invalid admin two-factor code for: ${challenge.subject.label}`)
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: stillValid
+          ? 'Invalid verification code'
+          : 'Too many invalid codes, please sign in again'
+      })
+    }
+
+    await twoFactorService.deleteChallenge(challengeToken)
+    const sessionId = await createAdminSession(challenge.subject.label, true, challenge.subject.id)
+
+    logger.success(
+      `🔐 Admin login successful with two-factor (${method}): ${challenge.subject.label}`
+    )
+    return res.json(
+      await buildLoginResponse(sessionId, challenge.subject.label, challenge.subject.id)
+    )
+  } catch (error) {
+    logger.error('❌ Two-factor verification error:', error)
+    return res.status(500).json({
+      error: 'Two-factor verification failed',
+      message: 'Internal server error'
+    })
+  }
+})
+
+// 🔐 两步验证：强制启用时，在登录过程中绑定验证器
+router.post('/auth/2fa/enroll/setup', async (req, res) => {
+  try {
+    const challenge = await twoFactorService.getChallenge(req.body.challengeToken, 'enroll')
+    if (!challenge) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Login challenge expired or invalid, please sign in again'
+      })
+    }
+
+    const setup = await twoFactorService.beginSetup(challenge.subject)
+    return res.json({ success: true, ...setup })
+  } catch (error) {
+    logger.error('❌ Two-factor enrollment setup error:', error)
+    return res.status(500).json({
+      error: 'Two-factor setup failed',
+      message: 'Internal server error'
+    })
+  }
+})
+
+router.post('/auth/2fa/enroll/confirm', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body
+    const challenge = await twoFactorService.getChallenge(challengeToken, 'enroll')
+    if (!challenge) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Login challenge expired or invalid, please sign in again'
+      })
+    }
+
+    let recoveryCodes
+    try {
+      recoveryCodes = await twoFactorService.confirmSetup(challenge.subject, code)
+    } catch (error) {
+      await twoFactorService.recordChallengeFailure(challengeToken)
+      return res.status(400).json({ error: 'Invalid code', message: error.message })
+    }
+
+    await twoFactorService.deleteChallenge(challengeToken)
+    const sessionId = await createAdminSession(challenge.subject.label, true, challenge.subject.id)
+
+    logger.success(`🔐 Admin enrolled two-factor and signed in: ${challenge.subject.label}`)
+    return res.json({
+      ...(await buildLoginResponse(sessionId, challenge.subject.label, challenge.subject.id)),
+      recoveryCodes
+    })
+  } catch (error) {
+    logger.error('❌ Two-factor enrollment error:', error)
+    return res.status(500).json({
+      error: 'Two-factor enrollment failed',
+      message: 'Internal server error'
+    })
+  }
+})
+
+// 🔐 两步验证：当前管理员的绑定状态
+router.get('/auth/2fa/status', authenticateAdmin, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(
+      twoFactorService.adminSubject(req.admin.username, req.admin.id)
+    )
+    return res.json({ success: true, data: status })
+  } catch (error) {
+    logger.error('❌ Get two-factor status error:', error)
+    return res.status(500).json({
+      error: 'Get two-factor status failed',
+      message: 'Internal server error'
+    })
+  }
+})
+
+// 🔐 两步验证：已登录管理员开始绑定
+router.post('/auth/2fa/setup', authenticateAdmin, async (req, res) => {
+  try {
+    const subject = twoFactorService.adminSubject(req.admin.username, req.admin.id)
+    if (await twoFactorService.isEnabled(subject)) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      })
+    }
+
+    const setup = await twoFactorService.beginSetup(subject)
+    return res.json({ success: true, ...setup })
+  } catch (error) {
+    logger.error('❌ Two-factor setup error:', error)
+    return res.status(500).json({
+      error: 'Two-factor setup failed',
+      message: 'Internal server error'
+    })
+  }
+})
+
+// 🔐 两步验证：确认绑定并返回恢复码
+router.post('/auth/2fa/enable', authenticateAdmin, async (req, res) => {
+  try {
+    const subject = twoFactorService.adminSubject(req.admin.username, req.admin.id)
+    const recoveryCodes = await twoFactorService.confirmSetup(subject, req.body.code)
+
+    // 当前会话已通过验证码校验，标记为已完成两步验证，避免被立即踢出
+    const sessionData = await redis.getSession(req.admin.sessionId)
+    await redis.setSession(
+      req.admin.sessionId,
+      { ...sessionData, twoFactorVerified: 'true' },
+      config.security.adminSessionTimeout
+    )
+
+    return res.json({ success: true, recoveryCodes })
+  } catch (error) {
+    logger.error('❌ Two-factor enable error:', error)
+    return res.status(400).json({
+      error: 'Two-factor enable failed',
+      message: error.message
+    })
+  }
+})
+
+// 🔐 两步验证：关闭
+router.post('/auth/2fa/disable', authenticateAdmin, async (req, res) => {
+  try {
+    await twoFactorService.disable(
+      twoFactorService.adminSubject(req.admin.username, req.admin.id),
+      req.body.code
+    )
+    return res.json({ success: true, message: 'Two-factor authentication disabled' })
+  } catch (error) {
+    logger.error('❌ Two-factor disable error:', error)
+    return res.status(400).json({
+      error: 'Two-factor disable failed',
+      message: error.message
+    })
+  }
+})
+
+// 🔐 两步验证：重新生成恢复码
+router.post('/auth/2fa/recovery-codes', authenticateAdmin, async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(
+      twoFactorService.adminSubject(req.admin.username, req.admin.id),
+      req.body.code
+    )
+    return res.json({ success: true, recoveryCodes })
+  } catch (error) {
+    logger.error('❌ Regenerate recovery codes error:', error)
+    return res.status(400).json({
+      error: 'Regenerate recovery codes failed',
+      message: error.message
+    })
+  }
+})
+
 // 🚪 管理员登出
 router.post('/auth/logout', async (req, res) => {
   try {
@@ -171,6 +414,42 @@ router.post('/auth/change-password', async (req, res) => {
       })
     }
 
+    // SSO 登录的管理员没有本地密码
+    if (adminIdentityService.isSsoSession(sessionData)) {
+      return res.status(400).json({
+        error: 'Password managed externally',
+        message:
+          'This account signs in with single sign-on, change the password at the identity provider'
+      })
+    }
+
+    // 其他管理员只能修改自己的密码，用户名由主管理员管理
+    if (!adminIdentityService.isOwnerSession(sessionData)) {
+      try {
+        await adminIdentityService.changePassword(
+          sessionData.username,
+          currentPassword,
+          newPassword
+        )
+      } catch (error) {
+        if (error.statusCode === 401 || error.statusCode === 404) {
+          logger.security(`🔒 Invalid current password attempt for user: ${sessionData.username}`)
+          return res.status(401).json({
+            error: 'Invalid current password',
+            message: 'Current password is incorrect'
+          })
+        }
+        throw error
+      }
+
+      await redis.deleteSession(token)
+      return res.json({
+        success: true,
+        message: 'Password changed successfully. Please login again.',
+        newUsername: sessionData.username
+      })
+    }
+
     // 获取当前管理员信息
     const adminData = await redis.getSession('admin_credentials')
     if (!adminData) {
@@ -193,6 +472,15 @@ router.post('/auth/change-password', async (req, res) => {
     // 准备更新的数据
     const updatedUsername =
       newUsername && newUsername.trim() ? newUsername.trim() : adminData.username
+    if (
+      updatedUsername !== adminData.username &&
+      (await adminIdentityService.getIdentity(updatedUsername))
+    ) {
+      return res.status(409).json({
+        error: 'Username taken',
+        message: 'This username is already used by another admin account'
+      })
+    }
 
     // 先更新 init.json（唯一真实数据源）
     const initFilePath = path.join(__dirname, '../../data/init.json')
@@ -276,9 +564,17 @@ router.get('/auth/user', async (req, res) => {
       })
     }
 
-    // 获取管理员信息
-    const adminData = await redis.getSession('admin_credentials')
-    if (!adminData) {
+    const admin = await adminIdentityService.resolveSessionAdmin(sessionData)
+    if (!admin) {
+      return res.status(401).json({
+        error: 'Admin account disabled',
+        message: 'This admin account has been disabled or removed'
+      })
+    }
+
+    // 获取管理员信息（主管理员以 init.json 中的用户名为准）
+    const adminData = admin.id === 'admin' ? await redis.getSession('admin_credentials') : null
+    if (admin.id === 'admin' && !adminData) {
       return res.status(500).json({
         error: 'Admin data not found',
         message: 'Administrator credentials not found'
@@ -288,7 +584,9 @@ router.get('/auth/user', async (req, res) => {
     return res.json({
       success: true,
       user: {
-        username: adminData.username,
+        username: adminData ? adminData.username : admin.username,
+        role: admin.role,
+        scopes: admin.scopes,
         loginTime: sessionData.loginTime,
         lastActivity: sessionData.lastActivity
       }
@@ -1,6 +1,11 @@
 const { v4: uuidv4 } = require('uuid')
 const logger = require('../utils/logger')
 const redis = require('../models/redis')
+const { normalizeFallbackChain, parseFallbackChain } = require('../utils/fallbackChainHelper')
+const {
+  DEFAULT_SCHEDULING_STRATEGY,
+  normalizeSchedulingStrategy
+} = require('../utils/accountHealthHelper')
 
 class AccountGroupService {
   constructor() {
@@ -15,11 +20,21 @@ class AccountGroupService {
    * @param {string} groupData.name - 分组名称
    * @param {string} groupData.platform - 平台类型 (claude/gemini/openai)
    * @param {string} groupData.description - 分组描述
+   * @param {Array} groupData.fallbackChain - 跨平台降级链（仅 claude 分组）
+   * @param {string} groupData.schedulingStrategy - 调度策略 priority / weighted（仅 claude 分组）
+   * @param {string} groupData.teamId - 所属团队（为空表示所有 API Key 可用）
    * @returns {Object} 创建的分组
    */
   async createGroup(groupData) {
     try {
-      const { name, platform, description = '' } = groupData
+      const {
+        name,
+        platform,
+        description = '',
+        fallbackChain = [],
+        schedulingStrategy = DEFAULT_SCHEDULING_STRATEGY,
+        teamId = ''
+      } = groupData
 
       // 验证必填字段
       if (!name || !platform) {
@@ -31,6 +46,18 @@ class AccountGroupService {
         throw new Error('平台类型必须是 claude、gemini、openai 或 droid')
       }
 
+      const normalizedFallbackChain = normalizeFallbackChain(fallbackChain)
+      if (normalizedFallbackChain.length > 0 && platform !== 'claude') {
+        throw new Error('只有 claude 分组支持配置降级链')
+      }
+
+      const normalizedStrategy = normalizeSchedulingStrategy(schedulingStrategy)
+      if (normalizedStrategy !== DEFAULT_SCHEDULING_STRATEGY && platform !== 'claude') {
+        throw new Error('只有 claude 分组支持配置调度策略')
+      }
+
+      await this._assertTeamExists(teamId)
+
       const client = redis.getClientSafe()
       const groupId = uuidv4()
       const now = new Date().toISOString()
@@ -40,6 +67,9 @@ class AccountGroupService {
         name,
         platform,
         description,
+        fallbackChain: JSON.stringify(normalizedFallbackChain),
+        schedulingStrategy: normalizedStrategy,
+        teamId: teamId || '',
         createdAt: now,
         updatedAt: now
       }
@@ -52,7 +82,7 @@ class AccountGroupService {
 
       logger.success(`✅ 创建账户分组成功: ${name} (${platform})`)
 
-      return group
+      return { ...group, fallbackChain: normalizedFallbackChain }
     } catch (error) {
       logger.error('❌ 创建账户分组失败:', error)
       throw error
@@ -95,6 +125,39 @@ class AccountGroupService {
       delete updateData.platform
       delete updateData.createdAt
 
+      // 降级链以 JSON 字符串存储
+      if (updateData.fallbackChain !== undefined) {
+        const normalizedFallbackChain = normalizeFallbackChain(updateData.fallbackChain)
+        if (normalizedFallbackChain.length > 0 && existingGroup.platform !== 'claude') {
+          throw new Error('只有 claude 分组支持配置降级链')
+        }
+        updateData.fallbackChain = JSON.stringify(normalizedFallbackChain)
+      }
+
+      if (updateData.schedulingStrategy !== undefined) {
+        updateData.schedulingStrategy = normalizeSchedulingStrategy(updateData.schedulingStrategy)
+        if (
+          updateData.schedulingStrategy !== DEFAULT_SCHEDULING_STRATEGY &&
+          existingGroup.platform !== 'claude'
+        ) {
+          throw new Error('只有 claude 分组支持配置调度策略')
+        }
+      }
+
+      // 改为团队专属分组时，已绑定的 Key 必须都属于该团队
+      if (updateData.teamId !== undefined) {
+        updateData.teamId = updateData.teamId || ''
+        await this._assertTeamExists(updateData.teamId)
+        if (updateData.teamId && updateData.teamId !== (existingGroup.teamId || '')) {
+          for (const boundKey of await this.getApiKeysUsingGroup(groupId)) {
+            const keyTeamId = await client.hget(`apikey:${boundKey.id}`, 'teamId')
+            if (keyTeamId !== updateData.teamId) {
+              throw new Error(`API Key ${boundKey.name} 不属于该团队，无法将分组设为团队专属`)
+            }
+          }
+        }
+      }
+
       // 更新分组
       await client.hmset(groupKey, updateData)
 
@@ -103,7 +166,11 @@ class AccountGroupService {
 
       logger.success(`✅ 更新账户分组成功: ${updatedGroup.name}`)
 
-      return updatedGroup
+      return {
+        ...updatedGroup,
+        fallbackChain: parseFallbackChain(updatedGroup.fallbackChain),
+        schedulingStrategy: updatedGroup.schedulingStrategy || DEFAULT_SCHEDULING_STRATEGY
+      }
     } catch (error) {
       logger.error('❌ 更新账户分组失败:', error)
       throw error
@@ -169,6 +236,9 @@ class AccountGroupService {
 
       return {
         ...groupData,
+        fallbackChain: parseFallbackChain(groupData.fallbackChain),
+        schedulingStrategy: groupData.schedulingStrategy || DEFAULT_SCHEDULING_STRATEGY,
+        teamId: groupData.teamId || '',
         memberCount: memberCount || 0
       }
     } catch (error) {
@@ -208,6 +278,59 @@ class AccountGroupService {
     }
   }
 
+  /**
+   * 获取团队专属分组
+   * @param {string} teamId - 团队ID
+   * @param {string} platform - 平台筛选 (可选)
+   * @returns {Array} 分组列表
+   */
+  async getTeamGroups(teamId, platform = null) {
+    const groups = await this.getAllGroups(platform)
+    return groups.filter((group) => teamId && group.teamId === teamId)
+  }
+
+  async _assertTeamExists(teamId) {
+    if (!teamId) {
+      return
+    }
+    const teamService = require('./teamService')
+    if (!(await teamService.getTeam(teamId))) {
+      throw new Error('团队不存在')
+    }
+  }
+
+  /**
+   * 校验 API Key 的分组绑定：团队专属分组只能由该团队的 Key 绑定
+   * @param {Object} bindings - Key 的账户绑定字段（claudeAccountId / geminiAccountId / openaiAccountId / droidAccountId）
+   * @param {string} teamId - Key 所属团队
+   * @param {Object} options
+   * @param {boolean} options.teamOnly - 只允许绑定该团队的专属分组（团队管理员自助管理时使用）
+   * @throws {Error} 绑定不允许时抛出
+   */
+  async validateKeyGroupBindings(bindings, teamId = '', options = {}) {
+    const fields = ['claudeAccountId', 'geminiAccountId', 'openaiAccountId', 'droidAccountId']
+    for (const field of fields) {
+      const value = bindings?.[field]
+      if (!value) {
+        continue
+      }
+      if (!value.startsWith('group:')) {
+        if (options.teamOnly) {
+          throw new Error('团队 API Key 只能绑定团队专属分组')
+        }
+        continue
+      }
+
+      const group = await this.getGroup(value.substring('group:'.length))
+      if (!group) {
+        throw new Error('分组不存在')
+      }
+      if (group.teamId ? group.teamId !== (teamId || '') : options.teamOnly) {
+        throw new Error(`分组 "${group.name}" 不是该 API Key 所属团队的专属分组`)
+      }
+    }
+  }
+
   /**
    * 添加账户到分组
    * @param {string} accountId - 账户ID
@@ -0,0 +1,131 @@
+/**
+ * 账户健康度服务
+ * 在 Redis 中按账户维护滚动窗口统计：最近的流式首字节耗时（TTFB）样本，以及按分钟分桶的
+ * 请求数、5xx / 网络错误数和 529 过载数。分组启用 weighted 调度策略时据此计算账户权重。
+ * 统计写入失败不影响请求本身。
+ */
+
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const { summarizeHealth } = require('../utils/accountHealthHelper')
+
+const TTFB_PREFIX = 'account_health:ttfb:'
+const OUTCOME_PREFIX = 'account_health:outcomes:'
+
+class AccountHealthService {
+  getSettings() {
+    const settings = config.accountHealth || {}
+    return {
+      windowMinutes: settings.windowMinutes || 15,
+      ttfbSampleSize: settings.ttfbSampleSize || 100,
+      minSamples: settings.minSamples || 5,
+      targetTtfbMs: settings.targetTtfbMs || 3000,
+      minWeight: settings.minWeight || 0.05
+    }
+  }
+
+  _currentBucket() {
+    return Math.floor(Date.now() / 60000)
+  }
+
+  /**
+   * 记录一次上游响应结果
+   * @param {string} accountId - 账户ID
+   * @param {number} statusCode - 上游状态码，网络错误时传 0
+   */
+  async recordResponse(accountId, statusCode) {
+    if (!accountId) {
+      return
+    }
+    try {
+      const { windowMinutes } = this.getSettings()
+      const key = `${OUTCOME_PREFIX}${accountId}:${this._currentBucket()}`
+      const multi = redis.getClientSafe().multi().hincrby(key, 'total', 1)
+      if (!statusCode || statusCode >= 500) {
+        multi.hincrby(key, 'errors', 1)
+      }
+      if (statusCode === 529) {
+        multi.hincrby(key, 'overloads', 1)
+      }
+      await multi.expire(key, (windowMinutes + 1) * 60).exec()
+    } catch (error) {
+      logger.debug(`Failed to record account health outcome for ${accountId}: ${error.message}`)
+    }
+  }
+
+  /**
+   * 记录一次流式请求的首字节耗时
+   * @param {string} accountId - 账户ID
+   * @param {number} ttfbMs - 首字节耗时（毫秒）
+   */
+  async recordTtfb(accountId, ttfbMs) {
+    if (!accountId || !Number.isFinite(ttfbMs) || ttfbMs < 0) {
+      return
+    }
+    try {
+      const { windowMinutes, ttfbSampleSize } = this.getSettings()
+      const key = `${TTFB_PREFIX}${accountId}`
+      await redis
+        .getClientSafe()
+        .multi()
+        .lpush(key, Math.round(ttfbMs))
+        .ltrim(key, 0, ttfbSampleSize - 1)
+        .expire(key, windowMinutes * 60)
+        .exec()
+    } catch (error) {
+      logger.debug(`Failed to record account TTFB for ${accountId}: ${error.message}`)
+    }
+  }
+
+  /**
+   * 获取账户在滚动窗口内的健康数据与权重
+   * @param {string} accountId - 账户ID
+   * @returns {Promise<Object>} { samples, p50, p95, total, errors, overloads, errorRate, overloadRate, weight }
+   */
+  async getAccountHealth(accountId) {
+    const settings = this.getSettings()
+    const currentBucket = this._currentBucket()
+    const pipeline = redis.getClientSafe().pipeline()
+    pipeline.lrange(`${TTFB_PREFIX}${accountId}`, 0, -1)
+    for (let offset = 0; offset < settings.windowMinutes; offset++) {
+      pipeline.hgetall(`${OUTCOME_PREFIX}${accountId}:${currentBucket - offset}`)
+    }
+    const [[, ttfbSamples], ...buckets] = await pipeline.exec()
+
+    const raw = {
+      ttfbSamples: (ttfbSamples || []).map((value) => parseInt(value)).filter(Number.isFinite),
+      total: 0,
+      errors: 0,
+      overloads: 0
+    }
+    for (const [, bucket] of buckets) {
+      raw.total += parseInt(bucket?.total || 0)
+      raw.errors += parseInt(bucket?.errors || 0)
+      raw.overloads += parseInt(bucket?.overloads || 0)
+    }
+    return summarizeHealth(raw, settings)
+  }
+
+  /**
+   * 批量获取账户权重（读取失败时按 1 处理，退化为同优先级内随机）
+   * @param {Array<string>} accountIds - 账户ID列表
+   * @returns {Promise<Object>} accountId → 权重
+   */
+  async getWeights(accountIds) {
+    const weights = {}
+    await Promise.all(
+      accountIds.map(async (accountId) => {
+        try {
+          weights[accountId] = (await this.getAccountHealth(accountId)).weight
+        } catch (error) {
+          logger.warn(`⚠️ Failed to load health for account ${accountId}: ${error.message}`)
+          weights[accountId] = 1
+        }
+      })
+    )
+    return weights
+  }
+}
+
+module.exports = new AccountHealthService()
@@ -0,0 +1,381 @@
+/**
+ * 管理员身份服务
+ * 除 init.json 中的主管理员外，可以创建多个管理员账号，每个账号绑定一个内置角色：
+ * - 主管理员始终拥有全部权限，不能被降级或删除
+ * - 其他管理员的权限由角色决定，每次请求都会重新读取，禁用或改角色立即生效
+ * - 每个管理员以自己的用户名登录，审计日志记录各自的身份
+ * - 通过 SSO 登录的管理员不保存账号，角色在登录时由 IdP 组映射得到并记录在会话中；
+ *   本地管理员可由其他管理员显式关联到 IdP 身份（签发者 + subject），关联后 SSO 登录使用本地账号
+ */
+
+const bcrypt = require('bcryptjs')
+const crypto = require('crypto')
+const config = require('../../config/config')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const { BUILTIN_ROLES, ALL_SCOPES, getRoleScopes } = require('../utils/adminPermissions')
+
+const OWNER_ADMIN_ID = 'admin'
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,64}$/
+const MIN_PASSWORD_LENGTH = 8
+
+class AdminIdentityService {
+  constructor() {
+    this.IDENTITIES_KEY = 'admin_identities'
+    this.IDENTITY_PREFIX = 'admin_identity:'
+  }
+
+  // 会话中的 adminId：主管理员为 admin，其他管理员带 identity: 前缀
+  identityAdminId(username) {
+    return `identity:${username}`
+  }
+
+  // SSO 登录的管理员会话使用 sso: 前缀并由签发者 + subject 派生，与本地管理员账号互不冲突
+  ssoAdminId(issuer, subject) {
+    const digest = crypto.createHash('sha256').update(`${issuer}\n${subject}`).digest('hex')
+    return `sso:${digest.slice(0, 32)}`
+  }
+
+  isSsoSession(session) {
+    return typeof session.adminId === 'string' && session.adminId.startsWith('sso:')
+  }
+
+  isOwnerSession(session) {
+    return !session.adminId || session.adminId === OWNER_ADMIN_ID
+  }
+
+  getRoles() {
+    return Object.entries(BUILTIN_ROLES).map(([id, role]) => ({ id, ...role }))
+  }
+
+  _conflict(message) {
+    const error = new Error(message)
+    error.statusCode = 409
+    return error
+  }
+
+  _notFound() {
+    const error = new Error('管理员不存在')
+    error.statusCode = 404
+    return error
+  }
+
+  _validateRole(role) {
+    if (!getRoleScopes(role)) {
+      throw new Error(`无效的角色: ${role}`)
+    }
+    return role
+  }
+
+  _validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`密码至少需要 ${MIN_PASSWORD_LENGTH} 个字符`)
+    }
+  }
+
+  _sanitize(identity) {
+    const { passwordHash: _passwordHash, ...rest } = identity
+    return rest
+  }
+
+  async _getOwnerUsername() {
+    const ownerData = await redis.getSession('admin_credentials')
+    return ownerData?.username || null
+  }
+
+  async _saveIdentity(identity) {
+    await redis
+      .getClientSafe()
+      .set(`${this.IDENTITY_PREFIX}${identity.username}`, JSON.stringify(identity))
+  }
+
+  async _getRawIdentity(username) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return null
+    }
+    const raw = await redis.getClientSafe().get(`${this.IDENTITY_PREFIX}${username}`)
+    return raw ? JSON.parse(raw) : null
+  }
+
+  async getIdentity(username) {
+    const identity = await this._getRawIdentity(username)
+    return identity ? this._sanitize(identity) : null
+  }
+
+  /**
+   * 查找已关联到指定 IdP 身份的本地管理员
+   * @param {string} issuer - OIDC 签发者
+   * @param {string} subject - ID Token 中的 sub
+   * @returns {Promise<Object|null>}
+   */
+  async findIdentityByOidcSubject(issuer, subject) {
+    if (!issuer || !subject) {
+      return null
+    }
+    const usernames = await redis.getClientSafe().smembers(this.IDENTITIES_KEY)
+    for (const username of usernames) {
+      const identity = await this.getIdentity(username)
+      if (identity?.oidcIssuer === issuer && identity.oidcSubject === subject) {
+        return identity
+      }
+    }
+    return null
+  }
+
+  /**
+   * 用户名是否已被主管理员或本地管理员使用（不区分大小写）
+   */
+  async hasLocalAccount(username) {
+    const normalized = String(username || '').toLowerCase()
+    const ownerUsername = await this._getOwnerUsername()
+    if (ownerUsername && ownerUsername.toLowerCase() === normalized) {
+      return true
+    }
+    const usernames = await redis.getClientSafe().smembers(this.IDENTITIES_KEY)
+    return usernames.some((name) => name.toLowerCase() === normalized)
+  }
+
+  async listIdentities() {
+    const usernames = await redis.getClientSafe().smembers(this.IDENTITIES_KEY)
+    const identities = await Promise.all(usernames.map((username) => this.getIdentity(username)))
+    return identities
+      .filter(Boolean)
+      .sort((a, b) => a.username.localeCompare(b.username))
+      .map((identity) => ({ ...identity, scopes: getRoleScopes(identity.role) || [] }))
+  }
+
+  /**
+   * 创建管理员
+   * @param {Object} data - { username, password, role, displayName }
+   * @param {string} createdBy - 操作者
+   * @returns {Promise<Object>} 创建的管理员（不含密码哈希）
+   */
+  async createIdentity(data, createdBy = 'admin') {
+    const username = typeof data.username === 'string' ? data.username.trim() : ''
+    if (!USERNAME_PATTERN.test(username)) {
+      throw new Error('用户名只能包含字母、数字、点、下划线和短横线，长度 3-64')
+    }
+    this._validatePassword(data.password)
+    const role = this._validateRole(data.role)
+
+    const ownerUsername = await this._getOwnerUsername()
+    if (ownerUsername && ownerUsername.toLowerCase() === username.toLowerCase()) {
+      throw this._conflict(`用户名 "${username}" 已被主管理员使用`)
+    }
+    const existing = await redis.getClientSafe().smembers(this.IDENTITIES_KEY)
+    if (existing.some((name) => name.toLowerCase() === username.toLowerCase())) {
+      throw this._conflict(`管理员 "${username}" 已存在`)
+    }
+
+    const now = new Date().toISOString()
+    const identity = {
+      username,
+      displayName: (data.displayName || '').trim(),
+      role,
+      isActive: true,
+      passwordHash: await bcrypt.hash(data.password, 10),
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: null
+    }
+
+    await this._saveIdentity(identity)
+    await redis.getClientSafe().sadd(this.IDENTITIES_KEY, username)
+
+    logger.success(`🛡️ Created admin identity: ${username} (${role}) by ${createdBy}`)
+    return this._sanitize(identity)
+  }
+
+  /**
+   * 更新管理员角色、显示名、启用状态、重置密码或关联 IdP 身份
+   * @param {string} username - 管理员用户名
+   * @param {Object} updates - { role, displayName, isActive, password, oidcIssuer, oidcSubject }
+   *   oidcSubject 为空字符串或 null 时解除关联
+   * @returns {Promise<Object>} 更新后的管理员
+   */
+  async updateIdentity(username, updates) {
+    const identity = await this._getRawIdentity(username)
+    if (!identity) {
+      throw this._notFound()
+    }
+
+    if (updates.role !== undefined) {
+      identity.role = this._validateRole(updates.role)
+    }
+    if (updates.displayName !== undefined) {
+      identity.displayName = (updates.displayName || '').trim()
+    }
+    if (updates.isActive !== undefined) {
+      identity.isActive = updates.isActive === true || updates.isActive === 'true'
+    }
+    if (updates.password !== undefined) {
+      this._validatePassword(updates.password)
+      identity.passwordHash = await bcrypt.hash(updates.password, 10)
+    }
+    if (updates.oidcSubject !== undefined) {
+      await this._applyOidcLink(identity, updates.oidcIssuer, updates.oidcSubject)
+    }
+    identity.updatedAt = new Date().toISOString()
+
+    await this._saveIdentity(identity)
+    logger.info(`🛡️ Updated admin identity: ${username}`)
+    return this._sanitize(identity)
+  }
+
+  async _applyOidcLink(identity, issuer, subject) {
+    const trimmedSubject = typeof subject === 'string' ? subject.trim() : ''
+    if (!trimmedSubject) {
+      delete identity.oidcIssuer
+      delete identity.oidcSubject
+      return
+    }
+    if (!issuer) {
+      throw new Error('未配置单点登录，无法关联 IdP 身份')
+    }
+
+    const linked = await this.findIdentityByOidcSubject(issuer, trimmedSubject)
+    if (linked && linked.username !== identity.username) {
+      throw this._conflict(`该 IdP 身份已关联到管理员 "${linked.username}"`)
+    }
+    identity.oidcIssuer = issuer
+    identity.oidcSubject = trimmedSubject
+  }
+
+  async deleteIdentity(username) {
+    const identity = await this._getRawIdentity(username)
+    if (!identity) {
+      throw this._notFound()
+    }
+
+    const client = redis.getClientSafe()
+    await client.del(`${this.IDENTITY_PREFIX}${username}`)
+    await client.srem(this.IDENTITIES_KEY, username)
+
+    logger.info(`🗑️ Deleted admin identity: ${username}`)
+    return true
+  }
+
+  /**
+   * 校验管理员登录凭据
+   * @returns {Promise<Object|null>} 校验通过且已启用时返回管理员，否则返回 null
+   */
+  async verifyCredentials(username, password) {
+    const identity = await this._getRawIdentity(username)
+    if (!identity || !identity.isActive || typeof password !== 'string') {
+      return null
+    }
+    if (!(await bcrypt.compare(password, identity.passwordHash))) {
+      return null
+    }
+
+    identity.lastLoginAt = new Date().toISOString()
+    await this._saveIdentity(identity)
+    return this._sanitize(identity)
+  }
+
+  /**
+   * 管理员修改自己的密码
+   * @throws {Error} 当前密码错误时抛出 statusCode 为 401 的错误
+   */
+  async changePassword(username, currentPassword, newPassword) {
+    const identity = await this._getRawIdentity(username)
+    if (!identity || !identity.isActive) {
+      throw this._notFound()
+    }
+    if (!(await bcrypt.compare(currentPassword, identity.passwordHash))) {
+      const error = new Error('Current password is incorrect')
+      error.statusCode = 401
+      throw error
+    }
+    this._validatePassword(newPassword)
+
+    identity.passwordHash = await bcrypt.hash(newPassword, 10)
+    identity.updatedAt = new Date().toISOString()
+    await this._saveIdentity(identity)
+    logger.success(`🔐 Admin identity password changed: ${username}`)
+  }
+
+  /**
+   * 创建管理员会话
+   * @param {string} username - 管理员用户名
+   * @param {Object} options - { adminId, twoFactorVerified, ssoRole }
+   * @returns {Promise<string>} 会话 ID
+   */
+  async createSession(
+    username,
+    { adminId = OWNER_ADMIN_ID, twoFactorVerified = false, ssoRole } = {}
+  ) {
+    const sessionId = crypto.randomBytes(32).toString('hex')
+    const sessionData = {
+      username,
+      adminId,
+      loginTime: new Date().toISOString(),
+      lastActivity: new Date().toISOString(),
+      twoFactorVerified: twoFactorVerified ? 'true' : 'false'
+    }
+    if (ssoRole) {
+      sessionData.ssoRole = ssoRole
+    }
+
+    await redis.setSession(sessionId, sessionData, config.security.adminSessionTimeout)
+    return sessionId
+  }
+
+  /**
+   * 构造登录响应
+   * @param {string} sessionId - 会话 ID
+   * @param {Object} session - { username, adminId, ssoRole }
+   */
+  async buildLoginResponse(sessionId, session) {
+    const admin = await this.resolveSessionAdmin(session)
+    return {
+      success: true,
+      token: sessionId,
+      expiresIn: config.security.adminSessionTimeout,
+      username: session.username, // 返回真实用户名
+      role: admin?.role,
+      scopes: admin?.scopes || []
+    }
+  }
+
+  /**
+   * 根据管理员会话解析当前角色与权限
+   * @param {Object} session - 管理员会话
+   * @returns {Promise<Object|null>} { id, username, role, scopes }，管理员已删除或被禁用时返回 null
+   */
+  async resolveSessionAdmin(session) {
+    if (this.isOwnerSession(session)) {
+      return {
+        id: OWNER_ADMIN_ID,
+        username: session.username,
+        role: 'super_admin',
+        scopes: [ALL_SCOPES]
+      }
+    }
+
+    if (this.isSsoSession(session)) {
+      const scopes = getRoleScopes(session.ssoRole)
+      return scopes
+        ? { id: session.adminId, username: session.username, role: session.ssoRole, scopes }
+        : null
+    }
+
+    const identity = await this._getRawIdentity(session.username)
+    if (
+      !identity ||
+      !identity.isActive ||
+      session.adminId !== this.identityAdminId(identity.username)
+    ) {
+      return null
+    }
+    return {
+      id: session.adminId,
+      username: identity.username,
+      role: identity.role,
+      scopes: getRoleScopes(identity.role) || []
+    }
+  }
+}
+
+module.exports = new AdminIdentityService()
@@ -0,0 +1,464 @@
+/**
+ * API Key 申请服务
+ * 用户提交 Key 申请（期望的服务与模型、预算和申请理由），管理员在审批队列中批准、调整或拒绝：
+ * - 批准时按管理员确认的限额与账户绑定调用 apiKeyService.generateApiKey 创建 Key，归属于申请人
+ * - 生成的 Key 明文加密暂存，申请人在用户门户中领取一次后删除，管理员不会看到 Key 明文
+ * - 申请提交与审批结果通过 Webhook 通知（apiKeyRequest 类型）
+ * - 待审批的申请与已有 Key 一起计入 maxApiKeysPerUser 限制
+ */
+
+const { v4: uuidv4 } = require('uuid')
+const config = require('../../config/config')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const apiKeyService = require('./apiKeyService')
+const userService = require('./userService')
+const accountGroupService = require('./accountGroupService')
+const webhookService = require('./webhookService')
+const { credentialVault } = require('../utils/credentialVault')
+const { getISOStringWithTimezone } = require('../utils/dateHelper')
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled']
+const PERMISSIONS = ['claude', 'gemini', 'openai', 'droid', 'all']
+const MAX_REQUESTED_MODELS = 50
+const MAX_JUSTIFICATION_LENGTH = 2000
+const SECRET_TTL_SECONDS = 7 * 24 * 3600
+const LOCK_TTL_SECONDS = 30
+
+// 审批时管理员可以调整的数值限额：float 为费用，int 为次数 / 秒数
+const NUMBER_FIELDS = {
+  dailyCostLimit: 'float',
+  totalCostLimit: 'float',
+  weeklyOpusCostLimit: 'float',
+  concurrencyLimit: 'int',
+  rateLimitWindow: 'int',
+  rateLimitRequests: 'int',
+  rateLimitCost: 'float'
+}
+
+// 审批时管理员可以设置的账户绑定（专属账户 ID 或 group:分组ID）
+const BINDING_FIELDS = [
+  'claudeAccountId',
+  'claudeConsoleAccountId',
+  'geminiAccountId',
+  'openaiAccountId',
+  'azureOpenaiAccountId',
+  'bedrockAccountId',
+  'droidAccountId'
+]
+
+class ApiKeyRequestService {
+  constructor() {
+    this.REQUESTS_KEY = 'api_key_requests'
+    this.REQUEST_PREFIX = 'api_key_request:'
+    this.USER_REQUESTS_PREFIX = 'api_key_requests:user:'
+    this.SECRET_PREFIX = 'api_key_request_secret:'
+    this.LOCK_PREFIX = 'api_key_request_lock:'
+    this._cipher = credentialVault.createCipher('api-key-request')
+  }
+
+  isEnabled() {
+    return config.userManagement?.allowUserApiKeyRequests !== false
+  }
+
+  _error(message, statusCode) {
+    const error = new Error(message)
+    error.statusCode = statusCode
+    return error
+  }
+
+  _parseNumber(field, value, type) {
+    if (value === undefined || value === null || value === '') {
+      return 0
+    }
+    const number = Number(value)
+    if (Number.isNaN(number) || number < 0 || (type === 'int' && !Number.isInteger(number))) {
+      throw new Error(
+        type === 'int'
+          ? `${field} must be a non-negative integer`
+          : `${field} must be a non-negative number`
+      )
+    }
+    return number
+  }
+
+  _parseName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('API key name is required')
+    }
+    if (name.trim().length > 100) {
+      throw new Error('API key name must be less than 100 characters')
+    }
+    return name.trim()
+  }
+
+  _parseDescription(description) {
+    if (description === undefined || description === null) {
+      return ''
+    }
+    if (typeof description !== 'string' || description.length > 500) {
+      throw new Error('Description must be a string with less than 500 characters')
+    }
+    return description.trim()
+  }
+
+  _parsePermissions(permissions) {
+    if (permissions === undefined || permissions === null || permissions === '') {
+      return 'all'
+    }
+    if (!PERMISSIONS.includes(permissions)) {
+      throw new Error(`permissions must be one of: ${PERMISSIONS.join(', ')}`)
+    }
+    return permissions
+  }
+
+  _parseExpiresAt(expiresAt) {
+    if (!expiresAt) {
+      return null
+    }
+    const timestamp = Date.parse(expiresAt)
+    if (Number.isNaN(timestamp)) {
+      throw new Error('expiresAt must be a valid date')
+    }
+    if (timestamp <= Date.now()) {
+      throw new Error('expiresAt must be in the future')
+    }
+    return new Date(timestamp).toISOString()
+  }
+
+  _parseModels(models, field) {
+    if (models === undefined || models === null) {
+      return []
+    }
+    if (!Array.isArray(models) || models.some((model) => typeof model !== 'string')) {
+      throw new Error(`${field} must be an array of model names`)
+    }
+    const unique = [...new Set(models.map((model) => model.trim()).filter(Boolean))]
+    if (unique.length > MAX_REQUESTED_MODELS) {
+      throw new Error(`${field} can contain at most ${MAX_REQUESTED_MODELS} models`)
+    }
+    return unique
+  }
+
+  async _saveRequest(request) {
+    await redis.getClientSafe().set(`${this.REQUEST_PREFIX}${request.id}`, JSON.stringify(request))
+  }
+
+  async getRequest(requestId) {
+    if (typeof requestId !== 'string' || !requestId) {
+      return null
+    }
+    const raw = await redis.getClientSafe().get(`${this.REQUEST_PREFIX}${requestId}`)
+    return raw ? JSON.parse(raw) : null
+  }
+
+  async _getRequests(ids) {
+    const requests = await Promise.all(ids.map((id) => this.getRequest(id)))
+    return requests
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
+  }
+
+  /**
+   * 获取申请列表（管理员审批队列）
+   * @param {Object} filters - { status }
+   */
+  async listRequests({ status } = {}) {
+    const ids = await redis.getClientSafe().smembers(this.REQUESTS_KEY)
+    const requests = await this._getRequests(ids)
+    return REQUEST_STATUSES.includes(status)
+      ? requests.filter((request) => request.status === status)
+      : requests
+  }
+
+  async getUserRequests(userId) {
+    const ids = await redis.getClientSafe().smembers(`${this.USER_REQUESTS_PREFIX}${userId}`)
+    return this._getRequests(ids)
+  }
+
+  async getPendingCount() {
+    const requests = await this.listRequests({ status: 'pending' })
+    return requests.length
+  }
+
+  /**
+   * 提交 API Key 申请
+   * @param {Object} user - 申请人 { id, username }
+   * @param {Object} data - { name, description, permissions, requestedModels, dailyCostLimit, totalCostLimit, expiresAt, justification }
+   * @returns {Promise<Object>} 创建的申请
+   */
+  async createRequest(user, data) {
+    if (!this.isEnabled()) {
+      throw this._error('API key requests are disabled', 403)
+    }
+
+    const justification = typeof data.justification === 'string' ? data.justification.trim() : ''
+    if (!justification) {
+      throw new Error('Justification is required')
+    }
+    if (justification.length > MAX_JUSTIFICATION_LENGTH) {
+      throw new Error(`Justification must be less than ${MAX_JUSTIFICATION_LENGTH} characters`)
+    }
+
+    const request = {
+      id: uuidv4(),
+      userId: user.id,
+      username: user.username,
+      name: this._parseName(data.name),
+      description: this._parseDescription(data.description),
+      permissions: this._parsePermissions(data.permissions),
+      requestedModels: this._parseModels(data.requestedModels, 'requestedModels'),
+      dailyCostLimit: this._parseNumber('dailyCostLimit', data.dailyCostLimit, 'float'),
+      totalCostLimit: this._parseNumber('totalCostLimit', data.totalCostLimit, 'float'),
+      expiresAt: this._parseExpiresAt(data.expiresAt),
+      justification,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      reviewedBy: null,
+      reviewedAt: null,
+      reviewNote: '',
+      apiKeyId: null,
+      keyClaimed: false
+    }
+
+    // 待审批的申请与已有 Key 一起计入数量限制，避免批准后超出上限
+    const [apiKeys, requests] = await Promise.all([
+      apiKeyService.getUserApiKeys(user.id),
+      this.getUserRequests(user.id)
+    ])
+    const pendingCount = requests.filter((item) => item.status === 'pending').length
+    if (apiKeys.length + pendingCount >= config.userManagement.maxApiKeysPerUser) {
+      throw new Error(
+        `You can only have up to ${config.userManagement.maxApiKeysPerUser} API keys, including pending requests`
+      )
+    }
+
+    const client = redis.getClientSafe()
+    await this._saveRequest(request)
+    await client.sadd(this.REQUESTS_KEY, request.id)
+    await client.sadd(`${this.USER_REQUESTS_PREFIX}${user.id}`, request.id)
+
+    logger.info(`📝 User ${user.username} requested API key: ${request.name} (${request.id})`)
+    this._notify(request, `用户 ${user.username} 申请 API Key "${request.name}"`)
+    return request
+  }
+
+  /**
+   * 申请人撤回待审批的申请（与审批共用锁，避免撤回与批准同时生效）
+   */
+  async cancelRequest(requestId, userId) {
+    await this._acquireLock(requestId)
+    try {
+      const request = await this.getRequest(requestId)
+      if (!request || request.userId !== userId) {
+        throw this._error('API key request not found', 404)
+      }
+      if (request.status !== 'pending') {
+        throw this._error(`API key request is already ${request.status}`, 409)
+      }
+
+      request.status = 'cancelled'
+      request.updatedAt = new Date().toISOString()
+      await this._saveRequest(request)
+      logger.info(`↩️ User ${request.username} cancelled API key request: ${request.name}`)
+      return request
+    } finally {
+      await this._releaseLock(requestId)
+    }
+  }
+
+  /**
+   * 合并申请内容与管理员的调整，生成创建 Key 的参数
+   * @param {Object} request - 申请
+   * @param {Object} overrides - 管理员调整的字段（未提供的沿用申请内容）
+   * @returns {Object} generateApiKey 参数（不含归属信息）
+   */
+  buildKeySettings(request, overrides = {}) {
+    const pick = (field) => (overrides[field] !== undefined ? overrides[field] : request[field])
+    const settings = {
+      name: this._parseName(pick('name')),
+      description: this._parseDescription(pick('description')),
+      permissions: this._parsePermissions(pick('permissions')),
+      expiresAt: this._parseExpiresAt(pick('expiresAt'))
+    }
+
+    for (const [field, type] of Object.entries(NUMBER_FIELDS)) {
+      settings[field] = this._parseNumber(field, pick(field), type)
+    }
+
+    if (
+      overrides.enableModelRestriction !== undefined &&
+      typeof overrides.enableModelRestriction !== 'boolean'
+    ) {
+      throw new Error('enableModelRestriction must be a boolean')
+    }
+    settings.restrictedModels = this._parseModels(overrides.restrictedModels, 'restrictedModels')
+    settings.enableModelRestriction =
+      overrides.enableModelRestriction === true && settings.restrictedModels.length > 0
+
+    for (const field of BINDING_FIELDS) {
+      const value = overrides[field]
+      if (value !== undefined && value !== null && value !== '') {
+        if (typeof value !== 'string') {
+          throw new Error(`${field} must be a string`)
+        }
+        settings[field] = value
+      }
+    }
+    return settings
+  }
+
+  async _acquireLock(requestId) {
+    const acquired = await redis
+      .getClientSafe()
+      .set(`${this.LOCK_PREFIX}${requestId}`, '1', 'NX', 'EX', LOCK_TTL_SECONDS)
+    if (!acquired) {
+      throw this._error('API key request is being processed by another administrator', 409)
+    }
+  }
+
+  async _releaseLock(requestId) {
+    await redis.getClientSafe().del(`${this.LOCK_PREFIX}${requestId}`)
+  }
+
+  async _getPendingRequest(requestId) {
+    const request = await this.getRequest(requestId)
+    if (!request) {
+      throw this._error('API key request not found', 404)
+    }
+    if (request.status !== 'pending') {
+      throw this._error(`API key request is already ${request.status}`, 409)
+    }
+    return request
+  }
+
+  /**
+   * 批准申请并为申请人创建 API Key
+   * @param {string} requestId - 申请 ID
+   * @param {Object} overrides - 管理员调整的名称、限额、模型限制与账户绑定，以及 reviewNote
+   * @param {string} reviewer - 审批人
+   * @returns {Promise<{request: Object, apiKey: Object}>}
+   */
+  async approveRequest(requestId, overrides = {}, reviewer = 'admin') {
+    await this._acquireLock(requestId)
+    try {
+      const request = await this._getPendingRequest(requestId)
+      const settings = this.buildKeySettings(request, overrides)
+      await accountGroupService.validateKeyGroupBindings(settings, '')
+
+      const user = await userService.getUserById(request.userId, false)
+      if (!user || !user.isActive) {
+        throw this._error('The requesting user no longer exists or has been disabled', 409)
+      }
+
+      const apiKey = await apiKeyService.generateApiKey({
+        ...settings,
+        userId: user.id,
+        userUsername: user.username,
+        createdBy: reviewer
+      })
+
+      // Key 明文只交给申请人：加密暂存，领取后删除
+      await redis
+        .getClientSafe()
+        .set(
+          `${this.SECRET_PREFIX}${request.id}`,
+          this._cipher.encrypt(apiKey.apiKey),
+          'EX',
+          SECRET_TTL_SECONDS
+        )
+
+      Object.assign(request, {
+        status: 'approved',
+        apiKeyId: apiKey.id,
+        approvedSettings: settings,
+        reviewedBy: reviewer,
+        reviewedAt: new Date().toISOString(),
+        reviewNote: typeof overrides.reviewNote === 'string' ? overrides.reviewNote.trim() : '',
+        updatedAt: new Date().toISOString()
+      })
+      await this._saveRequest(request)
+
+      logger.success(
+        `🔑 API key request approved by ${reviewer}: ${request.name} for ${request.username}`
+      )
+      this._notify(
+        request,
+        `${reviewer} 批准了 ${request.username} 的 API Key 申请 "${settings.name}"`
+      )
+      return { request, apiKey: { id: apiKey.id, name: apiKey.name } }
+    } finally {
+      await this._releaseLock(requestId)
+    }
+  }
+
+  /**
+   * 拒绝申请
+   */
+  async rejectRequest(requestId, reviewNote = '', reviewer = 'admin') {
+    await this._acquireLock(requestId)
+    try {
+      const request = await this._getPendingRequest(requestId)
+      Object.assign(request, {
+        status: 'rejected',
+        reviewedBy: reviewer,
+        reviewedAt: new Date().toISOString(),
+        reviewNote: typeof reviewNote === 'string' ? reviewNote.trim() : '',
+        updatedAt: new Date().toISOString()
+      })
+      await this._saveRequest(request)
+
+      logger.info(
+        `🚫 API key request rejected by ${reviewer}: ${request.name} (${request.username})`
+      )
+      this._notify(
+        request,
+        `${reviewer} 拒绝了 ${request.username} 的 API Key 申请 "${request.name}"`
+      )
+      return request
+    } finally {
+      await this._releaseLock(requestId)
+    }
+  }
+
+  /**
+   * 申请人领取批准后生成的 Key 明文（只能领取一次）
+   * @returns {Promise<string|null>} Key 明文，已领取或已过期时返回 null
+   */
+  async claimApiKey(requestId, userId) {
+    const request = await this.getRequest(requestId)
+    if (!request || request.userId !== userId || request.status !== 'approved') {
+      throw this._error('API key request not found', 404)
+    }
+
+    const client = redis.getClientSafe()
+    const secretKey = `${this.SECRET_PREFIX}${requestId}`
+    const encrypted = await client.get(secretKey)
+    if (!encrypted || (await client.del(secretKey)) !== 1) {
+      return null
+    }
+
+    request.keyClaimed = true
+    request.updatedAt = new Date().toISOString()
+    await this._saveRequest(request)
+    logger.info(`🔑 User ${request.username} claimed API key from request ${requestId}`)
+    return this._cipher.decrypt(encrypted)
+  }
+
+  _notify(request, message) {
+    webhookService
+      .sendNotification('apiKeyRequest', {
+        requestId: request.id,
+        status: request.status,
+        message,
+        reason: request.status === 'pending' ? request.justification : request.reviewNote,
+        timestamp: getISOStringWithTimezone(new Date())
+      })
+      .catch((error) => {
+        logger.error('Failed to send API key request notification:', error)
+      })
+  }
+}
+
+module.exports = new ApiKeyRequestService()
@@ -3,6 +3,13 @@ const { v4: uuidv4 } = require('uuid')
 const config = require('../../config/config')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
+const metricsService = require('./metricsService')
+const costBudgetService = require('./costBudgetService')
+const captureService = require('./captureService')
+const { parseFallbackChain } = require('../utils/fallbackChainHelper')
+const { parseCostBudget } = require('../utils/costBudgetHelper')
+const { parseModelDowngradeRules } = require('../utils/modelDowngradeHelper')
+const { parseModelRoutingRules } = require('../utils/modelRoutingHelper')
 
 const ACCOUNT_TYPE_CONFIG = {
   claude: { prefix: 'claude:account:' },
@@ -99,15 +106,27 @@ class ApiKeyService {
       restrictedModels = [],
       enableClientRestriction = false,
       allowedClients = [],
+      allowedNetworks = [], // 新增：允许的来源网段（IP / CIDR）
+      fallbackChain = [], // 新增：跨平台降级链
+      modelDowngradeRules = [], // 新增：接近费用限制时的模型降级规则
+      enableResponseCache = false, // 新增：是否缓存确定性请求（temperature 为 0）的响应
+      responseCacheTtl = 0, // 新增：响应缓存时长（秒），0 表示使用全局默认值
+      enableHedging = false, // 新增：是否对流式请求启用对冲（首字节超时后并发请求另一个账户）
+      hedgeThresholdMs = 0, // 新增：对冲触发阈值（毫秒），0 表示使用全局默认值
+      messagesBackend = '', // 新增：/v1/messages 转发的后端（gemini / openai-responses），空表示 Claude
+      messagesBackendModel = '', // 新增：转发到其他后端时使用的目标模型
+      modelRoutingRules = [], // 新增：统一端点的模型路由覆盖规则
       dailyCostLimit = 0,
       totalCostLimit = 0,
       weeklyOpusCostLimit = 0,
+      costBudget = null, // 新增：周期预算（按月或自定义周期重置）
       tags = [],
       activationDays = 0, // 新增：激活后有效天数（0表示不使用此功能）
       activationUnit = 'days', // 新增：激活时间单位 'hours' 或 'days'
       expirationMode = 'fixed', // 新增：过期模式 'fixed'(固定时间) 或 'activation'(首次使用后激活)
       icon = '', // 新增：图标（base64编码）
-      isHidden = false // 新增：隐身标志（默认 false）
+      isHidden = false, // 新增：隐身标志（默认 false）
+      teamId = '' // 新增：所属团队（团队共享 Key）
     } = options
 
     // 生成简单的API Key (64字符十六进制)
@@ -138,9 +157,20 @@ class ApiKeyService {
       restrictedModels: JSON.stringify(restrictedModels || []),
       enableClientRestriction: String(enableClientRestriction || false),
       allowedClients: JSON.stringify(allowedClients || []),
+      allowedNetworks: JSON.stringify(allowedNetworks || []), // 新增：允许的来源网段
+      fallbackChain: JSON.stringify(fallbackChain || []), // 新增：跨平台降级链
+      modelDowngradeRules: JSON.stringify(modelDowngradeRules || []), // 新增：模型降级规则
+      enableResponseCache: String(enableResponseCache || false), // 新增：响应缓存开关
+      responseCacheTtl: String(responseCacheTtl || 0), // 新增：响应缓存时长
+      enableHedging: String(enableHedging || false), // 新增：对冲请求开关
+      hedgeThresholdMs: String(hedgeThresholdMs || 0), // 新增：对冲触发阈值
+      messagesBackend: messagesBackend || '', // 新增：/v1/messages 转发后端
+      messagesBackendModel: messagesBackendModel || '', // 新增：转发目标模型
+      modelRoutingRules: JSON.stringify(modelRoutingRules || []), // 新增：模型路由覆盖规则
       dailyCostLimit: String(dailyCostLimit || 0),
       totalCostLimit: String(totalCostLimit || 0),
       weeklyOpusCostLimit: String(weeklyOpusCostLimit || 0),
+      costBudget: costBudget ? JSON.stringify(costBudget) : '', // 新增：周期预算
       tags: JSON.stringify(tags || []),
       activationDays: String(activationDays || 0), // 新增：激活后有效天数
       activationUnit: activationUnit || 'days', // 新增：激活时间单位
@@ -154,7 +184,8 @@ class ApiKeyService {
       userId: options.userId || '',
       userUsername: options.userUsername || '',
       icon: icon || '', // 新增：图标（base64编码）
-      isHidden: String(isHidden || false) // 新增：隐身标志
+      isHidden: String(isHidden || false), // 新增：隐身标志
+      teamId: teamId || '' // 新增：所属团队
     }
 
     // 保存API Key数据并建立哈希映射
@@ -200,9 +231,20 @@ class ApiKeyService {
       restrictedModels: JSON.parse(keyData.restrictedModels),
       enableClientRestriction: keyData.enableClientRestriction === 'true',
       allowedClients: JSON.parse(keyData.allowedClients || '[]'),
+      allowedNetworks: JSON.parse(keyData.allowedNetworks || '[]'),
+      fallbackChain: parseFallbackChain(keyData.fallbackChain),
+      modelDowngradeRules: parseModelDowngradeRules(keyData.modelDowngradeRules),
+      enableResponseCache: keyData.enableResponseCache === 'true',
+      responseCacheTtl: parseInt(keyData.responseCacheTtl || 0),
+      enableHedging: keyData.enableHedging === 'true',
+      hedgeThresholdMs: parseInt(keyData.hedgeThresholdMs || 0),
+      messagesBackend: keyData.messagesBackend,
+      messagesBackendModel: keyData.messagesBackendModel,
+      modelRoutingRules: parseModelRoutingRules(keyData.modelRoutingRules),
       dailyCostLimit: parseFloat(keyData.dailyCostLimit || 0),
       totalCostLimit: parseFloat(keyData.totalCostLimit || 0),
       weeklyOpusCostLimit: parseFloat(keyData.weeklyOpusCostLimit || 0),
+      costBudget: parseCostBudget(keyData.costBudget),
       tags: JSON.parse(keyData.tags || '[]'),
       activationDays: parseInt(keyData.activationDays || 0),
       activationUnit: keyData.activationUnit || 'days',
@@ -212,7 +254,8 @@ class ApiKeyService {
       createdAt: keyData.createdAt,
       expiresAt: keyData.expiresAt,
       createdBy: keyData.createdBy,
-      isHidden: keyData.isHidden === 'true' // 新增：隐身标志
+      isHidden: keyData.isHidden === 'true', // 新增：隐身标志
+      teamId: keyData.teamId
     }
   }
 
@@ -237,141 +280,181 @@ class ApiKeyService {
         return { valid: false, error: 'API key not found' }
       }
 
-      // 检查是否激活
-      if (keyData.isActive !== 'true') {
-        return { valid: false, error: 'API key is disabled' }
+      return await this._validateKeyData(keyData)
+    } catch (error) {
+      logger.error('❌ API key validation error:', error)
+      return { valid: false, error: 'Internal validation error' }
+    }
+  }
+
+  // 🔍 按 ID 验证 API Key（后台任务使用，如 Message Batches worker），校验规则与 validateApiKey 相同
+  async validateApiKeyById(keyId) {
+    try {
+      const keyData = await redis.getApiKey(keyId)
+      if (!keyData || Object.keys(keyData).length === 0) {
+        return { valid: false, error: 'API key not found' }
       }
 
-      // 处理激活逻辑（仅在 activation 模式下）
-      if (keyData.expirationMode === 'activation' && keyData.isActivated !== 'true') {
-        // 首次使用，需要激活
-        const now = new Date()
-        const activationPeriod = parseInt(keyData.activationDays || 30) // 默认30
-        const activationUnit = keyData.activationUnit || 'days' // 默认天
+      return await this._validateKeyData(keyData)
+    } catch (error) {
+      logger.error('❌ API key validation error:', error)
+      return { valid: false, error: 'Internal validation error' }
+    }
+  }
 
-        // 根据单位计算过期时间
-        let milliseconds
-        if (activationUnit === 'hours') {
-          milliseconds = activationPeriod * 60 * 60 * 1000 // 小时转毫秒
-        } else {
-          milliseconds = activationPeriod * 24 * 60 * 60 * 1000 // 天转毫秒
-        }
+  // 校验 Key 状态（启用、激活、过期、所属用户）并整理请求使用的 Key 数据
+  async _validateKeyData(keyData) {
+    // 检查是否激活
+    if (keyData.isActive !== 'true') {
+      return { valid: false, error: 'API key is disabled' }
+    }
+
+    // 处理激活逻辑（仅在 activation 模式下）
+    if (keyData.expirationMode === 'activation' && keyData.isActivated !== 'true') {
+      // 首次使用，需要激活
+      const now = new Date()
+      const activationPeriod = parseInt(keyData.activationDays || 30) // 默认30
+      const activationUnit = keyData.activationUnit || 'days' // 默认天
 
-        const expiresAt = new Date(now.getTime() + milliseconds)
+      // 根据单位计算过期时间
+      let milliseconds
+      if (activationUnit === 'hours') {
+        milliseconds = activationPeriod * 60 * 60 * 1000 // 小时转毫秒
+      } else {
+        milliseconds = activationPeriod * 24 * 60 * 60 * 1000 // 天转毫秒
+      }
 
-        // 更新激活状态和过期时间
-        keyData.isActivated = 'true'
-        keyData.activatedAt = now.toISOString()
-        keyData.expiresAt = expiresAt.toISOString()
-        keyData.lastUsedAt = now.toISOString()
+      const expiresAt = new Date(now.getTime() + milliseconds)
 
-        // 保存到Redis
-        await redis.setApiKey(keyData.id, keyData)
+      // 更新激活状态和过期时间
+      keyData.isActivated = 'true'
+      keyData.activatedAt = now.toISOString()
+      keyData.expiresAt = expiresAt.toISOString()
+      keyData.lastUsedAt = now.toISOString()
 
-        logger.success(
-          `🔓 API key activated: ${keyData.id} (${
-            keyData.name
-          }), will expire in ${activationPeriod} ${activationUnit} at ${expiresAt.toISOString()}`
-        )
-      }
+      // 保存到Redis
+      await redis.setApiKey(keyData.id, keyData)
 
-      // 检查是否过期
-      if (keyData.expiresAt && new Date() > new Date(keyData.expiresAt)) {
-        return { valid: false, error: 'API key has expired' }
-      }
+      logger.success(
+        `🔓 API key activated: ${keyData.id} (${
+          keyData.name
+        }), will expire in ${activationPeriod} ${activationUnit} at ${expiresAt.toISOString()}`
+      )
+    }
 
-      // 如果API Key属于某个用户，检查用户是否被禁用
-      if (keyData.userId) {
-        try {
-          const userService = require('./userService')
-          const user = await userService.getUserById(keyData.userId, false)
-          if (!user || !user.isActive) {
-            return { valid: false, error: 'User account is disabled' }
-          }
-        } catch (error) {
-          logger.error('❌ Error checking user status during API key validation:', error)
-          return { valid: false, error: 'Unable to validate user status' }
+    // 检查是否过期
+    if (keyData.expiresAt && new Date() > new Date(keyData.expiresAt)) {
+      return { valid: false, error: 'API key has expired' }
+    }
+
+    // 如果API Key属于某个用户，检查用户是否被禁用
+    if (keyData.userId) {
+      try {
+        const userService = require('./userService')
+        const user = await userService.getUserById(keyData.userId, false)
+        if (!user || !user.isActive) {
+          return { valid: false, error: 'User account is disabled' }
         }
+      } catch (error) {
+        logger.error('❌ Error checking user status during API key validation:', error)
+        return { valid: false, error: 'Unable to validate user status' }
       }
+    }
 
-      // 获取使用统计（供返回数据使用）
-      const usage = await redis.getUsageStats(keyData.id)
+    // 获取使用统计（供返回数据使用）
+    const usage = await redis.getUsageStats(keyData.id)
 
-      // 获取费用统计
-      const [dailyCost, costStats] = await Promise.all([
-        redis.getDailyCost(keyData.id),
-        redis.getCostStats(keyData.id)
-      ])
-      const totalCost = costStats?.total || 0
+    // 获取费用统计
+    const [dailyCost, costStats] = await Promise.all([
+      redis.getDailyCost(keyData.id),
+      redis.getCostStats(keyData.id)
+    ])
+    const totalCost = costStats?.total || 0
 
-      // 更新最后使用时间（优化：只在实际API调用时更新，而不是验证时）
-      // 注意：lastUsedAt的更新已移至recordUsage方法中
+    // 更新最后使用时间（优化：只在实际API调用时更新，而不是验证时）
+    // 注意：lastUsedAt的更新已移至recordUsage方法中
 
-      logger.api(`🔓 API key validated successfully: ${keyData.id}`)
+    logger.api(`🔓 API key validated successfully: ${keyData.id}`)
 
-      // 解析限制模型数据
-      let restrictedModels = []
-      try {
-        restrictedModels = keyData.restrictedModels ? JSON.parse(keyData.restrictedModels) : []
-      } catch (e) {
-        restrictedModels = []
-      }
+    // 解析限制模型数据
+    let restrictedModels = []
+    try {
+      restrictedModels = keyData.restrictedModels ? JSON.parse(keyData.restrictedModels) : []
+    } catch (e) {
+      restrictedModels = []
+    }
 
-      // 解析允许的客户端
-      let allowedClients = []
-      try {
-        allowedClients = keyData.allowedClients ? JSON.parse(keyData.allowedClients) : []
-      } catch (e) {
-        allowedClients = []
-      }
+    // 解析允许的客户端
+    let allowedClients = []
+    try {
+      allowedClients = keyData.allowedClients ? JSON.parse(keyData.allowedClients) : []
+    } catch (e) {
+      allowedClients = []
+    }
 
-      // 解析标签
-      let tags = []
-      try {
-        tags = keyData.tags ? JSON.parse(keyData.tags) : []
-      } catch (e) {
-        tags = []
-      }
+    // 解析允许的来源网段
+    let allowedNetworks = []
+    try {
+      allowedNetworks = keyData.allowedNetworks ? JSON.parse(keyData.allowedNetworks) : []
+    } catch (e) {
+      allowedNetworks = []
+    }
 
-      return {
-        valid: true,
-        keyData: {
-          id: keyData.id,
-          name: keyData.name,
-          description: keyData.description,
-          createdAt: keyData.createdAt,
-          expiresAt: keyData.expiresAt,
-          claudeAccountId: keyData.claudeAccountId,
-          claudeConsoleAccountId: keyData.claudeConsoleAccountId,
-          geminiAccountId: keyData.geminiAccountId,
-          openaiAccountId: keyData.openaiAccountId,
-          azureOpenaiAccountId: keyData.azureOpenaiAccountId,
-          bedrockAccountId: keyData.bedrockAccountId, // 添加 Bedrock 账号ID
-          droidAccountId: keyData.droidAccountId,
-          permissions: keyData.permissions || 'all',
-          tokenLimit: parseInt(keyData.tokenLimit),
-          concurrencyLimit: parseInt(keyData.concurrencyLimit || 0),
-          rateLimitWindow: parseInt(keyData.rateLimitWindow || 0),
-          rateLimitRequests: parseInt(keyData.rateLimitRequests || 0),
-          rateLimitCost: parseFloat(keyData.rateLimitCost || 0), // 新增：速率限制费用字段
-          enableModelRestriction: keyData.enableModelRestriction === 'true',
-          restrictedModels,
-          enableClientRestriction: keyData.enableClientRestriction === 'true',
-          allowedClients,
-          dailyCostLimit: parseFloat(keyData.dailyCostLimit || 0),
-          totalCostLimit: parseFloat(keyData.totalCostLimit || 0),
-          weeklyOpusCostLimit: parseFloat(keyData.weeklyOpusCostLimit || 0),
-          dailyCost: dailyCost || 0,
-          totalCost,
-          weeklyOpusCost: (await redis.getWeeklyOpusCost(keyData.id)) || 0,
-          tags,
-          usage,
-          isHidden: keyData.isHidden // 添加 isHidden 字段
-        }
+    // 解析标签
+    let tags = []
+    try {
+      tags = keyData.tags ? JSON.parse(keyData.tags) : []
+    } catch (e) {
+      tags = []
+    }
+
+    return {
+      valid: true,
+      keyData: {
+        id: keyData.id,
+        name: keyData.name,
+        description: keyData.description,
+        createdAt: keyData.createdAt,
+        expiresAt: keyData.expiresAt,
+        claudeAccountId: keyData.claudeAccountId,
+        claudeConsoleAccountId: keyData.claudeConsoleAccountId,
+        geminiAccountId: keyData.geminiAccountId,
+        openaiAccountId: keyData.openaiAccountId,
+        azureOpenaiAccountId: keyData.azureOpenaiAccountId,
+        bedrockAccountId: keyData.bedrockAccountId, // 添加 Bedrock 账号ID
+        droidAccountId: keyData.droidAccountId,
+        permissions: keyData.permissions || 'all',
+        tokenLimit: parseInt(keyData.tokenLimit),
+        concurrencyLimit: parseInt(keyData.concurrencyLimit || 0),
+        rateLimitWindow: parseInt(keyData.rateLimitWindow || 0),
+        rateLimitRequests: parseInt(keyData.rateLimitRequests || 0),
+        rateLimitCost: parseFloat(keyData.rateLimitCost || 0), // 新增：速率限制费用字段
+        enableModelRestriction: keyData.enableModelRestriction === 'true',
+        restrictedModels,
+        enableClientRestriction: keyData.enableClientRestriction === 'true',
+        allowedClients,
+        allowedNetworks,
+        fallbackChain: parseFallbackChain(keyData.fallbackChain),
+        modelDowngradeRules: parseModelDowngradeRules(keyData.modelDowngradeRules),
+        enableResponseCache: keyData.enableResponseCache === 'true',
+        responseCacheTtl: parseInt(keyData.responseCacheTtl || 0),
+        enableHedging: keyData.enableHedging === 'true',
+        hedgeThresholdMs: parseInt(keyData.hedgeThresholdMs || 0),
+        messagesBackend: keyData.messagesBackend || '',
+        messagesBackendModel: keyData.messagesBackendModel || '',
+        modelRoutingRules: parseModelRoutingRules(keyData.modelRoutingRules),
+        dailyCostLimit: parseFloat(keyData.dailyCostLimit || 0),
+        totalCostLimit: parseFloat(keyData.totalCostLimit || 0),
+        weeklyOpusCostLimit: parseFloat(keyData.weeklyOpusCostLimit || 0),
+        costBudget: parseCostBudget(keyData.costBudget),
+        dailyCost: dailyCost || 0,
+        totalCost,
+        weeklyOpusCost: (await redis.getWeeklyOpusCost(keyData.id)) || 0,
+        tags,
+        usage,
+        isHidden: keyData.isHidden, // 添加 isHidden 字段
+        teamId: keyData.teamId || '' // 所属团队（团队预算检查使用）
       }
-    } catch (error) {
-      logger.error('❌ API key validation error:', error)
-      return { valid: false, error: 'Internal validation error' }
     }
   }
 
@@ -612,11 +695,29 @@ class ApiKeyService {
         } catch (e) {
           key.allowedClients = []
         }
+        try {
+          key.allowedNetworks = key.allowedNetworks ? JSON.parse(key.allowedNetworks) : []
+        } catch (e) {
+          key.allowedNetworks = []
+        }
         try {
           key.tags = key.tags ? JSON.parse(key.tags) : []
         } catch (e) {
           key.tags = []
         }
+        key.fallbackChain = parseFallbackChain(key.fallbackChain)
+        key.modelDowngradeRules = parseModelDowngradeRules(key.modelDowngradeRules)
+        key.enableResponseCache = key.enableResponseCache === 'true'
+        key.responseCacheTtl = parseInt(key.responseCacheTtl || 0)
+        key.enableHedging = key.enableHedging === 'true'
+        key.hedgeThresholdMs = parseInt(key.hedgeThresholdMs || 0)
+        key.messagesBackend = key.messagesBackend || ''
+        key.messagesBackendModel = key.messagesBackendModel || ''
+        key.modelRoutingRules = parseModelRoutingRules(key.modelRoutingRules)
+        key.costBudget = parseCostBudget(key.costBudget)
+        key.costBudgetStatus = key.costBudget
+          ? await costBudgetService.getBudgetStatus(key.id, key.costBudget)
+          : null
         // 不暴露已弃用字段
         if (Object.prototype.hasOwnProperty.call(key, 'ccrAccountId')) {
           delete key.ccrAccountId
@@ -709,25 +810,50 @@ class ApiKeyService {
         'restrictedModels',
         'enableClientRestriction',
         'allowedClients',
+        'allowedNetworks', // 新增：允许的来源网段
+        'fallbackChain', // 新增：跨平台降级链
+        'modelDowngradeRules', // 新增：模型降级规则
+        'enableResponseCache', // 新增：响应缓存开关
+        'responseCacheTtl', // 新增：响应缓存时长
+        'enableHedging', // 新增：对冲请求开关
+        'hedgeThresholdMs', // 新增：对冲触发阈值
+        'messagesBackend', // 新增：/v1/messages 转发后端
+        'messagesBackendModel', // 新增：转发目标模型
+        'modelRoutingRules', // 新增：模型路由覆盖规则
         'dailyCostLimit',
         'totalCostLimit',
         'weeklyOpusCostLimit',
+        'costBudget', // 新增：周期预算
         'tags',
         'userId', // 新增：用户ID（所有者变更）
         'userUsername', // 新增：用户名（所有者变更）
         'createdBy', // 新增：创建者（所有者变更）
-        'isHidden' // 新增：隐身标志
+        'isHidden', // 新增：隐身标志
+        'teamId' // 新增：所属团队
       ]
       const updatedData = { ...keyData }
 
       for (const [field, value] of Object.entries(updates)) {
         if (allowedUpdates.includes(field)) {
-          if (field === 'restrictedModels' || field === 'allowedClients' || field === 'tags') {
+          if (
+            field === 'restrictedModels' ||
+            field === 'allowedClients' ||
+            field === 'allowedNetworks' ||
+            field === 'tags' ||
+            field === 'fallbackChain' ||
+            field === 'modelDowngradeRules' ||
+            field === 'modelRoutingRules'
+          ) {
             // 特殊处理数组字段
             updatedData[field] = JSON.stringify(value || [])
+          } else if (field === 'costBudget') {
+            // 预算对象，null 表示关闭
+            updatedData[field] = value ? JSON.stringify(value) : ''
           } else if (
             field === 'enableModelRestriction' ||
             field === 'enableClientRestriction' ||
+            field === 'enableResponseCache' ||
+            field === 'enableHedging' ||
             field === 'isActivated'
           ) {
             // 布尔值转字符串
@@ -954,8 +1080,13 @@ class ApiKeyService {
     cacheCreateTokens = 0,
     cacheReadTokens = 0,
     model = 'unknown',
-    accountId = null
+    accountId = null,
+    accountType = null,
+    modelDowngrade = null
   ) {
+    // 抓包会话按实际使用的账户判断是否保存
+    captureService.noteAccount(accountId, accountType)
+
     try {
       const totalTokens = inputTokens + outputTokens + cacheCreateTokens + cacheReadTokens
 
@@ -995,6 +1126,7 @@ class ApiKeyService {
       // 记录费用统计
       if (costInfo.costs.total > 0) {
         await redis.incrementDailyCost(keyId, costInfo.costs.total)
+        await costBudgetService.recordCost(keyId, costInfo.costs.total)
         logger.database(
           `💰 Recorded cost for ${keyId}: $${costInfo.costs.total.toFixed(6)}, model: ${model}`
         )
@@ -1043,7 +1175,18 @@ class ApiKeyService {
         cacheReadTokens,
         totalTokens,
         cost: Number(usageCost.toFixed(6)),
-        costBreakdown: costInfo && costInfo.costs ? costInfo.costs : undefined
+        costBreakdown: costInfo && costInfo.costs ? costInfo.costs : undefined,
+        ...this._buildDowngradeRecordFields(modelDowngrade)
+      })
+
+      metricsService.recordUsage({
+        platform: accountType,
+        model,
+        inputTokens,
+        outputTokens,
+        cacheCreateTokens,
+        cacheReadTokens,
+        cost: usageCost
       })
 
       const logParts = [`Model: ${model}`, `Input: ${inputTokens}`, `Output: ${outputTokens}`]
@@ -1061,6 +1204,35 @@ class ApiKeyService {
     }
   }
 
+  // 🗄️ 记录响应缓存命中（计入请求数，但不产生 token 与费用）
+  async recordCacheHit(keyId, model = 'unknown') {
+    await redis.incrementTokenUsage(keyId, 0, 0, 0, 0, 0, model)
+    await redis.addUsageRecord(keyId, {
+      timestamp: new Date().toISOString(),
+      model,
+      accountId: null,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreateTokens: 0,
+      cacheReadTokens: 0,
+      totalTokens: 0,
+      cost: 0,
+      cacheHit: true
+    })
+    logger.database(`🗄️ Recorded response cache hit: ${keyId} - ${model}`)
+  }
+
+  // 📉 使用记录中的模型改写信息（请求被降级时保留原始模型，保证报表准确）
+  _buildDowngradeRecordFields(modelDowngrade) {
+    if (!modelDowngrade || !modelDowngrade.requestedModel) {
+      return {}
+    }
+    return {
+      requestedModel: modelDowngrade.requestedModel,
+      downgradeReason: modelDowngrade.reason || null
+    }
+  }
+
   // 📊 记录 Opus 模型费用（仅限 claude 和 claude-console 账户）
   async recordOpusCost(keyId, cost, model, accountType) {
     try {
@@ -1096,8 +1268,11 @@ class ApiKeyService {
     usageObject,
     model = 'unknown',
     accountId = null,
-    accountType = null
+    accountType = null,
+    modelDowngrade = null
   ) {
+    captureService.noteAccount(accountId, accountType)
+
     try {
       // 提取 token 数量
       const inputTokens = usageObject.input_tokens || 0
@@ -1185,6 +1360,7 @@ class ApiKeyService {
       // 记录费用统计
       if (costInfo.totalCost > 0) {
         await redis.incrementDailyCost(keyId, costInfo.totalCost)
+        await costBudgetService.recordCost(keyId, costInfo.totalCost)
         logger.database(
           `💰 Recorded cost for ${keyId}: $${costInfo.totalCost.toFixed(6)}, model: ${model}`
         )
@@ -1262,11 +1438,22 @@ class ApiKeyService {
           ephemeral5m: costInfo.ephemeral5mCost || 0,
           ephemeral1h: costInfo.ephemeral1hCost || 0
         },
-        isLongContext: costInfo.isLongContextRequest || false
+        isLongContext: costInfo.isLongContextRequest || false,
+        ...this._buildDowngradeRecordFields(modelDowngrade)
       }
 
       await redis.addUsageRecord(keyId, usageRecord)
 
+      metricsService.recordUsage({
+        platform: accountType,
+        model,
+        inputTokens,
+        outputTokens,
+        cacheCreateTokens,
+        cacheReadTokens,
+        cost: costInfo.totalCost || 0
+      })
+
       const logParts = [`Model: ${model}`, `Input: ${inputTokens}`, `Output: ${outputTokens}`]
       if (cacheCreateTokens > 0) {
         logParts.push(`Cache Create: ${cacheCreateTokens}`)
@@ -1528,35 +1715,7 @@ class ApiKeyService {
       // Populate usage stats for each user's API key (same as getAllApiKeys does)
       const userKeysWithUsage = []
       for (const key of userKeys) {
-        const usage = await redis.getUsageStats(key.id)
-        const dailyCost = (await redis.getDailyCost(key.id)) || 0
-        const costStats = await redis.getCostStats(key.id)
-
-        userKeysWithUsage.push({
-          id: key.id,
-          name: key.name,
-          description: key.description,
-          key: key.apiKey ? `${this.prefix}****${key.apiKey.slice(-4)}` : null, // 只显示前缀和后4位
-          tokenLimit: parseInt(key.tokenLimit || 0),
-          isActive: key.isActive === 'true',
-          createdAt: key.createdAt,
-          lastUsedAt: key.lastUsedAt,
-          expiresAt: key.expiresAt,
-          usage,
-          dailyCost,
-          totalCost: costStats.total,
-          dailyCostLimit: parseFloat(key.dailyCostLimit || 0),
-          totalCostLimit: parseFloat(key.totalCostLimit || 0),
-          userId: key.userId,
-          userUsername: key.userUsername,
-          createdBy: key.createdBy,
-          droidAccountId: key.droidAccountId,
-          // Include deletion fields for deleted keys
-          isDeleted: key.isDeleted,
-          deletedAt: key.deletedAt,
-          deletedBy: key.deletedBy,
-          deletedByType: key.deletedByType
-        })
+        userKeysWithUsage.push(await this._buildOwnedKeySummary(key))
       }
 
       return userKeysWithUsage
@@ -1566,6 +1725,68 @@ class ApiKeyService {
     }
   }
 
+  // 👥 获取团队共享的API Keys（附带分组绑定，供团队管理员管理）
+  async getTeamApiKeys(teamId, includeDeleted = false) {
+    try {
+      const allKeys = await redis.getAllApiKeys()
+      let teamKeys = allKeys.filter((key) => teamId && key.teamId === teamId)
+
+      if (!includeDeleted) {
+        teamKeys = teamKeys.filter((key) => key.isDeleted !== 'true')
+      }
+
+      const teamKeysWithUsage = []
+      for (const key of teamKeys) {
+        teamKeysWithUsage.push({
+          ...(await this._buildOwnedKeySummary(key)),
+          permissions: key.permissions || 'all',
+          claudeAccountId: key.claudeAccountId || '',
+          geminiAccountId: key.geminiAccountId || '',
+          openaiAccountId: key.openaiAccountId || ''
+        })
+      }
+
+      return teamKeysWithUsage
+    } catch (error) {
+      logger.error('❌ Failed to get team API keys:', error)
+      return []
+    }
+  }
+
+  // 用户或团队自助管理时返回的 Key 摘要（不含密钥哈希，附带用量与费用）
+  async _buildOwnedKeySummary(key) {
+    const usage = await redis.getUsageStats(key.id)
+    const dailyCost = (await redis.getDailyCost(key.id)) || 0
+    const costStats = await redis.getCostStats(key.id)
+
+    return {
+      id: key.id,
+      name: key.name,
+      description: key.description,
+      key: key.apiKey ? `${this.prefix}****${key.apiKey.slice(-4)}` : null, // 只显示前缀和后4位
+      tokenLimit: parseInt(key.tokenLimit || 0),
+      isActive: key.isActive === 'true',
+      createdAt: key.createdAt,
+      lastUsedAt: key.lastUsedAt,
+      expiresAt: key.expiresAt,
+      usage,
+      dailyCost,
+      totalCost: costStats.total,
+      dailyCostLimit: parseFloat(key.dailyCostLimit || 0),
+      totalCostLimit: parseFloat(key.totalCostLimit || 0),
+      userId: key.userId,
+      userUsername: key.userUsername,
+      teamId: key.teamId || '',
+      createdBy: key.createdBy,
+      droidAccountId: key.droidAccountId,
+      // Include deletion fields for deleted keys
+      isDeleted: key.isDeleted,
+      deletedAt: key.deletedAt,
+      deletedBy: key.deletedBy,
+      deletedByType: key.deletedByType
+    }
+  }
+
   // 🔍 通过ID获取API Key（检查权限）
   async getApiKeyById(keyId, userId = null) {
     try {
@@ -1591,6 +1812,7 @@ class ApiKeyService {
         expiresAt: keyData.expiresAt,
         userId: keyData.userId,
         userUsername: keyData.userUsername,
+        teamId: keyData.teamId || '',
         createdBy: keyData.createdBy,
         permissions: keyData.permissions,
         dailyCostLimit: parseFloat(keyData.dailyCostLimit || 0),
@@ -0,0 +1,364 @@
+/**
+ * 管理操作审计日志服务
+ * 记录管理员对 API Key、账户、账户分组和转发配置的增删改操作，
+ * 每条记录包含操作人、时间、来源 IP 以及字段级 before/after 差异（敏感字段脱敏）
+ */
+
+const { v4: uuidv4 } = require('uuid')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const { maskToken } = require('../utils/tokenMask')
+
+const ENTRY_PREFIX = 'audit_log:entry:'
+const INDEX_KEY = 'audit_log:index'
+const RESOURCE_INDEX_PREFIX = 'audit_log:resource:'
+
+// 查询时单次最多扫描的索引条数（全局索引需要在内存中过滤）
+const MAX_SCAN_ENTRIES = 5000
+
+// 资源类型 -> Redis 存储位置（hash 或 JSON 字符串）
+const RESOURCE_TYPES = {
+  api_key: { key: (id) => `apikey:${id}`, format: 'hash' },
+  claude_account: { key: (id) => `claude:account:${id}`, format: 'hash' },
+  claude_console_account: { key: (id) => `claude_console_account:${id}`, format: 'hash' },
+  ccr_account: { key: (id) => `ccr_account:${id}`, format: 'hash' },
+  bedrock_account: { key: (id) => `bedrock_account:${id}`, format: 'json' },
+  gemini_account: { key: (id) => `gemini_account:${id}`, format: 'hash' },
+  gemini_api_account: { key: (id) => `gemini_api_account:${id}`, format: 'hash' },
+  openai_account: { key: (id) => `openai:account:${id}`, format: 'hash' },
+  openai_responses_account: { key: (id) => `openai_responses_account:${id}`, format: 'hash' },
+  azure_openai_account: { key: (id) => `azure_openai:account:${id}`, format: 'hash' },
+  droid_account: { key: (id) => `droid:account:${id}`, format: 'hash' },
+  account_group: { key: (id) => `account_group:${id}`, format: 'hash' },
+  claude_relay_config: { key: () => 'claude_relay_config', format: 'json' },
+  ip_access_rules: { key: () => 'ip_access:rules', format: 'json' },
+  model_routing_rules: { key: () => 'model_routing:rules', format: 'json' },
+  circuit_breaker: { key: (id) => `circuit_breaker:${id}`, format: 'hash' },
+  request_transform: { key: (id) => `request_transform:${id}`, format: 'json' },
+  credential_vault: { key: (id) => `credential_vault:${id}`, format: 'json' },
+  team: { key: (id) => `team:${id}`, format: 'json' },
+  team_members: { key: (id) => `team_members:${id}`, format: 'hash' },
+  admin_identity: { key: (id) => `admin_identity:${id}`, format: 'json' },
+  api_key_request: { key: (id) => `api_key_request:${id}`, format: 'json' }
+}
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore']
+
+// 敏感字段（凭据、密钥、代理认证等），diff 中只保留脱敏后的值
+const SENSITIVE_FIELD_PATTERN =
+  /token|secret|password|apikey|api_key|credential|privatekey|accesskey|cookie|proxy|oauth|hashedkey/i
+
+// 每次写入都会变化、对审计没有意义的字段
+const IGNORED_FIELDS = new Set(['updatedAt', 'lastUsedAt', 'lastRefreshAt'])
+
+/**
+ * 将 Redis 中的字段值还原为便于比较和展示的值（JSON 字符串尝试解析）
+ * @param {*} value - 原始值
+ * @returns {*}
+ */
+function normalizeValue(value) {
+  if (typeof value !== 'string') {
+    return value === undefined ? null : value
+  }
+  const trimmed = value.trim()
+  if (
+    (trimmed.startsWith('{') && trimmed.endsWith('}')) ||
+    (trimmed.startsWith('[') && trimmed.endsWith(']'))
+  ) {
+    try {
+      return JSON.parse(trimmed)
+    } catch (e) {
+      return value
+    }
+  }
+  return value
+}
+
+/**
+ * 对敏感字段的值进行脱敏
+ * @param {string} field - 字段名
+ * @param {*} value - 字段值
+ * @returns {*}
+ */
+function maskFieldValue(field, value) {
+  if (value === null || value === undefined || value === '') {
+    return value === undefined ? null : value
+  }
+  if (!SENSITIVE_FIELD_PATTERN.test(field)) {
+    return value
+  }
+  const raw = typeof value === 'string' ? value : JSON.stringify(value)
+  return maskToken(raw, 20)
+}
+
+class AuditLogService {
+  isEnabled() {
+    return config.auditLog?.enabled !== false
+  }
+
+  getRetentionSeconds() {
+    const days = parseInt(config.auditLog?.retentionDays) || 180
+    return days * 24 * 60 * 60
+  }
+
+  /**
+   * 判断资源类型是否受支持
+   * @param {string} resourceType - 资源类型
+   * @returns {boolean}
+   */
+  isSupportedResourceType(resourceType) {
+    return Object.prototype.hasOwnProperty.call(RESOURCE_TYPES, resourceType)
+  }
+
+  getResourceTypes() {
+    return Object.keys(RESOURCE_TYPES)
+  }
+
+  getActions() {
+    return [...AUDIT_ACTIONS]
+  }
+
+  /**
+   * 从 Redis 读取资源的原始存储数据（不解密，用于生成 diff）
+   * @param {string} resourceType - 资源类型
+   * @param {string} resourceId - 资源 ID
+   * @returns {Promise<Object|null>} 资源不存在时返回 null
+   */
+  async loadResource(resourceType, resourceId) {
+    const definition = RESOURCE_TYPES[resourceType]
+    if (!definition || !resourceId) {
+      return null
+    }
+
+    const client = redis.getClientSafe()
+    const key = definition.key(resourceId)
+
+    if (definition.format === 'json') {
+      const raw = await client.get(key)
+      if (!raw) {
+        return null
+      }
+      try {
+        return JSON.parse(raw)
+      } catch (e) {
+        return null
+      }
+    }
+
+    const data = await client.hgetall(key)
+    return data && Object.keys(data).length > 0 ? data : null
+  }
+
+  /**
+   * 计算字段级差异（仅比较顶层字段）
+   * @param {Object|null} before - 变更前数据
+   * @param {Object|null} after - 变更后数据
+   * @returns {Array<{field: string, before: *, after: *}>}
+   */
+  computeDiff(before, after) {
+    const beforeData = before || {}
+    const afterData = after || {}
+    const fields = new Set([...Object.keys(beforeData), ...Object.keys(afterData)])
+    const changes = []
+
+    for (const field of [...fields].sort()) {
+      if (IGNORED_FIELDS.has(field)) {
+        continue
+      }
+
+      const beforeValue = normalizeValue(beforeData[field])
+      const afterValue = normalizeValue(afterData[field])
+      if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) {
+        continue
+      }
+
+      changes.push({
+        field,
+        before: maskFieldValue(field, beforeValue),
+        after: maskFieldValue(field, afterValue)
+      })
+    }
+
+    return changes
+  }
+
+  /**
+   * 记录一次管理操作
+   * 审计失败只记录日志，不影响管理操作本身
+   * @param {Object} params - 审计参数
+   * @param {string} params.action - create | update | delete | restore
+   * @param {string} params.resourceType - 资源类型
+   * @param {string} params.resourceId - 资源 ID
+   * @param {Object|null} params.before - 变更前的原始数据
+   * @param {Object|null} params.after - 变更后的原始数据
+   * @param {string} params.actor - 操作人
+   * @param {string} params.ip - 来源 IP
+   * @param {string} params.route - 触发变更的管理接口
+   * @returns {Promise<Object|null>} 写入的审计记录
+   */
+  async record({ action, resourceType, resourceId, before, after, actor, ip, route }) {
+    if (!this.isEnabled()) {
+      return null
+    }
+
+    try {
+      const changes = this.computeDiff(before, after)
+      // 更新操作没有任何实际字段变化时不记录
+      if (action === 'update' && changes.length === 0) {
+        return null
+      }
+
+      const now = Date.now()
+      const entry = {
+        id: uuidv4(),
+        timestamp: new Date(now).toISOString(),
+        action,
+        resourceType,
+        resourceId: String(resourceId),
+        resourceName: after?.name || before?.name || '',
+        actor: actor || 'unknown',
+        ip: ip || 'unknown',
+        route: route || '',
+        changes
+      }
+
+      const client = redis.getClientSafe()
+      const retentionSeconds = this.getRetentionSeconds()
+      const resourceIndexKey = `${RESOURCE_INDEX_PREFIX}${resourceType}:${entry.resourceId}`
+      const expiredBefore = now - retentionSeconds * 1000
+
+      await client
+        .multi()
+        .set(`${ENTRY_PREFIX}${entry.id}`, JSON.stringify(entry), 'EX', retentionSeconds)
+        .zadd(INDEX_KEY, now, entry.id)
+        .zremrangebyscore(INDEX_KEY, '-inf', expiredBefore)
+        .zadd(resourceIndexKey, now, entry.id)
+        .zremrangebyscore(resourceIndexKey, '-inf', expiredBefore)
+        .expire(resourceIndexKey, retentionSeconds)
+        .exec()
+
+      logger.audit(`Admin ${entry.actor} ${action} ${resourceType} ${entry.resourceId}`, {
+        auditId: entry.id,
+        ip: entry.ip,
+        route: entry.route,
+        changedFields: changes.map((change) => change.field)
+      })
+
+      return entry
+    } catch (error) {
+      logger.error(`❌ Failed to record audit log for ${resourceType} ${resourceId}:`, error)
+      return null
+    }
+  }
+
+  /**
+   * 查询审计记录（按时间倒序）
+   * @param {Object} filters - 过滤条件
+   * @param {string} filters.resourceType - 资源类型
+   * @param {string} filters.resourceId - 资源 ID（需同时指定 resourceType）
+   * @param {string} filters.actor - 操作人
+   * @param {string} filters.action - 操作类型
+   * @param {string} filters.field - 变更字段（包含匹配）
+   * @param {number} filters.startTime - 起始时间戳（毫秒）
+   * @param {number} filters.endTime - 结束时间戳（毫秒）
+   * @param {number} filters.offset - 分页偏移
+   * @param {number} filters.limit - 每页数量
+   * @returns {Promise<{entries: Array, total: number}>}
+   */
+  async query(filters = {}) {
+    const {
+      resourceType,
+      resourceId,
+      actor,
+      action,
+      field,
+      startTime,
+      endTime,
+      offset = 0,
+      limit = 50
+    } = filters
+
+    const client = redis.getClientSafe()
+    const indexKey =
+      resourceType && resourceId
+        ? `${RESOURCE_INDEX_PREFIX}${resourceType}:${resourceId}`
+        : INDEX_KEY
+
+    const ids = await client.zrevrangebyscore(
+      indexKey,
+      endTime ? Number(endTime) : '+inf',
+      startTime ? Number(startTime) : '-inf',
+      'LIMIT',
+      0,
+      MAX_SCAN_ENTRIES
+    )
+
+    if (ids.length === 0) {
+      return { entries: [], total: 0 }
+    }
+
+    const rawEntries = await client.mget(ids.map((id) => `${ENTRY_PREFIX}${id}`))
+    const fieldFilter = field ? String(field).toLowerCase() : ''
+    const actorFilter = actor ? String(actor).toLowerCase() : ''
+
+    const matched = []
+    for (const raw of rawEntries) {
+      if (!raw) {
+        continue
+      }
+
+      let entry
+      try {
+        entry = JSON.parse(raw)
+      } catch (e) {
+        continue
+      }
+
+      if (resourceType && entry.resourceType !== resourceType) {
+        continue
+      }
+      if (resourceId && entry.resourceId !== resourceId) {
+        continue
+      }
+      if (action && entry.action !== action) {
+        continue
+      }
+      if (actorFilter && !String(entry.actor).toLowerCase().includes(actorFilter)) {
+        continue
+      }
+      if (
+        fieldFilter &&
+        !(entry.changes || []).some((change) => change.field.toLowerCase().includes(fieldFilter))
+      ) {
+        continue
+      }
+
+      matched.push(entry)
+    }
+
+    return {
+      entries: matched.slice(offset, offset + limit),
+      total: matched.length
+    }
+  }
+
+  /**
+   * 获取单条审计记录
+   * @param {string} entryId - 审计记录 ID
+   * @returns {Promise<Object|null>}
+   */
+  async getEntry(entryId) {
+    const raw = await redis.getClientSafe().get(`${ENTRY_PREFIX}${entryId}`)
+    if (!raw) {
+      return null
+    }
+    try {
+      return JSON.parse(raw)
+    } catch (e) {
+      return null
+    }
+  }
+}
+
+module.exports = new AuditLogService()
@@ -1,81 +1,32 @@
 const redisClient = require('../models/redis')
 const { v4: uuidv4 } = require('uuid')
-const crypto = require('crypto')
 const config = require('../../config/config')
 const logger = require('../utils/logger')
+const circuitBreakerService = require('./circuitBreakerService')
+const { credentialVault } = require('../utils/credentialVault')
+const credentialRotationService = require('./credentialRotationService')
 
-// 加密相关常量
-const ALGORITHM = 'aes-256-cbc'
-const IV_LENGTH = 16
-
-// 🚀 安全的加密密钥生成，支持动态salt
-const ENCRYPTION_SALT = config.security?.azureOpenaiSalt || 'azure-openai-account-default-salt'
-
-class EncryptionKeyManager {
-  constructor() {
-    this.keyCache = new Map()
-    this.keyRotationInterval = 24 * 60 * 60 * 1000 // 24小时
-  }
-
-  getKey(version = 'current') {
-    const cached = this.keyCache.get(version)
-    if (cached && Date.now() - cached.timestamp < this.keyRotationInterval) {
-      return cached.key
-    }
-
-    // 生成新密钥
-    const key = crypto.scryptSync(config.security.encryptionKey, ENCRYPTION_SALT, 32)
-    this.keyCache.set(version, {
-      key,
-      timestamp: Date.now()
-    })
-
-    logger.debug('🔑 Azure OpenAI encryption key generated/refreshed')
-    return key
-  }
-
-  // 清理过期密钥
-  cleanup() {
-    const now = Date.now()
-    for (const [version, cached] of this.keyCache.entries()) {
-      if (now - cached.timestamp > this.keyRotationInterval) {
-        this.keyCache.delete(version)
-      }
-    }
-  }
-}
-
-const encryptionKeyManager = new EncryptionKeyManager()
-
-// 定期清理过期密钥
-setInterval(
-  () => {
-    encryptionKeyManager.cleanup()
-  },
-  60 * 60 * 1000
-) // 每小时清理一次
-
-// 生成加密密钥 - 使用安全的密钥管理器
-function generateEncryptionKey() {
-  return encryptionKeyManager.getKey()
-}
+// 🔐 凭证加解密（共用凭证保险库，兼容旧格式密文）
+const cipher = credentialVault.createCipher('azure-openai', {
+  salt: config.security?.azureOpenaiSalt || 'azure-openai-account-default-salt'
+})
 
 // Azure OpenAI 账户键前缀
 const AZURE_OPENAI_ACCOUNT_KEY_PREFIX = 'azure_openai:account:'
 const SHARED_AZURE_OPENAI_ACCOUNTS_KEY = 'shared_azure_openai_accounts'
 const ACCOUNT_SESSION_MAPPING_PREFIX = 'azure_openai_session_account_mapping:'
 
+credentialRotationService.registerStore({
+  name: 'azure-openai',
+  pattern: 'azure_openai:account:*',
+  type: 'hash',
+  fields: ['apiKey'],
+  cipher
+})
+
 // 加密函数
 function encrypt(text) {
-  if (!text) {
-    return ''
-  }
-  const key = generateEncryptionKey()
-  const iv = crypto.randomBytes(IV_LENGTH)
-  const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
-  let encrypted = cipher.update(text)
-  encrypted = Buffer.concat([encrypted, cipher.final()])
-  return `${iv.toString('hex')}:${encrypted.toString('hex')}`
+  return cipher.encrypt(text)
 }
 
 // 解密函数 - 移除缓存以提高安全性
@@ -85,25 +36,9 @@ function decrypt(text) {
   }
 
   try {
-    const key = generateEncryptionKey()
-    // IV 是固定长度的 32 个十六进制字符（16 字节）
-    const ivHex = text.substring(0, 32)
-    const encryptedHex = text.substring(33) // 跳过冒号
-
-    if (ivHex.length !== 32 || !encryptedHex) {
-      throw new Error('Invalid encrypted text format')
-    }
-
-    const iv = Buffer.from(ivHex, 'hex')
-    const encryptedText = Buffer.from(encryptedHex, 'hex')
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv)
-    let decrypted = decipher.update(encryptedText)
-    decrypted = Buffer.concat([decrypted, decipher.final()])
-    const result = decrypted.toString()
-
-    return result
+    return cipher.decrypt(text)
   } catch (error) {
-    logger.error('Azure OpenAI decryption error:', error.message)
+    // 解密失败已由凭证保险库记录
     return ''
   }
 }
@@ -369,7 +304,12 @@ async function selectAvailableAccount(sessionId = null) {
 
     if (accountId) {
       const account = await getAccount(accountId)
-      if (account && account.isActive === 'true' && account.schedulable === 'true') {
+      if (
+        account &&
+        account.isActive === 'true' &&
+        account.schedulable === 'true' &&
+        (await circuitBreakerService.isAvailable(accountId))
+      ) {
         logger.debug(`Reusing Azure OpenAI account ${accountId} for session ${sessionId}`)
         return account
       }
@@ -379,8 +319,8 @@ async function selectAvailableAccount(sessionId = null) {
   // 获取所有共享账户
   const sharedAccounts = await getSharedAccounts()
 
-  // 过滤出可用的账户
-  const availableAccounts = sharedAccounts.filter((acc) => {
+  // 过滤出可用的账户（排除通用熔断器打开的账户）
+  const eligibleAccounts = sharedAccounts.filter((acc) => {
     // ✅ 检查账户订阅是否过期
     if (isSubscriptionExpired(acc)) {
       logger.debug(
@@ -391,6 +331,7 @@ async function selectAvailableAccount(sessionId = null) {
 
     return acc.isActive === 'true' && acc.schedulable === 'true'
   })
+  const availableAccounts = await circuitBreakerService.filterAvailable(eligibleAccounts)
 
   if (availableAccounts.length === 0) {
     throw new Error('No available Azure OpenAI accounts')
@@ -2,6 +2,8 @@ const axios = require('axios')
 const ProxyHelper = require('../utils/proxyHelper')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
+const circuitBreakerService = require('./circuitBreakerService')
+const requestTransformService = require('./requestTransformService')
 
 // 转换模型名称（去掉 azure/ 前缀）
 function normalizeModelName(model) {
@@ -129,11 +131,25 @@ async function handleAzureOpenAIRequest({
       otherParams: Object.keys(processedBody).filter((key) => !['model', 'messages'].includes(key))
     })
 
+    // 应用账户 / 分组配置的请求转换规则
+    const transformed = requestTransformService.applyRules(
+      await requestTransformService.getRulesForAccount(account.id),
+      { headers: axiosConfig.headers, body: axiosConfig.data },
+      endpoint === 'responses' ? 'responses' : 'openai',
+      account.id
+    )
+    axiosConfig.headers = transformed.headers
+    axiosConfig.data = transformed.body
+
     const requestStartTime = Date.now()
     logger.debug(`🔄 Starting Azure OpenAI HTTP request at ${new Date().toISOString()}`)
 
     // 发送请求
     const response = await axios(axiosConfig)
+    circuitBreakerService.recordOutcome(account.id, 'azure-openai', {
+      statusCode: response.status,
+      accountName: account.name
+    })
 
     const requestDuration = Date.now() - requestStartTime
     logger.debug(`✅ Azure OpenAI HTTP request completed at ${new Date().toISOString()}`)
@@ -212,6 +228,13 @@ async function handleAzureOpenAIRequest({
       logger.error('Azure OpenAI Request Failed', errorDetails)
     }
 
+    if (error.isAxiosError) {
+      circuitBreakerService.recordOutcome(account?.id, 'azure-openai', {
+        statusCode: error.response?.status || 0,
+        error,
+        accountName: account?.name
+      })
+    }
     throw error
   }
 }
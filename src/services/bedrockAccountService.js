@@ -2,18 +2,24 @@ const { v4: uuidv4 } = require('uuid')
 const crypto = require('crypto')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
-const config = require('../../config/config')
 const bedrockRelayService = require('./bedrockRelayService')
 const LRUCache = require('../utils/lruCache')
+const { credentialVault } = require('../utils/credentialVault')
+const credentialRotationService = require('./credentialRotationService')
+const { ROLE_CREDENTIAL_TYPES, normalizeBedrockOptions } = require('../utils/bedrockHelper')
 
 class BedrockAccountService {
   constructor() {
-    // 加密相关常量
-    this.ENCRYPTION_ALGORITHM = 'aes-256-cbc'
-    this.ENCRYPTION_SALT = 'salt'
-
-    // 🚀 性能优化：缓存派生的加密密钥，避免每次重复计算
-    this._encryptionKeyCache = null
+    // 🔐 凭证加解密（共用凭证保险库，兼容旧的 { encrypted, iv } 对象格式）
+    this._cipher = credentialVault.createCipher('bedrock', { derivation: 'sha256' })
+    credentialRotationService.registerStore({
+      name: 'bedrock',
+      pattern: 'bedrock_account:*',
+      type: 'json',
+      fields: ['awsCredentials'],
+      toCiphertext: (value) => this._toCiphertext(value),
+      cipher: this._cipher
+    })
 
     // 🔄 解密结果缓存，提高解密性能
     this._decryptCache = new LRUCache(500)
@@ -40,9 +46,20 @@ class BedrockAccountService {
       accountType = 'shared', // 'dedicated' or 'shared'
       priority = 50, // 调度优先级 (1-100，数字越小优先级越高)
       schedulable = true, // 是否可被调度
-      credentialType = 'default' // 'default', 'access_key', 'bearer_token'
+      credentialType = 'default', // 'default', 'access_key', 'bearer_token', 'assume_role', 'web_identity'
+      roleConfig = null, // { roleArn, roleSessionName, externalId, durationSeconds, webIdentityTokenFile }
+      modelProfiles = {}, // { 请求模型: inference profile ID / application inference profile ARN }
+      fallbackRegions = [] // 限流时依次尝试的备用区域
     } = options
 
+    const bedrockOptions = normalizeBedrockOptions({
+      credentialType,
+      roleConfig,
+      modelProfiles,
+      fallbackRegions
+    })
+    this._assertRoleConfig(bedrockOptions.credentialType, bedrockOptions.roleConfig)
+
     const accountId = uuidv4()
 
     const accountData = {
@@ -55,7 +72,7 @@ class BedrockAccountService {
       accountType,
       priority,
       schedulable,
-      credentialType,
+      ...bedrockOptions,
 
       // ✅ 新增：账户订阅到期时间（业务字段，手动管理）
       // 注意：Bedrock 使用 AWS 凭证，没有 OAuth token，因此没有 expiresAt
@@ -88,7 +105,7 @@ class BedrockAccountService {
         accountType,
         priority,
         schedulable,
-        credentialType,
+        ...bedrockOptions,
         createdAt: accountData.createdAt,
         type: 'bedrock'
       }
@@ -147,6 +164,9 @@ class BedrockAccountService {
             priority: account.priority,
             schedulable: account.schedulable,
             credentialType: account.credentialType,
+            roleConfig: account.roleConfig || null,
+            modelProfiles: account.modelProfiles || {},
+            fallbackRegions: account.fallbackRegions || [],
 
             // ✅ 前端显示订阅过期时间（业务字段）
             expiresAt: account.subscriptionExpiresAt || null,
@@ -217,9 +237,17 @@ class BedrockAccountService {
       if (updates.schedulable !== undefined) {
         account.schedulable = updates.schedulable
       }
-      if (updates.credentialType !== undefined) {
-        account.credentialType = updates.credentialType
-      }
+      // 凭证类型、IAM 角色、推理配置文件与备用区域
+      Object.assign(
+        account,
+        normalizeBedrockOptions({
+          credentialType: updates.credentialType,
+          roleConfig: updates.roleConfig,
+          modelProfiles: updates.modelProfiles,
+          fallbackRegions: updates.fallbackRegions
+        })
+      )
+      this._assertRoleConfig(account.credentialType, account.roleConfig)
 
       // 更新AWS凭证
       if (updates.awsCredentials !== undefined) {
@@ -260,6 +288,9 @@ class BedrockAccountService {
           priority: account.priority,
           schedulable: account.schedulable,
           credentialType: account.credentialType,
+          roleConfig: account.roleConfig || null,
+          modelProfiles: account.modelProfiles || {},
+          fallbackRegions: account.fallbackRegions || [],
           updatedAt: account.updatedAt,
           type: 'bedrock'
         }
@@ -347,6 +378,12 @@ class BedrockAccountService {
 
       logger.info(`🧪 测试Bedrock账户连接 - ID: ${accountId}, 名称: ${account.name}`)
 
+      // 角色类凭证：实际调用 STS 验证角色可以被扮演
+      if (ROLE_CREDENTIAL_TYPES.includes(account.credentialType)) {
+        await bedrockRelayService.resolveCredentials(account)
+        logger.info(`🔐 Bedrock账户IAM角色凭证获取成功 - ID: ${accountId}`)
+      }
+
       // 尝试获取模型列表来测试连接
       const models = await bedrockRelayService.getAvailableModels(account)
 
@@ -376,6 +413,13 @@ class BedrockAccountService {
     }
   }
 
+  // 🔐 角色类凭证必须配置 IAM 角色
+  _assertRoleConfig(credentialType, roleConfig) {
+    if (ROLE_CREDENTIAL_TYPES.includes(credentialType) && !roleConfig?.roleArn) {
+      throw new Error(`roleConfig.roleArn is required for credentialType ${credentialType}`)
+    }
+  }
+
   /**
    * 检查账户订阅是否过期
    * @param {Object} account - 账户对象
@@ -389,92 +433,52 @@ class BedrockAccountService {
     return expiryDate <= new Date()
   }
 
-  // 🔑 生成加密密钥（缓存优化）
-  _generateEncryptionKey() {
-    if (!this._encryptionKeyCache) {
-      this._encryptionKeyCache = crypto
-        .createHash('sha256')
-        .update(config.security.encryptionKey)
-        .digest()
-      logger.info('🔑 Bedrock encryption key derived and cached for performance optimization')
-    }
-    return this._encryptionKeyCache
-  }
-
-  // 🔐 加密AWS凭证
+  // 🔐 加密AWS凭证（信封加密，见 credentialVault）
   _encryptAwsCredentials(credentials) {
-    try {
-      const key = this._generateEncryptionKey()
-      const iv = crypto.randomBytes(16)
-      const cipher = crypto.createCipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
-
-      const credentialsString = JSON.stringify(credentials)
-      let encrypted = cipher.update(credentialsString, 'utf8', 'hex')
-      encrypted += cipher.final('hex')
+    return this._cipher.encrypt(JSON.stringify(credentials))
+  }
 
-      return {
-        encrypted,
-        iv: iv.toString('hex')
-      }
-    } catch (error) {
-      logger.error('❌ AWS凭证加密失败', error)
-      throw new Error('Credentials encryption failed')
+  // 旧版本保存为 { encrypted, iv } 对象，转换为 iv:密文 格式交给凭证保险库解密
+  _toCiphertext(encryptedData) {
+    if (encryptedData && typeof encryptedData === 'object' && encryptedData.encrypted) {
+      return `${encryptedData.iv}:${encryptedData.encrypted}`
     }
+    return typeof encryptedData === 'string' ? encryptedData : null
   }
 
   // 🔓 解密AWS凭证
   _decryptAwsCredentials(encryptedData) {
     try {
-      // 检查数据格式
-      if (!encryptedData || typeof encryptedData !== 'object') {
-        logger.error('❌ 无效的加密数据格式:', encryptedData)
-        throw new Error('Invalid encrypted data format')
+      // 纯文本数据 - 直接返回 (向后兼容)
+      if (encryptedData && typeof encryptedData === 'object' && encryptedData.accessKeyId) {
+        logger.warn('⚠️ 发现未加密的AWS凭证，建议更新账户以启用加密')
+        return encryptedData
       }
 
-      // 检查是否为加密格式 (有 encrypted 和 iv 字段)
-      if (encryptedData.encrypted && encryptedData.iv) {
-        // 🎯 检查缓存
-        const cacheKey = crypto
-          .createHash('sha256')
-          .update(JSON.stringify(encryptedData))
-          .digest('hex')
-        const cached = this._decryptCache.get(cacheKey)
-        if (cached !== undefined) {
-          return cached
-        }
-
-        // 加密数据 - 进行解密
-        const key = this._generateEncryptionKey()
-        const iv = Buffer.from(encryptedData.iv, 'hex')
-        const decipher = crypto.createDecipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
-
-        let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8')
-        decrypted += decipher.final('utf8')
+      const ciphertext = this._toCiphertext(encryptedData)
+      if (!ciphertext) {
+        logger.error('❌ 无效的加密数据格式')
+        throw new Error('Invalid encrypted data format')
+      }
 
-        const result = JSON.parse(decrypted)
+      // 🎯 检查缓存
+      const cacheKey = crypto.createHash('sha256').update(ciphertext).digest('hex')
+      const cached = this._decryptCache.get(cacheKey)
+      if (cached !== undefined) {
+        return cached
+      }
 
-        // 💾 存入缓存（5分钟过期）
-        this._decryptCache.set(cacheKey, result, 5 * 60 * 1000)
+      const result = JSON.parse(this._cipher.decrypt(ciphertext))
 
-        // 📊 定期打印缓存统计
-        if ((this._decryptCache.hits + this._decryptCache.misses) % 1000 === 0) {
-          this._decryptCache.printStats()
-        }
+      // 💾 存入缓存（5分钟过期）
+      this._decryptCache.set(cacheKey, result, 5 * 60 * 1000)
 
-        return result
-      } else if (encryptedData.accessKeyId) {
-        // 纯文本数据 - 直接返回 (向后兼容)
-        logger.warn('⚠️ 发现未加密的AWS凭证，建议更新账户以启用加密')
-        return encryptedData
-      } else {
-        // 既不是加密格式也不是有效的凭证格式
-        logger.error('❌ 缺少加密数据字段:', {
-          hasEncrypted: !!encryptedData.encrypted,
-          hasIv: !!encryptedData.iv,
-          hasAccessKeyId: !!encryptedData.accessKeyId
-        })
-        throw new Error('Missing encrypted data fields or valid credentials')
+      // 📊 定期打印缓存统计
+      if ((this._decryptCache.hits + this._decryptCache.misses) % 1000 === 0) {
+        this._decryptCache.printStats()
       }
+
+      return result
     } catch (error) {
       logger.error('❌ AWS凭证解密失败', error)
       throw new Error('Credentials decryption failed')
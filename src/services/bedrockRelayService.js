@@ -1,12 +1,27 @@
+const crypto = require('crypto')
 const {
   BedrockRuntimeClient,
   InvokeModelCommand,
   InvokeModelWithResponseStreamCommand
 } = require('@aws-sdk/client-bedrock-runtime')
-const { fromEnv } = require('@aws-sdk/credential-providers')
+const {
+  fromEnv,
+  fromTemporaryCredentials,
+  fromTokenFile
+} = require('@aws-sdk/credential-providers')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
 const userMessageQueueService = require('./userMessageQueueService')
+const circuitBreakerService = require('./circuitBreakerService')
+const requestTransformService = require('./requestTransformService')
+const {
+  parseBedrockArn,
+  resolveModelProfile,
+  getRegionCandidates,
+  isThrottlingError,
+  normalizeBedrockUsage,
+  stripCacheControl
+} = require('../utils/bedrockHelper')
 
 class BedrockRelayService {
   constructor() {
@@ -25,49 +40,145 @@ class BedrockRelayService {
     this.enablePromptCaching = process.env.DISABLE_PROMPT_CACHING !== '1'
 
     // 创建Bedrock客户端
-    this.clients = new Map() // 缓存不同区域的客户端
+    this.clients = new Map() // 按区域 + 账户缓存客户端：{ client, fingerprint }
   }
 
   // 获取或创建Bedrock客户端
   _getBedrockClient(region = null, bedrockAccount = null) {
     const targetRegion = region || this.defaultRegion
     const clientKey = `${targetRegion}-${bedrockAccount?.id || 'default'}`
+    // 账户更新后（如更换角色或密钥）替换旧客户端，每个账户每个区域只保留一个
+    const fingerprint = this._getCredentialFingerprint(bedrockAccount)
 
-    if (this.clients.has(clientKey)) {
-      return this.clients.get(clientKey)
+    const cached = this.clients.get(clientKey)
+    if (cached && cached.fingerprint === fingerprint) {
+      return cached.client
     }
 
     const clientConfig = {
-      region: targetRegion
-    }
-
-    // 如果账户配置了特定的AWS凭证，使用它们
-    if (bedrockAccount?.awsCredentials) {
-      clientConfig.credentials = {
-        accessKeyId: bedrockAccount.awsCredentials.accessKeyId,
-        secretAccessKey: bedrockAccount.awsCredentials.secretAccessKey,
-        sessionToken: bedrockAccount.awsCredentials.sessionToken
-      }
-    } else {
-      // 检查是否有环境变量凭证
-      if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
-        clientConfig.credentials = fromEnv()
-      } else {
-        throw new Error(
-          'AWS凭证未配置。请在Bedrock账户中配置AWS访问密钥，或设置环境变量AWS_ACCESS_KEY_ID和AWS_SECRET_ACCESS_KEY'
-        )
-      }
+      region: targetRegion,
+      credentials: this._buildCredentials(bedrockAccount, targetRegion)
     }
 
     const client = new BedrockRuntimeClient(clientConfig)
-    this.clients.set(clientKey, client)
+    this.clients.set(clientKey, { client, fingerprint })
+    if (cached) {
+      cached.client.destroy()
+    }
 
     logger.debug(
-      `🔧 Created Bedrock client for region: ${targetRegion}, account: ${bedrockAccount?.name || 'default'}`
+      `🔧 ${cached ? 'Replaced' : 'Created'} Bedrock client for region: ${targetRegion}, account: ${bedrockAccount?.name || 'default'}`
     )
     return client
   }
 
+  // 账户凭证相关字段的摘要，任一字段变化都需要重建客户端
+  _getCredentialFingerprint(bedrockAccount) {
+    if (!bedrockAccount) {
+      return ''
+    }
+    return crypto
+      .createHash('sha256')
+      .update(
+        JSON.stringify([
+          bedrockAccount.updatedAt || '',
+          bedrockAccount.credentialType || '',
+          bedrockAccount.awsCredentials || null,
+          bedrockAccount.roleConfig || null
+        ])
+      )
+      .digest('hex')
+  }
+
+  // 构造账户凭证：静态访问密钥、STS AssumeRole 或 Web Identity（后两者由 SDK 自动刷新临时凭证）
+  _buildCredentials(bedrockAccount, region) {
+    const staticCredentials = bedrockAccount?.awsCredentials
+      ? {
+          accessKeyId: bedrockAccount.awsCredentials.accessKeyId,
+          secretAccessKey: bedrockAccount.awsCredentials.secretAccessKey,
+          sessionToken: bedrockAccount.awsCredentials.sessionToken
+        }
+      : null
+    const hasEnvCredentials = !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY)
+    const roleConfig = bedrockAccount?.roleConfig
+
+    if (bedrockAccount?.credentialType === 'assume_role') {
+      if (!roleConfig?.roleArn) {
+        throw new Error('Bedrock账户未配置要扮演的IAM角色ARN')
+      }
+      // 源凭证：账户访问密钥 > 环境变量 > SDK 默认凭证链（实例角色等）
+      return fromTemporaryCredentials({
+        params: {
+          RoleArn: roleConfig.roleArn,
+          RoleSessionName: roleConfig.roleSessionName || 'claude-relay-service',
+          DurationSeconds: roleConfig.durationSeconds || 3600,
+          ...(roleConfig.externalId ? { ExternalId: roleConfig.externalId } : {})
+        },
+        masterCredentials: staticCredentials || (hasEnvCredentials ? fromEnv() : undefined),
+        clientConfig: { region }
+      })
+    }
+
+    if (bedrockAccount?.credentialType === 'web_identity') {
+      const webIdentityTokenFile =
+        roleConfig?.webIdentityTokenFile || process.env.AWS_WEB_IDENTITY_TOKEN_FILE
+      if (!roleConfig?.roleArn || !webIdentityTokenFile) {
+        throw new Error('Bedrock账户未配置Web Identity角色ARN或令牌文件')
+      }
+      return fromTokenFile({
+        roleArn: roleConfig.roleArn,
+        roleSessionName: roleConfig.roleSessionName || 'claude-relay-service',
+        durationSeconds: roleConfig.durationSeconds || 3600,
+        webIdentityTokenFile,
+        clientConfig: { region }
+      })
+    }
+
+    // 如果账户配置了特定的AWS凭证，使用它们
+    if (staticCredentials) {
+      return staticCredentials
+    }
+    // 检查是否有环境变量凭证
+    if (hasEnvCredentials) {
+      return fromEnv()
+    }
+    throw new Error(
+      'AWS凭证未配置。请在Bedrock账户中配置AWS访问密钥或IAM角色，或设置环境变量AWS_ACCESS_KEY_ID和AWS_SECRET_ACCESS_KEY'
+    )
+  }
+
+  /**
+   * 解析账户凭证（用于账户测试，角色类凭证会实际调用 STS）
+   * @param {Object} bedrockAccount - Bedrock 账户
+   * @returns {Promise<Object>} 临时或静态凭证
+   */
+  async resolveCredentials(bedrockAccount) {
+    const region = bedrockAccount?.region || this.defaultRegion
+    const credentials = this._buildCredentials(bedrockAccount, region)
+    return typeof credentials === 'function' ? credentials() : credentials
+  }
+
+  // 发送请求，遇到限流时依次切换到账户配置的备用区域
+  async _sendWithRegionFailover(bedrockAccount, modelId, primaryRegion, createCommand) {
+    const regions = getRegionCandidates(modelId, primaryRegion, bedrockAccount?.fallbackRegions)
+    for (let index = 0; index < regions.length; index++) {
+      const region = regions[index]
+      try {
+        const client = this._getBedrockClient(region, bedrockAccount)
+        const response = await client.send(createCommand())
+        return { response, region }
+      } catch (error) {
+        if (!isThrottlingError(error) || index === regions.length - 1) {
+          throw error
+        }
+        logger.warn(
+          `🌍 Bedrock区域 ${region} 限流，切换到备用区域 ${regions[index + 1]} - 账户: ${bedrockAccount?.name || 'default'}`
+        )
+      }
+    }
+    throw new Error('No Bedrock region available')
+  }
+
   // 处理非流式请求
   async handleNonStreamRequest(requestBody, bedrockAccount = null) {
     const accountId = bedrockAccount?.id
@@ -134,31 +245,46 @@ class BedrockRelayService {
         }
       }
 
+      // 应用账户 / 分组配置的请求转换规则（通过 SDK 调用，只转换请求体）
+      requestBody = requestTransformService.applyRules(
+        await requestTransformService.getRulesForAccount(accountId),
+        { body: requestBody },
+        'claude',
+        accountId
+      ).body
+
       const modelId = this._selectModel(requestBody, bedrockAccount)
-      const region = this._selectRegion(modelId, bedrockAccount)
-      const client = this._getBedrockClient(region, bedrockAccount)
+      const primaryRegion = this._selectRegion(modelId, bedrockAccount)
 
       // 转换请求格式为Bedrock格式
       const bedrockPayload = this._convertToBedrockFormat(requestBody)
 
-      const command = new InvokeModelCommand({
-        modelId,
-        body: JSON.stringify(bedrockPayload),
-        contentType: 'application/json',
-        accept: 'application/json'
-      })
-
-      logger.debug(`🚀 Bedrock非流式请求 - 模型: ${modelId}, 区域: ${region}`)
+      logger.debug(`🚀 Bedrock非流式请求 - 模型: ${modelId}, 区域: ${primaryRegion}`)
 
       const startTime = Date.now()
-      const response = await client.send(command)
+      const { response, region } = await this._sendWithRegionFailover(
+        bedrockAccount,
+        modelId,
+        primaryRegion,
+        () =>
+          new InvokeModelCommand({
+            modelId,
+            body: JSON.stringify(bedrockPayload),
+            contentType: 'application/json',
+            accept: 'application/json'
+          })
+      )
       const duration = Date.now() - startTime
+      circuitBreakerService.recordOutcome(accountId, 'bedrock', {
+        statusCode: response.$metadata?.httpStatusCode || 200,
+        accountName: bedrockAccount?.name
+      })
 
       // 解析响应
       const responseBody = JSON.parse(new TextDecoder().decode(response.body))
       const claudeResponse = this._convertFromBedrockFormat(responseBody)
 
-      logger.info(`✅ Bedrock请求完成 - 模型: ${modelId}, 耗时: ${duration}ms`)
+      logger.info(`✅ Bedrock请求完成 - 模型: ${modelId}, 区域: ${region}, 耗时: ${duration}ms`)
 
       return {
         success: true,
@@ -169,6 +295,11 @@ class BedrockRelayService {
       }
     } catch (error) {
       logger.error('❌ Bedrock非流式请求失败:', error)
+      circuitBreakerService.recordOutcome(accountId, 'bedrock', {
+        statusCode: error.$metadata?.httpStatusCode || 0,
+        error,
+        accountName: bedrockAccount?.name
+      })
       throw this._handleBedrockError(error)
     } finally {
       // 📬 释放用户消息队列锁
@@ -259,24 +390,39 @@ class BedrockRelayService {
         }
       }
 
+      // 应用账户 / 分组配置的请求转换规则（通过 SDK 调用，只转换请求体）
+      requestBody = requestTransformService.applyRules(
+        await requestTransformService.getRulesForAccount(accountId),
+        { body: requestBody },
+        'claude',
+        accountId
+      ).body
+
       const modelId = this._selectModel(requestBody, bedrockAccount)
-      const region = this._selectRegion(modelId, bedrockAccount)
-      const client = this._getBedrockClient(region, bedrockAccount)
+      const primaryRegion = this._selectRegion(modelId, bedrockAccount)
 
       // 转换请求格式为Bedrock格式
       const bedrockPayload = this._convertToBedrockFormat(requestBody)
 
-      const command = new InvokeModelWithResponseStreamCommand({
-        modelId,
-        body: JSON.stringify(bedrockPayload),
-        contentType: 'application/json',
-        accept: 'application/json'
-      })
-
-      logger.debug(`🌊 Bedrock流式请求 - 模型: ${modelId}, 区域: ${region}`)
+      logger.debug(`🌊 Bedrock流式请求 - 模型: ${modelId}, 区域: ${primaryRegion}`)
 
       const startTime = Date.now()
-      const response = await client.send(command)
+      const { response, region } = await this._sendWithRegionFailover(
+        bedrockAccount,
+        modelId,
+        primaryRegion,
+        () =>
+          new InvokeModelWithResponseStreamCommand({
+            modelId,
+            body: JSON.stringify(bedrockPayload),
+            contentType: 'application/json',
+            accept: 'application/json'
+          })
+      )
+      circuitBreakerService.recordOutcome(accountId, 'bedrock', {
+        statusCode: response.$metadata?.httpStatusCode || 200,
+        accountName: bedrockAccount?.name
+      })
 
       // 设置SSE响应头
       res.writeHead(200, {
@@ -287,32 +433,40 @@ class BedrockRelayService {
         'Access-Control-Allow-Headers': 'Content-Type, Authorization'
       })
 
-      let totalUsage = null
+      // usage 分布在 message_start（输入与缓存）、message_delta（输出）和调用指标中
+      const streamUsage = {}
+      let invocationMetrics = null
       let isFirstChunk = true
 
       // 处理流式响应
       for await (const chunk of response.body) {
         if (chunk.chunk) {
           const chunkData = JSON.parse(new TextDecoder().decode(chunk.chunk.bytes))
+          if (chunkData.type === 'message_start' && chunkData.message?.usage) {
+            Object.assign(streamUsage, chunkData.message.usage)
+          } else if (chunkData.type === 'message_delta' && chunkData.usage) {
+            Object.assign(streamUsage, chunkData.usage)
+          }
+          if (chunkData['amazon-bedrock-invocationMetrics']) {
+            invocationMetrics = chunkData['amazon-bedrock-invocationMetrics']
+          }
           const claudeEvent = this._convertBedrockStreamToClaudeFormat(chunkData, isFirstChunk)
 
           if (claudeEvent) {
             // 发送SSE事件
             res.write(`event: ${claudeEvent.type}\n`)
             res.write(`data: ${JSON.stringify(claudeEvent.data)}\n\n`)
-
-            // 提取使用统计
-            if (claudeEvent.type === 'message_stop' && claudeEvent.data.usage) {
-              totalUsage = claudeEvent.data.usage
-            }
-
             isFirstChunk = false
           }
         }
       }
 
       const duration = Date.now() - startTime
-      logger.info(`✅ Bedrock流式请求完成 - 模型: ${modelId}, 耗时: ${duration}ms`)
+      const totalUsage =
+        Object.keys(streamUsage).length > 0 || invocationMetrics
+          ? normalizeBedrockUsage(streamUsage, invocationMetrics)
+          : null
+      logger.info(`✅ Bedrock流式请求完成 - 模型: ${modelId}, 区域: ${region}, 耗时: ${duration}ms`)
 
       // 发送结束事件
       res.write('event: done\n')
@@ -327,6 +481,11 @@ class BedrockRelayService {
       }
     } catch (error) {
       logger.error('❌ Bedrock流式请求失败:', error)
+      circuitBreakerService.recordOutcome(accountId, 'bedrock', {
+        statusCode: error.$metadata?.httpStatusCode || 0,
+        error,
+        accountName: bedrockAccount?.name
+      })
 
       // 发送错误事件
       if (!res.headersSent) {
@@ -360,7 +519,16 @@ class BedrockRelayService {
   _selectModel(requestBody, bedrockAccount) {
     let selectedModel
 
-    // 优先使用账户配置的模型
+    // 账户为请求模型配置了推理配置文件（跨区域 profile ID 或 application inference profile ARN）
+    const profile = resolveModelProfile(requestBody.model, bedrockAccount?.modelProfiles)
+    if (profile) {
+      logger.info(`🎯 使用账户推理配置文件: ${requestBody.model} → ${profile}`, {
+        metadata: { source: 'profile', accountId: bedrockAccount.id }
+      })
+      return profile
+    }
+
+    // 其次使用账户配置的模型
     if (bedrockAccount?.defaultModel) {
       selectedModel = bedrockAccount.defaultModel
       logger.info(`🎯 使用账户配置的模型: ${selectedModel}`, {
@@ -424,8 +592,12 @@ class BedrockRelayService {
     }
 
     // 如果已经是Bedrock格式，直接返回
-    // Bedrock模型格式：{region}.anthropic.{model-name} 或 anthropic.{model-name}
-    if (modelName.includes('.anthropic.') || modelName.startsWith('anthropic.')) {
+    // Bedrock模型格式：{region}.anthropic.{model-name}、anthropic.{model-name} 或推理配置文件 ARN
+    if (
+      modelName.includes('.anthropic.') ||
+      modelName.startsWith('anthropic.') ||
+      parseBedrockArn(modelName)
+    ) {
       return modelName
     }
 
@@ -444,6 +616,12 @@ class BedrockRelayService {
 
   // 选择使用的区域
   _selectRegion(modelId, bedrockAccount) {
+    // 推理配置文件 ARN 只能在其所属区域调用
+    const arn = parseBedrockArn(modelId)
+    if (arn) {
+      return arn.region
+    }
+
     // 优先使用账户配置的区域
     if (bedrockAccount?.region) {
       return bedrockAccount.region
@@ -496,7 +674,8 @@ class BedrockRelayService {
       bedrockPayload.tool_choice = requestBody.tool_choice
     }
 
-    return bedrockPayload
+    // system / messages / tools 中的 cache_control 原样透传；关闭 prompt caching 时移除
+    return this.enablePromptCaching ? bedrockPayload : stripCacheControl(bedrockPayload)
   }
 
   // 转换Bedrock响应到Claude格式
@@ -509,9 +688,13 @@ class BedrockRelayService {
       model: bedrockResponse.model || this.defaultModel,
       stop_reason: bedrockResponse.stop_reason || 'end_turn',
       stop_sequence: bedrockResponse.stop_sequence || null,
-      usage: bedrockResponse.usage || {
-        input_tokens: 0,
-        output_tokens: 0
+      // 包含缓存写入 / 读取 token，用于计费
+      usage: {
+        ...(bedrockResponse.usage || {}),
+        ...normalizeBedrockUsage(
+          bedrockResponse.usage,
+          bedrockResponse['amazon-bedrock-invocationMetrics']
+        )
       }
     }
   }
@@ -582,6 +765,10 @@ class BedrockRelayService {
       return new Error('Bedrock访问被拒绝，请检查IAM权限')
     }
 
+    if (error.name === 'CredentialsProviderError' || error.Code === 'AccessDenied') {
+      return new Error(`Bedrock IAM角色凭证获取失败: ${errorMessage}`)
+    }
+
     if (error.name === 'ModelNotReadyException') {
       return new Error('Bedrock模型未就绪，请稍后重试')
     }
@@ -0,0 +1,796 @@
+/**
+ * 请求抓包服务
+ * 用于排查格式转换问题：对开启抓包的 API Key 或账户，记录一次请求的完整链路——
+ * 客户端原始请求、转换后发往上游的请求、上游响应（含 SSE 流）以及最终返回给客户端的响应。
+ * 记录中的密钥类请求头、查询参数与字段会被脱敏，并带 TTL 保存在 Redis 中，
+ * 可通过管理接口或 CLI 将抓到的上游请求重放到指定账户或本地 Mock 上游。
+ *
+ * 抓包会话通过 AsyncLocalStorage 随请求的异步调用链传递：axios 发出的上游请求由拦截器自动记录，
+ * 直接使用 https.request 的转发服务通过 startUpstream / appendUpstreamChunk 显式记录。
+ */
+
+const { AsyncLocalStorage } = require('async_hooks')
+const { Transform } = require('stream')
+const axios = require('axios')
+const { v4: uuidv4 } = require('uuid')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const { maskToken } = require('../utils/tokenMask')
+const ProxyHelper = require('../utils/proxyHelper')
+const config = require('../../config/config')
+
+const ENTRY_PREFIX = 'capture:entry:'
+const INDEX_KEY = 'capture:index' // Sorted Set，score 为抓包时间
+const SUMMARY_KEY = 'capture:summaries' // Hash，列表展示用的摘要
+const TARGETS_KEY = 'capture:targets' // Set，成员形如 apiKey:<id> / account:<id>
+
+const TARGET_TYPES = ['apiKey', 'account']
+const REPLAY_ACCOUNT_TYPES = ['claude-official', 'claude-console']
+const TARGETS_CACHE_TTL_MS = 10 * 1000
+
+// 需要脱敏的请求头 / 查询参数 / JSON 字段
+const SECRET_HEADERS = new Set([
+  'authorization',
+  'proxy-authorization',
+  'x-api-key',
+  'api-key',
+  'x-goog-api-key',
+  'cookie',
+  'set-cookie'
+])
+const SECRET_QUERY_PARAMS = ['key', 'api_key', 'access_token']
+const SECRET_FIELD_PATTERN =
+  /^(access_?token|refresh_?token|id_?token|api_?key|client_?secret|secret|password|authorization)$/i
+const SECRET_FORM_PATTERN =
+  /\b(access_token|refresh_token|id_token|client_secret|api_key|password)=([^&\s]+)/gi
+
+// 重放时不转发的请求头（连接相关或由 axios 重新计算）
+const REPLAY_SKIPPED_HEADERS = new Set([
+  'host',
+  'content-length',
+  'connection',
+  'accept-encoding',
+  'transfer-encoding'
+])
+
+const maskSecret = (value) => maskToken(String(value), 20)
+
+const replayError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+function maskHeaders(headers) {
+  if (!headers || typeof headers !== 'object') {
+    return {}
+  }
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers
+  const masked = {}
+  for (const [name, value] of Object.entries(plain)) {
+    if (value === undefined || value === null) {
+      continue
+    }
+    masked[name] = SECRET_HEADERS.has(name.toLowerCase())
+      ? Array.isArray(value)
+        ? value.map(maskSecret)
+        : maskSecret(value)
+      : value
+  }
+  return masked
+}
+
+function maskUrl(url) {
+  if (!url) {
+    return url
+  }
+  try {
+    const parsed = new URL(url)
+    for (const param of SECRET_QUERY_PARAMS) {
+      if (parsed.searchParams.has(param)) {
+        parsed.searchParams.set(param, maskSecret(parsed.searchParams.get(param)))
+      }
+    }
+    return parsed.toString()
+  } catch (error) {
+    return url
+  }
+}
+
+function maskFields(value) {
+  if (Array.isArray(value)) {
+    return value.map(maskFields)
+  }
+  if (value && typeof value === 'object') {
+    const masked = {}
+    for (const [key, item] of Object.entries(value)) {
+      masked[key] =
+        typeof item === 'string' && SECRET_FIELD_PATTERN.test(key)
+          ? maskSecret(item)
+          : maskFields(item)
+    }
+    return masked
+  }
+  return value
+}
+
+/**
+ * 对请求/响应体脱敏：JSON 逐字段处理，表单字符串按参数处理
+ */
+function maskBody(body) {
+  if (body === undefined || body === null) {
+    return null
+  }
+  if (Buffer.isBuffer(body)) {
+    return maskBody(body.toString('utf8'))
+  }
+  if (typeof body === 'string') {
+    try {
+      return maskFields(JSON.parse(body))
+    } catch (error) {
+      return body.replace(
+        SECRET_FORM_PATTERN,
+        (match, name, value) => `${name}=${maskSecret(value)}`
+      )
+    }
+  }
+  if (typeof body === 'object') {
+    return maskFields(body)
+  }
+  return body
+}
+
+// 按字节上限收集数据块
+class BodyRecorder {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes
+    this.chunks = []
+    this.size = 0
+    this.truncated = false
+  }
+
+  append(chunk, encoding) {
+    if (chunk === undefined || chunk === null || typeof chunk === 'function') {
+      return
+    }
+    const buffer = Buffer.isBuffer(chunk)
+      ? chunk
+      : Buffer.from(String(chunk), typeof encoding === 'string' ? encoding : 'utf8')
+    const remaining = this.maxBytes - this.size
+    if (remaining <= 0) {
+      this.truncated = this.truncated || buffer.length > 0
+      return
+    }
+    if (buffer.length > remaining) {
+      this.chunks.push(buffer.subarray(0, remaining))
+      this.size += remaining
+      this.truncated = true
+      return
+    }
+    this.chunks.push(buffer)
+    this.size += buffer.length
+  }
+
+  toString() {
+    return Buffer.concat(this.chunks).toString('utf8')
+  }
+}
+
+class CaptureService {
+  constructor() {
+    this.storage = new AsyncLocalStorage()
+    this.targetsCache = null
+    this.targetsCacheTime = 0
+    this._installAxiosInterceptors()
+  }
+
+  getSettings() {
+    return {
+      enabled: true,
+      ttlSeconds: 24 * 3600,
+      maxBodyBytes: 256 * 1024,
+      maxEntries: 500,
+      ...(config.capture || {})
+    }
+  }
+
+  getTargetTypes() {
+    return [...TARGET_TYPES]
+  }
+
+  getReplayAccountTypes() {
+    return [...REPLAY_ACCOUNT_TYPES]
+  }
+
+  // 🎯 抓包目标管理
+
+  async listTargets() {
+    const members = await redis.getClientSafe().smembers(TARGETS_KEY)
+    return members
+      .map((member) => {
+        const separator = member.indexOf(':')
+        return { type: member.slice(0, separator), id: member.slice(separator + 1) }
+      })
+      .filter((target) => TARGET_TYPES.includes(target.type))
+  }
+
+  async addTarget(type, id) {
+    await redis.getClientSafe().sadd(TARGETS_KEY, `${type}:${id}`)
+    this.targetsCache = null
+    logger.info(`🎥 Capture enabled for ${type}: ${id}`)
+  }
+
+  async removeTarget(type, id) {
+    const removed = await redis.getClientSafe().srem(TARGETS_KEY, `${type}:${id}`)
+    this.targetsCache = null
+    if (removed) {
+      logger.info(`🎥 Capture disabled for ${type}: ${id}`)
+    }
+    return removed > 0
+  }
+
+  // 抓包目标在内存中缓存片刻，避免每个请求都访问 Redis
+  async _getTargetSet() {
+    if (this.targetsCache && Date.now() - this.targetsCacheTime < TARGETS_CACHE_TTL_MS) {
+      return this.targetsCache
+    }
+    const members = await redis.getClientSafe().smembers(TARGETS_KEY)
+    this.targetsCache = new Set(members)
+    this.targetsCacheTime = Date.now()
+    return this.targetsCache
+  }
+
+  // 🎬 抓包会话
+
+  /**
+   * 在抓包会话中继续处理请求（需放在 API Key 认证之后）
+   * Key 本身开启抓包时一定记录；存在账户级抓包目标时先记录，结束时按实际使用的账户决定是否保存
+   */
+  async runWithCapture(req, res, next) {
+    let session = null
+    try {
+      session = await this._startSession(req, res)
+    } catch (error) {
+      logger.warn('⚠️ Failed to start capture session:', error.message)
+    }
+    if (!session) {
+      return next()
+    }
+    return this.storage.run(session, next)
+  }
+
+  current() {
+    return this.storage.getStore() || null
+  }
+
+  async _startSession(req, res) {
+    const settings = this.getSettings()
+    if (!settings.enabled || !req.apiKey) {
+      return null
+    }
+
+    const targets = await this._getTargetSet()
+    if (targets.size === 0) {
+      return null
+    }
+    const keyTargeted = targets.has(`apiKey:${req.apiKey.id}`)
+    const hasAccountTargets = [...targets].some((member) => member.startsWith('account:'))
+    if (!keyTargeted && !hasAccountTargets) {
+      return null
+    }
+
+    const inboundBody = new BodyRecorder(settings.maxBodyBytes)
+    if (req.body !== undefined) {
+      inboundBody.append(JSON.stringify(req.body))
+    }
+
+    const session = {
+      id: uuidv4(),
+      createdAt: new Date().toISOString(),
+      startedAt: Date.now(),
+      apiKeyId: req.apiKey.id,
+      apiKeyName: req.apiKey.name,
+      keyTargeted,
+      accountId: null,
+      accountType: null,
+      method: req.method,
+      path: req.originalUrl,
+      inbound: {
+        headers: maskHeaders(req.headers),
+        body: inboundBody
+      },
+      upstream: [],
+      response: new BodyRecorder(settings.maxBodyBytes),
+      finalized: false
+    }
+
+    const originalWrite = res.write
+    const originalEnd = res.end
+    res.write = function (chunk, encoding, ...rest) {
+      session.response.append(chunk, encoding)
+      return originalWrite.call(this, chunk, encoding, ...rest)
+    }
+    res.end = function (chunk, encoding, ...rest) {
+      session.response.append(chunk, encoding)
+      return originalEnd.call(this, chunk, encoding, ...rest)
+    }
+
+    const finalize = () =>
+      this._finalize(session, res).catch((error) =>
+        logger.error('❌ Failed to store capture:', error)
+      )
+    res.once('finish', finalize)
+    res.once('close', finalize)
+
+    return session
+  }
+
+  /**
+   * 记录本次请求实际使用的账户（账户级抓包按此判断是否保存）
+   */
+  noteAccount(accountId, accountType) {
+    const session = this.current()
+    if (session && accountId) {
+      session.accountId = accountId
+      session.accountType = accountType || session.accountType
+    }
+  }
+
+  /**
+   * 开始记录一次上游请求
+   * @param {Object} request - { url, method, headers, body }
+   * @returns {Object|null} 上游交换记录，不在抓包会话中时返回 null
+   */
+  startUpstream({ url, method = 'POST', headers, body }) {
+    const session = this.current()
+    if (!session || session.finalized) {
+      return null
+    }
+    const { maxBodyBytes } = this.getSettings()
+    const requestBody = new BodyRecorder(maxBodyBytes)
+    if (body !== undefined && body !== null) {
+      requestBody.append(
+        typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body)
+      )
+    }
+    const exchange = {
+      url: maskUrl(url),
+      method: String(method).toUpperCase(),
+      requestHeaders: maskHeaders(headers),
+      requestBody,
+      status: null,
+      responseHeaders: {},
+      responseBody: new BodyRecorder(maxBodyBytes),
+      error: null,
+      startedAt: Date.now(),
+      durationMs: null
+    }
+    session.upstream.push(exchange)
+    return exchange
+  }
+
+  /**
+   * 记录上游响应状态、响应头及（非流式时的）响应体
+   */
+  recordUpstreamResponse(exchange, { status, headers, body } = {}) {
+    if (!exchange) {
+      return
+    }
+    exchange.status = status ?? exchange.status
+    exchange.responseHeaders = maskHeaders(headers)
+    exchange.durationMs = Date.now() - exchange.startedAt
+    if (body !== undefined && body !== null) {
+      exchange.responseBody.append(
+        typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body)
+      )
+    }
+  }
+
+  // 记录上游流式响应的数据块
+  appendUpstreamChunk(exchange, chunk) {
+    if (exchange) {
+      exchange.responseBody.append(chunk)
+      exchange.durationMs = Date.now() - exchange.startedAt
+    }
+  }
+
+  recordUpstreamError(exchange, error) {
+    if (exchange) {
+      exchange.error = error?.message || String(error)
+      exchange.durationMs = Date.now() - exchange.startedAt
+    }
+  }
+
+  // 透传流式响应的同时记录数据块
+  _teeStream(exchange, source) {
+    const tee = new Transform({
+      transform: (chunk, encoding, callback) => {
+        this.appendUpstreamChunk(exchange, chunk)
+        callback(null, chunk)
+      }
+    })
+    source.on('error', (error) => tee.destroy(error))
+    tee.on('close', () => {
+      if (!source.destroyed) {
+        source.destroy()
+      }
+    })
+    return source.pipe(tee)
+  }
+
+  // 🔌 自动记录抓包会话中经 axios 发出的上游请求
+  _installAxiosInterceptors() {
+    const recordResponse = (response) => {
+      const exchange = response?.config?.__captureExchange
+      if (!exchange) {
+        return response
+      }
+      const isStream = response.data && typeof response.data.pipe === 'function'
+      this.recordUpstreamResponse(exchange, {
+        status: response.status,
+        headers: response.headers,
+        body: isStream ? undefined : response.data
+      })
+      if (isStream) {
+        response.data = this._teeStream(exchange, response.data)
+      }
+      return response
+    }
+
+    axios.interceptors.request.use((requestConfig) => {
+      if (this.current() && !requestConfig.__captureExchange) {
+        requestConfig.__captureExchange = this.startUpstream({
+          url: axios.getUri(requestConfig),
+          method: requestConfig.method || 'GET',
+          headers: requestConfig.headers,
+          body: requestConfig.data
+        })
+      }
+      return requestConfig
+    })
+
+    axios.interceptors.response.use(recordResponse, (error) => {
+      const exchange = error?.config?.__captureExchange
+      if (exchange) {
+        if (error.response) {
+          recordResponse(error.response)
+        }
+        this.recordUpstreamError(exchange, error)
+      }
+      return Promise.reject(error)
+    })
+  }
+
+  // 💾 保存
+
+  _serializeBody(recorder) {
+    const text = recorder.toString()
+    return {
+      body: recorder.truncated ? text : maskBody(text),
+      truncated: recorder.truncated
+    }
+  }
+
+  async _finalize(session, res) {
+    if (session.finalized) {
+      return
+    }
+    session.finalized = true
+
+    const targets = await this._getTargetSet()
+    const accountTargeted = session.accountId && targets.has(`account:${session.accountId}`)
+    if (!session.keyTargeted && !accountTargeted) {
+      return
+    }
+
+    const settings = this.getSettings()
+    const inbound = this._serializeBody(session.inbound.body)
+    const response = this._serializeBody(session.response)
+    const record = {
+      id: session.id,
+      createdAt: session.createdAt,
+      durationMs: Date.now() - session.startedAt,
+      apiKeyId: session.apiKeyId,
+      apiKeyName: session.apiKeyName,
+      accountId: session.accountId,
+      accountType: session.accountType,
+      method: session.method,
+      path: session.path,
+      inbound: {
+        headers: session.inbound.headers,
+        body: inbound.body,
+        truncated: inbound.truncated
+      },
+      upstream: session.upstream.map((exchange) => {
+        const requestBody = this._serializeBody(exchange.requestBody)
+        const responseBody = this._serializeBody(exchange.responseBody)
+        return {
+          url: exchange.url,
+          method: exchange.method,
+          requestHeaders: exchange.requestHeaders,
+          requestBody: requestBody.body,
+          requestTruncated: requestBody.truncated,
+          status: exchange.status,
+          responseHeaders: exchange.responseHeaders,
+          responseBody: responseBody.body,
+          responseTruncated: responseBody.truncated,
+          error: exchange.error,
+          durationMs: exchange.durationMs
+        }
+      }),
+      response: {
+        status: res.statusCode,
+        headers: maskHeaders(res.getHeaders()),
+        body: response.body,
+        truncated: response.truncated,
+        completed: res.writableFinished
+      }
+    }
+
+    const summary = {
+      id: record.id,
+      createdAt: record.createdAt,
+      durationMs: record.durationMs,
+      apiKeyId: record.apiKeyId,
+      apiKeyName: record.apiKeyName,
+      accountId: record.accountId,
+      accountType: record.accountType,
+      method: record.method,
+      path: record.path,
+      status: record.response.status,
+      upstreamCount: record.upstream.length
+    }
+
+    const client = redis.getClientSafe()
+    const now = Date.now()
+    await client
+      .pipeline()
+      .set(`${ENTRY_PREFIX}${record.id}`, JSON.stringify(record), 'EX', settings.ttlSeconds)
+      .zadd(INDEX_KEY, now, record.id)
+      .hset(SUMMARY_KEY, record.id, JSON.stringify(summary))
+      .exec()
+
+    await this._trim(settings)
+    logger.info(
+      `🎥 Captured ${record.method} ${record.path} for key ${record.apiKeyName} (${record.id})`
+    )
+  }
+
+  // 清理已过期及超出条目上限的记录
+  async _trim(settings = this.getSettings()) {
+    const client = redis.getClientSafe()
+    const expired = await client.zrangebyscore(
+      INDEX_KEY,
+      0,
+      Date.now() - settings.ttlSeconds * 1000
+    )
+    const size = await client.zcard(INDEX_KEY)
+    const overflow =
+      size - expired.length > settings.maxEntries
+        ? await client.zrange(
+            INDEX_KEY,
+            expired.length,
+            expired.length + size - expired.length - settings.maxEntries - 1
+          )
+        : []
+    const removed = [...expired, ...overflow]
+    if (removed.length === 0) {
+      return
+    }
+    await client
+      .pipeline()
+      .del(...removed.map((id) => `${ENTRY_PREFIX}${id}`))
+      .zrem(INDEX_KEY, ...removed)
+      .hdel(SUMMARY_KEY, ...removed)
+      .exec()
+  }
+
+  // 📋 查询
+
+  /**
+   * 列出抓包记录摘要（按时间倒序）
+   * @param {Object} filters - { apiKeyId, accountId, limit }
+   */
+  async list({ apiKeyId, accountId, limit = 50 } = {}) {
+    await this._trim()
+    const client = redis.getClientSafe()
+    const ids = await client.zrevrange(INDEX_KEY, 0, -1)
+    if (ids.length === 0) {
+      return []
+    }
+    const summaries = await client.hmget(SUMMARY_KEY, ...ids)
+    const results = []
+    for (const raw of summaries) {
+      if (!raw) {
+        continue
+      }
+      const summary = JSON.parse(raw)
+      if (apiKeyId && summary.apiKeyId !== apiKeyId) {
+        continue
+      }
+      if (accountId && summary.accountId !== accountId) {
+        continue
+      }
+      results.push(summary)
+      if (results.length >= limit) {
+        break
+      }
+    }
+    return results
+  }
+
+  async get(id) {
+    const data = await redis.getClientSafe().get(`${ENTRY_PREFIX}${id}`)
+    return data ? JSON.parse(data) : null
+  }
+
+  async delete(id) {
+    const [[, deleted]] = await redis
+      .getClientSafe()
+      .pipeline()
+      .del(`${ENTRY_PREFIX}${id}`)
+      .zrem(INDEX_KEY, id)
+      .hdel(SUMMARY_KEY, id)
+      .exec()
+    return deleted > 0
+  }
+
+  // 🔁 重放
+
+  /**
+   * 将抓到的上游请求重放到指定账户或本地 Mock 上游
+   * @param {string} id - 抓包记录 ID
+   * @param {Object} options - { target: 'mock'|'account', url, accountId, accountType, exchangeIndex }
+   * @returns {Promise<Object>} 重放结果，包含与抓包记录的对比
+   */
+  async replay(id, { target, url, accountId, accountType, exchangeIndex } = {}) {
+    const capture = await this.get(id)
+    if (!capture) {
+      throw replayError('Capture not found', 404)
+    }
+
+    const index =
+      exchangeIndex !== undefined && exchangeIndex !== null
+        ? parseInt(exchangeIndex)
+        : capture.upstream.length - 1
+    const exchange = capture.upstream[index]
+    if (!exchange) {
+      throw replayError('Capture has no upstream request at the given index')
+    }
+    if (exchange.requestTruncated) {
+      throw replayError('Upstream request body was truncated and cannot be replayed')
+    }
+
+    const headers = {}
+    for (const [name, value] of Object.entries(exchange.requestHeaders || {})) {
+      const lower = name.toLowerCase()
+      if (!SECRET_HEADERS.has(lower) && !REPLAY_SKIPPED_HEADERS.has(lower)) {
+        headers[name] = value
+      }
+    }
+
+    let requestUrl
+    let proxyAgent = null
+    if (target === 'mock') {
+      if (!/^https?:\/\//i.test(url || '')) {
+        throw replayError('Mock upstream url must be an http(s) URL')
+      }
+      requestUrl = url
+    } else if (target === 'account') {
+      ;({ requestUrl, proxyAgent } = await this._prepareAccountReplay(
+        exchange,
+        headers,
+        accountId,
+        accountType
+      ))
+    } else {
+      throw replayError("target must be 'mock' or 'account'")
+    }
+
+    const body =
+      exchange.requestBody === null || typeof exchange.requestBody === 'string'
+        ? exchange.requestBody
+        : JSON.stringify(exchange.requestBody)
+
+    const startedAt = Date.now()
+    const requestConfig = {
+      method: exchange.method || 'POST',
+      url: requestUrl,
+      headers,
+      data: body,
+      responseType: 'text',
+      transformResponse: (data) => data,
+      validateStatus: () => true,
+      timeout: config.requestTimeout || 600000
+    }
+    if (proxyAgent) {
+      requestConfig.httpAgent = proxyAgent
+      requestConfig.httpsAgent = proxyAgent
+      requestConfig.proxy = false
+    }
+
+    const response = await axios(requestConfig)
+    const recorder = new BodyRecorder(this.getSettings().maxBodyBytes)
+    recorder.append(response.data || '')
+    const replayed = this._serializeBody(recorder)
+    const capturedBody =
+      typeof exchange.responseBody === 'string'
+        ? exchange.responseBody
+        : JSON.stringify(exchange.responseBody)
+
+    logger.info(`🔁 Replayed capture ${id} against ${target} -> ${response.status}`)
+
+    return {
+      captureId: id,
+      exchangeIndex: index,
+      target,
+      url: maskUrl(requestUrl),
+      status: response.status,
+      headers: maskHeaders(response.headers),
+      body: replayed.body,
+      truncated: replayed.truncated,
+      durationMs: Date.now() - startedAt,
+      comparison: {
+        capturedStatus: exchange.status,
+        statusMatches: response.status === exchange.status,
+        bodyMatches:
+          typeof replayed.body === 'string'
+            ? replayed.body === capturedBody
+            : JSON.stringify(replayed.body) === capturedBody
+      }
+    }
+  }
+
+  // 使用指定账户的凭据重放（目前支持 Claude 官方与 Claude Console 账户）
+  async _prepareAccountReplay(exchange, headers, accountId, accountType) {
+    if (!REPLAY_ACCOUNT_TYPES.includes(accountType)) {
+      throw replayError(`accountType must be one of: ${REPLAY_ACCOUNT_TYPES.join(', ')}`)
+    }
+    if (!accountId) {
+      throw replayError('accountId is required')
+    }
+
+    const upstreamPath = (() => {
+      try {
+        const parsed = new URL(exchange.url)
+        return `${parsed.pathname}${parsed.search}`
+      } catch (error) {
+        return '/v1/messages'
+      }
+    })()
+
+    if (accountType === 'claude-official') {
+      // 延迟加载，避免抓包服务被认证中间件引入时连带加载账户服务
+      const claudeAccountService = require('./claudeAccountService')
+      const account = await claudeAccountService.getAccount(accountId)
+      if (!account) {
+        throw replayError('Account not found', 404)
+      }
+      const accessToken = await claudeAccountService.getValidAccessToken(accountId)
+      headers['authorization'] = `Bearer ${accessToken}`
+      return {
+        requestUrl: `https://api.anthropic.com${upstreamPath}`,
+        proxyAgent: ProxyHelper.createProxyAgent(account.proxy)
+      }
+    }
+
+    const claudeConsoleAccountService = require('./claudeConsoleAccountService')
+    const account = await claudeConsoleAccountService.getAccount(accountId)
+    if (!account) {
+      throw replayError('Account not found', 404)
+    }
+    // 与 Claude Console 转发保持一致的认证方式
+    if (account.apiKey && account.apiKey.startsWith('sk-ant-')) {
+      headers['x-api-key'] = account.apiKey
+    } else {
+      headers['Authorization'] = `Bearer ${account.apiKey}`
+    }
+    const baseUrl = account.apiUrl.replace(/\/$/, '').replace(/\/v1\/messages$/, '')
+    return {
+      requestUrl: `${baseUrl}${upstreamPath.split('?')[0]}`,
+      proxyAgent: claudeConsoleAccountService._createProxyAgent(account.proxy)
+    }
+  }
+}
+
+module.exports = new CaptureService()
@@ -3,22 +3,25 @@ const crypto = require('crypto')
 const ProxyHelper = require('../utils/proxyHelper')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
-const config = require('../../config/config')
 const LRUCache = require('../utils/lruCache')
+const { credentialVault } = require('../utils/credentialVault')
+const credentialRotationService = require('./credentialRotationService')
 
 class CcrAccountService {
   constructor() {
-    // 加密相关常量
-    this.ENCRYPTION_ALGORITHM = 'aes-256-cbc'
-    this.ENCRYPTION_SALT = 'ccr-account-salt'
-
     // Redis键前缀
     this.ACCOUNT_KEY_PREFIX = 'ccr_account:'
     this.SHARED_ACCOUNTS_KEY = 'shared_ccr_accounts'
 
-    // 🚀 性能优化：缓存派生的加密密钥，避免每次重复计算
-    // scryptSync 是 CPU 密集型操作，缓存可以减少 95%+ 的 CPU 密集型操作
-    this._encryptionKeyCache = null
+    // 🔐 凭证加解密（共用凭证保险库，兼容旧格式密文）
+    this._cipher = credentialVault.createCipher('ccr', { salt: 'ccr-account-salt' })
+    credentialRotationService.registerStore({
+      name: 'ccr',
+      pattern: 'ccr_account:*',
+      type: 'hash',
+      fields: ['apiKey'],
+      cipher: this._cipher
+    })
 
     // 🔄 解密结果缓存，提高解密性能
     this._decryptCache = new LRUCache(500)
@@ -606,20 +609,7 @@ class CcrAccountService {
 
   // 🔐 加密敏感数据
   _encryptSensitiveData(data) {
-    if (!data) {
-      return ''
-    }
-    try {
-      const key = this._generateEncryptionKey()
-      const iv = crypto.randomBytes(16)
-      const cipher = crypto.createCipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
-      let encrypted = cipher.update(data, 'utf8', 'hex')
-      encrypted += cipher.final('hex')
-      return `${iv.toString('hex')}:${encrypted}`
-    } catch (error) {
-      logger.error('❌ CCR encryption error:', error)
-      return data
-    }
+    return this._cipher.encrypt(data)
   }
 
   // 🔓 解密敏感数据
@@ -636,40 +626,21 @@ class CcrAccountService {
     }
 
     try {
-      const parts = encryptedData.split(':')
-      if (parts.length === 2) {
-        const key = this._generateEncryptionKey()
-        const iv = Buffer.from(parts[0], 'hex')
-        const encrypted = parts[1]
-        const decipher = crypto.createDecipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8')
-        decrypted += decipher.final('utf8')
-
-        // 💾 存入缓存（5分钟过期）
-        this._decryptCache.set(cacheKey, decrypted, 5 * 60 * 1000)
-
-        return decrypted
-      } else {
-        logger.error('❌ Invalid CCR encrypted data format')
-        return encryptedData
+      const decrypted = this._cipher.decrypt(encryptedData)
+
+      // 💾 存入缓存（5分钟过期）
+      this._decryptCache.set(cacheKey, decrypted, 5 * 60 * 1000)
+
+      // 📊 定期打印缓存统计
+      if ((this._decryptCache.hits + this._decryptCache.misses) % 1000 === 0) {
+        this._decryptCache.printStats()
       }
-    } catch (error) {
-      logger.error('❌ CCR decryption error:', error)
-      return encryptedData
-    }
-  }
 
-  // 🔑 生成加密密钥
-  _generateEncryptionKey() {
-    // 性能优化：缓存密钥派生结果，避免重复的 CPU 密集计算
-    if (!this._encryptionKeyCache) {
-      this._encryptionKeyCache = crypto.scryptSync(
-        config.security.encryptionKey,
-        this.ENCRYPTION_SALT,
-        32
-      )
+      return decrypted
+    } catch (error) {
+      // 解密失败已由凭证保险库记录，返回空值避免把密文当作凭证使用
+      return ''
     }
-    return this._encryptionKeyCache
   }
 
   // 🔍 获取限流状态信息
@@ -4,6 +4,8 @@ const logger = require('../utils/logger')
 const config = require('../../config/config')
 const { parseVendorPrefixedModel } = require('../utils/modelHelper')
 const userMessageQueueService = require('./userMessageQueueService')
+const circuitBreakerService = require('./circuitBreakerService')
+const requestTransformService = require('./requestTransformService')
 
 class CcrRelayService {
   constructor() {
@@ -217,6 +219,16 @@ class CcrRelayService {
         logger.debug('[DEBUG] No beta header to add')
       }
 
+      // 应用账户 / 分组配置的请求转换规则
+      const transformedRequest = requestTransformService.applyRules(
+        await requestTransformService.getRulesForAccount(accountId),
+        { headers: requestConfig.headers, body: requestConfig.data },
+        'claude',
+        accountId
+      )
+      requestConfig.headers = transformedRequest.headers
+      requestConfig.data = transformedRequest.body
+
       // 发送请求
       logger.debug(
         '📤 Sending request to CCR API with headers:',
@@ -233,6 +245,10 @@ class CcrRelayService {
       }
 
       logger.debug(`🔗 CCR API response: ${response.status}`)
+      circuitBreakerService.recordOutcome(accountId, 'ccr', {
+        statusCode: response.status,
+        accountName: account?.name
+      })
       logger.debug(`[DEBUG] Response headers: ${JSON.stringify(response.headers)}`)
       logger.debug(`[DEBUG] Response data type: ${typeof response.data}`)
       logger.debug(
@@ -289,6 +305,10 @@ class CcrRelayService {
         throw new Error('Client disconnected')
       }
 
+      circuitBreakerService.recordOutcome(accountId, 'ccr', {
+        error,
+        accountName: account?.name
+      })
       logger.error(
         `❌ CCR relay request failed (Account: ${account?.name || accountId}):`,
         error.message
@@ -480,6 +500,9 @@ class CcrRelayService {
     streamTransformer = null,
     requestOptions = {}
   ) {
+    // 转换规则需要异步加载，在建立流式请求前获取
+    const transformRules = await requestTransformService.getRulesForAccount(accountId)
+
     return new Promise((resolve, reject) => {
       let aborted = false
 
@@ -538,12 +561,26 @@ class CcrRelayService {
         requestConfig.headers['anthropic-beta'] = requestOptions.betaHeader
       }
 
+      // 应用账户 / 分组配置的请求转换规则
+      const transformedRequest = requestTransformService.applyRules(
+        transformRules,
+        { headers: requestConfig.headers, body: requestConfig.data },
+        'claude',
+        accountId
+      )
+      requestConfig.headers = transformedRequest.headers
+      requestConfig.data = transformedRequest.body
+
       // 发送请求
       const request = axios(requestConfig)
 
       request
         .then((response) => {
           logger.debug(`🌊 CCR stream response status: ${response.status}`)
+          circuitBreakerService.recordOutcome(accountId, 'ccr', {
+            statusCode: response.status,
+            accountName: account?.name
+          })
 
           // 错误响应处理
           if (response.status !== 200) {
@@ -684,7 +721,19 @@ class CcrRelayService {
 
           response.data.on('error', (err) => {
             logger.error('❌ Stream data error:', err)
+            if (!aborted) {
+              circuitBreakerService.recordOutcome(accountId, 'ccr', {
+                error: err,
+                accountName: account?.name
+              })
+            }
             if (!responseStream.destroyed) {
+              responseStream.write(
+                `data: ${JSON.stringify({
+                  type: 'error',
+                  error: { type: 'stream_error', message: 'CCR upstream stream interrupted' }
+                })}\n\n`
+              )
               responseStream.end()
             }
             reject(err)
@@ -705,6 +754,13 @@ class CcrRelayService {
           })
         })
         .catch((error) => {
+          if (!responseStream.destroyed) {
+            circuitBreakerService.recordOutcome(accountId, 'ccr', {
+              statusCode: error.response?.status || 0,
+              error,
+              accountName: account?.name
+            })
+          }
           if (!responseStream.headersSent) {
             responseStream.writeHead(500, { 'Content-Type': 'application/json' })
           }
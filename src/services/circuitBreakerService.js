@@ -0,0 +1,455 @@
+/**
+ * 通用账户熔断器服务
+ * 按账户 + 错误类别（5xx / 529 过载 / 网络超时 / 401）在滑动窗口内统计上游失败，
+ * 达到阈值后熔断该账户，由各调度器在选择账户时排除。适用于所有账户类型。
+ *
+ * 熔断器状态机（每个错误类别独立）：
+ * - closed（正常）: 正常调度
+ * - open（熔断打开）: 不参与调度，openSeconds 到期后进入半开
+ * - half_open（半开）: 每个探测间隔只放行一个请求，成功则关闭，失败则重新打开
+ *
+ * 与 error403CircuitBreakerService 互不影响：后者仍负责 403 封禁保护。
+ */
+
+const redis = require('../models/redis')
+const config = require('../../config/config')
+const logger = require('../utils/logger')
+const webhookService = require('./webhookService')
+const { getISOStringWithTimezone } = require('../utils/dateHelper')
+const {
+  ERROR_CLASSES,
+  ERROR_CLASS_LABELS,
+  classifyUpstreamError,
+  resolveBreakerSettings,
+  getEffectiveState,
+  getOverallState
+} = require('../utils/circuitBreakerHelper')
+
+const STATE_PREFIX = 'circuit_breaker:'
+const FAILURE_PREFIX = 'circuit_breaker:failures:'
+const PROBE_PREFIX = 'circuit_breaker:probe:'
+const INDEX_KEY = 'circuit_breaker:index'
+// 熔断状态最长保留时间，避免已删除账户的状态永久残留
+const STATE_TTL_SECONDS = 7 * 24 * 3600
+
+class CircuitBreakerService {
+  getSettings() {
+    return resolveBreakerSettings(config.circuitBreaker || {})
+  }
+
+  _stateKey(accountId) {
+    return `${STATE_PREFIX}${accountId}`
+  }
+
+  _failureKey(accountId, errorClass) {
+    return `${FAILURE_PREFIX}${accountId}:${errorClass}`
+  }
+
+  _readEntry(data, errorClass) {
+    return {
+      state: data[`${errorClass}:state`],
+      openedAt: data[`${errorClass}:openedAt`],
+      openUntil: data[`${errorClass}:openUntil`],
+      failures: data[`${errorClass}:failures`]
+    }
+  }
+
+  /**
+   * 记录一次上游请求结果（失败计入对应错误类别，成功用于半开探测的恢复）
+   * 统计失败不影响请求本身
+   * @param {string} accountId - 账户ID
+   * @param {string} accountType - 账户类型（claude-official / claude-console / bedrock / ccr / gemini / openai / azure-openai / droid 等）
+   * @param {Object} outcome - { statusCode, error, accountName }，网络错误时 statusCode 传 0
+   * @returns {Promise<string|null>} 计入的错误类别
+   */
+  async recordOutcome(accountId, accountType, { statusCode = 0, error = null, accountName } = {}) {
+    if (!accountId || !this.getSettings().enabled) {
+      return null
+    }
+    try {
+      const errorClass = classifyUpstreamError(statusCode, error)
+      if (errorClass) {
+        await this.recordFailure(accountId, accountType, errorClass, accountName)
+        return errorClass
+      }
+      if (statusCode > 0 && statusCode < 400) {
+        await this.recordSuccess(accountId, accountType, accountName)
+      }
+    } catch (err) {
+      logger.debug(`Failed to record circuit breaker outcome for ${accountId}: ${err.message}`)
+    }
+    return null
+  }
+
+  /**
+   * 执行上游请求并记录结果（异常原样抛出），用于没有集中错误处理的调用点
+   * @param {string} accountId - 账户ID
+   * @param {string} accountType - 账户类型
+   * @param {Function} requestFn - 发起上游请求的函数
+   * @returns {Promise<*>} requestFn 的返回值
+   */
+  async track(accountId, accountType, requestFn) {
+    let result
+    try {
+      result = await requestFn()
+    } catch (error) {
+      this.recordOutcome(accountId, accountType, {
+        statusCode: error.response?.status || 0,
+        error
+      })
+      throw error
+    }
+    this.recordOutcome(accountId, accountType, {
+      statusCode: Number.isInteger(result?.status) ? result.status : 200
+    })
+    return result
+  }
+
+  /**
+   * 记录一次失败，窗口内达到阈值（或半开探测失败）时打开熔断
+   * @returns {Promise<string>} 该错误类别的最新状态
+   */
+  async recordFailure(accountId, accountType, errorClass, accountName) {
+    const settings = this.getSettings()
+    const classSettings = settings.classes[errorClass]
+    const client = redis.getClientSafe()
+    const [state, openUntil] = await client.hmget(
+      this._stateKey(accountId),
+      `${errorClass}:state`,
+      `${errorClass}:openUntil`
+    )
+    const currentState = getEffectiveState({ state, openUntil })
+
+    if (currentState === 'open') {
+      return 'open'
+    }
+    if (currentState === 'half_open') {
+      // 探测请求失败，立即重新熔断
+      await this._open(accountId, accountType, errorClass, {
+        failures: 1,
+        reason: '半开探测失败',
+        accountName
+      })
+      return 'open'
+    }
+
+    const now = Date.now()
+    const failureKey = this._failureKey(accountId, errorClass)
+    const results = await client
+      .multi()
+      .zadd(failureKey, now, `${now}:${Math.random().toString(36).slice(2, 8)}`)
+      .zremrangebyscore(failureKey, 0, now - classSettings.windowSeconds * 1000)
+      .zcard(failureKey)
+      .expire(failureKey, classSettings.windowSeconds)
+      .exec()
+    const failures = parseInt(results[2][1]) || 0
+
+    logger.debug(
+      `🔌 Circuit breaker: ${errorClass} failure for account ${accountId} (${failures}/${classSettings.threshold})`
+    )
+
+    if (failures >= classSettings.threshold) {
+      await this._open(accountId, accountType, errorClass, {
+        failures,
+        reason: `${classSettings.windowSeconds} 秒内 ${failures} 次${ERROR_CLASS_LABELS[errorClass]}`,
+        accountName
+      })
+      return 'open'
+    }
+    return 'closed'
+  }
+
+  /**
+   * 记录一次成功：半开中的错误类别全部关闭
+   */
+  async recordSuccess(accountId, accountType, accountName) {
+    const data = await redis.getClientSafe().hgetall(this._stateKey(accountId))
+    if (!data || Object.keys(data).length === 0) {
+      return
+    }
+    const now = Date.now()
+    const recovered = ERROR_CLASSES.filter(
+      (errorClass) => getEffectiveState(this._readEntry(data, errorClass), now) === 'half_open'
+    )
+    if (recovered.length > 0) {
+      await this._close(accountId, data.accountType || accountType, recovered, {
+        reason: '半开探测成功',
+        accountName: accountName || data.accountName
+      })
+    }
+  }
+
+  /**
+   * 检查账户是否可被调度
+   * 熔断打开时返回 false；半开时每个探测间隔只有一次调用返回 true（即放行的探测请求）
+   * @param {string} accountId - 账户ID
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable(accountId) {
+    const settings = this.getSettings()
+    if (!settings.enabled || !accountId) {
+      return true
+    }
+    try {
+      const client = redis.getClientSafe()
+      const data = await client.hgetall(this._stateKey(accountId))
+      if (!data || Object.keys(data).length === 0) {
+        return true
+      }
+
+      const now = Date.now()
+      const states = ERROR_CLASSES.map((errorClass) =>
+        getEffectiveState(this._readEntry(data, errorClass), now)
+      )
+      const overall = getOverallState(states)
+      if (overall !== 'half_open') {
+        return overall === 'closed'
+      }
+
+      const acquired = await client.set(
+        `${PROBE_PREFIX}${accountId}`,
+        String(now),
+        'EX',
+        settings.halfOpenProbeSeconds,
+        'NX'
+      )
+      if (acquired === 'OK') {
+        logger.info(`🟡 Circuit breaker: allowing half-open probe request for account ${accountId}`)
+        return true
+      }
+      return false
+    } catch (error) {
+      logger.warn(`⚠️ Failed to check circuit breaker for account ${accountId}: ${error.message}`)
+      return true
+    }
+  }
+
+  /**
+   * 过滤掉熔断中的候选账户（账户对象需包含 accountId 或 id）
+   * @param {Array<Object>} accounts - 候选账户
+   * @returns {Promise<Array<Object>>}
+   */
+  async filterAvailable(accounts) {
+    if (!this.getSettings().enabled || !Array.isArray(accounts) || accounts.length === 0) {
+      return accounts
+    }
+    const availability = await Promise.all(
+      accounts.map((account) => this.isAvailable(account.accountId || account.id))
+    )
+    const filtered = accounts.filter((_, index) => availability[index])
+    if (filtered.length < accounts.length) {
+      logger.info(
+        `🔌 Circuit breaker excluded ${accounts.length - filtered.length} of ${accounts.length} candidate account(s)`
+      )
+    }
+    return filtered
+  }
+
+  /**
+   * 获取账户熔断状态
+   * @param {string} accountId - 账户ID
+   * @returns {Promise<Object>} { accountId, accountType, state, classes: { [errorClass]: {...} } }
+   */
+  async getStatus(accountId) {
+    const settings = this.getSettings()
+    const client = redis.getClientSafe()
+    const now = Date.now()
+    const pipeline = client.pipeline().hgetall(this._stateKey(accountId))
+    for (const errorClass of ERROR_CLASSES) {
+      pipeline.zcount(
+        this._failureKey(accountId, errorClass),
+        now - settings.classes[errorClass].windowSeconds * 1000,
+        '+inf'
+      )
+    }
+    const [[, data], ...counts] = await pipeline.exec()
+    const stateData = data || {}
+
+    const classes = {}
+    ERROR_CLASSES.forEach((errorClass, index) => {
+      const entry = this._readEntry(stateData, errorClass)
+      const state = getEffectiveState(entry, now)
+      const openUntil = parseInt(entry.openUntil) || null
+      classes[errorClass] = {
+        state,
+        failures: parseInt(counts[index][1]) || 0,
+        threshold: settings.classes[errorClass].threshold,
+        openedAt: entry.openedAt ? new Date(parseInt(entry.openedAt)).toISOString() : null,
+        openUntil: openUntil ? new Date(openUntil).toISOString() : null,
+        remainingMs: state === 'open' ? Math.max(0, openUntil - now) : 0
+      }
+    })
+
+    return {
+      accountId,
+      accountType: stateData.accountType || null,
+      accountName: stateData.accountName || null,
+      state: getOverallState(Object.values(classes).map((entry) => entry.state)),
+      classes
+    }
+  }
+
+  /**
+   * 列出所有未关闭的熔断器
+   * @returns {Promise<Array<Object>>}
+   */
+  async listBreakers() {
+    const client = redis.getClientSafe()
+    const accountIds = await client.smembers(INDEX_KEY)
+    const statuses = await Promise.all(accountIds.map((accountId) => this.getStatus(accountId)))
+    const stale = statuses.filter((status) => status.state === 'closed')
+    if (stale.length > 0) {
+      await client.srem(INDEX_KEY, ...stale.map((status) => status.accountId))
+    }
+    return statuses.filter((status) => status.state !== 'closed')
+  }
+
+  /**
+   * 为账户列表附加熔断状态（circuitBreaker 字段，未熔断时为 null）
+   * @param {Array<Object>} accounts - 账户列表（需包含 id）
+   * @returns {Promise<Array<Object>>}
+   */
+  async attachStatuses(accounts) {
+    let breakers = []
+    try {
+      breakers = await this.listBreakers()
+    } catch (error) {
+      logger.warn(`⚠️ Failed to load circuit breaker states: ${error.message}`)
+    }
+    const byAccountId = new Map(breakers.map((breaker) => [breaker.accountId, breaker]))
+    return accounts.map((account) => ({
+      ...account,
+      circuitBreaker: byAccountId.get(account.id) || null
+    }))
+  }
+
+  /**
+   * 手动重置账户熔断器
+   * @param {string} accountId - 账户ID
+   * @param {string} errorClass - 只重置指定错误类别（可选）
+   * @returns {Promise<Object>} 重置后的状态
+   */
+  async reset(accountId, errorClass = null) {
+    if (errorClass && !ERROR_CLASSES.includes(errorClass)) {
+      throw new Error(`errorClass must be one of: ${ERROR_CLASSES.join(', ')}`)
+    }
+    const data = (await redis.getClientSafe().hgetall(this._stateKey(accountId))) || {}
+    const classes = errorClass
+      ? [errorClass]
+      : ERROR_CLASSES.filter((item) => this._readEntry(data, item).state)
+    await this._close(accountId, data.accountType || null, classes, {
+      reason: '管理员手动重置',
+      accountName: data.accountName,
+      notify: classes.some((item) => this._readEntry(data, item).state)
+    })
+    return await this.getStatus(accountId)
+  }
+
+  async _open(accountId, accountType, errorClass, { failures, reason, accountName }) {
+    const { openSeconds } = this.getSettings().classes[errorClass]
+    const now = Date.now()
+    const openUntil = now + openSeconds * 1000
+    const stateKey = this._stateKey(accountId)
+    const fields = {
+      [`${errorClass}:state`]: 'open',
+      [`${errorClass}:openedAt`]: String(now),
+      [`${errorClass}:openUntil`]: String(openUntil),
+      [`${errorClass}:failures`]: String(failures)
+    }
+    if (accountType) {
+      fields.accountType = accountType
+    }
+    if (accountName) {
+      fields.accountName = accountName
+    }
+
+    await redis
+      .getClientSafe()
+      .multi()
+      .hset(stateKey, fields)
+      .expire(stateKey, STATE_TTL_SECONDS)
+      .del(this._failureKey(accountId, errorClass), `${PROBE_PREFIX}${accountId}`)
+      .sadd(INDEX_KEY, accountId)
+      .exec()
+
+    logger.error(
+      `🔥 Circuit breaker OPENED for account ${accountId} (${accountType}), class: ${errorClass}, reason: ${reason}, duration: ${openSeconds}s`
+    )
+    this._notify('open', {
+      accountId,
+      accountType,
+      accountName,
+      errorClass,
+      reason,
+      openUntil
+    })
+  }
+
+  async _close(accountId, accountType, classes, { reason, accountName, notify = true }) {
+    const client = redis.getClientSafe()
+    const stateKey = this._stateKey(accountId)
+    const multi = client.multi()
+    if (classes.length > 0) {
+      multi.hdel(
+        stateKey,
+        ...classes.flatMap((errorClass) => [
+          `${errorClass}:state`,
+          `${errorClass}:openedAt`,
+          `${errorClass}:openUntil`,
+          `${errorClass}:failures`
+        ])
+      )
+    }
+    for (const errorClass of classes) {
+      multi.del(this._failureKey(accountId, errorClass))
+    }
+    await multi.del(`${PROBE_PREFIX}${accountId}`).exec()
+
+    // 所有错误类别都已关闭时清理状态与索引
+    const remaining = (await client.hgetall(stateKey)) || {}
+    if (!ERROR_CLASSES.some((errorClass) => remaining[`${errorClass}:state`])) {
+      await client.multi().del(stateKey).srem(INDEX_KEY, accountId).exec()
+    }
+
+    if (!notify || classes.length === 0) {
+      return
+    }
+    logger.success(
+      `Circuit breaker CLOSED for account ${accountId} (${accountType}), classes: ${classes.join(', ')}, reason: ${reason}`
+    )
+    this._notify('close', {
+      accountId,
+      accountType,
+      accountName,
+      errorClass: classes.join(','),
+      reason
+    })
+  }
+
+  _notify(event, { accountId, accountType, accountName, errorClass, reason, openUntil }) {
+    const isOpen = event === 'open'
+    const labels = errorClass
+      .split(',')
+      .map((item) => ERROR_CLASS_LABELS[item] || item)
+      .join('、')
+    // 不等待 webhook 发送完成，避免拖慢请求
+    webhookService
+      .sendNotification('circuitBreaker', {
+        accountId,
+        accountName: accountName || accountId,
+        platform: accountType,
+        status: isOpen ? 'circuit_open' : 'circuit_closed',
+        errorCode: errorClass,
+        reason: isOpen
+          ? `账户因${labels}触发熔断：${reason}`
+          : `账户${labels}熔断已恢复：${reason}`,
+        openUntil: openUntil ? getISOStringWithTimezone(new Date(openUntil)) : undefined,
+        timestamp: getISOStringWithTimezone(new Date())
+      })
+      .catch((error) => {
+        logger.error('Failed to send circuit breaker notification:', error)
+      })
+  }
+}
+
+module.exports = new CircuitBreakerService()
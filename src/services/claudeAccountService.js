@@ -15,6 +15,8 @@ const {
 } = require('../utils/tokenRefreshLogger')
 const tokenRefreshService = require('./tokenRefreshService')
 const LRUCache = require('../utils/lruCache')
+const { credentialVault } = require('../utils/credentialVault')
+const credentialRotationService = require('./credentialRotationService')
 const { formatDateWithTimezone, getISOStringWithTimezone } = require('../utils/dateHelper')
 const { isOpus45OrNewer } = require('../utils/modelHelper')
 
@@ -49,13 +51,18 @@ class ClaudeAccountService {
 
     this.maxFiveHourWarningsPerWindow = Math.min(maxWarnings, 10)
 
-    // 加密相关常量
-    this.ENCRYPTION_ALGORITHM = 'aes-256-cbc'
-    this.ENCRYPTION_SALT = 'salt'
-
-    // 🚀 性能优化：缓存派生的加密密钥，避免每次重复计算
-    // scryptSync 是 CPU 密集型操作，缓存可以减少 95%+ 的 CPU 占用
-    this._encryptionKeyCache = null
+    // 🔐 凭证加解密（共用凭证保险库，兼容旧格式密文）
+    this._cipher = credentialVault.createCipher('claude', {
+      salt: 'salt',
+      allowDeprecatedCipher: true
+    })
+    credentialRotationService.registerStore({
+      name: 'claude',
+      pattern: 'claude:account:*',
+      type: 'hash',
+      fields: ['email', 'password', 'claudeAiOauth', 'accessToken', 'refreshToken'],
+      cipher: this._cipher
+    })
 
     // 🔄 解密结果缓存，提高解密性能
     this._decryptCache = new LRUCache(500)
@@ -1144,24 +1151,7 @@ class ClaudeAccountService {
 
   // 🔐 加密敏感数据
   _encryptSensitiveData(data) {
-    if (!data) {
-      return ''
-    }
-
-    try {
-      const key = this._generateEncryptionKey()
-      const iv = crypto.randomBytes(16)
-
-      const cipher = crypto.createCipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
-      let encrypted = cipher.update(data, 'utf8', 'hex')
-      encrypted += cipher.final('hex')
-
-      // 将IV和加密数据一起返回，用:分隔
-      return `${iv.toString('hex')}:${encrypted}`
-    } catch (error) {
-      logger.error('❌ Encryption error:', error)
-      return data
-    }
+    return this._cipher.encrypt(data)
   }
 
   // 🔓 解密敏感数据
@@ -1178,71 +1168,21 @@ class ClaudeAccountService {
     }
 
     try {
-      let decrypted = ''
-
-      // 检查是否是新格式（包含IV）
-      if (encryptedData.includes(':')) {
-        // 新格式：iv:encryptedData
-        const parts = encryptedData.split(':')
-        if (parts.length === 2) {
-          const key = this._generateEncryptionKey()
-          const iv = Buffer.from(parts[0], 'hex')
-          const encrypted = parts[1]
-
-          const decipher = crypto.createDecipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
-          decrypted = decipher.update(encrypted, 'hex', 'utf8')
-          decrypted += decipher.final('utf8')
-
-          // 💾 存入缓存（5分钟过期）
-          this._decryptCache.set(cacheKey, decrypted, 5 * 60 * 1000)
-
-          // 📊 定期打印缓存统计
-          if ((this._decryptCache.hits + this._decryptCache.misses) % 1000 === 0) {
-            this._decryptCache.printStats()
-          }
+      const decrypted = this._cipher.decrypt(encryptedData)
 
-          return decrypted
-        }
-      }
-
-      // 旧格式或格式错误，尝试旧方式解密（向后兼容）
-      // 注意：在新版本Node.js中这将失败，但我们会捕获错误
-      try {
-        const decipher = crypto.createDecipher('aes-256-cbc', config.security.encryptionKey)
-        decrypted = decipher.update(encryptedData, 'hex', 'utf8')
-        decrypted += decipher.final('utf8')
+      // 💾 存入缓存（5分钟过期）
+      this._decryptCache.set(cacheKey, decrypted, 5 * 60 * 1000)
 
-        // 💾 旧格式也存入缓存
-        this._decryptCache.set(cacheKey, decrypted, 5 * 60 * 1000)
-
-        return decrypted
-      } catch (oldError) {
-        // 如果旧方式也失败，返回原数据
-        logger.warn('⚠️ Could not decrypt data, returning as-is:', oldError.message)
-        return encryptedData
+      // 📊 定期打印缓存统计
+      if ((this._decryptCache.hits + this._decryptCache.misses) % 1000 === 0) {
+        this._decryptCache.printStats()
       }
-    } catch (error) {
-      logger.error('❌ Decryption error:', error)
-      return encryptedData
-    }
-  }
 
-  // 🔑 生成加密密钥（辅助方法）
-  _generateEncryptionKey() {
-    // 性能优化：缓存密钥派生结果，避免重复的 CPU 密集计算
-    // scryptSync 是故意设计为慢速的密钥派生函数（防暴力破解）
-    // 但在高并发场景下，每次都重新计算会导致 CPU 100% 占用
-    if (!this._encryptionKeyCache) {
-      // 只在第一次调用时计算，后续使用缓存
-      // 由于输入参数固定，派生结果永远相同，不影响数据兼容性
-      this._encryptionKeyCache = crypto.scryptSync(
-        config.security.encryptionKey,
-        this.ENCRYPTION_SALT,
-        32
-      )
-      logger.info('🔑 Encryption key derived and cached for performance optimization')
+      return decrypted
+    } catch (error) {
+      // 解密失败已由凭证保险库记录，返回空值避免把密文当作凭证使用
+      return ''
     }
-    return this._encryptionKeyCache
   }
 
   // 🎭 掩码邮箱地址
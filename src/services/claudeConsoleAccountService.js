@@ -3,22 +3,25 @@ const crypto = require('crypto')
 const ProxyHelper = require('../utils/proxyHelper')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
-const config = require('../../config/config')
 const LRUCache = require('../utils/lruCache')
+const { credentialVault } = require('../utils/credentialVault')
+const credentialRotationService = require('./credentialRotationService')
 
 class ClaudeConsoleAccountService {
   constructor() {
-    // 加密相关常量
-    this.ENCRYPTION_ALGORITHM = 'aes-256-cbc'
-    this.ENCRYPTION_SALT = 'claude-console-salt'
-
     // Redis键前缀
     this.ACCOUNT_KEY_PREFIX = 'claude_console_account:'
     this.SHARED_ACCOUNTS_KEY = 'shared_claude_console_accounts'
 
-    // 🚀 性能优化：缓存派生的加密密钥，避免每次重复计算
-    // scryptSync 是 CPU 密集型操作，缓存可以减少 95%+ 的 CPU 密集型操作
-    this._encryptionKeyCache = null
+    // 🔐 凭证加解密（共用凭证保险库，兼容旧格式密文）
+    this._cipher = credentialVault.createCipher('claude-console', { salt: 'claude-console-salt' })
+    credentialRotationService.registerStore({
+      name: 'claude-console',
+      pattern: 'claude_console_account:*',
+      type: 'hash',
+      fields: ['apiKey'],
+      cipher: this._cipher
+    })
 
     // 🔄 解密结果缓存，提高解密性能
     this._decryptCache = new LRUCache(500)
@@ -1061,23 +1064,7 @@ class ClaudeConsoleAccountService {
 
   // 🔐 加密敏感数据
   _encryptSensitiveData(data) {
-    if (!data) {
-      return ''
-    }
-
-    try {
-      const key = this._generateEncryptionKey()
-      const iv = crypto.randomBytes(16)
-
-      const cipher = crypto.createCipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
-      let encrypted = cipher.update(data, 'utf8', 'hex')
-      encrypted += cipher.final('hex')
-
-      return `${iv.toString('hex')}:${encrypted}`
-    } catch (error) {
-      logger.error('❌ Encryption error:', error)
-      return data
-    }
+    return this._cipher.encrypt(data)
   }
 
   // 🔓 解密敏感数据
@@ -1094,52 +1081,21 @@ class ClaudeConsoleAccountService {
     }
 
     try {
-      if (encryptedData.includes(':')) {
-        const parts = encryptedData.split(':')
-        if (parts.length === 2) {
-          const key = this._generateEncryptionKey()
-          const iv = Buffer.from(parts[0], 'hex')
-          const encrypted = parts[1]
-
-          const decipher = crypto.createDecipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
-          let decrypted = decipher.update(encrypted, 'hex', 'utf8')
-          decrypted += decipher.final('utf8')
-
-          // 💾 存入缓存（5分钟过期）
-          this._decryptCache.set(cacheKey, decrypted, 5 * 60 * 1000)
-
-          // 📊 定期打印缓存统计
-          if ((this._decryptCache.hits + this._decryptCache.misses) % 1000 === 0) {
-            this._decryptCache.printStats()
-          }
+      const decrypted = this._cipher.decrypt(encryptedData)
 
-          return decrypted
-        }
+      // 💾 存入缓存（5分钟过期）
+      this._decryptCache.set(cacheKey, decrypted, 5 * 60 * 1000)
+
+      // 📊 定期打印缓存统计
+      if ((this._decryptCache.hits + this._decryptCache.misses) % 1000 === 0) {
+        this._decryptCache.printStats()
       }
 
-      return encryptedData
+      return decrypted
     } catch (error) {
-      logger.error('❌ Decryption error:', error)
-      return encryptedData
-    }
-  }
-
-  // 🔑 生成加密密钥
-  _generateEncryptionKey() {
-    // 性能优化：缓存密钥派生结果，避免重复的 CPU 密集计算
-    // scryptSync 是故意设计为慢速的密钥派生函数（防暴力破解）
-    // 但在高并发场景下，每次都重新计算会导致 CPU 100% 占用
-    if (!this._encryptionKeyCache) {
-      // 只在第一次调用时计算，后续使用缓存
-      // 由于输入参数固定，派生结果永远相同，不影响数据兼容性
-      this._encryptionKeyCache = crypto.scryptSync(
-        config.security.encryptionKey,
-        this.ENCRYPTION_SALT,
-        32
-      )
-      logger.info('🔑 Console encryption key derived and cached for performance optimization')
+      // 解密失败已由凭证保险库记录，返回空值避免把密文当作凭证使用
+      return ''
     }
-    return this._encryptionKeyCache
   }
 
   // 🎭 掩码API URL
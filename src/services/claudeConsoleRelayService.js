@@ -10,6 +10,9 @@ const {
   isAccountDisabledError
 } = require('../utils/errorSanitizer')
 const userMessageQueueService = require('./userMessageQueueService')
+const accountHealthService = require('./accountHealthService')
+const circuitBreakerService = require('./circuitBreakerService')
+const requestTransformService = require('./requestTransformService')
 
 class ClaudeConsoleRelayService {
   constructor() {
@@ -262,12 +265,27 @@ class ClaudeConsoleRelayService {
         logger.debug('[DEBUG] No beta header to add')
       }
 
+      // 应用账户 / 分组配置的请求转换规则
+      const transformedRequest = requestTransformService.applyRules(
+        await requestTransformService.getRulesForAccount(accountId),
+        { headers: requestConfig.headers, body: requestConfig.data },
+        'claude',
+        accountId
+      )
+      requestConfig.headers = transformedRequest.headers
+      requestConfig.data = transformedRequest.body
+
       // 发送请求
       logger.debug(
         '📤 Sending request to Claude Console API with headers:',
         JSON.stringify(requestConfig.headers, null, 2)
       )
       const response = await axios(requestConfig)
+      accountHealthService.recordResponse(accountId, response.status)
+      circuitBreakerService.recordOutcome(accountId, 'claude-console', {
+        statusCode: response.status,
+        accountName: account?.name
+      })
 
       // 移除监听器（请求成功完成）
       if (clientRequest) {
@@ -409,6 +427,10 @@ class ClaudeConsoleRelayService {
         throw new Error('Client disconnected')
       }
 
+      circuitBreakerService.recordOutcome(accountId, 'claude-console', {
+        error,
+        accountName: account?.name
+      })
       logger.error(
         `❌ Claude Console relay request failed (Account: ${account?.name || accountId}):`,
         error.message
@@ -693,6 +715,9 @@ class ClaudeConsoleRelayService {
     streamTransformer = null,
     requestOptions = {}
   ) {
+    // 转换规则需要异步加载，在建立流式请求前获取
+    const transformRules = await requestTransformService.getRulesForAccount(accountId)
+
     return new Promise((resolve, reject) => {
       let aborted = false
 
@@ -751,12 +776,33 @@ class ClaudeConsoleRelayService {
         requestConfig.headers['anthropic-beta'] = requestOptions.betaHeader
       }
 
+      // 支持调用方中止上游请求（如对冲请求中落败的一方）
+      if (requestOptions.abortSignal) {
+        requestConfig.signal = requestOptions.abortSignal
+      }
+
+      // 应用账户 / 分组配置的请求转换规则
+      const transformedRequest = requestTransformService.applyRules(
+        transformRules,
+        { headers: requestConfig.headers, body: requestConfig.data },
+        'claude',
+        accountId
+      )
+      requestConfig.headers = transformedRequest.headers
+      requestConfig.data = transformedRequest.body
+
       // 发送请求
+      const requestStartedAt = Date.now()
       const request = axios(requestConfig)
 
       request
         .then((response) => {
           logger.debug(`🌊 Claude Console Claude stream response status: ${response.status}`)
+          accountHealthService.recordResponse(accountId, response.status)
+          circuitBreakerService.recordOutcome(accountId, 'claude-console', {
+            statusCode: response.status,
+            accountName: account?.name
+          })
 
           // 错误响应处理
           if (response.status !== 200) {
@@ -886,6 +932,7 @@ class ClaudeConsoleRelayService {
 
           let buffer = ''
           let finalUsageReported = false
+          let firstChunkReceived = false
           const collectedUsageData = {
             model: body.model || account?.defaultModel || null
           }
@@ -897,6 +944,11 @@ class ClaudeConsoleRelayService {
                 return
               }
 
+              if (!firstChunkReceived) {
+                firstChunkReceived = true
+                accountHealthService.recordTtfb(accountId, Date.now() - requestStartedAt)
+              }
+
               const chunkStr = chunk.toString()
               buffer += chunkStr
 
@@ -1115,6 +1167,14 @@ class ClaudeConsoleRelayService {
               `❌ Claude Console stream error (Account: ${account?.name || accountId}):`,
               error
             )
+            // 上游中途断开计入账户错误（客户端主动断开除外）
+            if (!aborted) {
+              accountHealthService.recordResponse(accountId, 0)
+              circuitBreakerService.recordOutcome(accountId, 'claude-console', {
+                error,
+                accountName: account?.name
+              })
+            }
             if (!responseStream.destroyed) {
               // 如果有 streamTransformer（如测试请求），使用前端期望的格式
               if (streamTransformer) {
@@ -1138,9 +1198,17 @@ class ClaudeConsoleRelayService {
         })
         .catch((error) => {
           if (aborted) {
+            // 客户端已断开，结束等待以便释放并发槽位
+            resolve()
             return
           }
 
+          accountHealthService.recordResponse(accountId, error.response?.status || 0)
+          circuitBreakerService.recordOutcome(accountId, 'claude-console', {
+            statusCode: error.response?.status || 0,
+            error,
+            accountName: account?.name
+          })
           logger.error(
             `❌ Claude Console stream request error (Account: ${account?.name || accountId}):`,
             error.message
@@ -15,11 +15,15 @@ const redis = require('../models/redis')
 const ClaudeCodeValidator = require('../validators/clients/claudeCodeValidator')
 const { formatDateWithTimezone } = require('../utils/dateHelper')
 const requestIdentityService = require('./requestIdentityService')
+const requestTransformService = require('./requestTransformService')
 const { createClaudeTestPayload } = require('../utils/testPayloadHelper')
 const userMessageQueueService = require('./userMessageQueueService')
 const error403CircuitBreakerService = require('./error403CircuitBreakerService')
 const accountRateLimitService = require('./accountRateLimitService')
 const sameSecondRequestGuard = require('../utils/sameSecondRequestGuard')
+const captureService = require('./captureService')
+const accountHealthService = require('./accountHealthService')
+const circuitBreakerService = require('./circuitBreakerService')
 
 class ClaudeRelayService {
   constructor() {
@@ -244,14 +248,16 @@ class ClaudeRelayService {
       // 生成会话哈希用于sticky会话
       const sessionHash = sessionHelper.generateSessionHash(requestBody)
 
-      // 选择可用的Claude账户（支持专属绑定和sticky会话）
+      // 选择可用的Claude账户（支持专属绑定和sticky会话；批处理 worker 由调用方指定账户）
       let accountSelection
       try {
-        accountSelection = await unifiedClaudeScheduler.selectAccountForApiKey(
-          apiKeyData,
-          sessionHash,
-          requestBody.model
-        )
+        accountSelection =
+          options.forcedAccount ||
+          (await unifiedClaudeScheduler.selectAccountForApiKey(
+            apiKeyData,
+            sessionHash,
+            requestBody.model
+          ))
       } catch (error) {
         if (error.code === 'CLAUDE_DEDICATED_RATE_LIMITED') {
           const limitMessage = this._buildStandardRateLimitMessage(error.rateLimitEndAt)
@@ -562,6 +568,10 @@ class ClaudeRelayService {
 
       response.accountId = accountId
       response.accountType = accountType
+      accountHealthService.recordResponse(accountId, response.statusCode)
+      circuitBreakerService.recordOutcome(accountId, accountType, {
+        statusCode: response.statusCode
+      })
 
       // 移除监听器（请求成功完成）
       if (clientRequest) {
@@ -1303,6 +1313,15 @@ class ClaudeRelayService {
     requestPayload = extensionResult.body
     finalHeaders = extensionResult.headers
 
+    // 应用账户 / 分组配置的请求转换规则：请求体在序列化前转换，请求头在最终组装完成后转换
+    const transformRules = await requestTransformService.getRulesForAccount(accountId)
+    requestPayload = requestTransformService.applyRules(
+      transformRules,
+      { body: requestPayload },
+      'claude',
+      accountId
+    ).body
+
     // 序列化请求体，计算 content-length
     const bodyString = JSON.stringify(requestPayload)
     const contentLength = Buffer.byteLength(bodyString, 'utf8')
@@ -1335,7 +1354,8 @@ class ClaudeRelayService {
     return {
       requestPayload,
       bodyString,
-      headers,
+      headers: requestTransformService.applyRules(transformRules, { headers }, 'claude', accountId)
+        .headers,
       isRealClaudeCode
     }
   }
@@ -1423,6 +1443,12 @@ class ClaudeRelayService {
         timeout: config.requestTimeout || 600000
       }
 
+      const captureExchange = captureService.startUpstream({
+        url: `${url.origin}${options.path}`,
+        headers,
+        body: bodyString
+      })
+
       const req = https.request(options, (res) => {
         let responseData = Buffer.alloc(0)
 
@@ -1459,6 +1485,11 @@ class ClaudeRelayService {
               headers: res.headers,
               body: responseBody
             }
+            captureService.recordUpstreamResponse(captureExchange, {
+              status: res.statusCode,
+              headers: res.headers,
+              body: responseBody
+            })
 
             logger.debug(`🔗 Claude API response: ${res.statusCode}`)
 
@@ -1476,6 +1507,7 @@ class ClaudeRelayService {
       }
 
       req.on('error', async (error) => {
+        captureService.recordUpstreamError(captureExchange, error)
         logger.error(`❌ Claude API request error (Account: ${accountId}):`, error.message, {
           code: error.code,
           errno: error.errno,
@@ -1498,6 +1530,11 @@ class ClaudeRelayService {
           await this._handleServerError(accountId, 504, null, 'Network')
         }
 
+        // ECONNRESET 可能是客户端断开后主动销毁上游请求，不计入熔断
+        if (error.code !== 'ECONNRESET') {
+          circuitBreakerService.recordOutcome(accountId, 'claude-official', { error })
+        }
+
         reject(new Error(errorMessage))
       })
 
@@ -1506,6 +1543,7 @@ class ClaudeRelayService {
         logger.error(`❌ Claude API request timeout (Account: ${accountId})`)
 
         await this._handleServerError(accountId, 504, null, 'Request')
+        circuitBreakerService.recordOutcome(accountId, 'claude-official', { statusCode: 504 })
 
         reject(new Error('Request timeout'))
       })
@@ -1551,14 +1589,16 @@ class ClaudeRelayService {
       // 生成会话哈希用于sticky会话
       const sessionHash = sessionHelper.generateSessionHash(requestBody)
 
-      // 选择可用的Claude账户（支持专属绑定和sticky会话）
+      // 选择可用的Claude账户（支持专属绑定和sticky会话；对冲请求由调用方指定账户）
       let accountSelection
       try {
-        accountSelection = await unifiedClaudeScheduler.selectAccountForApiKey(
-          apiKeyData,
-          sessionHash,
-          requestBody.model
-        )
+        accountSelection =
+          options.forcedAccount ||
+          (await unifiedClaudeScheduler.selectAccountForApiKey(
+            apiKeyData,
+            sessionHash,
+            requestBody.model
+          ))
       } catch (error) {
         if (error.code === 'CLAUDE_DEDICATED_RATE_LIMITED') {
           const limitMessage = this._buildStandardRateLimitMessage(error.rateLimitEndAt)
@@ -2014,8 +2054,24 @@ class ClaudeRelayService {
         timeout: config.requestTimeout || 600000
       }
 
+      const captureExchange = captureService.startUpstream({
+        url: `${url.origin}${options.path}`,
+        headers,
+        body: bodyString
+      })
+
+      const requestStartedAt = Date.now()
       const req = https.request(options, async (res) => {
         logger.debug(`🌊 Claude stream response status: ${res.statusCode}`)
+        captureService.recordUpstreamResponse(captureExchange, {
+          status: res.statusCode,
+          headers: res.headers
+        })
+        accountHealthService.recordResponse(accountId, res.statusCode)
+        circuitBreakerService.recordOutcome(accountId, accountType, {
+          statusCode: res.statusCode,
+          accountName: account?.name
+        })
 
         // 错误响应处理
         if (res.statusCode !== 200) {
@@ -2136,6 +2192,7 @@ class ClaudeRelayService {
 
           res.on('data', (chunk) => {
             errorData += chunk.toString()
+            captureService.appendUpstreamChunk(captureExchange, chunk)
           })
 
           res.on('end', async () => {
@@ -2241,9 +2298,15 @@ class ClaudeRelayService {
         const allUsageData = [] // 收集所有的usage事件
         let currentUsageData = {} // 当前正在收集的usage数据
         let rateLimitDetected = false // 限流检测标志
+        let firstChunkReceived = false
 
         // 监听数据块，解析SSE并寻找usage信息
         res.on('data', (chunk) => {
+          captureService.appendUpstreamChunk(captureExchange, chunk)
+          if (!firstChunkReceived) {
+            firstChunkReceived = true
+            accountHealthService.recordTtfb(accountId, Date.now() - requestStartedAt)
+          }
           try {
             const chunkStr = chunk.toString()
 
@@ -2381,6 +2444,33 @@ class ClaudeRelayService {
           }
         })
 
+        // 上游在流式传输中途断开（如 socket hang up），不会触发 end
+        res.on('error', (error) => {
+          if (responseStream.destroyed) {
+            reject(error)
+            return
+          }
+          accountHealthService.recordResponse(accountId, 0)
+          circuitBreakerService.recordOutcome(accountId, accountType, {
+            error,
+            accountName: account?.name
+          })
+          logger.error(
+            `❌ Claude stream interrupted mid-response (Account: ${account?.name || accountId}):`,
+            error.message
+          )
+          responseStream.write('event: error\n')
+          responseStream.write(
+            `data: ${JSON.stringify({
+              error: 'Upstream stream interrupted',
+              code: error.code,
+              timestamp: new Date().toISOString()
+            })}\n\n`
+          )
+          responseStream.end()
+          reject(error)
+        })
+
         res.on('end', async () => {
           try {
             // 处理缓冲区中剩余的数据
@@ -2567,6 +2657,15 @@ class ClaudeRelayService {
       })
 
       req.on('error', async (error) => {
+        captureService.recordUpstreamError(captureExchange, error)
+        // 客户端主动断开导致的中止不计入账户错误
+        if (!responseStream.destroyed) {
+          accountHealthService.recordResponse(accountId, 0)
+          circuitBreakerService.recordOutcome(accountId, accountType, {
+            error,
+            accountName: account?.name
+          })
+        }
         logger.error(
           `❌ Claude stream request error (Account: ${account?.name || accountId}):`,
           error.message,
@@ -2620,6 +2719,11 @@ class ClaudeRelayService {
       req.on('timeout', async () => {
         req.destroy()
         logger.error(`❌ Claude stream request timeout | Account: ${account?.name || accountId}`)
+        accountHealthService.recordResponse(accountId, 504)
+        circuitBreakerService.recordOutcome(accountId, accountType, {
+          statusCode: 504,
+          accountName: account?.name
+        })
 
         if (!responseStream.headersSent) {
           responseStream.writeHead(504, {
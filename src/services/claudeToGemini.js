@@ -0,0 +1,461 @@
+/**
+ * Claude 到 Gemini 格式转换服务
+ * 将 Claude Messages 请求转换为 Gemini generateContent 请求，并将 Gemini 响应（含流式）还原为 Claude 格式
+ */
+
+const crypto = require('crypto')
+const logger = require('../utils/logger')
+
+// Gemini functionDeclarations 支持的 JSON Schema 字段
+const SUPPORTED_SCHEMA_KEYS = new Set([
+  'type',
+  'format',
+  'title',
+  'description',
+  'nullable',
+  'enum',
+  'properties',
+  'required',
+  'items',
+  'minItems',
+  'maxItems',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minimum',
+  'maximum',
+  'anyOf'
+])
+
+// 因安全策略终止的结束原因
+const REFUSAL_REASONS = new Set(['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION'])
+
+class ClaudeToGeminiConverter {
+  /**
+   * 将 Claude 请求转换为 Gemini 请求体
+   * @param {Object} claudeRequest - Claude Messages 格式的请求
+   * @returns {Object} Gemini generateContent 请求体
+   */
+  convertRequest(claudeRequest) {
+    const geminiRequest = {
+      contents: this._convertMessages(claudeRequest.messages || []),
+      generationConfig: {
+        maxOutputTokens: claudeRequest.max_tokens
+      }
+    }
+
+    const { generationConfig } = geminiRequest
+    if (claudeRequest.temperature !== undefined) {
+      generationConfig.temperature = claudeRequest.temperature
+    }
+    if (claudeRequest.top_p !== undefined) {
+      generationConfig.topP = claudeRequest.top_p
+    }
+    if (claudeRequest.top_k !== undefined) {
+      generationConfig.topK = claudeRequest.top_k
+    }
+    if (Array.isArray(claudeRequest.stop_sequences) && claudeRequest.stop_sequences.length > 0) {
+      generationConfig.stopSequences = claudeRequest.stop_sequences
+    }
+    if (claudeRequest.thinking?.type === 'enabled') {
+      generationConfig.thinkingConfig = {
+        thinkingBudget: claudeRequest.thinking.budget_tokens,
+        includeThoughts: true
+      }
+    }
+
+    const systemText = this._extractSystemText(claudeRequest.system)
+    if (systemText) {
+      geminiRequest.systemInstruction = { role: 'user', parts: [{ text: systemText }] }
+    }
+
+    // 只转换自定义工具，web_search 等服务端工具 Gemini 无法执行
+    const tools = (claudeRequest.tools || []).filter((tool) => !tool.type || tool.type === 'custom')
+    if (tools.length > 0) {
+      geminiRequest.tools = [
+        {
+          functionDeclarations: tools.map((tool) => ({
+            name: tool.name,
+            description: tool.description || '',
+            parameters: this._sanitizeSchema(tool.input_schema || { type: 'object' })
+          }))
+        }
+      ]
+
+      const toolConfig = this._convertToolChoice(claudeRequest.tool_choice)
+      if (toolConfig) {
+        geminiRequest.toolConfig = toolConfig
+      }
+    }
+
+    logger.debug('📝 Converted Claude request to Gemini format', {
+      contents: geminiRequest.contents.length,
+      tools: tools.length,
+      thinking: !!generationConfig.thinkingConfig
+    })
+
+    return geminiRequest
+  }
+
+  /**
+   * 将 Gemini 非流式响应转换为 Claude 消息
+   * @param {Object} geminiResponse - Gemini 响应（OAuth 账户的 { response } 包装会自动展开）
+   * @param {string} requestModel - 客户端请求的模型名
+   * @returns {Object} Claude 格式的消息
+   */
+  convertResponse(geminiResponse, requestModel) {
+    const data = geminiResponse.response || geminiResponse
+    const candidate = data.candidates?.[0] || {}
+    const content = []
+
+    for (const part of candidate.content?.parts || []) {
+      if (part.functionCall) {
+        content.push({
+          type: 'tool_use',
+          id: this._generateToolId(),
+          name: part.functionCall.name,
+          input: part.functionCall.args || {}
+        })
+      } else if (part.thought && part.text) {
+        content.push({ type: 'thinking', thinking: part.text, signature: '' })
+      } else if (part.text) {
+        content.push({ type: 'text', text: part.text })
+      }
+    }
+
+    const hasToolUse = content.some((block) => block.type === 'tool_use')
+    return {
+      id: this._generateMessageId(),
+      type: 'message',
+      role: 'assistant',
+      model: requestModel,
+      content,
+      stop_reason: this._mapFinishReason(candidate.finishReason, hasToolUse),
+      stop_sequence: null,
+      usage: this.convertUsage(data.usageMetadata)
+    }
+  }
+
+  /**
+   * 创建流式转换状态（每个请求一个）
+   */
+  createStreamState(requestModel) {
+    return {
+      model: requestModel,
+      messageId: this._generateMessageId(),
+      started: false,
+      blockIndex: -1,
+      openBlockType: null,
+      hasToolUse: false,
+      finishReason: null,
+      usage: this.convertUsage(null)
+    }
+  }
+
+  /**
+   * 将一个 Gemini 流式数据块转换为 Claude 流式事件
+   * @param {Object} chunk - 解析后的 Gemini SSE 数据
+   * @param {Object} state - createStreamState 创建的状态
+   * @returns {Array<Object>} Claude 流式事件（事件名即 type 字段）
+   */
+  convertStreamChunk(chunk, state) {
+    const data = chunk.response || chunk
+    const events = []
+
+    if (data.usageMetadata) {
+      state.usage = this.convertUsage(data.usageMetadata)
+    }
+    if (!state.started) {
+      state.started = true
+      events.push(this._messageStartEvent(state))
+    }
+
+    const candidate = data.candidates?.[0]
+    for (const part of candidate?.content?.parts || []) {
+      if (part.functionCall) {
+        // Gemini 一次性返回完整的函数调用参数
+        this._closeBlock(state, events)
+        state.hasToolUse = true
+        state.blockIndex += 1
+        events.push(
+          {
+            type: 'content_block_start',
+            index: state.blockIndex,
+            content_block: {
+              type: 'tool_use',
+              id: this._generateToolId(),
+              name: part.functionCall.name,
+              input: {}
+            }
+          },
+          {
+            type: 'content_block_delta',
+            index: state.blockIndex,
+            delta: {
+              type: 'input_json_delta',
+              partial_json: JSON.stringify(part.functionCall.args || {})
+            }
+          },
+          { type: 'content_block_stop', index: state.blockIndex }
+        )
+      } else if (part.text) {
+        const blockType = part.thought ? 'thinking' : 'text'
+        if (state.openBlockType !== blockType) {
+          this._closeBlock(state, events)
+          state.blockIndex += 1
+          state.openBlockType = blockType
+          events.push({
+            type: 'content_block_start',
+            index: state.blockIndex,
+            content_block:
+              blockType === 'thinking'
+                ? { type: 'thinking', thinking: '', signature: '' }
+                : { type: 'text', text: '' }
+          })
+        }
+        events.push({
+          type: 'content_block_delta',
+          index: state.blockIndex,
+          delta:
+            blockType === 'thinking'
+              ? { type: 'thinking_delta', thinking: part.text }
+              : { type: 'text_delta', text: part.text }
+        })
+      }
+    }
+
+    if (candidate?.finishReason) {
+      state.finishReason = candidate.finishReason
+    }
+
+    return events
+  }
+
+  /**
+   * 上游流结束时补全 Claude 的结束事件
+   */
+  finishStream(state) {
+    const events = []
+    if (!state.started) {
+      state.started = true
+      events.push(this._messageStartEvent(state))
+    }
+    this._closeBlock(state, events)
+    events.push(
+      {
+        type: 'message_delta',
+        delta: {
+          stop_reason: this._mapFinishReason(state.finishReason, state.hasToolUse),
+          stop_sequence: null
+        },
+        usage: state.usage
+      },
+      { type: 'message_stop' }
+    )
+    return events
+  }
+
+  /**
+   * 转换用量（Gemini 的 promptTokenCount 包含缓存命中的 token）
+   */
+  convertUsage(usageMetadata) {
+    const cachedTokens = usageMetadata?.cachedContentTokenCount || 0
+    return {
+      input_tokens: Math.max(0, (usageMetadata?.promptTokenCount || 0) - cachedTokens),
+      output_tokens:
+        (usageMetadata?.candidatesTokenCount || 0) + (usageMetadata?.thoughtsTokenCount || 0),
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: cachedTokens
+    }
+  }
+
+  _convertMessages(messages) {
+    const contents = []
+    // tool_result 只携带 tool_use_id，Gemini 的 functionResponse 需要函数名
+    const toolNames = new Map()
+
+    for (const message of messages) {
+      const role = message.role === 'assistant' ? 'model' : 'user'
+      const blocks =
+        typeof message.content === 'string'
+          ? [{ type: 'text', text: message.content }]
+          : message.content || []
+      const parts = []
+
+      for (const block of blocks) {
+        if (block.type === 'text' && block.text) {
+          parts.push({ text: block.text })
+        } else if (block.type === 'image' || block.type === 'document') {
+          const part = this._convertMediaSource(block.source)
+          if (part) {
+            parts.push(part)
+          }
+        } else if (block.type === 'tool_use') {
+          toolNames.set(block.id, block.name)
+          parts.push({ functionCall: { name: block.name, args: block.input || {} } })
+        } else if (block.type === 'tool_result') {
+          const { text, mediaParts } = this._convertToolResultContent(block.content)
+          parts.push({
+            functionResponse: {
+              name: toolNames.get(block.tool_use_id) || 'unknown',
+              response: block.is_error ? { error: text } : { result: text }
+            }
+          })
+          parts.push(...mediaParts)
+        }
+        // thinking / redacted_thinking 的签名无法在 Gemini 中复用，直接丢弃
+      }
+
+      if (parts.length === 0) {
+        continue
+      }
+      const previous = contents[contents.length - 1]
+      if (previous && previous.role === role) {
+        previous.parts.push(...parts)
+      } else {
+        contents.push({ role, parts })
+      }
+    }
+
+    return contents
+  }
+
+  _convertMediaSource(source) {
+    if (!source) {
+      return null
+    }
+    if (source.type === 'base64') {
+      return { inlineData: { mimeType: source.media_type, data: source.data } }
+    }
+    if (source.type === 'url') {
+      return { fileData: { fileUri: source.url } }
+    }
+    return null
+  }
+
+  _convertToolResultContent(content) {
+    if (typeof content === 'string') {
+      return { text: content, mediaParts: [] }
+    }
+    const texts = []
+    const mediaParts = []
+    for (const item of content || []) {
+      if (item.type === 'text') {
+        texts.push(item.text)
+      } else if (item.type === 'image') {
+        const part = this._convertMediaSource(item.source)
+        if (part) {
+          mediaParts.push(part)
+        }
+      }
+    }
+    return { text: texts.join('\n'), mediaParts }
+  }
+
+  _extractSystemText(system) {
+    if (!system) {
+      return ''
+    }
+    if (typeof system === 'string') {
+      return system
+    }
+    return system
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('\n\n')
+  }
+
+  _convertToolChoice(toolChoice) {
+    switch (toolChoice?.type) {
+      case 'any':
+        return { functionCallingConfig: { mode: 'ANY' } }
+      case 'tool':
+        return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.name] } }
+      case 'none':
+        return { functionCallingConfig: { mode: 'NONE' } }
+      case 'auto':
+        return { functionCallingConfig: { mode: 'AUTO' } }
+      default:
+        return null
+    }
+  }
+
+  /**
+   * 移除 Gemini 不支持的 JSON Schema 字段（$schema、additionalProperties 等）
+   */
+  _sanitizeSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map((item) => this._sanitizeSchema(item))
+    }
+    if (!schema || typeof schema !== 'object') {
+      return schema
+    }
+
+    const result = {}
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === 'properties') {
+        result.properties = Object.fromEntries(
+          Object.entries(value || {}).map(([name, prop]) => [name, this._sanitizeSchema(prop)])
+        )
+      } else if (key === 'type' && Array.isArray(value)) {
+        // ["string", "null"] 转换为 nullable
+        const types = value.filter((type) => type !== 'null')
+        result.type = types[0] || 'string'
+        if (types.length < value.length) {
+          result.nullable = true
+        }
+      } else if (key === 'const') {
+        result.enum = [value]
+      } else if (SUPPORTED_SCHEMA_KEYS.has(key)) {
+        result[key] = typeof value === 'object' ? this._sanitizeSchema(value) : value
+      }
+    }
+    return result
+  }
+
+  _mapFinishReason(finishReason, hasToolUse) {
+    if (hasToolUse) {
+      return 'tool_use'
+    }
+    if (finishReason === 'MAX_TOKENS') {
+      return 'max_tokens'
+    }
+    if (REFUSAL_REASONS.has(finishReason)) {
+      return 'refusal'
+    }
+    return 'end_turn'
+  }
+
+  _messageStartEvent(state) {
+    return {
+      type: 'message_start',
+      message: {
+        id: state.messageId,
+        type: 'message',
+        role: 'assistant',
+        model: state.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { ...state.usage, output_tokens: 0 }
+      }
+    }
+  }
+
+  _closeBlock(state, events) {
+    if (state.openBlockType) {
+      events.push({ type: 'content_block_stop', index: state.blockIndex })
+      state.openBlockType = null
+    }
+  }
+
+  _generateMessageId() {
+    return `msg_${crypto.randomBytes(12).toString('hex')}`
+  }
+
+  _generateToolId() {
+    return `toolu_${crypto.randomBytes(12).toString('hex')}`
+  }
+}
+
+module.exports = new ClaudeToGeminiConverter()
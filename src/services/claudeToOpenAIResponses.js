@@ -0,0 +1,432 @@
+/**
+ * Claude 到 OpenAI Responses 格式转换服务
+ * 将 Claude Messages 请求转换为 Responses API 请求，并将 Responses 响应（含流式事件）还原为 Claude 格式
+ */
+
+const crypto = require('crypto')
+const logger = require('../utils/logger')
+
+// 推理模型不接受 temperature / top_p
+const REASONING_MODEL_PATTERN = /^(o\d|gpt-5|codex)/i
+
+class ClaudeToOpenAIResponsesConverter {
+  /**
+   * 将 Claude 请求转换为 Responses 请求体
+   * @param {Object} claudeRequest - Claude Messages 格式的请求
+   * @param {string} targetModel - 上游使用的模型
+   * @returns {Object} Responses API 请求体
+   */
+  convertRequest(claudeRequest, targetModel) {
+    const responsesRequest = {
+      model: targetModel,
+      input: this._convertMessages(claudeRequest.messages || []),
+      max_output_tokens: claudeRequest.max_tokens,
+      stream: claudeRequest.stream === true,
+      store: false
+    }
+
+    const instructions = this._extractSystemText(claudeRequest.system)
+    if (instructions) {
+      responsesRequest.instructions = instructions
+    }
+
+    if (!REASONING_MODEL_PATTERN.test(targetModel)) {
+      if (claudeRequest.temperature !== undefined) {
+        responsesRequest.temperature = claudeRequest.temperature
+      }
+      if (claudeRequest.top_p !== undefined) {
+        responsesRequest.top_p = claudeRequest.top_p
+      }
+    }
+
+    if (claudeRequest.thinking?.type === 'enabled') {
+      const budget = claudeRequest.thinking.budget_tokens || 0
+      responsesRequest.reasoning = {
+        effort: budget <= 4096 ? 'low' : budget <= 16384 ? 'medium' : 'high',
+        summary: 'auto'
+      }
+    }
+
+    // 只转换自定义工具，web_search 等服务端工具无法在 Responses 中等价执行
+    const tools = (claudeRequest.tools || []).filter((tool) => !tool.type || tool.type === 'custom')
+    if (tools.length > 0) {
+      responsesRequest.tools = tools.map((tool) => ({
+        type: 'function',
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.input_schema || { type: 'object', properties: {} },
+        strict: false
+      }))
+
+      const toolChoice = claudeRequest.tool_choice
+      if (toolChoice?.type === 'any') {
+        responsesRequest.tool_choice = 'required'
+      } else if (toolChoice?.type === 'tool') {
+        responsesRequest.tool_choice = { type: 'function', name: toolChoice.name }
+      } else if (toolChoice?.type === 'none') {
+        responsesRequest.tool_choice = 'none'
+      }
+      if (toolChoice?.disable_parallel_tool_use) {
+        responsesRequest.parallel_tool_calls = false
+      }
+    }
+
+    logger.debug('📝 Converted Claude request to OpenAI Responses format', {
+      model: targetModel,
+      inputItems: responsesRequest.input.length,
+      tools: tools.length,
+      reasoning: responsesRequest.reasoning?.effort || null
+    })
+
+    return responsesRequest
+  }
+
+  /**
+   * 将 Responses 非流式响应转换为 Claude 消息
+   * @param {Object} response - Responses API 响应
+   * @param {string} requestModel - 客户端请求的模型名
+   * @returns {Object} Claude 格式的消息
+   */
+  convertResponse(response, requestModel) {
+    const content = []
+
+    for (const item of response.output || []) {
+      if (item.type === 'reasoning') {
+        const thinking = (item.summary || []).map((part) => part.text).join('\n\n')
+        if (thinking) {
+          content.push({ type: 'thinking', thinking, signature: '' })
+        }
+      } else if (item.type === 'message') {
+        for (const part of item.content || []) {
+          const text = part.type === 'refusal' ? part.refusal : part.text
+          if (text) {
+            content.push({ type: 'text', text })
+          }
+        }
+      } else if (item.type === 'function_call') {
+        content.push({
+          type: 'tool_use',
+          id: item.call_id,
+          name: item.name,
+          input: this._parseArguments(item.arguments)
+        })
+      }
+    }
+
+    return {
+      id: this._generateMessageId(),
+      type: 'message',
+      role: 'assistant',
+      model: requestModel,
+      content,
+      stop_reason: this._mapStopReason(
+        response,
+        content.some((block) => block.type === 'tool_use')
+      ),
+      stop_sequence: null,
+      usage: this.convertUsage(response.usage)
+    }
+  }
+
+  /**
+   * 创建流式转换状态（每个请求一个）
+   */
+  createStreamState(requestModel) {
+    return {
+      model: requestModel,
+      messageId: this._generateMessageId(),
+      started: false,
+      finished: false,
+      blockIndex: -1,
+      openBlockType: null,
+      hasToolUse: false,
+      usage: this.convertUsage(null)
+    }
+  }
+
+  /**
+   * 将一个 Responses 流式事件转换为 Claude 流式事件
+   * @param {Object} event - 解析后的 Responses SSE 数据（含 type 字段）
+   * @param {Object} state - createStreamState 创建的状态
+   * @returns {Array<Object>} Claude 流式事件（事件名即 type 字段）
+   */
+  convertStreamEvent(event, state) {
+    const events = []
+    if (!state.started) {
+      state.started = true
+      events.push(this._messageStartEvent(state))
+    }
+
+    switch (event.type) {
+      case 'response.output_item.added':
+        if (event.item?.type === 'function_call') {
+          state.hasToolUse = true
+          this._openBlock(state, events, 'tool_use', {
+            type: 'tool_use',
+            id: event.item.call_id,
+            name: event.item.name,
+            input: {}
+          })
+        } else if (event.item?.type === 'reasoning') {
+          this._openBlock(state, events, 'thinking', {
+            type: 'thinking',
+            thinking: '',
+            signature: ''
+          })
+        }
+        break
+      case 'response.content_part.added':
+        this._openBlock(state, events, 'text', { type: 'text', text: '' })
+        break
+      case 'response.output_text.delta':
+      case 'response.refusal.delta':
+        this._ensureBlock(state, events, 'text', { type: 'text', text: '' })
+        events.push(this._delta(state, { type: 'text_delta', text: event.delta }))
+        break
+      case 'response.reasoning_summary_text.delta':
+        this._ensureBlock(state, events, 'thinking', {
+          type: 'thinking',
+          thinking: '',
+          signature: ''
+        })
+        events.push(this._delta(state, { type: 'thinking_delta', thinking: event.delta }))
+        break
+      case 'response.function_call_arguments.delta':
+        events.push(this._delta(state, { type: 'input_json_delta', partial_json: event.delta }))
+        break
+      case 'response.output_item.done':
+        this._closeBlock(state, events)
+        break
+      case 'response.completed':
+      case 'response.incomplete':
+        state.usage = this.convertUsage(event.response?.usage)
+        events.push(...this._finishEvents(state, this._mapStopReason(event.response, false)))
+        break
+      case 'response.failed':
+      case 'error':
+        state.finished = true
+        events.push({
+          type: 'error',
+          error: {
+            type: 'api_error',
+            message: event.response?.error?.message || event.message || 'Upstream response failed'
+          }
+        })
+        break
+      default:
+        break
+    }
+
+    return events
+  }
+
+  /**
+   * 上游流意外结束（未收到 response.completed）时补全 Claude 的结束事件
+   */
+  finishStream(state) {
+    if (state.finished) {
+      return []
+    }
+    const events = []
+    if (!state.started) {
+      state.started = true
+      events.push(this._messageStartEvent(state))
+    }
+    events.push(...this._finishEvents(state, 'end_turn'))
+    return events
+  }
+
+  /**
+   * 转换用量（Responses 的 input_tokens 包含缓存命中的 token）
+   */
+  convertUsage(usage) {
+    const cachedTokens = usage?.input_tokens_details?.cached_tokens || 0
+    return {
+      input_tokens: Math.max(0, (usage?.input_tokens || 0) - cachedTokens),
+      output_tokens: usage?.output_tokens || 0,
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: cachedTokens
+    }
+  }
+
+  _convertMessages(messages) {
+    const input = []
+
+    for (const message of messages) {
+      const isAssistant = message.role === 'assistant'
+      const blocks =
+        typeof message.content === 'string'
+          ? [{ type: 'text', text: message.content }]
+          : message.content || []
+      let parts = []
+
+      // 工具调用与结果是独立的 input 项，遇到时先输出已累积的消息内容
+      const flush = () => {
+        if (parts.length > 0) {
+          input.push({ role: message.role, content: parts })
+          parts = []
+        }
+      }
+
+      for (const block of blocks) {
+        if (block.type === 'text' && block.text) {
+          parts.push({ type: isAssistant ? 'output_text' : 'input_text', text: block.text })
+        } else if (block.type === 'image' && !isAssistant) {
+          const imageUrl = this._convertImageSource(block.source)
+          if (imageUrl) {
+            parts.push({ type: 'input_image', image_url: imageUrl })
+          }
+        } else if (block.type === 'tool_use') {
+          flush()
+          input.push({
+            type: 'function_call',
+            call_id: block.id,
+            name: block.name,
+            arguments: JSON.stringify(block.input || {})
+          })
+        } else if (block.type === 'tool_result') {
+          flush()
+          input.push({
+            type: 'function_call_output',
+            call_id: block.tool_use_id,
+            output: this._toolResultText(block)
+          })
+        }
+        // thinking / redacted_thinking 无法在 Responses 中复用，直接丢弃
+      }
+      flush()
+    }
+
+    return input
+  }
+
+  _convertImageSource(source) {
+    if (source?.type === 'base64') {
+      return `data:${source.media_type};base64,${source.data}`
+    }
+    if (source?.type === 'url') {
+      return source.url
+    }
+    return null
+  }
+
+  _toolResultText(block) {
+    const text =
+      typeof block.content === 'string'
+        ? block.content
+        : (block.content || [])
+            .filter((item) => item.type === 'text')
+            .map((item) => item.text)
+            .join('\n')
+    return block.is_error ? `Error: ${text}` : text
+  }
+
+  _extractSystemText(system) {
+    if (!system) {
+      return ''
+    }
+    if (typeof system === 'string') {
+      return system
+    }
+    return system
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('\n\n')
+  }
+
+  _parseArguments(args) {
+    if (!args) {
+      return {}
+    }
+    try {
+      return JSON.parse(args)
+    } catch (error) {
+      logger.warn('⚠️ Failed to parse function call arguments from OpenAI Responses')
+      return {}
+    }
+  }
+
+  _mapStopReason(response, hasToolUse) {
+    if (hasToolUse) {
+      return 'tool_use'
+    }
+    if (
+      response?.status === 'incomplete' &&
+      response.incomplete_details?.reason === 'max_output_tokens'
+    ) {
+      return 'max_tokens'
+    }
+    if (response?.incomplete_details?.reason === 'content_filter') {
+      return 'refusal'
+    }
+    return 'end_turn'
+  }
+
+  _finishEvents(state, stopReason) {
+    const events = []
+    this._closeBlock(state, events)
+    state.finished = true
+    events.push(
+      {
+        type: 'message_delta',
+        delta: {
+          stop_reason: state.hasToolUse ? 'tool_use' : stopReason,
+          stop_sequence: null
+        },
+        usage: state.usage
+      },
+      { type: 'message_stop' }
+    )
+    return events
+  }
+
+  _openBlock(state, events, blockType, contentBlock) {
+    this._closeBlock(state, events)
+    state.blockIndex += 1
+    state.openBlockType = blockType
+    events.push({
+      type: 'content_block_start',
+      index: state.blockIndex,
+      content_block: contentBlock
+    })
+  }
+
+  _ensureBlock(state, events, blockType, contentBlock) {
+    if (state.openBlockType !== blockType) {
+      this._openBlock(state, events, blockType, contentBlock)
+    }
+  }
+
+  _closeBlock(state, events) {
+    if (state.openBlockType) {
+      events.push({ type: 'content_block_stop', index: state.blockIndex })
+      state.openBlockType = null
+    }
+  }
+
+  _delta(state, delta) {
+    return { type: 'content_block_delta', index: state.blockIndex, delta }
+  }
+
+  _messageStartEvent(state) {
+    return {
+      type: 'message_start',
+      message: {
+        id: state.messageId,
+        type: 'message',
+        role: 'assistant',
+        model: state.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { ...state.usage, output_tokens: 0 }
+      }
+    }
+  }
+
+  _generateMessageId() {
+    return `msg_${crypto.randomBytes(12).toString('hex')}`
+  }
+}
+
+module.exports = new ClaudeToOpenAIResponsesConverter()
@@ -0,0 +1,178 @@
+/**
+ * API Key 周期预算服务
+ * 按预算周期累计费用，达到阈值时通过 webhook 发送提醒（每个周期每个阈值只提醒一次），
+ * 并向认证中间件提供当前周期的预算状态。
+ * 团队共享 Key 的费用同时累计到团队预算（累计 ID 为 team:<团队ID>）。
+ */
+
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const webhookService = require('./webhookService')
+const { parseCostBudget, getBudgetPeriod } = require('../utils/costBudgetHelper')
+
+// 周期结束后保留数据的时间，便于事后查询上个周期的花费
+const RETENTION_SECONDS = 7 * 24 * 3600
+
+class CostBudgetService {
+  /**
+   * 获取当前预算周期（使用系统配置的时区）
+   * @param {Object} budget - 预算配置
+   * @param {Date} now - 当前时间
+   * @returns {{periodId: string, start: Date, end: Date}}
+   */
+  getPeriod(budget, now = new Date()) {
+    return getBudgetPeriod(budget, now, config.system?.timezoneOffset || 8)
+  }
+
+  _spendKey(keyId, periodId) {
+    return `usage:cost:budget:${keyId}:${periodId}`
+  }
+
+  _alertKey(keyId, periodId, threshold) {
+    return `budget:alert:${keyId}:${periodId}:${threshold}`
+  }
+
+  _ttlSeconds(period) {
+    return Math.max(60, Math.ceil((period.end.getTime() - Date.now()) / 1000) + RETENTION_SECONDS)
+  }
+
+  /**
+   * 获取当前周期的预算状态
+   * @param {string} keyId - API Key ID
+   * @param {Object} budget - 预算配置
+   * @returns {Promise<Object>} { amount, spent, percent, exceeded, action, periodStart, resetAt }
+   */
+  async getBudgetStatus(keyId, budget) {
+    const period = this.getPeriod(budget)
+    const spent = parseFloat(
+      (await redis.getClientSafe().get(this._spendKey(keyId, period.periodId))) || 0
+    )
+
+    return {
+      amount: budget.amount,
+      spent,
+      percent: budget.amount > 0 ? (spent / budget.amount) * 100 : 0,
+      exceeded: spent >= budget.amount,
+      action: budget.action,
+      downgradeModel: budget.downgradeModel || null,
+      periodStart: period.start.toISOString(),
+      resetAt: period.end.toISOString()
+    }
+  }
+
+  /**
+   * 累计费用并检查提醒阈值（未配置预算的 Key 和团队直接跳过）
+   * @param {string} keyId - API Key ID
+   * @param {number} amount - 本次费用
+   */
+  async recordCost(keyId, amount) {
+    try {
+      if (!(amount > 0)) {
+        return
+      }
+
+      const [rawBudget, keyName, teamId] = await redis
+        .getClientSafe()
+        .hmget(`apikey:${keyId}`, 'costBudget', 'name', 'teamId')
+      const budget = parseCostBudget(rawBudget)
+      if (budget) {
+        await this._accumulate(keyId, keyName || keyId, budget, amount)
+      }
+
+      if (teamId) {
+        const teamService = require('./teamService')
+        const team = await teamService.getTeam(teamId)
+        if (team?.costBudget) {
+          await this._accumulate(
+            teamService.budgetSubject(teamId),
+            team.name,
+            team.costBudget,
+            amount,
+            {
+              scopeLabel: '团队',
+              teamId
+            }
+          )
+        }
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to record budget cost for key ${keyId}:`, error)
+    }
+  }
+
+  async _accumulate(subjectId, subjectName, budget, amount, alertContext = {}) {
+    const period = this.getPeriod(budget)
+    const spendKey = this._spendKey(subjectId, period.periodId)
+    const pipeline = redis.getClientSafe().pipeline()
+    pipeline.incrbyfloat(spendKey, amount)
+    pipeline.expire(spendKey, this._ttlSeconds(period))
+    const results = await pipeline.exec()
+    const spent = parseFloat(results[0][1] || 0)
+
+    await this._checkThresholds(subjectId, subjectName, budget, period, spent, alertContext)
+  }
+
+  /**
+   * 检查新跨过的提醒阈值；一次跨过多个阈值时只提醒最高的一个
+   */
+  async _checkThresholds(keyId, keyName, budget, period, spent, alertContext = {}) {
+    const percent = (spent / budget.amount) * 100
+    const reached = (budget.alertThresholds || []).filter((threshold) => percent >= threshold)
+    if (reached.length === 0) {
+      return
+    }
+
+    const client = redis.getClientSafe()
+    const ttl = this._ttlSeconds(period)
+    const newlyReached = []
+    for (const threshold of reached) {
+      // SET NX 保证多实例下同一阈值只提醒一次
+      const result = await client.set(
+        this._alertKey(keyId, period.periodId, threshold),
+        '1',
+        'EX',
+        ttl,
+        'NX'
+      )
+      if (result === 'OK') {
+        newlyReached.push(threshold)
+      }
+    }
+    if (newlyReached.length === 0) {
+      return
+    }
+
+    const threshold = Math.max(...newlyReached)
+    const actionLabels = { block: '拦截请求', downgrade: '降级模型', warn: '仅提示' }
+    const scopeLabel = alertContext.scopeLabel || 'API Key'
+    logger.warn(
+      `💰 Budget threshold ${threshold}% reached for ${alertContext.teamId ? 'team' : 'key'}: ${keyId} (${keyName}), spent: $${spent.toFixed(2)}/$${budget.amount}`
+    )
+
+    // 不等待 webhook 发送完成，避免拖慢用量记录
+    webhookService
+      .sendNotification('quotaWarning', {
+        apiKeyId: keyId,
+        apiKeyName: keyName,
+        accountName: keyName,
+        reason: `${scopeLabel} 周期预算已使用 ${threshold}%`,
+        message: `本周期已花费 $${spent.toFixed(2)} / $${budget.amount}，超出预算后将${
+          actionLabels[budget.action]
+        }，预算将于 ${period.end.toISOString()} 重置`,
+        quota: {
+          remaining: Math.max(0, budget.amount - spent).toFixed(2),
+          total: budget.amount
+        },
+        usage: Math.round(percent),
+        threshold,
+        teamId: alertContext.teamId || null,
+        periodStart: period.start.toISOString(),
+        resetAt: period.end.toISOString(),
+        timestamp: new Date().toISOString()
+      })
+      .catch((error) => logger.error('❌ Failed to send budget alert:', error))
+  }
+}
+
+module.exports = new CostBudgetService()
@@ -0,0 +1,395 @@
+/**
+ * 凭证重新加密服务
+ * 各账户服务在加载时注册自己的凭证存储（Redis 键模式 + 加密字段），主密钥轮换后在线将所有凭证
+ * 重新加密到当前主密钥版本：
+ * - 按字段比较后写入（Lua 脚本），与令牌刷新等并发写入冲突时跳过该字段，再次运行即可补齐
+ * - 分布式锁保证多实例部署时同一时间只有一个任务
+ * - 任务进度与结果保存在 Redis，解密失败的字段逐条记录，便于排查
+ */
+
+const { v4: uuidv4 } = require('uuid')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const { credentialVault } = require('../utils/credentialVault')
+
+const ROTATION_KEY = 'credential_vault:rotation'
+const ROTATION_LOCK_KEY = 'credential_vault:rotation:lock'
+const KEY_STATE_KEY = 'credential_vault:keys'
+const LOCK_TTL_SECONDS = 3600
+const MAX_REPORTED_FAILURES = 100
+const SCAN_COUNT = 200
+
+// 字段值未被并发修改时才写入
+const HASH_CAS_SCRIPT = `
+if redis.call('HGET', KEYS[1], ARGV[1]) == ARGV[2] then
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+  return 1
+end
+return 0
+`
+
+// 整个值未被并发修改时才写入，保留原有过期时间
+const STRING_CAS_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  local ttl = redis.call('PTTL', KEYS[1])
+  redis.call('SET', KEYS[1], ARGV[2])
+  if ttl > 0 then
+    redis.call('PEXPIRE', KEYS[1], ttl)
+  end
+  return 1
+end
+return 0
+`
+
+class CredentialRotationService {
+  constructor() {
+    this.stores = new Map()
+    this.runningJob = null
+  }
+
+  /**
+   * 注册凭证存储
+   * @param {Object} store
+   * @param {string} store.name - 存储名称（账户类型）
+   * @param {string} store.pattern - Redis 键匹配模式
+   * @param {string} store.type - hash（按字段存储）/ json（整个值为 JSON 字符串）
+   * @param {string[]} store.fields - 加密字段
+   * @param {Object} store.cipher - credentialVault.createCipher() 返回的加解密器
+   * @param {Object} store.nested - 可选，值为 JSON 数组的字段及数组元素中的加密属性，如 { apiKeys: 'encryptedKey' }
+   * @param {Function} store.toCiphertext - 可选，将字段原始值转换为密文字符串（兼容旧的对象格式）
+   */
+  registerStore(store) {
+    this.stores.set(store.name, store)
+  }
+
+  getStores() {
+    return [...this.stores.values()]
+  }
+
+  async _scanKeys(client, pattern) {
+    const keys = []
+    let cursor = '0'
+    do {
+      const [nextCursor, batch] = await client.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT)
+      cursor = nextCursor
+      keys.push(...batch)
+    } while (cursor !== '0')
+    return keys
+  }
+
+  async _readRecord(client, store, key) {
+    if (store.type === 'json') {
+      const raw = await client.get(key)
+      if (!raw) {
+        return null
+      }
+      try {
+        return { raw, data: JSON.parse(raw) }
+      } catch (error) {
+        return null
+      }
+    }
+    const data = await client.hgetall(key)
+    return data && Object.keys(data).length > 0 ? { raw: null, data } : null
+  }
+
+  // 列出字段中的所有密文（嵌套数组字段展开为多条）
+  _collectCiphertexts(store, field, value) {
+    if (!value) {
+      return []
+    }
+    const nestedProperty = store.nested?.[field]
+    if (!nestedProperty) {
+      return [store.toCiphertext ? store.toCiphertext(value) : value]
+    }
+    try {
+      const entries = typeof value === 'string' ? JSON.parse(value) : value
+      return Array.isArray(entries) ? entries.map((entry) => entry?.[nestedProperty]) : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  /**
+   * 统计各存储中密文使用的主密钥版本（不解密）
+   * @returns {Promise<Object>} { activeVersion, stores: { name: { keys, versions: { 版本: 数量 } } } }
+   */
+  async getInventory() {
+    const client = redis.getClientSafe()
+    const stores = {}
+
+    for (const store of this.getStores()) {
+      const summary = { keys: 0, versions: {} }
+      for (const key of await this._scanKeys(client, store.pattern)) {
+        const record = await this._readRecord(client, store, key)
+        if (!record) {
+          continue
+        }
+        summary.keys += 1
+        for (const field of store.fields) {
+          for (const ciphertext of this._collectCiphertexts(store, field, record.data[field])) {
+            const version = credentialVault.getKeyVersion(ciphertext)
+            if (version) {
+              summary.versions[version] = (summary.versions[version] || 0) + 1
+            }
+          }
+        }
+      }
+      stores[store.name] = summary
+    }
+
+    return { activeVersion: credentialVault.getProvider().getActiveVersion(), stores }
+  }
+
+  /**
+   * 启动后台重新加密任务
+   * @param {string} startedBy - 操作者
+   * @returns {Promise<Object>} 任务报告（初始状态）
+   */
+  async startRotation(startedBy) {
+    const client = redis.getClientSafe()
+    const jobId = uuidv4()
+
+    const acquired = await client.set(ROTATION_LOCK_KEY, jobId, 'NX', 'EX', LOCK_TTL_SECONDS)
+    if (!acquired) {
+      const error = new Error('A credential re-encryption job is already running')
+      error.statusCode = 409
+      throw error
+    }
+
+    const report = {
+      id: jobId,
+      status: 'running',
+      targetVersion: credentialVault.getProvider().getActiveVersion(),
+      startedBy,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      stores: {},
+      failures: [],
+      failedCount: 0
+    }
+    await this._saveReport(report)
+
+    logger.info(
+      `🔐 Credential re-encryption job ${jobId} started by ${startedBy}, target key version ${report.targetVersion}`
+    )
+
+    this.runningJob = this.runRotation(report)
+      .catch((error) => {
+        logger.error(`❌ Credential re-encryption job ${jobId} failed:`, error)
+      })
+      .finally(async () => {
+        this.runningJob = null
+        await redis.releaseAccountLock(ROTATION_LOCK_KEY, jobId)
+      })
+
+    return report
+  }
+
+  /**
+   * 执行重新加密（startRotation 在后台调用）
+   * @param {Object} report - 任务报告，执行过程中原地更新
+   * @returns {Promise<Object>} 最终报告
+   */
+  async runRotation(report) {
+    const client = redis.getClientSafe()
+
+    try {
+      for (const store of this.getStores()) {
+        const stats = { keys: 0, rotated: 0, current: 0, conflicts: 0, failed: 0 }
+        report.stores[store.name] = stats
+
+        for (const key of await this._scanKeys(client, store.pattern)) {
+          const record = await this._readRecord(client, store, key)
+          if (!record) {
+            continue
+          }
+          stats.keys += 1
+
+          if (store.type === 'json') {
+            await this._rotateJsonRecord(client, store, key, record, stats, report)
+          } else {
+            await this._rotateHashRecord(client, store, key, record.data, stats, report)
+          }
+        }
+        await this._saveReport(report)
+      }
+
+      report.status = report.failedCount > 0 ? 'completed_with_errors' : 'completed'
+    } catch (error) {
+      report.status = 'failed'
+      report.error = error.message
+    }
+
+    report.finishedAt = new Date().toISOString()
+    await this._saveReport(report)
+
+    const totals = Object.values(report.stores).reduce(
+      (sum, stats) => ({
+        rotated: sum.rotated + stats.rotated,
+        conflicts: sum.conflicts + stats.conflicts
+      }),
+      { rotated: 0, conflicts: 0 }
+    )
+    logger.info(
+      `🔐 Credential re-encryption job ${report.id} ${report.status}: ${totals.rotated} rotated, ${totals.conflicts} skipped by concurrent updates, ${report.failedCount} failed`
+    )
+
+    return report
+  }
+
+  // 重新加密单个密文，已是当前版本时原样返回
+  _reencrypt(store, ciphertext) {
+    if (!ciphertext || !store.cipher.needsReencryption(ciphertext)) {
+      return ciphertext
+    }
+    return store.cipher.encrypt(store.cipher.decrypt(ciphertext))
+  }
+
+  // 重新加密字段值，返回新值（未变化时返回原值）
+  _rotateField(store, key, field, value, stats, report) {
+    const nestedProperty = store.nested?.[field]
+
+    if (!nestedProperty) {
+      const ciphertext = store.toCiphertext ? store.toCiphertext(value) : value
+      try {
+        const rotated = this._reencrypt(store, ciphertext)
+        return rotated === ciphertext ? value : rotated
+      } catch (error) {
+        this._recordFailure(report, stats, store, key, field, error)
+        return value
+      }
+    }
+
+    let entries
+    try {
+      entries = typeof value === 'string' ? JSON.parse(value) : value
+    } catch (error) {
+      this._recordFailure(report, stats, store, key, field, error)
+      return value
+    }
+    if (!Array.isArray(entries)) {
+      return value
+    }
+
+    let changed = false
+    const updatedEntries = entries.map((entry, index) => {
+      try {
+        const rotated = this._reencrypt(store, entry?.[nestedProperty])
+        if (rotated === entry?.[nestedProperty]) {
+          return entry
+        }
+        changed = true
+        return { ...entry, [nestedProperty]: rotated }
+      } catch (error) {
+        this._recordFailure(report, stats, store, key, `${field}.${index}`, error)
+        return entry
+      }
+    })
+
+    if (!changed) {
+      return value
+    }
+    return typeof value === 'string' ? JSON.stringify(updatedEntries) : updatedEntries
+  }
+
+  async _rotateHashRecord(client, store, key, data, stats, report) {
+    for (const field of store.fields) {
+      const original = data[field]
+      if (!original) {
+        continue
+      }
+
+      const updated = this._rotateField(store, key, field, original, stats, report)
+      if (updated === original) {
+        stats.current += 1
+        continue
+      }
+
+      const written = await client.eval(HASH_CAS_SCRIPT, 1, key, field, original, updated)
+      if (written === 1) {
+        stats.rotated += 1
+      } else {
+        stats.conflicts += 1
+      }
+    }
+  }
+
+  async _rotateJsonRecord(client, store, key, record, stats, report) {
+    const updatedData = { ...record.data }
+    let rotatedFields = 0
+
+    for (const field of store.fields) {
+      const original = record.data[field]
+      if (!original) {
+        continue
+      }
+
+      const updated = this._rotateField(store, key, field, original, stats, report)
+      if (updated === original) {
+        stats.current += 1
+      } else {
+        updatedData[field] = updated
+        rotatedFields += 1
+      }
+    }
+
+    if (rotatedFields === 0) {
+      return
+    }
+
+    const written = await client.eval(
+      STRING_CAS_SCRIPT,
+      1,
+      key,
+      record.raw,
+      JSON.stringify(updatedData)
+    )
+    if (written === 1) {
+      stats.rotated += rotatedFields
+    } else {
+      stats.conflicts += rotatedFields
+    }
+  }
+
+  _recordFailure(report, stats, store, key, field, error) {
+    stats.failed += 1
+    report.failedCount += 1
+    if (report.failures.length < MAX_REPORTED_FAILURES) {
+      report.failures.push({ store: store.name, key, field, error: error.message })
+    }
+  }
+
+  async _saveReport(report) {
+    await redis.getClientSafe().set(ROTATION_KEY, JSON.stringify(report))
+  }
+
+  /**
+   * 记录主密钥变更（生成 / 启用新版本后调用，便于审计和多实例排查）
+   * @param {string} updatedBy - 操作者
+   * @returns {Promise<Object>} { provider, activeVersion, versions, updatedAt, updatedBy }
+   */
+  async saveKeyState(updatedBy) {
+    const { provider, activeVersion, versions } = credentialVault.getKeyInfo()
+    const state = {
+      provider,
+      activeVersion,
+      versions,
+      updatedAt: new Date().toISOString(),
+      updatedBy
+    }
+    await redis.getClientSafe().set(KEY_STATE_KEY, JSON.stringify(state))
+    return state
+  }
+
+  /**
+   * 获取最近一次重新加密任务报告
+   * @returns {Promise<Object|null>}
+   */
+  async getLastReport() {
+    const data = await redis.getClientSafe().get(ROTATION_KEY)
+    return data ? JSON.parse(data) : null
+  }
+}
+
+module.exports = new CredentialRotationService()
@@ -2,11 +2,12 @@ const { v4: uuidv4 } = require('uuid')
 const crypto = require('crypto')
 const axios = require('axios')
 const redis = require('../models/redis')
-const config = require('../../config/config')
 const logger = require('../utils/logger')
 const { maskToken } = require('../utils/tokenMask')
 const ProxyHelper = require('../utils/proxyHelper')
 const LRUCache = require('../utils/lruCache')
+const { credentialVault } = require('../utils/credentialVault')
+const credentialRotationService = require('./credentialRotationService')
 
 /**
  * Droid 账户管理服务
@@ -26,12 +27,16 @@ class DroidAccountService {
     this.refreshIntervalHours = 6 // 每6小时刷新一次
     this.tokenValidHours = 8 // Token 有效期8小时
 
-    // 加密相关常量
-    this.ENCRYPTION_ALGORITHM = 'aes-256-cbc'
-    this.ENCRYPTION_SALT = 'droid-account-salt'
-
-    // 🚀 性能优化：缓存派生的加密密钥
-    this._encryptionKeyCache = null
+    // 🔐 凭证加解密（共用凭证保险库，兼容旧格式密文）
+    this._cipher = credentialVault.createCipher('droid', { salt: 'droid-account-salt' })
+    credentialRotationService.registerStore({
+      name: 'droid',
+      pattern: 'droid:account:*',
+      type: 'hash',
+      fields: ['refreshToken', 'accessToken', 'apiKeys'],
+      nested: { apiKeys: 'encryptedKey' },
+      cipher: this._cipher
+    })
 
     // 🔄 解密结果缓存
     this._decryptCache = new LRUCache(500)
@@ -89,37 +94,11 @@ class DroidAccountService {
     return Boolean(value)
   }
 
-  /**
-   * 生成加密密钥（缓存优化）
-   */
-  _generateEncryptionKey() {
-    if (!this._encryptionKeyCache) {
-      this._encryptionKeyCache = crypto.scryptSync(
-        config.security.encryptionKey,
-        this.ENCRYPTION_SALT,
-        32
-      )
-      logger.info('🔑 Droid encryption key derived and cached for performance optimization')
-    }
-    return this._encryptionKeyCache
-  }
-
   /**
    * 加密敏感数据
    */
   _encryptSensitiveData(text) {
-    if (!text) {
-      return ''
-    }
-
-    const key = this._generateEncryptionKey()
-    const iv = crypto.randomBytes(16)
-    const cipher = crypto.createCipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
-
-    let encrypted = cipher.update(text, 'utf8', 'hex')
-    encrypted += cipher.final('hex')
-
-    return `${iv.toString('hex')}:${encrypted}`
+    return this._cipher.encrypt(text)
   }
 
   /**
@@ -138,21 +117,19 @@ class DroidAccountService {
     }
 
     try {
-      const key = this._generateEncryptionKey()
-      const parts = encryptedText.split(':')
-      const iv = Buffer.from(parts[0], 'hex')
-      const encrypted = parts[1]
-
-      const decipher = crypto.createDecipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8')
-      decrypted += decipher.final('utf8')
+      const decrypted = this._cipher.decrypt(encryptedText)
 
       // 💾 存入缓存（5分钟过期）
       this._decryptCache.set(cacheKey, decrypted, 5 * 60 * 1000)
 
+      // 📊 定期打印缓存统计
+      if ((this._decryptCache.hits + this._decryptCache.misses) % 1000 === 0) {
+        this._decryptCache.printStats()
+      }
+
       return decrypted
     } catch (error) {
-      logger.error('❌ Failed to decrypt Droid data:', error)
+      // 解密失败已由凭证保险库记录，返回空值避免把密文当作凭证使用
       return ''
     }
   }
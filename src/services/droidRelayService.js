@@ -8,10 +8,20 @@ const redis = require('../models/redis')
 const { updateRateLimitCounters } = require('../utils/rateLimitHelper')
 const logger = require('../utils/logger')
 const runtimeAddon = require('../utils/runtimeAddon')
+const captureService = require('./captureService')
+const circuitBreakerService = require('./circuitBreakerService')
+const requestTransformService = require('./requestTransformService')
 
 const SYSTEM_PROMPT = 'You are Droid, an AI software engineering agent built by Factory.'
 const RUNTIME_EVENT_FMT_PAYLOAD = 'fmtPayload'
 
+// 各端点请求体对应的转换规则格式
+const TRANSFORM_FORMATS = {
+  anthropic: 'claude',
+  openai: 'responses',
+  comm: 'openai'
+}
+
 /**
  * Droid API 转发服务
  */
@@ -237,7 +247,7 @@ class DroidRelayService {
       }
 
       // 构建请求头
-      const headers = this._buildHeaders(
+      let headers = this._buildHeaders(
         accessToken,
         normalizedRequestBody,
         normalizedEndpoint,
@@ -282,6 +292,15 @@ class DroidRelayService {
         }
       }
 
+      // 应用账户 / 分组配置的请求转换规则
+      const transformed = requestTransformService.applyRules(
+        await requestTransformService.getRulesForAccount(account.id),
+        { headers, body: processedBody },
+        TRANSFORM_FORMATS[normalizedEndpoint],
+        account.id
+      )
+      ;({ headers, body: processedBody } = transformed)
+
       // 发送请求
       const isStreaming = streamRequested
 
@@ -323,6 +342,10 @@ class DroidRelayService {
         const response = await axios(requestOptions)
 
         logger.info(`✅ Factory.ai response status: ${response.status}`)
+        circuitBreakerService.recordOutcome(account?.id, 'droid', {
+          statusCode: response.status,
+          accountName: account?.name
+        })
 
         // 处理非流式响应
         return this._handleNonStreamResponse(
@@ -337,6 +360,13 @@ class DroidRelayService {
       }
     } catch (error) {
       logger.error(`❌ Droid relay error: ${error.message}`, error)
+      if (error.isAxiosError) {
+        circuitBreakerService.recordOutcome(account?.id, 'droid', {
+          statusCode: error.response?.status || 0,
+          error,
+          accountName: account?.name
+        })
+      }
 
       const status = error?.response?.status
       if (status >= 400 && status < 500) {
@@ -493,9 +523,23 @@ class DroidRelayService {
         timeout: 600 * 1000
       }
 
+      const captureExchange = captureService.startUpstream({
+        url: apiUrl,
+        headers: requestHeaders,
+        body: bodyString
+      })
+
       const req = https.request(options, (res) => {
         upstreamResponse = res
         logger.info(`✅ Factory.ai stream response status: ${res.statusCode}`)
+        circuitBreakerService.recordOutcome(account.id, 'droid', {
+          statusCode: res.statusCode,
+          accountName: account.name
+        })
+        captureService.recordUpstreamResponse(captureExchange, {
+          status: res.statusCode,
+          headers: res.headers
+        })
 
         // 错误响应
         if (res.statusCode !== 200) {
@@ -503,6 +547,7 @@ class DroidRelayService {
 
           res.on('data', (chunk) => {
             chunks.push(chunk)
+            captureService.appendUpstreamChunk(captureExchange, chunk)
             logger.info(`📦 got ${chunk.length} bytes of data`)
           })
 
@@ -553,6 +598,7 @@ class DroidRelayService {
 
         // 处理 SSE 流
         res.on('data', (chunk) => {
+          captureService.appendUpstreamChunk(captureExchange, chunk)
           const chunkStr = chunk.toString()
           completionWindow = (completionWindow + chunkStr).slice(-1024)
           hasForwardedData = true
@@ -638,11 +684,25 @@ class DroidRelayService {
         }
       })
 
-      req.on('error', handleStreamError)
+      req.on('error', (error) => {
+        captureService.recordUpstreamError(captureExchange, error)
+        // 客户端断开导致的中止不计入熔断
+        if (!upstreamResponse && !clientResponse.destroyed) {
+          circuitBreakerService.recordOutcome(account.id, 'droid', {
+            error,
+            accountName: account.name
+          })
+        }
+        handleStreamError(error)
+      })
 
       req.on('timeout', () => {
         req.destroy()
         logger.error('❌ Droid request timeout')
+        circuitBreakerService.recordOutcome(account.id, 'droid', {
+          statusCode: 504,
+          accountName: account.name
+        })
         handleStreamError(new Error('Request timeout'))
       })
 
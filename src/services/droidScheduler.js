@@ -1,5 +1,6 @@
 const droidAccountService = require('./droidAccountService')
 const accountGroupService = require('./accountGroupService')
+const circuitBreakerService = require('./circuitBreakerService')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
 
@@ -172,12 +173,15 @@ class DroidScheduler {
       candidates = await droidAccountService.getSchedulableAccounts(normalizedEndpoint)
     }
 
-    const filtered = candidates.filter(
-      (account) =>
-        account &&
-        this._isAccountActive(account) &&
-        this._isAccountSchedulable(account) &&
-        this._matchesEndpoint(account, normalizedEndpoint)
+    // 排除不可用及通用熔断器打开的账户
+    const filtered = await circuitBreakerService.filterAvailable(
+      candidates.filter(
+        (account) =>
+          account &&
+          this._isAccountActive(account) &&
+          this._isAccountSchedulable(account) &&
+          this._matchesEndpoint(account, normalizedEndpoint)
+      )
     )
 
     if (filtered.length === 0) {
@@ -0,0 +1,346 @@
+const axios = require('axios')
+const ProxyHelper = require('../utils/proxyHelper')
+const logger = require('../utils/logger')
+const geminiApiAccountService = require('./geminiApiAccountService')
+const openaiResponsesAccountService = require('./openaiResponsesAccountService')
+const azureOpenaiAccountService = require('./azureOpenaiAccountService')
+const azureOpenaiRelayService = require('./azureOpenaiRelayService')
+const unifiedGeminiScheduler = require('./unifiedGeminiScheduler')
+const unifiedOpenAIScheduler = require('./unifiedOpenAIScheduler')
+
+// Gemini 向量模型（其余模型按 OpenAI 兼容接口转发）
+const GEMINI_EMBEDDING_MODELS = [
+  /^gemini-embedding/,
+  /^text-embedding-00\d/,
+  /^text-multilingual-embedding/,
+  /^embedding-\d/
+]
+
+// 单次请求最多的输入条数（与 OpenAI 限制一致）
+const MAX_INPUTS = 2048
+
+// 上游限流或故障时最多尝试的账户数
+const MAX_ATTEMPTS = 3
+
+const REQUEST_TIMEOUT = 60000
+
+/**
+ * 统一 /v1/embeddings 转发
+ * 按模型选择 Gemini API 账户（embedContent / batchEmbedContents）或
+ * OpenAI-Responses 账户与 Azure 部署（OpenAI embeddings 接口），并统一返回 OpenAI 格式
+ */
+class EmbeddingRelayService {
+  /**
+   * 根据模型判断上游类型
+   * @param {string} model
+   * @returns {'gemini'|'openai'}
+   */
+  detectProvider(model) {
+    const normalized = (model || '').toLowerCase().replace(/^models\//, '')
+    return GEMINI_EMBEDDING_MODELS.some((pattern) => pattern.test(normalized)) ? 'gemini' : 'openai'
+  }
+
+  /**
+   * 校验并规范化 input 字段
+   * @returns {Array<string|number[]>}
+   */
+  normalizeInput(input) {
+    const inputs = Array.isArray(input) && typeof input[0] !== 'number' ? input : [input]
+    if (
+      inputs.length === 0 ||
+      inputs.some((item) => typeof item !== 'string' && !Array.isArray(item))
+    ) {
+      throw this._createError(400, 'input must be a string or an array of strings or token arrays')
+    }
+    if (inputs.length > MAX_INPUTS) {
+      throw this._createError(400, `input must contain at most ${MAX_INPUTS} items`)
+    }
+    return inputs
+  }
+
+  /**
+   * 转发向量请求，限流或上游故障时切换到下一个可用账户
+   * @param {Object} apiKeyData - 已认证的 API Key
+   * @param {Object} body - OpenAI 格式的请求体
+   * @returns {Promise<{response: Object, accountId: string, accountType: string, inputTokens: number}>}
+   */
+  async relay(apiKeyData, body) {
+    const provider = this.detectProvider(body.model)
+    const inputs = this.normalizeInput(body.input)
+    if (provider === 'gemini' && inputs.some((item) => typeof item !== 'string')) {
+      throw this._createError(400, 'Token array inputs are not supported for Gemini models')
+    }
+
+    const triedAccountIds = new Set()
+    let lastError = null
+    while (triedAccountIds.size < MAX_ATTEMPTS) {
+      let candidate
+      try {
+        candidate = await this.selectAccount(apiKeyData, provider, body.model, triedAccountIds)
+      } catch (error) {
+        // 切换账户后没有其他可用账户时返回上一次的上游错误
+        throw (
+          lastError ||
+          this._createError(
+            error.status || error.statusCode || 503,
+            error.message || `No available accounts support embedding model: ${body.model}`,
+            'service_unavailable'
+          )
+        )
+      }
+      // 调度器再次选中失败过的账户（专属绑定或没有其他可用账户）时不再重试
+      if (triedAccountIds.has(candidate.accountId)) {
+        break
+      }
+      triedAccountIds.add(candidate.accountId)
+
+      try {
+        const result =
+          candidate.accountType === 'gemini-api'
+            ? await this._relayGemini(candidate.accountId, body, inputs)
+            : await this._relayOpenAICompatible(candidate, body)
+
+        logger.info(
+          `🧮 Embeddings served by ${candidate.accountType} account ${candidate.accountId} for API key ${apiKeyData.name}`
+        )
+        return { ...result, accountId: candidate.accountId, accountType: candidate.accountType }
+      } catch (error) {
+        lastError = error
+        if (!error.retryable) {
+          throw error
+        }
+        if (error.status === 429) {
+          await this._markRateLimited(candidate)
+        }
+        logger.warn(
+          `⚠️ Embeddings request failed on ${candidate.accountType} account ${candidate.accountId} (${error.status || error.message}), trying next account`
+        )
+      }
+    }
+
+    throw lastError
+  }
+
+  /**
+   * 选择处理该模型的账户
+   * Gemini API 与 OpenAI-Responses 账户通过统一调度器选择（专属 / 分组绑定、限流与熔断状态）；
+   * Azure 部署不在统一调度器中，绑定 Azure 账户的 Key 只使用该部署，
+   * 未绑定 OpenAI 账户的 Key 在没有可用 Responses 账户时使用部署了该模型的共享 Azure 账户
+   * @param {Set<string>} triedAccountIds - 本次请求已失败的账户
+   * @returns {Promise<{accountId: string, accountType: string}>}
+   */
+  async selectAccount(apiKeyData, provider, model, triedAccountIds = new Set()) {
+    if (provider === 'gemini') {
+      return await unifiedGeminiScheduler.selectAccountForApiKey(apiKeyData, null, model, {
+        apiOnly: true
+      })
+    }
+
+    if (apiKeyData.azureOpenaiAccountId) {
+      const account = await azureOpenaiAccountService.getAccount(apiKeyData.azureOpenaiAccountId)
+      if (!account || !this._isAzureDeploymentAvailable(account, model)) {
+        throw this._createError(
+          503,
+          `Dedicated Azure OpenAI account does not serve embedding model: ${model}`,
+          'service_unavailable'
+        )
+      }
+      return { accountId: account.id, accountType: 'azure-openai' }
+    }
+
+    try {
+      return await unifiedOpenAIScheduler.selectAccountForApiKey(apiKeyData, null, model, {
+        responsesOnly: true
+      })
+    } catch (error) {
+      if (apiKeyData.openaiAccountId) {
+        throw error
+      }
+      const azureAccounts = await azureOpenaiAccountService.getSharedAccounts()
+      const account = azureAccounts.find(
+        (item) => !triedAccountIds.has(item.id) && this._isAzureDeploymentAvailable(item, model)
+      )
+      if (!account) {
+        throw error
+      }
+      return { accountId: account.id, accountType: 'azure-openai' }
+    }
+  }
+
+  // Azure 每个账户对应一个部署，仅选择部署了该向量模型的可用账户
+  _isAzureDeploymentAvailable(account, model) {
+    const deploysModel =
+      account.deploymentName === model ||
+      (Array.isArray(account.supportedModels) && account.supportedModels.includes(model))
+    const expired =
+      account.subscriptionExpiresAt && new Date(account.subscriptionExpiresAt) <= new Date()
+    return (
+      account.isActive === 'true' && account.schedulable !== 'false' && !expired && deploysModel
+    )
+  }
+
+  /**
+   * Gemini：单条输入使用 embedContent，多条使用 batchEmbedContents
+   */
+  async _relayGemini(accountId, body, inputs) {
+    const account = await geminiApiAccountService.getAccount(accountId)
+    if (!account) {
+      throw this._createError(503, 'Gemini API account not found', 'service_unavailable', true)
+    }
+
+    const model = body.model.replace(/^models\//, '')
+    const baseUrl = account.baseUrl.replace(/\/+$/, '')
+    const modelsUrl = baseUrl.endsWith('/models') ? baseUrl : `${baseUrl}/v1beta/models`
+    const toRequest = (text) => ({
+      model: `models/${model}`,
+      content: { parts: [{ text }] },
+      ...(body.dimensions ? { outputDimensionality: body.dimensions } : {})
+    })
+
+    const isBatch = inputs.length > 1
+    const response = await this._post(
+      `${modelsUrl}/${model}:${isBatch ? 'batchEmbedContents' : 'embedContent'}`,
+      isBatch ? { requests: inputs.map(toRequest) } : toRequest(inputs[0]),
+      { 'x-goog-api-key': account.apiKey },
+      account.proxy
+    )
+    await geminiApiAccountService.markAccountUsed(accountId)
+
+    const embeddings = isBatch ? response.data.embeddings : [response.data.embedding]
+    // Gemini 向量接口不返回 token 用量，按字符数估算（约 4 字符 / token）
+    const inputTokens = inputs.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0)
+
+    return {
+      inputTokens,
+      response: {
+        object: 'list',
+        data: embeddings.map((embedding, index) => ({
+          object: 'embedding',
+          index,
+          embedding:
+            body.encoding_format === 'base64' ? this._toBase64(embedding.values) : embedding.values
+        })),
+        model: body.model,
+        usage: { prompt_tokens: inputTokens, total_tokens: inputTokens }
+      }
+    }
+  }
+
+  /**
+   * OpenAI-Responses 账户与 Azure 部署：原样转发 OpenAI embeddings 请求
+   */
+  async _relayOpenAICompatible(candidate, body) {
+    let response
+    if (candidate.accountType === 'azure-openai') {
+      const account = await azureOpenaiAccountService.getAccount(candidate.accountId)
+      if (!account) {
+        throw this._createError(503, 'Azure OpenAI account not found', 'service_unavailable', true)
+      }
+      response = await azureOpenaiRelayService.handleAzureOpenAIRequest({
+        account,
+        requestBody: body,
+        isStream: false,
+        endpoint: 'embeddings'
+      })
+      this._assertOk(response)
+    } else {
+      const account = await openaiResponsesAccountService.getAccount(candidate.accountId)
+      if (!account) {
+        throw this._createError(
+          503,
+          'OpenAI-Responses account not found',
+          'service_unavailable',
+          true
+        )
+      }
+      const baseApi = account.baseApi.replace(/\/+$/, '')
+      const url = baseApi.endsWith('/v1') ? `${baseApi}/embeddings` : `${baseApi}/v1/embeddings`
+      const headers = { Authorization: `Bearer ${account.apiKey}` }
+      if (account.userAgent) {
+        headers['User-Agent'] = account.userAgent
+      }
+      response = await this._post(url, body, headers, account.proxy)
+    }
+
+    const inputTokens = response.data?.usage?.prompt_tokens || 0
+    if (candidate.accountType === 'azure-openai') {
+      await azureOpenaiAccountService.updateAccountUsage(candidate.accountId, inputTokens)
+    } else {
+      await openaiResponsesAccountService.updateAccountUsage(candidate.accountId, inputTokens)
+    }
+
+    return { inputTokens, response: response.data }
+  }
+
+  async _post(url, data, headers, proxy) {
+    const requestOptions = {
+      method: 'POST',
+      url,
+      data,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      timeout: REQUEST_TIMEOUT,
+      validateStatus: () => true
+    }
+
+    const proxyAgent = proxy ? ProxyHelper.createProxyAgent(proxy) : null
+    if (proxyAgent) {
+      requestOptions.httpAgent = proxyAgent
+      requestOptions.httpsAgent = proxyAgent
+      requestOptions.proxy = false
+    }
+
+    let response
+    try {
+      response = await axios(requestOptions)
+    } catch (error) {
+      throw this._createError(502, `Upstream request failed: ${error.message}`, 'api_error', true)
+    }
+    this._assertOk(response)
+    return response
+  }
+
+  _assertOk(response) {
+    if (response.status >= 200 && response.status < 300) {
+      return
+    }
+    const upstreamError = Array.isArray(response.data)
+      ? response.data[0]?.error
+      : response.data?.error
+    const message =
+      upstreamError?.message ||
+      (typeof upstreamError === 'string' ? upstreamError : null) ||
+      `Upstream returned status ${response.status}`
+    // 429 与 5xx 可以切换账户重试，其余错误直接返回给客户端
+    const retryable = response.status === 429 || response.status >= 500
+    throw this._createError(response.status, message, upstreamError?.type || 'api_error', retryable)
+  }
+
+  async _markRateLimited(candidate) {
+    try {
+      if (candidate.accountType === 'gemini-api') {
+        await unifiedGeminiScheduler.markAccountRateLimited(candidate.accountId, 'gemini-api')
+      } else if (candidate.accountType === 'openai-responses') {
+        await unifiedOpenAIScheduler.markAccountRateLimited(candidate.accountId, 'openai-responses')
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to mark account ${candidate.accountId} as rate limited:`, error)
+    }
+  }
+
+  // OpenAI 的 base64 格式为 float32 小端序字节
+  _toBase64(values) {
+    const buffer = Buffer.alloc(values.length * 4)
+    values.forEach((value, index) => buffer.writeFloatLE(value, index * 4))
+    return buffer.toString('base64')
+  }
+
+  _createError(status, message, type = 'invalid_request_error', retryable = false) {
+    const error = new Error(message)
+    error.status = status
+    error.type = type
+    error.retryable = retryable
+    return error
+  }
+}
+
+module.exports = new EmbeddingRelayService()
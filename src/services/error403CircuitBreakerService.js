@@ -284,6 +284,21 @@ class Error403CircuitBreakerService {
     }
   }
 
+  /**
+   * 检查账户熔断器是否处于打开状态（只读，不触发恢复）
+   * @param {string} accountId - 账户ID
+   * @returns {Promise<boolean>}
+   */
+  async isBreakerOpen(accountId) {
+    try {
+      const accountData = await this._getAccountData(accountId)
+      return accountData?.error403BreakerState === 'open'
+    } catch (error) {
+      logger.error(`Failed to read breaker state for account ${accountId}:`, error)
+      return false
+    }
+  }
+
   /**
    * 获取账户熔断状态
    * @param {string} accountId - 账户ID
@@ -2,7 +2,6 @@ const redisClient = require('../models/redis')
 const { v4: uuidv4 } = require('uuid')
 const crypto = require('crypto')
 const https = require('https')
-const config = require('../../config/config')
 const logger = require('../utils/logger')
 const { OAuth2Client } = require('google-auth-library')
 const { maskToken } = require('../utils/tokenMask')
@@ -16,6 +15,8 @@ const {
 } = require('../utils/tokenRefreshLogger')
 const tokenRefreshService = require('./tokenRefreshService')
 const LRUCache = require('../utils/lruCache')
+const { credentialVault } = require('../utils/credentialVault')
+const credentialRotationService = require('./credentialRotationService')
 
 // Gemini CLI OAuth 配置 - 从环境变量读取
 // 默认值是公开的 Gemini CLI 凭据 (可在 .env 文件中覆盖)
@@ -38,43 +39,28 @@ const keepAliveAgent = new https.Agent({
 
 logger.info('🌐 Gemini HTTPS Agent initialized with TCP Keep-Alive support')
 
-// 加密相关常量
-const ALGORITHM = 'aes-256-cbc'
-const ENCRYPTION_SALT = 'gemini-account-salt'
-const IV_LENGTH = 16
-
-// 🚀 性能优化：缓存派生的加密密钥，避免每次重复计算
-// scryptSync 是 CPU 密集型操作，缓存可以减少 95%+ 的 CPU 占用
-let _encryptionKeyCache = null
+// 🔐 凭证加解密（共用凭证保险库，兼容旧格式密文）
+const cipher = credentialVault.createCipher('gemini', { salt: 'gemini-account-salt' })
 
 // 🔄 解密结果缓存，提高解密性能
 const decryptCache = new LRUCache(500)
 
-// 生成加密密钥（使用与 claudeAccountService 相同的方法）
-function generateEncryptionKey() {
-  if (!_encryptionKeyCache) {
-    _encryptionKeyCache = crypto.scryptSync(config.security.encryptionKey, ENCRYPTION_SALT, 32)
-    logger.info('🔑 Gemini encryption key derived and cached for performance optimization')
-  }
-  return _encryptionKeyCache
-}
-
 // Gemini 账户键前缀
 const GEMINI_ACCOUNT_KEY_PREFIX = 'gemini_account:'
 const SHARED_GEMINI_ACCOUNTS_KEY = 'shared_gemini_accounts'
 const ACCOUNT_SESSION_MAPPING_PREFIX = 'gemini_session_account_mapping:'
 
+credentialRotationService.registerStore({
+  name: 'gemini',
+  pattern: 'gemini_account:*',
+  type: 'hash',
+  fields: ['geminiOauth', 'accessToken', 'refreshToken'],
+  cipher
+})
+
 // 加密函数
 function encrypt(text) {
-  if (!text) {
-    return ''
-  }
-  const key = generateEncryptionKey()
-  const iv = crypto.randomBytes(IV_LENGTH)
-  const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
-  let encrypted = cipher.update(text)
-  encrypted = Buffer.concat([encrypted, cipher.final()])
-  return `${iv.toString('hex')}:${encrypted.toString('hex')}`
+  return cipher.encrypt(text)
 }
 
 // 解密函数
@@ -91,17 +77,7 @@ function decrypt(text) {
   }
 
   try {
-    const key = generateEncryptionKey()
-    // IV 是固定长度的 32 个十六进制字符（16 字节）
-    const ivHex = text.substring(0, 32)
-    const encryptedHex = text.substring(33) // 跳过冒号
-
-    const iv = Buffer.from(ivHex, 'hex')
-    const encryptedText = Buffer.from(encryptedHex, 'hex')
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv)
-    let decrypted = decipher.update(encryptedText)
-    decrypted = Buffer.concat([decrypted, decipher.final()])
-    const result = decrypted.toString()
+    const result = cipher.decrypt(text)
 
     // 💾 存入缓存（5分钟过期）
     decryptCache.set(cacheKey, result, 5 * 60 * 1000)
@@ -113,7 +89,7 @@ function decrypt(text) {
 
     return result
   } catch (error) {
-    logger.error('Decryption error:', error)
+    // 解密失败已由凭证保险库记录，返回空值避免把密文当作凭证使用
     return ''
   }
 }
@@ -1688,7 +1664,6 @@ module.exports = {
   setupUser,
   encrypt,
   decrypt,
-  generateEncryptionKey,
   decryptCache, // 暴露缓存对象以便测试和监控
   countTokens,
   generateContent,
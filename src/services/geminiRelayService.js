@@ -3,6 +3,7 @@ const ProxyHelper = require('../utils/proxyHelper')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
 const apiKeyService = require('./apiKeyService')
+const requestTransformService = require('./requestTransformService')
 
 // Gemini API 配置
 const GEMINI_API_BASE = 'https://cloudcode.googleapis.com/v1'
@@ -163,7 +164,8 @@ async function* handleStreamResponse(response, model, apiKeyId, accountId = null
                   0, // cacheCreateTokens (Gemini 没有这个概念)
                   0, // cacheReadTokens (Gemini 没有这个概念)
                   model,
-                  accountId
+                  accountId,
+                  'gemini'
                 )
                 .catch((error) => {
                   logger.error('❌ Failed to record Gemini usage:', error)
@@ -253,6 +255,20 @@ async function sendGeminiRequest({
     requestBody.systemInstruction = { parts: [{ text: systemInstruction }] }
   }
 
+  // 应用账户 / 分组配置的请求转换规则（模型名在 URL 中，单独参与改写）
+  const transformRules = await requestTransformService.getRulesForAccount(accountId)
+  const transformed = requestTransformService.applyRules(
+    transformRules,
+    { body: requestBody, model },
+    'gemini',
+    accountId
+  )
+  if (transformed.model !== model) {
+    model = transformed.model.startsWith('models/')
+      ? transformed.model
+      : `models/${transformed.model}`
+  }
+
   // 配置请求选项
   let apiUrl
   if (projectId) {
@@ -268,11 +284,18 @@ async function sendGeminiRequest({
   const axiosConfig = {
     method: 'POST',
     url: apiUrl,
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      'Content-Type': 'application/json'
-    },
-    data: requestBody,
+    headers: requestTransformService.applyRules(
+      transformRules,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      },
+      'gemini',
+      accountId
+    ).headers,
+    data: transformed.body,
     timeout: config.requestTimeout || 600000
   }
 
@@ -317,7 +340,8 @@ async function sendGeminiRequest({
             0, // cacheCreateTokens
             0, // cacheReadTokens
             model,
-            accountId
+            accountId,
+            'gemini'
           )
           .catch((error) => {
             logger.error('❌ Failed to record Gemini usage:', error)
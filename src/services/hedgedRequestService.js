@@ -0,0 +1,305 @@
+/**
+ * 对冲请求服务
+ * 对开启对冲的 API Key，Claude 流式请求在阈值时间内仍未返回首字节时，向调度器选出的另一个账户
+ * 并发发起同样的请求，先返回首字节（且非错误状态）的一方胜出并继续向客户端输出，另一方被中止。
+ * 主请求在阈值前以账户或上游级别的错误（401/403/429/5xx、连接失败）结束时立即发起对冲，
+ * 400 等请求本身的错误直接返回给客户端。两个请求各自写入缓冲的响应代理，只有胜出方的内容和
+ * usage 会落到客户端与计费上。
+ */
+
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const claudeRelayService = require('./claudeRelayService')
+const claudeConsoleRelayService = require('./claudeConsoleRelayService')
+const unifiedClaudeScheduler = require('./unifiedClaudeScheduler')
+const HedgeResponseProxy = require('../utils/hedgeResponseProxy')
+const { isFailoverEligibleStatus } = require('../utils/streamFailoverHelper')
+
+const STATS_PREFIX = 'hedge_stats:'
+const HEDGEABLE_ACCOUNT_TYPES = ['claude-official', 'claude-console']
+
+class HedgedRequestService {
+  /**
+   * 获取当前请求的对冲阈值
+   * @param {Object} apiKeyData - API Key 数据
+   * @param {string} accountType - 主请求账户类型
+   * @returns {number} 阈值（毫秒），0 表示不启用对冲
+   */
+  getThresholdMs(apiKeyData, accountType) {
+    const settings = config.hedging || {}
+    if (
+      settings.enabled === false ||
+      !apiKeyData?.enableHedging ||
+      !HEDGEABLE_ACCOUNT_TYPES.includes(accountType)
+    ) {
+      return 0
+    }
+    const threshold = parseInt(apiKeyData.hedgeThresholdMs) || settings.defaultThresholdMs || 3000
+    return Math.max(threshold, settings.minThresholdMs || 0)
+  }
+
+  /**
+   * 以对冲方式转发 Claude 流式请求
+   * @param {Object} params
+   * @param {Object} params.requestBody - 请求体
+   * @param {Object} params.apiKeyData - API Key 数据
+   * @param {Object} params.clientHeaders - 客户端请求头
+   * @param {Object} params.res - 客户端响应
+   * @param {Object} params.primary - 主请求账户 { accountId, accountType }
+   * @param {number} params.thresholdMs - 首字节阈值
+   * @param {Function} params.onUsage - usage 回调 (usageData, accountType)，只对胜出方触发
+   */
+  relayStream({ requestBody, apiKeyData, clientHeaders, res, primary, thresholdMs, onUsage }) {
+    return new Promise((resolve, reject) => {
+      const attempts = []
+      let winner = null
+      let hedgeTimer = null
+      let hedgeLaunched = false
+
+      const settleWinner = (attempt) => {
+        if (!attempt.settled) {
+          return
+        }
+        if (attempt.error) {
+          reject(attempt.error)
+        } else {
+          resolve()
+        }
+      }
+
+      const crown = (attempt) => {
+        if (winner) {
+          return
+        }
+        winner = attempt
+        clearTimeout(hedgeTimer)
+        for (const other of attempts) {
+          if (other !== attempt) {
+            this._abortAttempt(other)
+          }
+        }
+        attempt.proxy.flushTo(res)
+
+        if (hedgeLaunched) {
+          logger.info(
+            `🏁 Hedged request won by ${attempt.isHedge ? 'hedge' : 'primary'} ${attempt.accountType} account ${attempt.accountId} (API key: ${apiKeyData.name})`
+          )
+          this._recordWin(attempt).catch((error) => {
+            logger.error('❌ Failed to record hedge stats:', error)
+          })
+        }
+        settleWinner(attempt)
+      }
+
+      const isRunning = (attempt) =>
+        attempt &&
+        !attempt.failed &&
+        !attempt.settled &&
+        !attempt.proxy.ended &&
+        !attempt.proxy.closed
+
+      // 请求本身的错误（400 等非账户级状态码）换账户也不会成功，不触发对冲
+      const isRequestError = (attempt) =>
+        attempt.proxy.isError() && !isFailoverEligibleStatus(attempt.proxy.statusCode)
+
+      // 首字节（或结束）到达时决定胜负：成功响应和请求本身的错误立即胜出，
+      // 账户 / 上游级别的错误在另一方仍在进行时继续等待
+      const onActivity = (attempt) => {
+        if (winner) {
+          return
+        }
+        const other = attempts.find((item) => item !== attempt)
+        if (
+          attempt.proxy.isError() &&
+          !isRequestError(attempt) &&
+          (isRunning(other) || (!hedgeLaunched && !attempt.isHedge))
+        ) {
+          if (attempt.proxy.ended || attempt.settled) {
+            onFailed(attempt)
+          }
+          return
+        }
+        crown(attempt)
+      }
+
+      // 请求以错误结束且尚无胜者：请求本身的错误直接返回；另一方仍在进行则交给它，
+      // 否则立即发起对冲或直接返回错误
+      const onFailed = async (attempt) => {
+        if (winner || attempt.failed) {
+          return
+        }
+        attempt.failed = true
+        if (isRequestError(attempt)) {
+          crown(attempt)
+          return
+        }
+        const other = attempts.find((item) => item !== attempt)
+        if (isRunning(other)) {
+          this._abortAttempt(attempt)
+          return
+        }
+        if (!hedgeLaunched && !attempt.isHedge) {
+          clearTimeout(hedgeTimer)
+          if (await launchHedge()) {
+            this._abortAttempt(attempt)
+            return
+          }
+        }
+        crown(attempt)
+      }
+
+      const launch = (selection, isHedge) => {
+        const controller = new AbortController()
+        const attempt = {
+          accountId: selection.accountId,
+          accountType: selection.accountType,
+          isHedge,
+          controller,
+          settled: false,
+          failed: false,
+          error: null
+        }
+        attempt.proxy = new HedgeResponseProxy(() => onActivity(attempt))
+        attempts.push(attempt)
+
+        const usageCallback = (usageData) => {
+          if (winner === attempt && onUsage) {
+            onUsage(usageData, attempt.accountType)
+          }
+        }
+
+        this._dispatch(selection, attempt, requestBody, apiKeyData, clientHeaders, usageCallback)
+          .catch((error) => {
+            attempt.error = error
+          })
+          .then(() => {
+            attempt.settled = true
+            if (winner === attempt) {
+              settleWinner(attempt)
+            } else if (!winner) {
+              if (attempt.error || attempt.proxy.isError() || !attempt.proxy.hasData) {
+                onFailed(attempt)
+              } else {
+                onActivity(attempt)
+              }
+            } else if (attempt.error) {
+              logger.debug(`🏁 Hedge loser ${attempt.accountId} finished: ${attempt.error.message}`)
+            }
+          })
+        return attempt
+      }
+
+      const launchHedge = async () => {
+        if (hedgeLaunched || winner) {
+          return false
+        }
+        hedgeLaunched = true
+        let selection = null
+        try {
+          selection = await unifiedClaudeScheduler.selectHedgeAccount(
+            apiKeyData,
+            requestBody.model,
+            primary.accountId
+          )
+        } catch (error) {
+          logger.warn(`⚠️ Failed to select hedge account: ${error.message}`)
+        }
+        if (!selection || winner || res.destroyed) {
+          hedgeLaunched = false
+          return false
+        }
+
+        logger.info(
+          `🏁 No first byte from ${primary.accountType} account ${primary.accountId} after ${thresholdMs}ms, hedging with ${selection.accountType} account ${selection.accountId} (API key: ${apiKeyData.name})`
+        )
+        const hedge = launch(selection, true)
+        this._recordRace(attempts[0], hedge).catch((error) => {
+          logger.error('❌ Failed to record hedge stats:', error)
+        })
+        return true
+      }
+
+      // 客户端断开时中止所有请求
+      res.on('close', () => {
+        clearTimeout(hedgeTimer)
+        for (const attempt of attempts) {
+          this._abortAttempt(attempt)
+        }
+      })
+
+      launch(primary, false)
+      hedgeTimer = setTimeout(() => {
+        if (!winner) {
+          launchHedge()
+        }
+      }, thresholdMs)
+    })
+  }
+
+  // 🌊 通过对应的转发服务发送请求，写入该请求的响应代理
+  _dispatch(selection, attempt, requestBody, apiKeyData, clientHeaders, usageCallback) {
+    if (selection.accountType === 'claude-console') {
+      return claudeConsoleRelayService.relayStreamRequestWithUsageCapture(
+        requestBody,
+        apiKeyData,
+        attempt.proxy,
+        clientHeaders,
+        usageCallback,
+        selection.accountId,
+        null,
+        { abortSignal: attempt.controller.signal }
+      )
+    }
+    return claudeRelayService.relayStreamRequestWithUsageCapture(
+      requestBody,
+      apiKeyData,
+      attempt.proxy,
+      clientHeaders,
+      usageCallback,
+      null,
+      { forcedAccount: { accountId: selection.accountId, accountType: selection.accountType } }
+    )
+  }
+
+  _abortAttempt(attempt) {
+    attempt.proxy.abort()
+    if (!attempt.controller.signal.aborted) {
+      attempt.controller.abort()
+    }
+  }
+
+  // 📊 记录一次实际发生的对冲（主请求与对冲请求的账户各自计数）
+  async _recordRace(primaryAttempt, hedgeAttempt) {
+    await redis
+      .getClientSafe()
+      .multi()
+      .hincrby(`${STATS_PREFIX}${primaryAttempt.accountId}`, 'races', 1)
+      .hincrby(`${STATS_PREFIX}${hedgeAttempt.accountId}`, 'hedgeRaces', 1)
+      .exec()
+  }
+
+  async _recordWin(attempt) {
+    await redis
+      .getClientSafe()
+      .hincrby(`${STATS_PREFIX}${attempt.accountId}`, attempt.isHedge ? 'hedgeWins' : 'wins', 1)
+  }
+
+  /**
+   * 获取账户的对冲统计
+   * @param {string} accountId - 账户ID
+   * @returns {Promise<Object>} { races, wins, hedgeRaces, hedgeWins }
+   *   races/wins 为作为主请求参与对冲的次数与胜出次数，hedgeRaces/hedgeWins 为作为对冲请求的次数与胜出次数
+   */
+  async getAccountStats(accountId) {
+    const stats = await redis.getClientSafe().hgetall(`${STATS_PREFIX}${accountId}`)
+    return {
+      races: parseInt(stats?.races || 0),
+      wins: parseInt(stats?.wins || 0),
+      hedgeRaces: parseInt(stats?.hedgeRaces || 0),
+      hedgeWins: parseInt(stats?.hedgeWins || 0)
+    }
+  }
+}
+
+module.exports = new HedgedRequestService()
@@ -0,0 +1,185 @@
+/**
+ * IP 访问控制服务
+ * 管理全局 IP 白名单 / 黑名单（支持 CIDR 与 IPv6 前缀）以及 API Key 级别的来源网段限制。
+ * 规则保存在 Redis 中，修改后无需重启即可生效；config 中的静态列表作为基础规则始终合并生效。
+ */
+
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const { parseNetwork, isIpInNetworks, cleanIp } = require('../utils/ipNetworkHelper')
+
+const RULES_KEY = 'ip_access:rules'
+
+// Redis 中保存的规则（allowlistEnabled 为 null 表示沿用 config 中的开关）
+const DEFAULT_RULES = {
+  allowlistEnabled: null,
+  allowlist: [],
+  denylist: [],
+  updatedAt: null,
+  updatedBy: null
+}
+
+// 内存缓存（每个请求都会检查，避免频繁 Redis 查询；多实例部署时最长延迟一个缓存周期生效）
+let rulesCache = null
+let rulesCacheTime = 0
+const RULES_CACHE_TTL = 10000 // 10秒缓存
+
+const parseNetworks = (list) => (list || []).map(parseNetwork).filter(Boolean)
+
+class IpAccessService {
+  /**
+   * 获取 config 中的静态规则
+   * @returns {{enabled: boolean, allowlist: string[], denylist: string[]}}
+   */
+  getStaticRules() {
+    const ipWhitelist = config.security?.ipWhitelist || {}
+    return {
+      enabled: ipWhitelist.enabled === true,
+      allowlist: ipWhitelist.allowedIps || [],
+      denylist: ipWhitelist.deniedIps || []
+    }
+  }
+
+  /**
+   * 获取 Redis 中保存的规则
+   * @returns {Promise<Object>}
+   */
+  async getStoredRules() {
+    const client = redis.getClient()
+    if (!client) {
+      return { ...DEFAULT_RULES }
+    }
+    const data = await client.get(RULES_KEY)
+    return data ? { ...DEFAULT_RULES, ...JSON.parse(data) } : { ...DEFAULT_RULES }
+  }
+
+  /**
+   * 获取合并后的生效规则（带缓存）
+   * @returns {Promise<Object>} { allowlistEnabled, allowlist, denylist, allowNetworks, denyNetworks }
+   */
+  async getEffectiveRules() {
+    if (rulesCache && Date.now() - rulesCacheTime < RULES_CACHE_TTL) {
+      return rulesCache
+    }
+
+    const staticRules = this.getStaticRules()
+    let stored = { ...DEFAULT_RULES }
+    try {
+      stored = await this.getStoredRules()
+    } catch (error) {
+      // Redis 不可用时仅使用静态规则，不缓存以便尽快恢复
+      logger.error('❌ Failed to load IP access rules from Redis:', error)
+      return this._buildEffectiveRules(staticRules, stored)
+    }
+
+    rulesCache = this._buildEffectiveRules(staticRules, stored)
+    rulesCacheTime = Date.now()
+    return rulesCache
+  }
+
+  _buildEffectiveRules(staticRules, stored) {
+    const allowlist = [...new Set([...staticRules.allowlist, ...(stored.allowlist || [])])]
+    const denylist = [...new Set([...staticRules.denylist, ...(stored.denylist || [])])]
+    return {
+      allowlistEnabled:
+        typeof stored.allowlistEnabled === 'boolean'
+          ? stored.allowlistEnabled
+          : staticRules.enabled,
+      allowlist,
+      denylist,
+      allowNetworks: parseNetworks(allowlist),
+      denyNetworks: parseNetworks(denylist)
+    }
+  }
+
+  /**
+   * 更新 Redis 中的规则（调用方负责校验网段格式）
+   * @param {Object} updates - { allowlistEnabled, allowlist, denylist }
+   * @param {string} updatedBy - 更新者
+   * @returns {Promise<Object>} 更新后的规则
+   */
+  async updateRules(updates, updatedBy) {
+    const client = redis.getClientSafe()
+    const current = await this.getStoredRules()
+
+    const updated = {
+      ...current,
+      ...updates,
+      updatedAt: new Date().toISOString(),
+      updatedBy
+    }
+
+    await client.set(RULES_KEY, JSON.stringify(updated))
+    this.clearCache()
+
+    logger.info(`✅ IP access rules updated by ${updatedBy}:`, {
+      allowlistEnabled: updated.allowlistEnabled,
+      allowlist: updated.allowlist.length,
+      denylist: updated.denylist.length
+    })
+
+    return updated
+  }
+
+  /**
+   * 获取请求的候选来源地址：原始连接地址与 ipHelper 解析后的地址
+   * （auto 策略会把内网地址替换为服务器公网地址，网段规则需要同时看到两者）
+   * @param {Object} req - Express request
+   * @param {string} resolvedIp - ipHelper.resolveClientIP 的结果
+   * @returns {string[]}
+   */
+  getCandidateIps(req, resolvedIp) {
+    const originalIp = req.ip || req.connection?.remoteAddress || req.socket?.remoteAddress
+    return [...new Set([originalIp, resolvedIp].filter((ip) => ip && ip !== 'unknown'))].map(
+      cleanIp
+    )
+  }
+
+  /**
+   * 全局规则检查：黑名单优先，其次是白名单
+   * @param {string[]} ips - 候选来源地址
+   * @returns {Promise<{allowed: boolean, reason?: string}>}
+   */
+  async checkGlobalAccess(ips) {
+    const rules = await this.getEffectiveRules()
+
+    if (ips.some((ip) => isIpInNetworks(ip, rules.denyNetworks))) {
+      return { allowed: false, reason: 'denylisted' }
+    }
+
+    if (!rules.allowlistEnabled) {
+      return { allowed: true }
+    }
+    if (rules.allowNetworks.length === 0) {
+      return { allowed: false, reason: 'allowlist_empty' }
+    }
+    if (ips.some((ip) => isIpInNetworks(ip, rules.allowNetworks))) {
+      return { allowed: true }
+    }
+    return { allowed: false, reason: 'not_allowlisted' }
+  }
+
+  /**
+   * API Key 来源网段检查（未配置网段时不限制）
+   * @param {string[]} allowedNetworks - Key 上配置的网段
+   * @param {string[]} ips - 候选来源地址
+   * @returns {boolean}
+   */
+  isKeyAccessAllowed(allowedNetworks, ips) {
+    if (!Array.isArray(allowedNetworks) || allowedNetworks.length === 0) {
+      return true
+    }
+    return ips.some((ip) => isIpInNetworks(ip, allowedNetworks))
+  }
+
+  /**
+   * 清除规则缓存
+   */
+  clearCache() {
+    rulesCache = null
+    rulesCacheTime = 0
+  }
+}
+
+module.exports = new IpAccessService()
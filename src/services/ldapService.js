@@ -2,6 +2,7 @@ const ldap = require('ldapjs')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
 const userService = require('./userService')
+const twoFactorService = require('./twoFactorService')
 
 class LdapService {
   constructor() {
@@ -632,7 +633,23 @@ class LdapService {
       // 8. 记录登录
       await userService.recordUserLogin(user.id)
 
-      // 9. 创建用户会话
+      // 9. 需要两步验证时不直接创建会话，由登录路由完成第二步后再创建
+      const twoFactorStep = await twoFactorService.getLoginRequirement(
+        twoFactorService.userSubject(user)
+      )
+      if (twoFactorStep) {
+        logger.info(
+          `🔐 LDAP password verified, awaiting two-factor ${twoFactorStep}: ${sanitizedUsername}`
+        )
+        return {
+          success: true,
+          user,
+          twoFactorStep,
+          message: 'Two-factor authentication required'
+        }
+      }
+
+      // 10. 创建用户会话
       const sessionToken = await userService.createUserSession(user.id)
 
       logger.info(`✅ LDAP authentication successful for user: ${sanitizedUsername}`)
@@ -0,0 +1,756 @@
+/**
+ * Message Batches 服务
+ * 兼容 Anthropic Message Batches API：批次与请求存储在 Redis 中，
+ * 由后台 worker 逐条通过统一调度器转发，并复用常规的 usage 记录与费用限制。
+ * worker 执行时按 ID 重新加载并校验 API Key，请求与普通请求一样受过期、并发、
+ * 时间窗口限流、费用限制、周期预算与团队预算约束
+ */
+
+const crypto = require('crypto')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const costBudgetService = require('./costBudgetService')
+const teamService = require('./teamService')
+const pricingService = require('./pricingService')
+const { getEffectiveModel, parseVendorPrefixedModel } = require('../utils/modelHelper')
+const { resolveBudgetDowngradeModel } = require('../utils/costBudgetHelper')
+const { updateRateLimitCounters } = require('../utils/rateLimitHelper')
+
+const BATCH_PREFIX = 'message_batch:'
+const BATCH_REQUESTS_PREFIX = 'message_batch_requests:'
+const BATCH_RESULTS_PREFIX = 'message_batch_results:'
+const BATCH_LOCK_PREFIX = 'message_batch_lock:'
+const KEY_BATCHES_PREFIX = 'message_batches:'
+const PENDING_BATCHES_KEY = 'message_batch_pending'
+
+const CUSTOM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/
+const LOCK_TTL_MS = 10 * 60 * 1000
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  workerIntervalMs: 5000,
+  concurrency: 2,
+  maxRequests: 10000,
+  expireHours: 24,
+  retentionDays: 29
+}
+
+class MessageBatchService {
+  constructor() {
+    this.workerTimer = null
+    this.workerRunning = false
+    this.instanceId = crypto.randomBytes(8).toString('hex')
+  }
+
+  getConfig() {
+    return { ...DEFAULT_CONFIG, ...(config.messageBatches || {}) }
+  }
+
+  /**
+   * 校验批次请求体
+   * @param {Array} requests - [{ custom_id, params }]
+   * @returns {string|null} 错误信息，合法时返回 null
+   */
+  validateRequests(requests) {
+    const { maxRequests } = this.getConfig()
+
+    if (!Array.isArray(requests) || requests.length === 0) {
+      return 'requests must be a non-empty array'
+    }
+    if (requests.length > maxRequests) {
+      return `requests cannot contain more than ${maxRequests} items`
+    }
+
+    const seen = new Set()
+    for (let i = 0; i < requests.length; i++) {
+      const item = requests[i]
+      if (!item || typeof item !== 'object') {
+        return `requests.${i} must be an object`
+      }
+      if (typeof item.custom_id !== 'string' || !CUSTOM_ID_PATTERN.test(item.custom_id)) {
+        return `requests.${i}.custom_id must be 1-64 characters of letters, digits, "_" or "-"`
+      }
+      if (seen.has(item.custom_id)) {
+        return `requests.${i}.custom_id "${item.custom_id}" is duplicated`
+      }
+      seen.add(item.custom_id)
+
+      const { params } = item
+      if (!params || typeof params !== 'object') {
+        return `requests.${i}.params must be an object`
+      }
+      if (!params.model || typeof params.model !== 'string') {
+        return `requests.${i}.params.model is required`
+      }
+      if (!Array.isArray(params.messages) || params.messages.length === 0) {
+        return `requests.${i}.params.messages must be a non-empty array`
+      }
+      if (params.stream === true) {
+        return `requests.${i}.params.stream is not supported in batches`
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * 创建批次并加入待处理队列
+   * @param {Object} apiKeyData - 认证中间件生成的 req.apiKey
+   * @param {Array} requests - 已校验的请求列表
+   * @returns {Promise<Object>} 批次原始数据
+   */
+  async createBatch(apiKeyData, requests) {
+    const client = redis.getClientSafe()
+    const { expireHours } = this.getConfig()
+    const id = `msgbatch_${crypto.randomBytes(12).toString('hex')}`
+    const now = Date.now()
+
+    const batch = {
+      id,
+      apiKeyId: apiKeyData.id,
+      processingStatus: 'in_progress',
+      requestCount: String(requests.length),
+      nextIndex: '0',
+      succeeded: '0',
+      errored: '0',
+      canceled: '0',
+      expired: '0',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + expireHours * 3600 * 1000).toISOString(),
+      endedAt: '',
+      cancelInitiatedAt: ''
+    }
+
+    const pipeline = client.pipeline()
+    pipeline.hset(`${BATCH_PREFIX}${id}`, batch)
+    // 分片写入，避免单条命令参数过多
+    for (let i = 0; i < requests.length; i += 500) {
+      pipeline.rpush(
+        `${BATCH_REQUESTS_PREFIX}${id}`,
+        ...requests
+          .slice(i, i + 500)
+          .map((item) => JSON.stringify({ custom_id: item.custom_id, params: item.params }))
+      )
+    }
+    pipeline.zadd(`${KEY_BATCHES_PREFIX}${apiKeyData.id}`, now, id)
+    pipeline.zadd(PENDING_BATCHES_KEY, now, id)
+    await pipeline.exec()
+
+    logger.info(
+      `📦 Created message batch ${id} with ${requests.length} requests for key ${apiKeyData.name} (${apiKeyData.id})`
+    )
+    return batch
+  }
+
+  /**
+   * 获取批次（校验归属）
+   * @param {string} batchId - 批次ID
+   * @param {string} apiKeyId - 调用方 API Key ID，传 null 时不校验归属
+   * @returns {Promise<Object|null>}
+   */
+  async getBatch(batchId, apiKeyId = null) {
+    const client = redis.getClientSafe()
+    const batch = await client.hgetall(`${BATCH_PREFIX}${batchId}`)
+    if (!batch || Object.keys(batch).length === 0) {
+      return null
+    }
+    if (apiKeyId && batch.apiKeyId !== apiKeyId) {
+      return null
+    }
+    return batch
+  }
+
+  /**
+   * 分页列出某个 API Key 的批次（按创建时间倒序）
+   * @param {string} apiKeyId - API Key ID
+   * @param {Object} options - { limit, beforeId, afterId }
+   * @returns {Promise<{batches: Array, hasMore: boolean}>}
+   */
+  async listBatches(apiKeyId, { limit = 20, beforeId = null, afterId = null } = {}) {
+    const client = redis.getClientSafe()
+    const ids = await client.zrevrange(`${KEY_BATCHES_PREFIX}${apiKeyId}`, 0, -1)
+
+    let start = 0
+    let end = ids.length
+    if (afterId) {
+      const index = ids.indexOf(afterId)
+      start = index >= 0 ? index + 1 : ids.length
+    } else if (beforeId) {
+      const index = ids.indexOf(beforeId)
+      end = index >= 0 ? index : 0
+      start = Math.max(0, end - limit)
+    }
+
+    const pageIds = ids.slice(start, Math.min(end, start + limit))
+    const batches = []
+    for (const id of pageIds) {
+      const batch = await this.getBatch(id)
+      if (batch) {
+        batches.push(batch)
+      }
+    }
+
+    const hasMore = beforeId ? start > 0 : start + limit < end
+    return { batches, hasMore }
+  }
+
+  /**
+   * 请求取消批次（由 worker 将剩余请求标记为 canceled）
+   * @param {Object} batch - 批次数据
+   * @returns {Promise<Object>} 更新后的批次
+   */
+  async cancelBatch(batch) {
+    if (batch.processingStatus !== 'in_progress') {
+      return batch
+    }
+
+    const client = redis.getClientSafe()
+    const updates = {
+      processingStatus: 'canceling',
+      cancelInitiatedAt: new Date().toISOString()
+    }
+    await client.hset(`${BATCH_PREFIX}${batch.id}`, updates)
+    logger.info(`🛑 Cancel requested for message batch ${batch.id}`)
+    return { ...batch, ...updates }
+  }
+
+  /**
+   * 删除已结束的批次及其结果
+   * @param {Object} batch - 批次数据
+   */
+  async deleteBatch(batch) {
+    const client = redis.getClientSafe()
+    await client.del(
+      `${BATCH_PREFIX}${batch.id}`,
+      `${BATCH_REQUESTS_PREFIX}${batch.id}`,
+      `${BATCH_RESULTS_PREFIX}${batch.id}`
+    )
+    await client.zrem(`${KEY_BATCHES_PREFIX}${batch.apiKeyId}`, batch.id)
+    await client.zrem(PENDING_BATCHES_KEY, batch.id)
+    logger.info(`🗑️ Deleted message batch ${batch.id}`)
+  }
+
+  /**
+   * 按块读取批次结果（JSONL 行）
+   * @param {string} batchId - 批次ID
+   * @param {Function} onChunk - (lines: string[]) => void
+   */
+  async readResults(batchId, onChunk) {
+    const client = redis.getClientSafe()
+    const key = `${BATCH_RESULTS_PREFIX}${batchId}`
+    const total = await client.llen(key)
+    for (let i = 0; i < total; i += 500) {
+      const lines = await client.lrange(key, i, i + 499)
+      await onChunk(lines)
+    }
+  }
+
+  /**
+   * 转换为 Anthropic API 格式
+   * @param {Object} batch - 批次原始数据
+   * @param {string} resultsBaseUrl - 结果下载地址前缀（不含批次ID）
+   * @returns {Object}
+   */
+  formatBatch(batch, resultsBaseUrl) {
+    const requestCount = parseInt(batch.requestCount) || 0
+    const succeeded = parseInt(batch.succeeded) || 0
+    const errored = parseInt(batch.errored) || 0
+    const canceled = parseInt(batch.canceled) || 0
+    const expired = parseInt(batch.expired) || 0
+    const ended = batch.processingStatus === 'ended'
+
+    return {
+      id: batch.id,
+      type: 'message_batch',
+      processing_status: batch.processingStatus,
+      request_counts: {
+        processing: Math.max(0, requestCount - succeeded - errored - canceled - expired),
+        succeeded,
+        errored,
+        canceled,
+        expired
+      },
+      ended_at: batch.endedAt || null,
+      created_at: batch.createdAt,
+      expires_at: batch.expiresAt,
+      archived_at: null,
+      cancel_initiated_at: batch.cancelInitiatedAt || null,
+      results_url: ended ? `${resultsBaseUrl}/${batch.id}/results` : null
+    }
+  }
+
+  // 🚀 启动后台 worker
+  startWorker() {
+    const workerConfig = this.getConfig()
+    if (!workerConfig.enabled || this.workerTimer) {
+      return
+    }
+
+    this.workerTimer = setInterval(() => {
+      this._tick().catch((error) => {
+        logger.error('❌ Message batch worker tick failed:', error)
+      })
+    }, workerConfig.workerIntervalMs)
+
+    logger.info(
+      `📦 Message batch worker started (interval: ${workerConfig.workerIntervalMs}ms, concurrency: ${workerConfig.concurrency})`
+    )
+  }
+
+  // 🛑 停止后台 worker（正在处理的块完成后退出）
+  stopWorker() {
+    if (this.workerTimer) {
+      clearInterval(this.workerTimer)
+      this.workerTimer = null
+      logger.info('📦 Message batch worker stopped')
+    }
+  }
+
+  async _tick() {
+    if (this.workerRunning) {
+      return
+    }
+    this.workerRunning = true
+
+    try {
+      const client = redis.getClientSafe()
+      const pendingIds = await client.zrange(PENDING_BATCHES_KEY, 0, 9)
+
+      for (const batchId of pendingIds) {
+        const lockKey = `${BATCH_LOCK_PREFIX}${batchId}`
+        const acquired = await client.set(lockKey, this.instanceId, 'PX', LOCK_TTL_MS, 'NX')
+        if (!acquired) {
+          continue // 其他实例正在处理
+        }
+
+        try {
+          await this._processBatch(batchId)
+        } finally {
+          const owner = await client.get(lockKey)
+          if (owner === this.instanceId) {
+            await client.del(lockKey)
+          }
+        }
+        break // 每次 tick 只处理一个批次
+      }
+    } finally {
+      this.workerRunning = false
+    }
+  }
+
+  async _processBatch(batchId) {
+    const client = redis.getClientSafe()
+    const batchKey = `${BATCH_PREFIX}${batchId}`
+    const { concurrency } = this.getConfig()
+
+    let batch = await this.getBatch(batchId)
+    if (!batch) {
+      await client.zrem(PENDING_BATCHES_KEY, batchId)
+      return
+    }
+
+    // 延迟加载，避免启动时的循环依赖
+    const apiKeyService = require('./apiKeyService')
+    const requestCount = parseInt(batch.requestCount) || 0
+    let nextIndex = parseInt(batch.nextIndex) || 0
+
+    while (nextIndex < requestCount && this.workerTimer) {
+      batch = await this.getBatch(batchId)
+      if (!batch) {
+        return // 批次已被删除
+      }
+
+      let terminalType = null
+      if (batch.processingStatus === 'canceling') {
+        terminalType = 'canceled'
+      } else if (Date.now() >= new Date(batch.expiresAt).getTime()) {
+        terminalType = 'expired'
+      }
+
+      // 每个块执行前重新加载并校验 Key（启用、过期、所属用户），使用最新的限额与账户绑定
+      const validation = terminalType
+        ? null
+        : await apiKeyService.validateApiKeyById(batch.apiKeyId)
+      const keyData = validation?.valid ? validation.keyData : null
+      const chunkSize =
+        keyData?.concurrencyLimit > 0
+          ? Math.min(concurrency, keyData.concurrencyLimit)
+          : concurrency
+
+      const items = (
+        await client.lrange(
+          `${BATCH_REQUESTS_PREFIX}${batchId}`,
+          nextIndex,
+          nextIndex + chunkSize - 1
+        )
+      ).map((raw) => JSON.parse(raw))
+
+      let results
+      if (terminalType) {
+        results = items.map((item) => ({
+          custom_id: item.custom_id,
+          result: { type: terminalType }
+        }))
+      } else if (!keyData) {
+        results = items.map((item) =>
+          this._erroredResult(item.custom_id, 'authentication_error', validation.error)
+        )
+      } else {
+        results = await Promise.all(items.map((item) => this._processItem(item, keyData)))
+      }
+
+      const pipeline = client.pipeline()
+      pipeline.rpush(`${BATCH_RESULTS_PREFIX}${batchId}`, ...results.map((r) => JSON.stringify(r)))
+      for (const { result } of results) {
+        pipeline.hincrby(batchKey, result.type, 1)
+      }
+      nextIndex += items.length
+      pipeline.hset(batchKey, 'nextIndex', String(nextIndex))
+      pipeline.pexpire(`${BATCH_LOCK_PREFIX}${batchId}`, LOCK_TTL_MS)
+      await pipeline.exec()
+    }
+
+    if (nextIndex >= requestCount) {
+      await this._finalizeBatch(batchId, batch.apiKeyId)
+    }
+  }
+
+  async _finalizeBatch(batchId, apiKeyId) {
+    const client = redis.getClientSafe()
+    const { retentionDays } = this.getConfig()
+    const ttlSeconds = retentionDays * 86400
+
+    const pipeline = client.pipeline()
+    pipeline.hset(`${BATCH_PREFIX}${batchId}`, {
+      processingStatus: 'ended',
+      endedAt: new Date().toISOString()
+    })
+    pipeline.del(`${BATCH_REQUESTS_PREFIX}${batchId}`)
+    pipeline.expire(`${BATCH_PREFIX}${batchId}`, ttlSeconds)
+    pipeline.expire(`${BATCH_RESULTS_PREFIX}${batchId}`, ttlSeconds)
+    pipeline.zrem(PENDING_BATCHES_KEY, batchId)
+    await pipeline.exec()
+
+    // 清理 API Key 批次索引中已过期的条目
+    await client.zremrangebyscore(
+      `${KEY_BATCHES_PREFIX}${apiKeyId}`,
+      '-inf',
+      Date.now() - ttlSeconds * 1000
+    )
+
+    logger.success(`📦 Message batch ${batchId} ended`)
+  }
+
+  async _processItem(item, keyData) {
+    const params = { ...item.params, stream: false }
+    const concurrencyRequestId = `${item.custom_id}:${crypto.randomBytes(8).toString('hex')}`
+    let concurrencyAcquired = false
+
+    try {
+      // 批处理请求与普通请求共用 Key 的并发计数
+      if (keyData.concurrencyLimit > 0) {
+        const currentConcurrency = await redis.incrConcurrency(keyData.id, concurrencyRequestId)
+        concurrencyAcquired = true
+        if (currentConcurrency > keyData.concurrencyLimit) {
+          return this._erroredResult(
+            item.custom_id,
+            'rate_limit_error',
+            `Too many concurrent requests. Limit: ${keyData.concurrencyLimit} concurrent requests`
+          )
+        }
+      }
+
+      const { rejection, rateLimitInfo } = await this._checkKeyLimits(keyData, params)
+      if (rejection) {
+        return this._erroredResult(item.custom_id, rejection.type, rejection.message)
+      }
+
+      const response = await this._relay(params, keyData)
+
+      let body = null
+      try {
+        body = JSON.parse(response.body)
+      } catch (e) {
+        body = null
+      }
+
+      if (response.statusCode !== 200 || !body || body.type === 'error') {
+        const upstreamError = body?.error
+        return this._erroredResult(
+          item.custom_id,
+          upstreamError?.type || 'api_error',
+          upstreamError?.message ||
+            (typeof upstreamError === 'string' ? upstreamError : null) ||
+            `Upstream returned status ${response.statusCode}`
+        )
+      }
+
+      await this._recordUsage(
+        keyData,
+        body,
+        params.model,
+        response.accountId,
+        response.accountType,
+        rateLimitInfo
+      )
+      return { custom_id: item.custom_id, result: { type: 'succeeded', message: body } }
+    } catch (error) {
+      logger.error(`❌ Message batch item ${item.custom_id} failed:`, error.message)
+      const type =
+        error.code === 'ALL_ACCOUNTS_RATE_LIMITED' || error.code === 'CLAUDE_DEDICATED_RATE_LIMITED'
+          ? 'rate_limit_error'
+          : 'api_error'
+      return this._erroredResult(item.custom_id, type, error.message)
+    } finally {
+      if (concurrencyAcquired) {
+        await redis.decrConcurrency(keyData.id, concurrencyRequestId).catch((error) => {
+          logger.error(`Failed to decrement batch concurrency for key ${keyData.id}:`, error)
+        })
+      }
+    }
+  }
+
+  _erroredResult(customId, type, message) {
+    return {
+      custom_id: customId,
+      result: { type: 'errored', error: { type: 'error', error: { type, message } } }
+    }
+  }
+
+  // 每条请求执行前按最新的 Key 数据检查模型限制、费用限制、周期预算与时间窗口限流（与 authenticateApiKey 一致），
+  // 周期预算超出且配置为降级时改写 params.model
+  async _checkKeyLimits(keyData, params) {
+    const model = params.model || ''
+    const reject = (type, message) => ({ rejection: { type, message } })
+
+    if (
+      keyData.enableModelRestriction &&
+      Array.isArray(keyData.restrictedModels) &&
+      keyData.restrictedModels.includes(getEffectiveModel(model))
+    ) {
+      return reject('permission_error', '暂无该模型访问权限')
+    }
+
+    if (keyData.dailyCostLimit > 0 && keyData.dailyCost >= keyData.dailyCostLimit) {
+      return reject('rate_limit_error', `已达到每日费用限制 ($${keyData.dailyCostLimit})`)
+    }
+    if (keyData.totalCostLimit > 0 && keyData.totalCost >= keyData.totalCostLimit) {
+      return reject('rate_limit_error', `已达到总费用限制 ($${keyData.totalCostLimit})`)
+    }
+    if (
+      keyData.weeklyOpusCostLimit > 0 &&
+      model.toLowerCase().includes('claude-opus') &&
+      keyData.weeklyOpusCost >= keyData.weeklyOpusCostLimit
+    ) {
+      return reject(
+        'rate_limit_error',
+        `已达到 Opus 模型周费用限制 ($${keyData.weeklyOpusCostLimit})`
+      )
+    }
+
+    // 周期预算：团队共享 Key 先检查自身预算，再检查团队预算
+    const budgetChecks = [
+      {
+        status: keyData.costBudget
+          ? await costBudgetService.getBudgetStatus(keyData.id, keyData.costBudget)
+          : null,
+        scope: '周期预算'
+      },
+      {
+        status: keyData.teamId ? await teamService.getBudgetStatus(keyData.teamId) : null,
+        scope: '团队周期预算'
+      }
+    ]
+    for (const { status, scope } of budgetChecks) {
+      if (!status?.exceeded) {
+        continue
+      }
+      // 无法降级到同系列模型时按拦截处理
+      const downgradeModel =
+        status.action === 'downgrade'
+          ? resolveBudgetDowngradeModel(params.model, status.downgradeModel, (name) =>
+              pricingService.getModelPricing(name)
+            )
+          : null
+      if (status.action === 'block' || (status.action === 'downgrade' && !downgradeModel)) {
+        return reject(
+          'rate_limit_error',
+          `已达到${scope} ($${status.amount})，将于 ${status.resetAt} 重置`
+        )
+      }
+      if (downgradeModel && downgradeModel !== params.model) {
+        logger.info(
+          `💰 Message batch ${scope} exceeded for key ${keyData.id}, downgrading ${params.model} -> ${downgradeModel}`
+        )
+        params.model = downgradeModel
+      }
+    }
+
+    return await this._consumeRateLimitWindow(keyData)
+  }
+
+  // 时间窗口限流：与 authenticateApiKey 共用计数键，检查通过后计入一次请求
+  async _consumeRateLimitWindow(keyData) {
+    const { rateLimitWindow, rateLimitRequests, rateLimitCost } = keyData
+    const tokenLimit = parseInt(keyData.tokenLimit) || 0
+    if (!(rateLimitWindow > 0) || !(rateLimitRequests > 0 || tokenLimit > 0 || rateLimitCost > 0)) {
+      return { rateLimitInfo: null }
+    }
+
+    const client = redis.getClientSafe()
+    const windowStartKey = `rate_limit:window_start:${keyData.id}`
+    const requestCountKey = `rate_limit:requests:${keyData.id}`
+    const tokenCountKey = `rate_limit:tokens:${keyData.id}`
+    const costCountKey = `rate_limit:cost:${keyData.id}`
+    const now = Date.now()
+    const windowDuration = rateLimitWindow * 60 * 1000
+
+    const windowStart = parseInt(await client.get(windowStartKey))
+    if (!windowStart || now - windowStart >= windowDuration) {
+      for (const [key, value] of [
+        [windowStartKey, now],
+        [requestCountKey, 0],
+        [tokenCountKey, 0],
+        [costCountKey, 0]
+      ]) {
+        await client.set(key, value, 'PX', windowDuration)
+      }
+    }
+
+    const currentRequests = parseInt((await client.get(requestCountKey)) || '0')
+    const currentTokens = parseInt((await client.get(tokenCountKey)) || '0')
+    const currentCost = parseFloat((await client.get(costCountKey)) || '0')
+
+    let message = null
+    if (rateLimitRequests > 0 && currentRequests >= rateLimitRequests) {
+      message = `已达到请求次数限制 (${rateLimitRequests} 次)`
+    } else if (tokenLimit > 0 && currentTokens >= tokenLimit) {
+      message = `已达到 Token 使用限制 (${tokenLimit} tokens)`
+    } else if (tokenLimit <= 0 && rateLimitCost > 0 && currentCost >= rateLimitCost) {
+      message = `已达到费用限制 ($${rateLimitCost})`
+    }
+    if (message) {
+      return { rejection: { type: 'rate_limit_error', message } }
+    }
+
+    await client.incr(requestCountKey)
+    return { rateLimitInfo: { tokenCountKey, costCountKey } }
+  }
+
+  // 通过统一调度器选择账户并以非流式方式转发（转发时使用已选择的账户，不再重新调度）
+  async _relay(params, apiKeyData) {
+    // 延迟加载，避免启动时的循环依赖
+    const unifiedClaudeScheduler = require('./unifiedClaudeScheduler')
+    const claudeRelayService = require('./claudeRelayService')
+    const claudeConsoleRelayService = require('./claudeConsoleRelayService')
+    const bedrockRelayService = require('./bedrockRelayService')
+    const bedrockAccountService = require('./bedrockAccountService')
+    const ccrRelayService = require('./ccrRelayService')
+
+    const selection = await unifiedClaudeScheduler.selectAccountForApiKey(
+      apiKeyData,
+      null,
+      params.model,
+      null,
+      { allowFallback: true }
+    )
+    const { accountId, accountType } = selection
+    if (selection.fallbackModel) {
+      params.model = selection.fallbackModel
+    }
+
+    // 响应中带上账户类型，用于按平台记录使用统计
+    let response
+    if (accountType === 'claude-official') {
+      response = await claudeRelayService.relayRequest(
+        params,
+        apiKeyData,
+        null,
+        null,
+        {},
+        {
+          forcedAccount: { accountId, accountType }
+        }
+      )
+    } else if (accountType === 'claude-console') {
+      response = await claudeConsoleRelayService.relayRequest(
+        params,
+        apiKeyData,
+        null,
+        null,
+        {},
+        accountId
+      )
+    } else if (accountType === 'ccr') {
+      response = await ccrRelayService.relayRequest(params, apiKeyData, null, null, {}, accountId)
+    } else if (accountType === 'bedrock') {
+      const bedrockAccountResult = await bedrockAccountService.getAccount(accountId)
+      if (!bedrockAccountResult.success) {
+        throw new Error('Failed to get Bedrock account details')
+      }
+      const result = await bedrockRelayService.handleNonStreamRequest(
+        params,
+        bedrockAccountResult.data,
+        {}
+      )
+      const data = result.success
+        ? { ...result.data, usage: result.usage || result.data?.usage }
+        : null
+      response = {
+        statusCode: result.success ? 200 : 500,
+        body: JSON.stringify(data || { error: { type: 'api_error', message: result.error } }),
+        accountId
+      }
+    } else {
+      throw new Error(`Unsupported account type for message batches: ${accountType}`)
+    }
+
+    return { ...response, accountType }
+  }
+
+  async _recordUsage(
+    apiKeyData,
+    message,
+    requestedModel,
+    accountId,
+    accountType,
+    rateLimitInfo = null
+  ) {
+    const { usage } = message
+    if (!usage || usage.input_tokens === undefined || usage.output_tokens === undefined) {
+      logger.warn('⚠️ No usage data found in message batch item response')
+      return
+    }
+
+    const apiKeyService = require('./apiKeyService')
+    const rawModel = message.model || requestedModel || 'unknown'
+    const { baseModel } = parseVendorPrefixedModel(rawModel)
+
+    await apiKeyService.recordUsage(
+      apiKeyData.id,
+      usage.input_tokens || 0,
+      usage.output_tokens || 0,
+      usage.cache_creation_input_tokens || 0,
+      usage.cache_read_input_tokens || 0,
+      baseModel || rawModel,
+      accountId,
+      accountType
+    )
+
+    if (rateLimitInfo) {
+      await updateRateLimitCounters(
+        rateLimitInfo,
+        {
+          inputTokens: usage.input_tokens,
+          outputTokens: usage.output_tokens,
+          cacheCreateTokens: usage.cache_creation_input_tokens,
+          cacheReadTokens: usage.cache_read_input_tokens
+        },
+        baseModel || rawModel
+      )
+    }
+  }
+}
+
+module.exports = new MessageBatchService()
@@ -0,0 +1,470 @@
+const axios = require('axios')
+const crypto = require('crypto')
+const config = require('../../config/config')
+const logger = require('../utils/logger')
+const ProxyHelper = require('../utils/proxyHelper')
+const sessionHelper = require('../utils/sessionHelper')
+const { getEffectiveModel } = require('../utils/modelHelper')
+const { updateRateLimitCounters } = require('../utils/rateLimitHelper')
+const apiKeyService = require('./apiKeyService')
+const unifiedGeminiScheduler = require('./unifiedGeminiScheduler')
+const unifiedOpenAIScheduler = require('./unifiedOpenAIScheduler')
+const geminiAccountService = require('./geminiAccountService')
+const geminiApiAccountService = require('./geminiApiAccountService')
+const openaiResponsesAccountService = require('./openaiResponsesAccountService')
+const requestTransformService = require('./requestTransformService')
+const claudeToGemini = require('./claudeToGemini')
+const claudeToOpenAIResponses = require('./claudeToOpenAIResponses')
+
+const BACKENDS = ['gemini', 'openai-responses']
+
+// 各后端需要的 API Key 服务权限
+const BACKEND_PERMISSIONS = {
+  gemini: 'gemini',
+  'openai-responses': 'openai'
+}
+
+const REQUEST_TIMEOUT = 600000
+
+/**
+ * Claude Messages 反向转发
+ * 按 API Key 设置或模型映射，将 /v1/messages 请求转换后发送到 Gemini 或 OpenAI-Responses 账户，
+ * 再把响应（含流式事件）还原为 Claude 格式返回给 Claude Code 等客户端
+ */
+class MessagesBackendRelayService {
+  getBackends() {
+    return BACKENDS
+  }
+
+  getRequiredPermission(backend) {
+    return BACKEND_PERMISSIONS[backend]
+  }
+
+  /**
+   * 解析请求的目标后端，API Key 上的设置优先于全局模型映射
+   * @param {Object} apiKeyData - 已认证的 API Key
+   * @param {string} model - 请求的 Claude 模型
+   * @returns {{backend: string, model: string}|null} 返回 null 表示仍转发到 Claude
+   */
+  resolveTarget(apiKeyData, model) {
+    if (BACKENDS.includes(apiKeyData.messagesBackend)) {
+      return {
+        backend: apiKeyData.messagesBackend,
+        model: apiKeyData.messagesBackendModel || this._getDefaultModel(apiKeyData.messagesBackend)
+      }
+    }
+
+    const effectiveModel = getEffectiveModel(model || '')
+    const mapping = (config.messagesBackend?.modelMappings || []).find(
+      (item) =>
+        BACKENDS.includes(item.backend) && this._matchesPattern(item.pattern, effectiveModel)
+    )
+    if (!mapping) {
+      return null
+    }
+    return {
+      backend: mapping.backend,
+      model: mapping.model || this._getDefaultModel(mapping.backend)
+    }
+  }
+
+  /**
+   * 处理已路由到其他后端的 Claude 请求
+   */
+  async handleRequest(req, res, target) {
+    const isStream = req.body.stream === true
+    const abortController = new AbortController()
+    res.on('close', () => {
+      if (!res.writableFinished && !abortController.signal.aborted) {
+        logger.info('🔌 Client disconnected, aborting translated upstream request')
+        abortController.abort()
+      }
+    })
+
+    logger.api(
+      `🔀 Routing Claude request for key ${req.apiKey.name} to ${target.backend} (${req.body.model} → ${target.model}, ${isStream ? 'stream' : 'non-stream'})`
+    )
+
+    try {
+      if (target.backend === 'gemini') {
+        await this._relayGemini(req, res, target, abortController.signal)
+      } else {
+        await this._relayOpenAIResponses(req, res, target, abortController.signal)
+      }
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        return
+      }
+      const status = error.status || 500
+      logger.error(`❌ ${target.backend} relay for Claude request failed:`, error.message)
+      const errorBody = {
+        type: 'error',
+        error: {
+          type: status === 429 ? 'rate_limit_error' : 'api_error',
+          message: status === 500 ? 'Internal server error' : error.message
+        }
+      }
+      if (!res.headersSent) {
+        res.status(status).json(errorBody)
+      } else if (!res.writableEnded) {
+        this._writeEvents(res, [errorBody])
+        res.end()
+      }
+    }
+  }
+
+  async _relayGemini(req, res, target, signal) {
+    const sessionHash = sessionHelper.generateSessionHash(req.body)
+    const { accountId, accountType } = await unifiedGeminiScheduler.selectAccountForApiKey(
+      req.apiKey,
+      sessionHash,
+      target.model,
+      { allowApiAccounts: true }
+    )
+    const isApiAccount = accountType === 'gemini-api'
+    const account = isApiAccount
+      ? await geminiApiAccountService.getAccount(accountId)
+      : await geminiAccountService.getAccount(accountId)
+    if (!account) {
+      throw this._createError(503, 'Gemini account not found')
+    }
+
+    const isStream = req.body.stream === true
+
+    // 应用账户 / 分组配置的请求转换规则（模型名在 URL 中，单独参与改写）
+    const transformRules = await requestTransformService.getRulesForAccount(accountId)
+    const { body: geminiRequest, model } = requestTransformService.applyRules(
+      transformRules,
+      { body: claudeToGemini.convertRequest(req.body), model: target.model },
+      'gemini',
+      accountId
+    )
+
+    let upstream
+    try {
+      upstream = isApiAccount
+        ? await this._callGeminiApi(account, model, geminiRequest, isStream, signal, transformRules)
+        : await this._callGeminiOAuth(req, account, model, geminiRequest, isStream, signal)
+    } catch (error) {
+      if (error.status === 429) {
+        await unifiedGeminiScheduler
+          .markAccountRateLimited(accountId, accountType, sessionHash)
+          .catch((markError) => logger.error('❌ Failed to mark Gemini account:', markError))
+      }
+      throw error
+    }
+
+    if (!isStream) {
+      const message = claudeToGemini.convertResponse(upstream, req.body.model)
+      this._recordUsage(req, message.usage, target.model, accountId, accountType)
+      return res.json(message)
+    }
+
+    const state = claudeToGemini.createStreamState(req.body.model)
+    this._startStream(res)
+    await this._pipeSSE(upstream, (data) =>
+      this._writeEvents(res, claudeToGemini.convertStreamChunk(data, state))
+    )
+    this._writeEvents(res, claudeToGemini.finishStream(state))
+    res.end()
+    this._recordUsage(req, state.usage, target.model, accountId, accountType)
+    return undefined
+  }
+
+  async _relayOpenAIResponses(req, res, target, signal) {
+    // 与 Codex 入口共用调度器（专属账户 / 分组绑定、粘性会话、熔断），只选择 Responses 账户
+    const sessionHash = sessionHelper.generateSessionHash(req.body)
+    const { accountId } = await unifiedOpenAIScheduler.selectAccountForApiKey(
+      req.apiKey,
+      sessionHash,
+      target.model,
+      { responsesOnly: true }
+    )
+    const account = await openaiResponsesAccountService.getAccount(accountId)
+    if (!account) {
+      throw this._createError(503, 'OpenAI-Responses account not found')
+    }
+    await openaiResponsesAccountService.updateAccountUsage(account.id)
+    const responsesRequest = claudeToOpenAIResponses.convertRequest(req.body, target.model)
+    const isStream = responsesRequest.stream
+
+    const requestHeaders = {
+      Authorization: `Bearer ${account.apiKey}`,
+      'Content-Type': 'application/json'
+    }
+    if (account.userAgent) {
+      requestHeaders['User-Agent'] = account.userAgent
+    }
+    const baseApi = account.baseApi.replace(/\/+$/, '')
+    const url = baseApi.endsWith('/v1') ? `${baseApi}/responses` : `${baseApi}/v1/responses`
+
+    // 应用账户 / 分组配置的请求转换规则
+    const { headers, body } = requestTransformService.applyRules(
+      await requestTransformService.getRulesForAccount(account.id),
+      { headers: requestHeaders, body: responsesRequest },
+      'responses',
+      account.id
+    )
+
+    let upstream
+    try {
+      upstream = await this._post(url, body, headers, account.proxy, isStream, signal)
+    } catch (error) {
+      if (error.status === 429) {
+        await unifiedOpenAIScheduler
+          .markAccountRateLimited(account.id, 'openai-responses', sessionHash)
+          .catch((markError) => logger.error('❌ Failed to mark Responses account:', markError))
+      }
+      throw error
+    }
+
+    if (!isStream) {
+      const message = claudeToOpenAIResponses.convertResponse(upstream, req.body.model)
+      this._recordUsage(req, message.usage, target.model, account.id, 'openai-responses')
+      return res.json(message)
+    }
+
+    const state = claudeToOpenAIResponses.createStreamState(req.body.model)
+    this._startStream(res)
+    await this._pipeSSE(upstream, (data) =>
+      this._writeEvents(res, claudeToOpenAIResponses.convertStreamEvent(data, state))
+    )
+    this._writeEvents(res, claudeToOpenAIResponses.finishStream(state))
+    res.end()
+    this._recordUsage(req, state.usage, target.model, account.id, 'openai-responses')
+    return undefined
+  }
+
+  async _callGeminiApi(account, model, geminiRequest, isStream, signal, transformRules = []) {
+    const baseUrl = account.baseUrl.replace(/\/+$/, '')
+    const modelsUrl = baseUrl.endsWith('/models') ? baseUrl : `${baseUrl}/v1beta/models`
+    const url = isStream
+      ? `${modelsUrl}/${model}:streamGenerateContent?alt=sse`
+      : `${modelsUrl}/${model}:generateContent`
+
+    const { headers } = requestTransformService.applyRules(
+      transformRules,
+      { headers: { 'Content-Type': 'application/json', 'x-goog-api-key': account.apiKey } },
+      'gemini',
+      account.id
+    )
+    const data = await this._post(url, geminiRequest, headers, account.proxy, isStream, signal)
+    await geminiApiAccountService.markAccountUsed(account.id)
+    return data
+  }
+
+  async _callGeminiOAuth(req, account, model, geminiRequest, isStream, signal) {
+    const proxyConfig = this._parseProxy(account.proxy)
+    const client = await geminiAccountService.getOauthClient(
+      account.accessToken,
+      account.refreshToken,
+      proxyConfig
+    )
+
+    let projectId = account.projectId || account.tempProjectId || null
+    if (!projectId) {
+      const loadResponse = await geminiAccountService.loadCodeAssist(client, null, proxyConfig)
+      projectId = loadResponse.cloudaicompanionProject || null
+      if (!projectId) {
+        throw this._createError(403, 'Gemini account requires a project ID to be configured')
+      }
+      await geminiAccountService.updateTempProjectId(account.id, projectId)
+    }
+
+    const userPromptId = `${crypto.randomUUID()}########0`
+    try {
+      const result = isStream
+        ? await geminiAccountService.generateContentStream(
+            client,
+            { model, request: geminiRequest },
+            userPromptId,
+            projectId,
+            req.apiKey.id,
+            signal,
+            proxyConfig
+          )
+        : await geminiAccountService.generateContent(
+            client,
+            { model, request: geminiRequest },
+            userPromptId,
+            projectId,
+            req.apiKey.id,
+            proxyConfig
+          )
+      await geminiAccountService.markAccountUsed(account.id)
+      return result
+    } catch (error) {
+      if (error.response) {
+        throw this._createError(
+          error.response.status,
+          await this._readErrorMessage(error.response.data, error.response.status)
+        )
+      }
+      throw error
+    }
+  }
+
+  async _post(url, data, headers, proxy, isStream, signal) {
+    const requestOptions = {
+      method: 'POST',
+      url,
+      data,
+      headers,
+      timeout: isStream ? 0 : REQUEST_TIMEOUT,
+      responseType: isStream ? 'stream' : 'json',
+      validateStatus: () => true,
+      signal
+    }
+
+    const proxyAgent = proxy ? ProxyHelper.createProxyAgent(proxy) : null
+    if (proxyAgent) {
+      requestOptions.httpAgent = proxyAgent
+      requestOptions.httpsAgent = proxyAgent
+      requestOptions.proxy = false
+    }
+
+    const response = await axios(requestOptions)
+    if (response.status < 200 || response.status >= 300) {
+      throw this._createError(
+        response.status,
+        await this._readErrorMessage(response.data, response.status)
+      )
+    }
+    return response.data
+  }
+
+  /**
+   * 逐行解析上游 SSE（Gemini alt=sse 与 Responses 事件流均只使用 data 行）
+   */
+  _pipeSSE(stream, onData) {
+    return new Promise((resolve, reject) => {
+      let buffer = ''
+      const handleLine = (line) => {
+        if (!line.startsWith('data:')) {
+          return
+        }
+        const payload = line.slice(5).trim()
+        if (!payload || payload === '[DONE]') {
+          return
+        }
+        try {
+          onData(JSON.parse(payload))
+        } catch (error) {
+          logger.warn(`⚠️ Failed to parse upstream SSE data: ${payload.substring(0, 200)}`)
+        }
+      }
+
+      stream.on('data', (chunk) => {
+        buffer += chunk.toString('utf8')
+        const lines = buffer.split(/\r?\n/)
+        buffer = lines.pop()
+        lines.forEach(handleLine)
+      })
+      stream.on('end', () => {
+        handleLine(buffer)
+        resolve()
+      })
+      stream.on('error', reject)
+    })
+  }
+
+  _startStream(res) {
+    res.setHeader('Content-Type', 'text/event-stream')
+    res.setHeader('Cache-Control', 'no-cache')
+    res.setHeader('Connection', 'keep-alive')
+    res.setHeader('X-Accel-Buffering', 'no')
+  }
+
+  _writeEvents(res, events) {
+    for (const event of events) {
+      if (!res.writableEnded) {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+      }
+    }
+  }
+
+  _recordUsage(req, usage, model, accountId, accountType) {
+    apiKeyService
+      .recordUsage(
+        req.apiKey.id,
+        usage.input_tokens,
+        usage.output_tokens,
+        0,
+        usage.cache_read_input_tokens,
+        model,
+        accountId,
+        accountType,
+        req.apiKey.modelDowngrade
+      )
+      .catch((error) => logger.error('❌ Failed to record translated request usage:', error))
+
+    if (req.rateLimitInfo) {
+      updateRateLimitCounters(
+        req.rateLimitInfo,
+        {
+          inputTokens: usage.input_tokens,
+          outputTokens: usage.output_tokens,
+          cacheCreateTokens: 0,
+          cacheReadTokens: usage.cache_read_input_tokens
+        },
+        model
+      ).catch((error) => logger.error('❌ Failed to update rate limit counters:', error))
+    }
+  }
+
+  async _readErrorMessage(data, status) {
+    let body = data
+    if (data && typeof data.on === 'function') {
+      body = await new Promise((resolve) => {
+        let text = ''
+        data.on('data', (chunk) => {
+          text += chunk
+        })
+        data.on('end', () => resolve(text))
+        data.on('error', () => resolve(text))
+      })
+    }
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body)
+      } catch (error) {
+        return body.substring(0, 500) || `Upstream returned status ${status}`
+      }
+    }
+    const upstreamError = Array.isArray(body) ? body[0]?.error : body?.error
+    return upstreamError?.message || `Upstream returned status ${status}`
+  }
+
+  _parseProxy(proxy) {
+    if (!proxy || typeof proxy !== 'string') {
+      return proxy || null
+    }
+    try {
+      return JSON.parse(proxy)
+    } catch (error) {
+      logger.warn('⚠️ Failed to parse Gemini account proxy configuration')
+      return null
+    }
+  }
+
+  _getDefaultModel(backend) {
+    return backend === 'gemini'
+      ? config.messagesBackend?.defaultGeminiModel || 'gemini-2.5-pro'
+      : config.messagesBackend?.defaultResponsesModel || 'gpt-5'
+  }
+
+  _matchesPattern(pattern, model) {
+    if (!pattern) {
+      return false
+    }
+    return pattern.endsWith('*') ? model.startsWith(pattern.slice(0, -1)) : model === pattern
+  }
+
+  _createError(status, message) {
+    const error = new Error(message)
+    error.status = status
+    return error
+  }
+}
+
+module.exports = new MessagesBackendRelayService()
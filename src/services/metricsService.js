@@ -0,0 +1,336 @@
+/**
+ * Prometheus / OpenMetrics 指标服务
+ * 在进程内累积转发请求计数、耗时直方图、Token 与费用计数器，
+ * 并在抓取时从 Redis 与统一调度器实时采集并发和账户健康状态
+ */
+
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+
+const METRIC_PREFIX = 'crs'
+
+// 转发耗时直方图桶（秒），覆盖从快速非流式请求到长时间流式请求
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600]
+
+// 路由前缀 -> 平台标识（按最长前缀优先匹配）
+const PLATFORM_ROUTE_PREFIXES = [
+  ['/openai/gemini', 'gemini'],
+  ['/openai/claude', 'claude'],
+  ['/gemini', 'gemini'],
+  ['/openai', 'openai'],
+  ['/droid', 'droid'],
+  ['/azure', 'azure-openai'],
+  ['/claude', 'claude'],
+  ['/api', 'claude']
+]
+
+const TOKEN_TYPES = ['input', 'output', 'cache_create', 'cache_read']
+
+/**
+ * 转义 OpenMetrics 标签值
+ * @param {*} value - 标签值
+ * @returns {string} 转义后的字符串
+ */
+function escapeLabelValue(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+}
+
+/**
+ * 格式化标签集合
+ * @param {Object} labels - 标签对象
+ * @returns {string} 形如 {a="1",b="2"} 的字符串，无标签时为空串
+ */
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) {
+    return ''
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`
+}
+
+/**
+ * 格式化数值（OpenMetrics 要求 +Inf / NaN 的特殊写法）
+ * @param {number} value - 数值
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf'
+  }
+  if (value === -Infinity) {
+    return '-Inf'
+  }
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    return 'NaN'
+  }
+  return String(value)
+}
+
+class MetricsService {
+  constructor() {
+    this.startedAt = Date.now()
+    this.reset()
+  }
+
+  /**
+   * 清空进程内累积的指标（用于测试）
+   */
+  reset() {
+    // key: JSON 序列化的标签 -> { labels, value }
+    this.requestCounters = new Map()
+    this.tokenCounters = new Map()
+    this.costCounters = new Map()
+    // key: 平台 -> { buckets: number[], sum, count }
+    this.durationHistograms = new Map()
+  }
+
+  /**
+   * 根据请求路径推断平台
+   * @param {string} url - 请求的 originalUrl
+   * @returns {string} 平台标识，无法识别时返回 'other'
+   */
+  resolvePlatformFromPath(url) {
+    const path = (url || '').split('?')[0].toLowerCase()
+    for (const [prefix, platform] of PLATFORM_ROUTE_PREFIXES) {
+      if (path === prefix || path.startsWith(`${prefix}/`)) {
+        return platform
+      }
+    }
+    return 'other'
+  }
+
+  /**
+   * 记录一次转发请求
+   * @param {string} platform - 平台标识
+   * @param {number} statusCode - 返回给客户端的 HTTP 状态码
+   * @param {number} durationMs - 请求总耗时（毫秒）
+   */
+  recordRelayRequest(platform, statusCode, durationMs) {
+    const statusClass = `${Math.floor((Number(statusCode) || 0) / 100)}xx`
+    this._incCounter(this.requestCounters, { platform, status: statusClass }, 1)
+
+    let histogram = this.durationHistograms.get(platform)
+    if (!histogram) {
+      histogram = { buckets: new Array(DURATION_BUCKETS.length).fill(0), sum: 0, count: 0 }
+      this.durationHistograms.set(platform, histogram)
+    }
+
+    const seconds = Math.max(0, Number(durationMs) || 0) / 1000
+    DURATION_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) {
+        histogram.buckets[index]++
+      }
+    })
+    histogram.sum += seconds
+    histogram.count++
+  }
+
+  /**
+   * 记录一次 usage（Token 与费用）
+   * @param {Object} usage - usage 数据
+   * @param {string} usage.platform - 账户类型/平台
+   * @param {string} usage.model - 模型名称
+   * @param {number} usage.inputTokens - 输入 tokens
+   * @param {number} usage.outputTokens - 输出 tokens
+   * @param {number} usage.cacheCreateTokens - 缓存创建 tokens
+   * @param {number} usage.cacheReadTokens - 缓存读取 tokens
+   * @param {number} usage.cost - 费用（美元）
+   */
+  recordUsage({
+    platform,
+    model,
+    inputTokens = 0,
+    outputTokens = 0,
+    cacheCreateTokens = 0,
+    cacheReadTokens = 0,
+    cost = 0
+  }) {
+    const normalizedPlatform = platform || 'unknown'
+    const normalizedModel = model || 'unknown'
+    const values = [inputTokens, outputTokens, cacheCreateTokens, cacheReadTokens]
+
+    TOKEN_TYPES.forEach((type, index) => {
+      const amount = Number(values[index]) || 0
+      if (amount > 0) {
+        this._incCounter(
+          this.tokenCounters,
+          { platform: normalizedPlatform, model: normalizedModel, type },
+          amount
+        )
+      }
+    })
+
+    const costAmount = Number(cost) || 0
+    if (costAmount > 0) {
+      this._incCounter(
+        this.costCounters,
+        { platform: normalizedPlatform, model: normalizedModel },
+        costAmount
+      )
+    }
+  }
+
+  /**
+   * 生成 OpenMetrics 文本
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const lines = []
+
+    this._renderFamily(lines, 'process_uptime_seconds', 'gauge', 'Process uptime in seconds', [
+      { labels: {}, value: (Date.now() - this.startedAt) / 1000 }
+    ])
+
+    this._renderFamily(
+      lines,
+      'relay_requests',
+      'counter',
+      'Relay requests handled, by platform and response status class',
+      Array.from(this.requestCounters.values()),
+      '_total'
+    )
+
+    this._renderHistogram(lines)
+
+    this._renderFamily(
+      lines,
+      'tokens',
+      'counter',
+      'Tokens recorded from upstream usage, by platform, model and token type',
+      Array.from(this.tokenCounters.values()),
+      '_total'
+    )
+
+    this._renderFamily(
+      lines,
+      'cost_usd',
+      'counter',
+      'Cost in USD recorded from upstream usage, by platform and model',
+      Array.from(this.costCounters.values()),
+      '_total'
+    )
+
+    const [concurrencySamples, accountSamples] = await Promise.all([
+      this._collectConcurrency(),
+      this._collectAccountStates()
+    ])
+
+    this._renderFamily(
+      lines,
+      'concurrency_active',
+      'gauge',
+      'Active concurrent requests per API key or account lease',
+      concurrencySamples
+    )
+
+    for (const [name, help, field] of [
+      ['account_rate_limited', 'Whether the account is currently rate limited', 'rateLimited'],
+      [
+        'account_breaker_open',
+        'Whether the 403 circuit breaker is open for the account',
+        'breakerOpen'
+      ],
+      ['account_unauthorized', 'Whether the account is marked unauthorized', 'unauthorized'],
+      ['account_schedulable', 'Whether the account is active and schedulable', 'schedulable']
+    ]) {
+      this._renderFamily(
+        lines,
+        name,
+        'gauge',
+        help,
+        accountSamples.map((state) => ({
+          labels: {
+            platform: state.accountType,
+            account_id: state.accountId,
+            account_name: state.name || ''
+          },
+          value: state[field] ? 1 : 0
+        }))
+      )
+    }
+
+    lines.push('# EOF')
+    return `${lines.join('\n')}\n`
+  }
+
+  _incCounter(store, labels, amount) {
+    const key = JSON.stringify(labels)
+    const existing = store.get(key)
+    if (existing) {
+      existing.value += amount
+    } else {
+      store.set(key, { labels, value: amount })
+    }
+  }
+
+  _renderFamily(lines, name, type, help, samples, suffix = '') {
+    const fullName = `${METRIC_PREFIX}_${name}`
+    lines.push(`# TYPE ${fullName} ${type}`)
+    lines.push(`# HELP ${fullName} ${help}`)
+    for (const sample of samples) {
+      lines.push(`${fullName}${suffix}${formatLabels(sample.labels)} ${formatValue(sample.value)}`)
+    }
+  }
+
+  _renderHistogram(lines) {
+    const fullName = `${METRIC_PREFIX}_relay_duration_seconds`
+    lines.push(`# TYPE ${fullName} histogram`)
+    lines.push(
+      `# HELP ${fullName} Time from receiving a relay request to finishing the response, dominated by upstream latency`
+    )
+    for (const [platform, histogram] of this.durationHistograms) {
+      DURATION_BUCKETS.forEach((bound, index) => {
+        lines.push(
+          `${fullName}_bucket${formatLabels({ platform, le: bound })} ${histogram.buckets[index]}`
+        )
+      })
+      lines.push(`${fullName}_bucket${formatLabels({ platform, le: '+Inf' })} ${histogram.count}`)
+      lines.push(`${fullName}_count${formatLabels({ platform })} ${histogram.count}`)
+      lines.push(`${fullName}_sum${formatLabels({ platform })} ${formatValue(histogram.sum)}`)
+    }
+  }
+
+  async _collectConcurrency() {
+    try {
+      const statuses = await redis.getAllConcurrencyStatus()
+      return statuses.map((status) => {
+        const isAccountLease = status.apiKeyId.startsWith('console_account:')
+        return {
+          labels: {
+            scope: isAccountLease ? 'account' : 'api_key',
+            id: isAccountLease ? status.apiKeyId.replace('console_account:', '') : status.apiKeyId
+          },
+          value: status.activeCount
+        }
+      })
+    } catch (error) {
+      logger.error('❌ Failed to collect concurrency metrics:', error)
+      return []
+    }
+  }
+
+  async _collectAccountStates() {
+    // 延迟加载，避免调度器与账户服务在启动时的循环依赖
+    const schedulers = [
+      require('./unifiedClaudeScheduler'),
+      require('./unifiedGeminiScheduler'),
+      require('./unifiedOpenAIScheduler')
+    ]
+
+    const results = await Promise.all(
+      schedulers.map((scheduler) =>
+        scheduler.getAccountStates().catch((error) => {
+          logger.error('❌ Failed to collect account state metrics:', error)
+          return []
+        })
+      )
+    )
+
+    return results.flat()
+  }
+}
+
+module.exports = new MetricsService()
@@ -0,0 +1,137 @@
+/**
+ * 模型路由服务
+ * 管理统一 /v1/chat/completions 端点的全局模型路由表，并结合 API Key 级别的覆盖规则解析目标后端。
+ * 规则保存在 Redis 中，修改后无需重启即可生效；均未命中时回退到内置的前缀匹配。
+ */
+
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const { parseVendorPrefixedModel, hasVendorPrefix } = require('../utils/modelHelper')
+const {
+  VENDOR_BACKENDS,
+  findMatchingRule,
+  detectBuiltinBackend
+} = require('../utils/modelRoutingHelper')
+
+const RULES_KEY = 'model_routing:rules'
+
+const DEFAULT_TABLE = {
+  rules: [],
+  updatedAt: null,
+  updatedBy: null
+}
+
+// 内存缓存（每个请求都会查询，避免频繁 Redis 查询；多实例部署时最长延迟一个缓存周期生效）
+let tableCache = null
+let tableCacheTime = 0
+const TABLE_CACHE_TTL = 10000 // 10秒缓存
+
+class ModelRoutingService {
+  /**
+   * 获取 Redis 中保存的路由表
+   * @returns {Promise<Object>} { rules, updatedAt, updatedBy }
+   */
+  async getRoutingTable() {
+    const client = redis.getClient()
+    if (!client) {
+      return { ...DEFAULT_TABLE }
+    }
+    const data = await client.get(RULES_KEY)
+    return data ? { ...DEFAULT_TABLE, ...JSON.parse(data) } : { ...DEFAULT_TABLE }
+  }
+
+  /**
+   * 获取生效的全局规则（带缓存）
+   * @returns {Promise<Array>}
+   */
+  async getEffectiveRules() {
+    if (tableCache && Date.now() - tableCacheTime < TABLE_CACHE_TTL) {
+      return tableCache.rules
+    }
+
+    try {
+      tableCache = await this.getRoutingTable()
+      tableCacheTime = Date.now()
+      return tableCache.rules
+    } catch (error) {
+      // Redis 不可用时仅使用内置规则，不缓存以便尽快恢复
+      logger.error('❌ Failed to load model routing rules from Redis:', error)
+      return []
+    }
+  }
+
+  /**
+   * 替换全局路由表（调用方负责校验规则）
+   * @param {Array} rules - 规范化后的规则
+   * @param {string} updatedBy - 更新者
+   * @returns {Promise<Object>} 更新后的路由表
+   */
+  async updateRoutingTable(rules, updatedBy) {
+    const client = redis.getClientSafe()
+
+    const updated = {
+      rules,
+      updatedAt: new Date().toISOString(),
+      updatedBy
+    }
+
+    await client.set(RULES_KEY, JSON.stringify(updated))
+    this.clearCache()
+
+    logger.info(`✅ Model routing table updated by ${updatedBy}: ${rules.length} rule(s)`)
+
+    return updated
+  }
+
+  /**
+   * 解析请求模型的目标后端
+   * 优先级：API Key 覆盖规则 > 全局路由表 > 内置前缀匹配。
+   * 带厂商前缀的模型（如 "ccr,xxx"）固定由厂商对应的后端处理，规则只用于改写同一后端内的模型别名。
+   * @param {string} requestedModel - 客户端请求的模型
+   * @param {Object} apiKeyData - 当前 API Key（可包含 modelRoutingRules）
+   * @returns {Promise<{backend: string, model: string, source: string, rule: Object|null}>}
+   *   source 为 key / global / vendor / builtin
+   */
+  async resolveRoute(requestedModel, apiKeyData = {}) {
+    const { vendor, baseModel } = parseVendorPrefixedModel(requestedModel)
+
+    let source = 'key'
+    let rule = findMatchingRule(apiKeyData?.modelRoutingRules, baseModel)
+    if (!rule) {
+      source = 'global'
+      rule = findMatchingRule(await this.getEffectiveRules(), baseModel)
+    }
+
+    if (vendor && VENDOR_BACKENDS[vendor]) {
+      const backend = VENDOR_BACKENDS[vendor]
+      if (rule && rule.backend === backend && rule.targetModel) {
+        const model = hasVendorPrefix(rule.targetModel)
+          ? rule.targetModel
+          : `${vendor},${rule.targetModel}`
+        return { backend, model, source, rule }
+      }
+      return { backend, model: requestedModel, source: 'vendor', rule: null }
+    }
+
+    if (rule) {
+      return { backend: rule.backend, model: rule.targetModel || requestedModel, source, rule }
+    }
+
+    return {
+      backend: detectBuiltinBackend(requestedModel),
+      model: requestedModel,
+      source: 'builtin',
+      rule: null
+    }
+  }
+
+  /**
+   * 清除路由表缓存
+   */
+  clearCache() {
+    tableCache = null
+    tableCacheTime = 0
+  }
+}
+
+module.exports = new ModelRoutingService()
@@ -0,0 +1,500 @@
+/**
+ * OpenID Connect 单点登录服务
+ * 管理后台与用户门户共用同一个回调地址，授权流程使用授权码 + PKCE：
+ * - 登录前生成 state / nonce / code_verifier 并存入 Redis，回调时一次性取出
+ * - ID Token 使用 IdP 的 JWKS 校验签名、签发者、受众、有效期和 nonce
+ * - 声明按 config.oidc.userMapping 映射为用户信息，组按角色映射配置转换为角色
+ * - 本地账户按签发者 + subject 绑定 IdP 身份，同名的非 SSO 账户只有在管理员显式关联后才能使用 SSO 登录
+ * - 登录完成后签发一次性交接码，由前端换取会话，避免会话令牌出现在 URL 中
+ */
+
+const axios = require('axios')
+const config = require('../../config/config')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const userService = require('./userService')
+const adminIdentityService = require('./adminIdentityService')
+const { getRoleScopes } = require('../utils/adminPermissions')
+const {
+  randomToken,
+  signState,
+  verifyStateBinding,
+  createPkcePair,
+  decodeJwt,
+  findSigningKey,
+  verifyJwtSignature,
+  validateIdTokenClaims,
+  mapClaimsToUser,
+  parseRoleMapping,
+  resolveMappedRole
+} = require('../utils/oidcHelper')
+
+const PORTALS = ['admin', 'user']
+const USER_ROLES = ['user', 'admin']
+const STATE_TTL_SECONDS = 600
+const HANDOFF_TTL_SECONDS = 60
+const METADATA_CACHE_MS = 60 * 60 * 1000
+
+class OidcService {
+  constructor() {
+    this.STATE_PREFIX = 'oidc_state:'
+    this.HANDOFF_PREFIX = 'oidc_handoff:'
+    this.STATE_COOKIE = 'oidc_state'
+    this.STATE_TTL_SECONDS = STATE_TTL_SECONDS
+    this.discovery = null
+    this.discoveryFetchedAt = 0
+    this.jwks = null
+    this.jwksFetchedAt = 0
+  }
+
+  getConfig() {
+    return config.oidc || {}
+  }
+
+  /**
+   * 是否允许指定入口使用 SSO 登录
+   * @param {string} portal - admin 或 user
+   */
+  isEnabled(portal) {
+    const oidcConfig = this.getConfig()
+    if (!oidcConfig.enabled || !oidcConfig.issuer || !oidcConfig.clientId) {
+      return false
+    }
+    if (portal === 'admin') {
+      return oidcConfig.adminLoginEnabled === true
+    }
+    if (portal === 'user') {
+      return oidcConfig.userLoginEnabled !== false && config.userManagement?.enabled === true
+    }
+    return false
+  }
+
+  /**
+   * 启动时校验配置：启用 SSO 时必须显式配置对外访问地址，回调地址不能根据请求的 Host 推断
+   * @throws {Error} 缺少或不是 http(s) 地址时抛出
+   */
+  validateConfiguration() {
+    const oidcConfig = this.getConfig()
+    if (!oidcConfig.enabled) {
+      return
+    }
+
+    let baseUrl = null
+    try {
+      baseUrl = new URL(oidcConfig.redirectBaseUrl)
+    } catch (e) {
+      baseUrl = null
+    }
+    if (!baseUrl || !['http:', 'https:'].includes(baseUrl.protocol)) {
+      throw new Error(
+        'OIDC_REDIRECT_BASE_URL must be set to the public http(s) URL of this service when OIDC is enabled'
+      )
+    }
+  }
+
+  // IdP 回调地址：<redirectBaseUrl>/oidc/callback
+  getRedirectUri() {
+    return `${String(this.getConfig().redirectBaseUrl).replace(/\/+$/, '')}/oidc/callback`
+  }
+
+  _stateSecret() {
+    return config.security.jwtSecret
+  }
+
+  // 登录页展示用的公开配置
+  getPublicConfig() {
+    return {
+      providerName: this.getConfig().providerName || 'SSO',
+      adminLogin: this.isEnabled('admin'),
+      userLogin: this.isEnabled('user')
+    }
+  }
+
+  _httpOptions() {
+    return { timeout: this.getConfig().httpTimeout || 10000 }
+  }
+
+  async getDiscovery(forceRefresh = false) {
+    if (
+      !forceRefresh &&
+      this.discovery &&
+      Date.now() - this.discoveryFetchedAt < METADATA_CACHE_MS
+    ) {
+      return this.discovery
+    }
+
+    const issuer = this.getConfig().issuer.replace(/\/+$/, '')
+    const response = await axios.get(
+      `${issuer}/.well-known/openid-configuration`,
+      this._httpOptions()
+    )
+    const metadata = response.data || {}
+    if (metadata.issuer?.replace(/\/+$/, '') !== issuer) {
+      throw new Error(`OIDC discovery issuer mismatch: ${metadata.issuer}`)
+    }
+    if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+      throw new Error('OIDC discovery document is missing required endpoints')
+    }
+
+    this.discovery = metadata
+    this.discoveryFetchedAt = Date.now()
+    return metadata
+  }
+
+  async getJwks(forceRefresh = false) {
+    if (!forceRefresh && this.jwks && Date.now() - this.jwksFetchedAt < METADATA_CACHE_MS) {
+      return this.jwks
+    }
+    const discovery = await this.getDiscovery()
+    const response = await axios.get(discovery.jwks_uri, this._httpOptions())
+    this.jwks = response.data
+    this.jwksFetchedAt = Date.now()
+    return this.jwks
+  }
+
+  // 清除缓存的 IdP 元数据（配置变更或测试时使用）
+  resetCache() {
+    this.discovery = null
+    this.discoveryFetchedAt = 0
+    this.jwks = null
+    this.jwksFetchedAt = 0
+  }
+
+  /**
+   * 生成授权地址并保存登录状态
+   * @param {string} portal - admin 或 user
+   * @param {string} redirectUri - 回调地址
+   * @returns {Promise<{authorizationUrl: string, stateBinding: string}>} IdP 授权地址，
+   *   以及需要写入浏览器 Cookie 的 state 绑定值
+   */
+  async createAuthorizationUrl(portal, redirectUri) {
+    if (!PORTALS.includes(portal) || !this.isEnabled(portal)) {
+      throw new Error('Single sign-on is not enabled')
+    }
+
+    const discovery = await this.getDiscovery()
+    const { codeVerifier, codeChallenge } = createPkcePair()
+    const state = randomToken()
+    const nonce = randomToken()
+
+    await redis
+      .getClientSafe()
+      .set(
+        `${this.STATE_PREFIX}${state}`,
+        JSON.stringify({ portal, codeVerifier, nonce, redirectUri }),
+        'EX',
+        STATE_TTL_SECONDS
+      )
+
+    const url = new URL(discovery.authorization_endpoint)
+    url.searchParams.set('response_type', 'code')
+    url.searchParams.set('client_id', this.getConfig().clientId)
+    url.searchParams.set('redirect_uri', redirectUri)
+    url.searchParams.set('scope', this.getConfig().scopes || 'openid')
+    url.searchParams.set('state', state)
+    url.searchParams.set('nonce', nonce)
+    url.searchParams.set('code_challenge', codeChallenge)
+    url.searchParams.set('code_challenge_method', 'S256')
+    return {
+      authorizationUrl: url.toString(),
+      stateBinding: signState(state, this._stateSecret())
+    }
+  }
+
+  // 一次性读取 Redis 中的值，并发请求只有一个能拿到
+  async _consume(key) {
+    const client = redis.getClientSafe()
+    const raw = await client.get(key)
+    if (!raw || (await client.del(key)) !== 1) {
+      return null
+    }
+    return JSON.parse(raw)
+  }
+
+  async consumeState(state) {
+    if (typeof state !== 'string' || !state) {
+      return null
+    }
+    return this._consume(`${this.STATE_PREFIX}${state}`)
+  }
+
+  async _exchangeCode(code, loginState) {
+    const discovery = await this.getDiscovery()
+    const { clientId, clientSecret } = this.getConfig()
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: loginState.redirectUri,
+      code_verifier: loginState.codeVerifier
+    })
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' }
+
+    // 机密客户端默认使用 client_secret_basic，IdP 只支持 post 时改用表单参数
+    const authMethods = discovery.token_endpoint_auth_methods_supported || []
+    if (clientSecret && authMethods.length > 0 && !authMethods.includes('client_secret_basic')) {
+      params.set('client_id', clientId)
+      params.set('client_secret', clientSecret)
+    } else if (clientSecret) {
+      const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`
+    } else {
+      params.set('client_id', clientId)
+    }
+
+    const response = await axios.post(discovery.token_endpoint, params.toString(), {
+      ...this._httpOptions(),
+      headers
+    })
+    if (!response.data?.id_token) {
+      throw new Error('Token response did not include an ID token')
+    }
+    return response.data
+  }
+
+  /**
+   * 校验 ID Token 并返回声明
+   * @param {string} idToken - ID Token
+   * @param {string} nonce - 登录时生成的 nonce
+   */
+  async verifyIdToken(idToken, nonce) {
+    const decoded = decodeJwt(idToken)
+    let jwk = findSigningKey(await this.getJwks(), decoded.header)
+    if (!jwk) {
+      // IdP 轮换了密钥，重新拉取一次
+      jwk = findSigningKey(await this.getJwks(true), decoded.header)
+    }
+    if (!jwk) {
+      throw new Error('No matching signing key for ID token')
+    }
+    if (!verifyJwtSignature(decoded, jwk)) {
+      throw new Error('Invalid ID token signature')
+    }
+
+    const discovery = await this.getDiscovery()
+    validateIdTokenClaims(decoded.payload, {
+      issuer: discovery.issuer,
+      clientId: this.getConfig().clientId,
+      nonce
+    })
+    return decoded.payload
+  }
+
+  async _fetchUserInfo(accessToken) {
+    const discovery = await this.getDiscovery()
+    if (!discovery.userinfo_endpoint || !accessToken) {
+      return {}
+    }
+    try {
+      const response = await axios.get(discovery.userinfo_endpoint, {
+        ...this._httpOptions(),
+        headers: { Authorization: `Bearer ${accessToken}` }
+      })
+      return response.data || {}
+    } catch (error) {
+      logger.warn(`⚠️ Failed to fetch OIDC userinfo: ${error.message}`)
+      return {}
+    }
+  }
+
+  /**
+   * 处理 IdP 回调：校验 state、换取令牌、校验 ID Token 并映射用户信息
+   * @param {Object} params - 回调查询参数 { code, state, error, error_description }
+   * @param {string} stateBinding - 浏览器 Cookie 中的 state 绑定值
+   * @returns {Promise<{portal: string, profile: Object}>}
+   */
+  async completeAuthorization(params, stateBinding) {
+    // state 必须与发起登录的浏览器 Cookie 匹配，否则可能是攻击者诱导受害者完成的登录
+    if (!verifyStateBinding(params.state, stateBinding, this._stateSecret())) {
+      logger.security('🔒 OIDC callback rejected: state is not bound to this browser')
+      throw new Error('Login was not started from this browser, please try again')
+    }
+
+    const loginState = await this.consumeState(params.state)
+    if (!loginState) {
+      throw new Error('Login session expired, please try again')
+    }
+    const { portal } = loginState
+    if (params.error) {
+      const error = new Error(params.error_description || params.error)
+      error.portal = portal
+      throw error
+    }
+
+    try {
+      if (!params.code) {
+        throw new Error('Missing authorization code')
+      }
+      const tokens = await this._exchangeCode(params.code, loginState)
+      const idClaims = await this.verifyIdToken(tokens.id_token, loginState.nonce)
+
+      // UserInfo 只补充 ID Token 中没有的声明，sub 必须一致
+      const userInfo = await this._fetchUserInfo(tokens.access_token)
+      const claims =
+        userInfo.sub && userInfo.sub !== idClaims.sub ? idClaims : { ...userInfo, ...idClaims }
+
+      const profile = mapClaimsToUser(claims, this.getConfig().userMapping || {})
+      if (!profile.username || profile.username.length > 128) {
+        throw new Error('Identity provider did not return a usable username')
+      }
+      profile.issuer = idClaims.iss
+      profile.subject = idClaims.sub
+
+      logger.info(`🔑 OIDC login verified for ${profile.username} (${portal})`)
+      return { portal, profile }
+    } catch (error) {
+      error.portal = portal
+      throw error
+    }
+  }
+
+  /**
+   * 按组映射用户门户角色
+   * @returns {{allowed: boolean, role: string}}
+   */
+  resolveUserRole(profile) {
+    const oidcConfig = this.getConfig()
+    const allowedGroups = String(oidcConfig.userAllowedGroups || '')
+      .split(',')
+      .map((group) => group.trim())
+      .filter(Boolean)
+    const allowed =
+      allowedGroups.length === 0 || allowedGroups.some((group) => profile.groups.includes(group))
+
+    const mapping = parseRoleMapping(oidcConfig.userRoleMapping).filter((item) =>
+      USER_ROLES.includes(item.role)
+    )
+    const role =
+      resolveMappedRole(profile.groups, mapping) || config.userManagement.defaultUserRole || 'user'
+    return { allowed, role }
+  }
+
+  /**
+   * 创建或更新 SSO 登录的本地用户
+   * 按签发者 + subject 查找已绑定的用户；同名的未绑定账户（本地或 LDAP）不会被自动接管，
+   * 需要管理员先在用户管理中关联 IdP 身份
+   * @param {Object} profile - completeAuthorization 返回的用户信息
+   * @returns {Promise<Object>} 本地用户
+   * @throws {Error} 不在允许的组内、用户名已被未绑定的账户占用或账户已禁用时抛出
+   */
+  async provisionUser(profile) {
+    const { allowed, role } = this.resolveUserRole(profile)
+    if (!allowed) {
+      logger.security(`🔒 OIDC user ${profile.username} is not in an allowed group`)
+      throw new Error('Your account is not allowed to sign in to this portal')
+    }
+
+    const linkedUser = await userService.getUserByOidcIdentity(profile.issuer, profile.subject)
+    if (!linkedUser && (await userService.getUserByUsername(profile.username))) {
+      logger.security(
+        `🔒 OIDC login for ${profile.username} refused: username belongs to an account not linked to subject ${profile.subject}`
+      )
+      throw new Error(
+        'An account with this username already exists. Ask an administrator to link it to your single sign-on identity.'
+      )
+    }
+
+    // 已绑定的用户沿用本地用户名，IdP 中的用户名变化不影响绑定
+    let user = await userService.createOrUpdateUser({
+      username: linkedUser ? linkedUser.username : profile.username,
+      email: profile.email,
+      displayName: profile.displayName,
+      firstName: profile.firstName,
+      lastName: profile.lastName,
+      role
+    })
+    if (!linkedUser) {
+      user = await userService.linkOidcIdentity(user.id, profile.issuer, profile.subject)
+    }
+
+    // createOrUpdateUser 只在新建时写入角色，配置了组映射时每次登录同步角色
+    if (parseRoleMapping(this.getConfig().userRoleMapping).length > 0 && user.role !== role) {
+      user = await userService.updateUserRole(user.id, role)
+    }
+
+    if (!user.isActive) {
+      logger.security(`🔒 Disabled user OIDC login attempt: ${profile.username}`)
+      throw new Error('Your account has been disabled. Please contact administrator.')
+    }
+
+    await userService.recordUserLogin(user.id)
+    return user
+  }
+
+  /**
+   * 按组映射管理后台角色，未匹配时返回 null（拒绝登录）
+   */
+  resolveAdminRole(profile) {
+    const mapping = parseRoleMapping(this.getConfig().adminRoleMapping).filter((item) =>
+      getRoleScopes(item.role)
+    )
+    return resolveMappedRole(profile.groups, mapping)
+  }
+
+  /**
+   * 解析管理后台 SSO 登录身份
+   * 已关联该 IdP 身份的本地管理员以本地账号和角色登录；否则按组映射角色，
+   * 且用户名不能与主管理员或本地管理员重名
+   * @param {Object} profile - completeAuthorization 返回的用户信息
+   * @returns {Promise<{username: string, adminId: string, ssoRole: string|null}>}
+   * @throws {Error} 无权访问、账号已禁用或用户名被未关联的本地管理员占用时抛出
+   */
+  async resolveAdminLogin(profile) {
+    const identity = await adminIdentityService.findIdentityByOidcSubject(
+      profile.issuer,
+      profile.subject
+    )
+    if (identity) {
+      if (!identity.isActive) {
+        logger.security(`🔒 Disabled admin OIDC login attempt: ${identity.username}`)
+        throw new Error('Your account has been disabled. Please contact administrator.')
+      }
+      return {
+        username: identity.username,
+        adminId: adminIdentityService.identityAdminId(identity.username),
+        ssoRole: null
+      }
+    }
+
+    const role = this.resolveAdminRole(profile)
+    if (!role) {
+      logger.security(`🔒 OIDC admin login denied for ${profile.username}: no mapped role`)
+      throw new Error('Your account is not allowed to access the admin console')
+    }
+    if (await adminIdentityService.hasLocalAccount(profile.username)) {
+      logger.security(
+        `🔒 OIDC admin login for ${profile.username} refused: username belongs to a local administrator not linked to subject ${profile.subject}`
+      )
+      throw new Error(
+        'An administrator with this username already exists. Ask an administrator to link it to your single sign-on identity.'
+      )
+    }
+
+    return {
+      username: profile.username,
+      adminId: adminIdentityService.ssoAdminId(profile.issuer, profile.subject),
+      ssoRole: role
+    }
+  }
+
+  /**
+   * 签发一次性交接码，前端用它换取登录结果
+   * @param {Object} payload - 登录结果
+   * @returns {Promise<string>} 交接码
+   */
+  async createHandoff(payload) {
+    const code = randomToken()
+    await redis
+      .getClientSafe()
+      .set(`${this.HANDOFF_PREFIX}${code}`, JSON.stringify(payload), 'EX', HANDOFF_TTL_SECONDS)
+    return code
+  }
+
+  async consumeHandoff(code) {
+    if (typeof code !== 'string' || !code) {
+      return null
+    }
+    return this._consume(`${this.HANDOFF_PREFIX}${code}`)
+  }
+}
+
+module.exports = new OidcService()
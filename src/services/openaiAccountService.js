@@ -14,60 +14,37 @@ const {
   logRefreshSkipped
 } = require('../utils/tokenRefreshLogger')
 const LRUCache = require('../utils/lruCache')
+const { credentialVault } = require('../utils/credentialVault')
+const credentialRotationService = require('./credentialRotationService')
 const tokenRefreshService = require('./tokenRefreshService')
 
-// 加密相关常量
-const ALGORITHM = 'aes-256-cbc'
-const ENCRYPTION_SALT = 'openai-account-salt'
-const IV_LENGTH = 16
-
-// 🚀 性能优化：缓存派生的加密密钥，避免每次重复计算
-// scryptSync 是 CPU 密集型操作，缓存可以减少 95%+ 的 CPU 占用
-let _encryptionKeyCache = null
+// 🔐 凭证加解密（共用凭证保险库，兼容旧格式密文）
+const cipher = credentialVault.createCipher('openai', { salt: 'openai-account-salt' })
 
 // 🔄 解密结果缓存，提高解密性能
 const decryptCache = new LRUCache(500)
 
-// 生成加密密钥（使用与 claudeAccountService 相同的方法）
-function generateEncryptionKey() {
-  if (!_encryptionKeyCache) {
-    _encryptionKeyCache = crypto.scryptSync(config.security.encryptionKey, ENCRYPTION_SALT, 32)
-    logger.info('🔑 OpenAI encryption key derived and cached for performance optimization')
-  }
-  return _encryptionKeyCache
-}
-
 // OpenAI 账户键前缀
 const OPENAI_ACCOUNT_KEY_PREFIX = 'openai:account:'
 const SHARED_OPENAI_ACCOUNTS_KEY = 'shared_openai_accounts'
 const ACCOUNT_SESSION_MAPPING_PREFIX = 'openai_session_account_mapping:'
 
+credentialRotationService.registerStore({
+  name: 'openai',
+  pattern: 'openai:account:*',
+  type: 'hash',
+  fields: ['idToken', 'accessToken', 'refreshToken', 'openaiOauth', 'email'],
+  cipher
+})
+
 // 加密函数
 function encrypt(text) {
-  if (!text) {
-    return ''
-  }
-  const key = generateEncryptionKey()
-  const iv = crypto.randomBytes(IV_LENGTH)
-  const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
-  let encrypted = cipher.update(text)
-  encrypted = Buffer.concat([encrypted, cipher.final()])
-  return `${iv.toString('hex')}:${encrypted.toString('hex')}`
+  return cipher.encrypt(text)
 }
 
 // 解密函数
 function decrypt(text) {
-  if (!text || text === '') {
-    return ''
-  }
-
-  // 检查是否是有效的加密格式（至少需要 32 个字符的 IV + 冒号 + 加密文本）
-  if (text.length < 33 || text.charAt(32) !== ':') {
-    logger.warn('Invalid encrypted text format, returning empty string', {
-      textLength: text ? text.length : 0,
-      char32: text && text.length > 32 ? text.charAt(32) : 'N/A',
-      first50: text ? text.substring(0, 50) : 'N/A'
-    })
+  if (!text) {
     return ''
   }
 
@@ -79,17 +56,7 @@ function decrypt(text) {
   }
 
   try {
-    const key = generateEncryptionKey()
-    // IV 是固定长度的 32 个十六进制字符（16 字节）
-    const ivHex = text.substring(0, 32)
-    const encryptedHex = text.substring(33) // 跳过冒号
-
-    const iv = Buffer.from(ivHex, 'hex')
-    const encryptedText = Buffer.from(encryptedHex, 'hex')
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv)
-    let decrypted = decipher.update(encryptedText)
-    decrypted = Buffer.concat([decrypted, decipher.final()])
-    const result = decrypted.toString()
+    const result = cipher.decrypt(text)
 
     // 💾 存入缓存（5分钟过期）
     decryptCache.set(cacheKey, result, 5 * 60 * 1000)
@@ -101,7 +68,7 @@ function decrypt(text) {
 
     return result
   } catch (error) {
-    logger.error('Decryption error:', error)
+    // 解密失败已由凭证保险库记录，返回空值避免把密文当作凭证使用
     return ''
   }
 }
@@ -531,9 +498,11 @@ async function createAccount(accountData) {
   // 处理账户信息
   const accountInfo = accountData.accountInfo || {}
 
-  // 检查邮箱是否已经是加密格式（包含冒号分隔的32位十六进制字符）
+  // 检查邮箱是否已经是加密格式（信封密文，或包含冒号分隔的32位十六进制字符的旧格式）
   const isEmailEncrypted =
-    accountInfo.email && accountInfo.email.length >= 33 && accountInfo.email.charAt(32) === ':'
+    accountInfo.email &&
+    (credentialVault.isEnvelope(accountInfo.email) ||
+      (accountInfo.email.length >= 33 && accountInfo.email.charAt(32) === ':'))
 
   const account = {
     id: accountId,
@@ -1278,6 +1247,5 @@ module.exports = {
   updateCodexUsageSnapshot,
   encrypt,
   decrypt,
-  generateEncryptionKey,
   decryptCache // 暴露缓存对象以便测试和监控
 }
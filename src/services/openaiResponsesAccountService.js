@@ -2,21 +2,27 @@ const { v4: uuidv4 } = require('uuid')
 const crypto = require('crypto')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
-const config = require('../../config/config')
 const LRUCache = require('../utils/lruCache')
+const { credentialVault } = require('../utils/credentialVault')
+const credentialRotationService = require('./credentialRotationService')
 
 class OpenAIResponsesAccountService {
   constructor() {
-    // 加密相关常量
-    this.ENCRYPTION_ALGORITHM = 'aes-256-cbc'
-    this.ENCRYPTION_SALT = 'openai-responses-salt'
-
     // Redis 键前缀
     this.ACCOUNT_KEY_PREFIX = 'openai_responses_account:'
     this.SHARED_ACCOUNTS_KEY = 'shared_openai_responses_accounts'
 
-    // 🚀 性能优化：缓存派生的加密密钥，避免每次重复计算
-    this._encryptionKeyCache = null
+    // 🔐 凭证加解密（共用凭证保险库，兼容旧格式密文）
+    this._cipher = credentialVault.createCipher('openai-responses', {
+      salt: 'openai-responses-salt'
+    })
+    credentialRotationService.registerStore({
+      name: 'openai-responses',
+      pattern: 'openai_responses_account:*',
+      type: 'hash',
+      fields: ['apiKey'],
+      cipher: this._cipher
+    })
 
     // 🔄 解密结果缓存，提高解密性能
     this._decryptCache = new LRUCache(500)
@@ -574,27 +580,16 @@ class OpenAIResponsesAccountService {
 
   // 加密敏感数据
   _encryptSensitiveData(text) {
-    if (!text) {
-      return ''
-    }
-
-    const key = this._getEncryptionKey()
-    const iv = crypto.randomBytes(16)
-    const cipher = crypto.createCipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
-
-    let encrypted = cipher.update(text)
-    encrypted = Buffer.concat([encrypted, cipher.final()])
-
-    return `${iv.toString('hex')}:${encrypted.toString('hex')}`
+    return this._cipher.encrypt(text)
   }
 
   // 解密敏感数据
   _decryptSensitiveData(text) {
-    if (!text || text === '') {
+    if (!text) {
       return ''
     }
 
-    // 检查缓存
+    // 🎯 检查缓存
     const cacheKey = crypto.createHash('sha256').update(text).digest('hex')
     const cached = this._decryptCache.get(cacheKey)
     if (cached !== undefined) {
@@ -602,40 +597,23 @@ class OpenAIResponsesAccountService {
     }
 
     try {
-      const key = this._getEncryptionKey()
-      const [ivHex, encryptedHex] = text.split(':')
-
-      const iv = Buffer.from(ivHex, 'hex')
-      const encryptedText = Buffer.from(encryptedHex, 'hex')
+      const decrypted = this._cipher.decrypt(text)
 
-      const decipher = crypto.createDecipheriv(this.ENCRYPTION_ALGORITHM, key, iv)
-      let decrypted = decipher.update(encryptedText)
-      decrypted = Buffer.concat([decrypted, decipher.final()])
+      // 💾 存入缓存（5分钟过期）
+      this._decryptCache.set(cacheKey, decrypted, 5 * 60 * 1000)
 
-      const result = decrypted.toString()
-
-      // 存入缓存（5分钟过期）
-      this._decryptCache.set(cacheKey, result, 5 * 60 * 1000)
+      // 📊 定期打印缓存统计
+      if ((this._decryptCache.hits + this._decryptCache.misses) % 1000 === 0) {
+        this._decryptCache.printStats()
+      }
 
-      return result
+      return decrypted
     } catch (error) {
-      logger.error('Decryption error:', error)
+      // 解密失败已由凭证保险库记录，返回空值避免把密文当作凭证使用
       return ''
     }
   }
 
-  // 获取加密密钥
-  _getEncryptionKey() {
-    if (!this._encryptionKeyCache) {
-      this._encryptionKeyCache = crypto.scryptSync(
-        config.security.encryptionKey,
-        this.ENCRYPTION_SALT,
-        32
-      )
-    }
-    return this._encryptionKeyCache
-  }
-
   // 保存账户到 Redis
   async _saveAccount(accountId, accountData) {
     const client = redis.getClientSafe()
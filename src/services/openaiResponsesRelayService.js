@@ -5,6 +5,8 @@ const { filterForOpenAI } = require('../utils/headerFilter')
 const openaiResponsesAccountService = require('./openaiResponsesAccountService')
 const apiKeyService = require('./apiKeyService')
 const unifiedOpenAIScheduler = require('./unifiedOpenAIScheduler')
+const circuitBreakerService = require('./circuitBreakerService')
+const requestTransformService = require('./requestTransformService')
 const config = require('../../config/config')
 const crypto = require('crypto')
 
@@ -117,6 +119,16 @@ class OpenAIResponsesRelayService {
         }
       }
 
+      // 应用账户 / 分组配置的请求转换规则
+      const transformed = requestTransformService.applyRules(
+        await requestTransformService.getRulesForAccount(account.id),
+        { headers: requestOptions.headers, body: requestOptions.data },
+        req.path.includes('chat/completions') ? 'openai' : 'responses',
+        account.id
+      )
+      requestOptions.headers = transformed.headers
+      requestOptions.data = transformed.body
+
       // 记录请求信息
       logger.info('📤 OpenAI-Responses relay request', {
         accountId: account.id,
@@ -130,6 +142,10 @@ class OpenAIResponsesRelayService {
 
       // 发送请求
       const response = await axios(requestOptions)
+      circuitBreakerService.recordOutcome(account.id, 'openai-responses', {
+        statusCode: response.status,
+        accountName: account.name
+      })
 
       // 处理 429 限流错误
       if (response.status === 429) {
@@ -293,6 +309,13 @@ class OpenAIResponsesRelayService {
         statusText: error.response?.statusText
       }
       logger.error('OpenAI-Responses relay error:', errorInfo)
+      if (error.isAxiosError) {
+        circuitBreakerService.recordOutcome(account.id, 'openai-responses', {
+          statusCode: error.response?.status || 0,
+          error,
+          accountName: account.name
+        })
+      }
 
       // 检查是否是网络错误
       if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
@@ -539,7 +562,8 @@ class OpenAIResponsesRelayService {
             cacheCreateTokens,
             cacheReadTokens,
             modelToRecord,
-            account.id
+            account.id,
+            'openai-responses'
           )
 
           logger.info(
@@ -667,7 +691,8 @@ class OpenAIResponsesRelayService {
           cacheCreateTokens,
           cacheReadTokens,
           actualModel,
-          account.id
+          account.id,
+          'openai-responses'
         )
 
         logger.info(
@@ -5,6 +5,19 @@
 
 const logger = require('../utils/logger')
 
+// response_format 通过强制调用该工具实现，响应中再还原为消息文本
+const RESPONSE_FORMAT_TOOL_NAME = 'json_response'
+
+// reasoning_effort 对应的 thinking 预算（minimal 表示不开启 thinking）
+const REASONING_BUDGETS = {
+  low: 4096,
+  medium: 8192,
+  high: 16384
+}
+
+// 完整兼容模式下 n 的上限（非流式请求会按 n 并发请求上游）
+const MAX_CHOICES = 8
+
 class OpenAIToClaudeConverter {
   constructor() {
     // 停止原因映射
@@ -19,13 +32,19 @@ class OpenAIToClaudeConverter {
   /**
    * 将 OpenAI 请求格式转换为 Claude 格式
    * @param {Object} openaiRequest - OpenAI 格式的请求
+   * @param {Object} options - 转换选项
+   * @param {boolean} options.parityMode - 完整兼容模式：透传自定义系统提示词，并支持
+   *   response_format、reasoning_effort、n、parallel_tool_calls
    * @returns {Object} Claude 格式的请求
+   * @throws {Error} 完整兼容模式下参数不合法时抛出（error.status 为 400）
    */
-  convertRequest(openaiRequest) {
+  convertRequest(openaiRequest, options = {}) {
+    const { parityMode = false } = options
+
     const claudeRequest = {
       model: openaiRequest.model, // 直接使用提供的模型名，不进行映射
       messages: this._convertMessages(openaiRequest.messages),
-      max_tokens: openaiRequest.max_tokens || 4096,
+      max_tokens: openaiRequest.max_tokens || openaiRequest.max_completion_tokens || 4096,
       temperature: openaiRequest.temperature,
       top_p: openaiRequest.top_p,
       stream: openaiRequest.stream || false
@@ -43,6 +62,15 @@ class OpenAIToClaudeConverter {
         `🔍 Xcode request detected, using Xcode system prompt (${systemMessage.length} chars)`
       )
       logger.debug(`📋 System prompt preview: ${systemMessage.substring(0, 150)}...`)
+    } else if (parityMode && systemMessage) {
+      // 完整兼容模式：保留 Claude Code 必需的前缀，自定义系统提示词追加在其后
+      claudeRequest.system = [
+        { type: 'text', text: claudeCodeSystemMessage },
+        { type: 'text', text: systemMessage }
+      ]
+      logger.debug(
+        `📋 Appending custom system prompt after Claude Code prefix (${systemMessage.length} chars)`
+      )
     } else {
       // 使用 Claude Code 默认系统提示词
       claudeRequest.system = claudeCodeSystemMessage
@@ -66,8 +94,12 @@ class OpenAIToClaudeConverter {
       }
     }
 
+    if (parityMode) {
+      this._applyParityOptions(openaiRequest, claudeRequest)
+    }
+
     // OpenAI 特有的参数已在转换过程中被忽略
-    // 包括: n, presence_penalty, frequency_penalty, logit_bias, user
+    // 包括: presence_penalty, frequency_penalty, logit_bias, user（非完整兼容模式下还包括 n 等参数）
 
     logger.debug('📝 Converted OpenAI request to Claude format:', {
       model: claudeRequest.model,
@@ -79,6 +111,127 @@ class OpenAIToClaudeConverter {
     return claudeRequest
   }
 
+  /**
+   * 完整兼容模式下需要的请求参数数量（n）
+   * @param {Object} openaiRequest - OpenAI 格式的请求
+   * @returns {number}
+   */
+  getChoiceCount(openaiRequest) {
+    return openaiRequest.n === undefined || openaiRequest.n === null ? 1 : Number(openaiRequest.n)
+  }
+
+  /**
+   * 创建流式转换状态（每个请求一个）
+   * @param {Object} options
+   * @param {boolean} options.includeUsage - 对应 stream_options.include_usage，结束前单独发送 usage 数据块
+   * @returns {Object}
+   */
+  createStreamState({ includeUsage = false } = {}) {
+    return {
+      includeUsage,
+      usage: null,
+      responseFormatBlocks: new Set(),
+      hasToolCalls: false
+    }
+  }
+
+  /**
+   * 处理完整兼容模式下的 OpenAI 参数
+   */
+  _applyParityOptions(openaiRequest, claudeRequest) {
+    // n：Claude 每次只返回一个结果，非流式请求由路由按 n 并发请求后合并
+    const choiceCount = this.getChoiceCount(openaiRequest)
+    if (!Number.isInteger(choiceCount) || choiceCount < 1 || choiceCount > MAX_CHOICES) {
+      throw this._invalidRequest(`n must be an integer between 1 and ${MAX_CHOICES}`)
+    }
+    if (choiceCount > 1 && claudeRequest.stream) {
+      throw this._invalidRequest('n greater than 1 is not supported for streaming requests')
+    }
+
+    const responseFormat = openaiRequest.response_format
+    if (responseFormat && responseFormat.type !== 'text') {
+      this._applyResponseFormat(responseFormat, claudeRequest)
+    }
+
+    if (
+      openaiRequest.parallel_tool_calls === false &&
+      claudeRequest.tools &&
+      claudeRequest.tool_choice?.type !== 'none'
+    ) {
+      claudeRequest.tool_choice = {
+        ...(claudeRequest.tool_choice || { type: 'auto' }),
+        disable_parallel_tool_use: true
+      }
+    }
+
+    const effort = openaiRequest.reasoning_effort
+    if (effort !== undefined && effort !== null) {
+      if (effort !== 'minimal' && !REASONING_BUDGETS[effort]) {
+        throw this._invalidRequest(
+          `reasoning_effort must be one of: minimal, ${Object.keys(REASONING_BUDGETS).join(', ')}`
+        )
+      }
+      const budget = REASONING_BUDGETS[effort]
+      const forcesToolUse = ['any', 'tool'].includes(claudeRequest.tool_choice?.type)
+      if (budget && forcesToolUse) {
+        // Claude 不允许在强制调用工具时开启 thinking
+        logger.warn(`⚠️ reasoning_effort=${effort} ignored because tool use is forced`)
+      } else if (budget) {
+        claudeRequest.thinking = { type: 'enabled', budget_tokens: budget }
+        // max_tokens 必须大于 thinking 预算，在调用方期望的输出长度之上追加预算
+        claudeRequest.max_tokens += budget
+        // 开启 thinking 时不支持自定义 temperature / top_p
+        delete claudeRequest.temperature
+        delete claudeRequest.top_p
+      }
+    }
+  }
+
+  /**
+   * 通过强制工具调用实现 json_object / json_schema 输出
+   */
+  _applyResponseFormat(responseFormat, claudeRequest) {
+    let schema
+    if (responseFormat.type === 'json_object') {
+      schema = { type: 'object' }
+    } else if (responseFormat.type === 'json_schema') {
+      schema = responseFormat.json_schema?.schema
+      if (!schema || typeof schema !== 'object' || schema.type !== 'object') {
+        throw this._invalidRequest(
+          'response_format.json_schema.schema must be a JSON schema with type "object"'
+        )
+      }
+    } else {
+      throw this._invalidRequest(`Unsupported response_format type: ${responseFormat.type}`)
+    }
+
+    const formatTool = {
+      name: RESPONSE_FORMAT_TOOL_NAME,
+      description:
+        responseFormat.json_schema?.description ||
+        'Respond to the user by calling this tool with the final answer as its input.',
+      input_schema: schema
+    }
+
+    const userTools = claudeRequest.tools || []
+    if (userTools.length === 0 || claudeRequest.tool_choice?.type === 'none') {
+      claudeRequest.tools = [formatTool]
+      claudeRequest.tool_choice = { type: 'tool', name: RESPONSE_FORMAT_TOOL_NAME }
+    } else {
+      // 同时提供了其他工具：要求必须调用工具，最终回答由格式工具承载
+      claudeRequest.tools = [...userTools, formatTool]
+      if (claudeRequest.tool_choice?.type !== 'tool') {
+        claudeRequest.tool_choice = { type: 'any' }
+      }
+    }
+  }
+
+  _invalidRequest(message) {
+    const error = new Error(message)
+    error.status = 400
+    return error
+  }
+
   /**
    * 将 Claude 响应格式转换为 OpenAI 格式
    * @param {Object} claudeResponse - Claude 格式的响应
@@ -97,11 +250,16 @@ class OpenAIToClaudeConverter {
         {
           index: 0,
           message: this._convertClaudeMessage(claudeResponse),
-          finish_reason: this._mapStopReason(claudeResponse.stop_reason)
+          finish_reason: null
         }
       ],
       usage: this._convertUsage(claudeResponse.usage)
     }
+    // 仅调用了 response_format 工具时视为正常结束
+    openaiResponse.choices[0].finish_reason = this._mapStopReason(
+      claudeResponse.stop_reason,
+      !openaiResponse.choices[0].message.tool_calls
+    )
 
     logger.debug('📝 Converted Claude response to OpenAI format:', {
       responseId: openaiResponse.id,
@@ -112,14 +270,43 @@ class OpenAIToClaudeConverter {
     return openaiResponse
   }
 
+  /**
+   * 合并多次请求的响应为一个包含多个 choice 的响应（n > 1）
+   * @param {Array<Object>} openaiResponses - convertResponse 的结果
+   * @returns {Object}
+   */
+  mergeResponses(openaiResponses) {
+    const [first] = openaiResponses
+    if (openaiResponses.length === 1) {
+      return first
+    }
+
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    let cachedTokens = 0
+    for (const response of openaiResponses) {
+      usage.prompt_tokens += response.usage.prompt_tokens
+      usage.completion_tokens += response.usage.completion_tokens
+      usage.total_tokens += response.usage.total_tokens
+      cachedTokens += response.usage.prompt_tokens_details?.cached_tokens || 0
+    }
+    usage.prompt_tokens_details = { cached_tokens: cachedTokens }
+
+    return {
+      ...first,
+      choices: openaiResponses.map((response, index) => ({ ...response.choices[0], index })),
+      usage
+    }
+  }
+
   /**
    * 转换流式响应的单个数据块
    * @param {String} chunk - Claude SSE 数据块
    * @param {String} requestModel - 原始请求的模型名
    * @param {String} sessionId - 会话ID
+   * @param {Object} state - 由 createStreamState 创建的流式转换状态
    * @returns {String} OpenAI 格式的 SSE 数据块
    */
-  convertStreamChunk(chunk, requestModel, sessionId) {
+  convertStreamChunk(chunk, requestModel, sessionId, state = this.createStreamState()) {
     if (!chunk || chunk.trim() === '') {
       return ''
     }
@@ -145,7 +332,7 @@ class OpenAIToClaudeConverter {
             hasMessageStop = true
           }
 
-          const openaiChunk = this._convertStreamEvent(claudeEvent, requestModel, sessionId)
+          const openaiChunk = this._convertStreamEvent(claudeEvent, requestModel, sessionId, state)
           if (openaiChunk) {
             convertedChunks.push(`data: ${JSON.stringify(openaiChunk)}\n\n`)
           }
@@ -169,13 +356,27 @@ class OpenAIToClaudeConverter {
    * 提取系统消息
    */
   _extractSystemMessage(messages) {
-    const systemMessages = messages.filter((msg) => msg.role === 'system')
+    const systemMessages = messages.filter((msg) => this._isSystemRole(msg.role))
     if (systemMessages.length === 0) {
       return null
     }
 
-    // 合并所有系统消息
-    return systemMessages.map((msg) => msg.content).join('\n\n')
+    // 合并所有系统消息（content 可能是文本片段数组）
+    return systemMessages
+      .map((msg) =>
+        Array.isArray(msg.content)
+          ? msg.content
+              .filter((part) => part.type === 'text')
+              .map((part) => part.text)
+              .join('')
+          : msg.content
+      )
+      .join('\n\n')
+  }
+
+  // OpenAI 新版接口中 developer 消息等同于 system 消息
+  _isSystemRole(role) {
+    return role === 'system' || role === 'developer'
   }
 
   /**
@@ -186,7 +387,7 @@ class OpenAIToClaudeConverter {
 
     for (const msg of messages) {
       // 跳过系统消息（已经在 system 字段处理）
-      if (msg.role === 'system') {
+      if (this._isSystemRole(msg.role)) {
         continue
       }
 
@@ -360,6 +561,9 @@ class OpenAIToClaudeConverter {
         for (const item of claudeResponse.content) {
           if (item.type === 'text') {
             textParts.push(item.text)
+          } else if (item.type === 'tool_use' && item.name === RESPONSE_FORMAT_TOOL_NAME) {
+            // response_format 工具的输入即为结构化输出
+            textParts.push(JSON.stringify(item.input))
           } else if (item.type === 'tool_use') {
             toolCalls.push({
               id: item.id,
@@ -384,8 +588,13 @@ class OpenAIToClaudeConverter {
 
   /**
    * 转换停止原因
+   * @param {String} claudeReason - Claude 停止原因
+   * @param {boolean} onlyResponseFormatTool - 是否只调用了 response_format 工具
    */
-  _mapStopReason(claudeReason) {
+  _mapStopReason(claudeReason, onlyResponseFormatTool = false) {
+    if (claudeReason === 'tool_use' && onlyResponseFormatTool) {
+      return 'stop'
+    }
     return this.stopReasonMapping[claudeReason] || 'stop'
   }
 
@@ -397,17 +606,26 @@ class OpenAIToClaudeConverter {
       return undefined
     }
 
+    // OpenAI 的 prompt_tokens 包含缓存命中与写入的 token
+    const cacheReadTokens = claudeUsage.cache_read_input_tokens || 0
+    const promptTokens =
+      (claudeUsage.input_tokens || 0) +
+      (claudeUsage.cache_creation_input_tokens || 0) +
+      cacheReadTokens
+    const completionTokens = claudeUsage.output_tokens || 0
+
     return {
-      prompt_tokens: claudeUsage.input_tokens || 0,
-      completion_tokens: claudeUsage.output_tokens || 0,
-      total_tokens: (claudeUsage.input_tokens || 0) + (claudeUsage.output_tokens || 0)
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+      prompt_tokens_details: { cached_tokens: cacheReadTokens }
     }
   }
 
   /**
    * 转换流式事件
    */
-  _convertStreamEvent(event, requestModel, sessionId) {
+  _convertStreamEvent(event, requestModel, sessionId, state) {
     const timestamp = Math.floor(Date.now() / 1000)
     const baseChunk = {
       id: sessionId,
@@ -427,11 +645,20 @@ class OpenAIToClaudeConverter {
     if (event.type === 'message_start') {
       // 处理消息开始事件，发送角色信息
       baseChunk.choices[0].delta.role = 'assistant'
+      state.usage = { ...(event.message?.usage || {}) }
       return baseChunk
     } else if (event.type === 'content_block_start' && event.content_block) {
       if (event.content_block.type === 'text') {
         baseChunk.choices[0].delta.content = event.content_block.text || ''
+      } else if (
+        event.content_block.type === 'tool_use' &&
+        event.content_block.name === RESPONSE_FORMAT_TOOL_NAME
+      ) {
+        // response_format 工具的参数作为消息文本流式输出
+        state.responseFormatBlocks.add(event.index)
+        baseChunk.choices[0].delta.content = ''
       } else if (event.content_block.type === 'tool_use') {
+        state.hasToolCalls = true
         // 开始工具调用
         baseChunk.choices[0].delta.tool_calls = [
           {
@@ -448,6 +675,11 @@ class OpenAIToClaudeConverter {
     } else if (event.type === 'content_block_delta' && event.delta) {
       if (event.delta.type === 'text_delta') {
         baseChunk.choices[0].delta.content = event.delta.text || ''
+      } else if (
+        event.delta.type === 'input_json_delta' &&
+        state.responseFormatBlocks.has(event.index)
+      ) {
+        baseChunk.choices[0].delta.content = event.delta.partial_json || ''
       } else if (event.delta.type === 'input_json_delta') {
         // 工具调用参数的增量更新
         baseChunk.choices[0].delta.tool_calls = [
@@ -461,13 +693,31 @@ class OpenAIToClaudeConverter {
       }
     } else if (event.type === 'message_delta' && event.delta) {
       if (event.delta.stop_reason) {
-        baseChunk.choices[0].finish_reason = this._mapStopReason(event.delta.stop_reason)
+        baseChunk.choices[0].finish_reason = this._mapStopReason(
+          event.delta.stop_reason,
+          !state.hasToolCalls
+        )
       }
       if (event.usage) {
-        baseChunk.usage = this._convertUsage(event.usage)
+        state.usage = { ...(state.usage || {}), ...event.usage }
+        // include_usage 时 usage 在结束前单独发送
+        if (!state.includeUsage) {
+          baseChunk.usage = this._convertUsage(event.usage)
+        }
       }
     } else if (event.type === 'message_stop') {
-      // message_stop 事件不需要返回 chunk，[DONE] 标记会在 convertStreamChunk 中添加
+      // stream_options.include_usage：在 [DONE] 之前发送 choices 为空的 usage 数据块
+      if (state.includeUsage && state.usage) {
+        return {
+          id: sessionId,
+          object: 'chat.completion.chunk',
+          created: timestamp,
+          model: requestModel || 'gpt-4',
+          choices: [],
+          usage: this._convertUsage(state.usage)
+        }
+      }
+      // 其余情况不需要返回 chunk，[DONE] 标记会在 convertStreamChunk 中添加
       return null
     } else {
       // 忽略其他类型的事件
@@ -0,0 +1,137 @@
+/**
+ * 请求转换服务
+ * 管理账户 / 分组级的请求转换规则（请求头、请求体字段、系统提示词、模型名），
+ * 并在各转发服务发往上游前按「所属分组规则 → 账户规则」的顺序应用。规则保存在 Redis 中，修改后无需重启即可生效。
+ */
+
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const accountGroupService = require('./accountGroupService')
+const { applyTransformRules } = require('../utils/requestTransformHelper')
+
+const RULES_KEY_PREFIX = 'request_transform:'
+
+// 内存缓存（每个请求都会查询，避免频繁 Redis 查询；多实例部署时最长延迟一个缓存周期生效）
+const accountRulesCache = new Map()
+const RULES_CACHE_TTL = 10000 // 10秒缓存
+
+class RequestTransformService {
+  /**
+   * 获取某个账户或分组的规则配置
+   * @param {string} scope - account / group
+   * @param {string} id - 账户ID或分组ID
+   * @returns {Promise<Object>} { rules, updatedAt, updatedBy }
+   */
+  async getRules(scope, id) {
+    const client = redis.getClientSafe()
+    const data = await client.get(`${RULES_KEY_PREFIX}${scope}:${id}`)
+    const empty = { rules: [], updatedAt: null, updatedBy: null }
+    return data ? { ...empty, ...JSON.parse(data) } : empty
+  }
+
+  /**
+   * 替换某个账户或分组的规则（调用方负责校验规则），规则为空时删除配置
+   * @param {string} scope - account / group
+   * @param {string} id - 账户ID或分组ID
+   * @param {Array} rules - 规范化后的规则
+   * @param {string} updatedBy - 更新者
+   * @returns {Promise<Object>} 更新后的配置
+   */
+  async setRules(scope, id, rules, updatedBy) {
+    const client = redis.getClientSafe()
+    const key = `${RULES_KEY_PREFIX}${scope}:${id}`
+
+    const updated = {
+      rules,
+      updatedAt: new Date().toISOString(),
+      updatedBy
+    }
+
+    if (rules.length === 0) {
+      await client.del(key)
+    } else {
+      await client.set(key, JSON.stringify(updated))
+    }
+    this.clearCache()
+
+    logger.info(
+      `✅ Request transform rules for ${scope} ${id} updated by ${updatedBy}: ${rules.length} rule(s)`
+    )
+
+    return updated
+  }
+
+  /**
+   * 获取账户生效的规则：所属分组规则（按分组创建时间）在前，账户自身规则在后
+   * 每条规则附带 source 标记来源，便于预览与日志排查
+   * @param {string} accountId - 账户ID
+   * @returns {Promise<Array>}
+   */
+  async getRulesForAccount(accountId) {
+    if (!accountId) {
+      return []
+    }
+
+    const cached = accountRulesCache.get(accountId)
+    if (cached && Date.now() - cached.time < RULES_CACHE_TTL) {
+      return cached.rules
+    }
+
+    try {
+      const groups = await accountGroupService.getAccountGroups(accountId)
+      groups.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+
+      const rules = []
+      for (const group of groups) {
+        const { rules: groupRules } = await this.getRules('group', group.id)
+        rules.push(...groupRules.map((rule) => ({ ...rule, source: `group:${group.name}` })))
+      }
+      const { rules: accountRules } = await this.getRules('account', accountId)
+      rules.push(...accountRules.map((rule) => ({ ...rule, source: 'account' })))
+
+      accountRulesCache.set(accountId, { rules, time: Date.now() })
+      return rules
+    } catch (error) {
+      // Redis 不可用时不做转换，不缓存以便尽快恢复
+      logger.error(`❌ Failed to load request transform rules for account ${accountId}:`, error)
+      return []
+    }
+  }
+
+  /**
+   * 应用规则到即将发往上游的请求
+   * @param {Array} rules - getRulesForAccount 返回的规则
+   * @param {Object} request - { headers, body, model }
+   * @param {string} format - 请求格式 claude / openai / responses / gemini
+   * @param {string} accountId - 账户ID（仅用于日志）
+   * @returns {Object} { headers, body, model, applied }
+   */
+  applyRules(rules, request, format, accountId = null) {
+    if (!rules || rules.length === 0) {
+      return { ...request, applied: [] }
+    }
+
+    try {
+      const result = applyTransformRules(rules, request, format)
+      if (result.applied.length > 0) {
+        logger.debug(
+          `🔧 Applied ${result.applied.length} request transform rule(s) for account ${accountId}: ${result.applied.map((item) => item.type).join(', ')}`
+        )
+      }
+      return result
+    } catch (error) {
+      // 转换失败时按原样转发，避免规则问题导致请求不可用
+      logger.warn(`⚠️ Failed to apply request transform rules for account ${accountId}:`, error)
+      return { ...request, applied: [] }
+    }
+  }
+
+  /**
+   * 清除账户规则缓存
+   */
+  clearCache() {
+    accountRulesCache.clear()
+  }
+}
+
+module.exports = new RequestTransformService()
@@ -0,0 +1,195 @@
+/**
+ * 响应缓存服务
+ * 对开启缓存的 API Key，按规范化后的请求哈希缓存 temperature 为 0 的确定性请求的响应，
+ * 同时支持普通 JSON 响应与录制下来的 SSE 流。缓存按 Key 隔离，存储在 Redis 中并限制
+ * 单条大小与总条目数。
+ */
+
+const crypto = require('crypto')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+
+const ENTRY_PREFIX = 'response_cache:entry:'
+const INDEX_KEY = 'response_cache:index' // Sorted Set，score 为写入时间，用于淘汰最早的条目
+const STATS_KEY = 'response_cache:stats'
+
+// 参与哈希计算的请求字段（其余字段如 metadata 不影响响应内容）
+const HASHED_FIELDS = [
+  'model',
+  'system',
+  'messages',
+  'tools',
+  'tool_choice',
+  'max_tokens',
+  'stop_sequences',
+  'temperature',
+  'top_p',
+  'top_k',
+  'thinking',
+  'stream'
+]
+
+// 键排序后序列化，保证字段顺序不同的相同请求得到同一个哈希
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+class ResponseCacheService {
+  getSettings() {
+    return {
+      enabled: true,
+      defaultTtlSeconds: 3600,
+      maxTtlSeconds: 7 * 24 * 3600,
+      maxEntryBytes: 1024 * 1024,
+      maxEntries: 5000,
+      ...(config.responseCache || {})
+    }
+  }
+
+  /**
+   * 判断请求是否可以使用缓存
+   * @param {Object} apiKey - req.apiKey
+   * @param {Object} body - 请求体
+   * @returns {boolean}
+   */
+  isCacheable(apiKey, body) {
+    if (!this.getSettings().enabled || !apiKey?.enableResponseCache) {
+      return false
+    }
+    // 只有显式指定 temperature 为 0 的请求才视为确定性请求
+    return !!body && typeof body.model === 'string' && body.temperature === 0
+  }
+
+  /**
+   * 计算缓存键（按 API Key 隔离）
+   * @param {string} keyId - API Key ID
+   * @param {Object} body - 请求体
+   * @returns {string}
+   */
+  buildCacheKey(keyId, body) {
+    const normalized = {}
+    for (const field of HASHED_FIELDS) {
+      if (body[field] !== undefined) {
+        normalized[field] = body[field]
+      }
+    }
+    normalized.stream = body.stream === true
+    const hash = crypto.createHash('sha256').update(stableStringify(normalized)).digest('hex')
+    return `${keyId}:${hash}`
+  }
+
+  /**
+   * 计算 Key 的缓存时长（0 表示使用默认值，且不超过上限）
+   * @param {Object} apiKey - req.apiKey
+   * @returns {number} 秒
+   */
+  getTtl(apiKey) {
+    const settings = this.getSettings()
+    const ttl = parseInt(apiKey?.responseCacheTtl) || settings.defaultTtlSeconds
+    return Math.min(Math.max(ttl, 1), settings.maxTtlSeconds)
+  }
+
+  /**
+   * 读取缓存
+   * @param {string} cacheKey - 缓存键
+   * @returns {Promise<Object|null>} { contentType, stream, body, model, createdAt }
+   */
+  async get(cacheKey) {
+    const data = await redis.getClientSafe().get(`${ENTRY_PREFIX}${cacheKey}`)
+    if (!data) {
+      return null
+    }
+    try {
+      return JSON.parse(data)
+    } catch (error) {
+      logger.warn(`⚠️ Failed to parse response cache entry ${cacheKey}:`, error.message)
+      return null
+    }
+  }
+
+  /**
+   * 写入缓存（超过单条大小上限时跳过），并淘汰超出条目上限的最早条目
+   * @param {string} cacheKey - 缓存键
+   * @param {Object} entry - { contentType, stream, body, model }
+   * @param {number} ttlSeconds - 缓存时长
+   * @returns {Promise<boolean>} 是否写入
+   */
+  async set(cacheKey, entry, ttlSeconds) {
+    const settings = this.getSettings()
+    if (Buffer.byteLength(entry.body || '') > settings.maxEntryBytes) {
+      return false
+    }
+
+    const client = redis.getClientSafe()
+    const now = Date.now()
+    const payload = JSON.stringify({ ...entry, createdAt: new Date(now).toISOString() })
+
+    await client
+      .pipeline()
+      .set(`${ENTRY_PREFIX}${cacheKey}`, payload, 'EX', ttlSeconds)
+      .zadd(INDEX_KEY, now, cacheKey)
+      // 索引中超过最长缓存时长的条目必然已过期
+      .zremrangebyscore(INDEX_KEY, 0, now - settings.maxTtlSeconds * 1000)
+      .hincrby(STATS_KEY, 'stores', 1)
+      .exec()
+
+    const size = await client.zcard(INDEX_KEY)
+    if (size > settings.maxEntries) {
+      const evicted = await client.zrange(INDEX_KEY, 0, size - settings.maxEntries - 1)
+      if (evicted.length > 0) {
+        await client
+          .pipeline()
+          .del(...evicted.map((key) => `${ENTRY_PREFIX}${key}`))
+          .zrem(INDEX_KEY, ...evicted)
+          .hincrby(STATS_KEY, 'evictions', evicted.length)
+          .exec()
+      }
+    }
+    return true
+  }
+
+  /**
+   * 记录命中 / 未命中
+   * @param {'hits'|'misses'} field
+   */
+  async recordLookup(field) {
+    try {
+      await redis.getClientSafe().hincrby(STATS_KEY, field, 1)
+    } catch (error) {
+      logger.debug(`Failed to record response cache ${field}:`, error.message)
+    }
+  }
+
+  /**
+   * 获取缓存统计（仪表盘使用）
+   * @returns {Promise<Object>} { enabled, hits, misses, hitRate, stores, evictions, entries }
+   */
+  async getStats() {
+    const client = redis.getClientSafe()
+    const [stats, entries] = await Promise.all([client.hgetall(STATS_KEY), client.zcard(INDEX_KEY)])
+    const hits = parseInt(stats?.hits || 0)
+    const misses = parseInt(stats?.misses || 0)
+    return {
+      enabled: this.getSettings().enabled,
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 10000) / 100 : 0,
+      stores: parseInt(stats?.stores || 0),
+      evictions: parseInt(stats?.evictions || 0),
+      entries
+    }
+  }
+}
+
+module.exports = new ResponseCacheService()
@@ -0,0 +1,232 @@
+/**
+ * 流式故障转移服务
+ * Claude 官方 / Console / CCR 流式请求在转发任何内容块之前失败（连接重置、只收到 message_start
+ * 就断开、5xx 等）时，透明地切换到调度器选出的另一个账户重试。每次尝试写入缓冲的响应代理，
+ * 前导事件（message_start / ping）先暂存，出现第一个内容块事件后才回放到客户端并直接透传；
+ * 提交之后的失败按原样返回给客户端。
+ */
+
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const claudeRelayService = require('./claudeRelayService')
+const claudeConsoleRelayService = require('./claudeConsoleRelayService')
+const ccrRelayService = require('./ccrRelayService')
+const unifiedClaudeScheduler = require('./unifiedClaudeScheduler')
+const HedgeResponseProxy = require('../utils/hedgeResponseProxy')
+const { hasContentStarted, isFailoverEligibleStatus } = require('../utils/streamFailoverHelper')
+
+const STATS_PREFIX = 'stream_failover_stats:'
+const FAILOVER_ACCOUNT_TYPES = ['claude-official', 'claude-console', 'ccr']
+
+class StreamFailoverService {
+  getSettings() {
+    const settings = config.streamFailover || {}
+    return {
+      enabled: settings.enabled !== false,
+      maxAttempts: settings.maxAttempts || 3,
+      maxPreambleBytes: settings.maxPreambleBytes || 64 * 1024
+    }
+  }
+
+  /**
+   * 当前账户类型是否启用流式故障转移
+   * @param {string} accountType - 首选账户类型
+   * @returns {boolean}
+   */
+  isEnabled(accountType) {
+    const settings = this.getSettings()
+    return (
+      settings.enabled && settings.maxAttempts > 1 && FAILOVER_ACCOUNT_TYPES.includes(accountType)
+    )
+  }
+
+  /**
+   * 以故障转移方式转发流式请求
+   * @param {Object} params
+   * @param {Object} params.requestBody - 请求体
+   * @param {Object} params.apiKeyData - API Key 数据
+   * @param {Object} params.clientHeaders - 客户端请求头
+   * @param {Object} params.res - 客户端响应
+   * @param {Object} params.primary - 首选账户 { accountId, accountType }
+   * @param {Function} params.onUsage - usage 回调 (usageData, accountType)，只对提交给客户端的尝试触发
+   */
+  async relayStream({ requestBody, apiKeyData, clientHeaders, res, primary, onUsage }) {
+    const { maxAttempts } = this.getSettings()
+    const triedAccountIds = []
+    let selection = primary
+    let current = null
+
+    // 客户端断开时中止当前尝试
+    res.on('close', () => {
+      if (current) {
+        this._abortAttempt(current)
+      }
+    })
+
+    for (let attemptNumber = 1; ; attemptNumber++) {
+      triedAccountIds.push(selection.accountId)
+      const attempt = this._createAttempt(selection, res)
+      current = attempt
+
+      await this._dispatch(attempt, requestBody, apiKeyData, clientHeaders, onUsage).catch(
+        (error) => {
+          attempt.error = error
+        }
+      )
+
+      if (!attempt.committed && !res.destroyed && this._shouldFailover(attempt)) {
+        const next =
+          attemptNumber < maxAttempts
+            ? await this._selectNext(apiKeyData, requestBody.model, triedAccountIds, attempt)
+            : null
+        if (next) {
+          logger.warn(
+            `🔁 Stream from ${attempt.accountType} account ${attempt.accountId} failed before any content (${attempt.error?.message || `status ${attempt.proxy.statusCode}`}), failing over to ${next.accountType} account ${next.accountId} (attempt ${attemptNumber + 1}/${maxAttempts}, API key: ${apiKeyData.name})`
+          )
+          this._abortAttempt(attempt)
+          this._recordStat(attempt.accountId, 'failedOver')
+          selection = next
+          continue
+        }
+      }
+
+      this._commit(attempt, res)
+      if (attemptNumber > 1 && !attempt.error && !attempt.proxy.isError()) {
+        this._recordStat(attempt.accountId, 'rescued')
+      }
+      if (attempt.error) {
+        throw attempt.error
+      }
+      return
+    }
+  }
+
+  _createAttempt(selection, res) {
+    const { maxPreambleBytes } = this.getSettings()
+    const attempt = {
+      accountId: selection.accountId,
+      accountType: selection.accountType,
+      controller: new AbortController(),
+      committed: false,
+      error: null
+    }
+    // 缓冲前导事件，出现内容块（或缓冲超过上限）时提交给客户端
+    attempt.proxy = new HedgeResponseProxy((proxy) => {
+      if (attempt.committed || proxy.isError()) {
+        return
+      }
+      const buffered = proxy.chunks.map((chunk) => chunk.toString()).join('')
+      if (hasContentStarted(buffered) || Buffer.byteLength(buffered) > maxPreambleBytes) {
+        this._commit(attempt, res)
+      }
+    })
+    return attempt
+  }
+
+  // 未提交的尝试以异常结束、或结束时仍没有内容且属于账户级错误时，允许切换账户
+  _shouldFailover(attempt) {
+    if (!isFailoverEligibleStatus(attempt.proxy.statusCode)) {
+      return false
+    }
+    if (attempt.error) {
+      return true
+    }
+    const buffered = attempt.proxy.chunks.map((chunk) => chunk.toString()).join('')
+    return attempt.proxy.isError() || !hasContentStarted(buffered)
+  }
+
+  async _selectNext(apiKeyData, requestedModel, triedAccountIds, attempt) {
+    try {
+      return await unifiedClaudeScheduler.selectFailoverAccount(
+        apiKeyData,
+        requestedModel,
+        [...triedAccountIds],
+        attempt.accountType
+      )
+    } catch (error) {
+      logger.warn(`⚠️ Failed to select failover account: ${error.message}`)
+      return null
+    }
+  }
+
+  _commit(attempt, res) {
+    if (attempt.committed) {
+      return
+    }
+    attempt.committed = true
+    attempt.proxy.flushTo(res)
+  }
+
+  // 🌊 通过对应的转发服务发送请求，写入该尝试的响应代理
+  _dispatch(attempt, requestBody, apiKeyData, clientHeaders, onUsage) {
+    const usageCallback = (usageData) => {
+      if (attempt.committed && onUsage) {
+        onUsage(usageData, attempt.accountType)
+      }
+    }
+
+    if (attempt.accountType === 'ccr') {
+      return ccrRelayService.relayStreamRequestWithUsageCapture(
+        requestBody,
+        apiKeyData,
+        attempt.proxy,
+        clientHeaders,
+        usageCallback,
+        attempt.accountId
+      )
+    }
+    if (attempt.accountType === 'claude-console') {
+      return claudeConsoleRelayService.relayStreamRequestWithUsageCapture(
+        requestBody,
+        apiKeyData,
+        attempt.proxy,
+        clientHeaders,
+        usageCallback,
+        attempt.accountId,
+        null,
+        { abortSignal: attempt.controller.signal }
+      )
+    }
+    return claudeRelayService.relayStreamRequestWithUsageCapture(
+      requestBody,
+      apiKeyData,
+      attempt.proxy,
+      clientHeaders,
+      usageCallback,
+      null,
+      { forcedAccount: { accountId: attempt.accountId, accountType: attempt.accountType } }
+    )
+  }
+
+  _abortAttempt(attempt) {
+    attempt.proxy.abort()
+    if (!attempt.controller.signal.aborted) {
+      attempt.controller.abort()
+    }
+  }
+
+  // 📊 failedOver：在该账户上失败后转移到其他账户的次数；rescued：作为转移目标成功完成的次数
+  async _recordStat(accountId, field) {
+    try {
+      await redis.getClientSafe().hincrby(`${STATS_PREFIX}${accountId}`, field, 1)
+    } catch (error) {
+      logger.error('❌ Failed to record stream failover stats:', error)
+    }
+  }
+
+  /**
+   * 获取账户的流式故障转移统计
+   * @param {string} accountId - 账户ID
+   * @returns {Promise<Object>} { failedOver, rescued }
+   */
+  async getAccountStats(accountId) {
+    const stats = await redis.getClientSafe().hgetall(`${STATS_PREFIX}${accountId}`)
+    return {
+      failedOver: parseInt(stats?.failedOver || 0),
+      rescued: parseInt(stats?.rescued || 0)
+    }
+  }
+}
+
+module.exports = new StreamFailoverService()
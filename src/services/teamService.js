@@ -0,0 +1,378 @@
+/**
+ * 团队服务
+ * 团队由成员组成，成员的团队角色分为 member（查看团队 Key 与用量）和 admin（管理团队共享 Key）：
+ * - 团队共享 Key 以 teamId 归属于团队而不是个人，成员变动不影响 Key 的使用
+ * - 团队可配置周期预算（结构同 API Key 周期预算），团队内所有 Key 的费用合并计算
+ * - 账户分组可以限定为团队专属，只允许该团队的 Key 绑定
+ * 每个用户最多属于一个团队。
+ */
+
+const { v4: uuidv4 } = require('uuid')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const costBudgetService = require('./costBudgetService')
+const { normalizeCostBudget, parseCostBudget } = require('../utils/costBudgetHelper')
+
+const TEAM_ROLES = ['member', 'admin']
+
+class TeamService {
+  constructor() {
+    this.TEAMS_KEY = 'teams'
+    this.TEAM_PREFIX = 'team:'
+    this.TEAM_MEMBERS_PREFIX = 'team_members:'
+    this.USER_TEAM_PREFIX = 'user_team:'
+  }
+
+  getRoles() {
+    return [...TEAM_ROLES]
+  }
+
+  // 团队预算在 costBudgetService 中使用的费用累计 ID
+  budgetSubject(teamId) {
+    return `team:${teamId}`
+  }
+
+  _conflict(message) {
+    const error = new Error(message)
+    error.statusCode = 409
+    return error
+  }
+
+  _validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : ''
+    if (!trimmed) {
+      throw new Error('团队名称不能为空')
+    }
+    if (trimmed.length > 100) {
+      throw new Error('团队名称不能超过 100 个字符')
+    }
+    return trimmed
+  }
+
+  async _assertNameAvailable(name, excludeTeamId = null) {
+    const teams = await this.getAllTeams()
+    const lowerName = name.toLowerCase()
+    if (teams.some((team) => team.id !== excludeTeamId && team.name.toLowerCase() === lowerName)) {
+      throw this._conflict(`团队名称 "${name}" 已存在`)
+    }
+  }
+
+  async _saveTeam(team) {
+    await redis.getClientSafe().set(`${this.TEAM_PREFIX}${team.id}`, JSON.stringify(team))
+  }
+
+  /**
+   * 创建团队
+   * @param {Object} teamData - { name, description, costBudget }
+   * @param {string} createdBy - 操作者
+   * @returns {Promise<Object>} 创建的团队
+   */
+  async createTeam(teamData, createdBy = 'admin') {
+    const name = this._validateName(teamData.name)
+    const costBudget = normalizeCostBudget(teamData.costBudget)
+    await this._assertNameAvailable(name)
+
+    const now = new Date().toISOString()
+    const team = {
+      id: uuidv4(),
+      name,
+      description: (teamData.description || '').trim(),
+      costBudget,
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    }
+
+    await this._saveTeam(team)
+    await redis.getClientSafe().sadd(this.TEAMS_KEY, team.id)
+
+    logger.success(`👥 Created team: ${name} (${team.id}) by ${createdBy}`)
+    return team
+  }
+
+  /**
+   * 更新团队名称、描述或预算
+   * @param {string} teamId - 团队ID
+   * @param {Object} updates - { name, description, costBudget }
+   * @returns {Promise<Object>} 更新后的团队
+   */
+  async updateTeam(teamId, updates) {
+    const team = await this.getTeam(teamId)
+    if (!team) {
+      throw new Error('团队不存在')
+    }
+
+    if (updates.name !== undefined) {
+      team.name = this._validateName(updates.name)
+      await this._assertNameAvailable(team.name, teamId)
+    }
+    if (updates.description !== undefined) {
+      team.description = (updates.description || '').trim()
+    }
+    if (updates.costBudget !== undefined) {
+      team.costBudget = normalizeCostBudget(updates.costBudget)
+    }
+    team.updatedAt = new Date().toISOString()
+
+    await this._saveTeam(team)
+    logger.info(`👥 Updated team: ${team.name} (${teamId})`)
+    return team
+  }
+
+  /**
+   * 删除团队（团队下仍有 API Key 或专属分组时拒绝删除）
+   * @param {string} teamId - 团队ID
+   */
+  async deleteTeam(teamId) {
+    const team = await this.getTeam(teamId)
+    if (!team) {
+      throw new Error('团队不存在')
+    }
+
+    const apiKeyService = require('./apiKeyService')
+    const accountGroupService = require('./accountGroupService')
+    if ((await apiKeyService.getTeamApiKeys(teamId)).length > 0) {
+      throw this._conflict('团队下还有 API Key，无法删除')
+    }
+    if ((await accountGroupService.getTeamGroups(teamId)).length > 0) {
+      throw this._conflict('还有账户分组属于此团队，无法删除')
+    }
+
+    const client = redis.getClientSafe()
+    const memberIds = Object.keys(
+      (await client.hgetall(`${this.TEAM_MEMBERS_PREFIX}${teamId}`)) || {}
+    )
+    for (const userId of memberIds) {
+      await client.del(`${this.USER_TEAM_PREFIX}${userId}`)
+    }
+    await client.del(`${this.TEAM_MEMBERS_PREFIX}${teamId}`)
+    await client.del(`${this.TEAM_PREFIX}${teamId}`)
+    await client.srem(this.TEAMS_KEY, teamId)
+
+    logger.success(`🗑️ Deleted team: ${team.name} (${teamId})`)
+  }
+
+  /**
+   * 获取团队
+   * @param {string} teamId - 团队ID
+   * @returns {Promise<Object|null>}
+   */
+  async getTeam(teamId) {
+    if (!teamId) {
+      return null
+    }
+    const data = await redis.getClientSafe().get(`${this.TEAM_PREFIX}${teamId}`)
+    if (!data) {
+      return null
+    }
+    const team = JSON.parse(data)
+    team.costBudget = parseCostBudget(team.costBudget)
+    return team
+  }
+
+  /**
+   * 获取所有团队（附带成员数量）
+   * @returns {Promise<Array>}
+   */
+  async getAllTeams() {
+    const client = redis.getClientSafe()
+    const teamIds = await client.smembers(this.TEAMS_KEY)
+
+    const teams = []
+    for (const teamId of teamIds) {
+      const team = await this.getTeam(teamId)
+      if (team) {
+        team.memberCount = (await client.hlen(`${this.TEAM_MEMBERS_PREFIX}${teamId}`)) || 0
+        teams.push(team)
+      }
+    }
+
+    teams.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    return teams
+  }
+
+  /**
+   * 获取团队成员
+   * @param {string} teamId - 团队ID
+   * @returns {Promise<Array>} [{ userId, username, displayName, email, isActive, role }]
+   */
+  async getMembers(teamId) {
+    const userService = require('./userService')
+    const roles =
+      (await redis.getClientSafe().hgetall(`${this.TEAM_MEMBERS_PREFIX}${teamId}`)) || {}
+
+    const members = []
+    for (const [userId, role] of Object.entries(roles)) {
+      const user = await userService.getUserById(userId, false)
+      if (!user || user.deletedAt) {
+        continue
+      }
+      members.push({
+        userId,
+        username: user.username,
+        displayName: user.displayName,
+        email: user.email,
+        isActive: user.isActive,
+        role
+      })
+    }
+
+    // 团队管理员排在前面
+    members.sort((a, b) =>
+      a.role === b.role ? a.username.localeCompare(b.username) : a.role === 'admin' ? -1 : 1
+    )
+    return members
+  }
+
+  /**
+   * 添加成员或修改成员的团队角色
+   * @param {string} teamId - 团队ID
+   * @param {string} userId - 用户ID
+   * @param {string} role - member / admin
+   * @returns {Promise<Object>} { teamId, userId, role }
+   */
+  async setMember(teamId, userId, role = 'member') {
+    if (!TEAM_ROLES.includes(role)) {
+      throw new Error(`团队角色必须是 ${TEAM_ROLES.join(' / ')} 之一`)
+    }
+    const team = await this.getTeam(teamId)
+    if (!team) {
+      throw new Error('团队不存在')
+    }
+
+    const userService = require('./userService')
+    const user = await userService.getUserById(userId, false)
+    if (!user || user.deletedAt) {
+      throw new Error('用户不存在')
+    }
+
+    const client = redis.getClientSafe()
+    const currentTeamId = await client.get(`${this.USER_TEAM_PREFIX}${userId}`)
+    if (currentTeamId && currentTeamId !== teamId) {
+      const currentTeam = await this.getTeam(currentTeamId)
+      if (currentTeam) {
+        throw this._conflict(`用户 ${user.username} 已属于团队 "${currentTeam.name}"`)
+      }
+    }
+
+    await client.hset(`${this.TEAM_MEMBERS_PREFIX}${teamId}`, userId, role)
+    await client.set(`${this.USER_TEAM_PREFIX}${userId}`, teamId)
+
+    logger.info(`👥 Team ${team.name}: ${user.username} -> ${role}`)
+    return { teamId, userId, role }
+  }
+
+  /**
+   * 移除团队成员（成员创建的团队 Key 仍归属团队）
+   * @param {string} teamId - 团队ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<boolean>} 是否为团队成员
+   */
+  async removeMember(teamId, userId) {
+    const client = redis.getClientSafe()
+    const removed = await client.hdel(`${this.TEAM_MEMBERS_PREFIX}${teamId}`, userId)
+    if ((await client.get(`${this.USER_TEAM_PREFIX}${userId}`)) === teamId) {
+      await client.del(`${this.USER_TEAM_PREFIX}${userId}`)
+    }
+    if (removed) {
+      logger.info(`👥 Removed user ${userId} from team ${teamId}`)
+    }
+    return removed > 0
+  }
+
+  /**
+   * 从所属团队中移除用户（删除用户时调用）
+   * @param {string} userId - 用户ID
+   */
+  async removeUserFromTeam(userId) {
+    const teamId = await redis.getClientSafe().get(`${this.USER_TEAM_PREFIX}${userId}`)
+    if (teamId) {
+      await this.removeMember(teamId, userId)
+    }
+  }
+
+  /**
+   * 获取用户所属团队及团队角色
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} { team, role }，不属于任何团队时返回 null
+   */
+  async getUserMembership(userId) {
+    const client = redis.getClientSafe()
+    const teamId = await client.get(`${this.USER_TEAM_PREFIX}${userId}`)
+    if (!teamId) {
+      return null
+    }
+
+    const [team, role] = await Promise.all([
+      this.getTeam(teamId),
+      client.hget(`${this.TEAM_MEMBERS_PREFIX}${teamId}`, userId)
+    ])
+    if (!team || !role) {
+      return null
+    }
+    return { team, role }
+  }
+
+  /**
+   * 获取团队当前周期的预算状态
+   * @param {string|Object} teamOrId - 团队或团队ID
+   * @returns {Promise<Object|null>} 未配置预算时返回 null
+   */
+  async getBudgetStatus(teamOrId) {
+    const team = typeof teamOrId === 'string' ? await this.getTeam(teamOrId) : teamOrId
+    if (!team?.costBudget) {
+      return null
+    }
+    return await costBudgetService.getBudgetStatus(this.budgetSubject(team.id), team.costBudget)
+  }
+
+  /**
+   * 汇总团队共享 Key 的用量（包含已删除 Key，保证历史费用完整）
+   * @param {string} teamId - 团队ID
+   * @returns {Promise<Object>} { keyCount, activeKeyCount, totalUsage, dailyCost, keys }
+   */
+  async getUsageSummary(teamId) {
+    const apiKeyService = require('./apiKeyService')
+    const keys = await apiKeyService.getTeamApiKeys(teamId, true)
+
+    const summary = {
+      keyCount: 0,
+      activeKeyCount: 0,
+      totalUsage: { requests: 0, inputTokens: 0, outputTokens: 0, totalCost: 0 },
+      dailyCost: 0,
+      keys: []
+    }
+
+    for (const key of keys) {
+      const total = key.usage?.total || {}
+      const keyUsage = {
+        id: key.id,
+        name: key.name,
+        isDeleted: key.isDeleted === 'true',
+        requests: total.requests || 0,
+        inputTokens: total.inputTokens || 0,
+        outputTokens: total.outputTokens || 0,
+        totalCost: key.totalCost || 0,
+        dailyCost: key.dailyCost || 0
+      }
+
+      summary.totalUsage.requests += keyUsage.requests
+      summary.totalUsage.inputTokens += keyUsage.inputTokens
+      summary.totalUsage.outputTokens += keyUsage.outputTokens
+      summary.totalUsage.totalCost += keyUsage.totalCost
+      summary.dailyCost += keyUsage.dailyCost
+      if (!keyUsage.isDeleted) {
+        summary.keyCount += 1
+        if (key.isActive) {
+          summary.activeKeyCount += 1
+        }
+      }
+      summary.keys.push(keyUsage)
+    }
+
+    summary.keys.sort((a, b) => b.totalCost - a.totalCost)
+    return summary
+  }
+}
+
+module.exports = new TeamService()
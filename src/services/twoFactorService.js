@@ -0,0 +1,478 @@
+/**
+ * 两步验证（TOTP）服务
+ * 基于 RFC 6238 的 TOTP 实现，支持二维码绑定、一次性恢复码，以及按角色强制启用。
+ * 同时服务于管理员会话（web/auth）与 LDAP 用户会话（users）。
+ *
+ * 验证主体（subject）结构：
+ * { type: 'admin' | 'user', id: 管理员用户名或用户ID, label: 显示名, role: 角色 }
+ */
+
+const crypto = require('crypto')
+const QRCode = require('qrcode')
+const redis = require('../models/redis')
+const logger = require('../utils/logger')
+const config = require('../../config/config')
+const { credentialVault } = require('../utils/credentialVault')
+const credentialRotationService = require('./credentialRotationService')
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const TOTP_PERIOD_SECONDS = 30
+const TOTP_DIGITS = 6
+const RECOVERY_CODE_COUNT = 10
+
+// 待确认的绑定密钥有效期（秒）
+const SETUP_TTL_SECONDS = 600
+
+/**
+ * Base32 编码（RFC 4648，无填充）
+ * @param {Buffer} buffer - 原始字节
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+/**
+ * Base32 解码（忽略空格、填充与大小写）
+ * @param {string} input - Base32 字符串
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const cleaned = String(input || '')
+    .toUpperCase()
+    .replace(/[\s=]/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error('Invalid base32 character')
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+ * 计算 HOTP（RFC 4226）
+ * @param {Buffer} key - 密钥
+ * @param {number} counter - 计数器
+ * @returns {string} 定长数字验证码
+ */
+function generateHotp(key, counter) {
+  const counterBuffer = Buffer.alloc(8)
+  counterBuffer.writeBigUInt64BE(BigInt(counter))
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest()
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3]
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0')
+}
+
+function hashRecoveryCode(code) {
+  return crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex')
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a))
+  const bufferB = Buffer.from(String(b))
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+class TwoFactorService {
+  constructor() {
+    // 🔐 TOTP 密钥加解密（共用凭证保险库，兼容旧格式密文）
+    this._cipher = credentialVault.createCipher('two-factor', { salt: 'two-factor-salt' })
+    credentialRotationService.registerStore({
+      name: 'two-factor',
+      pattern: 'two_factor:*',
+      type: 'hash',
+      fields: ['secret'],
+      cipher: this._cipher
+    })
+  }
+
+  getConfig() {
+    const twoFactorConfig = config.twoFactor || {}
+    return {
+      issuer: twoFactorConfig.issuer || 'Claude Relay Service',
+      enforcedRoles: twoFactorConfig.enforcedRoles || [],
+      window: Number.isInteger(twoFactorConfig.window) ? twoFactorConfig.window : 1,
+      challengeTtlSeconds: twoFactorConfig.challengeTtlSeconds || 300,
+      maxAttempts: twoFactorConfig.maxAttempts || 5
+    }
+  }
+
+  // 👤 构造管理员验证主体（主管理员 ID 固定为 admin，修改用户名后绑定仍然有效；其他管理员使用各自的 adminId）
+  adminSubject(username, adminId = 'admin') {
+    return { type: 'admin', id: adminId || 'admin', label: username, role: 'admin' }
+  }
+
+  // 👤 构造 LDAP 用户验证主体
+  userSubject(user) {
+    return { type: 'user', id: user.id, label: user.username, role: user.role }
+  }
+
+  _key(subject) {
+    return `two_factor:${subject.type}:${subject.id}`
+  }
+
+  _setupKey(subject) {
+    return `two_factor_setup:${subject.type}:${subject.id}`
+  }
+
+  /**
+   * 生成当前时间窗口的 TOTP（主要用于测试和诊断）
+   * @param {string} secret - Base32 密钥
+   * @param {number} timestamp - 毫秒时间戳
+   * @returns {string}
+   */
+  generateTotp(secret, timestamp = Date.now()) {
+    return generateHotp(base32Decode(secret), Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS))
+  }
+
+  /**
+   * 校验 TOTP，允许前后 window 个时间步的时钟偏差
+   * @param {string} secret - Base32 密钥
+   * @param {string} code - 用户输入的验证码
+   * @param {number} timestamp - 毫秒时间戳
+   * @returns {number|null} 匹配的时间步，未匹配返回 null
+   */
+  verifyTotp(secret, code, timestamp = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '')
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+      return null
+    }
+
+    const key = base32Decode(secret)
+    const currentStep = Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS)
+    const { window } = this.getConfig()
+
+    for (let offset = -window; offset <= window; offset++) {
+      const step = currentStep + offset
+      if (safeEqual(generateHotp(key, step), normalized)) {
+        return step
+      }
+    }
+    return null
+  }
+
+  /**
+   * 生成 otpauth:// 绑定地址
+   * @param {Object} subject - 验证主体
+   * @param {string} secret - Base32 密钥
+   * @returns {string}
+   */
+  buildOtpauthUrl(subject, secret) {
+    const { issuer } = this.getConfig()
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(subject.label || subject.id)}`
+    const params = [
+      `secret=${secret}`,
+      `issuer=${encodeURIComponent(issuer)}`,
+      'algorithm=SHA1',
+      `digits=${TOTP_DIGITS}`,
+      `period=${TOTP_PERIOD_SECONDS}`
+    ]
+    return `otpauth://totp/${label}?${params.join('&')}`
+  }
+
+  /**
+   * 判断角色是否被强制要求启用两步验证
+   * @param {string} role - 角色
+   * @returns {boolean}
+   */
+  isEnforcedForRole(role) {
+    return this.getConfig().enforcedRoles.includes(role)
+  }
+
+  async isEnabled(subject) {
+    const enabled = await redis.getClientSafe().hget(this._key(subject), 'enabled')
+    return enabled === 'true'
+  }
+
+  /**
+   * 获取两步验证状态
+   * @param {Object} subject - 验证主体
+   * @returns {Promise<Object>}
+   */
+  async getStatus(subject) {
+    const data = await redis.getClientSafe().hgetall(this._key(subject))
+    const enabled = data?.enabled === 'true'
+    return {
+      enabled,
+      enforced: this.isEnforcedForRole(subject.role),
+      enabledAt: enabled ? data.enabledAt || null : null,
+      recoveryCodesRemaining: enabled ? JSON.parse(data.recoveryCodes || '[]').length : 0
+    }
+  }
+
+  /**
+   * 登录时需要的第二步
+   * @param {Object} subject - 验证主体
+   * @returns {Promise<null|'verify'|'enroll'>} null 表示无需两步验证
+   */
+  async getLoginRequirement(subject) {
+    if (await this.isEnabled(subject)) {
+      return 'verify'
+    }
+    return this.isEnforcedForRole(subject.role) ? 'enroll' : null
+  }
+
+  /**
+   * 会话是否满足两步验证要求（用于拦截启用两步验证前签发的旧会话）
+   * @param {Object} subject - 验证主体
+   * @param {Object} session - 会话数据
+   * @returns {Promise<boolean>}
+   */
+  async isSessionAllowed(subject, session) {
+    if (session?.twoFactorVerified === true || session?.twoFactorVerified === 'true') {
+      return true
+    }
+    return (await this.getLoginRequirement(subject)) === null
+  }
+
+  /**
+   * 开始绑定：生成新密钥与二维码，确认前不会生效
+   * @param {Object} subject - 验证主体
+   * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+   */
+  async beginSetup(subject) {
+    const secret = base32Encode(crypto.randomBytes(20))
+    const otpauthUrl = this.buildOtpauthUrl(subject, secret)
+    const qrCode = await QRCode.toDataURL(otpauthUrl)
+
+    await redis
+      .getClientSafe()
+      .set(this._setupKey(subject), this._encrypt(secret), 'EX', SETUP_TTL_SECONDS)
+
+    return { secret, otpauthUrl, qrCode }
+  }
+
+  /**
+   * 确认绑定：校验验证码后启用两步验证并生成恢复码
+   * @param {Object} subject - 验证主体
+   * @param {string} code - 验证码
+   * @returns {Promise<string[]>} 明文恢复码（仅此一次返回）
+   */
+  async confirmSetup(subject, code) {
+    const client = redis.getClientSafe()
+    const encryptedSecret = await client.get(this._setupKey(subject))
+    if (!encryptedSecret) {
+      throw new Error('No pending two-factor setup, please start again')
+    }
+
+    const secret = this._decrypt(encryptedSecret)
+    const step = this.verifyTotp(secret, code)
+    if (step === null) {
+      throw new Error('Invalid verification code')
+    }
+
+    const recoveryCodes = this._generateRecoveryCodes()
+    await client.del(this._key(subject))
+    await client.hset(this._key(subject), {
+      enabled: 'true',
+      secret: encryptedSecret,
+      enabledAt: new Date().toISOString(),
+      lastUsedStep: String(step),
+      recoveryCodes: JSON.stringify(recoveryCodes.map(hashRecoveryCode))
+    })
+    await client.del(this._setupKey(subject))
+
+    logger.security(`🔐 Two-factor authentication enabled for ${subject.type} ${subject.label}`)
+    return recoveryCodes
+  }
+
+  /**
+   * 校验验证码（TOTP 或恢复码），TOTP 同一时间步不可重复使用，恢复码使用后作废
+   * @param {Object} subject - 验证主体
+   * @param {string} code - 验证码或恢复码
+   * @returns {Promise<null|'totp'|'recovery'>} 校验通过时返回使用的方式
+   */
+  async verifyCode(subject, code) {
+    const client = redis.getClientSafe()
+    const data = await client.hgetall(this._key(subject))
+    if (!data || data.enabled !== 'true' || !code) {
+      return null
+    }
+
+    const step = this.verifyTotp(this._decrypt(data.secret), code)
+    if (step !== null) {
+      if (step <= parseInt(data.lastUsedStep || '-1')) {
+        logger.security(`🔒 Replayed two-factor code for ${subject.type} ${subject.label}`)
+        return null
+      }
+      await client.hset(this._key(subject), 'lastUsedStep', String(step))
+      return 'totp'
+    }
+
+    const hashes = JSON.parse(data.recoveryCodes || '[]')
+    const codeHash = hashRecoveryCode(code)
+    const index = hashes.findIndex((hash) => safeEqual(hash, codeHash))
+    if (index === -1) {
+      return null
+    }
+
+    hashes.splice(index, 1)
+    await client.hset(this._key(subject), 'recoveryCodes', JSON.stringify(hashes))
+    logger.security(
+      `🔐 Recovery code used by ${subject.type} ${subject.label}, ${hashes.length} remaining`
+    )
+    return 'recovery'
+  }
+
+  /**
+   * 关闭两步验证（强制启用的角色不允许关闭）
+   * @param {Object} subject - 验证主体
+   * @param {string} code - 验证码或恢复码
+   */
+  async disable(subject, code) {
+    if (this.isEnforcedForRole(subject.role)) {
+      throw new Error('Two-factor authentication is required for your role')
+    }
+    if (!(await this.verifyCode(subject, code))) {
+      throw new Error('Invalid verification code')
+    }
+
+    await redis.getClientSafe().del(this._key(subject))
+    logger.security(`🔓 Two-factor authentication disabled for ${subject.type} ${subject.label}`)
+  }
+
+  /**
+   * 重新生成恢复码（旧恢复码全部作废）
+   * @param {Object} subject - 验证主体
+   * @param {string} code - 验证码
+   * @returns {Promise<string[]>}
+   */
+  async regenerateRecoveryCodes(subject, code) {
+    if (!(await this.verifyCode(subject, code))) {
+      throw new Error('Invalid verification code')
+    }
+
+    const recoveryCodes = this._generateRecoveryCodes()
+    await redis
+      .getClientSafe()
+      .hset(
+        this._key(subject),
+        'recoveryCodes',
+        JSON.stringify(recoveryCodes.map(hashRecoveryCode))
+      )
+    return recoveryCodes
+  }
+
+  /**
+   * 创建登录挑战（密码校验通过后、两步验证完成前的临时凭证）
+   * @param {Object} subject - 验证主体
+   * @param {'verify'|'enroll'} step - 需要完成的步骤
+   * @returns {Promise<string>} 挑战令牌
+   */
+  async createChallenge(subject, step) {
+    const token = crypto.randomBytes(32).toString('hex')
+    const { challengeTtlSeconds } = this.getConfig()
+    await redis
+      .getClientSafe()
+      .set(
+        `two_factor_challenge:${token}`,
+        JSON.stringify({ subject, step, attempts: 0, createdAt: new Date().toISOString() }),
+        'EX',
+        challengeTtlSeconds
+      )
+    return token
+  }
+
+  /**
+   * 读取登录挑战
+   * @param {string} token - 挑战令牌
+   * @param {'verify'|'enroll'} step - 期望的步骤
+   * @returns {Promise<Object|null>}
+   */
+  async getChallenge(token, step) {
+    if (!token || typeof token !== 'string') {
+      return null
+    }
+    const raw = await redis.getClientSafe().get(`two_factor_challenge:${token}`)
+    if (!raw) {
+      return null
+    }
+    const challenge = JSON.parse(raw)
+    return challenge.step === step ? challenge : null
+  }
+
+  /**
+   * 记录一次失败的挑战尝试，超过上限后挑战作废
+   * @param {string} token - 挑战令牌
+   * @returns {Promise<boolean>} 挑战是否仍然有效
+   */
+  async recordChallengeFailure(token) {
+    const client = redis.getClientSafe()
+    const key = `two_factor_challenge:${token}`
+    const raw = await client.get(key)
+    if (!raw) {
+      return false
+    }
+
+    const challenge = JSON.parse(raw)
+    challenge.attempts = (challenge.attempts || 0) + 1
+    if (challenge.attempts >= this.getConfig().maxAttempts) {
+      await client.del(key)
+      logger.security(
+        `🔒 Two-factor challenge revoked after ${challenge.attempts} failed attempts for ${challenge.subject.type} ${challenge.subject.label}`
+      )
+      return false
+    }
+
+    const ttl = await client.ttl(key)
+    await client.set(key, JSON.stringify(challenge), 'EX', Math.max(ttl, 1))
+    return true
+  }
+
+  async deleteChallenge(token) {
+    await redis.getClientSafe().del(`two_factor_challenge:${token}`)
+  }
+
+  _generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex')
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`
+    })
+  }
+
+  // 🔐 加密 TOTP 密钥
+  _encrypt(data) {
+    return this._cipher.encrypt(data)
+  }
+
+  // 🔓 解密 TOTP 密钥（失败时抛出 CredentialDecryptionError）
+  _decrypt(encryptedData) {
+    return this._cipher.decrypt(encryptedData)
+  }
+}
+
+module.exports = new TwoFactorService()
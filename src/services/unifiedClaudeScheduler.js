@@ -3,10 +3,19 @@ const claudeConsoleAccountService = require('./claudeConsoleAccountService')
 const bedrockAccountService = require('./bedrockAccountService')
 const ccrAccountService = require('./ccrAccountService')
 const accountGroupService = require('./accountGroupService')
+const accountHealthService = require('./accountHealthService')
+const circuitBreakerService = require('./circuitBreakerService')
+const error403CircuitBreakerService = require('./error403CircuitBreakerService')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
 const config = require('../../config/config')
 const { parseVendorPrefixedModel, isOpus45OrNewer } = require('../utils/modelHelper')
+const {
+  FALLBACK_TRIGGER_CODES,
+  parseFallbackChain,
+  mapFallbackModel
+} = require('../utils/fallbackChainHelper')
+const { orderAccountsByWeight } = require('../utils/accountHealthHelper')
 
 /**
  * Check if account is Pro (not Max)
@@ -181,11 +190,13 @@ class UnifiedClaudeScheduler {
   }
 
   // 🎯 统一调度Claude账号（官方和Console）
+  // options.allowFallback: 调用方能够转发所有 Claude 系账户类型时才启用跨平台降级链
   async selectAccountForApiKey(
     apiKeyData,
     sessionHash = null,
     requestedModel = null,
-    forcedAccount = null
+    forcedAccount = null,
+    options = {}
   ) {
     try {
       // 🔒 如果有强制绑定的账户（全局会话绑定），仅 claude-official 类型受影响
@@ -443,13 +454,13 @@ class UnifiedClaudeScheduler {
         }
 
         // 提供更详细的错误信息
-        if (effectiveModel) {
-          throw new Error(
-            `No available Claude accounts support the requested model: ${effectiveModel}`
-          )
-        } else {
-          throw new Error('No available Claude accounts (neither official nor console)')
-        }
+        const error = new Error(
+          effectiveModel
+            ? `No available Claude accounts support the requested model: ${effectiveModel}`
+            : 'No available Claude accounts (neither official nor console)'
+        )
+        error.code = 'NO_AVAILABLE_ACCOUNTS'
+        throw error
       }
 
       // 按优先级和最后使用时间排序
@@ -528,11 +539,190 @@ class UnifiedClaudeScheduler {
         accountType: selectedAccount.accountType
       }
     } catch (error) {
+      // 🪂 账户池耗尽时尝试跨平台降级链
+      if (options.allowFallback && FALLBACK_TRIGGER_CODES.includes(error.code)) {
+        const fallbackSelection = await this.selectFallbackAccount(apiKeyData, requestedModel)
+        if (fallbackSelection) {
+          return fallbackSelection
+        }
+      }
       logger.error('❌ Failed to select account for API key:', error)
       throw error
     }
   }
 
+  // 🪂 获取 API Key 生效的降级链（Key 级配置优先，其次为绑定分组的配置）
+  async _getFallbackChain(apiKeyData) {
+    const keyChain = parseFallbackChain(apiKeyData.fallbackChain)
+    if (keyChain.length > 0) {
+      return keyChain
+    }
+
+    if (apiKeyData.claudeAccountId && apiKeyData.claudeAccountId.startsWith('group:')) {
+      const group = await accountGroupService.getGroup(
+        apiKeyData.claudeAccountId.replace('group:', '')
+      )
+      return parseFallbackChain(group?.fallbackChain)
+    }
+
+    return []
+  }
+
+  /**
+   * 按降级链顺序选择可用账户
+   * @param {Object} apiKeyData - API Key 数据
+   * @param {string} requestedModel - 原始请求模型
+   * @returns {Promise<Object|null>} { accountId, accountType, fallbackModel, fallbackStep }，无可用账户时返回 null
+   */
+  async selectFallbackAccount(apiKeyData, requestedModel = null) {
+    const chain = await this._getFallbackChain(apiKeyData)
+    if (chain.length === 0) {
+      return null
+    }
+
+    // 降级时忽略 Key 的专属账户绑定，只在共享池或步骤指定的账户中选择
+    const poolKeyData = {
+      ...apiKeyData,
+      claudeAccountId: null,
+      claudeConsoleAccountId: null,
+      bedrockAccountId: null
+    }
+
+    for (let index = 0; index < chain.length; index++) {
+      const step = chain[index]
+      const fallbackModel = mapFallbackModel(step, requestedModel)
+
+      try {
+        let candidate = null
+        if (step.accountId) {
+          if (await this._isAccountAvailable(step.accountId, step.accountType, fallbackModel)) {
+            candidate = { accountId: step.accountId, accountType: step.accountType }
+          }
+        } else {
+          const accounts = await this._getAllAvailableAccounts(
+            poolKeyData,
+            fallbackModel,
+            step.accountType === 'ccr'
+          )
+          const [first] = this._sortAccountsByPriority(
+            accounts.filter((account) => account.accountType === step.accountType)
+          )
+          if (first) {
+            candidate = { accountId: first.accountId, accountType: first.accountType }
+          }
+        }
+
+        if (candidate) {
+          logger.info(
+            `🪂 Fallback chain step ${index + 1}/${chain.length} selected ${candidate.accountType} account ${candidate.accountId} for API key ${apiKeyData.name} (model: ${requestedModel} → ${fallbackModel})`
+          )
+          return { ...candidate, fallbackModel, fallbackStep: index + 1 }
+        }
+
+        logger.info(
+          `⏭️ Fallback chain step ${index + 1}/${chain.length} (${step.accountType}) has no available account`
+        )
+      } catch (error) {
+        logger.warn(
+          `⚠️ Fallback chain step ${index + 1}/${chain.length} (${step.accountType}) failed: ${error.message}`
+        )
+      }
+    }
+
+    logger.warn(`🪂 Fallback chain exhausted for API key ${apiKeyData.name}`)
+    return null
+  }
+
+  /**
+   * 为对冲请求选择第二个账户（与主请求账户不同）
+   * 绑定专属账户的 Key 不参与对冲；绑定分组的 Key 只在分组成员中选择
+   * @param {Object} apiKeyData - API Key 数据
+   * @param {string} requestedModel - 请求模型
+   * @param {string} excludeAccountId - 主请求使用的账户
+   * @returns {Promise<Object|null>} { accountId, accountType }，无可用账户时返回 null
+   */
+  async selectHedgeAccount(apiKeyData, requestedModel, excludeAccountId) {
+    const selection = await this._selectAlternativePoolAccount(apiKeyData, requestedModel, [
+      excludeAccountId
+    ])
+    if (!selection) {
+      return null
+    }
+
+    logger.info(
+      `🏁 Selected hedge ${selection.accountType} account ${selection.accountId} for API key ${apiKeyData.name} (primary: ${excludeAccountId})`
+    )
+    return selection
+  }
+
+  /**
+   * 为流式故障转移选择下一个账户（排除已尝试过的账户）
+   * CCR 请求只在 CCR 账户中切换；其余规则与对冲请求相同
+   * @param {Object} apiKeyData - API Key 数据
+   * @param {string} requestedModel - 请求模型
+   * @param {Array<string>} excludeAccountIds - 已尝试过的账户
+   * @param {string} accountType - 失败请求的账户类型
+   * @returns {Promise<Object|null>} { accountId, accountType }，无可用账户时返回 null
+   */
+  async selectFailoverAccount(apiKeyData, requestedModel, excludeAccountIds, accountType) {
+    let selection = null
+    if (accountType === 'ccr') {
+      const { baseModel } = parseVendorPrefixedModel(requestedModel)
+      const candidates = (await this._getAvailableCcrAccounts(baseModel)).filter(
+        (account) => !excludeAccountIds.includes(account.accountId)
+      )
+      const [first] = this._sortAccountsByPriority(candidates)
+      selection = first ? { accountId: first.accountId, accountType: first.accountType } : null
+    } else {
+      selection = await this._selectAlternativePoolAccount(
+        apiKeyData,
+        requestedModel,
+        excludeAccountIds
+      )
+    }
+    if (!selection) {
+      return null
+    }
+
+    logger.info(
+      `🔁 Selected failover ${selection.accountType} account ${selection.accountId} for API key ${apiKeyData.name} (tried: ${excludeAccountIds.join(', ')})`
+    )
+    return selection
+  }
+
+  // 🔀 在共享池（或绑定分组）中选择未被排除的 Claude 官方 / Console 账户，绑定专属账户时返回 null
+  async _selectAlternativePoolAccount(apiKeyData, requestedModel, excludeAccountIds) {
+    const boundClaudeAccountId = apiKeyData.claudeAccountId || ''
+    if (
+      (boundClaudeAccountId && !boundClaudeAccountId.startsWith('group:')) ||
+      apiKeyData.claudeConsoleAccountId
+    ) {
+      return null
+    }
+
+    const poolKeyData = {
+      ...apiKeyData,
+      claudeAccountId: null,
+      claudeConsoleAccountId: null,
+      bedrockAccountId: null
+    }
+    let candidates = (await this._getAllAvailableAccounts(poolKeyData, requestedModel)).filter(
+      (account) =>
+        (account.accountType === 'claude-official' || account.accountType === 'claude-console') &&
+        !excludeAccountIds.includes(account.accountId)
+    )
+
+    if (boundClaudeAccountId.startsWith('group:')) {
+      const memberIds = await accountGroupService.getGroupMembers(
+        boundClaudeAccountId.replace('group:', '')
+      )
+      candidates = candidates.filter((account) => memberIds.includes(account.accountId))
+    }
+
+    const [first] = this._sortAccountsByPriority(candidates)
+    return first ? { accountId: first.accountId, accountType: first.accountType } : null
+  }
+
   // 📋 获取所有可用账户（合并官方和Console）
   async _getAllAvailableAccounts(apiKeyData, requestedModel = null, includeCcr = false) {
     const availableAccounts = []
@@ -1032,9 +1222,32 @@ class UnifiedClaudeScheduler {
     })
   }
 
+  // ⚖️ 按调度策略排序账户：weighted 策略在同一优先级内按健康权重加权随机
+  async _sortAccountsByStrategy(accounts, strategy) {
+    if (strategy !== 'weighted') {
+      return this._sortAccountsByPriority(accounts)
+    }
+
+    const weights = await accountHealthService.getWeights(
+      accounts.map((account) => account.accountId)
+    )
+    logger.debug(
+      `⚖️ Weighted scheduling weights: ${accounts
+        .map((account) => `${account.name || account.accountId}=${weights[account.accountId]}`)
+        .join(', ')}`
+    )
+    return orderAccountsByWeight(accounts, weights)
+  }
+
   // 🔍 检查账户是否可用
   async _isAccountAvailable(accountId, accountType, requestedModel = null) {
     try {
+      // 通用熔断器打开时不可用
+      if (!(await circuitBreakerService.isAvailable(accountId))) {
+        logger.info(`🔌 Account ${accountId} (${accountType}) is circuit broken`)
+        return false
+      }
+
       if (accountType === 'claude-official') {
         const account = await redis.getClaudeAccount(accountId)
         if (
@@ -1418,12 +1631,15 @@ class UnifiedClaudeScheduler {
     }
   }
 
-  // 🔍 检查账户是否临时不可用
+  // 🔍 检查账户是否临时不可用（包括通用熔断器打开的账户）
   async isAccountTemporarilyUnavailable(accountId, accountType) {
     try {
       const client = redis.getClientSafe()
       const key = `temp_unavailable:${accountType}:${accountId}`
-      return (await client.exists(key)) === 1
+      if ((await client.exists(key)) === 1) {
+        return true
+      }
+      return !(await circuitBreakerService.isAvailable(accountId))
     } catch (error) {
       logger.error(`❌ Failed to check temp unavailable status: ${accountId}`, error)
       return false
@@ -1503,6 +1719,35 @@ class UnifiedClaudeScheduler {
     }
   }
 
+  // 📊 获取所有 Claude 系账户的健康状态快照（供监控指标使用）
+  async getAccountStates() {
+    const bedrockResult = await bedrockAccountService.getAllAccounts()
+    const groups = [
+      ['claude-official', await claudeAccountService.getAllAccounts()],
+      ['claude-console', await claudeConsoleAccountService.getAllAccounts()],
+      ['bedrock', bedrockResult.success ? bedrockResult.data : []],
+      ['ccr', await ccrAccountService.getAllAccounts()]
+    ]
+
+    const states = []
+    for (const [accountType, accounts] of groups) {
+      for (const account of accounts || []) {
+        const isActive = account.isActive === true || account.isActive === 'true'
+        states.push({
+          accountId: account.id,
+          accountType,
+          name: account.name,
+          isActive,
+          schedulable: isActive && account.schedulable !== false && account.schedulable !== 'false',
+          rateLimited: await this.isAccountRateLimited(account.id, accountType),
+          breakerOpen: await error403CircuitBreakerService.isBreakerOpen(account.id),
+          unauthorized: account.status === 'unauthorized'
+        })
+      }
+    }
+    return states
+  }
+
   // 🔍 检查是否所有账号都被限流（用于返回友好的限流错误信息）
   async _checkAllAccountsRateLimited(requestedModel) {
     try {
@@ -1795,6 +2040,12 @@ class UnifiedClaudeScheduler {
             continue
           }
 
+          // 检查通用熔断器
+          if (!(await circuitBreakerService.isAvailable(account.id))) {
+            logger.info(`🔌 Skipping circuit broken group member ${account.name} (${account.id})`)
+            continue
+          }
+
           if (accountType === 'claude-official' && isOpusRequest) {
             const isOpusRateLimited = await claudeAccountService.isAccountOpusRateLimited(
               account.id
@@ -1829,11 +2080,16 @@ class UnifiedClaudeScheduler {
       }
 
       if (availableAccounts.length === 0) {
-        throw new Error(`No available accounts in group ${group.name}`)
+        const error = new Error(`No available accounts in group ${group.name}`)
+        error.code = 'NO_AVAILABLE_ACCOUNTS'
+        throw error
       }
 
-      // 使用现有的优先级排序逻辑
-      const sortedAccounts = this._sortAccountsByPriority(availableAccounts)
+      // 按分组的调度策略排序（默认优先级 + 最后使用时间）
+      const sortedAccounts = await this._sortAccountsByStrategy(
+        availableAccounts,
+        group.schedulingStrategy
+      )
 
       // 获取重试配置
       const appConfig = require('../../config/config')
@@ -2066,7 +2322,12 @@ class UnifiedClaudeScheduler {
           const isQuotaExceeded = await ccrAccountService.isAccountQuotaExceeded(account.id)
           const isOverloaded = await ccrAccountService.isAccountOverloaded(account.id)
 
-          if (!isRateLimited && !isQuotaExceeded && !isOverloaded) {
+          if (
+            !isRateLimited &&
+            !isQuotaExceeded &&
+            !isOverloaded &&
+            (await circuitBreakerService.isAvailable(account.id))
+          ) {
             availableAccounts.push({
               ...account,
               accountId: account.id,
@@ -1,6 +1,8 @@
 const geminiAccountService = require('./geminiAccountService')
 const geminiApiAccountService = require('./geminiApiAccountService')
 const accountGroupService = require('./accountGroupService')
+const error403CircuitBreakerService = require('./error403CircuitBreakerService')
+const circuitBreakerService = require('./circuitBreakerService')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
 
@@ -26,13 +28,14 @@ class UnifiedGeminiScheduler {
   }
 
   // 🎯 统一调度Gemini账号
+  // options.allowApiAccounts：同时调度 Gemini API 账户；options.apiOnly：只调度 Gemini API 账户
   async selectAccountForApiKey(
     apiKeyData,
     sessionHash = null,
     requestedModel = null,
     options = {}
   ) {
-    const { allowApiAccounts = false } = options
+    const { allowApiAccounts = false, apiOnly = false } = options
 
     try {
       // 如果API Key绑定了专属账户或分组，优先使用
@@ -73,10 +76,10 @@ class UnifiedGeminiScheduler {
           logger.info(
             `🎯 API key ${apiKeyData.name} is bound to group ${groupId}, selecting from group`
           )
-          return await this.selectAccountFromGroup(groupId, sessionHash, requestedModel, apiKeyData)
+          return await this.selectAccountFromGroup(groupId, sessionHash, requestedModel, options)
         }
-        // 普通 Gemini OAuth 专属账户
-        else {
+        // 普通 Gemini OAuth 专属账户（只调度 API 账户时使用共享池）
+        else if (!apiOnly) {
           const boundAccount = await geminiAccountService.getAccount(apiKeyData.geminiAccountId)
           if (
             boundAccount &&
@@ -103,7 +106,7 @@ class UnifiedGeminiScheduler {
       // 如果有会话哈希，检查是否有已映射的账户
       if (sessionHash) {
         const mappedAccount = await this._getSessionMapping(sessionHash)
-        if (mappedAccount) {
+        if (mappedAccount && (!apiOnly || mappedAccount.accountType === 'gemini-api')) {
           // 验证映射的账户是否仍然可用
           const isAvailable = await this._isAccountAvailable(
             mappedAccount.accountId,
@@ -131,11 +134,14 @@ class UnifiedGeminiScheduler {
         }
       }
 
-      // 获取所有可用账户
-      const availableAccounts = await this._getAllAvailableAccounts(
-        apiKeyData,
-        requestedModel,
-        allowApiAccounts
+      // 获取所有可用账户（排除通用熔断器打开的账户）
+      const availableAccounts = await circuitBreakerService.filterAvailable(
+        await this._getAllAvailableAccounts(
+          apiKeyData,
+          requestedModel,
+          allowApiAccounts || apiOnly,
+          apiOnly
+        )
       )
 
       if (availableAccounts.length === 0) {
@@ -189,7 +195,12 @@ class UnifiedGeminiScheduler {
   }
 
   // 📋 获取所有可用账户
-  async _getAllAvailableAccounts(apiKeyData, requestedModel = null, allowApiAccounts = false) {
+  async _getAllAvailableAccounts(
+    apiKeyData,
+    requestedModel = null,
+    allowApiAccounts = false,
+    apiOnly = false
+  ) {
     const availableAccounts = []
 
     // 如果API Key绑定了专属账户，优先返回
@@ -247,7 +258,7 @@ class UnifiedGeminiScheduler {
         }
       }
       // 普通 Gemini OAuth 账户
-      else if (!apiKeyData.geminiAccountId.startsWith('group:')) {
+      else if (!apiKeyData.geminiAccountId.startsWith('group:') && !apiOnly) {
         const boundAccount = await geminiAccountService.getAccount(apiKeyData.geminiAccountId)
         if (
           boundAccount &&
@@ -295,7 +306,7 @@ class UnifiedGeminiScheduler {
     }
 
     // 获取所有Gemini OAuth账户（共享池）
-    const geminiAccounts = await geminiAccountService.getAllAccounts()
+    const geminiAccounts = apiOnly ? [] : await geminiAccountService.getAllAccounts()
     for (const account of geminiAccounts) {
       if (
         this._isActive(account.isActive) &&
@@ -406,6 +417,12 @@ class UnifiedGeminiScheduler {
   // 🔍 检查账户是否可用
   async _isAccountAvailable(accountId, accountType) {
     try {
+      // 通用熔断器打开时不可用
+      if (!(await circuitBreakerService.isAvailable(accountId))) {
+        logger.info(`🔌 Gemini account ${accountId} is circuit broken`)
+        return false
+      }
+
       if (accountType === 'gemini') {
         const account = await geminiAccountService.getAccount(accountId)
         if (!account || !this._isActive(account.isActive) || account.status === 'error') {
@@ -592,8 +609,35 @@ class UnifiedGeminiScheduler {
     }
   }
 
+  // 📊 获取所有 Gemini 账户的健康状态快照（供监控指标使用）
+  async getAccountStates() {
+    const groups = [
+      ['gemini', await geminiAccountService.getAllAccounts()],
+      ['gemini-api', await geminiApiAccountService.getAllAccounts(true)]
+    ]
+
+    const states = []
+    for (const [accountType, accounts] of groups) {
+      for (const account of accounts || []) {
+        const isActive = account.isActive === true || account.isActive === 'true'
+        states.push({
+          accountId: account.id,
+          accountType,
+          name: account.name,
+          isActive,
+          schedulable: isActive && this._isSchedulable(account.schedulable),
+          rateLimited: await this.isAccountRateLimited(account.id, accountType),
+          breakerOpen: await error403CircuitBreakerService.isBreakerOpen(account.id),
+          unauthorized: account.status === 'unauthorized'
+        })
+      }
+    }
+    return states
+  }
+
   // 👥 从分组中选择账户（支持 Gemini OAuth 和 Gemini API 两种账户类型）
-  async selectAccountFromGroup(groupId, sessionHash = null, requestedModel = null) {
+  async selectAccountFromGroup(groupId, sessionHash = null, requestedModel = null, options = {}) {
+    const { apiOnly = false } = options
     try {
       // 获取分组信息
       const group = await accountGroupService.getGroup(groupId)
@@ -613,7 +657,10 @@ class UnifiedGeminiScheduler {
         if (mappedAccount) {
           // 验证映射的账户是否属于这个分组
           const memberIds = await accountGroupService.getGroupMembers(groupId)
-          if (memberIds.includes(mappedAccount.accountId)) {
+          if (
+            memberIds.includes(mappedAccount.accountId) &&
+            (!apiOnly || mappedAccount.accountType === 'gemini-api')
+          ) {
             const isAvailable = await this._isAccountAvailable(
               mappedAccount.accountId,
               mappedAccount.accountType
@@ -649,7 +696,7 @@ class UnifiedGeminiScheduler {
       // 获取所有成员账户的详细信息（支持 Gemini OAuth 和 Gemini API 两种类型）
       for (const memberId of memberIds) {
         // 首先尝试从 Gemini OAuth 账户服务获取
-        let account = await geminiAccountService.getAccount(memberId)
+        let account = apiOnly ? null : await geminiAccountService.getAccount(memberId)
         let accountType = 'gemini'
 
         // 如果 Gemini OAuth 账户不存在，尝试从 Gemini API 账户服务获取
@@ -695,9 +742,9 @@ class UnifiedGeminiScheduler {
             }
           }
 
-          // 检查是否被限流
+          // 检查是否被限流或熔断
           const isRateLimited = await this.isAccountRateLimited(account.id, accountType)
-          if (!isRateLimited) {
+          if (!isRateLimited && (await circuitBreakerService.isAvailable(account.id))) {
             availableAccounts.push({
               ...account,
               accountId: account.id,
@@ -1,6 +1,8 @@
 const openaiAccountService = require('./openaiAccountService')
 const openaiResponsesAccountService = require('./openaiResponsesAccountService')
 const accountGroupService = require('./accountGroupService')
+const error403CircuitBreakerService = require('./error403CircuitBreakerService')
+const circuitBreakerService = require('./circuitBreakerService')
 const redis = require('../models/redis')
 const logger = require('../utils/logger')
 
@@ -128,7 +130,14 @@ class UnifiedOpenAIScheduler {
   }
 
   // 🎯 统一调度OpenAI账号
-  async selectAccountForApiKey(apiKeyData, sessionHash = null, requestedModel = null) {
+  // options.responsesOnly：只调度 OpenAI-Responses 账户（供只能转发到 Responses API 的入口使用）
+  async selectAccountForApiKey(
+    apiKeyData,
+    sessionHash = null,
+    requestedModel = null,
+    options = {}
+  ) {
+    const { responsesOnly = false } = options
     try {
       // 如果API Key绑定了专属账户或分组，优先使用
       if (apiKeyData.openaiAccountId) {
@@ -138,7 +147,7 @@ class UnifiedOpenAIScheduler {
           logger.info(
             `🎯 API key ${apiKeyData.name} is bound to group ${groupId}, selecting from group`
           )
-          return await this.selectAccountFromGroup(groupId, sessionHash, requestedModel, apiKeyData)
+          return await this.selectAccountFromGroup(groupId, sessionHash, requestedModel, options)
         }
 
         // 普通专属账户 - 根据前缀判断是 OpenAI 还是 OpenAI-Responses 类型
@@ -150,6 +159,12 @@ class UnifiedOpenAIScheduler {
           const accountId = apiKeyData.openaiAccountId.replace('responses:', '')
           boundAccount = await openaiResponsesAccountService.getAccount(accountId)
           accountType = 'openai-responses'
+        } else if (responsesOnly) {
+          const error = new Error(
+            `Dedicated account ${apiKeyData.openaiAccountId} is not an OpenAI-Responses account`
+          )
+          error.statusCode = 400 // Bad Request - 账户类型不支持
+          throw error
         } else {
           // 普通 OpenAI 账户
           boundAccount = await openaiAccountService.getAccount(apiKeyData.openaiAccountId)
@@ -276,10 +291,10 @@ class UnifiedOpenAIScheduler {
         }
       }
 
-      // 如果有会话哈希，检查是否有已映射的账户
+      // 如果有会话哈希，检查是否有已映射的账户（只调度 Responses 账户时忽略其他类型的映射）
       if (sessionHash) {
         const mappedAccount = await this._getSessionMapping(sessionHash)
-        if (mappedAccount) {
+        if (mappedAccount && (!responsesOnly || mappedAccount.accountType === 'openai-responses')) {
           // 验证映射的账户是否仍然可用
           const isAvailable = await this._isAccountAvailable(
             mappedAccount.accountId,
@@ -303,8 +318,10 @@ class UnifiedOpenAIScheduler {
         }
       }
 
-      // 获取所有可用账户
-      const availableAccounts = await this._getAllAvailableAccounts(apiKeyData, requestedModel)
+      // 获取所有可用账户（排除通用熔断器打开的账户）
+      const availableAccounts = await circuitBreakerService.filterAvailable(
+        await this._getAllAvailableAccounts(apiKeyData, requestedModel, responsesOnly)
+      )
 
       if (availableAccounts.length === 0) {
         // 提供更详细的错误信息
@@ -361,14 +378,14 @@ class UnifiedOpenAIScheduler {
   }
 
   // 📋 获取所有可用账户（仅共享池）
-  async _getAllAvailableAccounts(apiKeyData, requestedModel = null) {
+  async _getAllAvailableAccounts(apiKeyData, requestedModel = null, responsesOnly = false) {
     const availableAccounts = []
 
     // 注意：专属账户的处理已经在 selectAccountForApiKey 中完成
     // 这里只处理共享池账户
 
     // 获取所有OpenAI账户（共享池）
-    const openaiAccounts = await openaiAccountService.getAllAccounts()
+    const openaiAccounts = responsesOnly ? [] : await openaiAccountService.getAllAccounts()
     for (let account of openaiAccounts) {
       if (
         account.isActive &&
@@ -512,6 +529,12 @@ class UnifiedOpenAIScheduler {
   // 🔍 检查账户是否可用
   async _isAccountAvailable(accountId, accountType) {
     try {
+      // 通用熔断器打开时不可用
+      if (!(await circuitBreakerService.isAvailable(accountId))) {
+        logger.info(`🔌 OpenAI account ${accountId} is circuit broken`)
+        return false
+      }
+
       if (accountType === 'openai') {
         const account = await openaiAccountService.getAccount(accountId)
         if (
@@ -780,8 +803,38 @@ class UnifiedOpenAIScheduler {
     }
   }
 
+  // 📊 获取所有 OpenAI 账户的健康状态快照（供监控指标使用）
+  async getAccountStates() {
+    const groups = [
+      ['openai', await openaiAccountService.getAllAccounts()],
+      ['openai-responses', await openaiResponsesAccountService.getAllAccounts(true)]
+    ]
+
+    const states = []
+    for (const [accountType, accounts] of groups) {
+      for (const account of accounts || []) {
+        const isActive = account.isActive === true || account.isActive === 'true'
+        states.push({
+          accountId: account.id,
+          accountType,
+          name: account.name,
+          isActive,
+          schedulable: isActive && this._isSchedulable(account.schedulable),
+          rateLimited:
+            accountType === 'openai'
+              ? await this.isAccountRateLimited(account.id)
+              : this._hasRateLimitFlag(account.rateLimitStatus),
+          breakerOpen: await error403CircuitBreakerService.isBreakerOpen(account.id),
+          unauthorized: account.status === 'unauthorized'
+        })
+      }
+    }
+    return states
+  }
+
   // 👥 从分组中选择账户
-  async selectAccountFromGroup(groupId, sessionHash = null, requestedModel = null) {
+  async selectAccountFromGroup(groupId, sessionHash = null, requestedModel = null, options = {}) {
+    const { responsesOnly = false } = options
     try {
       // 获取分组信息
       const group = await accountGroupService.getGroup(groupId)
@@ -805,7 +858,7 @@ class UnifiedOpenAIScheduler {
         if (mappedAccount) {
           // 验证映射的账户是否仍然可用并且在分组中
           const isInGroup = await this._isAccountInGroup(mappedAccount.accountId, groupId)
-          if (isInGroup) {
+          if (isInGroup && (!responsesOnly || mappedAccount.accountType === 'openai-responses')) {
             const isAvailable = await this._isAccountAvailable(
               mappedAccount.accountId,
               mappedAccount.accountType
@@ -838,7 +891,7 @@ class UnifiedOpenAIScheduler {
       const availableAccounts = []
       for (const memberId of memberIds) {
         // 首先尝试从 OpenAI 账户服务获取
-        let account = await openaiAccountService.getAccount(memberId)
+        let account = responsesOnly ? null : await openaiAccountService.getAccount(memberId)
         let accountType = 'openai'
 
         // 如果 OpenAI 账户不存在，尝试从 OpenAI-Responses 账户服务获取
@@ -892,6 +945,14 @@ class UnifiedOpenAIScheduler {
             }
           }
 
+          // 检查通用熔断器
+          if (!(await circuitBreakerService.isAvailable(account.id))) {
+            logger.debug(
+              `⏭️ Skipping group member ${accountType} account ${account.name} - circuit broken`
+            )
+            continue
+          }
+
           // 添加到可用账户列表
           availableAccounts.push({
             ...account,
@@ -8,6 +8,7 @@ class UserService {
     this.userPrefix = 'user:'
     this.usernamePrefix = 'username:'
     this.userSessionPrefix = 'user_session:'
+    this.oidcIdentityPrefix = 'user_oidc:'
   }
 
   // 🔑 生成用户ID
@@ -104,6 +105,95 @@ class UserService {
     }
   }
 
+  // 🔗 OIDC 身份索引键：签发者 + subject 唯一标识一个 IdP 账户
+  _oidcIdentityKey(issuer, subject) {
+    const digest = crypto.createHash('sha256').update(`${issuer}\n${subject}`).digest('hex')
+    return `${this.oidcIdentityPrefix}${digest}`
+  }
+
+  // 🔗 通过 OIDC 签发者 + subject 获取已绑定的用户
+  async getUserByOidcIdentity(issuer, subject) {
+    try {
+      if (!issuer || !subject) {
+        return null
+      }
+      const userId = await redis.get(this._oidcIdentityKey(issuer, subject))
+      if (!userId) {
+        return null
+      }
+
+      const user = await this.getUserById(userId, false)
+      // 绑定已被替换时忽略旧索引
+      return user && user.oidcIssuer === issuer && user.oidcSubject === subject ? user : null
+    } catch (error) {
+      logger.error('❌ Error getting user by OIDC identity:', error)
+      throw error
+    }
+  }
+
+  // 🔗 将用户绑定到 OIDC 身份（SSO 新建用户或管理员显式关联已有用户）
+  async linkOidcIdentity(userId, issuer, subject) {
+    try {
+      if (!issuer || !subject) {
+        throw new Error('OIDC issuer and subject are required')
+      }
+      const user = await this.getUserById(userId, false) // Skip usage calculation
+      if (!user) {
+        throw new Error('User not found')
+      }
+
+      const linkedUser = await this.getUserByOidcIdentity(issuer, subject)
+      if (linkedUser && linkedUser.id !== userId) {
+        const error = new Error(
+          `This single sign-on identity is already linked to user ${linkedUser.username}`
+        )
+        error.statusCode = 409
+        throw error
+      }
+
+      if (user.oidcIssuer && user.oidcSubject) {
+        await redis.del(this._oidcIdentityKey(user.oidcIssuer, user.oidcSubject))
+      }
+      user.oidcIssuer = issuer
+      user.oidcSubject = subject
+      user.updatedAt = new Date().toISOString()
+
+      await redis.set(`${this.userPrefix}${userId}`, JSON.stringify(user))
+      await redis.set(this._oidcIdentityKey(issuer, subject), userId)
+      logger.info(`🔗 Linked user ${user.username} to OIDC subject ${subject}`)
+
+      return user
+    } catch (error) {
+      logger.error('❌ Error linking OIDC identity:', error)
+      throw error
+    }
+  }
+
+  // 🔗 解除用户与 OIDC 身份的绑定
+  async unlinkOidcIdentity(userId) {
+    try {
+      const user = await this.getUserById(userId, false) // Skip usage calculation
+      if (!user) {
+        throw new Error('User not found')
+      }
+
+      if (user.oidcIssuer && user.oidcSubject) {
+        await redis.del(this._oidcIdentityKey(user.oidcIssuer, user.oidcSubject))
+      }
+      delete user.oidcIssuer
+      delete user.oidcSubject
+      user.updatedAt = new Date().toISOString()
+
+      await redis.set(`${this.userPrefix}${userId}`, JSON.stringify(user))
+      logger.info(`🔗 Unlinked OIDC identity from user ${user.username}`)
+
+      return user
+    } catch (error) {
+      logger.error('❌ Error unlinking OIDC identity:', error)
+      throw error
+    }
+  }
+
   // 👤 通过ID获取用户
   async getUserById(userId, calculateUsage = true) {
     try {
@@ -376,6 +466,14 @@ class UserService {
         return null
       }
 
+      // 启用两步验证前签发、未完成两步验证的会话不再有效
+      const twoFactorService = require('./twoFactorService')
+      if (!(await twoFactorService.isSessionAllowed(twoFactorService.userSubject(user), session))) {
+        logger.security(`🔒 User session without two-factor verification: ${user.username}`)
+        await this.invalidateUserSession(sessionToken)
+        return null
+      }
+
       return { session, user }
     } catch (error) {
       logger.error('❌ Error validating user session:', error)
@@ -383,6 +481,22 @@ class UserService {
     }
   }
 
+  // 🔐 标记会话已完成两步验证（保留剩余有效期）
+  async markSessionTwoFactorVerified(sessionToken) {
+    const key = `${this.userSessionPrefix}${sessionToken}`
+    const sessionData = await redis.get(key)
+    if (!sessionData) {
+      return
+    }
+
+    const ttl = await redis.getClientSafe().ttl(key)
+    await redis.setex(
+      key,
+      Math.max(ttl, 1),
+      JSON.stringify({ ...JSON.parse(sessionData), twoFactorVerified: true })
+    )
+  }
+
   // 🚫 使用户会话失效
   async invalidateUserSession(sessionToken) {
     try {
@@ -434,6 +548,14 @@ class UserService {
       // 删除所有会话
       await this.invalidateUserSessions(userId)
 
+      // 退出所属团队（团队共享 Key 不受影响）
+      try {
+        const teamService = require('./teamService')
+        await teamService.removeUserFromTeam(userId)
+      } catch (error) {
+        logger.error('❌ Error removing deleted user from team:', error)
+      }
+
       // Disable all user's API keys when user is deleted
       try {
         const apiKeyService = require('./apiKeyService')
@@ -524,8 +646,10 @@ class UserService {
       // 获取所有API Keys
       const allApiKeys = await apiKeyService.getAllApiKeys()
 
-      // 找到没有用户ID的API Keys（即由Admin创建的）
-      const unownedApiKeys = allApiKeys.filter((key) => !key.userId || key.userId === '')
+      // 找到没有用户ID的API Keys（即由Admin创建的，团队共享 Key 除外）
+      const unownedApiKeys = allApiKeys.filter(
+        (key) => (!key.userId || key.userId === '') && !key.teamId
+      )
 
       if (unownedApiKeys.length === 0) {
         logger.debug(`📝 No unowned API keys found for potential transfer to user: ${username}`)
@@ -330,6 +330,8 @@ class WebhookConfigService {
         systemError: true, // 系统错误
         securityAlert: true, // 安全警报
         rateLimitRecovery: true, // 限流恢复
+        circuitBreaker: true, // 账户熔断 / 恢复
+        apiKeyRequest: true, // 用户 API Key 申请与审批结果
         test: true // 测试通知
       },
       retrySettings: {
@@ -539,6 +539,8 @@ class WebhookService {
       systemError: '❌ 系统错误',
       securityAlert: '🔒 安全警报',
       rateLimitRecovery: '🎉 限流恢复通知',
+      circuitBreaker: '🔌 账户熔断通知',
+      apiKeyRequest: '📝 API Key 申请通知',
       test: '🧪 测试通知'
     }
 
@@ -555,6 +557,8 @@ class WebhookService {
       systemError: 'critical',
       securityAlert: 'critical',
       rateLimitRecovery: 'active',
+      circuitBreaker: 'timeSensitive',
+      apiKeyRequest: 'active',
       test: 'passive'
     }
 
@@ -571,6 +575,8 @@ class WebhookService {
       systemError: 'alert',
       securityAlert: 'alarm',
       rateLimitRecovery: 'success',
+      circuitBreaker: 'alarm',
+      apiKeyRequest: 'bell',
       test: 'default'
     }
 
@@ -829,6 +835,8 @@ class WebhookService {
       systemError: 'red',
       securityAlert: 'red',
       rateLimitRecovery: 'green',
+      circuitBreaker: 'orange',
+      apiKeyRequest: 'blue',
       test: 'blue'
     }
 
@@ -845,6 +853,8 @@ class WebhookService {
       systemError: ':x:',
       securityAlert: ':lock:',
       rateLimitRecovery: ':tada:',
+      circuitBreaker: ':electric_plug:',
+      apiKeyRequest: ':memo:',
       test: ':test_tube:'
     }
 
@@ -861,6 +871,8 @@ class WebhookService {
       systemError: 0xf44336, // 红色
       securityAlert: 0xf44336, // 红色
       rateLimitRecovery: 0x4caf50, // 绿色
+      circuitBreaker: 0xff9800, // 橙色
+      apiKeyRequest: 0x2196f3, // 蓝色
       test: 0x2196f3 // 蓝色
     }
 
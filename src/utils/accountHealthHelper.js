@@ -0,0 +1,135 @@
+/**
+ * Account Health Helper
+ *
+ * 账户健康度与加权调度工具：根据滚动窗口内的首字节耗时（TTFB）、5xx 错误率和 529 过载率
+ * 计算账户权重，并在同一优先级内按权重随机排序，让表现变差的账户在被熔断或标记限流之前
+ * 就逐步减少流量。
+ *
+ * 分组调度策略：
+ * - priority：按优先级和最后使用时间排序（默认）
+ * - weighted：优先级仍作为第一排序键，同一优先级内按健康权重加权随机
+ */
+
+const SCHEDULING_STRATEGIES = ['priority', 'weighted']
+const DEFAULT_SCHEDULING_STRATEGY = 'priority'
+
+const DEFAULT_HEALTH_SETTINGS = {
+  minSamples: 5, // 样本不足时不降权，避免冷启动账户被误判
+  targetTtfbMs: 3000, // TTFB 不超过该值时不因延迟降权
+  errorPenalty: 2, // 错误率的惩罚倍数（10% 错误率 → 权重 ×0.8）
+  minWeight: 0.05 // 权重下限，保证降权账户仍有少量流量用于恢复统计
+}
+
+/**
+ * 校验分组调度策略
+ * @param {string} strategy - 调度策略
+ * @returns {string} 规范化后的策略（空值返回默认策略）
+ * @throws {Error} 策略不合法时抛出
+ */
+function normalizeSchedulingStrategy(strategy) {
+  if (strategy === null || strategy === undefined || strategy === '') {
+    return DEFAULT_SCHEDULING_STRATEGY
+  }
+  if (!SCHEDULING_STRATEGIES.includes(strategy)) {
+    throw new Error(`schedulingStrategy must be one of: ${SCHEDULING_STRATEGIES.join(', ')}`)
+  }
+  return strategy
+}
+
+/**
+ * 计算百分位数（最近邻法）
+ * @param {Array<number>} samples - 样本
+ * @param {number} p - 百分位（0-100）
+ * @returns {number} 无样本时返回 0
+ */
+function percentile(samples, p) {
+  if (!Array.isArray(samples) || samples.length === 0) {
+    return 0
+  }
+  const sorted = [...samples].sort((a, b) => a - b)
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))
+  return sorted[index]
+}
+
+/**
+ * 汇总账户健康数据并计算权重
+ * @param {Object} raw - 原始统计
+ * @param {Array<number>} raw.ttfbSamples - 最近的 TTFB 样本（毫秒）
+ * @param {number} raw.total - 窗口内请求数
+ * @param {number} raw.errors - 窗口内 5xx / 网络错误数（含 529）
+ * @param {number} raw.overloads - 窗口内 529 过载数
+ * @param {Object} settings - 见 DEFAULT_HEALTH_SETTINGS
+ * @returns {Object} { samples, p50, p95, total, errors, overloads, errorRate, overloadRate, weight }
+ */
+function summarizeHealth(raw = {}, settings = {}) {
+  const { minSamples, targetTtfbMs, errorPenalty, minWeight } = {
+    ...DEFAULT_HEALTH_SETTINGS,
+    ...settings
+  }
+  const ttfbSamples = Array.isArray(raw.ttfbSamples) ? raw.ttfbSamples : []
+  const total = raw.total || 0
+  const errors = raw.errors || 0
+  const overloads = raw.overloads || 0
+
+  const p50 = percentile(ttfbSamples, 50)
+  const p95 = percentile(ttfbSamples, 95)
+  const errorRate = total > 0 ? errors / total : 0
+  const overloadRate = total > 0 ? overloads / total : 0
+
+  let weight = 1
+  if (ttfbSamples.length >= minSamples) {
+    // 同时考虑中位数和长尾，二者均值超过目标值时按比例降权
+    const latency = (p50 + p95) / 2
+    if (latency > targetTtfbMs) {
+      weight *= targetTtfbMs / latency
+    }
+  }
+  if (total >= minSamples) {
+    weight *= Math.max(0, 1 - errorRate * errorPenalty)
+    weight *= Math.max(0, 1 - overloadRate)
+  }
+  weight = Math.round(Math.min(1, Math.max(minWeight, weight)) * 100) / 100
+
+  return {
+    samples: ttfbSamples.length,
+    p50,
+    p95,
+    total,
+    errors,
+    overloads,
+    errorRate: Math.round(errorRate * 10000) / 10000,
+    overloadRate: Math.round(overloadRate * 10000) / 10000,
+    weight
+  }
+}
+
+/**
+ * 按优先级分层、层内按权重加权随机排序（Efraimidis-Spirakis 加权无放回抽样）
+ * @param {Array} accounts - 候选账户（需包含 accountId 和 priority）
+ * @param {Object} weights - accountId → 权重，缺失时视为 1
+ * @param {Function} random - 随机数生成函数（便于测试）
+ * @returns {Array} 排序后的账户
+ */
+function orderAccountsByWeight(accounts, weights = {}, random = Math.random) {
+  const keyed = accounts.map((account) => {
+    const weight = weights[account.accountId] ?? 1
+    return { account, key: Math.pow(random(), 1 / Math.max(weight, 1e-6)) }
+  })
+  keyed.sort((a, b) => {
+    if (a.account.priority !== b.account.priority) {
+      return a.account.priority - b.account.priority
+    }
+    return b.key - a.key
+  })
+  return keyed.map((item) => item.account)
+}
+
+module.exports = {
+  SCHEDULING_STRATEGIES,
+  DEFAULT_SCHEDULING_STRATEGY,
+  DEFAULT_HEALTH_SETTINGS,
+  normalizeSchedulingStrategy,
+  percentile,
+  summarizeHealth,
+  orderAccountsByWeight
+}
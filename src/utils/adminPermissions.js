@@ -0,0 +1,283 @@
+/**
+ * 管理员权限范围（scope）与内置角色
+ * 所有管理接口都在 ADMIN_ROUTE_SCOPES 中声明所需权限，由 authenticateAdmin / requireAdmin 统一检查：
+ * - 按顺序匹配，第一条匹配的规则生效
+ * - 权限为空字符串表示任何已登录管理员都可访问（如自己的两步验证设置）
+ * - 未声明的接口只有拥有全部权限（*）的管理员可以访问
+ */
+
+const ADMIN_SCOPES = {
+  'usage:read': '查看仪表板、用量统计与趋势',
+  'billing:read': '查看费用明细、预算与团队费用',
+  'keys:read': '查看 API Key',
+  'keys:write': '创建、修改、删除 API Key',
+  'accounts:read': '查看账户、分组与熔断状态',
+  'accounts:write': '启停、重置、测试、删除账户，管理分组与请求转换',
+  'accounts:credentials': '添加账户、更新账户凭据、OAuth 授权与刷新令牌',
+  'captures:manage': '查看和重放请求捕获（包含请求内容）',
+  'settings:read': '查看系统设置、转发配置与 Webhook',
+  'settings:write': '修改系统设置、转发配置、访问规则与 Webhook',
+  'users:read': '查看用户与团队',
+  'users:write': '管理用户、团队与团队成员',
+  'audit:read': '查看审计日志',
+  'security:manage': '管理凭证加密主密钥',
+  'admins:manage': '管理管理员账号与角色'
+}
+
+const ALL_SCOPES = '*'
+
+const BUILTIN_ROLES = {
+  super_admin: {
+    name: '超级管理员',
+    description: '拥有全部权限',
+    scopes: [ALL_SCOPES]
+  },
+  viewer: {
+    name: '只读查看者',
+    description: '只读访问用量、API Key、账户、用户和设置，不能查看凭据',
+    scopes: ['usage:read', 'keys:read', 'accounts:read', 'settings:read', 'users:read']
+  },
+  key_manager: {
+    name: 'Key 管理员',
+    description: '管理 API Key，只读查看账户与用户',
+    scopes: ['usage:read', 'keys:read', 'keys:write', 'accounts:read', 'users:read']
+  },
+  account_operator: {
+    name: '账户运维',
+    description: '管理上游账户、凭据、分组和请求捕获',
+    scopes: [
+      'usage:read',
+      'keys:read',
+      'accounts:read',
+      'accounts:write',
+      'accounts:credentials',
+      'captures:manage'
+    ]
+  },
+  billing_viewer: {
+    name: '账单查看者',
+    description: '查看用量、费用、预算和团队费用',
+    scopes: ['usage:read', 'billing:read', 'keys:read', 'users:read']
+  }
+}
+
+// 账户类路由（多种账户类型共用同一套规则）
+const ACCOUNT_PREFIXES = [
+  '/admin/claude-accounts',
+  '/admin/claude-console-accounts',
+  '/admin/ccr-accounts',
+  '/admin/bedrock-accounts',
+  '/admin/gemini-accounts',
+  '/admin/gemini-api-accounts',
+  '/admin/openai-accounts',
+  '/admin/openai-responses-accounts',
+  '/admin/azure-openai-accounts',
+  '/admin/droid-accounts'
+]
+
+function accountRules(prefix) {
+  return [
+    // OAuth 授权、Cookie 授权、刷新令牌等会接触凭据
+    ['POST', `${prefix}/generate-auth-url`, 'accounts:credentials'],
+    ['POST', `${prefix}/generate-setup-token-url`, 'accounts:credentials'],
+    ['POST', `${prefix}/exchange-code`, 'accounts:credentials'],
+    ['POST', `${prefix}/exchange-setup-token-code`, 'accounts:credentials'],
+    ['POST', `${prefix}/oauth-with-cookie`, 'accounts:credentials'],
+    ['POST', `${prefix}/setup-token-with-cookie`, 'accounts:credentials'],
+    ['POST', `${prefix}/poll-auth-status`, 'accounts:credentials'],
+    ['POST', `${prefix}/:id/refresh`, 'accounts:credentials'],
+    ['POST', `${prefix}/:id/refresh-token`, 'accounts:credentials'],
+    // Droid 账户详情包含解密后的令牌
+    ['GET', '/admin/droid-accounts/:id', 'accounts:credentials'],
+    ['READ', `${prefix}`, 'accounts:read'],
+    ['READ', `${prefix}/*`, 'accounts:read'],
+    // 创建与整体更新会写入凭据
+    ['POST', `${prefix}`, 'accounts:credentials'],
+    ['PUT', `${prefix}/:id`, 'accounts:credentials'],
+    ['*', `${prefix}/*`, 'accounts:write'],
+    ['DELETE', `${prefix}/:id`, 'accounts:write']
+  ]
+}
+
+/**
+ * 路由权限表：[方法, 路径模式, 所需权限]
+ * 方法：GET / POST / PUT / PATCH / DELETE，READ 表示 GET 与 HEAD，* 表示任意方法
+ * 路径模式：:param 匹配单个路径段，末尾 /* 匹配任意剩余路径（不含前缀本身）
+ */
+const ADMIN_ROUTE_SCOPES = [
+  // 管理员自己的登录、两步验证与账号信息
+  ['*', '/web/auth/*', ''],
+
+  // 管理员账号与角色
+  ['*', '/admin/admin-identities', 'admins:manage'],
+  ['*', '/admin/admin-identities/*', 'admins:manage'],
+
+  // 仪表板与用量
+  ['READ', '/admin/dashboard', 'usage:read'],
+  ['READ', '/admin/usage-stats', 'usage:read'],
+  ['READ', '/admin/model-stats', 'usage:read'],
+  ['READ', '/admin/usage-trend', 'usage:read'],
+  ['READ', '/admin/account-usage-trend', 'usage:read'],
+  ['READ', '/admin/api-keys-usage-trend', 'usage:read'],
+  ['READ', '/admin/usage-costs', 'billing:read'],
+  ['READ', '/admin/accounts/usage-stats', 'usage:read'],
+  ['READ', '/admin/accounts/binding-counts', 'keys:read'],
+  ['READ', '/admin/accounts/:accountId/*', 'usage:read'],
+  ['READ', '/admin/check-updates', 'usage:read'],
+  ['READ', '/admin/supported-clients', 'keys:read'],
+  ['POST', '/admin/cleanup', 'settings:write'],
+
+  // API Keys
+  ['READ', '/admin/api-keys/:keyId/cost-debug', 'billing:read'],
+  ['READ', '/admin/api-keys/:keyId/model-stats', 'usage:read'],
+  ['READ', '/admin/api-keys/:keyId/usage-records', 'usage:read'],
+  ['READ', '/admin/api-keys/cost-sort-status', 'keys:read'],
+  ['READ', '/admin/api-keys', 'keys:read'],
+  ['READ', '/admin/api-keys/*', 'keys:read'],
+  // 批量查询统计（POST 但只读）
+  ['POST', '/admin/api-keys/batch-stats', 'keys:read'],
+  ['POST', '/admin/api-keys/batch-last-usage', 'keys:read'],
+  ['POST', '/admin/api-keys/cost-sort-refresh', 'keys:read'],
+  ['*', '/admin/api-keys', 'keys:write'],
+  ['*', '/admin/api-keys/*', 'keys:write'],
+  // 用户 API Key 申请审批队列
+  ['READ', '/admin/api-key-requests', 'keys:read'],
+  ['*', '/admin/api-key-requests/*', 'keys:write'],
+  ['READ', '/admin/users', 'keys:read'],
+  ['READ', '/admin/concurrency', 'keys:read'],
+  ['READ', '/admin/concurrency/*', 'keys:read'],
+  ['*', '/admin/concurrency', 'keys:write'],
+  ['*', '/admin/concurrency/*', 'keys:write'],
+  ['POST', '/admin/migrate-api-keys-azure', 'keys:write'],
+
+  // 账户、分组、熔断与请求转换
+  ...ACCOUNT_PREFIXES.flatMap(accountRules),
+  ['READ', '/admin/account-groups', 'accounts:read'],
+  ['READ', '/admin/account-groups/*', 'accounts:read'],
+  ['*', '/admin/account-groups', 'accounts:write'],
+  ['*', '/admin/account-groups/*', 'accounts:write'],
+  ['READ', '/admin/circuit-breakers', 'accounts:read'],
+  ['READ', '/admin/circuit-breakers/*', 'accounts:read'],
+  ['*', '/admin/circuit-breakers/*', 'accounts:write'],
+  ['READ', '/admin/request-transforms/*', 'accounts:read'],
+  ['POST', '/admin/request-transforms/preview', 'accounts:read'],
+  ['*', '/admin/request-transforms/*', 'accounts:write'],
+  ['READ', '/admin/claude-code-headers', 'accounts:read'],
+  ['*', '/admin/claude-code-headers/*', 'accounts:write'],
+
+  // 请求捕获（包含请求内容）
+  ['*', '/admin/captures', 'captures:manage'],
+  ['*', '/admin/captures/*', 'captures:manage'],
+
+  // 系统设置与转发配置
+  ['READ', '/admin/claude-relay-config', 'settings:read'],
+  ['READ', '/admin/claude-relay-config/*', 'settings:read'],
+  ['*', '/admin/claude-relay-config', 'settings:write'],
+  ['READ', '/admin/ip-access', 'settings:read'],
+  ['*', '/admin/ip-access', 'settings:write'],
+  ['READ', '/admin/model-routing', 'settings:read'],
+  ['POST', '/admin/model-routing/resolve', 'settings:read'],
+  ['*', '/admin/model-routing', 'settings:write'],
+  ['READ', '/admin/oem-settings', 'settings:read'],
+  ['*', '/admin/oem-settings', 'settings:write'],
+  ['READ', '/admin/claude-code-version', 'settings:read'],
+  ['*', '/admin/claude-code-version/*', 'settings:write'],
+  ['READ', '/admin/webhook/*', 'settings:read'],
+  ['*', '/admin/webhook/*', 'settings:write'],
+
+  // 用户与团队
+  ['READ', '/admin/teams', 'users:read'],
+  ['READ', '/admin/teams/*', 'users:read'],
+  ['*', '/admin/teams', 'users:write'],
+  ['*', '/admin/teams/*', 'users:write'],
+  ['READ', '/users', 'users:read'],
+  ['READ', '/users/*', 'users:read'],
+  ['*', '/users/*', 'users:write'],
+
+  // 审计与安全
+  ['READ', '/admin/audit-logs', 'audit:read'],
+  ['READ', '/admin/audit-logs/*', 'audit:read'],
+  ['*', '/admin/credential-vault', 'security:manage'],
+  ['*', '/admin/credential-vault/*', 'security:manage']
+]
+
+function compilePattern(pattern) {
+  const wildcard = pattern.endsWith('/*')
+  const base = wildcard ? pattern.slice(0, -2) : pattern
+  const source = base
+    .split('/')
+    .map((segment) =>
+      segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    )
+    .join('/')
+  return new RegExp(`^${source}${wildcard ? '/.+' : ''}/?$`)
+}
+
+const COMPILED_RULES = ADMIN_ROUTE_SCOPES.map(([method, pattern, scope]) => ({
+  method,
+  regex: compilePattern(pattern),
+  scope
+}))
+
+function methodMatches(ruleMethod, method) {
+  if (ruleMethod === '*') {
+    return true
+  }
+  if (ruleMethod === 'READ') {
+    return method === 'GET' || method === 'HEAD'
+  }
+  return ruleMethod === method
+}
+
+/**
+ * 查找请求所需的权限
+ * @param {string} method - HTTP 方法
+ * @param {string} path - 完整请求路径（不含查询参数）
+ * @returns {string|null} 所需权限；'' 表示任何管理员可访问，null 表示未声明（仅全部权限可访问）
+ */
+function resolveRequiredScope(method, path) {
+  const upperMethod = String(method || '').toUpperCase()
+  const rule = COMPILED_RULES.find(
+    (item) => methodMatches(item.method, upperMethod) && item.regex.test(path)
+  )
+  return rule ? rule.scope : null
+}
+
+/**
+ * 判断已授予的权限是否包含所需权限
+ * @param {string[]} grantedScopes - 已授予的权限
+ * @param {string|null} requiredScope - 所需权限（null 表示需要全部权限）
+ * @returns {boolean}
+ */
+function hasScope(grantedScopes, requiredScope) {
+  const granted = grantedScopes || []
+  if (granted.includes(ALL_SCOPES)) {
+    return true
+  }
+  if (requiredScope === '') {
+    return true
+  }
+  return requiredScope !== null && granted.includes(requiredScope)
+}
+
+/**
+ * 获取角色的权限列表
+ * @param {string} role - 角色名
+ * @returns {string[]|null} 权限列表，角色不存在时返回 null
+ */
+function getRoleScopes(role) {
+  const definition = Object.prototype.hasOwnProperty.call(BUILTIN_ROLES, role)
+    ? BUILTIN_ROLES[role]
+    : null
+  return definition ? [...definition.scopes] : null
+}
+
+module.exports = {
+  ADMIN_SCOPES,
+  ALL_SCOPES,
+  BUILTIN_ROLES,
+  ADMIN_ROUTE_SCOPES,
+  resolveRequiredScope,
+  hasScope,
+  getRoleScopes
+}
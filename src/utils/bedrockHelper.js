@@ -0,0 +1,207 @@
+/**
+ * Bedrock Helper
+ *
+ * Bedrock 账户的纯逻辑部分：凭证类型与 IAM 角色配置校验、按模型选择推理配置文件
+ * （跨区域 inference profile ID / application inference profile ARN）、限流时的候选区域，
+ * 以及 prompt caching 相关的 usage 归一化。
+ */
+
+const CREDENTIAL_TYPES = ['default', 'access_key', 'bearer_token', 'assume_role', 'web_identity']
+
+// 需要 STS 换取临时凭证的凭证类型
+const ROLE_CREDENTIAL_TYPES = ['assume_role', 'web_identity']
+
+const ROLE_ARN_PATTERN = /^arn:aws[a-z-]*:iam::\d{12}:role\/.+$/
+const BEDROCK_ARN_PATTERN =
+  /^arn:aws[a-z-]*:bedrock:([a-z0-9-]+):(\d{12})?:(foundation-model|inference-profile|application-inference-profile)\/(.+)$/
+const REGION_PATTERN = /^[a-z]{2}(-gov)?-[a-z]+-\d$/
+
+// Bedrock 返回的限流类错误
+const THROTTLING_ERROR_NAMES = new Set([
+  'ThrottlingException',
+  'TooManyRequestsException',
+  'ServiceQuotaExceededException'
+])
+
+/**
+ * 解析 Bedrock 模型 / 推理配置文件 ARN
+ * @param {string} modelId - 模型ID或ARN
+ * @returns {Object|null} { region, accountId, resourceType, resourceId }，不是 ARN 时返回 null
+ */
+function parseBedrockArn(modelId) {
+  const match = typeof modelId === 'string' ? modelId.match(BEDROCK_ARN_PATTERN) : null
+  if (!match) {
+    return null
+  }
+  return {
+    region: match[1],
+    accountId: match[2] || null,
+    resourceType: match[3],
+    resourceId: match[4]
+  }
+}
+
+/**
+ * 按请求模型查找账户配置的推理配置文件
+ * 先精确匹配，再按最长前缀匹配（如 claude-sonnet-4 匹配 claude-sonnet-4-20250514）
+ * @param {string} modelName - 请求模型
+ * @param {Object} modelProfiles - 账户配置 { 模型名: inference profile ID / ARN }
+ * @returns {string|null}
+ */
+function resolveModelProfile(modelName, modelProfiles) {
+  if (!modelName || !modelProfiles || typeof modelProfiles !== 'object') {
+    return null
+  }
+  if (modelProfiles[modelName]) {
+    return modelProfiles[modelName]
+  }
+  const prefix = Object.keys(modelProfiles)
+    .filter((key) => key && modelName.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0]
+  return prefix ? modelProfiles[prefix] : null
+}
+
+/**
+ * 计算请求可以尝试的区域（限流时依次切换）
+ * ARN 形式的推理配置文件绑定在所属区域，不做区域切换
+ * @param {string} modelId - 最终使用的模型ID或ARN
+ * @param {string} primaryRegion - 首选区域
+ * @param {Array<string>} fallbackRegions - 账户配置的备用区域
+ * @returns {Array<string>}
+ */
+function getRegionCandidates(modelId, primaryRegion, fallbackRegions = []) {
+  const arn = parseBedrockArn(modelId)
+  if (arn) {
+    return [arn.region]
+  }
+  return [...new Set([primaryRegion, ...(fallbackRegions || [])].filter(Boolean))]
+}
+
+/**
+ * 是否为限流错误（可切换区域重试）
+ * @param {Error} error - AWS SDK 异常
+ * @returns {boolean}
+ */
+function isThrottlingError(error) {
+  return (
+    !!error && (THROTTLING_ERROR_NAMES.has(error.name) || error.$metadata?.httpStatusCode === 429)
+  )
+}
+
+/**
+ * 校验并归一化账户的 Bedrock 扩展配置，配置无效时抛出错误
+ * @param {Object} options - { credentialType, roleConfig, modelProfiles, fallbackRegions }
+ * @returns {Object} 归一化后的配置（只包含传入的字段）
+ */
+function normalizeBedrockOptions({ credentialType, roleConfig, modelProfiles, fallbackRegions }) {
+  const normalized = {}
+
+  if (credentialType !== undefined) {
+    if (!CREDENTIAL_TYPES.includes(credentialType)) {
+      throw new Error(`credentialType must be one of: ${CREDENTIAL_TYPES.join(', ')}`)
+    }
+    normalized.credentialType = credentialType
+  }
+
+  if (roleConfig !== undefined) {
+    if (roleConfig === null) {
+      normalized.roleConfig = null
+    } else {
+      if (typeof roleConfig !== 'object' || !ROLE_ARN_PATTERN.test(roleConfig.roleArn || '')) {
+        throw new Error('roleConfig.roleArn must be a valid IAM role ARN')
+      }
+      const durationSeconds = parseInt(roleConfig.durationSeconds) || 3600
+      if (durationSeconds < 900 || durationSeconds > 43200) {
+        throw new Error('roleConfig.durationSeconds must be between 900 and 43200')
+      }
+      normalized.roleConfig = {
+        roleArn: roleConfig.roleArn,
+        roleSessionName: roleConfig.roleSessionName || 'claude-relay-service',
+        externalId: roleConfig.externalId || null,
+        durationSeconds,
+        webIdentityTokenFile: roleConfig.webIdentityTokenFile || null
+      }
+    }
+  }
+
+  if (modelProfiles !== undefined) {
+    const profiles = {}
+    for (const [model, profile] of Object.entries(modelProfiles || {})) {
+      const key = String(model).trim()
+      const value = String(profile || '').trim()
+      if (!key || !value) {
+        continue
+      }
+      if (value.startsWith('arn:') && !parseBedrockArn(value)) {
+        throw new Error(`Invalid Bedrock inference profile ARN for model ${key}`)
+      }
+      profiles[key] = value
+    }
+    normalized.modelProfiles = profiles
+  }
+
+  if (fallbackRegions !== undefined) {
+    const regions = (fallbackRegions || []).map((region) => String(region).trim()).filter(Boolean)
+    const invalid = regions.find((region) => !REGION_PATTERN.test(region))
+    if (invalid) {
+      throw new Error(`Invalid AWS region in fallbackRegions: ${invalid}`)
+    }
+    normalized.fallbackRegions = [...new Set(regions)]
+  }
+
+  return normalized
+}
+
+/**
+ * 归一化 Bedrock 返回的 usage（兼容 InvokeModel 与 invocationMetrics 两种格式）
+ * @param {Object} usage - Anthropic 格式 usage
+ * @param {Object} invocationMetrics - amazon-bedrock-invocationMetrics（可选）
+ * @returns {Object} { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens }
+ */
+function normalizeBedrockUsage(usage = {}, invocationMetrics = null) {
+  const source = usage || {}
+  const metrics = invocationMetrics || {}
+  return {
+    input_tokens: source.input_tokens ?? metrics.inputTokenCount ?? 0,
+    output_tokens: source.output_tokens ?? metrics.outputTokenCount ?? 0,
+    cache_creation_input_tokens:
+      source.cache_creation_input_tokens ?? metrics.cacheWriteInputTokenCount ?? 0,
+    cache_read_input_tokens: source.cache_read_input_tokens ?? metrics.cacheReadInputTokenCount ?? 0
+  }
+}
+
+/**
+ * 移除请求中的 cache_control 标记（关闭 prompt caching 时使用）
+ * @param {Object} payload - Bedrock 请求体
+ * @returns {Object} 新的请求体
+ */
+function stripCacheControl(payload) {
+  const strip = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(strip)
+    }
+    if (value && typeof value === 'object') {
+      const result = {}
+      for (const [key, item] of Object.entries(value)) {
+        if (key !== 'cache_control') {
+          result[key] = strip(item)
+        }
+      }
+      return result
+    }
+    return value
+  }
+  return strip(payload)
+}
+
+module.exports = {
+  CREDENTIAL_TYPES,
+  ROLE_CREDENTIAL_TYPES,
+  parseBedrockArn,
+  resolveModelProfile,
+  getRegionCandidates,
+  isThrottlingError,
+  normalizeBedrockOptions,
+  normalizeBedrockUsage,
+  stripCacheControl
+}
@@ -0,0 +1,145 @@
+/**
+ * Circuit Breaker Helper
+ *
+ * 通用账户熔断器的纯逻辑部分：上游错误分类、配置归一化与熔断状态判定。
+ * 每个账户按错误类别独立维护 closed / open / half_open 状态：
+ * - closed：正常调度，窗口内失败次数达到阈值后转为 open
+ * - open：不参与调度，openSeconds 到期后转为 half_open
+ * - half_open：每隔 halfOpenProbeSeconds 放行一个探测请求，成功则 closed，失败则重新 open
+ */
+
+const ERROR_CLASSES = ['server_error', 'overload', 'timeout', 'unauthorized']
+
+const ERROR_CLASS_LABELS = {
+  server_error: '5xx 错误',
+  overload: '529 过载',
+  timeout: '网络超时',
+  unauthorized: '401 未授权'
+}
+
+const DEFAULT_BREAKER_SETTINGS = {
+  enabled: true,
+  halfOpenProbeSeconds: 30,
+  classes: {
+    server_error: { threshold: 5, windowSeconds: 60, openSeconds: 120 },
+    overload: { threshold: 5, windowSeconds: 60, openSeconds: 60 },
+    timeout: { threshold: 3, windowSeconds: 120, openSeconds: 120 },
+    unauthorized: { threshold: 3, windowSeconds: 300, openSeconds: 600 }
+  }
+}
+
+// 视为网络超时 / 连接失败的错误码
+const TIMEOUT_ERROR_CODES = new Set([
+  'ETIMEDOUT',
+  'ECONNABORTED',
+  'ESOCKETTIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT'
+])
+
+// 主动取消（客户端断开、对冲请求落败）不计入熔断
+const CANCEL_ERROR_NAMES = new Set(['AbortError', 'CanceledError'])
+
+/**
+ * 将上游响应 / 异常归类为熔断错误类别
+ * @param {number} statusCode - 上游状态码，网络错误时传 0 或不传
+ * @param {Error} error - 请求异常（可选）
+ * @returns {string|null} 错误类别，不计入熔断时返回 null
+ */
+function classifyUpstreamError(statusCode, error = null) {
+  const status = Number(statusCode) || 0
+
+  if (status === 529) {
+    return 'overload'
+  }
+  if (status === 401) {
+    return 'unauthorized'
+  }
+  if (status === 504 || status === 408) {
+    return 'timeout'
+  }
+  if (status >= 500) {
+    return 'server_error'
+  }
+  if (status > 0 || !error) {
+    return null
+  }
+
+  if (CANCEL_ERROR_NAMES.has(error.name) || error.code === 'ERR_CANCELED') {
+    return null
+  }
+  if (
+    TIMEOUT_ERROR_CODES.has(error.code) ||
+    error.name === 'TimeoutError' ||
+    /timeout|timed out/i.test(error.message || '')
+  ) {
+    return 'timeout'
+  }
+  return null
+}
+
+/**
+ * 合并熔断器配置与默认值
+ * @param {Object} settings - config.circuitBreaker
+ * @returns {Object} 完整配置
+ */
+function resolveBreakerSettings(settings = {}) {
+  const classes = {}
+  for (const errorClass of ERROR_CLASSES) {
+    classes[errorClass] = {
+      ...DEFAULT_BREAKER_SETTINGS.classes[errorClass],
+      ...(settings.classes?.[errorClass] || {})
+    }
+  }
+  return {
+    enabled: settings.enabled ?? DEFAULT_BREAKER_SETTINGS.enabled,
+    halfOpenProbeSeconds:
+      settings.halfOpenProbeSeconds || DEFAULT_BREAKER_SETTINGS.halfOpenProbeSeconds,
+    classes
+  }
+}
+
+/**
+ * 判定某个错误类别当前的有效状态（open 到期后视为 half_open）
+ * @param {Object} entry - { state, openUntil }
+ * @param {number} now - 当前时间戳（毫秒）
+ * @returns {string} closed / open / half_open
+ */
+function getEffectiveState(entry, now = Date.now()) {
+  if (!entry || !entry.state || entry.state === 'closed') {
+    return 'closed'
+  }
+  if (entry.state === 'open' && now < (parseInt(entry.openUntil) || 0)) {
+    return 'open'
+  }
+  return 'half_open'
+}
+
+/**
+ * 汇总账户整体状态：任一类别 open 即为 open，其次 half_open
+ * @param {Array<string>} states - 各类别有效状态
+ * @returns {string} closed / open / half_open
+ */
+function getOverallState(states) {
+  if (states.includes('open')) {
+    return 'open'
+  }
+  if (states.includes('half_open')) {
+    return 'half_open'
+  }
+  return 'closed'
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  ERROR_CLASS_LABELS,
+  DEFAULT_BREAKER_SETTINGS,
+  classifyUpstreamError,
+  resolveBreakerSettings,
+  getEffectiveState,
+  getOverallState
+}
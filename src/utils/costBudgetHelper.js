@@ -0,0 +1,231 @@
+/**
+ * Cost Budget Helper
+ *
+ * API Key 周期预算工具：预算按自然月（可指定每月重置日）或自定义天数的周期重置，
+ * 达到配置的百分比阈值时发送提醒，超出预算后按配置拦截、降级模型或仅提示。
+ *
+ * 预算结构：
+ * {
+ *   amount: 500,                   // 每个周期的预算（美元）
+ *   period: 'monthly',             // 'monthly' | 'custom'
+ *   resetDay: 1,                   // monthly：每月重置日（1-28）
+ *   periodDays: 30,                // custom：周期天数
+ *   startDate: '2025-01-15',       // custom：首个周期的起始日期
+ *   alertThresholds: [50, 80, 100],
+ *   action: 'block',               // 'block' | 'downgrade' | 'warn'
+ *   downgradeModel: 'claude-3-5-haiku-20241022' // action 为 downgrade 时使用
+ * }
+ */
+
+const BUDGET_PERIODS = ['monthly', 'custom']
+const BUDGET_ACTIONS = ['block', 'downgrade', 'warn']
+const DEFAULT_ALERT_THRESHOLDS = [50, 80, 100]
+const MAX_RESET_DAY = 28 // 保证每个月都存在该日期
+const MAX_PERIOD_DAYS = 366
+
+const DAY_MS = 24 * 3600 * 1000
+
+/**
+ * 校验并规范化预算配置
+ * @param {Object|null} budget - 原始预算配置
+ * @returns {Object|null} 规范化后的预算，预算金额为 0 或未配置时返回 null（不启用）
+ * @throws {Error} 配置不合法时抛出
+ */
+function normalizeCostBudget(budget) {
+  if (budget === null || budget === undefined || budget === '') {
+    return null
+  }
+  if (typeof budget !== 'object' || Array.isArray(budget)) {
+    throw new Error('costBudget must be an object')
+  }
+
+  const amount = Number(budget.amount || 0)
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new Error('costBudget.amount must be a non-negative number')
+  }
+  if (amount === 0) {
+    return null
+  }
+
+  const period = budget.period || 'monthly'
+  if (!BUDGET_PERIODS.includes(period)) {
+    throw new Error(`costBudget.period must be one of: ${BUDGET_PERIODS.join(', ')}`)
+  }
+
+  const action = budget.action || 'block'
+  if (!BUDGET_ACTIONS.includes(action)) {
+    throw new Error(`costBudget.action must be one of: ${BUDGET_ACTIONS.join(', ')}`)
+  }
+
+  const normalized = { amount, period, action }
+
+  if (period === 'monthly') {
+    const resetDay = Number(budget.resetDay || 1)
+    if (!Number.isInteger(resetDay) || resetDay < 1 || resetDay > MAX_RESET_DAY) {
+      throw new Error(`costBudget.resetDay must be an integer between 1 and ${MAX_RESET_DAY}`)
+    }
+    normalized.resetDay = resetDay
+  } else {
+    const periodDays = Number(budget.periodDays)
+    if (!Number.isInteger(periodDays) || periodDays < 1 || periodDays > MAX_PERIOD_DAYS) {
+      throw new Error(`costBudget.periodDays must be an integer between 1 and ${MAX_PERIOD_DAYS}`)
+    }
+    if (
+      typeof budget.startDate !== 'string' ||
+      !/^\d{4}-\d{2}-\d{2}$/.test(budget.startDate) ||
+      Number.isNaN(Date.parse(`${budget.startDate}T00:00:00Z`))
+    ) {
+      throw new Error('costBudget.startDate must be a date in YYYY-MM-DD format')
+    }
+    normalized.periodDays = periodDays
+    normalized.startDate = budget.startDate
+  }
+
+  const thresholds =
+    budget.alertThresholds === undefined || budget.alertThresholds === null
+      ? DEFAULT_ALERT_THRESHOLDS
+      : budget.alertThresholds
+  if (!Array.isArray(thresholds)) {
+    throw new Error('costBudget.alertThresholds must be an array')
+  }
+  const alertThresholds = [...new Set(thresholds.map(Number))].sort((a, b) => a - b)
+  if (alertThresholds.some((value) => !Number.isFinite(value) || value <= 0 || value > 1000)) {
+    throw new Error('costBudget.alertThresholds must contain percentages between 1 and 1000')
+  }
+  normalized.alertThresholds = alertThresholds
+
+  if (action === 'downgrade') {
+    if (typeof budget.downgradeModel !== 'string' || !budget.downgradeModel.trim()) {
+      throw new Error('costBudget.downgradeModel is required when action is downgrade')
+    }
+    normalized.downgradeModel = budget.downgradeModel.trim()
+  }
+
+  return normalized
+}
+
+/**
+ * 从 Redis 存储的字符串解析预算配置（解析失败或未启用时返回 null）
+ * @param {string|Object} raw - JSON 字符串或已解析的对象
+ * @returns {Object|null}
+ */
+function parseCostBudget(raw) {
+  if (raw && typeof raw === 'object') {
+    return raw.amount > 0 ? raw : null
+  }
+  if (!raw || typeof raw !== 'string') {
+    return null
+  }
+  try {
+    const parsed = JSON.parse(raw)
+    return parsed && typeof parsed === 'object' && parsed.amount > 0 ? parsed : null
+  } catch (e) {
+    return null
+  }
+}
+
+const formatDate = (date) =>
+  `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(
+    date.getUTCDate()
+  ).padStart(2, '0')}`
+
+/**
+ * 计算当前所处的预算周期
+ * 周期边界为配置时区的 0 点，返回值中的 start / end 为对应的真实时间点
+ * @param {Object} budget - 规范化后的预算
+ * @param {Date} now - 当前时间
+ * @param {number} timezoneOffset - 时区偏移（小时）
+ * @returns {{periodId: string, start: Date, end: Date}}
+ */
+function getBudgetPeriod(budget, now = new Date(), timezoneOffset = 8) {
+  const offsetMs = timezoneOffset * 3600000
+  // 偏移后的时间使用 getUTCXXX 读取即为目标时区的本地值
+  const local = new Date(now.getTime() + offsetMs)
+  const todayMs = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate())
+
+  let startMs
+  let endMs
+  if (budget.period === 'custom') {
+    const anchorMs = Date.parse(`${budget.startDate}T00:00:00Z`)
+    const periodMs = budget.periodDays * DAY_MS
+    const index = Math.max(0, Math.floor((todayMs - anchorMs) / periodMs))
+    startMs = anchorMs + index * periodMs
+    endMs = startMs + periodMs
+  } else {
+    const resetDay = budget.resetDay || 1
+    const year = local.getUTCFullYear()
+    const month = local.getUTCMonth() - (local.getUTCDate() >= resetDay ? 0 : 1)
+    startMs = Date.UTC(year, month, resetDay)
+    endMs = Date.UTC(year, month + 1, resetDay)
+  }
+
+  return {
+    periodId: formatDate(new Date(startMs)),
+    start: new Date(startMs - offsetMs),
+    end: new Date(endMs - offsetMs)
+  }
+}
+
+// 模型所属的供应商系列（按顺序匹配），预算降级只在同一系列内改写
+const MODEL_FAMILIES = [
+  { family: 'claude', patterns: ['claude'] },
+  { family: 'gemini', patterns: ['gemini'] },
+  { family: 'openai', patterns: ['gpt', 'codex', 'o1', 'o3', 'o4'] }
+]
+
+function getModelFamily(model) {
+  const name = model.toLowerCase()
+  const entry = MODEL_FAMILIES.find(({ patterns }) =>
+    patterns.some((pattern) => name.includes(pattern))
+  )
+  return entry ? entry.family : null
+}
+
+/**
+ * 计算超出预算后以降级方式继续服务时使用的模型
+ * 请求模型与降级模型必须属于同一供应商系列：请求模型更贵时改写为降级模型，
+ * 不比降级模型贵时保持原模型；其他系列或价格未知时无法降级，由调用方拦截请求
+ * @param {string} model - 请求模型
+ * @param {string} downgradeModel - 预算配置的降级模型
+ * @param {Function} getPricing - (model) => 价格对象（input_cost_per_token / output_cost_per_token），未知时返回 null
+ * @returns {string|null} 继续服务时使用的模型，无法降级时返回 null
+ */
+function resolveBudgetDowngradeModel(model, downgradeModel, getPricing) {
+  if (typeof model !== 'string' || !model || typeof downgradeModel !== 'string') {
+    return null
+  }
+  if (model === downgradeModel) {
+    return model
+  }
+
+  const family = getModelFamily(model)
+  if (!family || family !== getModelFamily(downgradeModel)) {
+    return null
+  }
+
+  const unitPrice = (name) => {
+    const pricing = getPricing(name)
+    if (!pricing) {
+      return null
+    }
+    return (pricing.input_cost_per_token || 0) + (pricing.output_cost_per_token || 0)
+  }
+  const requestedPrice = unitPrice(model)
+  const downgradePrice = unitPrice(downgradeModel)
+  if (requestedPrice === null || downgradePrice === null) {
+    return null
+  }
+
+  return requestedPrice > downgradePrice ? downgradeModel : model
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  BUDGET_ACTIONS,
+  DEFAULT_ALERT_THRESHOLDS,
+  normalizeCostBudget,
+  parseCostBudget,
+  getBudgetPeriod,
+  getModelFamily,
+  resolveBudgetDowngradeModel
+}
@@ -0,0 +1,308 @@
+/**
+ * 凭证主密钥提供者
+ * 主密钥只用于包装 / 解包每条密文的数据密钥，提供者之间可以替换：
+ * - env：从环境变量读取带版本号的主密钥，未配置版本 1 时以 ENCRYPTION_KEY 作为版本 1
+ * - file：从 JSON 密钥文件读取，文件变更后自动重新加载，支持在线生成和启用新版本
+ * - local-kms：本地 KMS 模拟，主密钥随机生成并只保存在密钥环目录内
+ *
+ * 提供者接口：
+ * - getActiveVersion() / listVersions() / canManageVersions()
+ * - wrapDataKey(dataKey) -> { version, wrappedKey }
+ * - unwrapDataKey(wrappedKey, version) -> Buffer
+ * - createVersion({ activate }) / activateVersion(version)（不支持时抛出错误）
+ * - reload()
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const logger = require('./logger')
+
+const KEY_PROVIDER_TYPES = ['env', 'file', 'local-kms']
+
+const WRAP_ALGORITHM = 'aes-256-gcm'
+const WRAP_IV_LENGTH = 12
+const WRAP_TAG_LENGTH = 16
+const MASTER_KEY_SALT = 'credential-vault-master-key'
+const FILE_RELOAD_INTERVAL = 10000 // 10秒检查一次密钥文件变更
+
+const VERSION_PATTERN = /^[1-9]\d{0,5}$/
+
+// 主密钥材料可以是任意字符串，统一派生为 32 字节（只在加载时计算一次）
+function deriveMasterKey(material) {
+  return crypto.scryptSync(String(material), MASTER_KEY_SALT, 32)
+}
+
+function compareVersions(a, b) {
+  return Number(a) - Number(b)
+}
+
+class StaticKeyProvider {
+  constructor(type) {
+    this.type = type
+    this.keys = new Map()
+    this.activeVersion = null
+  }
+
+  _setKeys(entries, activeVersion) {
+    const keys = new Map()
+    for (const [version, material] of Object.entries(entries || {})) {
+      if (!VERSION_PATTERN.test(version)) {
+        throw new Error(`Invalid credential key version "${version}", must be a positive integer`)
+      }
+      if (!material) {
+        throw new Error(`Credential key version ${version} is empty`)
+      }
+      keys.set(version, deriveMasterKey(material))
+    }
+    if (keys.size === 0) {
+      throw new Error(`No credential keys configured for "${this.type}" key provider`)
+    }
+
+    const active = activeVersion
+      ? String(activeVersion)
+      : [...keys.keys()].sort(compareVersions).pop()
+    if (!keys.has(active)) {
+      throw new Error(`Active credential key version ${active} is not configured`)
+    }
+
+    this.keys = keys
+    this.activeVersion = active
+  }
+
+  _getKey(version) {
+    const key = this.keys.get(String(version))
+    if (!key) {
+      throw new Error(`Credential key version ${version} is not available`)
+    }
+    return key
+  }
+
+  getActiveVersion() {
+    return this.activeVersion
+  }
+
+  listVersions() {
+    return [...this.keys.keys()].sort(compareVersions)
+  }
+
+  canManageVersions() {
+    return false
+  }
+
+  wrapDataKey(dataKey) {
+    const version = this.getActiveVersion()
+    const iv = crypto.randomBytes(WRAP_IV_LENGTH)
+    const cipher = crypto.createCipheriv(WRAP_ALGORITHM, this._getKey(version), iv)
+    // 版本号参与认证，防止把包装结果挪到其他版本下使用
+    cipher.setAAD(Buffer.from(`credential-key:${version}`))
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()])
+
+    return {
+      version,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64')
+    }
+  }
+
+  unwrapDataKey(wrappedKey, version) {
+    const raw = Buffer.from(wrappedKey, 'base64')
+    if (raw.length <= WRAP_IV_LENGTH + WRAP_TAG_LENGTH) {
+      throw new Error('Wrapped data key is truncated')
+    }
+
+    const decipher = crypto.createDecipheriv(
+      WRAP_ALGORITHM,
+      this._getKey(version),
+      raw.subarray(0, WRAP_IV_LENGTH)
+    )
+    decipher.setAAD(Buffer.from(`credential-key:${version}`))
+    decipher.setAuthTag(raw.subarray(WRAP_IV_LENGTH, WRAP_IV_LENGTH + WRAP_TAG_LENGTH))
+    return Buffer.concat([
+      decipher.update(raw.subarray(WRAP_IV_LENGTH + WRAP_TAG_LENGTH)),
+      decipher.final()
+    ])
+  }
+
+  createVersion() {
+    throw new Error(`Key provider "${this.type}" does not support creating key versions online`)
+  }
+
+  activateVersion() {
+    throw new Error(`Key provider "${this.type}" does not support switching key versions online`)
+  }
+
+  reload() {}
+}
+
+class EnvKeyProvider extends StaticKeyProvider {
+  constructor(options = {}) {
+    super('env')
+    this.options = options
+    this.reload()
+  }
+
+  reload() {
+    const entries = {}
+    if (this.options.legacyKey) {
+      entries['1'] = this.options.legacyKey
+    }
+
+    for (const item of String(this.options.keys || '').split(',')) {
+      const trimmed = item.trim()
+      if (!trimmed) {
+        continue
+      }
+      const separator = trimmed.indexOf(':')
+      if (separator <= 0) {
+        throw new Error('CREDENTIAL_KEYS entries must use the "version:key" format')
+      }
+      entries[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1)
+    }
+
+    this._setKeys(entries, this.options.activeVersion)
+  }
+}
+
+class FileKeyProvider extends StaticKeyProvider {
+  constructor(options = {}, type = 'file') {
+    super(type)
+    this.filePath = options.keyFile
+    this.loadedMtime = null
+    this.lastCheckedAt = 0
+    if (!this.filePath) {
+      throw new Error(`Key provider "${type}" requires a key file path`)
+    }
+    this.reload()
+  }
+
+  canManageVersions() {
+    return true
+  }
+
+  _readFile() {
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+  }
+
+  // 先写临时文件再重命名，避免写入中断导致密钥文件损坏
+  _writeFile(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    const tempPath = `${this.filePath}.${process.pid}.tmp`
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 })
+    fs.renameSync(tempPath, this.filePath)
+  }
+
+  reload() {
+    const data = this._readFile()
+    this._setKeys(data.keys, data.activeVersion)
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs
+    this.lastCheckedAt = Date.now()
+  }
+
+  // 多实例部署时其他实例可能已生成或启用新版本
+  _reloadIfChanged(force = false) {
+    if (!force && Date.now() - this.lastCheckedAt < FILE_RELOAD_INTERVAL) {
+      return
+    }
+    this.lastCheckedAt = Date.now()
+
+    try {
+      if (force || fs.statSync(this.filePath).mtimeMs !== this.loadedMtime) {
+        this.reload()
+        logger.info(
+          `🔑 Credential keys reloaded from ${this.filePath}, active version ${this.activeVersion}`
+        )
+      }
+    } catch (error) {
+      logger.error('❌ Failed to reload credential key file, keeping loaded keys:', error)
+    }
+  }
+
+  _getKey(version) {
+    if (!this.keys.has(String(version))) {
+      this._reloadIfChanged(true)
+    }
+    return super._getKey(version)
+  }
+
+  getActiveVersion() {
+    this._reloadIfChanged()
+    return super.getActiveVersion()
+  }
+
+  createVersion({ activate = true } = {}) {
+    const data = this._readFile()
+    const versions = Object.keys(data.keys || {}).map(Number)
+    const version = String(Math.max(0, ...versions) + 1)
+
+    data.keys = { ...data.keys, [version]: crypto.randomBytes(32).toString('hex') }
+    if (activate) {
+      data.activeVersion = version
+    }
+    this._writeFile(data)
+    this.reload()
+
+    return version
+  }
+
+  activateVersion(version) {
+    const data = this._readFile()
+    if (!data.keys || !data.keys[String(version)]) {
+      throw new Error(`Credential key version ${version} is not configured`)
+    }
+
+    data.activeVersion = String(version)
+    this._writeFile(data)
+    this.reload()
+  }
+}
+
+class LocalKmsKeyProvider extends FileKeyProvider {
+  constructor(options = {}) {
+    const keyFile = path.join(
+      options.kmsDir || path.join(process.cwd(), 'data', 'kms'),
+      'keyring.json'
+    )
+    if (!fs.existsSync(keyFile)) {
+      fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 })
+      fs.writeFileSync(
+        keyFile,
+        JSON.stringify(
+          { activeVersion: '1', keys: { 1: crypto.randomBytes(32).toString('hex') } },
+          null,
+          2
+        ),
+        { mode: 0o600 }
+      )
+      logger.success(`Local KMS keyring created at ${keyFile}`)
+    }
+    super({ keyFile }, 'local-kms')
+  }
+}
+
+/**
+ * 根据配置创建主密钥提供者
+ * @param {Object} options - config.credentialVault，另加 legacyKey（ENCRYPTION_KEY）
+ * @returns {StaticKeyProvider}
+ */
+function createKeyProvider(options = {}) {
+  switch (options.provider || 'env') {
+    case 'env':
+      return new EnvKeyProvider(options)
+    case 'file':
+      return new FileKeyProvider(options)
+    case 'local-kms':
+      return new LocalKmsKeyProvider(options)
+    default:
+      throw new Error(
+        `Unknown credential key provider "${options.provider}", must be one of: ${KEY_PROVIDER_TYPES.join(', ')}`
+      )
+  }
+}
+
+module.exports = {
+  KEY_PROVIDER_TYPES,
+  createKeyProvider,
+  EnvKeyProvider,
+  FileKeyProvider,
+  LocalKmsKeyProvider
+}
@@ -0,0 +1,245 @@
+/**
+ * 凭证保险库
+ * 各账户服务共用的凭证加解密模块（信封加密）：
+ * - 每条密文使用随机数据密钥（AES-256-GCM）加密，数据密钥由主密钥提供者包装
+ * - 密文格式 cv1:<主密钥版本>:<包装后的数据密钥>:<iv>:<认证标签>:<密文>，主密钥版本随密文保存，
+ *   轮换主密钥后旧密文仍可解密，可在线重新加密（见 credentialRotationService）
+ * - 兼容各服务原有的 iv:密文 格式（ENCRYPTION_KEY 与服务专属 salt 派生的 AES-256-CBC 密钥）
+ * - 解密失败抛出 CredentialDecryptionError 并按命名空间统计，不再原样返回密文
+ */
+
+const crypto = require('crypto')
+const config = require('../../config/config')
+const logger = require('./logger')
+const { createKeyProvider } = require('./credentialKeyProviders')
+
+const ENVELOPE_PREFIX = 'cv1'
+const DATA_ALGORITHM = 'aes-256-gcm'
+const LEGACY_ALGORITHM = 'aes-256-cbc'
+const LEGACY_KEY_VERSION = 'legacy'
+
+class CredentialDecryptionError extends Error {
+  constructor(message, namespace, keyVersion = null) {
+    super(message)
+    this.name = 'CredentialDecryptionError'
+    this.namespace = namespace
+    this.keyVersion = keyVersion
+  }
+}
+
+class CredentialVault {
+  constructor() {
+    this._provider = null
+    // scryptSync 是 CPU 密集型操作，旧格式密钥按派生参数缓存
+    this._legacyKeyCache = new Map()
+    this._failures = new Map()
+  }
+
+  getProvider() {
+    if (!this._provider) {
+      this._provider = createKeyProvider({
+        ...(config.credentialVault || {}),
+        legacyKey: config.security.encryptionKey
+      })
+      logger.info(
+        `🔐 Credential vault using "${this._provider.type}" key provider, active key version ${this._provider.getActiveVersion()}`
+      )
+    }
+    return this._provider
+  }
+
+  // 替换主密钥提供者（测试或外部 KMS 集成使用）
+  setProvider(provider) {
+    this._provider = provider
+  }
+
+  getKeyInfo() {
+    const provider = this.getProvider()
+    return {
+      provider: provider.type,
+      activeVersion: provider.getActiveVersion(),
+      versions: provider.listVersions(),
+      canManageVersions: provider.canManageVersions()
+    }
+  }
+
+  /**
+   * 创建绑定命名空间的加解密器，供各账户服务持有
+   * @param {string} namespace - 命名空间（用于失败统计与日志）
+   * @param {Object} legacy - 旧格式密钥派生参数
+   * @param {string} legacy.salt - scrypt(ENCRYPTION_KEY, salt) 派生
+   * @param {string} legacy.derivation - 'sha256' 时为 sha256(ENCRYPTION_KEY)
+   * @param {boolean} legacy.allowDeprecatedCipher - 无 IV 的更早格式尝试 crypto.createDecipher
+   * @returns {{namespace: string, encrypt: Function, decrypt: Function, needsReencryption: Function}}
+   */
+  createCipher(namespace, legacy = {}) {
+    return {
+      namespace,
+      encrypt: (plaintext) => this.encrypt(plaintext),
+      decrypt: (value) => this.decrypt(value, namespace, legacy),
+      needsReencryption: (value) => this.needsReencryption(value)
+    }
+  }
+
+  /**
+   * 使用当前主密钥版本加密
+   * @param {string} plaintext - 明文
+   * @returns {string} 信封密文，空值返回空字符串
+   */
+  encrypt(plaintext) {
+    if (plaintext === null || plaintext === undefined || plaintext === '') {
+      return ''
+    }
+
+    const dataKey = crypto.randomBytes(32)
+    const { version, wrappedKey } = this.getProvider().wrapDataKey(dataKey)
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv(DATA_ALGORITHM, dataKey, iv)
+    const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()])
+
+    return [
+      ENVELOPE_PREFIX,
+      version,
+      wrappedKey,
+      iv.toString('base64'),
+      cipher.getAuthTag().toString('base64'),
+      encrypted.toString('base64')
+    ].join(':')
+  }
+
+  /**
+   * 解密信封密文或旧格式密文
+   * @param {string} value - 密文
+   * @param {string} namespace - 命名空间
+   * @param {Object} legacy - 旧格式密钥派生参数（见 createCipher）
+   * @returns {string} 明文
+   * @throws {CredentialDecryptionError}
+   */
+  decrypt(value, namespace = 'default', legacy = {}) {
+    if (!value) {
+      return ''
+    }
+
+    try {
+      return this.isEnvelope(value)
+        ? this._decryptEnvelope(value)
+        : this._decryptLegacy(value, legacy)
+    } catch (error) {
+      const keyVersion = this.getKeyVersion(value)
+      this._recordFailure(namespace, keyVersion, error)
+      throw new CredentialDecryptionError(
+        `Failed to decrypt ${namespace} credential (key version ${keyVersion}): ${error.message}`,
+        namespace,
+        keyVersion
+      )
+    }
+  }
+
+  isEnvelope(value) {
+    return typeof value === 'string' && value.startsWith(`${ENVELOPE_PREFIX}:`)
+  }
+
+  /**
+   * 获取密文使用的主密钥版本
+   * @param {string} value - 密文
+   * @returns {string|null} 版本号，旧格式返回 'legacy'，空值返回 null
+   */
+  getKeyVersion(value) {
+    if (!value) {
+      return null
+    }
+    return this.isEnvelope(value) ? value.split(':')[1] : LEGACY_KEY_VERSION
+  }
+
+  needsReencryption(value) {
+    const version = this.getKeyVersion(value)
+    return version !== null && version !== this.getProvider().getActiveVersion()
+  }
+
+  _decryptEnvelope(value) {
+    const parts = value.split(':')
+    if (parts.length !== 6) {
+      throw new Error('Malformed envelope ciphertext')
+    }
+
+    const [, version, wrappedKey, iv, tag, encrypted] = parts
+    const dataKey = this.getProvider().unwrapDataKey(wrappedKey, version)
+    const decipher = crypto.createDecipheriv(DATA_ALGORITHM, dataKey, Buffer.from(iv, 'base64'))
+    decipher.setAuthTag(Buffer.from(tag, 'base64'))
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted, 'base64')),
+      decipher.final()
+    ]).toString('utf8')
+  }
+
+  _decryptLegacy(value, legacy) {
+    const separator = value.indexOf(':')
+    const ivHex = value.slice(0, separator)
+    const encrypted = value.slice(separator + 1)
+
+    if (separator === -1 || !/^[0-9a-f]{32}$/i.test(ivHex) || !encrypted) {
+      if (legacy.allowDeprecatedCipher && typeof crypto.createDecipher === 'function') {
+        // 最早期无 IV 格式，新版本 Node.js 已移除 createDecipher
+        const decipher = crypto.createDecipher(LEGACY_ALGORITHM, config.security.encryptionKey)
+        return decipher.update(value, 'hex', 'utf8') + decipher.final('utf8')
+      }
+      throw new Error('Value is not in a recognized ciphertext format')
+    }
+
+    const decipher = crypto.createDecipheriv(
+      LEGACY_ALGORITHM,
+      this._getLegacyKey(legacy),
+      Buffer.from(ivHex, 'hex')
+    )
+    return decipher.update(encrypted, 'hex', 'utf8') + decipher.final('utf8')
+  }
+
+  _getLegacyKey(legacy) {
+    const cacheKey = legacy.derivation === 'sha256' ? 'sha256' : `scrypt:${legacy.salt || 'salt'}`
+    if (!this._legacyKeyCache.has(cacheKey)) {
+      this._legacyKeyCache.set(
+        cacheKey,
+        legacy.derivation === 'sha256'
+          ? crypto.createHash('sha256').update(config.security.encryptionKey).digest()
+          : crypto.scryptSync(config.security.encryptionKey, legacy.salt || 'salt', 32)
+      )
+    }
+    return this._legacyKeyCache.get(cacheKey)
+  }
+
+  _recordFailure(namespace, keyVersion, error) {
+    const entry = this._failures.get(namespace) || { namespace, count: 0 }
+    entry.count += 1
+    entry.lastKeyVersion = keyVersion
+    entry.lastError = error.message
+    entry.lastFailedAt = new Date().toISOString()
+    this._failures.set(namespace, entry)
+
+    logger.error(
+      `❌ Credential decryption failed for ${namespace} (key version ${keyVersion}): ${error.message}`
+    )
+  }
+
+  /**
+   * 获取本进程启动以来的解密失败统计
+   * @returns {Array<Object>} [{ namespace, count, lastKeyVersion, lastError, lastFailedAt }]
+   */
+  getFailureStats() {
+    return [...this._failures.values()].map((entry) => ({ ...entry }))
+  }
+
+  resetFailureStats() {
+    this._failures.clear()
+  }
+}
+
+const credentialVault = new CredentialVault()
+
+module.exports = {
+  credentialVault,
+  CredentialVault,
+  CredentialDecryptionError,
+  ENVELOPE_PREFIX,
+  LEGACY_KEY_VERSION
+}
@@ -0,0 +1,121 @@
+/**
+ * Fallback Chain Helper
+ *
+ * 跨平台降级链工具：当 Claude 账户池全部耗尽时，按管理员配置的顺序
+ * 依次尝试其他账户类型（如 claude-official → claude-console → bedrock → ccr），
+ * 每一步可以单独配置模型映射。
+ *
+ * 降级链结构：
+ * [
+ *   { accountType: 'claude-console' },
+ *   { accountType: 'bedrock', modelMapping: { '*': 'us.anthropic.claude-sonnet-4-20250514-v1:0' } },
+ *   { accountType: 'ccr', accountId: 'xxx', modelMapping: { 'claude-opus-4-1': 'claude-sonnet-4' } }
+ * ]
+ */
+
+const FALLBACK_ACCOUNT_TYPES = ['claude-official', 'claude-console', 'bedrock', 'ccr']
+
+// 触发降级链的调度错误码（账户池耗尽类错误）
+const FALLBACK_TRIGGER_CODES = [
+  'ALL_ACCOUNTS_RATE_LIMITED',
+  'CLAUDE_DEDICATED_RATE_LIMITED',
+  'NO_AVAILABLE_ACCOUNTS'
+]
+
+/**
+ * 校验并规范化降级链配置
+ * @param {Array} chain - 原始降级链
+ * @returns {Array} 规范化后的降级链
+ * @throws {Error} 配置不合法时抛出
+ */
+function normalizeFallbackChain(chain) {
+  if (chain === null || chain === undefined || chain === '') {
+    return []
+  }
+  if (!Array.isArray(chain)) {
+    throw new Error('fallbackChain must be an array')
+  }
+
+  return chain.map((step, index) => {
+    if (!step || typeof step !== 'object') {
+      throw new Error(`fallbackChain[${index}] must be an object`)
+    }
+    if (!FALLBACK_ACCOUNT_TYPES.includes(step.accountType)) {
+      throw new Error(
+        `fallbackChain[${index}].accountType must be one of: ${FALLBACK_ACCOUNT_TYPES.join(', ')}`
+      )
+    }
+    if (step.accountId !== undefined && step.accountId !== null && step.accountId !== '') {
+      if (typeof step.accountId !== 'string') {
+        throw new Error(`fallbackChain[${index}].accountId must be a string`)
+      }
+    }
+
+    const modelMapping = step.modelMapping || {}
+    if (typeof modelMapping !== 'object' || Array.isArray(modelMapping)) {
+      throw new Error(`fallbackChain[${index}].modelMapping must be an object`)
+    }
+    for (const [from, to] of Object.entries(modelMapping)) {
+      if (!from || typeof to !== 'string' || !to.trim()) {
+        throw new Error(`fallbackChain[${index}].modelMapping has an invalid entry for "${from}"`)
+      }
+    }
+
+    const normalized = { accountType: step.accountType }
+    if (step.accountId) {
+      normalized.accountId = step.accountId
+    }
+    if (Object.keys(modelMapping).length > 0) {
+      normalized.modelMapping = Object.fromEntries(
+        Object.entries(modelMapping).map(([from, to]) => [from, to.trim()])
+      )
+    }
+    return normalized
+  })
+}
+
+/**
+ * 从 Redis 存储的字符串解析降级链（解析失败时返回空数组）
+ * @param {string|Array} raw - JSON 字符串或已解析的数组
+ * @returns {Array}
+ */
+function parseFallbackChain(raw) {
+  if (Array.isArray(raw)) {
+    return raw
+  }
+  if (!raw || typeof raw !== 'string') {
+    return []
+  }
+  try {
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed) ? parsed : []
+  } catch (e) {
+    return []
+  }
+}
+
+/**
+ * 根据降级步骤的模型映射计算目标模型
+ * 优先精确匹配，其次使用通配符 '*'，否则保持原模型
+ * @param {Object} step - 降级步骤
+ * @param {string} model - 原始请求模型
+ * @returns {string} 映射后的模型
+ */
+function mapFallbackModel(step, model) {
+  const mapping = step?.modelMapping
+  if (!mapping) {
+    return model
+  }
+  if (model && mapping[model]) {
+    return mapping[model]
+  }
+  return mapping['*'] || model
+}
+
+module.exports = {
+  FALLBACK_ACCOUNT_TYPES,
+  FALLBACK_TRIGGER_CODES,
+  normalizeFallbackChain,
+  parseFallbackChain,
+  mapFallbackModel
+}
@@ -0,0 +1,141 @@
+/**
+ * 缓冲的响应代理：实现转发服务用到的 res 接口子集，对冲请求与流式故障转移的每次尝试各写入一个代理。
+ * 胜出前缓存状态码、响应头与数据；胜出后回放到真实响应并直接透传；落败时丢弃并触发 close。
+ */
+
+const { EventEmitter } = require('events')
+
+class HedgeResponseProxy extends EventEmitter {
+  constructor(onActivity) {
+    super()
+    this.onActivity = onActivity
+    this.target = null
+    this.closed = false
+    this.statusCode = 200
+    this.headers = {}
+    this.headWritten = false
+    this.chunks = []
+    this.ended = false
+    this.hasData = false
+  }
+
+  get headersSent() {
+    return this.target ? this.target.headersSent : this.headWritten
+  }
+
+  get destroyed() {
+    return this.target ? this.target.destroyed : this.closed
+  }
+
+  get writableEnded() {
+    return this.target ? this.target.writableEnded : this.ended
+  }
+
+  on(event, listener) {
+    // 已中止的代理上注册 close 监听时立即通知，避免晚注册的上游请求继续执行
+    if (event === 'close' && this.closed) {
+      setImmediate(listener)
+      return this
+    }
+    return super.on(event, listener)
+  }
+
+  status(code) {
+    if (this.target) {
+      this.target.status(code)
+    } else {
+      this.statusCode = code
+    }
+    return this
+  }
+
+  setHeader(name, value) {
+    if (this.target) {
+      this.target.setHeader(name, value)
+    } else {
+      this.headers[name] = value
+    }
+    return this
+  }
+
+  writeHead(statusCode, headers = {}) {
+    if (this.target) {
+      this.target.writeHead(statusCode, headers)
+      return this
+    }
+    this.statusCode = statusCode
+    Object.assign(this.headers, headers)
+    this.headWritten = true
+    return this
+  }
+
+  write(chunk) {
+    if (this.target) {
+      return this.target.write(chunk)
+    }
+    if (this.closed || this.ended) {
+      return false
+    }
+    this.chunks.push(chunk)
+    this.hasData = true
+    this.onActivity(this)
+    return true
+  }
+
+  end(chunk) {
+    if (this.target) {
+      this.target.end(chunk)
+      return this
+    }
+    if (this.closed || this.ended) {
+      return this
+    }
+    if (chunk) {
+      this.chunks.push(chunk)
+      this.hasData = true
+    }
+    this.ended = true
+    this.onActivity(this)
+    return this
+  }
+
+  isError() {
+    return this.statusCode >= 400
+  }
+
+  // 胜出：回放缓冲内容到真实响应，之后直接透传
+  flushTo(res) {
+    this.target = res
+    if (res.destroyed) {
+      return
+    }
+    if (!res.headersSent) {
+      res.statusCode = this.statusCode
+      for (const [name, value] of Object.entries(this.headers)) {
+        res.setHeader(name, value)
+      }
+      if (this.headWritten) {
+        res.writeHead(this.statusCode)
+      }
+    }
+    for (const chunk of this.chunks) {
+      res.write(chunk)
+    }
+    this.chunks = []
+    if (this.ended) {
+      res.end()
+    }
+  }
+
+  // 落败或客户端断开：丢弃缓冲并通知上游中止
+  abort() {
+    if (this.closed) {
+      return
+    }
+    this.closed = true
+    this.chunks = []
+    this.emit('close')
+  }
+}
+
+module.exports = HedgeResponseProxy
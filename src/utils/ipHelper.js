@@ -145,7 +145,8 @@ function getFallbackIPFromWhitelist() {
   const whitelist = config.security?.ipWhitelist?.allowedIps || []
 
   for (const ip of whitelist) {
-    if (!isPrivateIP(ip)) {
+    // 跳过 CIDR 网段，只使用单个地址
+    if (!ip.includes('/') && !isPrivateIP(ip)) {
       logger.info(`ℹ️ Using fallback IP from whitelist: ${ip}`)
       return ip
     }
@@ -0,0 +1,235 @@
+/**
+ * IP Network Helper
+ *
+ * IPv4 / IPv6 地址与 CIDR 网段工具，用于 IP 白名单、黑名单以及 API Key 的来源网段限制。
+ * 支持的写法：
+ *   - 单个地址：1.2.3.4、2001:db8::1
+ *   - CIDR 网段：10.0.0.0/8、2001:db8::/32
+ *   - IPv4 映射的 IPv6 地址（::ffff:1.2.3.4）按 IPv4 处理
+ */
+
+const net = require('net')
+
+const IPV4_BITS = 32
+const IPV6_BITS = 128
+
+/**
+ * 去掉方括号、zone id 以及 IPv4 映射前缀
+ * @param {string} ip - 原始地址
+ * @returns {string}
+ */
+function cleanIp(ip) {
+  let value = String(ip || '').trim()
+  if (value.startsWith('[') && value.endsWith(']')) {
+    value = value.slice(1, -1)
+  }
+  const zoneIndex = value.indexOf('%')
+  if (zoneIndex !== -1) {
+    value = value.slice(0, zoneIndex)
+  }
+  const mapped = value.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)
+  return mapped ? mapped[1] : value
+}
+
+function ipv4ToBigInt(ip) {
+  return ip.split('.').reduce((acc, part) => (acc << 8n) + BigInt(parseInt(part, 10)), 0n)
+}
+
+function ipv6ToBigInt(ip) {
+  let address = ip.toLowerCase()
+
+  // 末尾内嵌的 IPv4（如 64:ff9b::1.2.3.4）转换为两个 16 位分组
+  const embedded = address.match(/(\d+\.\d+\.\d+\.\d+)$/)
+  if (embedded) {
+    const v4 = ipv4ToBigInt(embedded[1])
+    const high = ((v4 >> 16n) & 0xffffn).toString(16)
+    const low = (v4 & 0xffffn).toString(16)
+    address = `${address.slice(0, -embedded[1].length)}${high}:${low}`
+  }
+
+  const [head, tail] = address.split('::')
+  const headGroups = head ? head.split(':') : []
+  const tailGroups = tail ? tail.split(':') : []
+  const missing = 8 - headGroups.length - tailGroups.length
+  const groups = address.includes('::')
+    ? [...headGroups, ...Array(missing).fill('0'), ...tailGroups]
+    : headGroups
+
+  return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group || '0', 16)), 0n)
+}
+
+/**
+ * 解析 IP 地址
+ * @param {string} ip - IP 地址
+ * @returns {{version: number, value: bigint}|null} 无法解析时返回 null
+ */
+function parseIp(ip) {
+  const address = cleanIp(ip)
+  const version = net.isIP(address)
+  if (version === 4) {
+    return { version: 4, value: ipv4ToBigInt(address) }
+  }
+  if (version === 6) {
+    return { version: 6, value: ipv6ToBigInt(address) }
+  }
+  return null
+}
+
+/**
+ * 解析网段（单个地址视为 /32 或 /128）
+ * @param {string} entry - 网段字符串
+ * @returns {{version: number, network: bigint, prefix: number, cidr: string}|null}
+ */
+function parseNetwork(entry) {
+  const raw = String(entry || '').trim()
+  if (!raw) {
+    return null
+  }
+
+  const slashIndex = raw.lastIndexOf('/')
+  const addressPart = slashIndex === -1 ? raw : raw.slice(0, slashIndex)
+  const prefixPart = slashIndex === -1 ? null : raw.slice(slashIndex + 1)
+
+  const parsed = parseIp(addressPart)
+  if (!parsed) {
+    return null
+  }
+
+  const bits = parsed.version === 4 ? IPV4_BITS : IPV6_BITS
+  let prefix = bits
+  if (prefixPart !== null) {
+    if (!/^\d{1,3}$/.test(prefixPart)) {
+      return null
+    }
+    prefix = parseInt(prefixPart, 10)
+    // ::ffff:a.b.c.d/N 写法的前缀按 IPv6 位数给出，换算为 IPv4 前缀
+    if (parsed.version === 4 && /^\[?::ffff:/i.test(addressPart)) {
+      prefix -= IPV6_BITS - IPV4_BITS
+    }
+    if (prefix < 0 || prefix > bits) {
+      return null
+    }
+  }
+
+  const hostBits = BigInt(bits - prefix)
+  const network = (parsed.value >> hostBits) << hostBits
+
+  return {
+    version: parsed.version,
+    network,
+    prefix,
+    cidr: `${formatIp(network, parsed.version)}/${prefix}`
+  }
+}
+
+/**
+ * 将数值形式的地址格式化为字符串（IPv6 使用 :: 压缩最长的零分组）
+ * @param {bigint} value - 地址数值
+ * @param {number} version - 4 或 6
+ * @returns {string}
+ */
+function formatIp(value, version) {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map((shift) => ((value >> shift) & 0xffn).toString()).join('.')
+  }
+
+  const groups = []
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16))
+  }
+
+  // 找出最长的连续零分组
+  let bestStart = -1
+  let bestLength = 0
+  for (let i = 0; i < groups.length; i++) {
+    if (groups[i] !== '0') {
+      continue
+    }
+    let length = 0
+    while (i + length < groups.length && groups[i + length] === '0') {
+      length++
+    }
+    if (length > bestLength && length > 1) {
+      bestStart = i
+      bestLength = length
+    }
+    i += length
+  }
+
+  if (bestStart === -1) {
+    return groups.join(':')
+  }
+  const head = groups.slice(0, bestStart).join(':')
+  const tail = groups.slice(bestStart + bestLength).join(':')
+  return `${head}::${tail}`
+}
+
+/**
+ * 判断地址是否属于网段列表中的任意一个
+ * @param {string} ip - IP 地址
+ * @param {Array<string|Object>} networks - 网段字符串或 parseNetwork 的结果
+ * @returns {boolean}
+ */
+function isIpInNetworks(ip, networks) {
+  const parsed = parseIp(ip)
+  if (!parsed || !Array.isArray(networks)) {
+    return false
+  }
+
+  return networks.some((entry) => {
+    const network = typeof entry === 'string' ? parseNetwork(entry) : entry
+    if (!network || network.version !== parsed.version) {
+      return false
+    }
+    const bits = network.version === 4 ? IPV4_BITS : IPV6_BITS
+    const hostBits = BigInt(bits - network.prefix)
+    return (parsed.value >> hostBits) << hostBits === network.network
+  })
+}
+
+/**
+ * 校验并规范化网段列表（去重，单个地址保留原写法，网段写为规范的网络地址）
+ * @param {Array<string>|string} list - 网段数组，或逗号/换行分隔的字符串
+ * @param {string} fieldName - 报错时使用的字段名
+ * @returns {Array<string>}
+ * @throws {Error} 存在无法解析的条目时抛出
+ */
+function normalizeNetworkList(list, fieldName = 'networks') {
+  if (list === null || list === undefined || list === '') {
+    return []
+  }
+
+  const items = typeof list === 'string' ? list.split(/[,\n]/) : list
+  if (!Array.isArray(items)) {
+    throw new Error(`${fieldName} must be an array`)
+  }
+
+  const normalized = []
+  for (const item of items) {
+    if (typeof item !== 'string') {
+      throw new Error(`${fieldName} must only contain strings`)
+    }
+    const trimmed = item.trim()
+    if (!trimmed) {
+      continue
+    }
+    const network = parseNetwork(trimmed)
+    if (!network) {
+      throw new Error(`${fieldName} contains an invalid IP address or CIDR range: ${trimmed}`)
+    }
+    const value = trimmed.includes('/') ? network.cidr : cleanIp(trimmed)
+    if (!normalized.includes(value)) {
+      normalized.push(value)
+    }
+  }
+  return normalized
+}
+
+module.exports = {
+  cleanIp,
+  parseIp,
+  parseNetwork,
+  formatIp,
+  isIpInNetworks,
+  normalizeNetworkList
+}
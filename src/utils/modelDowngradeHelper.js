@@ -0,0 +1,162 @@
+/**
+ * Model Downgrade Helper
+ *
+ * API Key 模型降级策略：当 Key 的费用或用量接近限制时，按规则透明地改写请求模型
+ * （例如 opus → sonnet → haiku），以更低的成本继续服务而不是直接拒绝。
+ *
+ * 规则结构（按顺序匹配，改写后的模型会继续参与后续规则的匹配，形成降级链）：
+ * [
+ *   { metric: 'dailyCost', threshold: 80, fromModel: 'opus', toModel: 'claude-sonnet-4-20250514' },
+ *   { metric: 'dailyCost', threshold: 95, fromModel: 'sonnet', toModel: 'claude-3-5-haiku-20241022' }
+ * ]
+ *
+ * - metric：参考的指标，threshold 为该指标占对应限制的百分比
+ * - fromModel：模型名包含该字符串（不区分大小写）时匹配，'*' 匹配所有模型
+ */
+
+// 支持的指标及其说明
+const DOWNGRADE_METRICS = {
+  dailyCost: '每日费用 / dailyCostLimit',
+  totalCost: '总费用 / totalCostLimit',
+  weeklyOpusCost: 'Opus 周费用 / weeklyOpusCostLimit',
+  costBudget: '周期预算花费 / costBudget.amount',
+  windowCost: '时间窗口费用 / rateLimitCost',
+  windowRequests: '时间窗口请求数 / rateLimitRequests'
+}
+
+/**
+ * 校验并规范化降级规则
+ * @param {Array} rules - 原始规则
+ * @returns {Array} 规范化后的规则
+ * @throws {Error} 配置不合法时抛出
+ */
+function normalizeModelDowngradeRules(rules) {
+  if (rules === null || rules === undefined || rules === '') {
+    return []
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('modelDowngradeRules must be an array')
+  }
+
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`modelDowngradeRules[${index}] must be an object`)
+    }
+    if (!Object.prototype.hasOwnProperty.call(DOWNGRADE_METRICS, rule.metric)) {
+      throw new Error(
+        `modelDowngradeRules[${index}].metric must be one of: ${Object.keys(DOWNGRADE_METRICS).join(', ')}`
+      )
+    }
+    const threshold = Number(rule.threshold)
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1000) {
+      throw new Error(
+        `modelDowngradeRules[${index}].threshold must be a percentage between 1 and 1000`
+      )
+    }
+    for (const field of ['fromModel', 'toModel']) {
+      if (typeof rule[field] !== 'string' || !rule[field].trim()) {
+        throw new Error(`modelDowngradeRules[${index}].${field} must be a non-empty string`)
+      }
+    }
+    if (rule.toModel.trim() === '*') {
+      throw new Error(`modelDowngradeRules[${index}].toModel must be a concrete model name`)
+    }
+
+    return {
+      metric: rule.metric,
+      threshold,
+      fromModel: rule.fromModel.trim(),
+      toModel: rule.toModel.trim()
+    }
+  })
+}
+
+/**
+ * 从 Redis 存储的字符串解析降级规则（解析失败时返回空数组）
+ * @param {string|Array} raw - JSON 字符串或已解析的数组
+ * @returns {Array}
+ */
+function parseModelDowngradeRules(raw) {
+  if (Array.isArray(raw)) {
+    return raw
+  }
+  if (!raw || typeof raw !== 'string') {
+    return []
+  }
+  try {
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed) ? parsed : []
+  } catch (e) {
+    return []
+  }
+}
+
+function matchesModel(pattern, model) {
+  return pattern === '*' || model.toLowerCase().includes(pattern.toLowerCase())
+}
+
+/**
+ * 按规则计算降级后的模型
+ * @param {Array} rules - 规范化后的规则
+ * @param {string} model - 请求模型
+ * @param {Object} metrics - 指标，形如 { dailyCost: { current, limit } }，limit 为 0 表示未设置
+ * @returns {{model: string, steps: Array<{from: string, to: string, metric: string, threshold: number, percent: number}>}|null}
+ *   未触发任何规则时返回 null
+ */
+function resolveDowngradedModel(rules, model, metrics) {
+  if (!Array.isArray(rules) || rules.length === 0 || typeof model !== 'string' || !model) {
+    return null
+  }
+
+  const percentOf = (metric) => {
+    const value = metrics?.[metric]
+    if (!value || !(value.limit > 0)) {
+      return null
+    }
+    return ((value.current || 0) / value.limit) * 100
+  }
+
+  let current = model
+  const visited = new Set([model])
+  const steps = []
+
+  // 每条规则最多生效一次，避免配置成环时死循环
+  const pending = [...rules]
+  let matched = true
+  while (matched) {
+    matched = false
+    for (let i = 0; i < pending.length; i++) {
+      const rule = pending[i]
+      const percent = percentOf(rule.metric)
+      if (
+        percent === null ||
+        percent < rule.threshold ||
+        !matchesModel(rule.fromModel, current) ||
+        visited.has(rule.toModel)
+      ) {
+        continue
+      }
+      steps.push({
+        from: current,
+        to: rule.toModel,
+        metric: rule.metric,
+        threshold: rule.threshold,
+        percent: Math.round(percent * 100) / 100
+      })
+      current = rule.toModel
+      visited.add(current)
+      pending.splice(i, 1)
+      matched = true
+      break
+    }
+  }
+
+  return steps.length > 0 ? { model: current, steps } : null
+}
+
+module.exports = {
+  DOWNGRADE_METRICS,
+  normalizeModelDowngradeRules,
+  parseModelDowngradeRules,
+  resolveDowngradedModel
+}
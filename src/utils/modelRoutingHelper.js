@@ -0,0 +1,206 @@
+/**
+ * Model Routing Helper
+ *
+ * 统一 /v1/chat/completions 端点的模型路由规则：按模型名匹配目标后端，并可选地改写为目标模型别名。
+ *
+ * 规则结构（按顺序匹配，第一条命中的规则生效）：
+ * [
+ *   { pattern: 'o3*', backend: 'openai', targetModel: '' },
+ *   { pattern: '/^deepseek-(chat|reasoner)$/', backend: 'claude', targetModel: 'ccr,deepseek-chat' }
+ * ]
+ *
+ * - pattern：默认为 glob（* 匹配任意字符，? 匹配单个字符），以 / 包裹时按正则处理；均不区分大小写
+ * - backend：目标后端，见 ROUTING_BACKENDS
+ * - targetModel：可选，命中后改写的模型名（留空保持原模型）
+ */
+
+const { parseVendorPrefixedModel } = require('./modelHelper')
+
+// 支持的后端及所需的 API Key 权限
+const ROUTING_BACKENDS = {
+  claude: 'claude',
+  openai: 'openai',
+  gemini: 'gemini'
+}
+
+// 带厂商前缀的模型（如 "ccr,model"）固定由对应后端处理
+const VENDOR_BACKENDS = {
+  ccr: 'claude'
+}
+
+const MAX_PATTERN_LENGTH = 200
+
+const isRegexPattern = (pattern) =>
+  pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')
+
+/**
+ * 将规则中的 pattern 编译为正则
+ * @param {string} pattern - glob 或 /regex/
+ * @returns {RegExp}
+ * @throws {Error} 正则不合法时抛出
+ */
+function compilePattern(pattern) {
+  if (isRegexPattern(pattern)) {
+    return new RegExp(pattern.slice(1, -1), 'i')
+  }
+  const source = pattern
+    .split('')
+    .map((char) => {
+      if (char === '*') {
+        return '.*'
+      }
+      if (char === '?') {
+        return '.'
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('')
+  return new RegExp(`^${source}$`, 'i')
+}
+
+/**
+ * 校验并规范化路由规则
+ * @param {Array} rules - 原始规则
+ * @param {string} field - 错误信息中使用的字段名
+ * @returns {Array} 规范化后的规则
+ * @throws {Error} 配置不合法时抛出
+ */
+function normalizeModelRoutingRules(rules, field = 'modelRoutingRules') {
+  if (rules === null || rules === undefined || rules === '') {
+    return []
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error(`${field} must be an array`)
+  }
+
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${field}[${index}] must be an object`)
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+      throw new Error(`${field}[${index}].pattern must be a non-empty string`)
+    }
+    const pattern = rule.pattern.trim()
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw new Error(`${field}[${index}].pattern must be at most ${MAX_PATTERN_LENGTH} characters`)
+    }
+    try {
+      compilePattern(pattern)
+    } catch (error) {
+      throw new Error(`${field}[${index}].pattern is not a valid regular expression`)
+    }
+    if (!Object.prototype.hasOwnProperty.call(ROUTING_BACKENDS, rule.backend)) {
+      throw new Error(
+        `${field}[${index}].backend must be one of: ${Object.keys(ROUTING_BACKENDS).join(', ')}`
+      )
+    }
+    if (
+      rule.targetModel !== undefined &&
+      rule.targetModel !== null &&
+      typeof rule.targetModel !== 'string'
+    ) {
+      throw new Error(`${field}[${index}].targetModel must be a string`)
+    }
+    const targetModel = (rule.targetModel || '').trim()
+    const { vendor } = parseVendorPrefixedModel(targetModel)
+    if (vendor && VENDOR_BACKENDS[vendor] !== rule.backend) {
+      throw new Error(
+        `${field}[${index}].targetModel with "${vendor}," prefix requires backend ${VENDOR_BACKENDS[vendor]}`
+      )
+    }
+
+    return {
+      pattern,
+      backend: rule.backend,
+      targetModel,
+      enabled: rule.enabled !== false
+    }
+  })
+}
+
+/**
+ * 从 Redis 存储的字符串解析路由规则（解析失败时返回空数组）
+ * @param {string|Array} raw - JSON 字符串或已解析的数组
+ * @returns {Array}
+ */
+function parseModelRoutingRules(raw) {
+  if (Array.isArray(raw)) {
+    return raw
+  }
+  if (!raw || typeof raw !== 'string') {
+    return []
+  }
+  try {
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed) ? parsed : []
+  } catch (e) {
+    return []
+  }
+}
+
+/**
+ * 查找第一条匹配模型的规则
+ * @param {Array} rules - 规范化后的规则
+ * @param {string} model - 模型名（不含厂商前缀）
+ * @returns {Object|null}
+ */
+function findMatchingRule(rules, model) {
+  if (!Array.isArray(rules) || typeof model !== 'string' || !model) {
+    return null
+  }
+  for (const rule of rules) {
+    if (rule.enabled === false) {
+      continue
+    }
+    try {
+      if (compilePattern(rule.pattern).test(model)) {
+        return rule
+      }
+    } catch (error) {
+      // 存储中的非法规则直接跳过（写入时已校验，这里仅防御旧数据）
+      continue
+    }
+  }
+  return null
+}
+
+/**
+ * 内置的前缀匹配（未配置规则或规则均未命中时使用）
+ * @param {string} modelName - 模型名
+ * @returns {string} 后端类型
+ */
+function detectBuiltinBackend(modelName) {
+  if (!modelName) {
+    return 'claude' // 默认 Claude
+  }
+
+  const model = modelName.toLowerCase()
+
+  // Claude 模型
+  if (model.startsWith('claude-')) {
+    return 'claude'
+  }
+
+  // Gemini 模型
+  if (model.startsWith('gemini-')) {
+    return 'gemini'
+  }
+
+  // OpenAI 模型
+  if (model.startsWith('gpt-')) {
+    return 'openai'
+  }
+
+  // 默认使用 Claude
+  return 'claude'
+}
+
+module.exports = {
+  ROUTING_BACKENDS,
+  VENDOR_BACKENDS,
+  compilePattern,
+  normalizeModelRoutingRules,
+  parseModelRoutingRules,
+  findMatchingRule,
+  detectBuiltinBackend
+}
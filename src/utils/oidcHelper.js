@@ -0,0 +1,298 @@
+/**
+ * OpenID Connect 工具函数
+ * PKCE 参数生成、ID Token 签名与声明校验、声明到用户信息和角色的映射
+ */
+
+const crypto = require('crypto')
+
+// JWS 算法 -> Node.js 摘要算法与签名参数
+const JWS_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+}
+
+const DEFAULT_CLOCK_SKEW_SECONDS = 60
+
+function base64UrlEncode(buffer) {
+  return Buffer.from(buffer).toString('base64url')
+}
+
+function randomToken(bytes = 32) {
+  return base64UrlEncode(crypto.randomBytes(bytes))
+}
+
+/**
+ * 计算登录 state 的浏览器绑定值（HMAC-SHA256），由 /oidc/login 写入 Cookie，
+ * 回调时与 state 比对，拒绝不是由当前浏览器发起的登录（RFC 6749 §10.12）
+ * @param {string} state - 登录 state
+ * @param {string} secret - 签名密钥
+ * @returns {string}
+ */
+function signState(state, secret) {
+  return base64UrlEncode(crypto.createHmac('sha256', secret).update(state).digest())
+}
+
+/**
+ * 校验浏览器 Cookie 中的 state 绑定值
+ * @returns {boolean}
+ */
+function verifyStateBinding(state, binding, secret) {
+  if (typeof state !== 'string' || !state || typeof binding !== 'string' || !binding) {
+    return false
+  }
+  const expected = Buffer.from(signState(state, secret))
+  const actual = Buffer.from(binding)
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+/**
+ * 解析请求头中的 Cookie
+ * @param {string} header - Cookie 请求头
+ * @returns {Object} 名称 -> 值
+ */
+function parseCookies(header) {
+  const cookies = {}
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=')
+    if (index <= 0) {
+      continue
+    }
+    const name = part.slice(0, index).trim()
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim())
+      } catch (e) {
+        cookies[name] = part.slice(index + 1).trim()
+      }
+    }
+  }
+  return cookies
+}
+
+/**
+ * 生成 PKCE 参数（S256）
+ * @returns {{codeVerifier: string, codeChallenge: string}}
+ */
+function createPkcePair() {
+  const codeVerifier = randomToken(48)
+  const codeChallenge = base64UrlEncode(crypto.createHash('sha256').update(codeVerifier).digest())
+  return { codeVerifier, codeChallenge }
+}
+
+/**
+ * 解析 JWT（不校验签名）
+ * @param {string} token - JWT 字符串
+ * @returns {{header: Object, payload: Object, signingInput: string, signature: Buffer}}
+ */
+function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : []
+  if (parts.length !== 3) {
+    throw new Error('Malformed JWT')
+  }
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    }
+  } catch (error) {
+    throw new Error('Malformed JWT')
+  }
+}
+
+/**
+ * 在 JWKS 中查找签名密钥
+ * @param {Object} jwks - { keys: [...] }
+ * @param {Object} header - JWT 头
+ * @returns {Object|null} JWK
+ */
+function findSigningKey(jwks, header) {
+  const keys = (jwks?.keys || []).filter((key) => !key.use || key.use === 'sig')
+  if (header.kid) {
+    return keys.find((key) => key.kid === header.kid) || null
+  }
+  // 没有 kid 时只在唯一匹配的情况下使用
+  const candidates = keys.filter((key) => !key.alg || key.alg === header.alg)
+  return candidates.length === 1 ? candidates[0] : null
+}
+
+/**
+ * 使用 JWK 校验 JWT 签名
+ * @param {Object} decoded - decodeJwt 的结果
+ * @param {Object} jwk - 签名公钥
+ * @returns {boolean}
+ */
+function verifyJwtSignature(decoded, jwk) {
+  const algorithm = JWS_ALGORITHMS[decoded.header.alg]
+  if (!algorithm) {
+    throw new Error(`Unsupported ID token algorithm: ${decoded.header.alg}`)
+  }
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' })
+  const verifyOptions = { key: publicKey }
+  if (algorithm.padding) {
+    verifyOptions.padding = algorithm.padding
+    verifyOptions.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST
+  }
+  if (algorithm.dsaEncoding) {
+    verifyOptions.dsaEncoding = algorithm.dsaEncoding
+  }
+  return crypto.verify(
+    algorithm.hash,
+    Buffer.from(decoded.signingInput),
+    verifyOptions,
+    decoded.signature
+  )
+}
+
+/**
+ * 校验 ID Token 的标准声明
+ * @param {Object} payload - ID Token 声明
+ * @param {Object} expected - { issuer, clientId, nonce, now }
+ * @throws {Error} 校验失败时抛出
+ */
+function validateIdTokenClaims(payload, expected) {
+  const now = expected.now || Math.floor(Date.now() / 1000)
+  const skew = expected.clockSkewSeconds ?? DEFAULT_CLOCK_SKEW_SECONDS
+
+  if (payload.iss !== expected.issuer) {
+    throw new Error('ID token issuer mismatch')
+  }
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud]
+  if (!audiences.includes(expected.clientId)) {
+    throw new Error('ID token audience mismatch')
+  }
+  if (audiences.length > 1 && payload.azp && payload.azp !== expected.clientId) {
+    throw new Error('ID token authorized party mismatch')
+  }
+  if (typeof payload.exp !== 'number' || payload.exp + skew < now) {
+    throw new Error('ID token expired')
+  }
+  if (typeof payload.iat === 'number' && payload.iat - skew > now) {
+    throw new Error('ID token issued in the future')
+  }
+  if (payload.nonce !== expected.nonce) {
+    throw new Error('ID token nonce mismatch')
+  }
+  if (!payload.sub) {
+    throw new Error('ID token has no subject')
+  }
+}
+
+/**
+ * 读取声明，支持 a.b.c 形式的嵌套路径
+ */
+function getClaim(claims, path) {
+  if (!path) {
+    return undefined
+  }
+  if (Object.prototype.hasOwnProperty.call(claims, path)) {
+    return claims[path]
+  }
+  return path
+    .split('.')
+    .reduce(
+      (value, key) => (value === null || value === undefined ? undefined : value[key]),
+      claims
+    )
+}
+
+function toStringValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? String(value[0]) : ''
+  }
+  return value === null || value === undefined ? '' : String(value)
+}
+
+/**
+ * 按映射配置从声明中提取用户信息（与 LDAP userMapping 的字段一致）
+ * @param {Object} claims - ID Token 与 UserInfo 合并后的声明
+ * @param {Object} mapping - { username, displayName, email, firstName, lastName, groups }
+ * @returns {Object} { username, displayName, email, firstName, lastName, groups }
+ */
+function mapClaimsToUser(claims, mapping) {
+  const username = toStringValue(getClaim(claims, mapping.username)).trim()
+  const firstName = toStringValue(getClaim(claims, mapping.firstName))
+  const lastName = toStringValue(getClaim(claims, mapping.lastName))
+  let displayName = toStringValue(getClaim(claims, mapping.displayName))
+
+  // 没有显示名时尝试组合名和姓
+  if (!displayName) {
+    displayName = `${firstName} ${lastName}`.trim() || username
+  }
+
+  const rawGroups = getClaim(claims, mapping.groups)
+  let groups = []
+  if (Array.isArray(rawGroups)) {
+    groups = rawGroups.map(String)
+  } else if (typeof rawGroups === 'string' && rawGroups) {
+    groups = rawGroups.split(/[,\s]+/).filter(Boolean)
+  }
+
+  return {
+    username,
+    displayName,
+    email: toStringValue(getClaim(claims, mapping.email)),
+    firstName,
+    lastName,
+    groups
+  }
+}
+
+/**
+ * 解析组到角色的映射配置
+ * @param {string|Array} mapping - "组:角色,组:角色" 或 [{ group, role }]
+ * @returns {Array<{group: string, role: string}>}
+ */
+function parseRoleMapping(mapping) {
+  if (Array.isArray(mapping)) {
+    return mapping.filter((item) => item && item.group && item.role)
+  }
+  return String(mapping || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      // 组名本身可能包含冒号（如 URN），以最后一个冒号分隔角色
+      const index = item.lastIndexOf(':')
+      return index > 0
+        ? { group: item.slice(0, index).trim(), role: item.slice(index + 1).trim() }
+        : null
+    })
+    .filter((item) => item && item.group && item.role)
+}
+
+/**
+ * 按映射顺序返回第一个匹配的角色
+ * @param {string[]} groups - 用户所属组
+ * @param {Array<{group: string, role: string}>} mapping - 解析后的映射
+ * @returns {string|null}
+ */
+function resolveMappedRole(groups, mapping) {
+  const groupSet = new Set(groups || [])
+  const matched = mapping.find((item) => groupSet.has(item.group))
+  return matched ? matched.role : null
+}
+
+module.exports = {
+  randomToken,
+  signState,
+  verifyStateBinding,
+  parseCookies,
+  createPkcePair,
+  decodeJwt,
+  findSigningKey,
+  verifyJwtSignature,
+  validateIdTokenClaims,
+  getClaim,
+  mapClaimsToUser,
+  parseRoleMapping,
+  resolveMappedRole
+}
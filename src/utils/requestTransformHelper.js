@@ -0,0 +1,463 @@
+/**
+ * Request Transform Helper
+ *
+ * 账户 / 分组级请求转换管道的纯逻辑部分：规则校验与按顺序应用。
+ * 规则在各转发服务发往上游前执行（分组规则在前，账户规则在后），用于适配上游的各种特殊要求。
+ *
+ * 规则结构（按数组顺序依次执行，enabled: false 的规则跳过）：
+ * [
+ *   { type: 'set_header', name: 'x-upstream-team', value: 'alpha' },
+ *   { type: 'remove_header', name: 'anthropic-beta' },
+ *   { type: 'set_body_field', path: 'metadata.user_id', value: 'relay' },
+ *   { type: 'remove_body_field', path: 'temperature' },
+ *   { type: 'inject_system', text: '...', position: 'prepend' },
+ *   { type: 'replace_system', pattern: '/Claude Code/', replacement: 'Assistant' },
+ *   { type: 'rewrite_model', pattern: 'claude-3-5-*', target: 'claude-sonnet-4-20250514' }
+ * ]
+ *
+ * - path：以 . 分隔的 JSON 路径，数字段表示数组下标（如 tools.0.name）
+ * - replace_system.pattern：普通文本或 /regex/，留空时整体替换系统提示词
+ * - rewrite_model.pattern：glob（* / ?）或 /regex/，不区分大小写
+ */
+
+const { compilePattern } = require('./modelRoutingHelper')
+
+const TRANSFORM_RULE_TYPES = [
+  'set_header',
+  'remove_header',
+  'set_body_field',
+  'remove_body_field',
+  'inject_system',
+  'replace_system',
+  'rewrite_model'
+]
+
+// 规则可以配置在账户或账户分组上
+const TRANSFORM_SCOPES = ['account', 'group']
+
+// 请求格式决定系统提示词所在的位置
+const REQUEST_FORMATS = ['claude', 'openai', 'responses', 'gemini']
+
+const MAX_RULES = 50
+const MAX_TEXT_LENGTH = 20000
+const MAX_PATTERN_LENGTH = 200
+
+const HEADER_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/
+// 由转发服务根据最终请求体计算，不允许规则修改
+const PROTECTED_HEADERS = new Set(['host', 'content-length', 'transfer-encoding', 'connection'])
+const FORBIDDEN_PATH_SEGMENTS = new Set(['__proto__', 'prototype', 'constructor'])
+
+const isRegexPattern = (pattern) =>
+  pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')
+
+function splitPath(path) {
+  return String(path)
+    .split('.')
+    .map((segment) => segment.trim())
+}
+
+/**
+ * 校验并规范化转换规则
+ * @param {Array} rules - 原始规则
+ * @param {string} field - 错误信息中使用的字段名
+ * @returns {Array} 规范化后的规则
+ * @throws {Error} 配置不合法时抛出
+ */
+function normalizeTransformRules(rules, field = 'rules') {
+  if (rules === null || rules === undefined || rules === '') {
+    return []
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error(`${field} must be an array`)
+  }
+  if (rules.length > MAX_RULES) {
+    throw new Error(`${field} must contain at most ${MAX_RULES} rules`)
+  }
+
+  return rules.map((rule, index) => {
+    const prefix = `${field}[${index}]`
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${prefix} must be an object`)
+    }
+    if (!TRANSFORM_RULE_TYPES.includes(rule.type)) {
+      throw new Error(`${prefix}.type must be one of: ${TRANSFORM_RULE_TYPES.join(', ')}`)
+    }
+
+    const requireString = (key, { allowEmpty = false, maxLength = MAX_TEXT_LENGTH } = {}) => {
+      const value = rule[key] === undefined || rule[key] === null ? '' : rule[key]
+      if (typeof value !== 'string' || (!allowEmpty && !value.trim())) {
+        throw new Error(`${prefix}.${key} must be a non-empty string`)
+      }
+      if (value.length > maxLength) {
+        throw new Error(`${prefix}.${key} must be at most ${maxLength} characters`)
+      }
+      return value
+    }
+
+    const normalized = { type: rule.type, enabled: rule.enabled !== false }
+    if (typeof rule.description === 'string' && rule.description.trim()) {
+      normalized.description = rule.description.trim().slice(0, 200)
+    }
+
+    switch (rule.type) {
+      case 'set_header':
+      case 'remove_header': {
+        const name = requireString('name', { maxLength: 100 }).trim()
+        if (!HEADER_NAME_PATTERN.test(name)) {
+          throw new Error(`${prefix}.name is not a valid header name`)
+        }
+        if (PROTECTED_HEADERS.has(name.toLowerCase())) {
+          throw new Error(`${prefix}.name ${name} is managed by the relay and cannot be changed`)
+        }
+        normalized.name = name
+        if (rule.type === 'set_header') {
+          const value = requireString('value', { allowEmpty: true, maxLength: 4096 })
+          if (/[\r\n]/.test(value)) {
+            throw new Error(`${prefix}.value must not contain line breaks`)
+          }
+          normalized.value = value
+        }
+        break
+      }
+      case 'set_body_field':
+      case 'remove_body_field': {
+        const path = requireString('path', { maxLength: MAX_PATTERN_LENGTH }).trim()
+        const segments = splitPath(path)
+        if (segments.some((segment) => !segment || FORBIDDEN_PATH_SEGMENTS.has(segment))) {
+          throw new Error(`${prefix}.path is not a valid field path`)
+        }
+        normalized.path = segments.join('.')
+        if (rule.type === 'set_body_field') {
+          if (rule.value === undefined) {
+            throw new Error(`${prefix}.value is required`)
+          }
+          if (JSON.stringify(rule.value).length > MAX_TEXT_LENGTH) {
+            throw new Error(`${prefix}.value is too large`)
+          }
+          normalized.value = rule.value
+        }
+        break
+      }
+      case 'inject_system': {
+        normalized.text = requireString('text')
+        const position = rule.position || 'prepend'
+        if (!['prepend', 'append'].includes(position)) {
+          throw new Error(`${prefix}.position must be one of: prepend, append`)
+        }
+        normalized.position = position
+        break
+      }
+      case 'replace_system': {
+        const pattern = requireString('pattern', {
+          allowEmpty: true,
+          maxLength: MAX_PATTERN_LENGTH
+        })
+        if (pattern && isRegexPattern(pattern)) {
+          try {
+            new RegExp(pattern.slice(1, -1), 'g')
+          } catch (error) {
+            throw new Error(`${prefix}.pattern is not a valid regular expression`)
+          }
+        }
+        normalized.pattern = pattern
+        normalized.replacement = requireString('replacement', { allowEmpty: true })
+        break
+      }
+      case 'rewrite_model': {
+        const pattern = requireString('pattern', { maxLength: MAX_PATTERN_LENGTH }).trim()
+        try {
+          compilePattern(pattern)
+        } catch (error) {
+          throw new Error(`${prefix}.pattern is not a valid regular expression`)
+        }
+        normalized.pattern = pattern
+        normalized.target = requireString('target', { maxLength: MAX_PATTERN_LENGTH }).trim()
+        break
+      }
+      default:
+        break
+    }
+
+    return normalized
+  })
+}
+
+/**
+ * 从 Redis 存储的字符串解析转换规则（解析失败时返回空数组）
+ * @param {string|Array} raw - JSON 字符串或已解析的数组
+ * @returns {Array}
+ */
+function parseTransformRules(raw) {
+  if (Array.isArray(raw)) {
+    return raw
+  }
+  if (!raw) {
+    return []
+  }
+  try {
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed) ? parsed : []
+  } catch (error) {
+    return []
+  }
+}
+
+// ===== 请求头 =====
+
+function deleteHeader(headers, name) {
+  const lowerName = name.toLowerCase()
+  let removed = false
+  for (const key of Object.keys(headers)) {
+    if (key.toLowerCase() === lowerName) {
+      delete headers[key]
+      removed = true
+    }
+  }
+  return removed
+}
+
+// ===== 请求体字段 =====
+
+function setBodyField(body, path, value) {
+  const segments = splitPath(path)
+  let target = body
+  for (let i = 0; i < segments.length - 1; i++) {
+    const segment = segments[i]
+    if (!target[segment] || typeof target[segment] !== 'object') {
+      target[segment] = /^\d+$/.test(segments[i + 1]) ? [] : {}
+    }
+    target = target[segment]
+  }
+  target[segments[segments.length - 1]] = value
+  return true
+}
+
+function removeBodyField(body, path) {
+  const segments = splitPath(path)
+  let target = body
+  for (let i = 0; i < segments.length - 1; i++) {
+    target = target?.[segments[i]]
+    if (!target || typeof target !== 'object') {
+      return false
+    }
+  }
+  const last = segments[segments.length - 1]
+  if (!Object.prototype.hasOwnProperty.call(target, last)) {
+    return false
+  }
+  if (Array.isArray(target) && /^\d+$/.test(last)) {
+    target.splice(Number(last), 1)
+  } else {
+    delete target[last]
+  }
+  return true
+}
+
+// ===== 系统提示词 =====
+
+function replaceText(text, pattern, replacement) {
+  if (typeof text !== 'string') {
+    return text
+  }
+  if (isRegexPattern(pattern)) {
+    return text.replace(new RegExp(pattern.slice(1, -1), 'g'), replacement)
+  }
+  return text.split(pattern).join(replacement)
+}
+
+function replaceInParts(parts, pattern, replacement, textKey = 'text') {
+  return parts.map((part) =>
+    part && typeof part[textKey] === 'string'
+      ? { ...part, [textKey]: replaceText(part[textKey], pattern, replacement) }
+      : part
+  )
+}
+
+const OPENAI_SYSTEM_ROLES = new Set(['system', 'developer'])
+
+const systemAdapters = {
+  claude: {
+    inject(body, text, position) {
+      if (Array.isArray(body.system)) {
+        const block = { type: 'text', text }
+        body.system = position === 'append' ? [...body.system, block] : [block, ...body.system]
+      } else if (typeof body.system === 'string' && body.system) {
+        body.system =
+          position === 'append' ? `${body.system}\n\n${text}` : `${text}\n\n${body.system}`
+      } else {
+        body.system = text
+      }
+    },
+    replace(body, pattern, replacement) {
+      if (!pattern) {
+        body.system = replacement
+      } else if (Array.isArray(body.system)) {
+        body.system = replaceInParts(body.system, pattern, replacement)
+      } else {
+        body.system = replaceText(body.system, pattern, replacement)
+      }
+    }
+  },
+  openai: {
+    inject(body, text, position) {
+      const messages = Array.isArray(body.messages) ? [...body.messages] : []
+      let index = 0
+      if (position === 'append') {
+        while (index < messages.length && OPENAI_SYSTEM_ROLES.has(messages[index]?.role)) {
+          index++
+        }
+      }
+      messages.splice(index, 0, { role: 'system', content: text })
+      body.messages = messages
+    },
+    replace(body, pattern, replacement) {
+      const messages = Array.isArray(body.messages) ? body.messages : []
+      if (!pattern) {
+        body.messages = [
+          { role: 'system', content: replacement },
+          ...messages.filter((message) => !OPENAI_SYSTEM_ROLES.has(message?.role))
+        ]
+        return
+      }
+      body.messages = messages.map((message) => {
+        if (!OPENAI_SYSTEM_ROLES.has(message?.role)) {
+          return message
+        }
+        const content = Array.isArray(message.content)
+          ? replaceInParts(message.content, pattern, replacement)
+          : replaceText(message.content, pattern, replacement)
+        return { ...message, content }
+      })
+    }
+  },
+  responses: {
+    inject(body, text, position) {
+      const current = typeof body.instructions === 'string' ? body.instructions : ''
+      if (!current) {
+        body.instructions = text
+      } else {
+        body.instructions =
+          position === 'append' ? `${current}\n\n${text}` : `${text}\n\n${current}`
+      }
+    },
+    replace(body, pattern, replacement) {
+      body.instructions = pattern
+        ? replaceText(body.instructions, pattern, replacement)
+        : replacement
+    }
+  },
+  gemini: {
+    _key(body) {
+      return body.system_instruction && !body.systemInstruction
+        ? 'system_instruction'
+        : 'systemInstruction'
+    },
+    inject(body, text, position) {
+      const key = this._key(body)
+      const parts = Array.isArray(body[key]?.parts) ? body[key].parts : []
+      body[key] = {
+        ...(body[key] || {}),
+        parts: position === 'append' ? [...parts, { text }] : [{ text }, ...parts]
+      }
+    },
+    replace(body, pattern, replacement) {
+      const key = this._key(body)
+      if (!pattern) {
+        body[key] = { ...(body[key] || {}), parts: [{ text: replacement }] }
+      } else if (Array.isArray(body[key]?.parts)) {
+        body[key] = { ...body[key], parts: replaceInParts(body[key].parts, pattern, replacement) }
+      }
+    }
+  }
+}
+
+/**
+ * 按顺序应用转换规则（不修改传入对象）
+ * @param {Array} rules - 规范化后的规则
+ * @param {Object} request - { headers, body, model }，只传入的部分会被转换；
+ *   model 仅用于模型不在请求体中的格式（如 Gemini）
+ * @param {string} format - 请求格式，见 REQUEST_FORMATS
+ * @returns {Object} { headers, body, model, applied }，applied 为实际生效的规则下标与类型
+ */
+function applyTransformRules(rules, request = {}, format = 'claude') {
+  const activeRules = (Array.isArray(rules) ? rules : []).filter((rule) => rule.enabled !== false)
+  if (activeRules.length === 0) {
+    return { ...request, applied: [] }
+  }
+
+  const hasHeaders = request.headers && typeof request.headers === 'object'
+  const headers = hasHeaders ? { ...request.headers } : request.headers
+  const hasBody = request.body && typeof request.body === 'object'
+  const body = hasBody ? JSON.parse(JSON.stringify(request.body)) : request.body
+  let { model } = request
+  const adapter = systemAdapters[format] || systemAdapters.claude
+  const applied = []
+
+  rules.forEach((rule, index) => {
+    if (rule.enabled === false) {
+      return
+    }
+    let changed = false
+
+    switch (rule.type) {
+      case 'set_header':
+        if (hasHeaders) {
+          deleteHeader(headers, rule.name)
+          headers[rule.name] = rule.value
+          changed = true
+        }
+        break
+      case 'remove_header':
+        changed = hasHeaders && deleteHeader(headers, rule.name)
+        break
+      case 'set_body_field':
+        changed = hasBody && setBodyField(body, rule.path, JSON.parse(JSON.stringify(rule.value)))
+        break
+      case 'remove_body_field':
+        changed = hasBody && removeBodyField(body, rule.path)
+        break
+      case 'inject_system':
+        if (hasBody) {
+          adapter.inject(body, rule.text, rule.position)
+          changed = true
+        }
+        break
+      case 'replace_system':
+        if (hasBody) {
+          const before = JSON.stringify(body)
+          adapter.replace(body, rule.pattern, rule.replacement)
+          changed = JSON.stringify(body) !== before
+        }
+        break
+      case 'rewrite_model': {
+        const regex = compilePattern(rule.pattern)
+        if (typeof model === 'string' && regex.test(model)) {
+          model = rule.target
+          changed = true
+        }
+        if (hasBody && typeof body.model === 'string' && regex.test(body.model)) {
+          body.model = rule.target
+          changed = true
+        }
+        break
+      }
+      default:
+        break
+    }
+
+    if (changed) {
+      applied.push({ index, type: rule.type, ...(rule.source ? { source: rule.source } : {}) })
+    }
+  })
+
+  return { ...request, headers, body, model, applied }
+}
+
+module.exports = {
+  TRANSFORM_RULE_TYPES,
+  TRANSFORM_SCOPES,
+  REQUEST_FORMATS,
+  normalizeTransformRules,
+  parseTransformRules,
+  applyTransformRules
+}
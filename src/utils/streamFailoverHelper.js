@@ -0,0 +1,64 @@
+/**
+ * Stream Failover Helper
+ *
+ * 流式故障转移的纯逻辑部分：判断缓冲的 SSE 前导内容中是否已经出现真正的内容事件，
+ * 以及一次失败的尝试是否允许切换账户重试。
+ * 前导事件（message_start / ping）可以安全丢弃并在另一个账户上重放，一旦出现内容块
+ * 事件就必须提交给客户端，之后的失败不再转移。
+ */
+
+// 出现以下事件即视为已开始输出内容
+const CONTENT_EVENT_TYPES = new Set([
+  'content_block_start',
+  'content_block_delta',
+  'content_block_stop',
+  'message_delta',
+  'message_stop'
+])
+
+// 账户级别的错误状态码（换账户可能成功）；其余 4xx 为请求本身的问题，不转移
+const ACCOUNT_ERROR_STATUS_CODES = new Set([401, 403, 429])
+
+/**
+ * 检查缓冲的 SSE 文本中是否已经出现内容事件
+ * @param {string} text - 已缓冲的 SSE 文本
+ * @returns {boolean}
+ */
+function hasContentStarted(text) {
+  if (!text) {
+    return false
+  }
+  for (const line of text.split('\n')) {
+    if (!line.startsWith('data:')) {
+      continue
+    }
+    const jsonStr = line.slice(5).trim()
+    if (!jsonStr || jsonStr === '[DONE]') {
+      continue
+    }
+    try {
+      if (CONTENT_EVENT_TYPES.has(JSON.parse(jsonStr).type)) {
+        return true
+      }
+    } catch (error) {
+      // 不完整或非 JSON 行，继续检查
+    }
+  }
+  return false
+}
+
+/**
+ * 判断未开始输出内容的尝试是否可以切换账户重试
+ * @param {number} statusCode - 该尝试写入的响应状态码
+ * @returns {boolean}
+ */
+function isFailoverEligibleStatus(statusCode) {
+  const status = Number(statusCode) || 0
+  return status < 400 || status >= 500 || ACCOUNT_ERROR_STATUS_CODES.has(status)
+}
+
+module.exports = {
+  CONTENT_EVENT_TYPES,
+  hasContentStarted,
+  isFailoverEligibleStatus
+}
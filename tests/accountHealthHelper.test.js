@@ -0,0 +1,102 @@
+/**
+ * 账户健康度与加权调度测试
+ * 测试 TTFB 百分位、错误率 / 过载率对权重的影响，以及同优先级内按权重排序
+ */
+
+const redis = require('../src/models/redis')
+const accountHealthService = require('../src/services/accountHealthService')
+const {
+  normalizeSchedulingStrategy,
+  percentile,
+  summarizeHealth,
+  orderAccountsByWeight
+} = require('../src/utils/accountHealthHelper')
+
+describe('accountHealthHelper', () => {
+  it('validates the group scheduling strategy', () => {
+    expect(normalizeSchedulingStrategy(undefined)).toBe('priority')
+    expect(normalizeSchedulingStrategy('weighted')).toBe('weighted')
+    expect(() => normalizeSchedulingStrategy('random')).toThrow(
+      'schedulingStrategy must be one of: priority, weighted'
+    )
+  })
+
+  it('computes percentiles and down-weights slow or failing accounts', () => {
+    expect(percentile([500, 100, 300, 200, 400], 50)).toBe(300)
+    expect(percentile([500, 100, 300, 200, 400], 95)).toBe(500)
+
+    const healthy = summarizeHealth({ ttfbSamples: [800, 900, 1000, 1100, 1200], total: 50 })
+    expect(healthy).toMatchObject({ p50: 1000, p95: 1200, weight: 1 })
+
+    const slow = summarizeHealth({ ttfbSamples: [5000, 6000, 7000, 8000, 9000], total: 50 })
+    expect(slow).toMatchObject({ p50: 7000, p95: 9000 })
+    expect(slow.weight).toBe(0.38) // 3000 / ((7000 + 9000) / 2)
+
+    const failing = summarizeHealth({ total: 20, errors: 4, overloads: 2 })
+    expect(failing).toMatchObject({ errorRate: 0.2, overloadRate: 0.1 })
+    expect(failing.weight).toBe(0.54) // (1 - 0.2 * 2) * (1 - 0.1)
+
+    // 样本不足时不降权
+    expect(summarizeHealth({ total: 2, errors: 2 }).weight).toBe(1)
+    expect(summarizeHealth({ total: 100, errors: 100 }).weight).toBe(0.05)
+  })
+
+  it('keeps priority tiers and orders accounts by weight within a tier', () => {
+    const accounts = [
+      { accountId: 'backup', priority: 80 },
+      { accountId: 'degraded', priority: 50 },
+      { accountId: 'healthy', priority: 50 }
+    ]
+    const weights = { backup: 1, degraded: 0.1, healthy: 1 }
+    const ordered = orderAccountsByWeight(accounts, weights, () => 0.5)
+    expect(ordered.map((account) => account.accountId)).toEqual(['healthy', 'degraded', 'backup'])
+
+    // 加权随机：降权账户大多数情况下排在后面
+    let degradedFirst = 0
+    for (let i = 0; i < 1000; i++) {
+      const [first] = orderAccountsByWeight(accounts, weights)
+      if (first.accountId === 'degraded') {
+        degradedFirst++
+      }
+    }
+    expect(degradedFirst).toBeLessThan(200)
+  })
+})
+
+describe('accountHealthService.getAccountHealth', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('aggregates TTFB samples and per-minute outcome buckets', async () => {
+    const pipeline = {
+      lrange: jest.fn().mockReturnThis(),
+      hgetall: jest.fn().mockReturnThis(),
+      exec: jest
+        .fn()
+        .mockResolvedValue([
+          [null, ['1000', '2000', '3000', '4000', '5000']],
+          [null, { total: '10', errors: '1', overloads: '1' }],
+          [null, { total: '10' }],
+          ...Array.from({ length: 13 }, () => [null, {}])
+        ])
+    }
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue({ pipeline: () => pipeline })
+
+    const health = await accountHealthService.getAccountHealth('acc-1')
+
+    expect(pipeline.lrange).toHaveBeenCalledWith('account_health:ttfb:acc-1', 0, -1)
+    expect(pipeline.hgetall).toHaveBeenCalledTimes(15)
+    expect(health).toMatchObject({
+      samples: 5,
+      p50: 3000,
+      p95: 5000,
+      total: 20,
+      errors: 1,
+      overloads: 1,
+      errorRate: 0.05
+    })
+    // 延迟 (3000 + 5000) / 2 = 4000 → 0.75，错误 ×0.9，过载 ×0.95
+    expect(health.weight).toBe(0.64)
+  })
+})
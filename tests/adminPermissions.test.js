@@ -0,0 +1,238 @@
+/**
+ * 管理员权限测试
+ * 测试路由权限表解析、内置角色、管理员身份服务与 authenticateAdmin 的权限检查
+ */
+
+const redis = require('../src/models/redis')
+const adminIdentityService = require('../src/services/adminIdentityService')
+const twoFactorService = require('../src/services/twoFactorService')
+const { authenticateAdmin } = require('../src/middleware/auth')
+const { createFakeRedisClient } = require('./helpers/fakeRedis')
+const {
+  ADMIN_SCOPES,
+  BUILTIN_ROLES,
+  resolveRequiredScope,
+  hasScope,
+  getRoleScopes
+} = require('../src/utils/adminPermissions')
+
+describe('adminPermissions', () => {
+  it('maps admin routes to scopes and keeps credential access separate', () => {
+    expect(resolveRequiredScope('GET', '/admin/dashboard')).toBe('usage:read')
+    expect(resolveRequiredScope('GET', '/admin/usage-costs')).toBe('billing:read')
+    expect(resolveRequiredScope('GET', '/admin/api-keys')).toBe('keys:read')
+    expect(resolveRequiredScope('POST', '/admin/api-keys/batch-stats')).toBe('keys:read')
+    expect(resolveRequiredScope('PUT', '/admin/api-keys/key-1')).toBe('keys:write')
+    expect(resolveRequiredScope('GET', '/admin/claude-accounts')).toBe('accounts:read')
+    expect(resolveRequiredScope('PUT', '/admin/claude-accounts/acc-1/toggle-schedulable')).toBe(
+      'accounts:write'
+    )
+    expect(resolveRequiredScope('PUT', '/admin/claude-accounts/acc-1')).toBe('accounts:credentials')
+    expect(resolveRequiredScope('POST', '/admin/gemini-accounts/exchange-code')).toBe(
+      'accounts:credentials'
+    )
+    expect(resolveRequiredScope('GET', '/admin/droid-accounts/acc-1')).toBe('accounts:credentials')
+    expect(resolveRequiredScope('DELETE', '/admin/ccr-accounts/acc-1')).toBe('accounts:write')
+    expect(resolveRequiredScope('POST', '/admin/webhook/config')).toBe('settings:write')
+    expect(resolveRequiredScope('GET', '/admin/webhook/config')).toBe('settings:read')
+    expect(resolveRequiredScope('GET', '/admin/audit-logs')).toBe('audit:read')
+    expect(resolveRequiredScope('PATCH', '/users/user-1/role')).toBe('users:write')
+    expect(resolveRequiredScope('POST', '/web/auth/2fa/setup')).toBe('')
+  })
+
+  it('fails closed for undeclared routes', () => {
+    expect(resolveRequiredScope('POST', '/admin/some-new-endpoint')).toBeNull()
+    expect(hasScope(['usage:read', 'keys:write'], null)).toBe(false)
+    expect(hasScope(['*'], null)).toBe(true)
+    expect(hasScope(['usage:read'], '')).toBe(true)
+  })
+
+  it('defines built-in roles using known scopes only', () => {
+    for (const [role, definition] of Object.entries(BUILTIN_ROLES)) {
+      for (const scope of definition.scopes) {
+        expect(scope === '*' || ADMIN_SCOPES[scope]).toBeTruthy()
+      }
+      expect(getRoleScopes(role)).toEqual(definition.scopes)
+    }
+    expect(getRoleScopes('viewer')).not.toContain('accounts:credentials')
+    expect(getRoleScopes('billing_viewer')).toContain('billing:read')
+    expect(getRoleScopes('constructor')).toBeNull()
+  })
+})
+
+describe('adminIdentityService', () => {
+  let client
+
+  beforeEach(() => {
+    client = createFakeRedisClient()
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(client)
+    jest.spyOn(redis, 'getSession').mockResolvedValue({ username: 'owner' })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('creates identities and rejects duplicates or the owner name', async () => {
+    const identity = await adminIdentityService.createIdentity(
+      { username: 'support', password: 'password123', role: 'viewer' },
+      'owner'
+    )
+    expect(identity).toMatchObject({ username: 'support', role: 'viewer', isActive: true })
+    expect(identity.passwordHash).toBeUndefined()
+
+    await expect(
+      adminIdentityService.createIdentity({
+        username: 'Support',
+        password: 'password123',
+        role: 'viewer'
+      })
+    ).rejects.toMatchObject({ statusCode: 409 })
+    await expect(
+      adminIdentityService.createIdentity({
+        username: 'owner',
+        password: 'password123',
+        role: 'viewer'
+      })
+    ).rejects.toMatchObject({ statusCode: 409 })
+    await expect(
+      adminIdentityService.createIdentity({ username: 'ops', password: 'short', role: 'viewer' })
+    ).rejects.toThrow('密码')
+    await expect(
+      adminIdentityService.createIdentity({
+        username: 'ops',
+        password: 'password123',
+        role: 'root'
+      })
+    ).rejects.toThrow('无效的角色')
+  })
+
+  it('verifies credentials and resolves session roles on every call', async () => {
+    await adminIdentityService.createIdentity({
+      username: 'support',
+      password: 'password123',
+      role: 'viewer'
+    })
+
+    expect(await adminIdentityService.verifyCredentials('support', 'wrong-password')).toBeNull()
+    expect(await adminIdentityService.verifyCredentials('support', 'password123')).toMatchObject({
+      username: 'support'
+    })
+
+    const session = {
+      username: 'support',
+      adminId: adminIdentityService.identityAdminId('support')
+    }
+    expect(await adminIdentityService.resolveSessionAdmin(session)).toMatchObject({
+      id: 'identity:support',
+      role: 'viewer',
+      scopes: getRoleScopes('viewer')
+    })
+    expect(
+      await adminIdentityService.resolveSessionAdmin({ username: 'support', adminId: 'admin' })
+    ).toMatchObject({ role: 'super_admin', scopes: ['*'] })
+
+    await adminIdentityService.updateIdentity('support', { role: 'key_manager' })
+    expect((await adminIdentityService.resolveSessionAdmin(session)).role).toBe('key_manager')
+
+    await adminIdentityService.updateIdentity('support', { isActive: false })
+    expect(await adminIdentityService.resolveSessionAdmin(session)).toBeNull()
+    expect(await adminIdentityService.verifyCredentials('support', 'password123')).toBeNull()
+
+    await adminIdentityService.deleteIdentity('support')
+    expect(await adminIdentityService.listIdentities()).toEqual([])
+  })
+
+  it('lets identities change their own password', async () => {
+    await adminIdentityService.createIdentity({
+      username: 'support',
+      password: 'password123',
+      role: 'viewer'
+    })
+
+    await expect(
+      adminIdentityService.changePassword('support', 'wrong-password', 'new-password')
+    ).rejects.toMatchObject({ statusCode: 401 })
+    await adminIdentityService.changePassword('support', 'password123', 'new-password')
+    expect(await adminIdentityService.verifyCredentials('support', 'new-password')).not.toBeNull()
+  })
+})
+
+describe('authenticateAdmin scope enforcement', () => {
+  const TOKEN = 'a'.repeat(64)
+  let session
+
+  const runRequest = async (method, url) => {
+    const req = {
+      method,
+      originalUrl: url,
+      headers: { authorization: `Bearer ${TOKEN}` },
+      ip: '127.0.0.1',
+      get: () => 'jest'
+    }
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) {
+        this.statusCode = code
+        return this
+      },
+      json(body) {
+        this.body = body
+        return this
+      }
+    }
+    const next = jest.fn()
+    await authenticateAdmin(req, res, next)
+    return { req, res, next }
+  }
+
+  beforeEach(() => {
+    // authenticateAdmin 为会话查询设置了 5 秒超时，使用假定时器避免测试结束后仍有未触发的定时器
+    jest.useFakeTimers()
+    session = {
+      username: 'support',
+      adminId: 'identity:support',
+      loginTime: new Date().toISOString(),
+      lastActivity: new Date().toISOString()
+    }
+    jest.spyOn(redis, 'getSession').mockImplementation(async () => session)
+    jest.spyOn(redis, 'setSession').mockResolvedValue()
+    jest.spyOn(redis, 'deleteSession').mockResolvedValue()
+    jest.spyOn(twoFactorService, 'isSessionAllowed').mockResolvedValue(true)
+    jest.spyOn(adminIdentityService, 'resolveSessionAdmin').mockResolvedValue({
+      id: 'identity:support',
+      username: 'support',
+      role: 'viewer',
+      scopes: getRoleScopes('viewer')
+    })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+    jest.restoreAllMocks()
+  })
+
+  it('lets a viewer read usage but not touch credentials', async () => {
+    const allowed = await runRequest('GET', '/admin/dashboard?range=7d')
+    expect(allowed.next).toHaveBeenCalled()
+    expect(allowed.req.admin).toMatchObject({ username: 'support', role: 'viewer' })
+
+    const denied = await runRequest('POST', '/admin/claude-accounts/generate-auth-url')
+    expect(denied.next).not.toHaveBeenCalled()
+    expect(denied.res.statusCode).toBe(403)
+    expect(denied.res.body.error).toBe('Insufficient permissions')
+
+    const unmapped = await runRequest('DELETE', '/admin/not-declared')
+    expect(unmapped.res.statusCode).toBe(403)
+  })
+
+  it('revokes sessions of disabled or removed admins', async () => {
+    adminIdentityService.resolveSessionAdmin.mockResolvedValue(null)
+
+    const { res, next } = await runRequest('GET', '/admin/dashboard')
+    expect(next).not.toHaveBeenCalled()
+    expect(res.statusCode).toBe(401)
+    expect(redis.deleteSession).toHaveBeenCalledWith(TOKEN)
+  })
+})
@@ -0,0 +1,217 @@
+/**
+ * API Key 申请审批测试
+ * 测试申请提交校验与数量限制、批准时合并管理员调整并创建 Key、并发审批保护、拒绝 / 撤回与一次性领取
+ */
+
+const config = require('../config/config')
+const redis = require('../src/models/redis')
+const apiKeyService = require('../src/services/apiKeyService')
+const userService = require('../src/services/userService')
+const accountGroupService = require('../src/services/accountGroupService')
+const webhookService = require('../src/services/webhookService')
+const apiKeyRequestService = require('../src/services/apiKeyRequestService')
+const { resolveRequiredScope } = require('../src/utils/adminPermissions')
+const { createFakeRedisClient } = require('./helpers/fakeRedis')
+
+const USER = { id: 'user-1', username: 'alice' }
+
+describe('apiKeyRequestService', () => {
+  let fakeClient
+  let generateApiKey
+  const originalUserManagement = config.userManagement
+
+  const submit = (data = {}) =>
+    apiKeyRequestService.createRequest(USER, {
+      name: 'ci-bot',
+      permissions: 'claude',
+      requestedModels: ['claude-sonnet-4-5', ' claude-sonnet-4-5 ', 'claude-haiku-4-5'],
+      dailyCostLimit: '5',
+      justification: 'Nightly CI review jobs',
+      ...data
+    })
+
+  beforeEach(() => {
+    config.userManagement = {
+      ...originalUserManagement,
+      maxApiKeysPerUser: 2,
+      allowUserApiKeyRequests: true
+    }
+    fakeClient = createFakeRedisClient()
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(fakeClient)
+    jest.spyOn(apiKeyService, 'getUserApiKeys').mockResolvedValue([])
+    jest.spyOn(webhookService, 'sendNotification').mockResolvedValue()
+    jest.spyOn(accountGroupService, 'validateKeyGroupBindings').mockResolvedValue()
+    jest
+      .spyOn(userService, 'getUserById')
+      .mockResolvedValue({ ...USER, isActive: true, role: 'user' })
+    generateApiKey = jest
+      .spyOn(apiKeyService, 'generateApiKey')
+      .mockImplementation(async (data) => ({ id: 'key-1', name: data.name, apiKey: 'cr_secret' }))
+  })
+
+  afterEach(() => {
+    config.userManagement = originalUserManagement
+    jest.restoreAllMocks()
+  })
+
+  it('validates submissions and counts pending requests against the key limit', async () => {
+    await expect(submit({ justification: '  ' })).rejects.toThrow('Justification is required')
+    await expect(submit({ permissions: 'everything' })).rejects.toThrow('permissions')
+    await expect(submit({ dailyCostLimit: -1 })).rejects.toThrow('dailyCostLimit')
+    await expect(submit({ expiresAt: '2000-01-01' })).rejects.toThrow('future')
+
+    const request = await submit()
+    expect(request).toMatchObject({
+      userId: 'user-1',
+      status: 'pending',
+      dailyCostLimit: 5,
+      requestedModels: ['claude-sonnet-4-5', 'claude-haiku-4-5']
+    })
+    expect(webhookService.sendNotification).toHaveBeenCalledWith(
+      'apiKeyRequest',
+      expect.objectContaining({ requestId: request.id, status: 'pending' })
+    )
+
+    apiKeyService.getUserApiKeys.mockResolvedValue([{ id: 'existing' }])
+    await expect(submit()).rejects.toThrow('including pending requests')
+
+    config.userManagement.allowUserApiKeyRequests = false
+    await expect(submit()).rejects.toMatchObject({ statusCode: 403 })
+  })
+
+  it('approves with admin overrides and creates the key for the requester', async () => {
+    const request = await submit()
+
+    const result = await apiKeyRequestService.approveRequest(
+      request.id,
+      {
+        name: 'ci-bot-prod',
+        dailyCostLimit: 3,
+        rateLimitWindow: 1,
+        rateLimitRequests: 20,
+        enableModelRestriction: true,
+        restrictedModels: ['claude-opus-4-1'],
+        claudeAccountId: 'group:g-1',
+        reviewNote: 'Capped at $3/day'
+      },
+      'ops-admin'
+    )
+
+    expect(generateApiKey).toHaveBeenCalledWith(
+      expect.objectContaining({
+        name: 'ci-bot-prod',
+        permissions: 'claude',
+        dailyCostLimit: 3,
+        totalCostLimit: 0,
+        rateLimitRequests: 20,
+        enableModelRestriction: true,
+        restrictedModels: ['claude-opus-4-1'],
+        claudeAccountId: 'group:g-1',
+        userId: 'user-1',
+        userUsername: 'alice',
+        createdBy: 'ops-admin'
+      })
+    )
+    expect(result.apiKey).toEqual({ id: 'key-1', name: 'ci-bot-prod' })
+    expect(result.request).toMatchObject({
+      status: 'approved',
+      apiKeyId: 'key-1',
+      reviewedBy: 'ops-admin',
+      reviewNote: 'Capped at $3/day'
+    })
+    // Key 明文只以密文形式暂存
+    const secret = fakeClient.store.get(`${apiKeyRequestService.SECRET_PREFIX}${request.id}`)
+    expect(secret).toBeTruthy()
+    expect(secret).not.toContain('cr_secret')
+    expect(fakeClient.store.has(`${apiKeyRequestService.LOCK_PREFIX}${request.id}`)).toBe(false)
+  })
+
+  it('refuses concurrent or repeated reviews', async () => {
+    const request = await submit()
+
+    fakeClient.store.set(`${apiKeyRequestService.LOCK_PREFIX}${request.id}`, '1')
+    await expect(apiKeyRequestService.approveRequest(request.id)).rejects.toMatchObject({
+      statusCode: 409
+    })
+    fakeClient.store.delete(`${apiKeyRequestService.LOCK_PREFIX}${request.id}`)
+
+    await apiKeyRequestService.approveRequest(request.id)
+    await expect(apiKeyRequestService.approveRequest(request.id)).rejects.toMatchObject({
+      statusCode: 409
+    })
+    await expect(apiKeyRequestService.rejectRequest(request.id)).rejects.toMatchObject({
+      statusCode: 409
+    })
+    expect(generateApiKey).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not cancel a request while it is being reviewed or after approval', async () => {
+    const request = await submit()
+    const lockKey = `${apiKeyRequestService.LOCK_PREFIX}${request.id}`
+
+    fakeClient.store.set(lockKey, '1')
+    await expect(apiKeyRequestService.cancelRequest(request.id, 'user-1')).rejects.toMatchObject({
+      statusCode: 409
+    })
+    expect((await apiKeyRequestService.getRequest(request.id)).status).toBe('pending')
+    fakeClient.store.delete(lockKey)
+
+    await apiKeyRequestService.approveRequest(request.id)
+    await expect(apiKeyRequestService.cancelRequest(request.id, 'user-1')).rejects.toMatchObject({
+      statusCode: 409
+    })
+    expect((await apiKeyRequestService.getRequest(request.id)).status).toBe('approved')
+    expect(fakeClient.store.has(lockKey)).toBe(false)
+  })
+
+  it('does not create a key for a disabled requester', async () => {
+    const request = await submit()
+    userService.getUserById.mockResolvedValue({ ...USER, isActive: false })
+
+    await expect(apiKeyRequestService.approveRequest(request.id)).rejects.toMatchObject({
+      statusCode: 409
+    })
+    expect(generateApiKey).not.toHaveBeenCalled()
+    expect((await apiKeyRequestService.getRequest(request.id)).status).toBe('pending')
+  })
+
+  it('rejects and cancels pending requests', async () => {
+    const rejected = await submit()
+    const result = await apiKeyRequestService.rejectRequest(rejected.id, ' Use the team key ')
+    expect(result).toMatchObject({ status: 'rejected', reviewNote: 'Use the team key' })
+
+    const cancelled = await submit()
+    await expect(apiKeyRequestService.cancelRequest(cancelled.id, 'user-2')).rejects.toMatchObject({
+      statusCode: 404
+    })
+    expect((await apiKeyRequestService.cancelRequest(cancelled.id, 'user-1')).status).toBe(
+      'cancelled'
+    )
+
+    expect(await apiKeyRequestService.getPendingCount()).toBe(0)
+    const rejectedRequests = await apiKeyRequestService.listRequests({ status: 'rejected' })
+    expect(rejectedRequests.map((item) => item.id)).toEqual([rejected.id])
+  })
+
+  it('lets the requester claim the key exactly once', async () => {
+    const request = await submit()
+    await expect(apiKeyRequestService.claimApiKey(request.id, 'user-1')).rejects.toMatchObject({
+      statusCode: 404
+    })
+
+    await apiKeyRequestService.approveRequest(request.id)
+    await expect(apiKeyRequestService.claimApiKey(request.id, 'user-2')).rejects.toMatchObject({
+      statusCode: 404
+    })
+
+    expect(await apiKeyRequestService.claimApiKey(request.id, 'user-1')).toBe('cr_secret')
+    expect(await apiKeyRequestService.claimApiKey(request.id, 'user-1')).toBeNull()
+    expect((await apiKeyRequestService.getRequest(request.id)).keyClaimed).toBe(true)
+  })
+
+  it('requires key scopes for the admin review queue', () => {
+    expect(resolveRequiredScope('GET', '/admin/api-key-requests')).toBe('keys:read')
+    expect(resolveRequiredScope('POST', '/admin/api-key-requests/req-1/approve')).toBe('keys:write')
+    expect(resolveRequiredScope('POST', '/admin/api-key-requests/req-1/reject')).toBe('keys:write')
+  })
+})
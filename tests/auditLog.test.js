@@ -0,0 +1,244 @@
+/**
+ * 管理操作审计日志测试
+ * 测试字段级差异与敏感字段脱敏、记录写入与查询，以及审计中间件对增删改操作的记录
+ */
+
+const { EventEmitter } = require('events')
+const redis = require('../src/models/redis')
+const logger = require('../src/utils/logger')
+const ipHelper = require('../src/utils/ipHelper')
+const auditLogService = require('../src/services/auditLogService')
+const { auditAdminChange } = require('../src/middleware/auditLog')
+const { createFakeRedisClient } = require('./helpers/fakeRedis')
+
+const API_KEY_SECRET = 'cr_1234567890abcdef1234567890abcdef'
+
+function createFakeExchange({ method, params = {} }) {
+  const req = {
+    method,
+    params,
+    baseUrl: '/admin',
+    route: { path: params.keyId ? '/api-keys/:keyId' : '/api-keys' },
+    admin: { username: 'ops-admin' }
+  }
+  const res = new EventEmitter()
+  res.statusCode = 200
+  res.json = jest.fn(() => res)
+  return { req, res }
+}
+
+// 审计记录在响应结束后异步写入
+async function runAudited(middleware, exchange, handler) {
+  const { req, res } = exchange
+  await middleware(req, res, jest.fn())
+  await handler()
+  res.emit('finish')
+  for (let i = 0; i < 10; i++) {
+    await new Promise((resolve) => setImmediate(resolve))
+  }
+}
+
+describe('auditLogService', () => {
+  let fakeClient
+
+  beforeEach(() => {
+    fakeClient = createFakeRedisClient()
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(fakeClient)
+    jest.spyOn(logger, 'audit').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('computes field level changes and masks sensitive fields', () => {
+    const changes = auditLogService.computeDiff(
+      {
+        name: 'ci-bot',
+        apiKey: API_KEY_SECRET,
+        accessToken: 'sk-ant-REDACTED',
+        restrictedModels: '["claude-opus-4-1"]',
+        updatedAt: '2026-01-01T00:00:00.000Z'
+      },
+      {
+        name: 'ci-bot-prod',
+        apiKey: API_KEY_SECRET,
+        accessToken: 'sk-ant-REDACTED',
+        clientSecret: 'oidc-client-secret-value-1234567890',
+        restrictedModels: '[ "claude-opus-4-1" ]',
+        updatedAt: '2026-01-02T00:00:00.000Z'
+      }
+    )
+
+    // 未变化的字段、只表示写入时间的字段以及 JSON 等价的值都不计入差异
+    expect(changes.map((change) => change.field)).toEqual(['accessToken', 'clientSecret', 'name'])
+    expect(changes[2]).toEqual({ field: 'name', before: 'ci-bot', after: 'ci-bot-prod' })
+
+    const [accessToken, clientSecret] = changes
+    expect(accessToken.before).toContain('*')
+    expect(accessToken.before).not.toBe('sk-ant-REDACTED')
+    expect(accessToken.after).not.toBe('sk-ant-REDACTED')
+    expect(clientSecret.before).toBeNull()
+    expect(clientSecret.after).not.toContain('secret-value-1234567890')
+  })
+
+  it('masks secrets nested in structured fields', () => {
+    const [change] = auditLogService.computeDiff(null, {
+      proxy: { type: 'socks5', host: 'proxy.local', password: 'proxy-password-123' }
+    })
+    expect(change.field).toBe('proxy')
+    expect(change.before).toBeNull()
+    expect(change.after).not.toContain('proxy-password-123')
+  })
+
+  it('records entries with masked diffs and skips updates without changes', async () => {
+    const entry = await auditLogService.record({
+      action: 'create',
+      resourceType: 'api_key',
+      resourceId: 'key-1',
+      before: null,
+      after: { name: 'ci-bot', apiKey: API_KEY_SECRET },
+      actor: 'ops-admin',
+      ip: '10.0.0.1',
+      route: 'POST /admin/api-keys'
+    })
+
+    expect(entry).toMatchObject({
+      action: 'create',
+      resourceType: 'api_key',
+      resourceId: 'key-1',
+      resourceName: 'ci-bot',
+      actor: 'ops-admin',
+      ip: '10.0.0.1'
+    })
+    expect(await auditLogService.getEntry(entry.id)).toEqual(entry)
+    expect(JSON.stringify(await auditLogService.getEntry(entry.id))).not.toContain(API_KEY_SECRET)
+
+    expect(
+      await auditLogService.record({
+        action: 'update',
+        resourceType: 'api_key',
+        resourceId: 'key-1',
+        before: { name: 'ci-bot', updatedAt: '1' },
+        after: { name: 'ci-bot', updatedAt: '2' }
+      })
+    ).toBeNull()
+  })
+
+  it('queries entries newest first with filters', async () => {
+    const now = jest.spyOn(Date, 'now')
+    const record = (at, data) => {
+      now.mockReturnValue(at)
+      return auditLogService.record({ before: null, ...data })
+    }
+    await record(1000, {
+      action: 'create',
+      resourceType: 'api_key',
+      resourceId: 'key-1',
+      after: { name: 'a' },
+      actor: 'alice'
+    })
+    await record(2000, {
+      action: 'update',
+      resourceType: 'api_key',
+      resourceId: 'key-1',
+      before: { name: 'a' },
+      after: { name: 'b', dailyCostLimit: '5' },
+      actor: 'bob'
+    })
+    await record(3000, {
+      action: 'delete',
+      resourceType: 'account_group',
+      resourceId: 'g-1',
+      before: { name: 'group' },
+      after: null,
+      actor: 'alice'
+    })
+
+    const all = await auditLogService.query()
+    expect(all.total).toBe(3)
+    expect(all.entries.map((entry) => entry.action)).toEqual(['delete', 'update', 'create'])
+
+    const byResource = await auditLogService.query({ resourceType: 'api_key', resourceId: 'key-1' })
+    expect(byResource.entries.map((entry) => entry.action)).toEqual(['update', 'create'])
+
+    expect((await auditLogService.query({ actor: 'ALI' })).total).toBe(2)
+    expect((await auditLogService.query({ field: 'costlimit' })).entries[0].actor).toBe('bob')
+    expect((await auditLogService.query({ startTime: 1500, endTime: 2500 })).total).toBe(1)
+  })
+})
+
+describe('auditAdminChange middleware', () => {
+  let fakeClient
+  const keyRecord = (data) => fakeClient.store.set('apikey:key-1', { ...data })
+
+  beforeEach(() => {
+    fakeClient = createFakeRedisClient()
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(fakeClient)
+    jest.spyOn(logger, 'audit').mockImplementation(() => {})
+    jest.spyOn(ipHelper, 'resolveClientIP').mockResolvedValue('10.0.0.1')
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('records create, update and delete with before/after snapshots', async () => {
+    const middleware = auditAdminChange('api_key')
+
+    const created = createFakeExchange({ method: 'POST' })
+    await runAudited(middleware, created, () => {
+      keyRecord({ name: 'ci-bot', apiKey: API_KEY_SECRET })
+      created.res.json({ success: true, data: { id: 'key-1', apiKey: 'cr_plaintext' } })
+    })
+
+    const updated = createFakeExchange({ method: 'PUT', params: { keyId: 'key-1' } })
+    await runAudited(middleware, updated, () => {
+      keyRecord({ name: 'ci-bot', apiKey: API_KEY_SECRET, dailyCostLimit: '5' })
+      updated.res.json({ success: true })
+    })
+
+    const deleted = createFakeExchange({ method: 'DELETE', params: { keyId: 'key-1' } })
+    await runAudited(middleware, deleted, () => {
+      fakeClient.store.delete('apikey:key-1')
+      deleted.res.json({ success: true })
+    })
+
+    const { entries } = await auditLogService.query({
+      resourceType: 'api_key',
+      resourceId: 'key-1'
+    })
+    expect(entries.map((entry) => entry.action).sort()).toEqual(['create', 'delete', 'update'])
+
+    const byAction = Object.fromEntries(entries.map((entry) => [entry.action, entry]))
+    expect(byAction.create).toMatchObject({
+      actor: 'ops-admin',
+      ip: '10.0.0.1',
+      route: 'POST /admin/api-keys'
+    })
+    expect(byAction.create.changes.find((change) => change.field === 'apiKey').after).not.toBe(
+      API_KEY_SECRET
+    )
+    expect(byAction.update.changes).toEqual([{ field: 'dailyCostLimit', before: null, after: '5' }])
+    expect(byAction.delete.changes.map((change) => change.after)).toEqual([null, null, null])
+    expect(JSON.stringify(entries)).not.toContain(API_KEY_SECRET)
+  })
+
+  it('does not record failed admin changes', async () => {
+    keyRecord({ name: 'ci-bot' })
+    const middleware = auditAdminChange('api_key')
+
+    const rejected = createFakeExchange({ method: 'PUT', params: { keyId: 'key-1' } })
+    await runAudited(middleware, rejected, () => {
+      rejected.res.json({ success: false, message: 'Invalid limit' })
+    })
+
+    const failed = createFakeExchange({ method: 'DELETE', params: { keyId: 'key-1' } })
+    await runAudited(middleware, failed, () => {
+      failed.res.statusCode = 500
+      failed.res.json({ error: 'Internal error' })
+    })
+
+    expect((await auditLogService.query()).total).toBe(0)
+  })
+})
@@ -0,0 +1,128 @@
+/**
+ * API Key 认证中间件预算检查测试
+ * 测试超出周期预算后 downgrade 动作只在 Claude 消息请求上改写模型，
+ * 其他路由或无法降级的模型按拦截处理
+ */
+
+const apiKeyService = require('../src/services/apiKeyService')
+const costBudgetService = require('../src/services/costBudgetService')
+const pricingService = require('../src/services/pricingService')
+const claudeRelayConfigService = require('../src/services/claudeRelayConfigService')
+const captureService = require('../src/services/captureService')
+const { authenticateApiKey } = require('../src/middleware/auth')
+
+const SONNET = 'claude-sonnet-4-20250514'
+const HAIKU = 'claude-3-5-haiku-20241022'
+
+const PRICES = {
+  'claude-opus-4-1-20250805': { input_cost_per_token: 15e-6, output_cost_per_token: 75e-6 },
+  [SONNET]: { input_cost_per_token: 3e-6, output_cost_per_token: 15e-6 },
+  [HAIKU]: { input_cost_per_token: 0.8e-6, output_cost_per_token: 4e-6 }
+}
+
+function createFakeExchange(url, body) {
+  const req = {
+    method: 'POST',
+    originalUrl: url,
+    path: url,
+    headers: { 'x-api-key': 'cr_budget_test_key_1234567890' },
+    body,
+    ip: '127.0.0.1',
+    get: (name) => req.headers[name.toLowerCase()]
+  }
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader: jest.fn((name, value) => {
+      res.headers[name] = value
+    }),
+    status: jest.fn((code) => {
+      res.statusCode = code
+      return res
+    }),
+    json: jest.fn((payload) => {
+      res.body = payload
+      return res
+    })
+  }
+  return { req, res }
+}
+
+describe('authenticateApiKey cost budgets', () => {
+  const costBudget = { amount: 10, action: 'downgrade', downgradeModel: SONNET }
+
+  beforeEach(() => {
+    jest.spyOn(apiKeyService, 'validateApiKey').mockResolvedValue({
+      valid: true,
+      keyData: { id: 'key-1', name: 'budget-key', permissions: 'all', costBudget }
+    })
+    jest.spyOn(costBudgetService, 'getBudgetStatus').mockResolvedValue({
+      exceeded: true,
+      action: 'downgrade',
+      downgradeModel: SONNET,
+      spent: 12,
+      amount: 10,
+      resetAt: '2026-02-01T00:00:00.000Z'
+    })
+    jest.spyOn(pricingService, 'getModelPricing').mockImplementation((model) => PRICES[model])
+    jest.spyOn(claudeRelayConfigService, 'isClaudeCodeOnlyEnabled').mockResolvedValue(false)
+    jest.spyOn(captureService, 'runWithCapture').mockImplementation((req, res, next) => next())
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('downgrades Claude messages requests to the budget model', async () => {
+    const { req, res } = createFakeExchange('/api/v1/messages', {
+      model: 'claude-opus-4-1-20250805'
+    })
+    const next = jest.fn()
+
+    await authenticateApiKey(req, res, next)
+
+    expect(next).toHaveBeenCalled()
+    expect(req.body.model).toBe(SONNET)
+    expect(res.headers['X-Actual-Model']).toBe(SONNET)
+    expect(res.headers['X-Budget-Warning']).toContain('Cost budget exceeded')
+  })
+
+  it('keeps requests already at or below the budget model', async () => {
+    const { req, res } = createFakeExchange('/claude/v1/messages', { model: HAIKU })
+    const next = jest.fn()
+
+    await authenticateApiKey(req, res, next)
+
+    expect(next).toHaveBeenCalled()
+    expect(req.body.model).toBe(HAIKU)
+    expect(res.headers['X-Actual-Model']).toBeUndefined()
+  })
+
+  it('blocks over-budget requests on routes that cannot be downgraded', async () => {
+    const { req, res } = createFakeExchange('/openai/v1/chat/completions', {
+      model: 'claude-opus-4-1-20250805'
+    })
+    const next = jest.fn()
+
+    await authenticateApiKey(req, res, next)
+
+    expect(next).not.toHaveBeenCalled()
+    expect(res.statusCode).toBe(429)
+    expect(res.body).toMatchObject({
+      error: 'Cost budget exceeded',
+      message: '已达到周期预算 ($10)，将于 2026-02-01T00:00:00.000Z 重置'
+    })
+    expect(req.body.model).toBe('claude-opus-4-1-20250805')
+  })
+
+  it('blocks messages requests whose model has no same-family downgrade', async () => {
+    const { req, res } = createFakeExchange('/api/v1/messages', { model: 'gpt-5' })
+    const next = jest.fn()
+
+    await authenticateApiKey(req, res, next)
+
+    expect(next).not.toHaveBeenCalled()
+    expect(res.statusCode).toBe(429)
+  })
+})
@@ -0,0 +1,111 @@
+/**
+ * Bedrock 工具函数测试
+ * 测试推理配置文件 ARN 解析、按模型选择推理配置文件、区域切换候选、配置规范化与缓存 token 统计
+ */
+
+const {
+  parseBedrockArn,
+  resolveModelProfile,
+  getRegionCandidates,
+  isThrottlingError,
+  normalizeBedrockOptions,
+  normalizeBedrockUsage,
+  stripCacheControl
+} = require('../src/utils/bedrockHelper')
+
+const PROFILE_ARN =
+  'arn:aws:bedrock:eu-west-1:123456789012:application-inference-profile/team-alpha'
+
+describe('bedrockHelper', () => {
+  it('parses inference profile ARNs and ignores plain model IDs', () => {
+    expect(parseBedrockArn(PROFILE_ARN)).toEqual({
+      region: 'eu-west-1',
+      accountId: '123456789012',
+      resourceType: 'application-inference-profile',
+      resourceId: 'team-alpha'
+    })
+    expect(parseBedrockArn('us.anthropic.claude-sonnet-4-20250514-v1:0')).toBeNull()
+  })
+
+  it('resolves model profiles by exact match before longest prefix', () => {
+    const profiles = {
+      'claude-sonnet-4': 'us.anthropic.claude-sonnet-4-20250514-v1:0',
+      'claude-sonnet-4-5': PROFILE_ARN,
+      'claude-opus-4-1-20250805': 'eu.anthropic.claude-opus-4-1-20250805-v1:0'
+    }
+    expect(resolveModelProfile('claude-opus-4-1-20250805', profiles)).toBe(
+      'eu.anthropic.claude-opus-4-1-20250805-v1:0'
+    )
+    expect(resolveModelProfile('claude-sonnet-4-5-20250929', profiles)).toBe(PROFILE_ARN)
+    expect(resolveModelProfile('claude-sonnet-4-20250514', profiles)).toBe(
+      'us.anthropic.claude-sonnet-4-20250514-v1:0'
+    )
+    expect(resolveModelProfile('claude-3-5-haiku', profiles)).toBeNull()
+  })
+
+  it('pins ARN profiles to their own region when computing failover candidates', () => {
+    expect(getRegionCandidates('us.anthropic.x', 'us-east-1', ['us-west-2', 'us-east-1'])).toEqual([
+      'us-east-1',
+      'us-west-2'
+    ])
+    expect(getRegionCandidates(PROFILE_ARN, 'us-east-1', ['us-west-2'])).toEqual(['eu-west-1'])
+    expect(isThrottlingError({ name: 'ThrottlingException' })).toBe(true)
+    expect(isThrottlingError({ name: 'X', $metadata: { httpStatusCode: 429 } })).toBe(true)
+    expect(isThrottlingError({ name: 'ValidationException' })).toBe(false)
+  })
+
+  it('validates and normalizes role, profile and region options', () => {
+    expect(
+      normalizeBedrockOptions({
+        credentialType: 'assume_role',
+        roleConfig: { roleArn: 'arn:aws:iam::123456789012:role/Bedrock', externalId: 'ext' },
+        fallbackRegions: [' us-west-2 ', 'us-west-2']
+      })
+    ).toEqual({
+      credentialType: 'assume_role',
+      roleConfig: {
+        roleArn: 'arn:aws:iam::123456789012:role/Bedrock',
+        roleSessionName: 'claude-relay-service',
+        externalId: 'ext',
+        durationSeconds: 3600,
+        webIdentityTokenFile: null
+      },
+      fallbackRegions: ['us-west-2']
+    })
+
+    expect(() => normalizeBedrockOptions({ credentialType: 'oauth' })).toThrow('credentialType')
+    expect(() => normalizeBedrockOptions({ roleConfig: { roleArn: 'Bedrock' } })).toThrow(
+      'roleConfig.roleArn must be a valid IAM role ARN'
+    )
+    expect(() =>
+      normalizeBedrockOptions({
+        roleConfig: { roleArn: 'arn:aws:iam::123456789012:role/B', durationSeconds: 60 }
+      })
+    ).toThrow('durationSeconds')
+    expect(() =>
+      normalizeBedrockOptions({ modelProfiles: { 'claude-sonnet-4': 'arn:aws:s3:::bucket' } })
+    ).toThrow('Invalid Bedrock inference profile ARN for model claude-sonnet-4')
+    expect(() => normalizeBedrockOptions({ fallbackRegions: ['mars-1'] })).toThrow('mars-1')
+  })
+
+  it('normalizes cache token usage and strips cache_control markers', () => {
+    expect(
+      normalizeBedrockUsage(
+        { input_tokens: 10, output_tokens: 5 },
+        { cacheReadInputTokenCount: 800, cacheWriteInputTokenCount: 200 }
+      )
+    ).toEqual({
+      input_tokens: 10,
+      output_tokens: 5,
+      cache_creation_input_tokens: 200,
+      cache_read_input_tokens: 800
+    })
+
+    const payload = {
+      system: [{ type: 'text', text: 'sys', cache_control: { type: 'ephemeral' } }],
+      messages: [{ role: 'user', content: [{ type: 'text', text: 'hi' }] }]
+    }
+    expect(stripCacheControl(payload).system).toEqual([{ type: 'text', text: 'sys' }])
+    expect(payload.system[0].cache_control).toEqual({ type: 'ephemeral' })
+  })
+})
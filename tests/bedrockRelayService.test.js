@@ -0,0 +1,107 @@
+/**
+ * Bedrock 转发测试
+ * 测试按模型选择推理配置文件与区域、缓存 token 统计、客户端缓存的替换，以及限流时的区域切换
+ */
+
+const { BedrockRuntimeClient } = require('@aws-sdk/client-bedrock-runtime')
+const bedrockRelayService = require('../src/services/bedrockRelayService')
+
+const PROFILE_ARN =
+  'arn:aws:bedrock:eu-west-1:123456789012:application-inference-profile/team-alpha'
+
+describe('bedrockRelayService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('prefers account model profiles and uses the ARN region', () => {
+    const account = {
+      id: 'acc-1',
+      region: 'us-east-1',
+      defaultModel: 'us.anthropic.claude-3-7-sonnet-20250219-v1:0',
+      modelProfiles: { 'claude-sonnet-4': PROFILE_ARN }
+    }
+    const modelId = bedrockRelayService._selectModel({ model: 'claude-sonnet-4-20250514' }, account)
+    expect(modelId).toBe(PROFILE_ARN)
+    expect(bedrockRelayService._selectRegion(modelId, account)).toBe('eu-west-1')
+
+    const fallbackModel = bedrockRelayService._selectModel({ model: 'claude-3-5-haiku' }, account)
+    expect(fallbackModel).toBe('us.anthropic.claude-3-7-sonnet-20250219-v1:0')
+    expect(bedrockRelayService._selectRegion(fallbackModel, account)).toBe('us-east-1')
+  })
+
+  it('reports cache creation and read tokens in converted responses', () => {
+    const converted = bedrockRelayService._convertFromBedrockFormat({
+      content: [{ type: 'text', text: 'ok' }],
+      usage: { input_tokens: 12, output_tokens: 3, cache_read_input_tokens: 1024 }
+    })
+    expect(converted.usage).toEqual({
+      input_tokens: 12,
+      output_tokens: 3,
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: 1024
+    })
+  })
+
+  it('keeps one cached client per account and region and replaces it on credential changes', () => {
+    bedrockRelayService.clients.clear()
+    const destroy = jest.spyOn(BedrockRuntimeClient.prototype, 'destroy')
+    const account = {
+      id: 'acc-3',
+      name: 'bedrock',
+      updatedAt: '2026-01-01T00:00:00.000Z',
+      awsCredentials: { accessKeyId: 'AKIAOLD', secretAccessKey: 'old-secret' }
+    }
+
+    const client = bedrockRelayService._getBedrockClient('us-east-1', account)
+    expect(bedrockRelayService._getBedrockClient('us-east-1', { ...account })).toBe(client)
+    expect(bedrockRelayService._getBedrockClient('us-west-2', account)).not.toBe(client)
+
+    const rotated = {
+      ...account,
+      awsCredentials: { accessKeyId: 'AKIANEW', secretAccessKey: 'new-secret' }
+    }
+    const rotatedClient = bedrockRelayService._getBedrockClient('us-east-1', rotated)
+    expect(rotatedClient).not.toBe(client)
+    expect(destroy).toHaveBeenCalledTimes(1)
+
+    const updated = { ...rotated, updatedAt: '2026-01-02T00:00:00.000Z' }
+    expect(bedrockRelayService._getBedrockClient('us-east-1', updated)).not.toBe(rotatedClient)
+    expect(bedrockRelayService._getBedrockClient('us-east-1', updated)).toBe(
+      bedrockRelayService._getBedrockClient('us-east-1', updated)
+    )
+    expect(destroy).toHaveBeenCalledTimes(2)
+    expect(bedrockRelayService.clients.size).toBe(2)
+  })
+
+  it('fails over to the next region on throttling only', async () => {
+    const throttled = Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' })
+    const sends = { 'us-east-1': jest.fn().mockRejectedValue(throttled) }
+    sends['us-west-2'] = jest.fn().mockResolvedValue({ $metadata: { httpStatusCode: 200 } })
+    jest
+      .spyOn(bedrockRelayService, '_getBedrockClient')
+      .mockImplementation((region) => ({ send: sends[region] }))
+
+    const account = { id: 'acc-2', name: 'bedrock', fallbackRegions: ['us-west-2'] }
+    const result = await bedrockRelayService._sendWithRegionFailover(
+      account,
+      'us.anthropic.claude-sonnet-4-20250514-v1:0',
+      'us-east-1',
+      () => ({})
+    )
+    expect(result.region).toBe('us-west-2')
+    expect(sends['us-east-1']).toHaveBeenCalledTimes(1)
+
+    const invalid = Object.assign(new Error('bad'), { name: 'ValidationException' })
+    sends['us-east-1'].mockRejectedValue(invalid)
+    await expect(
+      bedrockRelayService._sendWithRegionFailover(
+        account,
+        'us.anthropic.claude-sonnet-4-20250514-v1:0',
+        'us-east-1',
+        () => ({})
+      )
+    ).rejects.toBe(invalid)
+    expect(sends['us-west-2']).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,45 @@
+/**
+ * 账户熔断器状态判定测试
+ * 测试上游错误分类、熔断配置与默认值合并，以及有效状态与整体状态的推导
+ */
+
+const {
+  classifyUpstreamError,
+  resolveBreakerSettings,
+  getEffectiveState,
+  getOverallState
+} = require('../src/utils/circuitBreakerHelper')
+
+describe('circuitBreakerHelper', () => {
+  it('classifies upstream status codes and network errors', () => {
+    expect(classifyUpstreamError(529)).toBe('overload')
+    expect(classifyUpstreamError(401)).toBe('unauthorized')
+    expect(classifyUpstreamError(504)).toBe('timeout')
+    expect(classifyUpstreamError(502)).toBe('server_error')
+    expect(classifyUpstreamError(429)).toBeNull()
+    expect(classifyUpstreamError(200)).toBeNull()
+
+    expect(classifyUpstreamError(0, { code: 'ETIMEDOUT' })).toBe('timeout')
+    expect(classifyUpstreamError(0, new Error('Request timed out'))).toBe('timeout')
+    // 主动取消不计入熔断
+    expect(classifyUpstreamError(0, { name: 'AbortError', message: 'timeout' })).toBeNull()
+    expect(classifyUpstreamError(0, { code: 'ERR_CANCELED' })).toBeNull()
+    expect(classifyUpstreamError(0, new Error('invalid json'))).toBeNull()
+  })
+
+  it('merges settings with defaults and derives effective states', () => {
+    const settings = resolveBreakerSettings({ classes: { overload: { threshold: 2 } } })
+    expect(settings.enabled).toBe(true)
+    expect(settings.classes.overload).toEqual({ threshold: 2, windowSeconds: 60, openSeconds: 60 })
+    expect(settings.classes.unauthorized.openSeconds).toBe(600)
+
+    const now = 1_000_000
+    expect(getEffectiveState(null, now)).toBe('closed')
+    expect(getEffectiveState({ state: 'open', openUntil: String(now + 1) }, now)).toBe('open')
+    expect(getEffectiveState({ state: 'open', openUntil: String(now) }, now)).toBe('half_open')
+
+    expect(getOverallState(['closed', 'half_open', 'open'])).toBe('open')
+    expect(getOverallState(['closed', 'half_open'])).toBe('half_open')
+    expect(getOverallState(['closed'])).toBe('closed')
+  })
+})
@@ -0,0 +1,94 @@
+/**
+ * 通用账户熔断器测试
+ * 测试失败次数达到阈值后熔断，以及熔断期间拦截请求、半开时只放行一个探测请求
+ */
+
+const redis = require('../src/models/redis')
+const webhookService = require('../src/services/webhookService')
+const circuitBreakerService = require('../src/services/circuitBreakerService')
+
+describe('circuitBreakerService', () => {
+  let client
+  let multi
+
+  beforeEach(() => {
+    multi = {
+      zadd: jest.fn().mockReturnThis(),
+      zremrangebyscore: jest.fn().mockReturnThis(),
+      zcard: jest.fn().mockReturnThis(),
+      expire: jest.fn().mockReturnThis(),
+      hset: jest.fn().mockReturnThis(),
+      del: jest.fn().mockReturnThis(),
+      sadd: jest.fn().mockReturnThis(),
+      exec: jest.fn().mockResolvedValue([])
+    }
+    client = {
+      hmget: jest.fn().mockResolvedValue([null, null]),
+      hgetall: jest.fn().mockResolvedValue({}),
+      set: jest.fn(),
+      multi: () => multi
+    }
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(client)
+    jest.spyOn(webhookService, 'sendNotification').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('opens the breaker once failures in the window reach the threshold', async () => {
+    multi.exec.mockResolvedValueOnce([
+      [null, 1],
+      [null, 0],
+      [null, 4]
+    ])
+    await expect(
+      circuitBreakerService.recordFailure('acc-1', 'claude-official', 'server_error')
+    ).resolves.toBe('closed')
+    expect(multi.hset).not.toHaveBeenCalled()
+
+    multi.exec.mockResolvedValueOnce([
+      [null, 1],
+      [null, 0],
+      [null, 5]
+    ])
+    await expect(
+      circuitBreakerService.recordFailure('acc-1', 'claude-official', 'server_error')
+    ).resolves.toBe('open')
+    expect(multi.hset).toHaveBeenCalledWith(
+      'circuit_breaker:acc-1',
+      expect.objectContaining({ 'server_error:state': 'open', accountType: 'claude-official' })
+    )
+    expect(multi.sadd).toHaveBeenCalledWith('circuit_breaker:index', 'acc-1')
+    expect(webhookService.sendNotification).toHaveBeenCalledWith(
+      'circuitBreaker',
+      expect.objectContaining({ accountId: 'acc-1', status: 'circuit_open' })
+    )
+  })
+
+  it('blocks open accounts and lets a single probe through when half-open', async () => {
+    client.hgetall.mockResolvedValue({
+      'overload:state': 'open',
+      'overload:openUntil': String(Date.now() + 60000)
+    })
+    await expect(circuitBreakerService.isAvailable('acc-1')).resolves.toBe(false)
+
+    client.hgetall.mockResolvedValue({
+      'overload:state': 'open',
+      'overload:openUntil': String(Date.now() - 1000)
+    })
+    client.set.mockResolvedValueOnce('OK').mockResolvedValueOnce(null)
+    await expect(circuitBreakerService.isAvailable('acc-1')).resolves.toBe(true)
+    await expect(circuitBreakerService.isAvailable('acc-1')).resolves.toBe(false)
+    expect(client.set).toHaveBeenCalledWith(
+      'circuit_breaker:probe:acc-1',
+      expect.any(String),
+      'EX',
+      30,
+      'NX'
+    )
+
+    client.hgetall.mockResolvedValue({})
+    await expect(circuitBreakerService.isAvailable('acc-2')).resolves.toBe(true)
+  })
+})
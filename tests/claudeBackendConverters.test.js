@@ -0,0 +1,197 @@
+/**
+ * Claude → Gemini / OpenAI Responses 反向转换测试
+ * 测试请求转换（工具调用、schema 清理、推理配置）以及流式事件还原为 Claude 格式
+ */
+
+const claudeToGemini = require('../src/services/claudeToGemini')
+const claudeToOpenAIResponses = require('../src/services/claudeToOpenAIResponses')
+
+const toolConversation = {
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 1024,
+  system: [{ type: 'text', text: 'You are helpful.' }],
+  messages: [
+    { role: 'user', content: 'What is the weather in Paris?' },
+    {
+      role: 'assistant',
+      content: [
+        { type: 'thinking', thinking: 'Need the tool', signature: 'sig' },
+        { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+      ]
+    },
+    {
+      role: 'user',
+      content: [
+        { type: 'tool_result', tool_use_id: 'toolu_1', content: 'Sunny' },
+        { type: 'text', text: 'Thanks' }
+      ]
+    }
+  ],
+  tools: [
+    {
+      name: 'get_weather',
+      description: 'Get weather',
+      input_schema: {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        additionalProperties: false,
+        properties: { city: { type: ['string', 'null'] } },
+        required: ['city']
+      }
+    }
+  ],
+  tool_choice: { type: 'any' },
+  thinking: { type: 'enabled', budget_tokens: 8000 }
+}
+
+describe('ClaudeToGeminiConverter', () => {
+  it('converts tool calls, tool results and schemas into Gemini request format', () => {
+    const request = claudeToGemini.convertRequest(toolConversation)
+
+    expect(request.systemInstruction).toEqual({
+      role: 'user',
+      parts: [{ text: 'You are helpful.' }]
+    })
+    expect(request.contents).toEqual([
+      { role: 'user', parts: [{ text: 'What is the weather in Paris?' }] },
+      {
+        role: 'model',
+        parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }]
+      },
+      {
+        role: 'user',
+        parts: [
+          { functionResponse: { name: 'get_weather', response: { result: 'Sunny' } } },
+          { text: 'Thanks' }
+        ]
+      }
+    ])
+    expect(request.tools[0].functionDeclarations[0].parameters).toEqual({
+      type: 'object',
+      properties: { city: { type: 'string', nullable: true } },
+      required: ['city']
+    })
+    expect(request.toolConfig).toEqual({ functionCallingConfig: { mode: 'ANY' } })
+    expect(request.generationConfig).toEqual({
+      maxOutputTokens: 1024,
+      thinkingConfig: { thinkingBudget: 8000, includeThoughts: true }
+    })
+  })
+
+  it('turns Gemini stream chunks into Claude stream events', () => {
+    const state = claudeToGemini.createStreamState('claude-sonnet-4-20250514')
+    const events = [
+      ...claudeToGemini.convertStreamChunk(
+        { response: { candidates: [{ content: { parts: [{ text: 'Hmm', thought: true }] } }] } },
+        state
+      ),
+      ...claudeToGemini.convertStreamChunk(
+        {
+          candidates: [
+            {
+              content: {
+                parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }]
+              },
+              finishReason: 'STOP'
+            }
+          ],
+          usageMetadata: {
+            promptTokenCount: 120,
+            cachedContentTokenCount: 20,
+            candidatesTokenCount: 10,
+            thoughtsTokenCount: 5
+          }
+        },
+        state
+      ),
+      ...claudeToGemini.finishStream(state)
+    ]
+
+    expect(events.map((event) => event.type)).toEqual([
+      'message_start',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_stop',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_stop',
+      'message_delta',
+      'message_stop'
+    ])
+    expect(events[1].content_block.type).toBe('thinking')
+    expect(events[4].content_block).toMatchObject({ type: 'tool_use', name: 'get_weather' })
+    expect(JSON.parse(events[5].delta.partial_json)).toEqual({ city: 'Paris' })
+    expect(events[7].delta.stop_reason).toBe('tool_use')
+    expect(events[7].usage).toEqual({
+      input_tokens: 100,
+      output_tokens: 15,
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: 20
+    })
+  })
+})
+
+describe('ClaudeToOpenAIResponsesConverter', () => {
+  it('converts messages into Responses input items and drops temperature for reasoning models', () => {
+    const request = claudeToOpenAIResponses.convertRequest(
+      { ...toolConversation, temperature: 0.2 },
+      'gpt-5'
+    )
+
+    expect(request.instructions).toBe('You are helpful.')
+    expect(request.temperature).toBeUndefined()
+    expect(request.reasoning).toEqual({ effort: 'medium', summary: 'auto' })
+    expect(request.tool_choice).toBe('required')
+    expect(request.input).toEqual([
+      { role: 'user', content: [{ type: 'input_text', text: 'What is the weather in Paris?' }] },
+      {
+        type: 'function_call',
+        call_id: 'toolu_1',
+        name: 'get_weather',
+        arguments: '{"city":"Paris"}'
+      },
+      { type: 'function_call_output', call_id: 'toolu_1', output: 'Sunny' },
+      { role: 'user', content: [{ type: 'input_text', text: 'Thanks' }] }
+    ])
+
+    const plain = claudeToOpenAIResponses.convertRequest(
+      { ...toolConversation, temperature: 0.2 },
+      'gpt-4.1'
+    )
+    expect(plain.temperature).toBe(0.2)
+  })
+
+  it('turns Responses stream events into Claude stream events', () => {
+    const state = claudeToOpenAIResponses.createStreamState('claude-sonnet-4-20250514')
+    const events = [
+      { type: 'response.created', response: {} },
+      { type: 'response.content_part.added', part: { type: 'output_text' } },
+      { type: 'response.output_text.delta', delta: 'Hello' },
+      { type: 'response.output_item.done', item: { type: 'message' } },
+      {
+        type: 'response.completed',
+        response: {
+          status: 'completed',
+          usage: {
+            input_tokens: 50,
+            input_tokens_details: { cached_tokens: 10 },
+            output_tokens: 7
+          }
+        }
+      }
+    ].flatMap((event) => claudeToOpenAIResponses.convertStreamEvent(event, state))
+
+    expect(events.map((event) => event.type)).toEqual([
+      'message_start',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_stop',
+      'message_delta',
+      'message_stop'
+    ])
+    expect(events[2].delta).toEqual({ type: 'text_delta', text: 'Hello' })
+    expect(events[4].delta.stop_reason).toBe('end_turn')
+    expect(events[4].usage).toMatchObject({ input_tokens: 40, cache_read_input_tokens: 10 })
+    expect(claudeToOpenAIResponses.finishStream(state)).toEqual([])
+  })
+})
@@ -0,0 +1,80 @@
+/**
+ * API Key 周期预算配置测试
+ * 测试预算配置校验、月度 / 自定义周期计算，以及超出预算后的同系列降级模型选择
+ */
+
+const {
+  normalizeCostBudget,
+  getBudgetPeriod,
+  getModelFamily,
+  resolveBudgetDowngradeModel
+} = require('../src/utils/costBudgetHelper')
+
+const SONNET = 'claude-sonnet-4-20250514'
+const HAIKU = 'claude-3-5-haiku-20241022'
+
+describe('costBudgetHelper', () => {
+  it('normalizes budgets and disables zero amounts', () => {
+    expect(normalizeCostBudget(null)).toBeNull()
+    expect(normalizeCostBudget({ amount: 0 })).toBeNull()
+    expect(normalizeCostBudget({ amount: '500', alertThresholds: [100, 50, 80, 50] })).toEqual({
+      amount: 500,
+      period: 'monthly',
+      action: 'block',
+      resetDay: 1,
+      alertThresholds: [50, 80, 100]
+    })
+  })
+
+  it('rejects invalid budgets', () => {
+    expect(() => normalizeCostBudget({ amount: 10, resetDay: 31 })).toThrow('resetDay')
+    expect(() => normalizeCostBudget({ amount: 10, period: 'custom', periodDays: 7 })).toThrow(
+      'startDate'
+    )
+    expect(() => normalizeCostBudget({ amount: 10, action: 'downgrade' })).toThrow('downgradeModel')
+    expect(() => normalizeCostBudget({ amount: 10, action: 'ignore' })).toThrow('action')
+  })
+
+  it('computes monthly periods from the reset day in the configured timezone', () => {
+    const budget = { period: 'monthly', resetDay: 15 }
+
+    // 2025-03-14 20:00 UTC = 2025-03-15 04:00 UTC+8，已进入新周期
+    const period = getBudgetPeriod(budget, new Date('2025-03-14T20:00:00Z'), 8)
+    expect(period.periodId).toBe('2025-03-15')
+    expect(period.start.toISOString()).toBe('2025-03-14T16:00:00.000Z')
+    expect(period.end.toISOString()).toBe('2025-04-14T16:00:00.000Z')
+
+    // 1 月 10 日尚未到重置日，属于上一年 12 月 15 日开始的周期
+    expect(getBudgetPeriod(budget, new Date('2025-01-10T00:00:00Z'), 0).periodId).toBe('2024-12-15')
+  })
+
+  it('computes custom periods from the start date', () => {
+    const budget = { period: 'custom', periodDays: 14, startDate: '2025-01-01' }
+    const period = getBudgetPeriod(budget, new Date('2025-01-20T12:00:00Z'), 0)
+    expect(period.periodId).toBe('2025-01-15')
+    expect(period.end.toISOString()).toBe('2025-01-29T00:00:00.000Z')
+  })
+
+  it('downgrades to a cheaper model of the same family and keeps cheaper requests', () => {
+    const prices = {
+      'claude-opus-4-1-20250805': { input_cost_per_token: 15e-6, output_cost_per_token: 75e-6 },
+      [SONNET]: { input_cost_per_token: 3e-6, output_cost_per_token: 15e-6 },
+      [HAIKU]: { input_cost_per_token: 0.8e-6, output_cost_per_token: 4e-6 },
+      'gpt-5': { input_cost_per_token: 1.25e-6, output_cost_per_token: 10e-6 }
+    }
+    const getPricing = (model) => prices[model] || null
+
+    expect(getModelFamily('us.anthropic.claude-sonnet-4-20250514-v1:0')).toBe('claude')
+    expect(getModelFamily('gemini-2.5-pro')).toBe('gemini')
+    expect(getModelFamily('GPT-5')).toBe('openai')
+
+    expect(resolveBudgetDowngradeModel('claude-opus-4-1-20250805', SONNET, getPricing)).toBe(SONNET)
+    // 不比降级模型贵的请求保持原模型
+    expect(resolveBudgetDowngradeModel(HAIKU, SONNET, getPricing)).toBe(HAIKU)
+    expect(resolveBudgetDowngradeModel(SONNET, SONNET, getPricing)).toBe(SONNET)
+    // 其他系列、未知价格或缺少模型时无法降级
+    expect(resolveBudgetDowngradeModel('gpt-5', HAIKU, getPricing)).toBeNull()
+    expect(resolveBudgetDowngradeModel('claude-unknown', HAIKU, getPricing)).toBeNull()
+    expect(resolveBudgetDowngradeModel(undefined, HAIKU, getPricing)).toBeNull()
+  })
+})
@@ -0,0 +1,73 @@
+/**
+ * API Key 周期预算测试
+ * 测试周期内费用累计、阈值提醒只发送一次，以及预算状态与超出判定
+ */
+
+const redis = require('../src/models/redis')
+const webhookService = require('../src/services/webhookService')
+const costBudgetService = require('../src/services/costBudgetService')
+const { normalizeCostBudget } = require('../src/utils/costBudgetHelper')
+
+describe('CostBudgetService', () => {
+  let store
+  let sendNotification
+
+  beforeEach(() => {
+    store = new Map()
+    const budget = normalizeCostBudget({ amount: 100, alertThresholds: [50, 80, 100] })
+    const client = {
+      get: jest.fn(async (key) => store.get(key) ?? null),
+      hmget: jest.fn(async () => [JSON.stringify(budget), 'finance-team']),
+      set: jest.fn(async (key, value, ...args) => {
+        if (args.includes('NX') && store.has(key)) {
+          return null
+        }
+        store.set(key, value)
+        return 'OK'
+      }),
+      pipeline: () => {
+        const ops = []
+        return {
+          incrbyfloat: (key, amount) =>
+            ops.push(() => {
+              const next = parseFloat(store.get(key) || 0) + amount
+              store.set(key, String(next))
+              return String(next)
+            }),
+          expire: () => ops.push(() => 1),
+          exec: async () => ops.map((op) => [null, op()])
+        }
+      }
+    }
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(client)
+    sendNotification = jest.spyOn(webhookService, 'sendNotification').mockResolvedValue({})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('sends each threshold alert once per period and reports the status', async () => {
+    await costBudgetService.recordCost('key-1', 30)
+    expect(sendNotification).not.toHaveBeenCalled()
+
+    // 一次跨过 50% 与 80% 时只提醒最高的阈值
+    await costBudgetService.recordCost('key-1', 55)
+    expect(sendNotification).toHaveBeenCalledTimes(1)
+    expect(sendNotification.mock.calls[0][0]).toBe('quotaWarning')
+    expect(sendNotification.mock.calls[0][1]).toMatchObject({
+      apiKeyName: 'finance-team',
+      threshold: 80
+    })
+
+    await costBudgetService.recordCost('key-1', 5)
+    expect(sendNotification).toHaveBeenCalledTimes(1)
+
+    await costBudgetService.recordCost('key-1', 20)
+    expect(sendNotification).toHaveBeenCalledTimes(2)
+    expect(sendNotification.mock.calls[1][1].threshold).toBe(100)
+
+    const status = await costBudgetService.getBudgetStatus('key-1', { amount: 100, action: 'warn' })
+    expect(status).toMatchObject({ spent: 110, exceeded: true, action: 'warn' })
+  })
+})
@@ -0,0 +1,248 @@
+/**
+ * 凭证保险库测试
+ * 测试信封加密、主密钥版本、旧格式兼容、解密失败上报与在线重新加密
+ */
+
+const crypto = require('crypto')
+const config = require('../config/config')
+const redis = require('../src/models/redis')
+const { EnvKeyProvider } = require('../src/utils/credentialKeyProviders')
+const {
+  credentialVault,
+  CredentialDecryptionError,
+  LEGACY_KEY_VERSION
+} = require('../src/utils/credentialVault')
+const credentialRotationService = require('../src/services/credentialRotationService')
+const { createFakeRedisClient } = require('./helpers/fakeRedis')
+
+// 按各服务原有方式生成旧格式 iv:密文
+function legacyEncrypt(text, salt) {
+  const key = crypto.scryptSync(config.security.encryptionKey, salt, 32)
+  const iv = crypto.randomBytes(16)
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv)
+  return `${iv.toString('hex')}:${cipher.update(text, 'utf8', 'hex')}${cipher.final('hex')}`
+}
+
+function useKeys(keys, activeVersion) {
+  credentialVault.setProvider(
+    new EnvKeyProvider({ legacyKey: config.security.encryptionKey, keys, activeVersion })
+  )
+}
+
+// 在共用的内存版 Redis 客户端上补充 eval，按 HASH / STRING CAS 脚本的语义执行
+function createFakeClient(initial) {
+  const client = createFakeRedisClient(initial)
+  const { store } = client
+  client.eval = jest.fn(async (script, _numKeys, key, ...args) => {
+    if (script.includes('HGET')) {
+      const [field, expected, updated] = args
+      const data = store.get(key)
+      if (data?.[field] !== expected) {
+        return 0
+      }
+      store.set(key, { ...data, [field]: updated })
+      return 1
+    }
+    const [expected, updated] = args
+    if (store.get(key) !== expected) {
+      return 0
+    }
+    store.set(key, updated)
+    return 1
+  })
+  return client
+}
+
+describe('credentialVault', () => {
+  beforeEach(() => {
+    useKeys('', undefined)
+    credentialVault.resetFailureStats()
+  })
+
+  afterAll(() => {
+    credentialVault.setProvider(null)
+  })
+
+  it('round-trips envelope ciphertext and records the key version', () => {
+    const cipher = credentialVault.createCipher('test')
+    const encrypted = cipher.encrypt('sk-secret')
+
+    expect(encrypted.startsWith('cv1:1:')).toBe(true)
+    expect(encrypted).not.toContain('sk-secret')
+    expect(credentialVault.getKeyVersion(encrypted)).toBe('1')
+    expect(cipher.decrypt(encrypted)).toBe('sk-secret')
+    expect(cipher.encrypt('')).toBe('')
+    expect(cipher.decrypt('')).toBe('')
+  })
+
+  it('keeps decrypting older key versions after the active key changes', () => {
+    const cipher = credentialVault.createCipher('test')
+    const oldCiphertext = cipher.encrypt('sk-old')
+
+    useKeys('2:rotated-master-key', '2')
+    const newCiphertext = cipher.encrypt('sk-new')
+
+    expect(credentialVault.getKeyVersion(newCiphertext)).toBe('2')
+    expect(cipher.decrypt(oldCiphertext)).toBe('sk-old')
+    expect(cipher.decrypt(newCiphertext)).toBe('sk-new')
+    expect(cipher.needsReencryption(oldCiphertext)).toBe(true)
+    expect(cipher.needsReencryption(newCiphertext)).toBe(false)
+  })
+
+  it('decrypts the legacy per-service format', () => {
+    const cipher = credentialVault.createCipher('ccr', { salt: 'ccr-account-salt' })
+    const legacy = legacyEncrypt('cr_legacy_key', 'ccr-account-salt')
+
+    expect(credentialVault.getKeyVersion(legacy)).toBe(LEGACY_KEY_VERSION)
+    expect(cipher.needsReencryption(legacy)).toBe(true)
+    expect(cipher.decrypt(legacy)).toBe('cr_legacy_key')
+  })
+
+  it('throws and records failures instead of returning the ciphertext', () => {
+    const cipher = credentialVault.createCipher('claude-console', { salt: 'wrong-salt' })
+    const legacy = legacyEncrypt('sk-console', 'claude-console-salt')
+    const tampered = `${cipher.encrypt('sk-value').slice(0, -4)}AAAA`
+
+    expect(() => cipher.decrypt(legacy)).toThrow(CredentialDecryptionError)
+    expect(() => cipher.decrypt(tampered)).toThrow(/key version 1/)
+    expect(() => cipher.decrypt('not-a-ciphertext')).toThrow(CredentialDecryptionError)
+
+    const [stats] = credentialVault.getFailureStats()
+    expect(stats).toMatchObject({ namespace: 'claude-console', count: 3 })
+  })
+
+  it('fails to decrypt when the key version is no longer configured', () => {
+    useKeys('2:rotated-master-key', '2')
+    const cipher = credentialVault.createCipher('test')
+    const encrypted = cipher.encrypt('sk-value')
+
+    useKeys('', undefined)
+    expect(() => cipher.decrypt(encrypted)).toThrow(/version 2 is not available/)
+  })
+
+  it('rejects malformed key configuration', () => {
+    expect(() => useKeys('two:abc', undefined)).toThrow(/positive integer/)
+    expect(() => useKeys('abc', undefined)).toThrow(/version:key/)
+    expect(() => useKeys('2:abc', '3')).toThrow(/version 3 is not configured/)
+  })
+})
+
+describe('credentialRotationService', () => {
+  const hashCipher = credentialVault.createCipher('hash-store', { salt: 'hash-salt' })
+  const jsonCipher = credentialVault.createCipher('json-store')
+  let client
+
+  beforeEach(() => {
+    useKeys('', undefined)
+    credentialVault.resetFailureStats()
+    credentialRotationService.stores.clear()
+    credentialRotationService.registerStore({
+      name: 'hash-store',
+      pattern: 'hash_account:*',
+      type: 'hash',
+      fields: ['apiKey', 'apiKeys'],
+      cipher: hashCipher,
+      nested: { apiKeys: 'encryptedKey' }
+    })
+    credentialRotationService.registerStore({
+      name: 'json-store',
+      pattern: 'json_account:*',
+      type: 'json',
+      fields: ['credentials'],
+      cipher: jsonCipher,
+      toCiphertext: (value) =>
+        typeof value === 'object' ? `${value.iv}:${value.encrypted}` : value
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  afterAll(() => {
+    credentialRotationService.stores.clear()
+    credentialVault.setProvider(null)
+  })
+
+  it('re-encrypts hash, nested and json credentials to the active key version', async () => {
+    const legacy = legacyEncrypt('sk-legacy', 'hash-salt')
+    const v1 = hashCipher.encrypt('sk-nested')
+    const [iv, encrypted] = legacyEncrypt('{"accessKeyId":"AKIA"}', 'salt').split(':')
+    client = createFakeClient({
+      'hash_account:1': {
+        name: 'a',
+        apiKey: legacy,
+        apiKeys: JSON.stringify([{ id: 'k1', encryptedKey: v1 }])
+      },
+      'json_account:1': JSON.stringify({ id: 'b', credentials: { iv, encrypted } })
+    })
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(client)
+
+    useKeys('2:rotated-master-key', '2')
+    const report = await credentialRotationService.runRotation({
+      id: 'job',
+      stores: {},
+      failures: [],
+      failedCount: 0
+    })
+
+    expect(report.status).toBe('completed')
+    expect(report.stores['hash-store']).toMatchObject({ keys: 1, rotated: 2, failed: 0 })
+    expect(report.stores['json-store']).toMatchObject({ keys: 1, rotated: 1 })
+
+    const hash = client.store.get('hash_account:1')
+    expect(credentialVault.getKeyVersion(hash.apiKey)).toBe('2')
+    expect(hashCipher.decrypt(hash.apiKey)).toBe('sk-legacy')
+    const [nested] = JSON.parse(hash.apiKeys)
+    expect(nested.id).toBe('k1')
+    expect(hashCipher.decrypt(nested.encryptedKey)).toBe('sk-nested')
+    expect(hash.name).toBe('a')
+
+    const json = JSON.parse(client.store.get('json_account:1'))
+    expect(credentialVault.getKeyVersion(json.credentials)).toBe('2')
+    expect(jsonCipher.decrypt(json.credentials)).toBe('{"accessKeyId":"AKIA"}')
+
+    const inventory = await credentialRotationService.getInventory()
+    expect(inventory.stores['hash-store'].versions).toEqual({ 2: 2 })
+  })
+
+  it('skips fields changed concurrently and reports undecryptable ones', async () => {
+    const current = hashCipher.encrypt('sk-current')
+    client = createFakeClient({
+      'hash_account:1': { apiKey: hashCipher.encrypt('sk-old') },
+      'hash_account:2': { apiKey: 'deadbeef' }
+    })
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(client)
+    // 模拟读取后被令牌刷新等并发写入覆盖
+    client.eval.mockImplementationOnce(async () => {
+      client.store.set('hash_account:1', { apiKey: current })
+      return 0
+    })
+
+    useKeys('2:rotated-master-key', '2')
+    const report = await credentialRotationService.runRotation({
+      id: 'job',
+      stores: {},
+      failures: [],
+      failedCount: 0
+    })
+
+    expect(report.status).toBe('completed_with_errors')
+    expect(report.stores['hash-store']).toMatchObject({ keys: 2, conflicts: 1, failed: 1 })
+    expect(report.failures).toEqual([
+      expect.objectContaining({ key: 'hash_account:2', field: 'apiKey' })
+    ])
+    expect(client.store.get('hash_account:1').apiKey).toBe(current)
+    expect(client.store.get('hash_account:2').apiKey).toBe('deadbeef')
+  })
+
+  it('refuses to start a second job while one holds the lock', async () => {
+    client = createFakeClient({})
+    client.set.mockResolvedValueOnce(null)
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(client)
+
+    await expect(credentialRotationService.startRotation('admin')).rejects.toMatchObject({
+      statusCode: 409
+    })
+  })
+})
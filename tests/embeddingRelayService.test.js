@@ -0,0 +1,226 @@
+/**
+ * 统一向量接口测试
+ * 测试按模型选择上游、通过统一调度器选择账户与 Azure 部署回退、Gemini 请求转换，以及限流时切换账户
+ */
+
+const http = require('http')
+
+jest.mock('../src/services/geminiApiAccountService', () => ({
+  getAccount: jest.fn(),
+  markAccountUsed: jest.fn()
+}))
+jest.mock('../src/services/openaiResponsesAccountService', () => ({
+  getAccount: jest.fn(),
+  updateAccountUsage: jest.fn()
+}))
+jest.mock('../src/services/azureOpenaiAccountService', () => ({
+  getSharedAccounts: jest.fn(),
+  getAccount: jest.fn(),
+  updateAccountUsage: jest.fn()
+}))
+jest.mock('../src/services/azureOpenaiRelayService', () => ({
+  handleAzureOpenAIRequest: jest.fn()
+}))
+jest.mock('../src/services/unifiedGeminiScheduler', () => ({
+  selectAccountForApiKey: jest.fn(),
+  markAccountRateLimited: jest.fn()
+}))
+jest.mock('../src/services/unifiedOpenAIScheduler', () => ({
+  selectAccountForApiKey: jest.fn(),
+  markAccountRateLimited: jest.fn()
+}))
+
+const geminiApiAccountService = require('../src/services/geminiApiAccountService')
+const azureOpenaiAccountService = require('../src/services/azureOpenaiAccountService')
+const unifiedGeminiScheduler = require('../src/services/unifiedGeminiScheduler')
+const unifiedOpenAIScheduler = require('../src/services/unifiedOpenAIScheduler')
+const embeddingRelayService = require('../src/services/embeddingRelayService')
+
+const geminiSelection = (accountId) => ({ accountId, accountType: 'gemini-api' })
+
+describe('EmbeddingRelayService', () => {
+  let server
+  let serverUrl
+  let upstreamRequests
+  let upstreamStatus
+
+  beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      let data = ''
+      request.on('data', (chunk) => {
+        data += chunk
+      })
+      request.on('end', () => {
+        upstreamRequests.push({
+          url: request.url,
+          headers: request.headers,
+          body: JSON.parse(data)
+        })
+        const status = upstreamStatus.shift() || 200
+        response.statusCode = status
+        response.setHeader('Content-Type', 'application/json')
+        if (status !== 200) {
+          return response.end(JSON.stringify({ error: { message: 'quota exceeded' } }))
+        }
+        const body = JSON.parse(data)
+        return response.end(
+          JSON.stringify(
+            body.requests
+              ? { embeddings: body.requests.map((_, i) => ({ values: [i, 0.5] })) }
+              : { embedding: { values: [0.25, 0.5] } }
+          )
+        )
+      })
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    serverUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve))
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    upstreamRequests = []
+    upstreamStatus = []
+    azureOpenaiAccountService.getSharedAccounts.mockResolvedValue([])
+    geminiApiAccountService.getAccount.mockImplementation(async (id) => ({
+      id,
+      baseUrl: serverUrl,
+      apiKey: `key-${id}`
+    }))
+  })
+
+  it('detects the upstream provider from the model name', () => {
+    expect(embeddingRelayService.detectProvider('gemini-embedding-001')).toBe('gemini')
+    expect(embeddingRelayService.detectProvider('models/text-embedding-004')).toBe('gemini')
+    expect(embeddingRelayService.detectProvider('text-embedding-3-small')).toBe('openai')
+  })
+
+  it('selects accounts through the unified schedulers and falls back to Azure deployments', async () => {
+    unifiedGeminiScheduler.selectAccountForApiKey.mockResolvedValue(geminiSelection('g1'))
+    const groupKey = { name: 'rag', geminiAccountId: 'group:embeddings' }
+    expect(
+      await embeddingRelayService.selectAccount(groupKey, 'gemini', 'gemini-embedding-001')
+    ).toEqual(geminiSelection('g1'))
+    expect(unifiedGeminiScheduler.selectAccountForApiKey).toHaveBeenCalledWith(
+      groupKey,
+      null,
+      'gemini-embedding-001',
+      { apiOnly: true }
+    )
+
+    // 没有可用的 Responses 账户时，只使用部署了该模型的 Azure 账户
+    const noResponsesAccount = Object.assign(new Error('No available OpenAI accounts'), {
+      statusCode: 402
+    })
+    unifiedOpenAIScheduler.selectAccountForApiKey.mockRejectedValue(noResponsesAccount)
+    azureOpenaiAccountService.getSharedAccounts.mockResolvedValue([
+      { id: 'az-chat', isActive: 'true', schedulable: 'true', deploymentName: 'gpt-4o' },
+      {
+        id: 'az-embed',
+        isActive: 'true',
+        schedulable: 'true',
+        deploymentName: 'embed',
+        supportedModels: ['text-embedding-3-small']
+      }
+    ])
+    expect(
+      await embeddingRelayService.selectAccount({}, 'openai', 'text-embedding-3-small')
+    ).toEqual({ accountId: 'az-embed', accountType: 'azure-openai' })
+    expect(unifiedOpenAIScheduler.selectAccountForApiKey).toHaveBeenCalledWith(
+      {},
+      null,
+      'text-embedding-3-small',
+      { responsesOnly: true }
+    )
+
+    // 绑定了 OpenAI 专属账户或分组的 Key 不使用共享的 Azure 部署
+    await expect(
+      embeddingRelayService.selectAccount(
+        { openaiAccountId: 'group:openai' },
+        'openai',
+        'text-embedding-3-small'
+      )
+    ).rejects.toBe(noResponsesAccount)
+
+    // 绑定 Azure 账户的 Key 只使用该部署
+    azureOpenaiAccountService.getAccount.mockResolvedValue({
+      id: 'az-bound',
+      isActive: 'true',
+      deploymentName: 'text-embedding-3-large'
+    })
+    expect(
+      await embeddingRelayService.selectAccount(
+        { azureOpenaiAccountId: 'az-bound' },
+        'openai',
+        'text-embedding-3-large'
+      )
+    ).toEqual({ accountId: 'az-bound', accountType: 'azure-openai' })
+    await expect(
+      embeddingRelayService.selectAccount(
+        { azureOpenaiAccountId: 'az-bound' },
+        'openai',
+        'text-embedding-3-small'
+      )
+    ).rejects.toMatchObject({ status: 503 })
+  })
+
+  it('converts a batch request to batchEmbedContents and returns OpenAI format', async () => {
+    unifiedGeminiScheduler.selectAccountForApiKey.mockResolvedValue(geminiSelection('g1'))
+
+    const result = await embeddingRelayService.relay(
+      { name: 'rag' },
+      { model: 'gemini-embedding-001', input: ['hello', 'world!!'], dimensions: 2 }
+    )
+
+    expect(upstreamRequests[0].url).toBe('/v1beta/models/gemini-embedding-001:batchEmbedContents')
+    expect(upstreamRequests[0].headers['x-goog-api-key']).toBe('key-g1')
+    expect(upstreamRequests[0].body.requests[1]).toEqual({
+      model: 'models/gemini-embedding-001',
+      content: { parts: [{ text: 'world!!' }] },
+      outputDimensionality: 2
+    })
+    expect(result).toMatchObject({ accountId: 'g1', accountType: 'gemini-api', inputTokens: 4 })
+    expect(result.response.data).toEqual([
+      { object: 'embedding', index: 0, embedding: [0, 0.5] },
+      { object: 'embedding', index: 1, embedding: [1, 0.5] }
+    ])
+  })
+
+  it('switches to the next account when the first one is rate limited', async () => {
+    unifiedGeminiScheduler.selectAccountForApiKey
+      .mockResolvedValueOnce(geminiSelection('g1'))
+      .mockResolvedValueOnce(geminiSelection('g2'))
+    upstreamStatus.push(429)
+
+    const result = await embeddingRelayService.relay(
+      { name: 'rag' },
+      { model: 'text-embedding-004', input: 'hi', encoding_format: 'base64' }
+    )
+
+    expect(unifiedGeminiScheduler.markAccountRateLimited).toHaveBeenCalledWith('g1', 'gemini-api')
+    expect(result.accountId).toBe('g2')
+    expect(upstreamRequests[1].url).toBe('/v1beta/models/text-embedding-004:embedContent')
+    const decoded = Buffer.from(result.response.data[0].embedding, 'base64')
+    expect([decoded.readFloatLE(0), decoded.readFloatLE(4)]).toEqual([0.25, 0.5])
+
+    await expect(
+      embeddingRelayService.relay({ name: 'rag' }, { model: 'gemini-embedding-001', input: [] })
+    ).rejects.toMatchObject({ status: 400 })
+  })
+
+  it('stops retrying when the scheduler selects an account that already failed', async () => {
+    unifiedGeminiScheduler.selectAccountForApiKey.mockResolvedValue(geminiSelection('dedicated'))
+    upstreamStatus.push(429, 429)
+
+    await expect(
+      embeddingRelayService.relay(
+        { name: 'rag', geminiAccountId: 'api:dedicated' },
+        { model: 'gemini-embedding-001', input: 'hi' }
+      )
+    ).rejects.toMatchObject({ status: 429 })
+    expect(upstreamRequests).toHaveLength(1)
+  })
+})
@@ -0,0 +1,168 @@
+/**
+ * 跨平台降级链测试
+ * 测试降级链配置规范化、每一步的模型映射，以及调度器在账户不可用时依次尝试下一步
+ */
+
+// 账户服务在加载时会启动缓存清理定时器，调度器的降级逻辑不直接使用它们
+jest.mock('../src/services/claudeAccountService', () => ({}))
+jest.mock('../src/services/claudeConsoleAccountService', () => ({}))
+jest.mock('../src/services/bedrockAccountService', () => ({}))
+jest.mock('../src/services/ccrAccountService', () => ({}))
+
+const accountGroupService = require('../src/services/accountGroupService')
+const unifiedClaudeScheduler = require('../src/services/unifiedClaudeScheduler')
+const {
+  normalizeFallbackChain,
+  parseFallbackChain,
+  mapFallbackModel
+} = require('../src/utils/fallbackChainHelper')
+
+describe('fallbackChainHelper', () => {
+  it('normalizes chain steps and drops empty fields', () => {
+    expect(normalizeFallbackChain(null)).toEqual([])
+    expect(normalizeFallbackChain('')).toEqual([])
+    expect(
+      normalizeFallbackChain([
+        { accountType: 'claude-console', accountId: '', modelMapping: {} },
+        {
+          accountType: 'bedrock',
+          modelMapping: { '*': ' us.anthropic.claude-sonnet-4-20250514-v1:0 ' },
+          extra: 'ignored'
+        },
+        { accountType: 'ccr', accountId: 'ccr-1' }
+      ])
+    ).toEqual([
+      { accountType: 'claude-console' },
+      {
+        accountType: 'bedrock',
+        modelMapping: { '*': 'us.anthropic.claude-sonnet-4-20250514-v1:0' }
+      },
+      { accountType: 'ccr', accountId: 'ccr-1' }
+    ])
+  })
+
+  it('rejects invalid chain configuration', () => {
+    expect(() => normalizeFallbackChain({ accountType: 'bedrock' })).toThrow('must be an array')
+    expect(() => normalizeFallbackChain(['bedrock'])).toThrow('fallbackChain[0] must be an object')
+    expect(() => normalizeFallbackChain([{ accountType: 'gemini' }])).toThrow('accountType')
+    expect(() => normalizeFallbackChain([{ accountType: 'ccr', accountId: 42 }])).toThrow(
+      'accountId must be a string'
+    )
+    expect(() =>
+      normalizeFallbackChain([{ accountType: 'bedrock', modelMapping: ['claude'] }])
+    ).toThrow('modelMapping must be an object')
+    expect(() =>
+      normalizeFallbackChain([{ accountType: 'bedrock', modelMapping: { 'claude-opus-4-1': ' ' } }])
+    ).toThrow('invalid entry')
+  })
+
+  it('parses stored chains and tolerates corrupt values', () => {
+    expect(parseFallbackChain('[{"accountType":"ccr"}]')).toEqual([{ accountType: 'ccr' }])
+    expect(parseFallbackChain('{broken')).toEqual([])
+    expect(parseFallbackChain('{"accountType":"ccr"}')).toEqual([])
+    expect(parseFallbackChain(undefined)).toEqual([])
+  })
+
+  it('maps models per step with exact matches before the wildcard', () => {
+    const step = {
+      accountType: 'bedrock',
+      modelMapping: { 'claude-opus-4-1': 'claude-sonnet-4', '*': 'claude-haiku-4-5' }
+    }
+    expect(mapFallbackModel(step, 'claude-opus-4-1')).toBe('claude-sonnet-4')
+    expect(mapFallbackModel(step, 'claude-sonnet-4-5')).toBe('claude-haiku-4-5')
+    expect(
+      mapFallbackModel({ modelMapping: { 'claude-opus-4-1': 'x' } }, 'claude-sonnet-4-5')
+    ).toBe('claude-sonnet-4-5')
+    expect(mapFallbackModel({ accountType: 'ccr' }, 'claude-sonnet-4-5')).toBe('claude-sonnet-4-5')
+  })
+})
+
+describe('unifiedClaudeScheduler fallback chain', () => {
+  const apiKeyData = {
+    id: 'key-1',
+    name: 'fallback-key',
+    claudeAccountId: 'dedicated-1',
+    fallbackChain: JSON.stringify([
+      { accountType: 'claude-console', accountId: 'console-1' },
+      { accountType: 'bedrock', modelMapping: { '*': 'bedrock-sonnet' } },
+      { accountType: 'ccr', modelMapping: { 'claude-opus-4-1': 'ccr-opus' } }
+    ])
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('prefers the key chain over the bound group chain', async () => {
+    const getGroup = jest.spyOn(accountGroupService, 'getGroup')
+    expect(await unifiedClaudeScheduler._getFallbackChain(apiKeyData)).toHaveLength(3)
+    expect(getGroup).not.toHaveBeenCalled()
+
+    getGroup.mockResolvedValue({ fallbackChain: '[{"accountType":"ccr"}]' })
+    expect(
+      await unifiedClaudeScheduler._getFallbackChain({ claudeAccountId: 'group:g-1' })
+    ).toEqual([{ accountType: 'ccr' }])
+    expect(getGroup).toHaveBeenCalledWith('g-1')
+
+    expect(await unifiedClaudeScheduler._getFallbackChain({ claudeAccountId: 'acc-1' })).toEqual([])
+  })
+
+  it('steps to the next entry when an account is unavailable', async () => {
+    const isAvailable = jest
+      .spyOn(unifiedClaudeScheduler, '_isAccountAvailable')
+      .mockResolvedValue(false)
+    const getAll = jest
+      .spyOn(unifiedClaudeScheduler, '_getAllAvailableAccounts')
+      .mockImplementation(async (keyData, model, includeCcr) =>
+        includeCcr
+          ? [
+              { accountId: 'ccr-2', accountType: 'ccr', priority: 50 },
+              { accountId: 'ccr-1', accountType: 'ccr', priority: 10 }
+            ]
+          : [{ accountId: 'official-1', accountType: 'claude-official', priority: 1 }]
+      )
+
+    const selection = await unifiedClaudeScheduler.selectFallbackAccount(
+      apiKeyData,
+      'claude-opus-4-1'
+    )
+
+    expect(isAvailable).toHaveBeenCalledWith('console-1', 'claude-console', 'claude-opus-4-1')
+    // bedrock 步骤没有匹配的账户类型，继续尝试 ccr 步骤并使用该步骤的模型映射
+    expect(getAll).toHaveBeenNthCalledWith(
+      1,
+      expect.objectContaining({ claudeAccountId: null }),
+      'bedrock-sonnet',
+      false
+    )
+    expect(getAll).toHaveBeenNthCalledWith(2, expect.anything(), 'ccr-opus', true)
+    expect(selection).toEqual({
+      accountId: 'ccr-1',
+      accountType: 'ccr',
+      fallbackModel: 'ccr-opus',
+      fallbackStep: 3
+    })
+  })
+
+  it('continues past failing steps and returns null when the chain is exhausted', async () => {
+    jest.spyOn(unifiedClaudeScheduler, '_isAccountAvailable').mockResolvedValue(true)
+    jest
+      .spyOn(unifiedClaudeScheduler, '_getAllAvailableAccounts')
+      .mockRejectedValue(new Error('redis down'))
+
+    expect(
+      await unifiedClaudeScheduler.selectFallbackAccount(apiKeyData, 'claude-sonnet-4-5')
+    ).toEqual({
+      accountId: 'console-1',
+      accountType: 'claude-console',
+      fallbackModel: 'claude-sonnet-4-5',
+      fallbackStep: 1
+    })
+
+    unifiedClaudeScheduler._isAccountAvailable.mockResolvedValue(false)
+    expect(
+      await unifiedClaudeScheduler.selectFallbackAccount(apiKeyData, 'claude-sonnet-4-5')
+    ).toBeNull()
+    expect(await unifiedClaudeScheduler.selectFallbackAccount({ name: 'none' })).toBeNull()
+  })
+})
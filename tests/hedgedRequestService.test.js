@@ -0,0 +1,213 @@
+/**
+ * 对冲请求测试
+ * 测试首字节阈值内主请求直接胜出、超过阈值后对冲请求胜出并中止落败方、只对胜出方计费，
+ * 以及请求本身的错误不触发对冲
+ */
+
+const { EventEmitter } = require('events')
+
+jest.mock('../src/services/claudeRelayService', () => ({
+  relayStreamRequestWithUsageCapture: jest.fn()
+}))
+jest.mock('../src/services/claudeConsoleRelayService', () => ({
+  relayStreamRequestWithUsageCapture: jest.fn()
+}))
+jest.mock('../src/services/unifiedClaudeScheduler', () => ({
+  selectHedgeAccount: jest.fn()
+}))
+
+const redis = require('../src/models/redis')
+const claudeRelayService = require('../src/services/claudeRelayService')
+const claudeConsoleRelayService = require('../src/services/claudeConsoleRelayService')
+const unifiedClaudeScheduler = require('../src/services/unifiedClaudeScheduler')
+const hedgedRequestService = require('../src/services/hedgedRequestService')
+
+class MockResponse extends EventEmitter {
+  constructor() {
+    super()
+    this.headersSent = false
+    this.destroyed = false
+    this.writableEnded = false
+    this.statusCode = 200
+    this.headers = {}
+    this.body = ''
+  }
+
+  status(code) {
+    this.statusCode = code
+    return this
+  }
+
+  setHeader(name, value) {
+    this.headers[name] = value
+  }
+
+  writeHead(statusCode) {
+    this.statusCode = statusCode
+    this.headersSent = true
+  }
+
+  write(chunk) {
+    this.headersSent = true
+    this.body += chunk
+    return true
+  }
+
+  end() {
+    this.writableEnded = true
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// 模拟上游：延迟 delayMs 后输出一条消息并上报 usage；收到 close 时中止
+const fakeUpstream =
+  (text, delayMs) => async (_body, _apiKey, responseStream, _headers, usageCallback) => {
+    let closed = false
+    responseStream.on('close', () => {
+      closed = true
+    })
+    await wait(delayMs)
+    if (closed) {
+      throw new Error('Client disconnected')
+    }
+    responseStream.writeHead(200, { 'Content-Type': 'text/event-stream' })
+    responseStream.write(`data: ${text}\n\n`)
+    usageCallback({ input_tokens: 1, output_tokens: 2, model: 'claude-sonnet-4', text })
+    responseStream.end()
+  }
+
+describe('hedgedRequestService', () => {
+  const apiKeyData = { id: 'key-1', name: 'interactive', enableHedging: true }
+  let hincrby
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    hincrby = jest.fn().mockReturnThis()
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue({
+      hincrby: jest.fn().mockResolvedValue(1),
+      multi: () => ({ hincrby, exec: jest.fn().mockResolvedValue([]) })
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('only enables hedging for opted-in keys on Claude accounts', () => {
+    expect(hedgedRequestService.getThresholdMs(apiKeyData, 'claude-official')).toBe(3000)
+    expect(
+      hedgedRequestService.getThresholdMs({ ...apiKeyData, hedgeThresholdMs: 50 }, 'claude-console')
+    ).toBe(200)
+    expect(hedgedRequestService.getThresholdMs(apiKeyData, 'bedrock')).toBe(0)
+    expect(hedgedRequestService.getThresholdMs({ enableHedging: false }, 'claude-official')).toBe(0)
+  })
+
+  it('keeps the primary request when the first byte arrives before the threshold', async () => {
+    claudeRelayService.relayStreamRequestWithUsageCapture.mockImplementation(
+      fakeUpstream('primary', 5)
+    )
+    const res = new MockResponse()
+    const onUsage = jest.fn()
+
+    await hedgedRequestService.relayStream({
+      requestBody: { model: 'claude-sonnet-4' },
+      apiKeyData,
+      clientHeaders: {},
+      res,
+      primary: { accountId: 'acc-1', accountType: 'claude-official' },
+      thresholdMs: 100,
+      onUsage
+    })
+
+    expect(res.body).toBe('data: primary\n\n')
+    expect(res.writableEnded).toBe(true)
+    expect(unifiedClaudeScheduler.selectHedgeAccount).not.toHaveBeenCalled()
+    expect(onUsage).toHaveBeenCalledWith(
+      expect.objectContaining({ text: 'primary' }),
+      'claude-official'
+    )
+    expect(
+      claudeRelayService.relayStreamRequestWithUsageCapture.mock.calls[0][6].forcedAccount
+    ).toEqual({ accountId: 'acc-1', accountType: 'claude-official' })
+  })
+
+  it('hedges to another account after the threshold and aborts the slower request', async () => {
+    claudeRelayService.relayStreamRequestWithUsageCapture.mockImplementation(
+      fakeUpstream('primary', 200)
+    )
+    claudeConsoleRelayService.relayStreamRequestWithUsageCapture.mockImplementation(
+      fakeUpstream('hedge', 5)
+    )
+    unifiedClaudeScheduler.selectHedgeAccount.mockResolvedValue({
+      accountId: 'acc-2',
+      accountType: 'claude-console'
+    })
+    const res = new MockResponse()
+    const onUsage = jest.fn()
+
+    await hedgedRequestService.relayStream({
+      requestBody: { model: 'claude-sonnet-4' },
+      apiKeyData,
+      clientHeaders: {},
+      res,
+      primary: { accountId: 'acc-1', accountType: 'claude-official' },
+      thresholdMs: 20,
+      onUsage
+    })
+
+    expect(unifiedClaudeScheduler.selectHedgeAccount).toHaveBeenCalledWith(
+      apiKeyData,
+      'claude-sonnet-4',
+      'acc-1'
+    )
+    expect(res.body).toBe('data: hedge\n\n')
+    expect(res.headers['Content-Type']).toBe('text/event-stream')
+    expect(onUsage).toHaveBeenCalledTimes(1)
+    expect(onUsage).toHaveBeenCalledWith(
+      expect.objectContaining({ text: 'hedge' }),
+      'claude-console'
+    )
+
+    // 落败的主请求收到 close 后中止，不会再写入客户端或计费
+    const consoleOptions =
+      claudeConsoleRelayService.relayStreamRequestWithUsageCapture.mock.calls[0][7]
+    expect(consoleOptions.abortSignal.aborted).toBe(false)
+    expect(claudeRelayService.relayStreamRequestWithUsageCapture.mock.calls[0][2].destroyed).toBe(
+      true
+    )
+    await wait(250)
+    expect(res.body).toBe('data: hedge\n\n')
+    expect(onUsage).toHaveBeenCalledTimes(1)
+    expect(hincrby).toHaveBeenCalledWith('hedge_stats:acc-1', 'races', 1)
+    expect(hincrby).toHaveBeenCalledWith('hedge_stats:acc-2', 'hedgeRaces', 1)
+  })
+
+  it('returns request errors from the primary without hedging', async () => {
+    claudeRelayService.relayStreamRequestWithUsageCapture.mockImplementation(
+      async (_body, _apiKey, responseStream) => {
+        await wait(5)
+        responseStream.writeHead(400, { 'Content-Type': 'application/json' })
+        responseStream.write('{"error":{"type":"invalid_request_error"}}')
+        responseStream.end()
+      }
+    )
+    const res = new MockResponse()
+
+    await hedgedRequestService.relayStream({
+      requestBody: { model: 'claude-sonnet-4' },
+      apiKeyData,
+      clientHeaders: {},
+      res,
+      primary: { accountId: 'acc-1', accountType: 'claude-official' },
+      thresholdMs: 20,
+      onUsage: jest.fn()
+    })
+    await wait(40)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body).toContain('invalid_request_error')
+    expect(unifiedClaudeScheduler.selectHedgeAccount).not.toHaveBeenCalled()
+    expect(hincrby).not.toHaveBeenCalled()
+  })
+})
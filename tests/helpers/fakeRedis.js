@@ -0,0 +1,156 @@
+/**
+ * 内存版 Redis 客户端
+ * 供各服务测试共用，只实现服务里用到的命令；字符串直接存值，哈希存为普通对象，
+ * 集合存为 Set，列表存为数组，有序集合存为 Map（成员 -> 分数）
+ */
+
+const parseScore = (value) => {
+  if (value === '-inf') {
+    return -Infinity
+  }
+  if (value === '+inf' || value === 'inf') {
+    return Infinity
+  }
+  return Number(value)
+}
+
+function createFakeRedisClient(initial = {}) {
+  const store = new Map(Object.entries(initial))
+
+  const typed = (key, create) => {
+    if (!store.has(key)) {
+      store.set(key, create())
+    }
+    return store.get(key)
+  }
+  const hash = (key) => typed(key, () => ({}))
+  const set = (key) => typed(key, () => new Set())
+  const list = (key) => typed(key, () => [])
+  const zset = (key) => typed(key, () => new Map())
+
+  const sortedMembers = (key) =>
+    [...(store.get(key) || new Map()).entries()]
+      .sort((a, b) => a[1] - b[1])
+      .map(([member]) => member)
+  const range = (items, start, stop) =>
+    items.slice(start, stop < 0 ? items.length + stop + 1 : stop + 1)
+
+  const commands = {
+    get: (key) => store.get(key) ?? null,
+    mget: (...keys) => keys.flat().map((key) => store.get(key) ?? null),
+    set: (key, value, ...args) => {
+      if (args.includes('NX') && store.has(key)) {
+        return null
+      }
+      store.set(key, value)
+      return 'OK'
+    },
+    setex: (key, _seconds, value) => commands.set(key, value),
+    del: (...keys) => keys.filter((key) => store.delete(key)).length,
+    incr: (key) => commands.incrby(key, 1),
+    incrby: (key, amount) => {
+      const next = parseInt(store.get(key) || 0) + amount
+      store.set(key, String(next))
+      return next
+    },
+    incrbyfloat: (key, amount) => {
+      const next = parseFloat(store.get(key) || 0) + parseFloat(amount)
+      store.set(key, String(next))
+      return String(next)
+    },
+    expire: (key) => (store.has(key) ? 1 : 0),
+    pexpire: (key) => (store.has(key) ? 1 : 0),
+    sadd: (key, ...members) => {
+      const target = set(key)
+      const before = target.size
+      members.forEach((member) => target.add(member))
+      return target.size - before
+    },
+    srem: (key, ...members) => members.filter((member) => set(key).delete(member)).length,
+    smembers: (key) => [...set(key)],
+    hset: (key, fieldOrData, value) => {
+      const data = typeof fieldOrData === 'object' ? fieldOrData : { [fieldOrData]: value }
+      Object.assign(hash(key), data)
+      return 1
+    },
+    hget: (key, field) => hash(key)[field] ?? null,
+    hdel: (key, ...fields) => {
+      const data = hash(key)
+      return fields.filter((field) => field in data && delete data[field]).length
+    },
+    hgetall: (key) => ({ ...(store.get(key) || {}) }),
+    hlen: (key) => Object.keys(hash(key)).length,
+    hmget: (key, ...fields) => fields.map((field) => hash(key)[field] ?? null),
+    hincrby: (key, field, amount) => {
+      const data = hash(key)
+      data[field] = String(parseInt(data[field] || 0) + amount)
+      return parseInt(data[field])
+    },
+    rpush: (key, ...values) => list(key).push(...values),
+    lrange: (key, start, stop) => range(store.get(key) || [], start, stop),
+    llen: (key) => (store.get(key) || []).length,
+    zadd: (key, ...pairs) => {
+      const target = zset(key)
+      for (let i = 0; i < pairs.length; i += 2) {
+        target.set(pairs[i + 1], Number(pairs[i]))
+      }
+      return pairs.length / 2
+    },
+    zrange: (key, start, stop) => range(sortedMembers(key), start, stop),
+    zrevrange: (key, start, stop) => range(sortedMembers(key).reverse(), start, stop),
+    zrangebyscore: (key, min, max) =>
+      sortedMembers(key).filter((member) => {
+        const score = store.get(key).get(member)
+        return score >= parseScore(min) && score <= parseScore(max)
+      }),
+    zrevrangebyscore: (key, max, min, ...args) => {
+      const members = commands.zrangebyscore(key, min, max).reverse()
+      const limitIndex = args.indexOf('LIMIT')
+      return limitIndex >= 0
+        ? members.slice(args[limitIndex + 1], args[limitIndex + 1] + args[limitIndex + 2])
+        : members
+    },
+    zcard: (key) => (store.get(key) || new Map()).size,
+    zrem: (key, ...members) => members.filter((member) => zset(key).delete(member)).length,
+    zremrangebyscore: (key, min, max) => {
+      const target = zset(key)
+      let removed = 0
+      for (const [member, score] of target) {
+        if (score >= parseScore(min) && score <= parseScore(max)) {
+          target.delete(member)
+          removed++
+        }
+      }
+      return removed
+    },
+    scan: (cursor, _match, pattern) => {
+      const prefix = pattern.replace(/\*$/, '')
+      return ['0', [...store.keys()].filter((key) => key.startsWith(prefix))]
+    }
+  }
+
+  const client = { store }
+  for (const [name, command] of Object.entries(commands)) {
+    client[name] = jest.fn(async (...args) => command(...args))
+  }
+
+  // 管道与事务按顺序排队执行，exec 返回 [error, result] 列表
+  client.pipeline = () => {
+    const queued = []
+    const pipeline = {
+      exec: async () => queued.map((op) => [null, op()])
+    }
+    for (const [name, command] of Object.entries(commands)) {
+      pipeline[name] = (...args) => {
+        queued.push(() => command(...args))
+        return pipeline
+      }
+    }
+    return pipeline
+  }
+  client.multi = client.pipeline
+
+  return client
+}
+
+module.exports = { createFakeRedisClient }
@@ -0,0 +1,77 @@
+/**
+ * IP 访问控制测试
+ * 测试全局白名单/黑名单与 Redis 规则的合并、Key 级网段检查，以及候选客户端地址的收集
+ */
+
+const redis = require('../src/models/redis')
+const config = require('../config/config')
+const ipAccessService = require('../src/services/ipAccessService')
+
+describe('IpAccessService', () => {
+  const originalIpWhitelist = config.security.ipWhitelist
+  let storedRules
+
+  beforeEach(() => {
+    storedRules = null
+    ipAccessService.clearCache()
+    jest.spyOn(redis, 'getClient').mockReturnValue({
+      get: jest.fn(async () => (storedRules ? JSON.stringify(storedRules) : null))
+    })
+    config.security.ipWhitelist = { enabled: false, allowedIps: [], deniedIps: [] }
+  })
+
+  afterEach(() => {
+    config.security.ipWhitelist = originalIpWhitelist
+    jest.restoreAllMocks()
+  })
+
+  it('allows everything when no rules are configured', async () => {
+    expect(await ipAccessService.checkGlobalAccess(['203.0.113.7'])).toEqual({ allowed: true })
+  })
+
+  it('merges Redis rules with static config and gives the denylist priority', async () => {
+    config.security.ipWhitelist.allowedIps = ['203.0.113.0/24']
+    storedRules = {
+      allowlistEnabled: true,
+      allowlist: ['2001:db8::/32'],
+      denylist: ['203.0.113.66']
+    }
+
+    expect(await ipAccessService.checkGlobalAccess(['203.0.113.7'])).toEqual({ allowed: true })
+    expect(await ipAccessService.checkGlobalAccess(['2001:db8::1'])).toEqual({ allowed: true })
+    expect(await ipAccessService.checkGlobalAccess(['203.0.113.66'])).toEqual({
+      allowed: false,
+      reason: 'denylisted'
+    })
+    expect(await ipAccessService.checkGlobalAccess(['198.51.100.1'])).toEqual({
+      allowed: false,
+      reason: 'not_allowlisted'
+    })
+  })
+
+  it('blocks everything when the allowlist is enabled but empty', async () => {
+    storedRules = { allowlistEnabled: true, allowlist: [], denylist: [] }
+    expect(await ipAccessService.checkGlobalAccess(['198.51.100.1'])).toEqual({
+      allowed: false,
+      reason: 'allowlist_empty'
+    })
+  })
+
+  it('checks per-key networks against every candidate address', () => {
+    const runnerSubnet = ['10.42.0.0/16']
+    expect(ipAccessService.isKeyAccessAllowed([], ['198.51.100.1'])).toBe(true)
+    expect(ipAccessService.isKeyAccessAllowed(runnerSubnet, ['10.42.8.9', '198.51.100.1'])).toBe(
+      true
+    )
+    expect(ipAccessService.isKeyAccessAllowed(runnerSubnet, ['198.51.100.1'])).toBe(false)
+  })
+
+  it('collects the original and resolved client addresses', () => {
+    const req = { ip: '::ffff:10.42.8.9' }
+    expect(ipAccessService.getCandidateIps(req, '198.51.100.1')).toEqual([
+      '10.42.8.9',
+      '198.51.100.1'
+    ])
+    expect(ipAccessService.getCandidateIps(req, 'unknown')).toEqual(['10.42.8.9'])
+  })
+})
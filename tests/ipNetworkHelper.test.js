@@ -0,0 +1,40 @@
+/**
+ * IP 网段匹配测试
+ * 测试 CIDR / IPv6 前缀匹配与网段列表规范化
+ */
+
+const {
+  isIpInNetworks,
+  normalizeNetworkList,
+  parseNetwork
+} = require('../src/utils/ipNetworkHelper')
+
+describe('ipNetworkHelper', () => {
+  it('matches IPv4 CIDR ranges including IPv4-mapped addresses', () => {
+    expect(isIpInNetworks('10.20.3.4', ['10.20.0.0/16'])).toBe(true)
+    expect(isIpInNetworks('::ffff:10.20.3.4', ['10.20.0.0/16'])).toBe(true)
+    expect(isIpInNetworks('10.21.3.4', ['10.20.0.0/16'])).toBe(false)
+    expect(isIpInNetworks('1.2.3.4', ['1.2.3.4'])).toBe(true)
+    expect(isIpInNetworks('1.2.3.4', ['0.0.0.0/0'])).toBe(true)
+  })
+
+  it('matches IPv6 prefixes and never crosses address families', () => {
+    expect(isIpInNetworks('2001:db8:1:2::5', ['2001:db8::/32'])).toBe(true)
+    expect(isIpInNetworks('2001:db9::5', ['2001:db8::/32'])).toBe(false)
+    expect(isIpInNetworks('fe80::1%eth0', ['fe80::/10'])).toBe(true)
+    expect(isIpInNetworks('10.0.0.1', ['::/0'])).toBe(false)
+  })
+
+  it('normalizes lists and rejects invalid entries', () => {
+    expect(normalizeNetworkList('10.1.2.3/8, 2001:DB8:0:0:1::/48\n1.2.3.4,1.2.3.4')).toEqual([
+      '10.0.0.0/8',
+      '2001:db8::/48',
+      '1.2.3.4'
+    ])
+    expect(parseNetwork('::ffff:192.168.1.0/120').cidr).toBe('192.168.1.0/24')
+    expect(() => normalizeNetworkList(['10.0.0.0/33'], 'allowedNetworks')).toThrow(
+      'allowedNetworks contains an invalid IP address or CIDR range: 10.0.0.0/33'
+    )
+    expect(() => normalizeNetworkList('not-an-ip')).toThrow()
+  })
+})
@@ -0,0 +1,352 @@
+/**
+ * Message Batches 服务测试
+ * 测试批次创建与分页、worker 的状态流转与结果顺序、取消剩余请求，
+ * 以及执行时重新校验 Key、限额检查并使用调度器选中的账户转发
+ */
+
+// 转发相关服务在加载时会启动定时器，批处理只通过下面的接口使用它们
+jest.mock('../src/services/unifiedClaudeScheduler', () => ({ selectAccountForApiKey: jest.fn() }))
+jest.mock('../src/services/claudeRelayService', () => ({ relayRequest: jest.fn() }))
+jest.mock('../src/services/claudeConsoleRelayService', () => ({}))
+jest.mock('../src/services/bedrockRelayService', () => ({}))
+jest.mock('../src/services/bedrockAccountService', () => ({}))
+jest.mock('../src/services/ccrRelayService', () => ({}))
+
+const config = require('../config/config')
+const redis = require('../src/models/redis')
+const apiKeyService = require('../src/services/apiKeyService')
+const costBudgetService = require('../src/services/costBudgetService')
+const pricingService = require('../src/services/pricingService')
+const unifiedClaudeScheduler = require('../src/services/unifiedClaudeScheduler')
+const claudeRelayService = require('../src/services/claudeRelayService')
+const messageBatchService = require('../src/services/messageBatchService')
+const { createFakeRedisClient } = require('./helpers/fakeRedis')
+
+const API_KEY = { id: 'key-1', name: 'batch-key' }
+
+const request = (customId, content = 'hi') => ({
+  custom_id: customId,
+  params: { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content }] }
+})
+
+const upstreamMessage = (text) => ({
+  statusCode: 200,
+  accountId: 'official-1',
+  body: JSON.stringify({
+    type: 'message',
+    model: 'claude-sonnet-4-5',
+    content: [{ type: 'text', text }],
+    usage: { input_tokens: 3, output_tokens: 5 }
+  })
+})
+
+describe('MessageBatchService', () => {
+  let fakeClient
+  let keyData
+  const originalMessageBatches = config.messageBatches
+
+  const readResults = async (batchId) => {
+    const lines = []
+    await messageBatchService.readResults(batchId, (chunk) => lines.push(...chunk))
+    return lines.map((line) => JSON.parse(line))
+  }
+
+  beforeEach(() => {
+    config.messageBatches = { ...originalMessageBatches, concurrency: 2 }
+    fakeClient = createFakeRedisClient()
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(fakeClient)
+    jest.spyOn(redis, 'getClient').mockReturnValue(fakeClient)
+    jest.spyOn(redis, 'incrConcurrency').mockResolvedValue(1)
+    jest.spyOn(redis, 'decrConcurrency').mockResolvedValue(0)
+    jest.spyOn(apiKeyService, 'recordUsage').mockResolvedValue()
+
+    keyData = { ...API_KEY, concurrencyLimit: 0, claudeAccountId: 'official-1' }
+    jest
+      .spyOn(apiKeyService, 'validateApiKeyById')
+      .mockImplementation(async () => ({ valid: true, keyData }))
+
+    unifiedClaudeScheduler.selectAccountForApiKey.mockResolvedValue({
+      accountId: 'official-1',
+      accountType: 'claude-official'
+    })
+    claudeRelayService.relayRequest.mockImplementation(async (params) =>
+      upstreamMessage(`echo ${params.messages[0].content}`)
+    )
+
+    // worker 只在运行期间处理批次
+    messageBatchService.workerTimer = {}
+  })
+
+  afterEach(() => {
+    messageBatchService.workerTimer = null
+    config.messageBatches = originalMessageBatches
+    jest.restoreAllMocks()
+    jest.clearAllMocks()
+  })
+
+  it('validates request bodies', () => {
+    expect(messageBatchService.validateRequests([])).toContain('non-empty array')
+    expect(messageBatchService.validateRequests([request('a'), request('a')])).toContain(
+      'duplicated'
+    )
+    expect(messageBatchService.validateRequests([{ ...request('a'), custom_id: 'a b' }])).toContain(
+      'custom_id'
+    )
+    expect(
+      messageBatchService.validateRequests([
+        { custom_id: 'a', params: { ...request('a').params, stream: true } }
+      ])
+    ).toContain('stream is not supported')
+    expect(messageBatchService.validateRequests([request('a'), request('b')])).toBeNull()
+  })
+
+  it('lists batches newest first with cursor pagination', async () => {
+    const now = jest.spyOn(Date, 'now')
+    const ids = []
+    for (let i = 0; i < 3; i++) {
+      now.mockReturnValue(1_700_000_000_000 + i)
+      ids.push((await messageBatchService.createBatch(API_KEY, [request('a')])).id)
+    }
+    now.mockRestore()
+
+    const firstPage = await messageBatchService.listBatches('key-1', { limit: 2 })
+    expect(firstPage.batches.map((batch) => batch.id)).toEqual([ids[2], ids[1]])
+    expect(firstPage.hasMore).toBe(true)
+
+    const nextPage = await messageBatchService.listBatches('key-1', { limit: 2, afterId: ids[1] })
+    expect(nextPage.batches.map((batch) => batch.id)).toEqual([ids[0]])
+    expect(nextPage.hasMore).toBe(false)
+
+    expect(await messageBatchService.getBatch(ids[0], 'key-2')).toBeNull()
+  })
+
+  it('processes every request and keeps results in submission order', async () => {
+    // 第一条请求最后完成，结果仍按提交顺序写入
+    claudeRelayService.relayRequest.mockImplementation(async (params) => {
+      const { content } = params.messages[0]
+      if (content === 'first') {
+        await new Promise((resolve) => setTimeout(resolve, 20))
+      }
+      if (content === 'broken') {
+        return {
+          statusCode: 529,
+          body: JSON.stringify({
+            type: 'error',
+            error: { type: 'overloaded_error', message: 'Overloaded' }
+          })
+        }
+      }
+      return upstreamMessage(`echo ${content}`)
+    })
+
+    const batch = await messageBatchService.createBatch(API_KEY, [
+      request('req-1', 'first'),
+      request('req-2', 'second'),
+      request('req-3', 'broken')
+    ])
+    expect(messageBatchService.formatBatch(batch, '/v1/messages/batches')).toMatchObject({
+      processing_status: 'in_progress',
+      request_counts: { processing: 3, succeeded: 0 },
+      results_url: null
+    })
+
+    await messageBatchService._tick()
+
+    const ended = await messageBatchService.getBatch(batch.id)
+    expect(messageBatchService.formatBatch(ended, '/v1/messages/batches')).toMatchObject({
+      processing_status: 'ended',
+      request_counts: { processing: 0, succeeded: 2, errored: 1, canceled: 0, expired: 0 },
+      results_url: `/v1/messages/batches/${batch.id}/results`
+    })
+    expect(ended.endedAt).toBeTruthy()
+
+    const results = await readResults(batch.id)
+    expect(results.map((item) => item.custom_id)).toEqual(['req-1', 'req-2', 'req-3'])
+    expect(results[0].result.message.content[0].text).toBe('echo first')
+    expect(results[2].result).toEqual({
+      type: 'errored',
+      error: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+    })
+
+    expect(apiKeyService.recordUsage).toHaveBeenCalledTimes(2)
+    // 使用统计按实际处理请求的账户类型记录平台
+    expect(apiKeyService.recordUsage.mock.calls[0].slice(6)).toEqual([
+      'official-1',
+      'claude-official'
+    ])
+    expect(fakeClient.store.has(`message_batch_requests:${batch.id}`)).toBe(false)
+    expect(fakeClient.store.get('message_batch_pending').size).toBe(0)
+    expect(fakeClient.store.has(`message_batch_lock:${batch.id}`)).toBe(false)
+  })
+
+  it('marks the remaining requests canceled after a cancel request', async () => {
+    config.messageBatches.concurrency = 1
+    const batch = await messageBatchService.createBatch(API_KEY, [
+      request('req-1'),
+      request('req-2'),
+      request('req-3')
+    ])
+
+    // 第一条请求执行期间发起取消
+    claudeRelayService.relayRequest.mockImplementationOnce(async () => {
+      await messageBatchService.cancelBatch(await messageBatchService.getBatch(batch.id))
+      return upstreamMessage('done')
+    })
+
+    await messageBatchService._processBatch(batch.id)
+
+    const results = await readResults(batch.id)
+    expect(results.map(({ custom_id: id, result }) => [id, result.type])).toEqual([
+      ['req-1', 'succeeded'],
+      ['req-2', 'canceled'],
+      ['req-3', 'canceled']
+    ])
+    const ended = await messageBatchService.getBatch(batch.id)
+    expect(ended).toMatchObject({ processingStatus: 'ended', succeeded: '1', canceled: '2' })
+    expect(ended.cancelInitiatedAt).toBeTruthy()
+    expect(claudeRelayService.relayRequest).toHaveBeenCalledTimes(1)
+
+    // 已结束的批次不能再取消
+    expect(await messageBatchService.cancelBatch(ended)).toBe(ended)
+  })
+
+  it('stops between chunks when the worker is stopped', async () => {
+    config.messageBatches.concurrency = 1
+    const batch = await messageBatchService.createBatch(API_KEY, [
+      request('req-1'),
+      request('req-2')
+    ])
+    claudeRelayService.relayRequest.mockImplementationOnce(async () => {
+      messageBatchService.workerTimer = null
+      return upstreamMessage('done')
+    })
+
+    await messageBatchService._processBatch(batch.id)
+
+    expect(await messageBatchService.getBatch(batch.id)).toMatchObject({
+      processingStatus: 'in_progress',
+      nextIndex: '1',
+      succeeded: '1'
+    })
+  })
+
+  it('revalidates the key at run time and fails requests for an invalid key', async () => {
+    apiKeyService.validateApiKeyById.mockResolvedValue({
+      valid: false,
+      error: 'API key is disabled'
+    })
+    const batch = await messageBatchService.createBatch(API_KEY, [request('req-1')])
+
+    await messageBatchService._processBatch(batch.id)
+
+    expect(apiKeyService.validateApiKeyById).toHaveBeenCalledWith('key-1')
+    const [result] = await readResults(batch.id)
+    expect(result.result.error.error).toEqual({
+      type: 'authentication_error',
+      message: 'API key is disabled'
+    })
+    expect(claudeRelayService.relayRequest).not.toHaveBeenCalled()
+  })
+
+  it('relays through the account chosen by the scheduler', async () => {
+    const { params } = request('req-1')
+    await messageBatchService._relay(params, keyData)
+
+    expect(unifiedClaudeScheduler.selectAccountForApiKey).toHaveBeenCalledWith(
+      keyData,
+      null,
+      'claude-sonnet-4-5',
+      null,
+      { allowFallback: true }
+    )
+    expect(claudeRelayService.relayRequest).toHaveBeenCalledWith(
+      params,
+      keyData,
+      null,
+      null,
+      {},
+      {
+        forcedAccount: { accountId: 'official-1', accountType: 'claude-official' }
+      }
+    )
+  })
+
+  it('applies concurrency, budget and rate limit window limits per request', async () => {
+    keyData = {
+      ...keyData,
+      concurrencyLimit: 1,
+      rateLimitWindow: 1,
+      rateLimitRequests: 1
+    }
+    const batch = await messageBatchService.createBatch(API_KEY, [
+      request('req-1'),
+      request('req-2')
+    ])
+
+    await messageBatchService._processBatch(batch.id)
+
+    const results = await readResults(batch.id)
+    expect(results[0].result.type).toBe('succeeded')
+    expect(results[1].result.error.error).toEqual({
+      type: 'rate_limit_error',
+      message: '已达到请求次数限制 (1 次)'
+    })
+    expect(fakeClient.store.get('rate_limit:requests:key-1')).toBe('1')
+    expect(fakeClient.store.get('rate_limit:tokens:key-1')).toBe('8')
+    expect(redis.incrConcurrency).toHaveBeenCalledTimes(2)
+    expect(redis.decrConcurrency).toHaveBeenCalledTimes(2)
+
+    redis.incrConcurrency.mockResolvedValue(2)
+    const busy = await messageBatchService._processItem(request('req-3'), keyData)
+    expect(busy.result.error.error.type).toBe('rate_limit_error')
+
+    keyData = { ...API_KEY, costBudget: { amount: 10, period: 'daily', action: 'block' } }
+    jest.spyOn(costBudgetService, 'getBudgetStatus').mockResolvedValue({
+      exceeded: true,
+      action: 'block',
+      amount: 10,
+      resetAt: '2026-01-02T00:00:00.000Z'
+    })
+    const blocked = await messageBatchService._processItem(request('req-4'), keyData)
+    expect(blocked.result.error.error).toEqual({
+      type: 'rate_limit_error',
+      message: '已达到周期预算 ($10)，将于 2026-01-02T00:00:00.000Z 重置'
+    })
+    expect(costBudgetService.getBudgetStatus).toHaveBeenCalledWith('key-1', keyData.costBudget)
+  })
+
+  it('downgrades over-budget requests and rejects those without a same-family model', async () => {
+    keyData = {
+      ...API_KEY,
+      costBudget: { amount: 10, action: 'downgrade', downgradeModel: 'claude-3-5-haiku-20241022' }
+    }
+    jest.spyOn(costBudgetService, 'getBudgetStatus').mockResolvedValue({
+      exceeded: true,
+      action: 'downgrade',
+      downgradeModel: 'claude-3-5-haiku-20241022',
+      amount: 10,
+      resetAt: '2026-01-02T00:00:00.000Z'
+    })
+    jest
+      .spyOn(pricingService, 'getModelPricing')
+      .mockImplementation((model) =>
+        model.includes('haiku')
+          ? { input_cost_per_token: 0.8e-6, output_cost_per_token: 4e-6 }
+          : { input_cost_per_token: 3e-6, output_cost_per_token: 15e-6 }
+      )
+
+    const downgraded = request('req-1')
+    await messageBatchService._processItem(downgraded, keyData)
+    expect(claudeRelayService.relayRequest.mock.calls[0][0].model).toBe('claude-3-5-haiku-20241022')
+
+    const blocked = await messageBatchService._processItem(
+      { custom_id: 'req-2', params: { ...request('req-2').params, model: 'gpt-5' } },
+      keyData
+    )
+    expect(blocked.result.error.error).toEqual({
+      type: 'rate_limit_error',
+      message: '已达到周期预算 ($10)，将于 2026-01-02T00:00:00.000Z 重置'
+    })
+    expect(claudeRelayService.relayRequest).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,135 @@
+/**
+ * 指标服务测试
+ * 测试平台识别、计数器/直方图累积、OpenMetrics 文本渲染，以及 /metrics/prometheus 的开关与 Token 校验
+ */
+
+const express = require('express')
+const request = require('supertest')
+
+jest.mock('../src/services/unifiedClaudeScheduler', () => ({ getAccountStates: jest.fn() }))
+jest.mock('../src/services/unifiedGeminiScheduler', () => ({ getAccountStates: jest.fn() }))
+jest.mock('../src/services/unifiedOpenAIScheduler', () => ({ getAccountStates: jest.fn() }))
+
+const config = require('../config/config')
+const redis = require('../src/models/redis')
+const unifiedClaudeScheduler = require('../src/services/unifiedClaudeScheduler')
+const unifiedGeminiScheduler = require('../src/services/unifiedGeminiScheduler')
+const unifiedOpenAIScheduler = require('../src/services/unifiedOpenAIScheduler')
+const metricsService = require('../src/services/metricsService')
+const metricsRoutes = require('../src/routes/metrics')
+
+describe('MetricsService', () => {
+  beforeEach(() => {
+    metricsService.reset()
+    jest.spyOn(redis, 'getAllConcurrencyStatus').mockResolvedValue([
+      { apiKeyId: 'key-1', activeCount: 2 },
+      { apiKeyId: 'console_account:acc-1', activeCount: 1 }
+    ])
+    unifiedClaudeScheduler.getAccountStates.mockResolvedValue([
+      {
+        accountId: 'acc-1',
+        accountType: 'claude-console',
+        name: 'Console "main"',
+        isActive: true,
+        schedulable: true,
+        rateLimited: true,
+        breakerOpen: false,
+        unauthorized: false
+      }
+    ])
+    unifiedGeminiScheduler.getAccountStates.mockResolvedValue([])
+    unifiedOpenAIScheduler.getAccountStates.mockRejectedValue(new Error('boom'))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('resolvePlatformFromPath', () => {
+    it('should map route prefixes to platforms', () => {
+      expect(metricsService.resolvePlatformFromPath('/api/v1/messages')).toBe('claude')
+      expect(metricsService.resolvePlatformFromPath('/openai/gemini/v1/chat/completions')).toBe(
+        'gemini'
+      )
+      expect(metricsService.resolvePlatformFromPath('/openai/v1/responses?x=1')).toBe('openai')
+      expect(metricsService.resolvePlatformFromPath('/droid/claude/v1/messages')).toBe('droid')
+      expect(metricsService.resolvePlatformFromPath('/admin/api-keys')).toBe('other')
+    })
+  })
+
+  describe('render', () => {
+    it('should render counters, histogram buckets and gauges in OpenMetrics format', async () => {
+      metricsService.recordRelayRequest('claude', 200, 800)
+      metricsService.recordRelayRequest('claude', 529, 12000)
+      metricsService.recordUsage({
+        platform: 'claude',
+        model: 'claude-sonnet-4',
+        inputTokens: 100,
+        outputTokens: 50,
+        cost: 0.25
+      })
+
+      const text = await metricsService.render()
+
+      expect(text).toContain('crs_relay_requests_total{platform="claude",status="2xx"} 1')
+      expect(text).toContain('crs_relay_requests_total{platform="claude",status="5xx"} 1')
+      expect(text).toContain('crs_relay_duration_seconds_bucket{platform="claude",le="1"} 1')
+      expect(text).toContain('crs_relay_duration_seconds_bucket{platform="claude",le="30"} 2')
+      expect(text).toContain('crs_relay_duration_seconds_bucket{platform="claude",le="+Inf"} 2')
+      expect(text).toContain('crs_relay_duration_seconds_sum{platform="claude"} 12.8')
+      expect(text).toContain(
+        'crs_tokens_total{platform="claude",model="claude-sonnet-4",type="input"} 100'
+      )
+      expect(text).not.toContain('type="cache_read"')
+      expect(text).toContain('crs_cost_usd_total{platform="claude",model="claude-sonnet-4"} 0.25')
+      expect(text).toContain('crs_concurrency_active{scope="api_key",id="key-1"} 2')
+      expect(text).toContain('crs_concurrency_active{scope="account",id="acc-1"} 1')
+      expect(text).toContain(
+        'crs_account_rate_limited{platform="claude-console",account_id="acc-1",account_name="Console \\"main\\""} 1'
+      )
+      expect(text.endsWith('# EOF\n')).toBe(true)
+    })
+  })
+})
+
+describe('metrics routes', () => {
+  const originalMetrics = config.metrics
+  let app
+
+  beforeEach(() => {
+    app = express()
+    app.use('/metrics', metricsRoutes)
+    jest.spyOn(metricsService, 'render').mockResolvedValue('# EOF\n')
+  })
+
+  afterEach(() => {
+    config.metrics = originalMetrics
+    jest.restoreAllMocks()
+  })
+
+  it('keeps the Prometheus endpoint off unless enabled', async () => {
+    config.metrics = { enabled: false, token: '' }
+
+    const response = await request(app).get('/metrics/prometheus')
+
+    expect(response.status).toBe(404)
+    expect(metricsService.render).not.toHaveBeenCalled()
+  })
+
+  it('requires the bearer token when one is configured', async () => {
+    config.metrics = { enabled: true, token: 'scrape-token' }
+
+    expect((await request(app).get('/metrics/prometheus')).status).toBe(401)
+    expect(
+      (await request(app).get('/metrics/prometheus').set('Authorization', 'Bearer wrong-token'))
+        .status
+    ).toBe(401)
+
+    const response = await request(app)
+      .get('/metrics/prometheus')
+      .set('Authorization', 'Bearer scrape-token')
+    expect(response.status).toBe(200)
+    expect(response.headers['content-type']).toContain('application/openmetrics-text')
+    expect(response.text).toBe('# EOF\n')
+  })
+})
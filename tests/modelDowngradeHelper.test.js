@@ -0,0 +1,85 @@
+/**
+ * 模型降级策略测试
+ * 测试规则校验，以及按费用 / 用量阈值串联改写模型
+ */
+
+const {
+  normalizeModelDowngradeRules,
+  resolveDowngradedModel
+} = require('../src/utils/modelDowngradeHelper')
+
+const SONNET = 'claude-sonnet-4-20250514'
+const HAIKU = 'claude-3-5-haiku-20241022'
+
+const rules = normalizeModelDowngradeRules([
+  { metric: 'dailyCost', threshold: '80', fromModel: ' opus ', toModel: SONNET },
+  { metric: 'dailyCost', threshold: 95, fromModel: 'sonnet', toModel: HAIKU },
+  { metric: 'weeklyOpusCost', threshold: 100, fromModel: 'opus', toModel: SONNET }
+])
+
+describe('modelDowngradeHelper', () => {
+  it('validates rules', () => {
+    expect(rules[0]).toEqual({
+      metric: 'dailyCost',
+      threshold: 80,
+      fromModel: 'opus',
+      toModel: SONNET
+    })
+    expect(normalizeModelDowngradeRules(null)).toEqual([])
+    expect(() => normalizeModelDowngradeRules([{ metric: 'tokens', threshold: 50 }])).toThrow(
+      'metric must be one of'
+    )
+    expect(() =>
+      normalizeModelDowngradeRules([
+        { metric: 'dailyCost', threshold: 0, fromModel: 'a', toModel: 'b' }
+      ])
+    ).toThrow('threshold')
+    expect(() =>
+      normalizeModelDowngradeRules([
+        { metric: 'dailyCost', threshold: 50, fromModel: 'a', toModel: '*' }
+      ])
+    ).toThrow('toModel')
+  })
+
+  it('leaves the model alone below every threshold or without limits', () => {
+    const metrics = { dailyCost: { current: 10, limit: 100 } }
+    expect(resolveDowngradedModel(rules, 'claude-opus-4-1-20250805', metrics)).toBeNull()
+    expect(
+      resolveDowngradedModel(rules, 'claude-opus-4-1-20250805', {
+        dailyCost: { current: 90, limit: 0 }
+      })
+    ).toBeNull()
+  })
+
+  it('chains rewrites as more thresholds are crossed', () => {
+    const atEighty = resolveDowngradedModel(rules, 'claude-opus-4-1-20250805', {
+      dailyCost: { current: 85, limit: 100 }
+    })
+    expect(atEighty.model).toBe(SONNET)
+    expect(atEighty.steps).toHaveLength(1)
+
+    const atNinetyFive = resolveDowngradedModel(rules, 'claude-opus-4-1-20250805', {
+      dailyCost: { current: 96, limit: 100 }
+    })
+    expect(atNinetyFive.model).toBe(HAIKU)
+    expect(atNinetyFive.steps.map((step) => step.to)).toEqual([SONNET, HAIKU])
+  })
+
+  it('uses the weekly Opus budget independently of the daily one', () => {
+    const result = resolveDowngradedModel(rules, 'claude-opus-4-1-20250805', {
+      dailyCost: { current: 1, limit: 100 },
+      weeklyOpusCost: { current: 500, limit: 500 }
+    })
+    expect(result.model).toBe(SONNET)
+    expect(result.steps[0]).toMatchObject({ metric: 'weeklyOpusCost', percent: 100 })
+  })
+
+  it('never loops on cyclic rules', () => {
+    const cyclic = normalizeModelDowngradeRules([
+      { metric: 'dailyCost', threshold: 50, fromModel: 'a', toModel: 'b' },
+      { metric: 'dailyCost', threshold: 50, fromModel: 'b', toModel: 'a' }
+    ])
+    const result = resolveDowngradedModel(cyclic, 'a', { dailyCost: { current: 60, limit: 100 } })
+    expect(result.model).toBe('b')
+  })
+})
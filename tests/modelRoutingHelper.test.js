@@ -0,0 +1,107 @@
+/**
+ * 模型路由测试
+ * 测试路由规则的校验与匹配（glob / 正则），以及 Key 覆盖、全局路由表、厂商前缀和内置前缀的解析优先级
+ */
+
+const redis = require('../src/models/redis')
+const modelRoutingService = require('../src/services/modelRoutingService')
+const {
+  normalizeModelRoutingRules,
+  findMatchingRule,
+  compilePattern
+} = require('../src/utils/modelRoutingHelper')
+
+describe('modelRoutingHelper', () => {
+  it('matches glob and regex patterns case-insensitively', () => {
+    expect(compilePattern('o3*').test('O3-mini')).toBe(true)
+    expect(compilePattern('o3*').test('gpt-o3')).toBe(false)
+    expect(compilePattern('gpt-4.?').test('gpt-4.1')).toBe(true)
+    expect(compilePattern('gpt-4.?').test('gpt-401')).toBe(false)
+    expect(compilePattern('/^deepseek-(chat|reasoner)$/').test('DeepSeek-Chat')).toBe(true)
+    expect(compilePattern('arn:aws:bedrock:*').test('arn:aws:bedrock:us-east-1:1:x/y')).toBe(true)
+  })
+
+  it('normalizes rules and rejects invalid entries', () => {
+    expect(
+      normalizeModelRoutingRules([{ pattern: ' codex-* ', backend: 'openai', targetModel: ' ' }])
+    ).toEqual([{ pattern: 'codex-*', backend: 'openai', targetModel: '', enabled: true }])
+    expect(() => normalizeModelRoutingRules([{ pattern: '/(/', backend: 'openai' }])).toThrow(
+      'modelRoutingRules[0].pattern is not a valid regular expression'
+    )
+    expect(() => normalizeModelRoutingRules([{ pattern: 'x', backend: 'droid' }], 'rules')).toThrow(
+      'rules[0].backend must be one of: claude, openai, gemini'
+    )
+    expect(() =>
+      normalizeModelRoutingRules([{ pattern: 'x', backend: 'openai', targetModel: 'ccr,x' }])
+    ).toThrow('requires backend claude')
+  })
+
+  it('returns the first enabled matching rule', () => {
+    const rules = normalizeModelRoutingRules([
+      { pattern: 'o3*', backend: 'gemini', enabled: false },
+      { pattern: 'o*', backend: 'openai' },
+      { pattern: 'o3', backend: 'claude' }
+    ])
+    expect(findMatchingRule(rules, 'o3').backend).toBe('openai')
+    expect(findMatchingRule(rules, 'claude-sonnet-4')).toBeNull()
+  })
+})
+
+describe('modelRoutingService.resolveRoute', () => {
+  const globalRules = normalizeModelRoutingRules([
+    { pattern: 'o3*', backend: 'openai' },
+    { pattern: 'deepseek-*', backend: 'claude', targetModel: 'ccr,deepseek-chat' },
+    { pattern: 'fast', backend: 'gemini', targetModel: 'gemini-2.5-flash' }
+  ])
+
+  beforeEach(() => {
+    modelRoutingService.clearCache()
+    jest.spyOn(redis, 'getClient').mockReturnValue({
+      get: jest.fn().mockResolvedValue(JSON.stringify({ rules: globalRules }))
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('applies the global routing table and target model aliases', async () => {
+    await expect(modelRoutingService.resolveRoute('o3-mini')).resolves.toMatchObject({
+      backend: 'openai',
+      model: 'o3-mini',
+      source: 'global'
+    })
+    await expect(modelRoutingService.resolveRoute('deepseek-v3')).resolves.toMatchObject({
+      backend: 'claude',
+      model: 'ccr,deepseek-chat',
+      source: 'global'
+    })
+    await expect(modelRoutingService.resolveRoute('gpt-4o')).resolves.toMatchObject({
+      backend: 'openai',
+      source: 'builtin'
+    })
+  })
+
+  it('prefers per-key overrides over the global table', async () => {
+    const apiKey = {
+      modelRoutingRules: normalizeModelRoutingRules([{ pattern: 'o3*', backend: 'claude' }])
+    }
+    await expect(modelRoutingService.resolveRoute('o3', apiKey)).resolves.toMatchObject({
+      backend: 'claude',
+      source: 'key'
+    })
+  })
+
+  it('keeps vendor-prefixed models on the vendor backend', async () => {
+    await expect(modelRoutingService.resolveRoute('ccr,o3')).resolves.toMatchObject({
+      backend: 'claude',
+      model: 'ccr,o3',
+      source: 'vendor'
+    })
+    await expect(modelRoutingService.resolveRoute('ccr,deepseek-r1')).resolves.toMatchObject({
+      backend: 'claude',
+      model: 'ccr,deepseek-chat',
+      source: 'global'
+    })
+  })
+})
@@ -0,0 +1,400 @@
+/**
+ * OpenID Connect 单点登录测试
+ * 测试 PKCE、ID Token 声明校验、声明与角色映射，针对本地模拟 IdP 的完整授权码流程，
+ * 以及 state 与发起登录的浏览器 Cookie 绑定
+ */
+
+const axios = require('axios')
+const express = require('express')
+const request = require('supertest')
+const config = require('../config/config')
+const redis = require('../src/models/redis')
+const userService = require('../src/services/userService')
+const adminIdentityService = require('../src/services/adminIdentityService')
+const oidcService = require('../src/services/oidcService')
+const oidcRoutes = require('../src/routes/oidc')
+const { createMockOidcProvider } = require('../scripts/mock-oidc-provider')
+const {
+  createPkcePair,
+  validateIdTokenClaims,
+  getClaim,
+  mapClaimsToUser,
+  parseRoleMapping,
+  resolveMappedRole
+} = require('../src/utils/oidcHelper')
+const { createFakeRedisClient } = require('./helpers/fakeRedis')
+
+const crypto = require('crypto')
+
+const USER_MAPPING = {
+  username: 'preferred_username',
+  displayName: 'name',
+  email: 'email',
+  firstName: 'given_name',
+  lastName: 'family_name',
+  groups: 'groups'
+}
+
+describe('oidcHelper', () => {
+  it('creates an S256 PKCE pair', () => {
+    const { codeVerifier, codeChallenge } = createPkcePair()
+    expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/)
+    expect(codeChallenge).toBe(crypto.createHash('sha256').update(codeVerifier).digest('base64url'))
+  })
+
+  it('validates issuer, audience, expiry and nonce', () => {
+    const now = 1_700_000_000
+    const payload = {
+      iss: 'https://idp.example.com',
+      aud: ['relay', 'other'],
+      azp: 'relay',
+      sub: 'u-1',
+      iat: now,
+      exp: now + 300,
+      nonce: 'n-1'
+    }
+    const expected = { issuer: 'https://idp.example.com', clientId: 'relay', nonce: 'n-1', now }
+
+    expect(() => validateIdTokenClaims(payload, expected)).not.toThrow()
+    expect(() => validateIdTokenClaims({ ...payload, iss: 'https://evil' }, expected)).toThrow(
+      'issuer'
+    )
+    expect(() => validateIdTokenClaims({ ...payload, aud: 'other' }, expected)).toThrow('audience')
+    expect(() => validateIdTokenClaims({ ...payload, azp: 'other' }, expected)).toThrow(
+      'authorized party'
+    )
+    expect(() => validateIdTokenClaims({ ...payload, exp: now - 120 }, expected)).toThrow('expired')
+    expect(() => validateIdTokenClaims({ ...payload, nonce: 'n-2' }, expected)).toThrow('nonce')
+  })
+
+  it('maps claims with dotted paths and string groups', () => {
+    const claims = {
+      preferred_username: 'alice',
+      given_name: 'Alice',
+      family_name: 'Doe',
+      email: 'alice@example.com',
+      realm_access: { roles: ['ops', 'dev'] }
+    }
+    expect(getClaim(claims, 'realm_access.roles')).toEqual(['ops', 'dev'])
+
+    const profile = mapClaimsToUser(claims, { ...USER_MAPPING, groups: 'realm_access.roles' })
+    expect(profile).toEqual({
+      username: 'alice',
+      displayName: 'Alice Doe',
+      email: 'alice@example.com',
+      firstName: 'Alice',
+      lastName: 'Doe',
+      groups: ['ops', 'dev']
+    })
+    expect(mapClaimsToUser({ sub: 'x', grp: 'a, b' }, { groups: 'grp' }).groups).toEqual(['a', 'b'])
+  })
+
+  it('parses role mappings and returns the first matching role', () => {
+    const mapping = parseRoleMapping('urn:corp:ops:super_admin, support:viewer, broken')
+    expect(mapping).toEqual([
+      { group: 'urn:corp:ops', role: 'super_admin' },
+      { group: 'support', role: 'viewer' }
+    ])
+    expect(resolveMappedRole(['support', 'urn:corp:ops'], mapping)).toBe('super_admin')
+    expect(resolveMappedRole(['other'], mapping)).toBeNull()
+  })
+})
+
+describe('oidcService with mock provider', () => {
+  let provider
+  let server
+  let issuer
+  let fakeClient
+  const originalOidc = config.oidc
+  const originalUserManagement = config.userManagement
+  const redirectBaseUrl = 'http://relay.test'
+  const redirectUri = `${redirectBaseUrl}/oidc/callback`
+
+  beforeAll(async () => {
+    provider = createMockOidcProvider({
+      clientId: 'relay-test',
+      clientSecret: 'secret-1',
+      autoLogin: { username: 'alice', groups: ['platform-ops', 'relay-admins'] }
+    })
+    ;({ server, issuer } = await provider.listen(0))
+  })
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve))
+  })
+
+  beforeEach(() => {
+    config.oidc = {
+      enabled: true,
+      issuer,
+      clientId: 'relay-test',
+      clientSecret: 'secret-1',
+      scopes: 'openid profile email',
+      redirectBaseUrl,
+      adminLoginEnabled: true,
+      userLoginEnabled: true,
+      userMapping: USER_MAPPING,
+      userRoleMapping: 'relay-admins:admin',
+      adminRoleMapping: 'platform-ops:super_admin,support:viewer',
+      userAllowedGroups: ''
+    }
+    config.userManagement = { ...originalUserManagement, enabled: true, defaultUserRole: 'user' }
+    oidcService.resetCache()
+    fakeClient = createFakeRedisClient()
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(fakeClient)
+    jest.spyOn(redis, 'getSession').mockResolvedValue({ username: 'owner' })
+    jest.spyOn(userService, 'transferMatchingApiKeys').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    config.oidc = originalOidc
+    config.userManagement = originalUserManagement
+    oidcService.resetCache()
+    jest.restoreAllMocks()
+  })
+
+  // 模拟浏览器访问 IdP 授权地址，返回 IdP 重定向回来的查询参数
+  async function followAuthorization(authorizationUrl) {
+    const response = await axios.get(authorizationUrl, {
+      maxRedirects: 0,
+      validateStatus: (status) => status === 302
+    })
+    const callback = new URL(response.headers.location)
+    expect(callback.origin + callback.pathname).toBe(redirectUri)
+    return Object.fromEntries(callback.searchParams)
+  }
+
+  async function authorize(portal) {
+    const { authorizationUrl, stateBinding } = await oidcService.createAuthorizationUrl(
+      portal,
+      redirectUri
+    )
+    return { query: await followAuthorization(authorizationUrl), stateBinding }
+  }
+
+  async function completeLogin(portal) {
+    const { query, stateBinding } = await authorize(portal)
+    return oidcService.completeAuthorization(query, stateBinding)
+  }
+
+  // 通过路由发起登录：/oidc/login 写入 state Cookie 并跳转到 IdP
+  async function startRouteLogin(app, portal) {
+    const response = await request(app).get(`/oidc/login?portal=${portal}`).expect(302)
+    const [setCookie] = response.headers['set-cookie']
+    return {
+      setCookie,
+      cookie: setCookie.split(';')[0],
+      query: await followAuthorization(response.headers.location)
+    }
+  }
+
+  const ssoErrorOf = (response) =>
+    new URL(response.headers.location, redirectBaseUrl).searchParams.get('ssoError')
+
+  it('completes an admin login and maps groups to an admin role', async () => {
+    const { authorizationUrl } = await oidcService.createAuthorizationUrl('admin', redirectUri)
+    expect(new URL(authorizationUrl).searchParams.get('code_challenge_method')).toBe('S256')
+    expect(new URL(authorizationUrl).searchParams.get('client_id')).toBe('relay-test')
+
+    const { portal, profile } = await completeLogin('admin')
+
+    expect(portal).toBe('admin')
+    expect(profile).toMatchObject({
+      username: 'alice',
+      email: 'alice@example.com',
+      groups: ['platform-ops', 'relay-admins'],
+      issuer,
+      subject: 'mock-alice'
+    })
+    expect(oidcService.resolveAdminRole(profile)).toBe('super_admin')
+    expect(oidcService.resolveAdminRole({ ...profile, groups: ['relay-admins'] })).toBeNull()
+  })
+
+  it('rejects replayed state and reused authorization codes', async () => {
+    const { query, stateBinding } = await authorize('admin')
+    await oidcService.completeAuthorization(query, stateBinding)
+
+    await expect(oidcService.completeAuthorization(query, stateBinding)).rejects.toThrow(
+      'Login session expired'
+    )
+  })
+
+  it('rejects an ID token whose nonce does not match the login state', async () => {
+    const { query, stateBinding } = await authorize('admin')
+    const key = `${oidcService.STATE_PREFIX}${query.state}`
+    const loginState = JSON.parse(fakeClient.store.get(key))
+    fakeClient.store.set(key, JSON.stringify({ ...loginState, nonce: 'tampered' }))
+
+    await expect(oidcService.completeAuthorization(query, stateBinding)).rejects.toMatchObject({
+      message: 'ID token nonce mismatch',
+      portal: 'admin'
+    })
+  })
+
+  it('provisions portal users bound to the IdP subject and syncs the mapped role', async () => {
+    const { portal, profile } = await completeLogin('user')
+    expect(portal).toBe('user')
+
+    const user = await oidcService.provisionUser(profile)
+    expect(user).toMatchObject({
+      username: 'alice',
+      email: 'alice@example.com',
+      role: 'admin',
+      oidcIssuer: issuer,
+      oidcSubject: 'mock-alice'
+    })
+    expect((await userService.getUserById(user.id, false)).lastLoginAt).toBeTruthy()
+
+    // 后续登录按签发者 + subject 匹配，IdP 中改名不会创建新账户
+    const renamed = await oidcService.provisionUser({ ...profile, username: 'alice.smith' })
+    expect(renamed).toMatchObject({ id: user.id, username: 'alice' })
+    expect(await userService.getUserByUsername('alice.smith')).toBeNull()
+  })
+
+  it('refuses to take over an existing account with the same username until an admin links it', async () => {
+    const existing = await userService.createOrUpdateUser({
+      username: 'alice',
+      email: 'alice@ldap.example.com',
+      role: 'user'
+    })
+    const { profile } = await completeLogin('user')
+
+    await expect(oidcService.provisionUser(profile)).rejects.toThrow(
+      'Ask an administrator to link it'
+    )
+    expect(await userService.getUserById(existing.id, false)).not.toHaveProperty('oidcSubject')
+
+    await userService.linkOidcIdentity(existing.id, issuer, 'mock-alice')
+    const user = await oidcService.provisionUser(profile)
+    expect(user).toMatchObject({ id: existing.id, username: 'alice', oidcSubject: 'mock-alice' })
+
+    // 另一个 IdP 账户即使用户名相同也不能登录已关联的账户
+    await expect(
+      oidcService.provisionUser({ ...profile, subject: 'mock-mallory' })
+    ).rejects.toThrow('already exists')
+    await expect(
+      userService.linkOidcIdentity('someone-else', issuer, 'mock-alice')
+    ).rejects.toThrow('User not found')
+  })
+
+  it('binds admin SSO sessions to the IdP subject and refuses local admin usernames', async () => {
+    const { profile } = await completeLogin('admin')
+
+    const ssoLogin = await oidcService.resolveAdminLogin(profile)
+    expect(ssoLogin).toEqual({
+      username: 'alice',
+      adminId: adminIdentityService.ssoAdminId(issuer, 'mock-alice'),
+      ssoRole: 'super_admin'
+    })
+    expect(
+      (await oidcService.resolveAdminLogin({ ...profile, subject: 'mock-mallory' })).adminId
+    ).not.toBe(ssoLogin.adminId)
+    await expect(oidcService.resolveAdminLogin({ ...profile, username: 'Owner' })).rejects.toThrow(
+      'administrator with this username already exists'
+    )
+
+    await adminIdentityService.createIdentity({
+      username: 'alice',
+      password: 'local-password-1',
+      role: 'viewer'
+    })
+    await expect(oidcService.resolveAdminLogin(profile)).rejects.toThrow(
+      'Ask an administrator to link it'
+    )
+
+    await adminIdentityService.updateIdentity('alice', {
+      oidcIssuer: issuer,
+      oidcSubject: 'mock-alice'
+    })
+    const linkedLogin = await oidcService.resolveAdminLogin(profile)
+    expect(linkedLogin).toEqual({
+      username: 'alice',
+      adminId: adminIdentityService.identityAdminId('alice'),
+      ssoRole: null
+    })
+    expect(await adminIdentityService.resolveSessionAdmin(linkedLogin)).toMatchObject({
+      username: 'alice',
+      role: 'viewer'
+    })
+  })
+
+  it('denies portal users outside the allowed groups', async () => {
+    config.oidc.userAllowedGroups = 'contractors'
+    const createOrUpdateUser = jest.spyOn(userService, 'createOrUpdateUser')
+
+    const { profile } = await completeLogin('user')
+    await expect(oidcService.provisionUser(profile)).rejects.toThrow('not allowed')
+    expect(createOrUpdateUser).not.toHaveBeenCalled()
+  })
+
+  it('hands off login results exactly once', async () => {
+    const code = await oidcService.createHandoff({ portal: 'user', userId: 'user-1' })
+
+    expect(await oidcService.consumeHandoff(code)).toEqual({ portal: 'user', userId: 'user-1' })
+    expect(await oidcService.consumeHandoff(code)).toBeNull()
+  })
+
+  it('refuses to start a login for a disabled portal', async () => {
+    config.oidc.adminLoginEnabled = false
+
+    await expect(oidcService.createAuthorizationUrl('admin', redirectUri)).rejects.toThrow(
+      'not enabled'
+    )
+    expect(oidcService.getPublicConfig()).toMatchObject({ adminLogin: false, userLogin: true })
+  })
+
+  it('binds the login state to the browser that started it', async () => {
+    const app = express().use('/oidc', oidcRoutes)
+    const { setCookie, cookie, query } = await startRouteLogin(app, 'user')
+    expect(setCookie).toMatch(/^oidc_state=/)
+    expect(setCookie).toContain('Path=/oidc')
+    expect(setCookie).toContain('HttpOnly')
+    expect(setCookie).toContain('SameSite=Lax')
+
+    const callback = await request(app)
+      .get('/oidc/callback')
+      .query(query)
+      .set('Cookie', cookie)
+      .expect(302)
+    expect(callback.headers.location).toMatch(/^\/admin-next\/user-login\?ssoCode=/)
+  })
+
+  it('rejects callbacks without the state cookie', async () => {
+    const app = express().use('/oidc', oidcRoutes)
+    const { query } = await startRouteLogin(app, 'user')
+
+    const callback = await request(app).get('/oidc/callback').query(query).expect(302)
+    expect(ssoErrorOf(callback)).toContain('not started from this browser')
+    expect(fakeClient.store.has(`${oidcService.STATE_PREFIX}${query.state}`)).toBe(true)
+  })
+
+  it('rejects callbacks whose state cookie belongs to another login', async () => {
+    const app = express().use('/oidc', oidcRoutes)
+    const victim = await startRouteLogin(app, 'user')
+    const attacker = await startRouteLogin(app, 'user')
+
+    // 攻击者把自己的回调地址发给受害者，受害者浏览器中的 Cookie 属于另一次登录
+    const callback = await request(app)
+      .get('/oidc/callback')
+      .query(attacker.query)
+      .set('Cookie', victim.cookie)
+      .expect(302)
+    expect(ssoErrorOf(callback)).toContain('not started from this browser')
+    await expect(
+      oidcService.completeAuthorization(attacker.query, 'forged-binding')
+    ).rejects.toThrow('not started from this browser')
+  })
+
+  it('requires an explicit redirect base URL when enabled', () => {
+    expect(() => oidcService.validateConfiguration()).not.toThrow()
+    expect(oidcService.getRedirectUri()).toBe(redirectUri)
+
+    config.oidc.redirectBaseUrl = ''
+    expect(() => oidcService.validateConfiguration()).toThrow('OIDC_REDIRECT_BASE_URL')
+    config.oidc.redirectBaseUrl = 'relay.test'
+    expect(() => oidcService.validateConfiguration()).toThrow('OIDC_REDIRECT_BASE_URL')
+
+    config.oidc.enabled = false
+    expect(() => oidcService.validateConfiguration()).not.toThrow()
+  })
+})
@@ -0,0 +1,163 @@
+/**
+ * OpenAI → Claude 转换测试
+ * 测试完整兼容模式下的系统提示词透传、response_format、reasoning_effort、n 与流式 usage
+ */
+
+const openaiToClaude = require('../src/services/openaiToClaude')
+
+const sse = (event) => `data: ${JSON.stringify(event)}\n\n`
+
+const parseChunks = (output) =>
+  output
+    .split('\n\n')
+    .filter((line) => line.startsWith('data: ') && !line.includes('[DONE]'))
+    .map((line) => JSON.parse(line.slice(6)))
+
+describe('OpenAIToClaudeConverter', () => {
+  const baseRequest = {
+    model: 'claude-sonnet-4-20250514',
+    messages: [
+      { role: 'developer', content: 'Answer in French.' },
+      { role: 'user', content: 'Hello' }
+    ]
+  }
+
+  it('keeps the Claude Code prompt and only appends custom system prompts in parity mode', () => {
+    const legacy = openaiToClaude.convertRequest(baseRequest)
+    expect(legacy.system).toBe("You are Claude Code, Anthropic's official CLI for Claude.")
+    expect(legacy.messages).toEqual([{ role: 'user', content: 'Hello' }])
+
+    const parity = openaiToClaude.convertRequest(baseRequest, { parityMode: true })
+    expect(parity.system).toEqual([
+      { type: 'text', text: "You are Claude Code, Anthropic's official CLI for Claude." },
+      { type: 'text', text: 'Answer in French.' }
+    ])
+  })
+
+  it('maps response_format to a forced tool and unwraps it as message content', () => {
+    const schema = { type: 'object', properties: { answer: { type: 'string' } } }
+    const request = openaiToClaude.convertRequest(
+      {
+        ...baseRequest,
+        response_format: { type: 'json_schema', json_schema: { name: 'result', schema } }
+      },
+      { parityMode: true }
+    )
+    expect(request.tools).toEqual([expect.objectContaining({ input_schema: schema })])
+    expect(request.tool_choice).toEqual({ type: 'tool', name: request.tools[0].name })
+
+    const response = openaiToClaude.convertResponse(
+      {
+        id: 'msg_1',
+        stop_reason: 'tool_use',
+        content: [
+          { type: 'tool_use', id: 't1', name: request.tools[0].name, input: { answer: 'oui' } }
+        ],
+        usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 4 }
+      },
+      'gpt-4o'
+    )
+    expect(response.choices[0]).toMatchObject({
+      finish_reason: 'stop',
+      message: { content: '{"answer":"oui"}' }
+    })
+    expect(response.choices[0].message.tool_calls).toBeUndefined()
+    expect(response.usage).toMatchObject({
+      prompt_tokens: 14,
+      total_tokens: 19,
+      prompt_tokens_details: { cached_tokens: 4 }
+    })
+  })
+
+  it('maps reasoning_effort and parallel_tool_calls, and validates n', () => {
+    const request = openaiToClaude.convertRequest(
+      {
+        ...baseRequest,
+        max_tokens: 1000,
+        temperature: 0.5,
+        reasoning_effort: 'medium',
+        parallel_tool_calls: false,
+        tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }]
+      },
+      { parityMode: true }
+    )
+    expect(request.thinking).toEqual({ type: 'enabled', budget_tokens: 8192 })
+    expect(request.max_tokens).toBe(9192)
+    expect(request.temperature).toBeUndefined()
+    expect(request.tool_choice).toEqual({ type: 'auto', disable_parallel_tool_use: true })
+
+    expect(() =>
+      openaiToClaude.convertRequest(
+        { ...baseRequest, reasoning_effort: 'extreme' },
+        { parityMode: true }
+      )
+    ).toThrow(expect.objectContaining({ status: 400 }))
+    expect(() =>
+      openaiToClaude.convertRequest({ ...baseRequest, n: 2, stream: true }, { parityMode: true })
+    ).toThrow(expect.objectContaining({ status: 400 }))
+    // 非兼容模式下保持原有行为，忽略这些参数
+    expect(openaiToClaude.convertRequest({ ...baseRequest, n: 2, stream: true }).thinking).toBe(
+      undefined
+    )
+  })
+
+  it('streams response_format output as content and emits a final usage chunk', () => {
+    const state = openaiToClaude.createStreamState({ includeUsage: true })
+    const convert = (event) =>
+      openaiToClaude.convertStreamChunk(sse(event), 'gpt-4o', 'chatcmpl-test', state)
+
+    const output = [
+      convert({
+        type: 'message_start',
+        message: { usage: { input_tokens: 12, output_tokens: 1 } }
+      }),
+      convert({
+        type: 'content_block_start',
+        index: 0,
+        content_block: { type: 'tool_use', id: 't1', name: 'json_response', input: {} }
+      }),
+      convert({
+        type: 'content_block_delta',
+        index: 0,
+        delta: { type: 'input_json_delta', partial_json: '{"a":1}' }
+      }),
+      convert({
+        type: 'message_delta',
+        delta: { stop_reason: 'tool_use' },
+        usage: { output_tokens: 7 }
+      }),
+      convert({ type: 'message_stop' })
+    ].join('')
+
+    const chunks = parseChunks(output)
+    const content = chunks.map((chunk) => chunk.choices[0]?.delta?.content || '').join('')
+    expect(content).toBe('{"a":1}')
+    expect(chunks.find((chunk) => chunk.choices[0]?.finish_reason).choices[0].finish_reason).toBe(
+      'stop'
+    )
+    expect(chunks.filter((chunk) => chunk.usage)).toHaveLength(1)
+    expect(chunks[chunks.length - 1]).toMatchObject({
+      choices: [],
+      usage: { prompt_tokens: 12, completion_tokens: 7, total_tokens: 19 }
+    })
+  })
+
+  it('merges multiple single-choice responses', () => {
+    const single = (text) =>
+      openaiToClaude.convertResponse(
+        {
+          id: 'msg',
+          stop_reason: 'end_turn',
+          content: [{ type: 'text', text }],
+          usage: { input_tokens: 3, output_tokens: 2 }
+        },
+        'gpt-4o'
+      )
+    const merged = openaiToClaude.mergeResponses([single('a'), single('b')])
+    expect(merged.choices.map((choice) => [choice.index, choice.message.content])).toEqual([
+      [0, 'a'],
+      [1, 'b']
+    ])
+    expect(merged.usage).toMatchObject({ prompt_tokens: 6, completion_tokens: 4, total_tokens: 10 })
+  })
+})
@@ -0,0 +1,146 @@
+/**
+ * 请求转换规则测试
+ * 测试规则校验，以及各请求格式下的请求头 / 请求体 / 系统提示词 / 模型名转换
+ */
+
+const {
+  normalizeTransformRules,
+  applyTransformRules
+} = require('../src/utils/requestTransformHelper')
+
+describe('requestTransformHelper', () => {
+  it('normalizes rules and rejects invalid entries', () => {
+    expect(
+      normalizeTransformRules([
+        { type: 'set_header', name: ' X-Team ', value: 'alpha' },
+        { type: 'inject_system', text: 'Be brief', enabled: false },
+        { type: 'rewrite_model', pattern: ' claude-3-5-* ', target: ' claude-sonnet-4 ' }
+      ])
+    ).toEqual([
+      { type: 'set_header', enabled: true, name: 'X-Team', value: 'alpha' },
+      { type: 'inject_system', enabled: false, text: 'Be brief', position: 'prepend' },
+      { type: 'rewrite_model', enabled: true, pattern: 'claude-3-5-*', target: 'claude-sonnet-4' }
+    ])
+
+    expect(() => normalizeTransformRules([{ type: 'drop_request' }])).toThrow(
+      'rules[0].type must be one of'
+    )
+    expect(() =>
+      normalizeTransformRules([{ type: 'set_header', name: 'Content-Length', value: '1' }])
+    ).toThrow('is managed by the relay')
+    expect(() =>
+      normalizeTransformRules([{ type: 'set_header', name: 'x-a', value: 'a\r\nb: c' }])
+    ).toThrow('must not contain line breaks')
+    expect(() =>
+      normalizeTransformRules([{ type: 'set_body_field', path: '__proto__.polluted', value: 1 }])
+    ).toThrow('rules[0].path is not a valid field path')
+    expect(() =>
+      normalizeTransformRules([{ type: 'replace_system', pattern: '/(/', replacement: '' }])
+    ).toThrow('not a valid regular expression')
+  })
+
+  it('applies header and body rules in order without mutating the input', () => {
+    const request = {
+      headers: { 'Anthropic-Beta': 'x', 'User-Agent': 'client' },
+      body: { model: 'claude-3-5-haiku-20241022', temperature: 1, tools: [{ name: 'a' }] }
+    }
+    const rules = normalizeTransformRules([
+      { type: 'remove_header', name: 'anthropic-beta' },
+      { type: 'set_header', name: 'user-agent', value: 'relay/1.0' },
+      { type: 'set_body_field', path: 'metadata.user_id', value: 'team-alpha' },
+      { type: 'set_body_field', path: 'tools.0.name', value: 'renamed' },
+      { type: 'remove_body_field', path: 'temperature' },
+      { type: 'remove_body_field', path: 'top_p' },
+      { type: 'rewrite_model', pattern: 'claude-3-5-*', target: 'claude-sonnet-4-20250514' }
+    ])
+
+    const result = applyTransformRules(rules, request, 'claude')
+    expect(result.headers).toEqual({ 'user-agent': 'relay/1.0' })
+    expect(result.body).toEqual({
+      model: 'claude-sonnet-4-20250514',
+      tools: [{ name: 'renamed' }],
+      metadata: { user_id: 'team-alpha' }
+    })
+    expect(result.applied.map((item) => item.index)).toEqual([0, 1, 2, 3, 4, 6])
+    expect(request.body.temperature).toBe(1)
+    expect(request.headers['Anthropic-Beta']).toBe('x')
+  })
+
+  it('injects and replaces system prompts for each request format', () => {
+    const rules = normalizeTransformRules([
+      { type: 'replace_system', pattern: '/Claude [Cc]ode/', replacement: 'the assistant' },
+      { type: 'inject_system', text: 'Team policy', position: 'prepend' }
+    ])
+
+    expect(
+      applyTransformRules(
+        rules,
+        { body: { system: [{ type: 'text', text: 'You are Claude Code' }] } },
+        'claude'
+      ).body.system
+    ).toEqual([
+      { type: 'text', text: 'Team policy' },
+      { type: 'text', text: 'You are the assistant' }
+    ])
+    expect(applyTransformRules(rules, { body: { system: 'Claude code' } }, 'claude').body).toEqual({
+      system: 'Team policy\n\nthe assistant'
+    })
+    expect(
+      applyTransformRules(
+        rules,
+        {
+          body: {
+            messages: [
+              { role: 'system', content: 'Use Claude Code' },
+              { role: 'user', content: 'Claude Code?' }
+            ]
+          }
+        },
+        'openai'
+      ).body.messages
+    ).toEqual([
+      { role: 'system', content: 'Team policy' },
+      { role: 'system', content: 'Use the assistant' },
+      { role: 'user', content: 'Claude Code?' }
+    ])
+    expect(
+      applyTransformRules(rules, { body: { instructions: 'Hi Claude Code' } }, 'responses').body
+    ).toEqual({ instructions: 'Team policy\n\nHi the assistant' })
+
+    const gemini = applyTransformRules(
+      [
+        ...rules,
+        ...normalizeTransformRules([
+          { type: 'rewrite_model', pattern: '*flash*', target: 'gemini-2.5-pro' }
+        ])
+      ],
+      { body: { contents: [] }, model: 'models/gemini-2.0-flash' },
+      'gemini'
+    )
+    expect(gemini.body.systemInstruction).toEqual({ parts: [{ text: 'Team policy' }] })
+    expect(gemini.model).toBe('gemini-2.5-pro')
+  })
+
+  it('replaces the whole system prompt when the pattern is empty', () => {
+    const rules = normalizeTransformRules([
+      { type: 'replace_system', pattern: '', replacement: 'Only this' }
+    ])
+    expect(
+      applyTransformRules(
+        rules,
+        {
+          body: {
+            messages: [
+              { role: 'developer', content: 'old' },
+              { role: 'user', content: 'hi' }
+            ]
+          }
+        },
+        'openai'
+      ).body.messages
+    ).toEqual([
+      { role: 'system', content: 'Only this' },
+      { role: 'user', content: 'hi' }
+    ])
+  })
+})
@@ -0,0 +1,66 @@
+/**
+ * 请求转换管道测试
+ * 测试分组规则与账户规则的合并顺序与缓存，以及清空规则时删除存储
+ */
+
+const redis = require('../src/models/redis')
+const accountGroupService = require('../src/services/accountGroupService')
+const requestTransformService = require('../src/services/requestTransformService')
+
+describe('requestTransformService', () => {
+  let client
+
+  beforeEach(() => {
+    requestTransformService.clearCache()
+    const store = {
+      'request_transform:group:g-old': JSON.stringify({
+        rules: [{ type: 'set_header', name: 'x-team', value: 'old', enabled: true }]
+      }),
+      'request_transform:group:g-new': JSON.stringify({
+        rules: [{ type: 'set_header', name: 'x-team', value: 'new', enabled: true }]
+      }),
+      'request_transform:account:acc-1': JSON.stringify({
+        rules: [{ type: 'remove_header', name: 'x-debug', enabled: true }]
+      })
+    }
+    client = {
+      get: jest.fn(async (key) => store[key] || null),
+      set: jest.fn(),
+      del: jest.fn()
+    }
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(client)
+    jest.spyOn(accountGroupService, 'getAccountGroups').mockResolvedValue([
+      { id: 'g-new', name: 'New', createdAt: '2025-02-01T00:00:00.000Z' },
+      { id: 'g-old', name: 'Old', createdAt: '2025-01-01T00:00:00.000Z' }
+    ])
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('applies group rules by group age before account rules and caches the result', async () => {
+    const rules = await requestTransformService.getRulesForAccount('acc-1')
+    expect(rules.map((rule) => rule.source)).toEqual(['group:Old', 'group:New', 'account'])
+
+    const result = requestTransformService.applyRules(
+      rules,
+      { headers: { 'x-debug': '1' }, body: {} },
+      'claude',
+      'acc-1'
+    )
+    expect(result.headers).toEqual({ 'x-team': 'new' })
+
+    await requestTransformService.getRulesForAccount('acc-1')
+    expect(accountGroupService.getAccountGroups).toHaveBeenCalledTimes(1)
+  })
+
+  it('clears the cache and deletes the key when rules are emptied', async () => {
+    await requestTransformService.getRulesForAccount('acc-1')
+    await requestTransformService.setRules('account', 'acc-1', [], 'admin')
+    expect(client.del).toHaveBeenCalledWith('request_transform:account:acc-1')
+
+    await requestTransformService.getRulesForAccount('acc-1')
+    expect(accountGroupService.getAccountGroups).toHaveBeenCalledTimes(2)
+  })
+})
@@ -0,0 +1,84 @@
+/**
+ * 响应缓存测试
+ * 测试缓存键的稳定性与按 Key 隔离、可缓存判断，以及大小上限、条目淘汰与统计
+ */
+
+const redis = require('../src/models/redis')
+const responseCacheService = require('../src/services/responseCacheService')
+const { createFakeRedisClient } = require('./helpers/fakeRedis')
+
+const BODY = {
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 256,
+  temperature: 0,
+  messages: [{ role: 'user', content: 'hello' }]
+}
+
+describe('ResponseCacheService', () => {
+  let client
+
+  beforeEach(() => {
+    client = createFakeRedisClient()
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(client)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('builds stable cache keys isolated per API key', () => {
+    const reordered = {
+      messages: BODY.messages,
+      temperature: 0,
+      max_tokens: 256,
+      model: BODY.model,
+      metadata: { user_id: 'someone' }
+    }
+    const key = responseCacheService.buildCacheKey('key-1', BODY)
+    expect(responseCacheService.buildCacheKey('key-1', reordered)).toBe(key)
+    expect(responseCacheService.buildCacheKey('key-2', BODY)).not.toBe(key)
+    expect(responseCacheService.buildCacheKey('key-1', { ...BODY, stream: true })).not.toBe(key)
+  })
+
+  it('only caches deterministic requests for keys that opted in', () => {
+    const apiKey = { id: 'key-1', enableResponseCache: true }
+    expect(responseCacheService.isCacheable(apiKey, BODY)).toBe(true)
+    expect(responseCacheService.isCacheable(apiKey, { ...BODY, temperature: 0.7 })).toBe(false)
+    expect(responseCacheService.isCacheable(apiKey, { ...BODY, temperature: undefined })).toBe(
+      false
+    )
+    expect(responseCacheService.isCacheable({ id: 'key-1' }, BODY)).toBe(false)
+  })
+
+  it('skips oversized entries and evicts the oldest beyond the entry limit', async () => {
+    jest.spyOn(responseCacheService, 'getSettings').mockReturnValue({
+      enabled: true,
+      defaultTtlSeconds: 60,
+      maxTtlSeconds: 3600,
+      maxEntryBytes: 100,
+      maxEntries: 2
+    })
+
+    expect(await responseCacheService.set('big', { body: 'x'.repeat(101) }, 60)).toBe(false)
+
+    const now = jest.spyOn(Date, 'now')
+    for (const [i, id] of ['a', 'b', 'c'].entries()) {
+      now.mockReturnValue(1_700_000_000_000 + i)
+      expect(await responseCacheService.set(id, { body: `{"id":"${id}"}` }, 60)).toBe(true)
+    }
+
+    expect(await responseCacheService.get('a')).toBeNull()
+    expect((await responseCacheService.get('c')).body).toBe('{"id":"c"}')
+    expect(client.store.get('response_cache:stats')).toMatchObject({ stores: '3', evictions: '1' })
+  })
+
+  it('reports hit rate statistics', async () => {
+    await responseCacheService.recordLookup('hits')
+    await responseCacheService.recordLookup('hits')
+    await responseCacheService.recordLookup('hits')
+    await responseCacheService.recordLookup('misses')
+
+    const result = await responseCacheService.getStats()
+    expect(result).toMatchObject({ hits: 3, misses: 1, hitRate: 75, entries: 0 })
+  })
+})
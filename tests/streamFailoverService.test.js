@@ -0,0 +1,221 @@
+/**
+ * 流式故障转移测试
+ * 测试内容开始前上游断开时切换账户并丢弃前导事件、内容开始后不再转移、请求级错误直接返回，
+ * 以及只对提交给客户端的尝试计费
+ */
+
+const { EventEmitter } = require('events')
+
+jest.mock('../src/services/claudeRelayService', () => ({
+  relayStreamRequestWithUsageCapture: jest.fn()
+}))
+jest.mock('../src/services/claudeConsoleRelayService', () => ({
+  relayStreamRequestWithUsageCapture: jest.fn()
+}))
+jest.mock('../src/services/ccrRelayService', () => ({
+  relayStreamRequestWithUsageCapture: jest.fn()
+}))
+jest.mock('../src/services/unifiedClaudeScheduler', () => ({
+  selectFailoverAccount: jest.fn()
+}))
+
+const redis = require('../src/models/redis')
+const claudeRelayService = require('../src/services/claudeRelayService')
+const claudeConsoleRelayService = require('../src/services/claudeConsoleRelayService')
+const unifiedClaudeScheduler = require('../src/services/unifiedClaudeScheduler')
+const streamFailoverService = require('../src/services/streamFailoverService')
+const { hasContentStarted, isFailoverEligibleStatus } = require('../src/utils/streamFailoverHelper')
+
+class MockResponse extends EventEmitter {
+  constructor() {
+    super()
+    this.headersSent = false
+    this.destroyed = false
+    this.writableEnded = false
+    this.statusCode = 200
+    this.headers = {}
+    this.body = ''
+  }
+
+  status(code) {
+    this.statusCode = code
+    return this
+  }
+
+  setHeader(name, value) {
+    this.headers[name] = value
+  }
+
+  writeHead(statusCode) {
+    this.statusCode = statusCode
+    this.headersSent = true
+  }
+
+  write(chunk) {
+    this.headersSent = true
+    this.body += chunk
+    return true
+  }
+
+  end() {
+    this.writableEnded = true
+  }
+}
+
+const sse = (data) => `data: ${JSON.stringify(data)}\n\n`
+const MESSAGE_START = sse({ type: 'message_start', message: { id: 'msg_1' } })
+const contentDelta = (text) =>
+  sse({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } })
+
+// 模拟上游：输出 message_start 后连接重置
+const resetAfterPreamble = async (_body, _apiKey, responseStream) => {
+  responseStream.writeHead(200, { 'Content-Type': 'text/event-stream' })
+  responseStream.write(MESSAGE_START)
+  responseStream.write('event: error\n')
+  responseStream.write(sse({ error: 'Upstream stream interrupted', code: 'ECONNRESET' }))
+  responseStream.end()
+  const error = new Error('aborted')
+  error.code = 'ECONNRESET'
+  throw error
+}
+
+// 模拟上游：完整输出一条消息并上报 usage
+const completeStream =
+  (text) => async (_body, _apiKey, responseStream, _headers, usageCallback) => {
+    responseStream.writeHead(200, { 'Content-Type': 'text/event-stream' })
+    responseStream.write(MESSAGE_START)
+    responseStream.write(contentDelta(text))
+    usageCallback({ input_tokens: 1, output_tokens: 2, model: 'claude-sonnet-4', text })
+    responseStream.end()
+  }
+
+describe('streamFailoverHelper', () => {
+  it('detects the first content event and classifies failover-eligible statuses', () => {
+    expect(hasContentStarted(`${MESSAGE_START}event: ping\n${sse({ type: 'ping' })}`)).toBe(false)
+    expect(hasContentStarted(`${MESSAGE_START}${contentDelta('hi')}`)).toBe(true)
+    expect(hasContentStarted('data: {"type":"content_block_st')).toBe(false)
+
+    expect(isFailoverEligibleStatus(200)).toBe(true)
+    expect(isFailoverEligibleStatus(529)).toBe(true)
+    expect(isFailoverEligibleStatus(429)).toBe(true)
+    expect(isFailoverEligibleStatus(400)).toBe(false)
+  })
+})
+
+describe('streamFailoverService', () => {
+  const apiKeyData = { id: 'key-1', name: 'cli' }
+  const primary = { accountId: 'acc-1', accountType: 'claude-official' }
+  let hincrby
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    hincrby = jest.fn().mockResolvedValue(1)
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue({ hincrby })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('fails over to another account when the stream resets after message_start', async () => {
+    claudeRelayService.relayStreamRequestWithUsageCapture.mockImplementation(resetAfterPreamble)
+    claudeConsoleRelayService.relayStreamRequestWithUsageCapture.mockImplementation(
+      completeStream('from console')
+    )
+    unifiedClaudeScheduler.selectFailoverAccount.mockResolvedValue({
+      accountId: 'acc-2',
+      accountType: 'claude-console'
+    })
+    const res = new MockResponse()
+    const onUsage = jest.fn()
+
+    await streamFailoverService.relayStream({
+      requestBody: { model: 'claude-sonnet-4' },
+      apiKeyData,
+      clientHeaders: {},
+      res,
+      primary,
+      onUsage
+    })
+
+    expect(unifiedClaudeScheduler.selectFailoverAccount).toHaveBeenCalledWith(
+      apiKeyData,
+      'claude-sonnet-4',
+      ['acc-1'],
+      'claude-official'
+    )
+    expect(res.statusCode).toBe(200)
+    expect(res.body).toBe(`${MESSAGE_START}${contentDelta('from console')}`)
+    expect(res.writableEnded).toBe(true)
+    expect(onUsage).toHaveBeenCalledTimes(1)
+    expect(onUsage).toHaveBeenCalledWith(
+      expect.objectContaining({ text: 'from console' }),
+      'claude-console'
+    )
+    expect(hincrby).toHaveBeenCalledWith('stream_failover_stats:acc-1', 'failedOver', 1)
+    expect(hincrby).toHaveBeenCalledWith('stream_failover_stats:acc-2', 'rescued', 1)
+  })
+
+  it('does not fail over once content has been forwarded', async () => {
+    claudeRelayService.relayStreamRequestWithUsageCapture.mockImplementation(
+      async (_body, _apiKey, responseStream) => {
+        responseStream.writeHead(200)
+        responseStream.write(MESSAGE_START)
+        responseStream.write(contentDelta('partial'))
+        throw new Error('socket hang up')
+      }
+    )
+    const res = new MockResponse()
+
+    await expect(
+      streamFailoverService.relayStream({
+        requestBody: { model: 'claude-sonnet-4' },
+        apiKeyData,
+        clientHeaders: {},
+        res,
+        primary,
+        onUsage: jest.fn()
+      })
+    ).rejects.toThrow('socket hang up')
+
+    expect(unifiedClaudeScheduler.selectFailoverAccount).not.toHaveBeenCalled()
+    expect(res.body).toContain('partial')
+  })
+
+  it('returns request errors and exhausted failovers to the client unchanged', async () => {
+    claudeRelayService.relayStreamRequestWithUsageCapture.mockImplementationOnce(
+      async (_body, _apiKey, responseStream) => {
+        responseStream.writeHead(400, { 'Content-Type': 'application/json' })
+        responseStream.end('{"error":"invalid_request_error"}')
+      }
+    )
+    const badRequest = new MockResponse()
+    await streamFailoverService.relayStream({
+      requestBody: { model: 'claude-sonnet-4' },
+      apiKeyData,
+      clientHeaders: {},
+      res: badRequest,
+      primary,
+      onUsage: jest.fn()
+    })
+    expect(badRequest.statusCode).toBe(400)
+    expect(unifiedClaudeScheduler.selectFailoverAccount).not.toHaveBeenCalled()
+
+    // 没有其他可用账户时返回原始错误
+    claudeRelayService.relayStreamRequestWithUsageCapture.mockImplementation(resetAfterPreamble)
+    unifiedClaudeScheduler.selectFailoverAccount.mockResolvedValue(null)
+    const res = new MockResponse()
+    await expect(
+      streamFailoverService.relayStream({
+        requestBody: { model: 'claude-sonnet-4' },
+        apiKeyData,
+        clientHeaders: {},
+        res,
+        primary,
+        onUsage: jest.fn()
+      })
+    ).rejects.toThrow('aborted')
+    expect(res.body).toContain('Upstream stream interrupted')
+    expect(hincrby).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,174 @@
+/**
+ * 团队测试
+ * 测试成员与团队角色、每个用户只属于一个团队、团队预算累计、团队专属分组绑定校验与用量汇总
+ */
+
+const redis = require('../src/models/redis')
+const teamService = require('../src/services/teamService')
+const userService = require('../src/services/userService')
+const apiKeyService = require('../src/services/apiKeyService')
+const accountGroupService = require('../src/services/accountGroupService')
+const costBudgetService = require('../src/services/costBudgetService')
+const webhookService = require('../src/services/webhookService')
+const { createFakeRedisClient } = require('./helpers/fakeRedis')
+
+const USERS = {
+  'user-1': { id: 'user-1', username: 'alice', isActive: true },
+  'user-2': { id: 'user-2', username: 'bob', isActive: true }
+}
+
+describe('teamService', () => {
+  let client
+
+  beforeEach(() => {
+    client = createFakeRedisClient()
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(client)
+    jest.spyOn(userService, 'getUserById').mockImplementation(async (id) => USERS[id] || null)
+    jest.spyOn(apiKeyService, 'getTeamApiKeys').mockResolvedValue([])
+    jest.spyOn(accountGroupService, 'getTeamGroups').mockResolvedValue([])
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('manages members and keeps each user in a single team', async () => {
+    const platform = await teamService.createTeam({ name: 'Platform' }, 'admin')
+    const research = await teamService.createTeam({ name: 'Research' }, 'admin')
+    await expect(teamService.createTeam({ name: 'platform' })).rejects.toMatchObject({
+      statusCode: 409
+    })
+
+    await teamService.setMember(platform.id, 'user-1', 'admin')
+    await teamService.setMember(platform.id, 'user-2')
+    await expect(teamService.setMember(platform.id, 'user-2', 'owner')).rejects.toThrow('团队角色')
+    await expect(teamService.setMember(research.id, 'user-1')).rejects.toMatchObject({
+      statusCode: 409
+    })
+
+    const members = await teamService.getMembers(platform.id)
+    expect(members.map((member) => [member.username, member.role])).toEqual([
+      ['alice', 'admin'],
+      ['bob', 'member']
+    ])
+    expect(await teamService.getUserMembership('user-1')).toMatchObject({
+      team: { id: platform.id },
+      role: 'admin'
+    })
+
+    await teamService.removeUserFromTeam('user-1')
+    expect(await teamService.getUserMembership('user-1')).toBeNull()
+    await teamService.setMember(research.id, 'user-1')
+    expect((await teamService.getUserMembership('user-1')).team.id).toBe(research.id)
+  })
+
+  it('refuses to delete teams that still own keys and clears memberships', async () => {
+    const team = await teamService.createTeam({ name: 'Platform' })
+    await teamService.setMember(team.id, 'user-1')
+
+    apiKeyService.getTeamApiKeys.mockResolvedValueOnce([{ id: 'key-1' }])
+    await expect(teamService.deleteTeam(team.id)).rejects.toMatchObject({ statusCode: 409 })
+
+    await teamService.deleteTeam(team.id)
+    expect(await teamService.getTeam(team.id)).toBeNull()
+    expect(await teamService.getUserMembership('user-1')).toBeNull()
+    expect(await teamService.getAllTeams()).toEqual([])
+  })
+
+  it('rolls up usage of team keys including deleted ones', async () => {
+    apiKeyService.getTeamApiKeys.mockResolvedValue([
+      {
+        id: 'key-1',
+        name: 'ci',
+        isActive: true,
+        usage: { total: { requests: 10, inputTokens: 100, outputTokens: 50 } },
+        totalCost: 1.5,
+        dailyCost: 0.5
+      },
+      {
+        id: 'key-2',
+        name: 'old',
+        isActive: false,
+        isDeleted: 'true',
+        usage: { total: { requests: 5, inputTokens: 40, outputTokens: 10 } },
+        totalCost: 3,
+        dailyCost: 0
+      }
+    ])
+
+    const summary = await teamService.getUsageSummary('team-1')
+    expect(apiKeyService.getTeamApiKeys).toHaveBeenCalledWith('team-1', true)
+    expect(summary).toMatchObject({
+      keyCount: 1,
+      activeKeyCount: 1,
+      totalUsage: { requests: 15, inputTokens: 140, outputTokens: 60, totalCost: 4.5 },
+      dailyCost: 0.5
+    })
+    expect(summary.keys.map((key) => key.id)).toEqual(['key-2', 'key-1'])
+  })
+
+  it('accumulates team key costs into the team budget', async () => {
+    const sendNotification = jest.spyOn(webhookService, 'sendNotification').mockResolvedValue({})
+    const team = await teamService.createTeam({
+      name: 'Platform',
+      costBudget: { amount: 10, alertThresholds: [50] }
+    })
+    await client.hset('apikey:key-1', 'name', 'ci')
+    await client.hset('apikey:key-1', 'teamId', team.id)
+
+    await costBudgetService.recordCost('key-1', 3)
+    await costBudgetService.recordCost('key-1', 4)
+
+    const status = await teamService.getBudgetStatus(team.id)
+    expect(status).toMatchObject({ spent: 7, amount: 10, exceeded: false })
+    expect(sendNotification).toHaveBeenCalledTimes(1)
+    expect(sendNotification.mock.calls[0][1]).toMatchObject({ teamId: team.id, threshold: 50 })
+  })
+})
+
+describe('accountGroupService.validateKeyGroupBindings', () => {
+  const GROUPS = {
+    shared: { id: 'shared', name: 'Shared', teamId: '' },
+    platform: { id: 'platform', name: 'Platform Pool', teamId: 'team-1' }
+  }
+
+  beforeEach(() => {
+    jest.spyOn(accountGroupService, 'getGroup').mockImplementation(async (id) => GROUPS[id])
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('only lets keys of the owning team bind a team group', async () => {
+    const bindings = { claudeAccountId: 'group:platform' }
+    await expect(
+      accountGroupService.validateKeyGroupBindings(bindings, 'team-1')
+    ).resolves.toBeUndefined()
+    await expect(accountGroupService.validateKeyGroupBindings(bindings, 'team-2')).rejects.toThrow(
+      'Platform Pool'
+    )
+    await expect(accountGroupService.validateKeyGroupBindings(bindings, '')).rejects.toThrow(
+      'Platform Pool'
+    )
+  })
+
+  it('restricts team admins to the team groups', async () => {
+    await expect(
+      accountGroupService.validateKeyGroupBindings({ geminiAccountId: 'group:shared' }, 'team-1')
+    ).resolves.toBeUndefined()
+    await expect(
+      accountGroupService.validateKeyGroupBindings({ geminiAccountId: 'group:shared' }, 'team-1', {
+        teamOnly: true
+      })
+    ).rejects.toThrow('Shared')
+    await expect(
+      accountGroupService.validateKeyGroupBindings({ openaiAccountId: 'acc-1' }, 'team-1', {
+        teamOnly: true
+      })
+    ).rejects.toThrow('团队专属分组')
+    await expect(
+      accountGroupService.validateKeyGroupBindings({ droidAccountId: 'group:missing' }, 'team-1')
+    ).rejects.toThrow('分组不存在')
+  })
+})
@@ -0,0 +1,117 @@
+/**
+ * 两步验证服务测试
+ * 测试 RFC 6238 TOTP 计算、时钟偏差容忍、绑定流程、重放保护与恢复码
+ */
+
+const redis = require('../src/models/redis')
+const twoFactorService = require('../src/services/twoFactorService')
+const { createFakeRedisClient } = require('./helpers/fakeRedis')
+
+// RFC 6238 附录 B 的 SHA1 测试密钥 "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+describe('TwoFactorService', () => {
+  let client
+
+  beforeEach(() => {
+    client = createFakeRedisClient()
+    jest.spyOn(redis, 'getClientSafe').mockReturnValue(client)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('TOTP', () => {
+    it('matches the RFC 6238 SHA1 test vectors', () => {
+      expect(twoFactorService.generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082')
+      expect(twoFactorService.generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804')
+      expect(twoFactorService.generateTotp(RFC_SECRET, 2000000000 * 1000)).toBe('279037')
+    })
+
+    it('accepts codes within one time step of clock drift only', () => {
+      const now = 1111111109 * 1000
+      const previous = twoFactorService.generateTotp(RFC_SECRET, now - 30 * 1000)
+      const tooOld = twoFactorService.generateTotp(RFC_SECRET, now - 90 * 1000)
+
+      expect(twoFactorService.verifyTotp(RFC_SECRET, previous, now)).toBe(
+        Math.floor(now / 30000) - 1
+      )
+      expect(twoFactorService.verifyTotp(RFC_SECRET, tooOld, now)).toBeNull()
+      expect(twoFactorService.verifyTotp(RFC_SECRET, 'abc123', now)).toBeNull()
+    })
+
+    it('builds an otpauth url with encoded issuer and label', () => {
+      const url = twoFactorService.buildOtpauthUrl(
+        { type: 'user', id: 'u1', label: 'alice smith' },
+        RFC_SECRET
+      )
+      expect(url).toMatch(/^otpauth:\/\/totp\/Claude%20Relay%20Service:alice%20smith\?/)
+      expect(url).toContain(`secret=${RFC_SECRET}`)
+      expect(url).toContain('issuer=Claude%20Relay%20Service')
+    })
+  })
+
+  describe('enrollment and verification', () => {
+    const subject = { type: 'user', id: 'user-1', label: 'alice', role: 'user' }
+    let now
+
+    const enroll = async () => {
+      const { secret, qrCode } = await twoFactorService.beginSetup(subject)
+      expect(qrCode).toMatch(/^data:image\/png;base64,/)
+      const recoveryCodes = await twoFactorService.confirmSetup(
+        subject,
+        twoFactorService.generateTotp(secret, now)
+      )
+      return { secret, recoveryCodes }
+    }
+
+    beforeEach(() => {
+      now = 1700000000000
+      jest.spyOn(Date, 'now').mockImplementation(() => now)
+    })
+
+    it('enables two-factor only after a valid confirmation code', async () => {
+      await twoFactorService.beginSetup(subject)
+      await expect(twoFactorService.confirmSetup(subject, '000000')).rejects.toThrow(
+        'Invalid verification code'
+      )
+      expect(await twoFactorService.isEnabled(subject)).toBe(false)
+
+      const { recoveryCodes } = await enroll()
+      expect(recoveryCodes).toHaveLength(10)
+      expect(await twoFactorService.getLoginRequirement(subject)).toBe('verify')
+      expect(await twoFactorService.getStatus(subject)).toMatchObject({
+        enabled: true,
+        recoveryCodesRemaining: 10
+      })
+    })
+
+    it('rejects a replayed TOTP code', async () => {
+      const { secret } = await enroll()
+
+      now += 30 * 1000
+      const code = twoFactorService.generateTotp(secret, now)
+      expect(await twoFactorService.verifyCode(subject, code)).toBe('totp')
+      expect(await twoFactorService.verifyCode(subject, code)).toBeNull()
+    })
+
+    it('consumes recovery codes once', async () => {
+      const { recoveryCodes } = await enroll()
+
+      expect(await twoFactorService.verifyCode(subject, recoveryCodes[0])).toBe('recovery')
+      expect(await twoFactorService.verifyCode(subject, recoveryCodes[0])).toBeNull()
+      expect((await twoFactorService.getStatus(subject)).recoveryCodesRemaining).toBe(9)
+    })
+
+    it('only allows sessions verified with two-factor once enabled', async () => {
+      expect(await twoFactorService.isSessionAllowed(subject, {})).toBe(true)
+
+      await enroll()
+      expect(await twoFactorService.isSessionAllowed(subject, {})).toBe(false)
+      expect(await twoFactorService.isSessionAllowed(subject, { twoFactorVerified: 'true' })).toBe(
+        true
+      )
+    })
+  })
+})
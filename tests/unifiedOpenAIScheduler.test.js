@@ -0,0 +1,124 @@
+/**
+ * OpenAI 统一调度器测试
+ * 测试只调度 OpenAI-Responses 账户时对共享池、分组绑定、专属账户和熔断状态的处理
+ */
+
+// 账户服务在加载时会启动缓存清理定时器，这里只提供调度器用到的接口
+jest.mock('../src/services/openaiAccountService', () => ({
+  getAllAccounts: jest.fn(),
+  getAccount: jest.fn(),
+  recordUsage: jest.fn(),
+  isTokenExpired: jest.fn(() => false)
+}))
+jest.mock('../src/services/openaiResponsesAccountService', () => ({
+  getAllAccounts: jest.fn(),
+  getAccount: jest.fn(),
+  updateAccount: jest.fn(),
+  isSubscriptionExpired: jest.fn(() => false)
+}))
+
+const openaiAccountService = require('../src/services/openaiAccountService')
+const openaiResponsesAccountService = require('../src/services/openaiResponsesAccountService')
+const accountGroupService = require('../src/services/accountGroupService')
+const circuitBreakerService = require('../src/services/circuitBreakerService')
+const unifiedOpenAIScheduler = require('../src/services/unifiedOpenAIScheduler')
+
+const sharedAccount = (id, lastUsedAt) => ({
+  id,
+  name: id,
+  isActive: true,
+  status: 'active',
+  accountType: 'shared',
+  lastUsedAt
+})
+
+describe('unifiedOpenAIScheduler', () => {
+  const accounts = {
+    'oauth-1': sharedAccount('oauth-1', '2026-01-01T00:00:00.000Z'),
+    'responses-1': sharedAccount('responses-1', '2026-01-03T00:00:00.000Z'),
+    'responses-2': sharedAccount('responses-2', '2026-01-02T00:00:00.000Z')
+  }
+  let openBreakers
+
+  beforeEach(() => {
+    openaiAccountService.getAllAccounts.mockResolvedValue([accounts['oauth-1']])
+    openaiAccountService.getAccount.mockImplementation(async (id) =>
+      id.startsWith('oauth') ? { ...accounts[id] } : null
+    )
+    openaiResponsesAccountService.getAllAccounts.mockResolvedValue([
+      accounts['responses-1'],
+      accounts['responses-2']
+    ])
+    openaiResponsesAccountService.getAccount.mockImplementation(async (id) =>
+      id.startsWith('responses') ? { ...accounts[id] } : null
+    )
+    openBreakers = new Set()
+    jest
+      .spyOn(circuitBreakerService, 'filterAvailable')
+      .mockImplementation(async (list) => list.filter((item) => !openBreakers.has(item.id)))
+    jest
+      .spyOn(circuitBreakerService, 'isAvailable')
+      .mockImplementation(async (id) => !openBreakers.has(id))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    jest.clearAllMocks()
+  })
+
+  it('selects only Responses accounts from the shared pool and skips open breakers', async () => {
+    const apiKey = { id: 'key-1', name: 'messages-key' }
+
+    // 不限制类型时选择最久未使用的 OAuth 账户
+    expect(await unifiedOpenAIScheduler.selectAccountForApiKey(apiKey)).toEqual({
+      accountId: 'oauth-1',
+      accountType: 'openai'
+    })
+
+    const options = { responsesOnly: true }
+    expect(
+      await unifiedOpenAIScheduler.selectAccountForApiKey(apiKey, null, null, options)
+    ).toEqual({ accountId: 'responses-2', accountType: 'openai-responses' })
+
+    openBreakers.add('responses-2')
+    expect(
+      (await unifiedOpenAIScheduler.selectAccountForApiKey(apiKey, null, null, options)).accountId
+    ).toBe('responses-1')
+  })
+
+  it('honours group and dedicated bindings for Responses-only selection', async () => {
+    jest
+      .spyOn(accountGroupService, 'getGroup')
+      .mockResolvedValue({ id: 'g-1', name: 'team', platform: 'openai' })
+    jest.spyOn(accountGroupService, 'getGroupMembers').mockResolvedValue(['oauth-1', 'responses-1'])
+    const options = { responsesOnly: true }
+
+    expect(
+      await unifiedOpenAIScheduler.selectAccountForApiKey(
+        { id: 'key-1', name: 'grouped', openaiAccountId: 'group:g-1' },
+        null,
+        null,
+        options
+      )
+    ).toEqual({ accountId: 'responses-1', accountType: 'openai-responses' })
+
+    expect(
+      await unifiedOpenAIScheduler.selectAccountForApiKey(
+        { id: 'key-2', name: 'dedicated', openaiAccountId: 'responses:responses-1' },
+        null,
+        null,
+        options
+      )
+    ).toEqual({ accountId: 'responses-1', accountType: 'openai-responses' })
+
+    // 绑定 OAuth 专属账户的 Key 不会被调度到共享池
+    await expect(
+      unifiedOpenAIScheduler.selectAccountForApiKey(
+        { id: 'key-3', name: 'oauth-bound', openaiAccountId: 'oauth-1' },
+        null,
+        null,
+        options
+      )
+    ).rejects.toMatchObject({ statusCode: 400 })
+  })
+})
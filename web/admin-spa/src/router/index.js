@@ -17,6 +17,7 @@ const AccountUsageRecordsView = () => import('@/views/AccountUsageRecordsView.vu
 const TutorialView = () => import('@/views/TutorialView.vue')
 const SettingsView = () => import('@/views/SettingsView.vue')
 const ApiStatsView = () => import('@/views/ApiStatsView.vue')
+const AuditLogsView = () => import('@/views/AuditLogsView.vue')
 
 const routes = [
   {
@@ -123,6 +124,18 @@ const routes = [
       }
     ]
   },
+  {
+    path: '/audit-logs',
+    component: MainLayout,
+    meta: { requiresAuth: true },
+    children: [
+      {
+        path: '',
+        name: 'AuditLogs',
+        component: AuditLogsView
+      }
+    ]
+  },
   {
     path: '/tutorial',
     component: MainLayout,
@@ -8,8 +8,13 @@ export const useAuthStore = defineStore('auth', () => {
   const isLoggedIn = ref(false)
   const authToken = ref(localStorage.getItem('authToken') || '')
   const username = ref('')
+  // 当前管理员的角色与权限范围（* 表示全部权限）
+  const role = ref('')
+  const scopes = ref([])
   const loginError = ref('')
   const loginLoading = ref(false)
+  // 密码校验通过后等待完成的两步验证挑战 { challengeToken, step }
+  const twoFactorChallenge = ref(null)
   const oemSettings = ref({
     siteName: 'Claude Relay Service',
     siteIcon: '',
@@ -21,7 +26,11 @@ export const useAuthStore = defineStore('auth', () => {
   // 计算属性
   const isAuthenticated = computed(() => !!authToken.value && isLoggedIn.value)
   const token = computed(() => authToken.value)
-  const user = computed(() => ({ username: username.value }))
+  const user = computed(() => ({ username: username.value, role: role.value }))
+
+  function hasScope(scope) {
+    return scopes.value.includes('*') || scopes.value.includes(scope)
+  }
 
   // 方法
   async function login(credentials) {
@@ -32,12 +41,12 @@ export const useAuthStore = defineStore('auth', () => {
       const result = await apiClient.post('/web/auth/login', credentials)
 
       if (result.success) {
-        authToken.value = result.token
-        username.value = result.username || credentials.username
-        isLoggedIn.value = true
-        localStorage.setItem('authToken', result.token)
-
-        await router.push('/dashboard')
+        await completeLogin(result, credentials.username)
+      } else if (result.twoFactorRequired) {
+        twoFactorChallenge.value = {
+          challengeToken: result.challengeToken,
+          step: result.twoFactorStep
+        }
       } else {
         loginError.value = result.message || '登录失败'
       }
@@ -48,10 +57,68 @@ export const useAuthStore = defineStore('auth', () => {
     }
   }
 
+  // 使用 SSO 回调带回的一次性交接码换取登录会话
+  async function loginWithSso(code) {
+    loginLoading.value = true
+    loginError.value = ''
+
+    try {
+      const result = await apiClient.post('/web/auth/oidc/exchange', { code })
+      if (result.success) {
+        await completeLogin(result)
+      } else {
+        loginError.value = result.message || '单点登录失败'
+      }
+    } catch (error) {
+      loginError.value = error.message || '单点登录失败，请重试'
+    } finally {
+      loginLoading.value = false
+    }
+  }
+
+  async function completeLogin(result, fallbackUsername = '') {
+    authToken.value = result.token
+    username.value = result.username || fallbackUsername
+    role.value = result.role || ''
+    scopes.value = result.scopes || []
+    isLoggedIn.value = true
+    twoFactorChallenge.value = null
+    localStorage.setItem('authToken', result.token)
+
+    await router.push('/dashboard')
+  }
+
+  function verifyTwoFactor(code) {
+    return apiClient.post('/web/auth/2fa/verify', {
+      challengeToken: twoFactorChallenge.value?.challengeToken,
+      code
+    })
+  }
+
+  function beginTwoFactorEnrollment() {
+    return apiClient.post('/web/auth/2fa/enroll/setup', {
+      challengeToken: twoFactorChallenge.value?.challengeToken
+    })
+  }
+
+  function confirmTwoFactorEnrollment(code) {
+    return apiClient.post('/web/auth/2fa/enroll/confirm', {
+      challengeToken: twoFactorChallenge.value?.challengeToken,
+      code
+    })
+  }
+
+  function cancelTwoFactor() {
+    twoFactorChallenge.value = null
+    loginError.value = ''
+  }
+
   function logout() {
     isLoggedIn.value = false
     authToken.value = ''
     username.value = ''
+    role.value = ''
+    scopes.value = []
     localStorage.removeItem('authToken')
     router.push('/login')
   }
@@ -66,16 +133,13 @@ export const useAuthStore = defineStore('auth', () => {
 
   async function verifyToken() {
     try {
-      // 获取当前用户信息
+      // 获取当前用户信息与权限，token 无效或管理员被禁用时会抛出错误
       const userResult = await apiClient.get('/web/auth/user')
       if (userResult.success && userResult.user) {
         username.value = userResult.user.username
-      }
-
-      // 使用 dashboard 端点来验证 token
-      // 如果 token 无效，会抛出错误
-      const result = await apiClient.get('/admin/dashboard')
-      if (!result.success) {
+        role.value = userResult.user.role || ''
+        scopes.value = userResult.user.scopes || []
+      } else {
         logout()
       }
     } catch (error) {
@@ -117,8 +181,11 @@ export const useAuthStore = defineStore('auth', () => {
     isLoggedIn,
     authToken,
     username,
+    role,
+    scopes,
     loginError,
     loginLoading,
+    twoFactorChallenge,
     oemSettings,
     oemLoading,
 
@@ -128,7 +195,14 @@ export const useAuthStore = defineStore('auth', () => {
     user,
 
     // 方法
+    hasScope,
     login,
+    loginWithSso,
+    completeLogin,
+    verifyTwoFactor,
+    beginTwoFactorEnrollment,
+    confirmTwoFactorEnrollment,
+    cancelTwoFactor,
     logout,
     checkAuth,
     loadOemSettings
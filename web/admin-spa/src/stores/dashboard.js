@@ -43,6 +43,7 @@ export const useDashboardStore = defineStore('dashboard', () => {
     isHistoricalMetrics: false,
     systemStatus: '正常',
     uptime: 0,
+    responseCache: { enabled: false, hits: 0, misses: 0, hitRate: 0, entries: 0 },
     systemTimezone: 8 // 默认 UTC+8
   })
 
@@ -273,6 +274,13 @@ export const useDashboardStore = defineStore('dashboard', () => {
           isHistoricalMetrics: realtimeMetrics.isHistorical || false,
           systemStatus: systemHealth.redisConnected ? '正常' : '异常',
           uptime: systemHealth.uptime || 0,
+          responseCache: dashboardResponse.data.responseCache || {
+            enabled: false,
+            hits: 0,
+            misses: 0,
+            hitRate: 0,
+            entries: 0
+          },
           systemTimezone: dashboardResponse.data.systemTimezone || 8
         }
       }
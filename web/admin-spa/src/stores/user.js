@@ -28,17 +28,10 @@ export const useUserStore = defineStore('user', {
         const response = await axios.post(`${API_BASE}/login`, credentials)
 
         if (response.data.success) {
-          this.user = response.data.user
-          this.sessionToken = response.data.sessionToken
-          this.isAuthenticated = true
-
-          // 保存到 localStorage
-          localStorage.setItem('userToken', this.sessionToken)
-          localStorage.setItem('userData', JSON.stringify(this.user))
-
-          // 设置 axios 默认头部
-          this.setAuthHeader()
-
+          this.completeLogin(response.data)
+          return response.data
+        } else if (response.data.twoFactorRequired) {
+          // 密码正确但需要两步验证，由登录页继续完成第二步
           return response.data
         } else {
           throw new Error(response.data.message || 'Login failed')
@@ -51,6 +44,90 @@ export const useUserStore = defineStore('user', {
       }
     },
 
+    // 🔑 使用 SSO 回调带回的一次性交接码换取登录会话
+    async loginWithSso(code) {
+      this.loading = true
+      try {
+        const response = await axios.post(`${API_BASE}/oidc/exchange`, { code })
+        if (!response.data.success) {
+          throw new Error(response.data.message || 'Single sign-on failed')
+        }
+        this.completeLogin(response.data)
+        return response.data
+      } catch (error) {
+        this.clearAuth()
+        throw error
+      } finally {
+        this.loading = false
+      }
+    },
+
+    // 🔑 获取 SSO 登录入口配置
+    async getSsoConfig() {
+      const response = await axios.get(`${API_PREFIX}/admin/oem-settings`)
+      return response.data?.data?.sso || null
+    },
+
+    // ✅ 保存登录结果
+    completeLogin(data) {
+      this.user = data.user
+      this.sessionToken = data.sessionToken
+      this.isAuthenticated = true
+
+      // 保存到 localStorage
+      localStorage.setItem('userToken', this.sessionToken)
+      localStorage.setItem('userData', JSON.stringify(this.user))
+
+      // 设置 axios 默认头部
+      this.setAuthHeader()
+    },
+
+    // 🔐 两步验证：使用验证码或恢复码完成登录
+    async verifyTwoFactor(challengeToken, code) {
+      const response = await axios.post(`${API_BASE}/login/2fa`, { challengeToken, code })
+      return response.data
+    },
+
+    // 🔐 两步验证：登录过程中强制绑定
+    async beginTwoFactorEnrollment(challengeToken) {
+      const response = await axios.post(`${API_BASE}/login/2fa/enroll/setup`, { challengeToken })
+      return response.data
+    },
+
+    async confirmTwoFactorEnrollment(challengeToken, code) {
+      const response = await axios.post(`${API_BASE}/login/2fa/enroll/confirm`, {
+        challengeToken,
+        code
+      })
+      return response.data
+    },
+
+    // 🔐 两步验证：已登录用户管理自己的绑定
+    async getTwoFactorStatus() {
+      const response = await axios.get(`${API_BASE}/2fa/status`)
+      return response.data
+    },
+
+    async setupTwoFactor() {
+      const response = await axios.post(`${API_BASE}/2fa/setup`)
+      return response.data
+    },
+
+    async enableTwoFactor(code) {
+      const response = await axios.post(`${API_BASE}/2fa/enable`, { code })
+      return response.data
+    },
+
+    async disableTwoFactor(code) {
+      const response = await axios.post(`${API_BASE}/2fa/disable`, { code })
+      return response.data
+    },
+
+    async regenerateRecoveryCodes(code) {
+      const response = await axios.post(`${API_BASE}/2fa/recovery-codes`, { code })
+      return response.data
+    },
+
     // 🚪 用户登出
     async logout() {
       try {
@@ -160,6 +237,90 @@ export const useUserStore = defineStore('user', {
       }
     },
 
+    // 📝 获取自己的API Key申请
+    async getApiKeyRequests() {
+      try {
+        const response = await axios.get(`${API_BASE}/api-key-requests`)
+        return response.data.success ? response.data.requests : []
+      } catch (error) {
+        console.error('Failed to fetch API key requests:', error)
+        throw error
+      }
+    },
+
+    // 📝 提交API Key申请
+    async submitApiKeyRequest(requestData) {
+      const response = await axios.post(`${API_BASE}/api-key-requests`, requestData)
+      return response.data
+    },
+
+    // ↩️ 撤回API Key申请
+    async cancelApiKeyRequest(requestId) {
+      const response = await axios.delete(`${API_BASE}/api-key-requests/${requestId}`)
+      return response.data
+    },
+
+    // 🔑 领取已批准申请生成的API Key
+    async claimApiKeyRequest(requestId) {
+      const response = await axios.post(`${API_BASE}/api-key-requests/${requestId}/claim`)
+      return response.data
+    },
+
+    // 👥 获取所属团队（成员、预算、用量与团队分组）
+    async getUserTeam() {
+      try {
+        const response = await axios.get(`${API_BASE}/team`)
+        return response.data.success ? response.data : null
+      } catch (error) {
+        console.error('Failed to fetch team:', error)
+        throw error
+      }
+    },
+
+    // 🔑 获取团队共享API Keys
+    async getTeamApiKeys() {
+      try {
+        const response = await axios.get(`${API_BASE}/team/api-keys`)
+        return response.data.success ? response.data.apiKeys : []
+      } catch (error) {
+        console.error('Failed to fetch team API keys:', error)
+        throw error
+      }
+    },
+
+    // 🔑 创建团队共享API Key（团队管理员）
+    async createTeamApiKey(keyData) {
+      try {
+        const response = await axios.post(`${API_BASE}/team/api-keys`, keyData)
+        return response.data
+      } catch (error) {
+        console.error('Failed to create team API key:', error)
+        throw error
+      }
+    },
+
+    // 📝 更新团队共享API Key（团队管理员）
+    async updateTeamApiKey(keyId, updates) {
+      try {
+        const response = await axios.put(`${API_BASE}/team/api-keys/${keyId}`, updates)
+        return response.data
+      } catch (error) {
+        console.error('Failed to update team API key:', error)
+        throw error
+      }
+    },
+
+    // 🗑️ 删除团队共享API Key（团队管理员）
+    async deleteTeamApiKey(keyId) {
+      try {
+        const response = await axios.delete(`${API_BASE}/team/api-keys/${keyId}`)
+        return response.data
+      } catch (error) {
+        console.error('Failed to delete team API key:', error)
+        throw error
+      }
+    },
+
     // 📊 获取使用统计
     async getUserUsageStats(params = {}) {
       try {